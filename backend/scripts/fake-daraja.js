@@ -0,0 +1,143 @@
+import crypto from 'crypto';
+import express from 'express';
+import dotenv from 'dotenv';
+
+const RESULT_DESCRIPTIONS = {
+  0: 'The service request is processed successfully.',
+  1: 'The balance is insufficient for the transaction.',
+  1032: 'Request cancelled by user',
+  1037: 'DS timeout user cannot be reached',
+  2001: 'The initiator information is invalid.'
+};
+
+const REQUIRED_STK_FIELDS = ['BusinessShortCode', 'Password', 'Timestamp', 'Amount', 'PartyA', 'PhoneNumber', 'CallBackURL'];
+
+const requestId = () => crypto.randomBytes(8).toString('hex');
+
+// Stand-in for the parts of Safaricom's Daraja API that STK push payments use: OAuth tokens, the
+// push itself and the status query. Each push is answered with `resultCode` after
+// `callbackDelayMs`, by a callback to its CallBackURL unless `sendCallbacks` is false, which
+// leaves the status query as the only way to find out. `resultCode` may also be a function of the
+// push request, returning null for a prompt the customer never answers. Point MPESA_API_URL at it.
+export const createFakeDaraja = ({
+  resultCode = 0,
+  callbackDelayMs = 2000,
+  sendCallbacks = true,
+  accessToken = 'fake-daraja-token'
+} = {}) => {
+  const app = express();
+  const checkouts = new Map();
+
+  app.use(express.json());
+
+  const requireToken = (req, res, next) => {
+    if (req.get('Authorization') !== `Bearer ${accessToken}`) {
+      return res.status(401).json({ requestId: requestId(), errorCode: '404.001.03', errorMessage: 'Invalid Access Token' });
+    }
+    next();
+  };
+
+  const complete = async (checkout) => {
+    const { request } = checkout;
+    const code = typeof resultCode === 'function' ? resultCode(request) : resultCode;
+    if (code === null) return;
+
+    checkout.result = { ResultCode: code, ResultDesc: RESULT_DESCRIPTIONS[code] || 'The transaction failed.' };
+    if (!sendCallbacks) return;
+
+    const callback = {
+      MerchantRequestID: checkout.merchantRequestId,
+      CheckoutRequestID: checkout.checkoutRequestId,
+      ...checkout.result
+    };
+    if (code === 0) {
+      callback.CallbackMetadata = {
+        Item: [
+          { Name: 'Amount', Value: Number(request.Amount) },
+          { Name: 'MpesaReceiptNumber', Value: crypto.randomBytes(5).toString('hex').toUpperCase() },
+          { Name: 'TransactionDate', Value: Number(request.Timestamp) },
+          { Name: 'PhoneNumber', Value: Number(request.PhoneNumber) }
+        ]
+      };
+    }
+
+    try {
+      await fetch(request.CallBackURL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ Body: { stkCallback: callback } })
+      });
+    } catch (error) {
+      console.error('Fake Daraja callback error:', error.message);
+    }
+  };
+
+  app.get('/oauth/v1/generate', (req, res) => {
+    if (!req.get('Authorization')?.startsWith('Basic ')) {
+      return res.status(400).json({ requestId: requestId(), errorCode: '400.008.01', errorMessage: 'Invalid Authentication passed' });
+    }
+    res.json({ access_token: accessToken, expires_in: '3599' });
+  });
+
+  app.post('/mpesa/stkpush/v1/processrequest', requireToken, (req, res) => {
+    const missing = REQUIRED_STK_FIELDS.filter(field => req.body[field] === undefined || req.body[field] === '');
+    if (missing.length > 0) {
+      return res.status(400).json({ requestId: requestId(), errorCode: '400.002.02', errorMessage: `Bad Request - Invalid ${missing[0]}` });
+    }
+
+    const checkout = {
+      merchantRequestId: `${crypto.randomInt(10000, 99999)}-${crypto.randomInt(1000000, 9999999)}-1`,
+      checkoutRequestId: `ws_CO_${Date.now()}${crypto.randomInt(100000, 999999)}`,
+      request: req.body,
+      result: null
+    };
+    checkouts.set(checkout.checkoutRequestId, checkout);
+    setTimeout(() => complete(checkout), callbackDelayMs).unref();
+
+    res.json({
+      MerchantRequestID: checkout.merchantRequestId,
+      CheckoutRequestID: checkout.checkoutRequestId,
+      ResponseCode: '0',
+      ResponseDescription: 'Success. Request accepted for processing',
+      CustomerMessage: 'Success. Request accepted for processing'
+    });
+  });
+
+  app.post('/mpesa/stkpushquery/v1/query', requireToken, (req, res) => {
+    const checkout = checkouts.get(req.body.CheckoutRequestID);
+    if (!checkout) {
+      return res.status(400).json({ requestId: requestId(), errorCode: '400.002.02', errorMessage: 'Bad Request - Invalid CheckoutRequestID' });
+    }
+    if (!checkout.result) {
+      return res.status(500).json({ requestId: requestId(), errorCode: '500.001.1001', errorMessage: 'The transaction is being processed' });
+    }
+
+    res.json({
+      ResponseCode: '0',
+      ResponseDescription: 'The service request has been accepted successfully',
+      MerchantRequestID: checkout.merchantRequestId,
+      CheckoutRequestID: checkout.checkoutRequestId,
+      ResultCode: String(checkout.result.ResultCode),
+      ResultDesc: checkout.result.ResultDesc
+    });
+  });
+
+  return { app, checkouts };
+};
+
+// Run the fake Daraja API locally; set MPESA_API_URL=http://localhost:<port> on the API server
+if (import.meta.url === `file://${process.argv[1]}`) {
+  // Load environment variables
+  dotenv.config();
+
+  const port = parseInt(process.env.FAKE_DARAJA_PORT) || 4010;
+  const { app } = createFakeDaraja({
+    resultCode: parseInt(process.env.FAKE_DARAJA_RESULT_CODE) || 0,
+    callbackDelayMs: parseInt(process.env.FAKE_DARAJA_CALLBACK_DELAY_MS) || 2000,
+    sendCallbacks: process.env.FAKE_DARAJA_CALLBACKS !== 'false'
+  });
+
+  app.listen(port, () => {
+    console.log(`📱 Fake Daraja API listening on http://localhost:${port}`);
+  });
+}
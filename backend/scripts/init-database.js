@@ -1,8 +1,9 @@
 import mongoose from 'mongoose';
 import dotenv from 'dotenv';
-import User from '../models/User.js';
-import Truck from '../models/Truck.js';
-import Branch from '../models/Branch.js';
+import User from '../src/models/User.js';
+import Truck from '../src/models/Truck.js';
+import Branch from '../src/models/Branch.js';
+import Vehicle from '../src/models/Vehicle.js';
 
 // Load environment variables
 dotenv.config();
@@ -264,24 +265,34 @@ const initializeSampleUsers = async () => {
       email: 'user@demo.com',
       password: 'password123',
       phone: '+254700111222',
-      vehicleCount: 2
+      vehicles: [
+        { make: 'Toyota', model: 'Camry', year: 2020, licensePlate: 'KDA 123A', odometer: { reading: 45200 } },
+        { make: 'Ford', model: 'Ranger', year: 2018, licensePlate: 'KDB 456B', odometer: { reading: 88750 } }
+      ]
     },
     {
       name: 'Test Customer',
       email: 'customer@test.com',
       password: 'password123',
       phone: '+254700333444',
-      vehicleCount: 1
+      vehicles: [
+        { make: 'Nissan', model: 'X-Trail', year: 2019, licensePlate: 'KCZ 789C', odometer: { reading: 61300 } }
+      ]
     }
   ];
 
-  for (const userData of sampleUsers) {
+  for (const { vehicles, ...userData } of sampleUsers) {
     const existingUser = await User.findOne({ email: userData.email });
     
     if (!existingUser) {
       const user = new User(userData);
       await user.save();
-      console.log(`✅ Created sample user: ${userData.name}`);
+
+      // Vehicles keep user.vehicleCount in sync when saved
+      for (const vehicleData of vehicles) {
+        await new Vehicle({ ...vehicleData, owner: user._id }).save();
+      }
+      console.log(`✅ Created sample user: ${userData.name} (${vehicles.length} vehicles)`);
     } else {
       console.log(`👤 Sample user already exists: ${userData.name}`);
     }
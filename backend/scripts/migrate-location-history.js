@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import TruckTelemetry from '../src/models/TruckTelemetry.js';
+
+// Load environment variables
+dotenv.config();
+
+// Move the old embedded Truck.locationHistory arrays into the telemetry collection
+const migrateLocationHistory = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/autocare-pro');
+    console.log('✅ Connected to MongoDB');
+
+    await TruckTelemetry.init();
+    const trucks = mongoose.connection.collection('trucks');
+    const cursor = trucks.find(
+      { locationHistory: { $exists: true } },
+      { projection: { locationHistory: 1 } }
+    );
+
+    let migratedTrucks = 0;
+    let migratedPoints = 0;
+
+    for await (const truck of cursor) {
+      const points = (truck.locationHistory || [])
+        .filter(entry => entry.latitude !== undefined && entry.longitude !== undefined)
+        .map(entry => ({
+          truck: truck._id,
+          recordedAt: entry.timestamp || truck._id.getTimestamp(),
+          latitude: entry.latitude,
+          longitude: entry.longitude,
+          source: 'import'
+        }));
+
+      if (points.length > 0) {
+        await TruckTelemetry.insertMany(points, { ordered: false });
+      }
+      await trucks.updateOne({ _id: truck._id }, { $unset: { locationHistory: '' } });
+
+      migratedTrucks++;
+      migratedPoints += points.length;
+    }
+
+    console.log(`📍 Migrated ${migratedPoints} point(s) from ${migratedTrucks} truck(s)`);
+  } catch (error) {
+    console.error('❌ Location history migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+};
+
+// Run migration if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  migrateLocationHistory();
+}
+
+export default migrateLocationHistory;
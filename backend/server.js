@@ -1,8 +1,9 @@
+// Load environment variables before any module reads them
+import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
-import dotenv from 'dotenv';
 import { createServer } from 'http';
 import { Server } from 'socket.io';
 import mongoose from 'mongoose';
@@ -11,6 +12,7 @@ import mongoose from 'mongoose';
 import authRoutes from '../backend/src/routes/auth.js';
 import userRoutes from '../backend/src/routes/users.js';
 import serviceRoutes from './src/routes/services.js';
+import vehicleRoutes from './src/routes/vehicles.js';
 import truckRoutes from './src/routes/trucks.js';
 import messageRoutes from './src/routes/messages.js';
 import pickupRoutes from './src/routes/pickups.js';
@@ -19,13 +21,41 @@ import bookingRoutes from './src/routes/bookings.js';
 import analyticsRoutes from './src/routes/analytics.js';
 import dashboardRoutes from './src/routes/dashboard.js  ';
 import locationRoutes from './src/routes/locations.js';
+import maintenanceRoutes from './src/routes/maintenance.js';
+import workOrderRoutes from './src/routes/workOrders.js';
+import inventoryRoutes from './src/routes/inventory.js';
+import roleRoutes from './src/routes/roles.js';
+import invitationRoutes from './src/routes/invitations.js';
+import auditRoutes from './src/routes/audit.js';
+import geofenceRoutes from './src/routes/geofences.js';
+import driverRoutes from './src/routes/drivers.js';
+import tariffRoutes from './src/routes/tariffs.js';
+import paymentRoutes, { webhookRouter as paymentWebhookRoutes } from './src/routes/payments.js';
+import invoiceRoutes from './src/routes/invoices.js';
 
 // Import middleware
-import { authenticateToken } from './src/middleware/auth.js';
+import { authenticateToken, authenticateSocket } from './src/middleware/auth.js';
 import { errorHandler } from './src/middleware/errorHandler.js';
 
-// Load environment variables
-dotenv.config();
+// Import models
+import Role from './src/models/Role.js';
+import Truck from './src/models/Truck.js';
+
+// Import background jobs
+import { startMaintenanceScheduler } from './src/services/maintenanceScheduler.js';
+import { startDispatchScheduler } from './src/services/dispatchEngine.js';
+import { startTruckWatchdog } from './src/services/truckWatchdog.js';
+import { startPaymentReconciler } from './src/services/payments.js';
+import { attachInvoicing } from './src/services/invoicing.js';
+import { applyTelemetryRetention, ingestTelemetry, publishLocation } from './src/services/telemetry.js';
+import { joinSocketRooms, attachRealtime, canPublishLocation } from './src/services/realtime.js';
+import { applySocketAdapter } from './src/services/socketAdapters.js';
+
+// Refuse to start without a signing secret for auth tokens
+if (!process.env.JWT_SECRET) {
+  console.error('❌ JWT_SECRET must be set');
+  process.exit(1);
+}
 
 const app = express();
 const server = createServer(app);
@@ -38,10 +68,36 @@ const io = new Server(server, {
   }
 });
 
+// Share rooms across instances (SOCKET_ADAPTER) and turn domain events into socket messages
+const socketAdapter = applySocketAdapter(io);
+attachRealtime(io);
+
+// Invoice bookings as they complete and credit refunds
+attachInvoicing();
+
 // Database connection
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/autocare-pro')
   .then(() => {
     console.log('✅ Connected to MongoDB');
+
+    Role.seedDefaults().catch(error => console.error('Role seeding error:', error));
+    applyTelemetryRetention().catch(error => console.error('Telemetry retention error:', error));
+
+    if (process.env.MAINTENANCE_SCHEDULER_ENABLED !== 'false') {
+      startMaintenanceScheduler();
+    }
+
+    if (process.env.DISPATCH_SCHEDULER_ENABLED !== 'false') {
+      startDispatchScheduler();
+    }
+
+    if (process.env.TRUCK_WATCHDOG_ENABLED !== 'false') {
+      startTruckWatchdog();
+    }
+
+    if (process.env.PAYMENT_RECONCILER_ENABLED !== 'false') {
+      startPaymentReconciler();
+    }
   })
   .catch((error) => {
     console.error('❌ MongoDB connection error:', error);
@@ -58,6 +114,12 @@ app.use(cors({
   credentials: true
 }));
 
+const apiVersion = process.env.API_VERSION || 'v1';
+
+// Payment provider webhooks are verified against the raw body, so they go ahead of the body
+// parsers, and ahead of the rate limit since providers call from a few shared addresses
+app.use(`/api/${apiVersion}/payments/webhooks`, paymentWebhookRoutes);
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
@@ -75,10 +137,10 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use('/uploads', express.static('uploads'));
 
 // API Routes
-const apiVersion = process.env.API_VERSION || 'v1';
 app.use(`/api/${apiVersion}/auth`, authRoutes);
 app.use(`/api/${apiVersion}/users`, authenticateToken, userRoutes);
 app.use(`/api/${apiVersion}/services`, authenticateToken, serviceRoutes);
+app.use(`/api/${apiVersion}/vehicles`, authenticateToken, vehicleRoutes);
 app.use(`/api/${apiVersion}/trucks`, authenticateToken, truckRoutes);
 app.use(`/api/${apiVersion}/messages`, authenticateToken, messageRoutes);
 app.use(`/api/${apiVersion}/pickups`, authenticateToken, pickupRoutes);
@@ -87,6 +149,17 @@ app.use(`/api/${apiVersion}/bookings`, authenticateToken, bookingRoutes);
 app.use(`/api/${apiVersion}/analytics`, authenticateToken, analyticsRoutes);
 app.use(`/api/${apiVersion}/dashboard`, authenticateToken, dashboardRoutes);
 app.use(`/api/${apiVersion}/locations`, authenticateToken, locationRoutes);
+app.use(`/api/${apiVersion}/maintenance`, authenticateToken, maintenanceRoutes);
+app.use(`/api/${apiVersion}/work-orders`, authenticateToken, workOrderRoutes);
+app.use(`/api/${apiVersion}/inventory`, authenticateToken, inventoryRoutes);
+app.use(`/api/${apiVersion}/roles`, authenticateToken, roleRoutes);
+app.use(`/api/${apiVersion}/invitations`, authenticateToken, invitationRoutes);
+app.use(`/api/${apiVersion}/audit-logs`, authenticateToken, auditRoutes);
+app.use(`/api/${apiVersion}/geofences`, authenticateToken, geofenceRoutes);
+app.use(`/api/${apiVersion}/drivers`, authenticateToken, driverRoutes);
+app.use(`/api/${apiVersion}/tariffs`, authenticateToken, tariffRoutes);
+app.use(`/api/${apiVersion}/payments`, authenticateToken, paymentRoutes);
+app.use(`/api/${apiVersion}/invoices`, authenticateToken, invoiceRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -108,70 +181,77 @@ app.get('/', (req, res) => {
       auth: `/api/${apiVersion}/auth`,
       users: `/api/${apiVersion}/users`,
       services: `/api/${apiVersion}/services`,
+      vehicles: `/api/${apiVersion}/vehicles`,
       trucks: `/api/${apiVersion}/trucks`,
       messages: `/api/${apiVersion}/messages`,
       pickups: `/api/${apiVersion}/pickups`,
       branches: `/api/${apiVersion}/branches`,
       bookings: `/api/${apiVersion}/bookings`,
       analytics: `/api/${apiVersion}/analytics`,
-      dashboard: `/api/${apiVersion}/dashboard`
+      dashboard: `/api/${apiVersion}/dashboard`,
+      maintenance: `/api/${apiVersion}/maintenance`,
+      workOrders: `/api/${apiVersion}/work-orders`,
+      inventory: `/api/${apiVersion}/inventory`,
+      roles: `/api/${apiVersion}/roles`,
+      invitations: `/api/${apiVersion}/invitations`,
+      auditLogs: `/api/${apiVersion}/audit-logs`,
+      geofences: `/api/${apiVersion}/geofences`,
+      drivers: `/api/${apiVersion}/drivers`,
+      tariffs: `/api/${apiVersion}/tariffs`,
+      payments: `/api/${apiVersion}/payments`,
+      invoices: `/api/${apiVersion}/invoices`
     }
   });
 });
 
-// Socket.io connection handling
-io.on('connection', (socket) => {
-  console.log('👤 User connected:', socket.id);
+// Socket.io: every connection must carry a valid access token; rooms come from the token's user
+io.use(authenticateSocket);
 
-  // Join user to their room for personal notifications
-  socket.on('join-user-room', (userId) => {
-    socket.join(`user-${userId}`);
-    console.log(`👤 User ${userId} joined their room`);
-  });
+io.on('connection', async (socket) => {
+  const { user } = socket.data;
+  console.log(`👤 User connected: ${user.email} (${socket.id})`);
 
-  // Join admin to admin room
-  socket.on('join-admin-room', () => {
-    socket.join('admin-room');
-    console.log('👨‍💼 Admin joined admin room');
-  });
+  try {
+    await joinSocketRooms(socket);
+  } catch (error) {
+    console.error('Socket room join error:', error);
+  }
 
-  // Handle truck location updates
-  socket.on('truck-location-update', (data) => {
-    // Broadcast to all connected clients
-    socket.broadcast.emit('truck-location-updated', data);
-  });
+  // Driver apps report positions here; the fix is stored and fanned out like a REST location update
+  socket.on('truck-location-update', async (data, ack) => {
+    const respond = (result) => typeof ack === 'function' && ack(result);
 
-  // Handle new messages
-  socket.on('new-message', (data) => {
-    if (data.recipientType === 'admin') {
-      // Send to admin room
-      socket.to('admin-room').emit('message-received', data);
-    } else {
-      // Send to specific user
-      socket.to(`user-${data.recipientId}`).emit('message-received', data);
+    const latitude = Number(data?.latitude);
+    const longitude = Number(data?.longitude);
+    // Same bounds as the REST location endpoints
+    if (!data?.truckId || !(latitude >= -90 && latitude <= 90) || !(longitude >= -180 && longitude <= 180)) {
+      return respond({ success: false, message: 'truckId, latitude (-90 to 90) and longitude (-180 to 180) are required' });
     }
-  });
-
-  // Handle pickup requests
-  socket.on('new-pickup-request', (data) => {
-    // Notify all admins
-    socket.to('admin-room').emit('pickup-request-received', data);
-  });
+    try {
+      const truck = await Truck.findById(data.truckId);
+      if (!truck) {
+        return respond({ success: false, message: 'Truck not found' });
+      }
+      if (!canPublishLocation(user, truck)) {
+        return respond({ success: false, message: 'Access denied' });
+      }
 
-  // Handle truck dispatch
-  socket.on('truck-dispatched', (data) => {
-    // Notify the specific user
-    socket.to(`user-${data.userId}`).emit('truck-dispatch-update', data);
+      const { moved } = await ingestTelemetry(truck, [data], { source: 'driver-app', address: data.address });
+      if (moved) {
+        await publishLocation(truck);
+      }
+      respond({ success: true, moved });
+    } catch (error) {
+      console.error('Socket location update error:', error);
+      respond({ success: false, message: 'Error updating location' });
+    }
   });
 
   socket.on('disconnect', () => {
-    console.log('👤 User disconnected:', socket.id);
+    console.log(`👤 User disconnected: ${user.email} (${socket.id})`);
   });
 });
 
-// Make io available to routes
-app.set('socketio', io);
-
 // Error handling middleware
 app.use(errorHandler);
 
@@ -190,6 +270,7 @@ server.listen(PORT, () => {
   console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`📡 API Base URL: http://localhost:${PORT}/api/${apiVersion}`);
   console.log(`🔧 Health Check: http://localhost:${PORT}/health`);
+  console.log(`🔌 Socket adapter: ${socketAdapter}`);
 });
 
 // Graceful shutdown
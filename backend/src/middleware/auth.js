@@ -1,5 +1,8 @@
-import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
+import Role from '../models/Role.js';
+import Branch from '../models/Branch.js';
+import { verifyAccessToken } from '../services/authTokens.js';
 
 // Middleware to authenticate JWT token
 export const authenticateToken = async (req, res, next) => {
@@ -17,7 +20,15 @@ export const authenticateToken = async (req, res, next) => {
     }
 
     // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-fallback-secret');
+    const decoded = verifyAccessToken(token);
+
+    // Access tokens stop working as soon as their session is signed out
+    if (!decoded.sessionId || !(await Session.exists({ _id: decoded.sessionId, revokedAt: null }))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has ended. Please sign in again.'
+      });
+    }
     
     // Get user from database
     const user = await User.findById(decoded.userId);
@@ -28,8 +39,9 @@ export const authenticateToken = async (req, res, next) => {
       });
     }
 
-    // Add user to request object
+    // Add user and session to request object
     req.user = user;
+    req.sessionId = decoded.sessionId;
     next();
 
   } catch (error) {
@@ -56,6 +68,48 @@ export const authenticateToken = async (req, res, next) => {
   }
 };
 
+// Socket.IO handshake middleware: the same access token and session check as authenticateToken,
+// with the token sent in `auth.token`. The user ends up in socket.data.user.
+export const authenticateSocket = async (socket, next) => {
+  const reject = (message) => {
+    const error = new Error(message);
+    error.data = { success: false, message };
+    next(error);
+  };
+
+  try {
+    const token = socket.handshake.auth?.token;
+    if (!token) {
+      return reject('Access denied. No token provided.');
+    }
+
+    const decoded = verifyAccessToken(token);
+    if (!decoded.sessionId || !(await Session.exists({ _id: decoded.sessionId, revokedAt: null }))) {
+      return reject('Session has ended. Please sign in again.');
+    }
+
+    const user = await User.findById(decoded.userId);
+    if (!user || !user.isActive) {
+      return reject('Invalid token or user not found.');
+    }
+
+    await refreshPermissions();
+    socket.data.user = user;
+    socket.data.sessionId = decoded.sessionId;
+    next();
+
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return reject('Token expired.');
+    }
+    if (error.name === 'JsonWebTokenError') {
+      return reject('Invalid token.');
+    }
+    console.error('Socket authentication error:', error);
+    reject('Server error during authentication.');
+  }
+};
+
 // Middleware to check if user is admin
 export const requireAdmin = (req, res, next) => {
   if (!req.user) {
@@ -94,6 +148,91 @@ export const requireMainAdmin = (req, res, next) => {
   next();
 };
 
+// Middleware to check if user is super admin
+export const requireSuperAdmin = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required.'
+    });
+  }
+
+  if (req.user.role !== 'super_admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Super admin access required.'
+    });
+  }
+
+  next();
+};
+
+// Keep the role matrix fresh; on a read failure keep using the last loaded one
+const refreshPermissions = async () => {
+  try {
+    await Role.loadPermissions();
+  } catch (error) {
+    console.error('Load role permissions error:', error);
+  }
+};
+
+// Middleware to check that the user's role grants at least one of the given permissions
+export const requirePermission = (...permissions) => async (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required.'
+    });
+  }
+
+  await refreshPermissions();
+
+  if (!permissions.some(permission => req.user.hasPermission(permission))) {
+    return res.status(403).json({
+      success: false,
+      message: `Permission required: ${permissions.join(' or ')}.`
+    });
+  }
+
+  next();
+};
+
+// Middleware for branch-level actions. A global permission (manage_branches by default)
+// covers every branch; the scoped permission only covers branches the user manages.
+// Access granted through the scoped permission sets req.branchScope to the branch ID.
+export const requireBranchPermission = (permission = 'manage_branch', {
+  globalPermission = 'manage_branches',
+  getBranchId = (req) => req.params.id
+} = {}) => async (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required.'
+    });
+  }
+
+  try {
+    await refreshPermissions();
+
+    if (req.user.hasPermission(globalPermission)) {
+      return next();
+    }
+
+    const branchId = getBranchId(req);
+    if (req.user.hasPermission(permission) && branchId && await Branch.isManagedBy(branchId, req.user._id)) {
+      req.branchScope = branchId.toString();
+      return next();
+    }
+
+    res.status(403).json({
+      success: false,
+      message: 'Access denied. You can only manage your own branch.'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Middleware to check if user can access resource
 export const requireOwnershipOrAdmin = (req, res, next) => {
   if (!req.user) {
@@ -108,9 +247,10 @@ export const requireOwnershipOrAdmin = (req, res, next) => {
     return next();
   }
 
-  // Check if user is accessing their own resource
-  const resourceUserId = req.params.userId || req.body.userId || req.query.userId;
-  if (resourceUserId && resourceUserId !== req.user._id.toString()) {
+  // Check if user is accessing their own resource. Routes that load a document
+  // first can set req.resourceOwnerId to the owner of that document.
+  const resourceUserId = req.resourceOwnerId || req.params.userId || req.body.userId || req.query.userId;
+  if (resourceUserId && resourceUserId.toString() !== req.user._id.toString()) {
     return res.status(403).json({
       success: false,
       message: 'Access denied. You can only access your own resources.'
@@ -129,11 +269,13 @@ export const optionalAuth = async (req, res, next) => {
       : null;
 
     if (token) {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-fallback-secret');
-      const user = await User.findById(decoded.userId);
+      const decoded = verifyAccessToken(token);
+      const sessionActive = decoded.sessionId && await Session.exists({ _id: decoded.sessionId, revokedAt: null });
+      const user = sessionActive && await User.findById(decoded.userId);
       
       if (user && user.isActive) {
         req.user = user;
+        req.sessionId = decoded.sessionId;
       }
     }
 
@@ -19,7 +19,7 @@ export const checkDuplicateEmail = async (req, res, next) => {
       console.log('Duplicate registration attempt for email:', email);
       
       // Determine if it's an admin or regular user
-      const isAdminEmail = User.isAdminEmail(email);
+      const isAdminEmail = existingUser.isAdmin;
       
       let message;
       if (isAdminEmail) {
@@ -79,8 +79,9 @@ export const checkEmailAvailability = async (req, res) => {
       });
     }
 
-    const exists = await emailExists(email);
-    const isAdminEmail = User.isAdminEmail(email);
+    const existingUser = await User.findOne({ email: email.toLowerCase() }).select('isAdmin');
+    const exists = !!existingUser;
+    const isAdminEmail = !!existingUser?.isAdmin;
     
     return res.json({
       success: true,
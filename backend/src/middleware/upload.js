@@ -22,6 +22,8 @@ const storage = multer.diskStorage({
       subDir = 'bookings';
     } else if (file.fieldname === 'branchDocuments') {
       subDir = 'branches';
+    } else if (file.fieldname === 'vehiclePhotos') {
+      subDir = 'vehicles';
     }
     
     const fullPath = path.join(uploadDir, subDir);
@@ -80,6 +82,7 @@ export const uploadTruckDocuments = upload.array('truckDocuments', 10);
 export const uploadBookingDocuments = upload.array('bookingDocuments', 5);
 export const uploadBranchDocuments = upload.array('branchDocuments', 10);
 export const uploadUserDocuments = upload.array('userDocuments', 3);
+export const uploadVehiclePhotos = upload.array('vehiclePhotos', 10);
 
 // Error handling middleware for multer
 export const handleUploadError = (error, req, res, next) => {
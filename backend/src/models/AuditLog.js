@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+
+export const AUDIT_ACTIONS = [
+  'invitation_created',
+  'invitation_revoked',
+  'invitation_accepted',
+  'role_changed',
+  'user_deactivated',
+  'two_factor_enabled',
+  'two_factor_disabled',
+  'two_factor_reset'
+];
+
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: true
+  },
+  // Who did it; null for actions taken by the system or an anonymous invitee
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Whose account was affected
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  targetEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  changes: {
+    fromRole: String,
+    toRole: String,
+    branch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Branch'
+    }
+  },
+  invitation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invitation'
+  },
+  ipAddress: {
+    type: String
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Audit entries are append-only
+auditLogSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'deleteOne', 'deleteMany', 'findOneAndDelete'], function(next) {
+  next(new Error('Audit log entries cannot be modified'));
+});
+
+// Record an entry; req supplies the actor and IP when the action came from a request
+auditLogSchema.statics.record = function(action, { req, actor, target, targetEmail, fromRole, toRole, branch, invitation } = {}) {
+  return this.create({
+    action,
+    actor: actor !== undefined ? actor : req?.user?._id || null,
+    target: target?._id || target || null,
+    targetEmail: targetEmail || target?.email,
+    changes: { fromRole, toRole, branch },
+    invitation,
+    ipAddress: req?.ip
+  });
+};
+
+// Indexes
+auditLogSchema.index({ target: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export default AuditLog;
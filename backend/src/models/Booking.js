@@ -1,4 +1,15 @@
 import mongoose from 'mongoose';
+import { surchargeRules } from './surchargeRules.js';
+import DriverShift from './DriverShift.js';
+
+export const BOOKING_STATUSES = ['pending', 'confirmed', 'assigned', 'at-location', 'in_progress', 'completed', 'cancelled'];
+export const BOOKING_SERVICE_TYPES = ['delivery', 'pickup', 'transport', 'maintenance', 'emergency'];
+export const BOOKING_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+// Bookings that hold their truck and driver for their slot
+export const SCHEDULED_STATUSES = ['confirmed', 'assigned', 'at-location', 'in_progress'];
+
+export const DEFAULT_DURATION_HOURS = 4;
+const HOUR_MS = 60 * 60 * 1000;
 
 const bookingSchema = new mongoose.Schema({
   bookingNumber: {
@@ -26,17 +37,17 @@ const bookingSchema = new mongoose.Schema({
   },
   serviceType: {
     type: String,
-    enum: ['delivery', 'pickup', 'transport', 'maintenance', 'emergency'],
+    enum: BOOKING_SERVICE_TYPES,
     required: true
   },
   priority: {
     type: String,
-    enum: ['low', 'medium', 'high', 'urgent'],
+    enum: BOOKING_PRIORITIES,
     default: 'medium'
   },
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'assigned', 'in_progress', 'completed', 'cancelled'],
+    enum: BOOKING_STATUSES,
     default: 'pending'
   },
   schedule: {
@@ -100,10 +111,19 @@ const bookingSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    // The base, distance and time charges together are never less than this
+    minimumCharge: {
+      type: Number,
+      default: 0
+    },
     additionalCharges: [{
+      code: String,
       description: String,
       amount: Number
     }],
+    // The tariff's surcharge rules when the booking was quoted; a rescheduled booking is priced
+    // with these. Missing on bookings made before they were kept.
+    surcharges: new mongoose.Schema(surchargeRules, { _id: false }),
     totalAmount: {
       type: Number,
       default: 0
@@ -111,6 +131,45 @@ const bookingSchema = new mongoose.Schema({
     currency: {
       type: String,
       default: 'KES'
+    },
+    // The tariff and quote the price was locked in from
+    tariff: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tariff'
+    },
+    quote: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Quote'
+    }
+  },
+  // Kept in step with the booking's payments
+  payment: {
+    status: {
+      type: String,
+      enum: ['unpaid', 'partially_paid', 'paid'],
+      default: 'unpaid'
+    },
+    amountPaid: {
+      type: Number,
+      default: 0
+    },
+    paidAt: Date
+  },
+  cancellation: {
+    cancelledAt: Date,
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String,
+    // What the customer owes instead of the price; see services/bookingSchedule.js
+    fee: {
+      type: Number,
+      default: 0
+    },
+    feeWaived: {
+      type: Boolean,
+      default: false
     }
   },
   documents: [{
@@ -184,6 +243,15 @@ bookingSchema.pre('save', async function(next) {
   next();
 });
 
+// Bookings always end: one saved without an end date runs for its estimated duration
+bookingSchema.pre('validate', function(next) {
+  if (this.schedule?.startDate && !this.schedule.endDate) {
+    const hours = this.schedule.estimatedDuration || DEFAULT_DURATION_HOURS;
+    this.schedule.endDate = new Date(this.schedule.startDate.getTime() + hours * HOUR_MS);
+  }
+  next();
+});
+
 // Calculate total amount
 bookingSchema.methods.calculateTotal = function() {
   let total = this.pricing.baseRate || 0;
@@ -195,13 +263,15 @@ bookingSchema.methods.calculateTotal = function() {
   if (this.schedule.estimatedDuration) {
     total += (this.schedule.estimatedDuration * (this.pricing.timeRate || 0));
   }
+
+  total = Math.max(total, this.pricing.minimumCharge || 0);
   
   if (this.pricing.additionalCharges) {
     total += this.pricing.additionalCharges.reduce((sum, charge) => sum + (charge.amount || 0), 0);
   }
   
-  this.pricing.totalAmount = total;
-  return total;
+  this.pricing.totalAmount = Math.round(total * 100) / 100;
+  return this.pricing.totalAmount;
 };
 
 // Update status with timeline
@@ -218,26 +288,92 @@ bookingSchema.methods.updateStatus = function(newStatus, updatedBy, notes = '')
 
 // Check if booking can be cancelled
 bookingSchema.methods.canBeCancelled = function() {
+  return ['pending', 'confirmed', 'assigned', 'at-location'].includes(this.status);
+};
+
+// Bookings can be moved until the truck is on its way
+bookingSchema.methods.canBeRescheduled = function() {
   return ['pending', 'confirmed', 'assigned'].includes(this.status);
 };
 
+// End of the booking's slot; bookings saved before end dates were filled in run for their
+// estimated duration
+bookingSchema.methods.getScheduledEnd = function() {
+  if (this.schedule.endDate) return this.schedule.endDate;
+  const hours = this.schedule.estimatedDuration || DEFAULT_DURATION_HOURS;
+  return new Date(this.schedule.startDate.getTime() + hours * HOUR_MS);
+};
+
+// What the customer owes: the price, or the cancellation fee once cancelled
+bookingSchema.methods.getChargeableAmount = function() {
+  if (this.status === 'cancelled') return this.cancellation?.fee || 0;
+  return this.pricing.totalAmount;
+};
+
+// Filter for bookings whose slot overlaps [start, end). Slots touching end to end don't overlap.
+bookingSchema.statics.overlapFilter = function(start, end) {
+  return {
+    'schedule.startDate': { $lt: end },
+    $expr: {
+      $gt: [
+        {
+          $ifNull: ['$schedule.endDate', {
+            $add: [
+              '$schedule.startDate',
+              { $multiply: [{ $ifNull: ['$schedule.estimatedDuration', DEFAULT_DURATION_HOURS] }, HOUR_MS] }
+            ]
+          }]
+        },
+        start
+      ]
+    }
+  };
+};
+
+// Scheduled bookings that would clash with a slot for a truck or driver, other than `exclude`
+bookingSchema.statics.findConflicts = function({ start, end, truck, driver, exclude }) {
+  const resources = [
+    ...(truck ? [{ truck }] : []),
+    ...(driver ? [{ driver }] : [])
+  ];
+  if (resources.length === 0) return Promise.resolve([]);
+
+  return this.find({
+    ...this.overlapFilter(start, end),
+    status: { $in: SCHEDULED_STATUSES },
+    $or: resources,
+    ...(exclude && { _id: { $ne: exclude } })
+  }).select('bookingNumber truck driver schedule status');
+};
+
 // Static method to find available trucks for booking
 bookingSchema.statics.findAvailableTrucks = async function(startDate, endDate, serviceType) {
   const conflictingBookings = await this.find({
-    status: { $in: ['confirmed', 'assigned', 'in_progress'] },
-    $or: [
-      {
-        'schedule.startDate': { $lte: endDate },
-        'schedule.endDate': { $gte: startDate }
-      }
-    ]
+    ...this.overlapFilter(startDate, endDate),
+    status: { $in: SCHEDULED_STATUSES }
   }).distinct('truck');
   
+  // Drivers with accounts must be rostered for the whole booking and hold a licence valid until
+  // its end. Their truck's status only says whether they are clocked in right now, so it only
+  // rules out trucks in maintenance.
+  const rosteredDrivers = await DriverShift.findDriversCovering(startDate, endDate);
+  const User = mongoose.model('User');
+  const availableDrivers = await User.find({
+    _id: { $in: rosteredDrivers },
+    isActive: true,
+    'driverProfile.licenseExpiry': { $not: { $lt: endDate } }
+  }).distinct('_id');
+
   const Truck = mongoose.model('Truck');
   return Truck.find({
     _id: { $nin: conflictingBookings },
-    status: 'available',
-    isActive: true
+    isActive: true,
+    // Not while the truck has gone silent
+    'signalLost.at': null,
+    $or: [
+      { 'driver.user': { $in: availableDrivers }, status: { $ne: 'maintenance' } },
+      { 'driver.user': null, status: 'available' }
+    ]
   });
 };
 
@@ -247,6 +383,9 @@ bookingSchema.index({ customer: 1 });
 bookingSchema.index({ truck: 1 });
 bookingSchema.index({ status: 1 });
 bookingSchema.index({ 'schedule.startDate': 1 });
+bookingSchema.index({ truck: 1, 'schedule.startDate': 1 });
+bookingSchema.index({ driver: 1, 'schedule.startDate': 1 });
+bookingSchema.index({ branch: 1, 'schedule.startDate': 1 });
 bookingSchema.index({ serviceType: 1 });
 bookingSchema.index({ createdAt: -1 });
 
@@ -1,5 +1,9 @@
 import mongoose from 'mongoose';
 
+// manual: admins assign trucks by hand; suggest: ranked trucks are shown to admins;
+// auto: the best truck is offered to its driver straight away
+export const DISPATCH_MODES = ['manual', 'suggest', 'auto'];
+
 const branchSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -112,6 +116,31 @@ const branchSchema = new mongoose.Schema({
       default: 10
     }
   },
+  dispatchSettings: {
+    mode: {
+      type: String,
+      enum: DISPATCH_MODES,
+      default: 'manual'
+    },
+    // How long a driver has to accept an automatic offer
+    offerTimeoutSeconds: {
+      type: Number,
+      default: 120,
+      min: 15,
+      max: 1800
+    },
+    maxDistanceKm: {
+      type: Number,
+      default: 50,
+      min: 1
+    },
+    // Offers made before the request is handed back to an admin
+    maxOffers: {
+      type: Number,
+      default: 5,
+      min: 1
+    }
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -176,6 +205,18 @@ branchSchema.statics.findByService = function(serviceType) {
     .populate('staff.employee', 'name email phone');
 };
 
+// Static method to check whether a user manages a branch (as its manager or a manager on its staff)
+branchSchema.statics.isManagedBy = async function(branchId, userId) {
+  const count = await this.countDocuments({
+    _id: branchId,
+    $or: [
+      { manager: userId },
+      { staff: { $elemMatch: { employee: userId, role: 'manager', isActive: true } } }
+    ]
+  });
+  return count > 0;
+};
+
 // Static method to find nearest branches
 branchSchema.statics.findNearby = function(latitude, longitude, maxDistance = 50) {
   return this.find({
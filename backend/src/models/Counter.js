@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+
+// Named sequences handed out atomically. Invoice numbers must not repeat or be skipped, which
+// reading the latest number and adding one can't promise under concurrent writes.
+const counterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  },
+  // Numbers drawn but not yet written onto the document they were drawn for, each recorded in
+  // the same update that drew it
+  pending: [{
+    owner: mongoose.Schema.Types.ObjectId,
+    seq: Number,
+    _id: false
+  }]
+});
+
+// The next number in a sequence for a document, starting at 1. A number drawn for the same
+// document and not yet released is handed back again, so a caller that died after drawing
+// leaves no gap for the one that takes over.
+counterSchema.statics.draw = async function(key, owner) {
+  try {
+    await this.updateOne({ key }, { $setOnInsert: { seq: 0, pending: [] } }, { upsert: true });
+  } catch (error) {
+    // Another caller created the sequence first
+    if (error.code !== 11000) throw error;
+  }
+
+  for (;;) {
+    const counter = await this.findOne({ key });
+    const held = counter.pending.find(entry => entry.owner.equals(owner));
+    if (held) return held.seq;
+
+    // Only draws if nobody else drew since the read; otherwise read again
+    const seq = counter.seq + 1;
+    const drawn = await this.findOneAndUpdate(
+      { key, seq: counter.seq },
+      { seq, $push: { pending: { owner, seq } } }
+    );
+    if (drawn) return seq;
+  }
+};
+
+// Forget a drawn number once the document carries it
+counterSchema.statics.release = function(key, owner) {
+  return this.updateOne({ key }, { $pull: { pending: { owner } } });
+};
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+export default Counter;
@@ -0,0 +1,114 @@
+import mongoose from 'mongoose';
+
+export const SHIFT_STATUSES = ['scheduled', 'active', 'completed', 'cancelled'];
+
+// Shifts that still hold the driver's time
+const OPEN_STATUSES = ['scheduled', 'active'];
+const MAX_SHIFT_HOURS = 16;
+
+// One rostered shift for a driver. It becomes active when the driver clocks in and completed
+// when they clock out.
+const driverShiftSchema = new mongoose.Schema({
+  driver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The truck the shift is worked on; clocking in records the one actually used
+  truck: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Truck',
+    default: null
+  },
+  start: {
+    type: Date,
+    required: true
+  },
+  end: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: SHIFT_STATUSES,
+    default: 'scheduled'
+  },
+  clockedInAt: {
+    type: Date
+  },
+  clockedOutAt: {
+    type: Date
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+driverShiftSchema.pre('validate', function(next) {
+  if (this.start && this.end) {
+    if (this.end <= this.start) {
+      this.invalidate('end', 'A shift must end after it starts');
+    } else if (this.end - this.start > MAX_SHIFT_HOURS * 60 * 60 * 1000) {
+      this.invalidate('end', `A shift can't be longer than ${MAX_SHIFT_HOURS} hours`);
+    }
+  }
+  next();
+});
+
+// Open shifts of the driver that overlap the given period
+driverShiftSchema.statics.findOverlapping = function(driverId, start, end, excludeId = null) {
+  const filter = {
+    driver: driverId,
+    status: { $in: OPEN_STATUSES },
+    start: { $lt: end },
+    end: { $gt: start }
+  };
+  if (excludeId) filter._id = { $ne: excludeId };
+  return this.find(filter);
+};
+
+// Each driver's shift right now: the one they are clocked in on, else the scheduled one under way
+driverShiftSchema.statics.findCurrent = async function(driverIds, at = new Date()) {
+  const shifts = await this.find({
+    driver: { $in: driverIds },
+    $or: [
+      { status: 'active' },
+      { status: 'scheduled', start: { $lte: at }, end: { $gt: at } }
+    ]
+  }).sort({ start: 1 });
+
+  const current = new Map();
+  for (const shift of shifts) {
+    const key = shift.driver.toString();
+    if (!current.has(key) || shift.status === 'active') {
+      current.set(key, shift);
+    }
+  }
+  return current;
+};
+
+// Drivers rostered for the whole of a period
+driverShiftSchema.statics.findDriversCovering = function(start, end) {
+  return this.find({
+    status: { $in: OPEN_STATUSES },
+    start: { $lte: start },
+    end: { $gte: end }
+  }).distinct('driver');
+};
+
+// Indexes
+driverShiftSchema.index({ driver: 1, start: 1 });
+driverShiftSchema.index({ status: 1, start: 1, end: 1 });
+driverShiftSchema.index({ truck: 1, start: 1 });
+
+const DriverShift = mongoose.model('DriverShift', driverShiftSchema);
+
+export default DriverShift;
@@ -0,0 +1,109 @@
+import mongoose from 'mongoose';
+
+export const GEOFENCE_TYPES = ['circle', 'polygon'];
+export const GEOFENCE_KINDS = ['branch', 'custom'];
+
+const pointSchema = new mongoose.Schema({
+  latitude: { type: Number, required: true, min: -90, max: 90 },
+  longitude: { type: Number, required: true, min: -180, max: 180 }
+}, { _id: false });
+
+const geofenceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  kind: {
+    type: String,
+    enum: GEOFENCE_KINDS,
+    default: 'custom'
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    default: null
+  },
+  type: {
+    type: String,
+    enum: GEOFENCE_TYPES,
+    required: true
+  },
+  center: pointSchema,
+  radiusMeters: {
+    type: Number,
+    min: 10,
+    max: 50000
+  },
+  polygon: [pointSchema],
+  // Seconds inside before a dwell event fires
+  dwellSeconds: {
+    type: Number,
+    default: 300,
+    min: 30
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+geofenceSchema.pre('validate', function(next) {
+  if (this.type === 'circle' && (!this.center || !this.radiusMeters)) {
+    this.invalidate('radiusMeters', 'Circle geofences need a center and radiusMeters');
+  }
+  if (this.type === 'polygon' && this.polygon.length < 3) {
+    this.invalidate('polygon', 'Polygon geofences need at least 3 points');
+  }
+  next();
+});
+
+// Haversine distance in metres
+export const distanceMeters = (a, b) => {
+  const R = 6371000;
+  const dLat = (b.latitude - a.latitude) * Math.PI / 180;
+  const dLon = (b.longitude - a.longitude) * Math.PI / 180;
+  const h =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(a.latitude * Math.PI / 180) * Math.cos(b.latitude * Math.PI / 180) *
+    Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  return R * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+};
+
+// Ray casting; fine for fences a few kilometres across
+export const pointInPolygon = (point, polygon) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    const crosses = (a.latitude > point.latitude) !== (b.latitude > point.latitude) &&
+      point.longitude < (b.longitude - a.longitude) * (point.latitude - a.latitude) / (b.latitude - a.latitude) + a.longitude;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+};
+
+// Shared by stored fences and the temporary ones drawn around pickup points
+export const fenceContains = (fence, point) => {
+  if (fence.type === 'polygon') {
+    return pointInPolygon(point, fence.polygon);
+  }
+  return distanceMeters(fence.center, point) <= fence.radiusMeters;
+};
+
+geofenceSchema.methods.contains = function(latitude, longitude) {
+  return fenceContains(this, { latitude, longitude });
+};
+
+geofenceSchema.index({ isActive: 1 });
+geofenceSchema.index({ branch: 1 });
+
+const Geofence = mongoose.model('Geofence', geofenceSchema);
+
+export default Geofence;
@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+export const GEOFENCE_EVENT_TYPES = ['enter', 'exit', 'dwell'];
+
+const geofenceEventSchema = new mongoose.Schema({
+  truck: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Truck',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: GEOFENCE_EVENT_TYPES,
+    required: true
+  },
+  // 'geofence:<id>' for stored fences, 'pickup:<id>' or 'booking:<id>' for job fences
+  key: {
+    type: String,
+    required: true
+  },
+  name: String,
+  kind: {
+    type: String,
+    enum: ['branch', 'custom', 'pickup', 'booking']
+  },
+  location: {
+    latitude: Number,
+    longitude: Number
+  },
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+geofenceEventSchema.index({ truck: 1, occurredAt: -1 });
+geofenceEventSchema.index({ key: 1, occurredAt: -1 });
+geofenceEventSchema.index({ occurredAt: -1 });
+
+const GeofenceEvent = mongoose.model('GeofenceEvent', geofenceEventSchema);
+
+export default GeofenceEvent;
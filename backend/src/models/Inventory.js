@@ -0,0 +1,215 @@
+import mongoose from 'mongoose';
+import StockMovement from './StockMovement.js';
+
+const stockError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const inventorySchema = new mongoose.Schema({
+  part: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Part',
+    required: true
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: true
+  },
+  quantityOnHand: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  quantityReserved: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Low-stock threshold on the available (unreserved) quantity
+  reorderLevel: {
+    type: Number,
+    default: 5,
+    min: 0
+  },
+  binLocation: {
+    type: String,
+    trim: true
+  },
+  // Open reservations only; consumed and released ones move to the StockMovement ledger
+  reservations: [{
+    sourceType: {
+      type: String,
+      enum: ['ServiceRequest', 'WorkOrder'],
+      required: true
+    },
+    sourceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    // Part line on the service request or work order
+    lineId: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    reservedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reservedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+inventorySchema.virtual('quantityAvailable').get(function() {
+  return this.quantityOnHand - this.quantityReserved;
+});
+
+inventorySchema.methods.isLowStock = function() {
+  return this.quantityAvailable <= this.reorderLevel;
+};
+
+const availableAtLeast = (quantity) => ({
+  $expr: { $gte: [{ $subtract: ['$quantityOnHand', '$quantityReserved'] }, quantity] }
+});
+
+// Reserve stock for a service request or work order line
+inventorySchema.statics.reserve = async function({ part, branch, quantity, sourceType, sourceId, lineId, userId }) {
+  const inventory = await this.findOneAndUpdate(
+    { part, branch, ...availableAtLeast(quantity) },
+    {
+      $inc: { quantityReserved: quantity },
+      $push: { reservations: { sourceType, sourceId, lineId, quantity, reservedBy: userId } }
+    },
+    { new: true }
+  );
+
+  if (!inventory) {
+    throw stockError('Insufficient stock at this branch');
+  }
+
+  await StockMovement.create({
+    inventory: inventory._id,
+    part,
+    branch,
+    type: 'reserve',
+    quantity,
+    sourceType,
+    sourceId,
+    performedBy: userId
+  });
+
+  return inventory;
+};
+
+// Consume or release the open reservations of a source (optionally a single line)
+inventorySchema.statics.settle = async function(action, { sourceType, sourceId, lineId, userId }) {
+  const match = { sourceType, sourceId };
+  if (lineId) match.lineId = lineId;
+
+  const inventories = await this.find({ reservations: { $elemMatch: match } });
+  const settled = [];
+
+  for (const inventory of inventories) {
+    const reservations = inventory.reservations.filter(r =>
+      r.sourceType === sourceType &&
+      r.sourceId.toString() === sourceId.toString() &&
+      (!lineId || (r.lineId && r.lineId.toString() === lineId.toString()))
+    );
+
+    for (const reservation of reservations) {
+      const inc = action === 'consume'
+        ? { quantityReserved: -reservation.quantity, quantityOnHand: -reservation.quantity }
+        : { quantityReserved: -reservation.quantity };
+
+      // Matching on the reservation id keeps each reservation from being settled twice
+      const updated = await this.findOneAndUpdate(
+        { _id: inventory._id, 'reservations._id': reservation._id },
+        { $inc: inc, $pull: { reservations: { _id: reservation._id } } },
+        { new: true }
+      );
+      if (!updated) continue;
+
+      await StockMovement.create({
+        inventory: inventory._id,
+        part: inventory.part,
+        branch: inventory.branch,
+        type: action,
+        quantity: reservation.quantity,
+        sourceType,
+        sourceId,
+        performedBy: userId
+      });
+      settled.push(updated);
+    }
+  }
+
+  return settled;
+};
+
+inventorySchema.statics.consume = function(source) {
+  return this.settle('consume', source);
+};
+
+inventorySchema.statics.release = function(source) {
+  return this.settle('release', source);
+};
+
+// Restock (positive) or write off (negative) stock; never below what is reserved
+inventorySchema.methods.adjust = async function(quantity, { reason, userId } = {}) {
+  const filter = { _id: this._id };
+  if (quantity < 0) {
+    Object.assign(filter, availableAtLeast(-quantity));
+  }
+
+  const updated = await this.constructor.findOneAndUpdate(
+    filter,
+    { $inc: { quantityOnHand: quantity } },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw stockError('Adjustment would take stock below the reserved quantity');
+  }
+
+  await StockMovement.create({
+    inventory: this._id,
+    part: this.part,
+    branch: this.branch,
+    type: quantity > 0 ? 'restock' : 'adjustment',
+    quantity,
+    reason,
+    performedBy: userId
+  });
+
+  return updated;
+};
+
+// Stock records at or below their reorder level
+inventorySchema.statics.findLowStock = function(filter = {}) {
+  return this.find({
+    ...filter,
+    $expr: { $lte: [{ $subtract: ['$quantityOnHand', '$quantityReserved'] }, '$reorderLevel'] }
+  });
+};
+
+// Indexes
+inventorySchema.index({ part: 1, branch: 1 }, { unique: true });
+inventorySchema.index({ branch: 1 });
+inventorySchema.index({ 'reservations.sourceType': 1, 'reservations.sourceId': 1 });
+
+const Inventory = mongoose.model('Inventory', inventorySchema);
+
+export default Inventory;
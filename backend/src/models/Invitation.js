@@ -0,0 +1,142 @@
+import mongoose from 'mongoose';
+import jwt from 'jsonwebtoken';
+import { ROLES } from './Role.js';
+import { getJwtSecret } from '../services/authTokens.js';
+
+// Staff roles that can be handed out by invitation; super admins are never invited
+export const INVITABLE_ROLES = ROLES.filter(role => !['user', 'super_admin'].includes(role));
+
+const INVITATION_EXPIRES_IN = process.env.INVITATION_EXPIRES_IN || '7d';
+
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: INVITABLE_ROLES,
+    required: true
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    default: null
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedAt: {
+    type: Date
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+invitationSchema.virtual('status').get(function() {
+  if (this.acceptedAt) return 'accepted';
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= new Date()) return 'expired';
+  return 'pending';
+});
+
+const invitationError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Create an invitation and its signed token. Earlier pending invitations for
+// the same email are revoked so only the latest link works.
+invitationSchema.statics.issue = async function({ email, role, branch = null, invitedBy }) {
+  const token = jwt.sign(
+    { type: 'invitation', invitationId: new mongoose.Types.ObjectId().toString() },
+    getJwtSecret(),
+    { expiresIn: INVITATION_EXPIRES_IN }
+  );
+  const { invitationId, exp } = jwt.decode(token);
+
+  await this.updateMany(
+    { email: email.toLowerCase(), acceptedAt: null, revokedAt: null },
+    { revokedAt: new Date(), revokedBy: invitedBy }
+  );
+
+  const invitation = await this.create({
+    _id: invitationId,
+    email,
+    role,
+    branch,
+    invitedBy,
+    expiresAt: new Date(exp * 1000)
+  });
+
+  return { invitation, token };
+};
+
+// Resolve a token to a pending invitation, or throw a 400 explaining why it can't be used
+invitationSchema.statics.findByToken = async function(token) {
+  let payload;
+  try {
+    payload = jwt.verify(token, getJwtSecret());
+  } catch (error) {
+    throw invitationError(error.name === 'TokenExpiredError'
+      ? 'This invitation has expired'
+      : 'Invalid invitation link');
+  }
+
+  if (payload.type !== 'invitation') {
+    throw invitationError('Invalid invitation link');
+  }
+
+  const invitation = await this.findById(payload.invitationId).populate('branch', 'name code');
+  if (!invitation) {
+    throw invitationError('Invalid invitation link');
+  }
+  if (invitation.status !== 'pending') {
+    throw invitationError(`This invitation has been ${invitation.status === 'accepted' ? 'used' : invitation.status}`);
+  }
+
+  return invitation;
+};
+
+invitationSchema.methods.accept = function(user) {
+  this.acceptedAt = new Date();
+  this.acceptedBy = user._id;
+  return this.save();
+};
+
+invitationSchema.methods.revoke = function(userId) {
+  this.revokedAt = new Date();
+  this.revokedBy = userId;
+  return this.save();
+};
+
+// Indexes
+invitationSchema.index({ email: 1, createdAt: -1 });
+invitationSchema.index({ invitedBy: 1 });
+invitationSchema.index({ expiresAt: 1 });
+
+const Invitation = mongoose.model('Invitation', invitationSchema);
+
+export default Invitation;
@@ -0,0 +1,181 @@
+import mongoose from 'mongoose';
+import Counter from './Counter.js';
+
+export const INVOICE_TYPES = ['invoice', 'credit_note'];
+
+const NUMBER_PREFIXES = {
+  invoice: 'INV',
+  credit_note: 'CN'
+};
+// A claim to number a document that is older than this was left by a process that died
+const NUMBERING_CLAIM_EXPIRES_MS = 60 * 1000;
+// How long a caller that lost the claim waits for the winner's number
+const NUMBERING_WAIT_MS = 5000;
+const NUMBERING_POLL_MS = 100;
+
+const lineSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: true
+  },
+  quantity: Number,
+  unitPrice: Number,
+  // VAT included, like the prices customers are quoted
+  amount: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+const partySchema = new mongoose.Schema({
+  name: String,
+  companyName: String,
+  taxPin: String,
+  address: String,
+  email: String,
+  phone: String
+}, { _id: false });
+
+// An invoice for a completed booking, or a credit note for money refunded against one. Both are
+// issued once and never edited; the parties are copied in as they were at the time.
+const invoiceSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: INVOICE_TYPES,
+    default: 'invoice'
+  },
+  // Given once the document has been claimed, e.g. INV-NBO-000042; see assignNumber
+  number: {
+    type: String
+  },
+  // Set by the one caller drawing the number, so concurrent callers don't draw one each
+  numberingClaimedAt: Date,
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    default: null
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  // Credit notes: the invoice credited, and the refund they record
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  refundReference: String,
+  reason: String,
+  seller: partySchema,
+  billTo: partySchema,
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    required: true
+  },
+  lines: [lineSchema],
+  vatRate: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // total = subtotal + vatAmount
+  subtotal: {
+    type: Number,
+    required: true
+  },
+  vatAmount: {
+    type: Number,
+    required: true
+  },
+  total: {
+    type: Number,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+const numberingError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Number a claimed document from its branch's sequence (one per type), unless it already has one.
+// Only the caller that claims the numbering draws from the sequence; the others wait for its
+// number. A caller taking over an expired claim gets the number the first one drew, so a number
+// is never drawn and thrown away.
+invoiceSchema.methods.assignNumber = async function(branchCode) {
+  if (this.number) return this;
+
+  const now = new Date();
+  const claimed = await this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      number: null,
+      $or: [
+        { numberingClaimedAt: null },
+        { numberingClaimedAt: { $lt: new Date(now.getTime() - NUMBERING_CLAIM_EXPIRES_MS) } }
+      ]
+    },
+    { numberingClaimedAt: now }
+  );
+  if (!claimed) {
+    const number = await this.constructor.waitForNumber(this._id);
+    if (!number) {
+      throw numberingError('This document is still being numbered; try again', 503);
+    }
+    this.number = number;
+    return this;
+  }
+
+  const counterKey = `${this.type}:${branchCode}`;
+  const sequence = await Counter.draw(counterKey, this._id);
+  const number = `${NUMBER_PREFIXES[this.type]}-${branchCode}-${sequence.toString().padStart(6, '0')}`;
+
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, number: null },
+    { number, $unset: { numberingClaimedAt: 1 } },
+    { new: true }
+  );
+  this.number = updated ? updated.number : (await this.constructor.findById(this._id)).number;
+  await Counter.release(counterKey, this._id);
+  return this;
+};
+
+// The number another caller is giving a document, or undefined if it doesn't arrive in time
+invoiceSchema.statics.waitForNumber = async function(id) {
+  const deadline = Date.now() + NUMBERING_WAIT_MS;
+  while (Date.now() < deadline) {
+    const document = await this.findById(id).select('number');
+    if (!document || document.number) return document?.number;
+    await new Promise(resolve => setTimeout(resolve, NUMBERING_POLL_MS));
+  }
+  return undefined;
+};
+
+invoiceSchema.index({ number: 1 }, { unique: true, partialFilterExpression: { number: { $type: 'string' } } });
+// One invoice per booking, one credit note per refund
+invoiceSchema.index({ booking: 1 }, { unique: true, partialFilterExpression: { type: 'invoice' } });
+invoiceSchema.index({ refundReference: 1 }, { unique: true, partialFilterExpression: { refundReference: { $type: 'string' } } });
+invoiceSchema.index({ customer: 1, issuedAt: -1 });
+invoiceSchema.index({ branch: 1, issuedAt: -1 });
+
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+
+export default Invoice;
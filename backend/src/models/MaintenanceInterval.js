@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+import { SERVICE_TYPES } from './ServiceRequest.js';
+
+// Default preventive maintenance intervals; entries stored in the collection override these
+export const DEFAULT_INTERVALS = {
+  [SERVICE_TYPES.ROUTINE_3000KM]: { distanceKm: 3000, months: 3 },
+  [SERVICE_TYPES.OIL_CHANGE]: { distanceKm: 5000, months: 6 },
+  [SERVICE_TYPES.BRAKE_REPAIR]: { distanceKm: 20000, months: 12 },
+  [SERVICE_TYPES.TIRE_REPLACEMENT]: { distanceKm: 40000, months: 36 },
+  [SERVICE_TYPES.TRANSMISSION_SERVICE]: { distanceKm: 60000, months: 24 },
+  [SERVICE_TYPES.AC_REPAIR]: { distanceKm: null, months: 12 }
+};
+
+const maintenanceIntervalSchema = new mongoose.Schema({
+  serviceType: {
+    type: String,
+    enum: Object.values(SERVICE_TYPES),
+    required: true,
+    unique: true
+  },
+  // Either limit may be null to schedule by distance or date only
+  distanceKm: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  months: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  // How early a reminder is raised before the service falls due
+  dueSoonKm: {
+    type: Number,
+    min: 0,
+    default: 500
+  },
+  dueSoonDays: {
+    type: Number,
+    min: 0,
+    default: 14
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Merge stored overrides onto the defaults and return the schedule
+maintenanceIntervalSchema.statics.getActiveIntervals = async function({ includeInactive = false } = {}) {
+  const overrides = await this.find().lean();
+  const intervals = Object.entries(DEFAULT_INTERVALS).map(([serviceType, limits]) => ({
+    serviceType,
+    dueSoonKm: 500,
+    dueSoonDays: 14,
+    isActive: true,
+    ...limits
+  }));
+
+  overrides.forEach(override => {
+    const index = intervals.findIndex(i => i.serviceType === override.serviceType);
+    if (index === -1) {
+      intervals.push(override);
+    } else {
+      intervals[index] = { ...intervals[index], ...override };
+    }
+  });
+
+  if (includeInactive) return intervals;
+  return intervals.filter(i => i.isActive && (i.distanceKm || i.months));
+};
+
+const MaintenanceInterval = mongoose.model('MaintenanceInterval', maintenanceIntervalSchema);
+
+export default MaintenanceInterval;
@@ -0,0 +1,84 @@
+import mongoose from 'mongoose';
+import { SERVICE_TYPES } from './ServiceRequest.js';
+
+const maintenanceReminderSchema = new mongoose.Schema({
+  vehicle: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle',
+    required: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  serviceType: {
+    type: String,
+    enum: Object.values(SERVICE_TYPES),
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['due', 'overdue', 'completed', 'dismissed'],
+    default: 'due'
+  },
+  // Service the reminder counts from; one reminder per vehicle, service type and cycle
+  cycleStart: {
+    type: Date,
+    required: true
+  },
+  dueDate: {
+    type: Date
+  },
+  dueOdometer: {
+    type: Number
+  },
+  odometerAtCheck: {
+    type: Number
+  },
+  read: {
+    type: Boolean,
+    default: false
+  },
+  notifiedAt: {
+    type: Date
+  },
+  resolvedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Human-readable title and message for notifications (pass the vehicle when it isn't populated)
+maintenanceReminderSchema.methods.toNotification = function(vehicle = this.vehicle) {
+  const vehicleName = vehicle && vehicle.make
+    ? `${vehicle.make} ${vehicle.model} (${vehicle.licensePlate})`
+    : 'your vehicle';
+
+  const limits = [];
+  if (this.dueOdometer) limits.push(`at ${Math.round(this.dueOdometer).toLocaleString()} km`);
+  if (this.dueDate) limits.push(`by ${this.dueDate.toDateString()}`);
+
+  return {
+    reminderId: this._id,
+    vehicleId: vehicle?._id || vehicle,
+    serviceType: this.serviceType,
+    status: this.status,
+    title: this.status === 'overdue' ? `${this.serviceType} Overdue` : `${this.serviceType} Due`,
+    message: `${this.serviceType} for ${vehicleName} ${this.status === 'overdue' ? 'was due' : 'is due'} ${limits.join(' or ')}. Book your service today!`,
+    dueDate: this.dueDate,
+    dueOdometer: this.dueOdometer,
+    read: this.read,
+    timestamp: this.notifiedAt || this.updatedAt
+  };
+};
+
+// Indexes
+maintenanceReminderSchema.index({ vehicle: 1, serviceType: 1, cycleStart: 1 }, { unique: true });
+maintenanceReminderSchema.index({ owner: 1, status: 1 });
+maintenanceReminderSchema.index({ status: 1 });
+
+const MaintenanceReminder = mongoose.model('MaintenanceReminder', maintenanceReminderSchema);
+
+export default MaintenanceReminder;
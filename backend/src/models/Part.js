@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+import { SERVICE_TYPES } from './ServiceRequest.js';
+
+const partSchema = new mongoose.Schema({
+  partNumber: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  category: {
+    type: String,
+    enum: ['engine', 'brakes', 'transmission', 'tires', 'electrical', 'ac', 'fluids', 'filters', 'body', 'other'],
+    default: 'other'
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  // Service types this part is normally used for (drives the suggested parts list)
+  serviceTypes: [{
+    type: String,
+    enum: Object.values(SERVICE_TYPES)
+  }],
+  unit: {
+    type: String,
+    enum: ['piece', 'set', 'litre', 'kg', 'metre'],
+    default: 'piece'
+  },
+  unitCost: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'KES'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Catalogue parts for a service type
+partSchema.statics.findForServiceType = function(serviceType) {
+  return this.find({ serviceTypes: serviceType, isActive: true }).sort({ name: 1 });
+};
+
+// Indexes
+partSchema.index({ name: 1 });
+partSchema.index({ serviceTypes: 1 });
+partSchema.index({ category: 1 });
+
+const Part = mongoose.model('Part', partSchema);
+
+export default Part;
@@ -0,0 +1,157 @@
+import mongoose from 'mongoose';
+
+export const PAYMENT_PROVIDERS = ['stripe', 'mpesa'];
+export const PAYMENT_STATUSES = ['pending', 'processing', 'succeeded', 'failed', 'cancelled', 'partially_refunded', 'refunded'];
+// Statuses in which money has been taken (some of it may have gone back since)
+export const PAID_STATUSES = ['succeeded', 'partially_refunded', 'refunded'];
+// Statuses a new attempt may still replace
+export const OPEN_STATUSES = ['pending', 'processing'];
+
+const refundSchema = new mongoose.Schema({
+  providerReference: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed', 'cancelled'],
+    default: 'pending'
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Idempotency-Key of the refund request that made it, so a retry returns it
+  idempotencyKey: String
+}, {
+  timestamps: true
+});
+
+const paymentSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // What is being paid for: one booking or one service request
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    default: null
+  },
+  serviceRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ServiceRequest',
+    default: null
+  },
+  amount: {
+    type: Number, // in major units, e.g. 1500.50 KES
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    required: true
+  },
+  provider: {
+    type: String,
+    enum: PAYMENT_PROVIDERS,
+    required: true
+  },
+  // The provider's id for the payment (a Stripe PaymentIntent id, an M-Pesa CheckoutRequestID)
+  providerReference: {
+    type: String
+  },
+  // The provider's receipt for money taken (the M-Pesa transaction code)
+  receiptNumber: String,
+  // The phone prompted for an M-Pesa payment, as 2547XXXXXXXX
+  phoneNumber: String,
+  status: {
+    type: String,
+    enum: PAYMENT_STATUSES,
+    default: 'pending'
+  },
+  // Sent by the client; repeating a request with the same key returns the same payment
+  idempotencyKey: {
+    type: String,
+    required: true
+  },
+  amountRefunded: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  refunds: [refundSchema],
+  failureMessage: String,
+  paidAt: Date,
+  // When the provider was last asked for the payment's status
+  lastCheckedAt: Date
+}, {
+  timestamps: true
+});
+
+paymentSchema.pre('validate', function(next) {
+  if (!this.booking === !this.serviceRequest) {
+    this.invalidate('booking', 'A payment is for either a booking or a service request');
+  }
+  next();
+});
+
+// Amount still refundable
+paymentSchema.methods.getRefundableAmount = function() {
+  if (!PAID_STATUSES.includes(this.status)) return 0;
+  const pending = this.refunds
+    .filter(refund => refund.status === 'pending')
+    .reduce((sum, refund) => sum + refund.amount, 0);
+  return Math.max(0, Math.round((this.amount - this.amountRefunded - pending) * 100) / 100);
+};
+
+// Recompute amountRefunded and the refund status from the refund records
+paymentSchema.methods.applyRefunds = function() {
+  const refunded = this.refunds
+    .filter(refund => refund.status === 'succeeded')
+    .reduce((sum, refund) => sum + refund.amount, 0);
+  this.amountRefunded = Math.round(refunded * 100) / 100;
+
+  if (!PAID_STATUSES.includes(this.status)) return;
+  if (this.amountRefunded >= this.amount) {
+    this.status = 'refunded';
+  } else {
+    this.status = this.amountRefunded > 0 ? 'partially_refunded' : 'succeeded';
+  }
+};
+
+// Money kept for a booking or service request: what was paid less what was refunded
+paymentSchema.statics.getAmountPaid = async function(target) {
+  const [result] = await this.aggregate([
+    { $match: { ...target, status: { $in: PAID_STATUSES } } },
+    { $group: { _id: null, total: { $sum: { $subtract: ['$amount', '$amountRefunded'] } } } }
+  ]);
+  return Math.round((result?.total || 0) * 100) / 100;
+};
+
+paymentSchema.index({ customer: 1, idempotencyKey: 1 }, { unique: true });
+paymentSchema.index(
+  { provider: 1, providerReference: 1 },
+  { unique: true, partialFilterExpression: { providerReference: { $exists: true } } }
+);
+paymentSchema.index({ booking: 1 });
+paymentSchema.index({ serviceRequest: 1 });
+paymentSchema.index({ 'refunds.providerReference': 1 });
+paymentSchema.index({ createdAt: -1 });
+paymentSchema.index({ status: 1, createdAt: 1 });
+paymentSchema.index({ updatedAt: 1 });
+
+const Payment = mongoose.model('Payment', paymentSchema);
+
+export default Payment;
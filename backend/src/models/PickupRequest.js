@@ -0,0 +1,119 @@
+import mongoose from 'mongoose';
+
+export const PICKUP_STATUSES = ['pending', 'dispatched', 'en-route', 'at-location', 'completed', 'cancelled'];
+
+// Why a truck ranked where it did, kept so dispatch decisions can be explained later
+const dispatchCandidateSchema = new mongoose.Schema({
+  truck: { type: mongoose.Schema.Types.ObjectId, ref: 'Truck', required: true },
+  score: Number,
+  distanceKm: Number,
+  reasons: [String]
+}, { _id: false });
+
+const dispatchOfferSchema = new mongoose.Schema({
+  truck: { type: mongoose.Schema.Types.ObjectId, ref: 'Truck', required: true },
+  score: Number,
+  distanceKm: Number,
+  reasons: [String],
+  offeredAt: { type: Date, default: Date.now },
+  // Manual assignments have no expiry
+  expiresAt: Date,
+  respondedAt: Date,
+  outcome: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'timeout', 'cancelled'],
+    default: 'pending'
+  },
+  declineReason: String,
+  assignedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+});
+
+const pickupRequestSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  userName: { type: String, required: true },
+  userPhone: String,
+  pickupLocation: {
+    latitude: { type: Number, required: true },
+    longitude: { type: Number, required: true },
+    address: String
+  },
+  // Branch whose fleet and dispatch mode handle the request (nearest branch at creation)
+  branch: { type: mongoose.Schema.Types.ObjectId, ref: 'Branch', default: null },
+  requiredCapacityTons: { type: Number, min: 0 },
+  status: {
+    type: String,
+    enum: PICKUP_STATUSES,
+    default: 'pending'
+  },
+  assignedTruck: { type: mongoose.Schema.Types.ObjectId, ref: 'Truck' },
+  requestTime: { type: Date, default: Date.now },
+  dispatchTime: Date,
+  completionTime: Date,
+  notes: String,
+  // Set when the pickup was raised from an approved Vehicle Pickup service request
+  serviceRequest: { type: mongoose.Schema.Types.ObjectId, ref: 'ServiceRequest', default: null },
+  // Latest estimate from services/eta.js, refreshed on every truck position
+  eta: {
+    arrivalAt: Date,
+    distanceKm: Number,
+    durationMinutes: Number,
+    averageSpeedKmh: Number,
+    provider: String,
+    computedAt: Date
+  },
+  dispatch: {
+    mode: { type: String, enum: ['manual', 'suggest', 'auto'], default: 'manual' },
+    status: {
+      type: String,
+      enum: ['waiting', 'suggested', 'offered', 'assigned', 'exhausted', 'cancelled'],
+      default: 'waiting'
+    },
+    suggestions: [dispatchCandidateSchema],
+    offers: [dispatchOfferSchema]
+  }
+}, { timestamps: true });
+
+pickupRequestSchema.methods.getPendingOffer = function() {
+  return this.dispatch.offers.find(offer => offer.outcome === 'pending') || null;
+};
+
+// Trucks that were already offered this request and should not be asked again
+pickupRequestSchema.methods.getOfferedTruckIds = function() {
+  return this.dispatch.offers.map(offer => offer.truck.toString());
+};
+
+// Close a pending offer atomically; returns null if it was already answered or expired
+pickupRequestSchema.statics.closeOffer = function(requestId, offerId, outcome, extra = {}) {
+  const update = {
+    'dispatch.offers.$.outcome': outcome,
+    'dispatch.offers.$.respondedAt': new Date()
+  };
+  if (extra.declineReason) {
+    update['dispatch.offers.$.declineReason'] = extra.declineReason;
+  }
+
+  return this.findOneAndUpdate(
+    { _id: requestId, 'dispatch.offers': { $elemMatch: { _id: offerId, outcome: 'pending' } } },
+    { $set: update },
+    { new: true }
+  );
+};
+
+pickupRequestSchema.statics.findWithExpiredOffers = function(now = new Date()) {
+  return this.find({
+    status: 'pending',
+    'dispatch.offers': { $elemMatch: { outcome: 'pending', expiresAt: { $lte: now } } }
+  });
+};
+
+// Indexes
+pickupRequestSchema.index({ userId: 1, status: 1 });
+pickupRequestSchema.index({ status: 1, createdAt: -1 });
+pickupRequestSchema.index({ branch: 1, status: 1 });
+pickupRequestSchema.index({ assignedTruck: 1, status: 1 });
+pickupRequestSchema.index({ serviceRequest: 1 });
+pickupRequestSchema.index({ 'dispatch.offers.outcome': 1, 'dispatch.offers.expiresAt': 1 });
+
+const PickupRequest = mongoose.model('PickupRequest', pickupRequestSchema);
+
+export default PickupRequest;
@@ -0,0 +1,116 @@
+import mongoose from 'mongoose';
+import { BOOKING_SERVICE_TYPES, BOOKING_PRIORITIES } from './Booking.js';
+import { surchargeRules } from './surchargeRules.js';
+
+const lineItemSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true
+  },
+  description: String,
+  quantity: Number,
+  unitPrice: Number,
+  amount: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+const pointSchema = {
+  address: String,
+  coordinates: {
+    latitude: Number,
+    longitude: Number
+  }
+};
+
+const quoteSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tariff: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tariff',
+    required: true
+  },
+  // What was priced; a booking made from the quote takes these over
+  serviceType: {
+    type: String,
+    enum: BOOKING_SERVICE_TYPES,
+    required: true
+  },
+  priority: {
+    type: String,
+    enum: BOOKING_PRIORITIES,
+    default: 'medium'
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    default: null
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  estimatedDuration: {
+    type: Number, // in hours
+    required: true
+  },
+  route: {
+    origin: pointSchema,
+    destination: pointSchema,
+    waypoints: [{ ...pointSchema, order: Number }]
+  },
+  // Null when the route had no coordinates to measure
+  distanceKm: {
+    type: Number,
+    default: null
+  },
+  cargoWeight: {
+    type: Number, // in kg
+    default: null
+  },
+  rates: {
+    baseRate: Number,
+    distanceRate: Number,
+    timeRate: Number,
+    minimumCharge: Number
+  },
+  surcharges: surchargeRules,
+  lineItems: [lineItemSchema],
+  totalAmount: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'KES'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Set once a booking has locked the quote in; a quote is good for one booking
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+quoteSchema.methods.isExpired = function(at = new Date()) {
+  return this.expiresAt <= at;
+};
+
+quoteSchema.index({ customer: 1, createdAt: -1 });
+// Bookings keep their own copy of the price, so old quotes can go a week after they lapse
+quoteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+const Quote = mongoose.model('Quote', quoteSchema);
+
+export default Quote;
@@ -0,0 +1,115 @@
+import mongoose from 'mongoose';
+
+export const ROLES = ['user', 'admin', 'main_admin', 'super_admin', 'driver', 'mechanic', 'manager'];
+
+// Roles that carry the isAdmin flag
+export const ADMIN_ROLES = ['admin', 'main_admin', 'super_admin'];
+
+export const PERMISSIONS = [
+  'manage_users',
+  'manage_trucks',
+  'manage_branches',
+  'manage_branch',
+  'manage_staff',
+  'manage_bookings',
+  'view_analytics',
+  'view_reports',
+  'update_maintenance',
+  'view_trucks',
+  'update_location',
+  'view_assigned_trucks',
+  'book_service',
+  'view_own_data'
+];
+
+// Seed matrix for roles that have no stored document yet
+export const DEFAULT_ROLE_PERMISSIONS = {
+  super_admin: ['all'],
+  main_admin: ['manage_users', 'manage_trucks', 'manage_branches', 'view_analytics', 'manage_bookings'],
+  admin: ['manage_trucks', 'view_analytics', 'manage_bookings'],
+  manager: ['manage_branch', 'manage_staff', 'view_reports'],
+  mechanic: ['update_maintenance', 'view_trucks'],
+  driver: ['update_location', 'view_assigned_trucks'],
+  user: ['book_service', 'view_own_data']
+};
+
+// How long a loaded matrix is trusted before the next request re-reads it
+const CACHE_TTL_MS = parseInt(process.env.ROLE_CACHE_TTL_MS) || 60 * 1000;
+
+let cachedPermissions = null;
+let cachedAt = 0;
+
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    enum: ROLES,
+    required: true,
+    unique: true
+  },
+  permissions: [{
+    type: String,
+    enum: [...PERMISSIONS, 'all']
+  }],
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+roleSchema.post('save', function() {
+  this.constructor.invalidateCache();
+});
+
+roleSchema.post('findOneAndUpdate', function() {
+  this.model.invalidateCache();
+});
+
+// Permissions for a role from the last loaded matrix (defaults until the first load)
+roleSchema.statics.getPermissionsFor = function(role) {
+  const matrix = cachedPermissions || DEFAULT_ROLE_PERMISSIONS;
+  return matrix[role] || [];
+};
+
+// Refresh the in-memory matrix from the collection when it has gone stale
+roleSchema.statics.loadPermissions = async function({ force = false } = {}) {
+  if (!force && cachedPermissions && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cachedPermissions;
+  }
+
+  const roles = await this.find().lean();
+  const matrix = { ...DEFAULT_ROLE_PERMISSIONS };
+  roles.forEach(role => {
+    matrix[role.name] = role.permissions;
+  });
+
+  cachedPermissions = matrix;
+  cachedAt = Date.now();
+  return matrix;
+};
+
+roleSchema.statics.invalidateCache = function() {
+  cachedAt = 0;
+};
+
+// Store the default matrix for any role that isn't in the collection yet
+roleSchema.statics.seedDefaults = async function() {
+  await Promise.all(Object.entries(DEFAULT_ROLE_PERMISSIONS).map(([name, permissions]) =>
+    this.updateOne(
+      { name },
+      { $setOnInsert: { name, permissions } },
+      { upsert: true }
+    )
+  ));
+  return this.loadPermissions({ force: true });
+};
+
+const Role = mongoose.model('Role', roleSchema);
+
+export default Role;
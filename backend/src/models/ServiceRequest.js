@@ -0,0 +1,299 @@
+import mongoose from 'mongoose';
+
+// Service catalogue shared with the frontend ServiceContext
+export const SERVICE_TYPES = {
+  BRAKE_REPAIR: 'Brake Repair',
+  ROUTINE_3000KM: '3000km Routine Maintenance',
+  VEHICLE_PICKUP: 'Vehicle Pickup',
+  OIL_CHANGE: 'Oil Change',
+  TIRE_REPLACEMENT: 'Tire Replacement',
+  ENGINE_DIAGNOSTIC: 'Engine Diagnostic',
+  TRANSMISSION_SERVICE: 'Transmission Service',
+  AC_REPAIR: 'AC Repair'
+};
+
+// Parts usually needed for each service type
+export const SPARE_PARTS = {
+  BRAKE_REPAIR: ['Brake Pads', 'Brake Discs', 'Brake Fluid'],
+  ROUTINE_3000KM: ['Engine Oil', 'Oil Filter', 'Air Filter'],
+  OIL_CHANGE: ['Engine Oil', 'Oil Filter'],
+  TIRE_REPLACEMENT: ['Tires', 'Wheel Alignment'],
+  ENGINE_DIAGNOSTIC: ['Spark Plugs', 'Engine Oil'],
+  TRANSMISSION_SERVICE: ['Transmission Fluid', 'Transmission Filter'],
+  AC_REPAIR: ['AC Refrigerant', 'AC Filter', 'AC Compressor']
+};
+
+// Where a request can go from each status. Rejected, completed and cancelled requests are
+// closed: completing one again would use its parts and record the service a second time.
+const STATUS_TRANSITIONS = {
+  pending: ['approved', 'rejected', 'in_progress', 'completed', 'cancelled'],
+  approved: ['in_progress', 'completed', 'cancelled'],
+  in_progress: ['completed', 'cancelled'],
+  rejected: [],
+  completed: [],
+  cancelled: []
+};
+
+const serviceRequestSchema = new mongoose.Schema({
+  requestNumber: {
+    type: String,
+    unique: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  vehicle: {
+    // Registered vehicle, when the request was raised from the customer's registry
+    vehicleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Vehicle'
+    },
+    description: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 200
+    },
+    make: {
+      type: String,
+      trim: true
+    },
+    model: {
+      type: String,
+      trim: true
+    },
+    year: {
+      type: Number
+    },
+    licensePlate: {
+      type: String,
+      trim: true,
+      uppercase: true
+    }
+  },
+  serviceType: {
+    type: String,
+    enum: Object.values(SERVICE_TYPES),
+    required: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  spareParts: [{
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    // Catalogue part, set once stock has been reserved at the request's branch
+    part: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Part'
+    },
+    quantity: {
+      type: Number,
+      default: 1,
+      min: 1
+    },
+    status: {
+      type: String,
+      enum: ['suggested', 'confirmed', 'used'],
+      default: 'suggested'
+    }
+  }],
+  priority: {
+    type: String,
+    enum: ['low', 'normal', 'high', 'emergency'],
+    default: 'normal'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'in_progress', 'completed', 'cancelled'],
+    default: 'pending'
+  },
+  preferredDate: {
+    type: Date
+  },
+  contactNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  assignedMechanic: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    default: null
+  },
+  trackingEnabled: {
+    type: Boolean,
+    default: false
+  },
+  // Where a Vehicle Pickup truck should go; approval turns it into a PickupRequest
+  pickupLocation: {
+    latitude: { type: Number, min: -90, max: 90 },
+    longitude: { type: Number, min: -180, max: 180 },
+    address: { type: String, trim: true }
+  },
+  pickupRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PickupRequest',
+    default: null
+  },
+  // The price set by staff, which the customer pays online
+  charges: {
+    amount: {
+      type: Number,
+      min: 0
+    },
+    currency: {
+      type: String,
+      uppercase: true,
+      default: 'KES'
+    }
+  },
+  // Kept in step with the request's payments
+  payment: {
+    status: {
+      type: String,
+      enum: ['unpaid', 'partially_paid', 'paid'],
+      default: 'unpaid'
+    },
+    amountPaid: {
+      type: Number,
+      default: 0
+    },
+    paidAt: Date
+  },
+  estimatedCompletion: {
+    type: Date
+  },
+  estimatedArrival: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  },
+  adminNotes: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  timeline: [{
+    status: String,
+    timestamp: {
+      type: Date,
+      default: Date.now
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    notes: String
+  }]
+}, {
+  timestamps: true
+});
+
+// Generate request number (SRyymm0001) and fill defaults for new requests
+serviceRequestSchema.pre('validate', async function(next) {
+  if (!this.isNew) return next();
+
+  try {
+    if (!this.requestNumber) {
+      const date = new Date();
+      const year = date.getFullYear().toString().slice(-2);
+      const month = (date.getMonth() + 1).toString().padStart(2, '0');
+
+      const latestRequest = await this.constructor.findOne({
+        requestNumber: new RegExp(`^SR${year}${month}`)
+      }).sort({ requestNumber: -1 });
+
+      let sequence = 1;
+      if (latestRequest) {
+        sequence = parseInt(latestRequest.requestNumber.slice(-4)) + 1;
+      }
+
+      this.requestNumber = `SR${year}${month}${sequence.toString().padStart(4, '0')}`;
+    }
+
+    if (this.spareParts.length === 0) {
+      // Prefer the parts catalogue, falling back to the built-in suggestions
+      const catalogParts = await mongoose.model('Part').findForServiceType(this.serviceType);
+      this.spareParts = catalogParts.length > 0
+        ? catalogParts.map(part => ({ name: part.name }))
+        : this.constructor.getSuggestedParts(this.serviceType).map(name => ({ name }));
+    }
+
+    this.trackingEnabled = this.serviceType === SERVICE_TYPES.VEHICLE_PICKUP;
+
+    if (!this.estimatedCompletion) {
+      this.estimatedCompletion = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    }
+
+    if (this.timeline.length === 0) {
+      this.timeline.push({ status: this.status, updatedBy: this.customer });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update status with timeline
+serviceRequestSchema.methods.updateStatus = function(newStatus, updatedBy, notes = '') {
+  this.status = newStatus;
+
+  if (newStatus === 'approved' && this.trackingEnabled && !this.estimatedArrival) {
+    this.estimatedArrival = new Date(Date.now() + 2 * 60 * 60 * 1000);
+  }
+  if (newStatus === 'completed') {
+    this.completedAt = new Date();
+  }
+
+  this.timeline.push({
+    status: newStatus,
+    updatedBy,
+    notes,
+    timestamp: new Date()
+  });
+  return this.save();
+};
+
+serviceRequestSchema.methods.canTransitionTo = function(status) {
+  return STATUS_TRANSITIONS[this.status].includes(status);
+};
+
+// Customers may only edit or cancel requests that have not been actioned yet
+serviceRequestSchema.methods.canBeModifiedByCustomer = function() {
+  return this.status === 'pending';
+};
+
+// Look up suggested parts by service type display name
+serviceRequestSchema.statics.getSuggestedParts = function(serviceType) {
+  const key = Object.keys(SERVICE_TYPES).find(k => SERVICE_TYPES[k] === serviceType);
+  return (key && SPARE_PARTS[key]) || [];
+};
+
+// Indexes
+serviceRequestSchema.index({ customer: 1 });
+serviceRequestSchema.index({ 'vehicle.vehicleId': 1 });
+serviceRequestSchema.index({ status: 1 });
+serviceRequestSchema.index({ serviceType: 1 });
+serviceRequestSchema.index({ priority: 1 });
+serviceRequestSchema.index({ assignedMechanic: 1 });
+serviceRequestSchema.index({ branch: 1 });
+serviceRequestSchema.index({ createdAt: -1 });
+
+const ServiceRequest = mongoose.model('ServiceRequest', serviceRequestSchema);
+
+export default ServiceRequest;
@@ -0,0 +1,185 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+// Old refresh tokens remembered per session for reuse detection
+const MAX_PREVIOUS_TOKENS = 20;
+// How long the token just rotated out is turned away without revoking the session, so a
+// second tab that refreshed at the same moment isn't mistaken for a stolen token
+const DEFAULT_REUSE_GRACE_SECONDS = 30;
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const sessionError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 401;
+  return error;
+};
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Hash of the only refresh token currently valid for this session
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  previousTokenHashes: {
+    type: [String],
+    select: false
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  ipAddress: {
+    type: String
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  rotatedAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'reuse_detected', 'password_reset']
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Refresh tokens are "<sessionId>.<secret>"; only the secret's hash is stored
+sessionSchema.methods.issueRefreshToken = function() {
+  const secret = crypto.randomBytes(48).toString('hex');
+  if (this.tokenHash) {
+    this.previousTokenHashes = [...(this.previousTokenHashes || []), this.tokenHash].slice(-MAX_PREVIOUS_TOKENS);
+  }
+  this.tokenHash = hashToken(secret);
+  return `${this._id}.${secret}`;
+};
+
+// Swap the presented refresh token for a new one. The write only lands if the token is still
+// current, so of two concurrent refreshes with the same token exactly one wins.
+sessionSchema.methods.rotate = async function(req) {
+  const presentedHash = this.tokenHash;
+  const refreshToken = this.issueRefreshToken();
+  this.lastUsedAt = new Date();
+  this.rotatedAt = this.lastUsedAt;
+  if (req) {
+    this.userAgent = req.get('user-agent') || this.userAgent;
+    this.ipAddress = req.ip;
+  }
+
+  const rotated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, tokenHash: presentedHash, revokedAt: null },
+    {
+      $set: {
+        tokenHash: this.tokenHash,
+        previousTokenHashes: this.previousTokenHashes,
+        lastUsedAt: this.lastUsedAt,
+        rotatedAt: this.rotatedAt,
+        userAgent: this.userAgent,
+        ipAddress: this.ipAddress
+      }
+    }
+  );
+  if (!rotated) {
+    throw sessionError('Refresh token has already been used');
+  }
+  return refreshToken;
+};
+
+sessionSchema.methods.revoke = function(reason = 'revoked') {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// Open a session for a fresh sign-in
+sessionSchema.statics.start = async function(user, req) {
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+  const session = new this({
+    user: user._id,
+    userAgent: req?.get('user-agent'),
+    ipAddress: req?.ip,
+    expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+  });
+  const refreshToken = session.issueRefreshToken();
+  await session.save();
+  return { session, refreshToken };
+};
+
+// Resolve a refresh token to its active session. Presenting a token that was
+// already rotated out means it leaked, so the whole session is revoked.
+sessionSchema.statics.findByRefreshToken = async function(refreshToken) {
+  const [sessionId, secret] = (refreshToken || '').split('.');
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    throw sessionError('Invalid refresh token');
+  }
+
+  const session = await this.findById(sessionId).select('+tokenHash +previousTokenHashes');
+  if (!session) {
+    throw sessionError('Invalid refresh token');
+  }
+
+  const presentedHash = hashToken(secret);
+  if (session.tokenHash !== presentedHash) {
+    const graceSeconds = parseInt(process.env.REFRESH_TOKEN_REUSE_GRACE_SECONDS) || DEFAULT_REUSE_GRACE_SECONDS;
+    const justRotated = session.previousTokenHashes.at(-1) === presentedHash &&
+      Date.now() - session.rotatedAt < graceSeconds * 1000;
+    if (justRotated) {
+      throw sessionError('Refresh token has already been used');
+    }
+    if (session.previousTokenHashes.includes(presentedHash) && !session.revokedAt) {
+      await session.revoke('reuse_detected');
+      console.warn(`Refresh token reuse detected, session ${session._id} revoked`);
+    }
+    throw sessionError('Invalid refresh token');
+  }
+
+  if (!session.isActive()) {
+    throw sessionError('Session has expired. Please sign in again.');
+  }
+
+  return session;
+};
+
+sessionSchema.statics.revokeAllForUser = function(userId, { except = null, reason = 'revoked' } = {}) {
+  return this.updateMany(
+    { user: userId, _id: { $ne: except }, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+sessionSchema.statics.findActiveForUser = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+};
+
+// Indexes
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Drop sessions a week after they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
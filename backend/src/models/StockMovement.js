@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+
+// Ledger of every stock change, kept separately so inventory records stay small
+const stockMovementSchema = new mongoose.Schema({
+  inventory: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inventory',
+    required: true
+  },
+  part: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Part',
+    required: true
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['restock', 'adjustment', 'reserve', 'release', 'consume'],
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true
+  },
+  sourceType: {
+    type: String,
+    enum: ['ServiceRequest', 'WorkOrder']
+  },
+  sourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'sourceType'
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+stockMovementSchema.index({ inventory: 1, createdAt: -1 });
+stockMovementSchema.index({ sourceType: 1, sourceId: 1 });
+stockMovementSchema.index({ branch: 1, createdAt: -1 });
+
+const StockMovement = mongoose.model('StockMovement', stockMovementSchema);
+
+export default StockMovement;
@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+import { BOOKING_SERVICE_TYPES, BOOKING_PRIORITIES } from './Booking.js';
+import { surchargeRules } from './surchargeRules.js';
+
+const tariffSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true
+  },
+  serviceType: {
+    type: String,
+    enum: BOOKING_SERVICE_TYPES,
+    required: true
+  },
+  // Left empty, the tariff covers every branch (or every priority) without a tariff of its own
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    default: null
+  },
+  priority: {
+    type: String,
+    enum: [...BOOKING_PRIORITIES, null],
+    default: null
+  },
+  baseRate: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  distanceRate: {
+    type: Number, // per km
+    min: 0,
+    default: 0
+  },
+  timeRate: {
+    type: Number, // per hour
+    min: 0,
+    default: 0
+  },
+  minimumCharge: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    default: 'KES'
+  },
+  surcharges: surchargeRules,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// The most specific active tariff for a booking: its branch beats any branch, then its priority
+// beats any priority
+tariffSchema.statics.findApplicable = async function({ serviceType, branch = null, priority = null }) {
+  const tariffs = await this.find({
+    serviceType,
+    isActive: true,
+    branch: { $in: branch ? [branch, null] : [null] },
+    priority: { $in: priority ? [priority, null] : [null] }
+  });
+
+  const specificity = (tariff) => (tariff.branch ? 2 : 0) + (tariff.priority ? 1 : 0);
+  return tariffs.sort((a, b) => specificity(b) - specificity(a))[0] || null;
+};
+
+tariffSchema.index({ serviceType: 1, branch: 1, priority: 1 }, { unique: true });
+
+const Tariff = mongoose.model('Tariff', tariffSchema);
+
+export default Tariff;
@@ -1,5 +1,12 @@
 import mongoose from 'mongoose';
 
+const DEFAULT_OFFLINE_AFTER_MINUTES = 15;
+
+// How long a truck may go without reporting before it counts as offline
+export const getOfflineAfterMs = () => {
+  return (parseInt(process.env.TRUCK_OFFLINE_AFTER_MINUTES) || DEFAULT_OFFLINE_AFTER_MINUTES) * 60 * 1000;
+};
+
 const locationSchema = new mongoose.Schema({
   latitude: {
     type: Number,
@@ -30,7 +37,13 @@ const truckSchema = new mongoose.Schema({
     unique: true,
     trim: true
   },
+  // A copy of the driver's details for display; user links the driver's account when they have one
   driver: {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
     name: {
       type: String,
       required: true,
@@ -49,6 +62,17 @@ const truckSchema = new mongoose.Schema({
     licenseNumber: {
       type: String,
       trim: true
+    },
+    // Daily shift in HH:MM in OPERATING_TIMEZONE; an end before the start runs past midnight
+    shift: {
+      start: {
+        type: String,
+        match: /^([01]\d|2[0-3]):[0-5]\d$/
+      },
+      end: {
+        type: String,
+        match: /^([01]\d|2[0-3]):[0-5]\d$/
+      }
     }
   },
   vehicle: {
@@ -86,14 +110,24 @@ const truckSchema = new mongoose.Schema({
     type: locationSchema,
     required: true
   },
-  locationHistory: [{
-    type: locationSchema
-  }],
   assignedRequest: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'PickupRequest',
     default: null
   },
+  // Geofences the truck is inside right now, so enter/exit/dwell can be worked out on the next fix
+  geofenceState: [{
+    _id: false,
+    key: String,
+    name: String,
+    kind: String,
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    enteredAt: Date,
+    dwellNotifiedAt: Date
+  }],
   route: {
     origin: locationSchema,
     destination: locationSchema,
@@ -109,6 +143,11 @@ const truckSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // Set while the watchdog has the truck offline for going silent; cleared when it reports again
+  signalLost: {
+    at: Date,
+    previousStatus: String
+  },
   specifications: {
     fuelType: {
       type: String,
@@ -149,31 +188,17 @@ const truckSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Update location and add to history
-truckSchema.methods.updateLocation = function(latitude, longitude, address = '') {
-  // Add current location to history
-  if (this.currentLocation && this.currentLocation.latitude) {
-    this.locationHistory.push({
-      ...this.currentLocation.toObject(),
-      timestamp: this.currentLocation.timestamp || new Date()
-    });
-  }
-  
-  // Update current location
+// Move the truck to its latest fix; the trail itself lives in TruckTelemetry
+truckSchema.methods.updateLocation = function(latitude, longitude, address = '', timestamp = new Date()) {
   this.currentLocation = {
     latitude,
     longitude,
     address,
-    timestamp: new Date()
+    timestamp
   };
-  
+
   this.lastSeen = new Date();
-  
-  // Keep only last 100 location history entries
-  if (this.locationHistory.length > 100) {
-    this.locationHistory = this.locationHistory.slice(-100);
-  }
-  
+
   return this.save();
 };
 
@@ -182,6 +207,18 @@ truckSchema.methods.isAvailable = function() {
   return this.status === 'available' && this.isActive;
 };
 
+// Only a driver account that has proven it owns its email may stand in for the driver on record
+const canMatchByEmail = (user) => user.role === 'driver' && user.emailVerified === true && !!user.email;
+
+// Drivers are matched to their truck by account, or, for trucks whose driver has no linked
+// account, by the driver email on record
+truckSchema.methods.isDrivenBy = function(user) {
+  if (this.driver.user) {
+    return (this.driver.user._id || this.driver.user).toString() === user._id.toString();
+  }
+  return canMatchByEmail(user) && this.driver.email === user.email;
+};
+
 // Assign truck to a pickup request
 truckSchema.methods.assignToRequest = function(requestId) {
   this.assignedRequest = requestId;
@@ -197,6 +234,41 @@ truckSchema.methods.completeAssignment = function() {
   return this.save();
 };
 
+// Take the truck off the road for a work order
+truckSchema.methods.startMaintenance = function() {
+  this.status = 'maintenance';
+  return this.save();
+};
+
+// Record a completed service and roll the next service date forward
+truckSchema.methods.recordService = function({ date = new Date(), nextService, mileage, note } = {}) {
+  this.maintenance.lastService = date;
+  this.maintenance.nextService = nextService;
+  if (mileage !== undefined && mileage !== null) {
+    this.maintenance.mileage = mileage;
+  }
+  if (note) {
+    this.maintenance.notes.push(note);
+  }
+  return this.save();
+};
+
+// The status a truck goes back to when nothing holds it: available while its linked driver is
+// clocked in, offline while they are off duty. Trucks without a linked driver account are available.
+truckSchema.methods.getIdleStatus = async function() {
+  if (!this.driver?.user) return 'available';
+  const driver = await mongoose.model('User').findById(this.driver.user).select('driverProfile.onDuty');
+  return driver?.driverProfile?.onDuty ? 'available' : 'offline';
+};
+
+// Put the truck back into service once its work orders are finished
+truckSchema.methods.endMaintenance = async function() {
+  if (this.status === 'maintenance') {
+    this.status = await this.getIdleStatus();
+  }
+  return this.save();
+};
+
 // Calculate distance between two points (Haversine formula)
 truckSchema.statics.calculateDistance = function(lat1, lon1, lat2, lon2) {
   const R = 6371; // Earth's radius in kilometers
@@ -210,11 +282,22 @@ truckSchema.statics.calculateDistance = function(lat1, lon1, lat2, lon2) {
   return R * c;
 };
 
-// Find nearest available trucks
+// The active trucks a user drives, matched the same way as isDrivenBy
+truckSchema.statics.findDrivenBy = function(user) {
+  const matches = [{ 'driver.user': user._id }];
+  if (canMatchByEmail(user)) {
+    matches.push({ 'driver.user': null, 'driver.email': user.email });
+  }
+  return this.find({ $or: matches, isActive: true });
+};
+
+// Find nearest available trucks that have reported recently
 truckSchema.statics.findNearestAvailable = function(latitude, longitude, maxDistance = 50) {
   return this.find({
     status: 'available',
-    isActive: true
+    isActive: true,
+    // Silent trucks the watchdog hasn't taken offline yet
+    lastSeen: { $gte: new Date(Date.now() - getOfflineAfterMs()) }
   }).then(trucks => {
     return trucks
       .map(truck => {
@@ -238,6 +321,7 @@ truckSchema.index({ 'vehicle.licensePlate': 1 });
 truckSchema.index({ status: 1 });
 truckSchema.index({ isActive: 1 });
 truckSchema.index({ assignedRequest: 1 });
+truckSchema.index({ 'driver.user': 1 });
 truckSchema.index({ 'currentLocation.latitude': 1, 'currentLocation.longitude': 1 });
 truckSchema.index({ lastSeen: -1 });
 truckSchema.index({ createdAt: -1 });
@@ -0,0 +1,97 @@
+import mongoose from 'mongoose';
+
+export const TELEMETRY_SOURCES = ['device', 'driver-app', 'manual', 'import'];
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+// Raw points are kept for TELEMETRY_RETENTION_DAYS; 0 keeps them forever
+export const getRetentionSeconds = () => {
+  const days = parseFloat(process.env.TELEMETRY_RETENTION_DAYS ?? 90);
+  return Number.isFinite(days) && days > 0 ? Math.round(days * DAY_SECONDS) : null;
+};
+
+const retentionSeconds = getRetentionSeconds();
+
+// One GPS fix per document in a MongoDB time-series collection, bucketed per truck
+const truckTelemetrySchema = new mongoose.Schema({
+  truck: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Truck',
+    required: true
+  },
+  recordedAt: {
+    type: Date,
+    required: true
+  },
+  latitude: {
+    type: Number,
+    required: true,
+    min: -90,
+    max: 90
+  },
+  longitude: {
+    type: Number,
+    required: true,
+    min: -180,
+    max: 180
+  },
+  speed: {
+    type: Number, // km/h
+    min: 0
+  },
+  heading: {
+    type: Number, // degrees clockwise from north
+    min: 0,
+    max: 360
+  },
+  accuracy: {
+    type: Number, // metres
+    min: 0
+  },
+  source: {
+    type: String,
+    enum: TELEMETRY_SOURCES,
+    default: 'device'
+  }
+}, {
+  timeseries: {
+    timeField: 'recordedAt',
+    metaField: 'truck',
+    granularity: 'seconds'
+  },
+  ...(retentionSeconds && { expireAfterSeconds: retentionSeconds }),
+  versionKey: false
+});
+
+// Points for one truck in a time window, oldest first
+truckTelemetrySchema.statics.findTrack = function(truckId, { from, to, limit = 5000 } = {}) {
+  const filter = { truck: truckId };
+  if (from || to) {
+    filter.recordedAt = {};
+    if (from) filter.recordedAt.$gte = from;
+    if (to) filter.recordedAt.$lte = to;
+  }
+
+  return this.find(filter)
+    .select('-_id recordedAt latitude longitude speed heading accuracy source')
+    .sort({ recordedAt: 1 })
+    .limit(limit)
+    .lean();
+};
+
+// Time-series collections only take their expiry at creation; bring an existing one in line
+truckTelemetrySchema.statics.applyRetention = async function() {
+  const seconds = getRetentionSeconds();
+  await this.init();
+  await this.db.db.command({
+    collMod: this.collection.collectionName,
+    expireAfterSeconds: seconds || 'off'
+  });
+  return seconds;
+};
+
+truckTelemetrySchema.index({ truck: 1, recordedAt: -1 });
+
+const TruckTelemetry = mongoose.model('TruckTelemetry', truckTelemetrySchema);
+
+export default TruckTelemetry;
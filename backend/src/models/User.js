@@ -1,5 +1,57 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import Role, { ROLES, ADMIN_ROLES } from './Role.js';
+import {
+  generateSecret,
+  verifyCode,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  hashRecoveryCode
+} from '../services/totp.js';
+
+// Driver accounts only. assignedTruck is kept in step with Truck.driver.user by services/drivers.js.
+const driverProfileSchema = new mongoose.Schema({
+  licenseNumber: {
+    type: String,
+    trim: true
+  },
+  licenseClass: {
+    type: String,
+    trim: true
+  },
+  licenseExpiry: {
+    type: Date
+  },
+  certifications: [{
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    issuedBy: {
+      type: String,
+      trim: true
+    },
+    expiresAt: {
+      type: Date
+    }
+  }],
+  assignedTruck: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Truck',
+    default: null
+  },
+  // Clocked in: the assigned truck is on the road
+  onDuty: {
+    type: Boolean,
+    default: false
+  },
+  clockedInAt: {
+    type: Date
+  }
+}, { _id: false });
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -30,9 +82,10 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin', 'main_admin', 'super_admin', 'driver', 'mechanic', 'manager'],
+    enum: ROLES,
     default: 'user'
   },
+  // Maintained by Vehicle.syncOwnerVehicleCount, do not set by hand
   vehicleCount: {
     type: Number,
     default: 0
@@ -44,6 +97,37 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  // One-time links sent by email; only the sha256 of the token is stored
+  passwordReset: {
+    tokenHash: { type: String, select: false },
+    expiresAt: { type: Date, select: false }
+  },
+  emailVerification: {
+    tokenHash: { type: String, select: false },
+    expiresAt: { type: Date, select: false }
+  },
+  // TOTP two-factor authentication; mandatory for admin roles
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    enabledAt: { type: Date },
+    secret: { type: String, select: false },
+    pendingSecret: { type: String, select: false },
+    recoveryCodes: { type: [String], select: false },
+    lastUsedStep: { type: Number, select: false },
+    failedAttempts: { type: Number, default: 0, select: false },
+    lockedUntil: { type: Date, select: false }
+  },
+  driverProfile: {
+    type: driverProfileSchema,
+    default: undefined
+  },
   profile: {
     avatar: String,
     address: String,
@@ -53,6 +137,17 @@ const userSchema = new mongoose.Schema({
       phone: String
     }
   },
+  // Corporate accounts are invoiced under the company's name and PIN and get monthly statements
+  billing: {
+    accountType: {
+      type: String,
+      enum: ['individual', 'corporate'],
+      default: 'individual'
+    },
+    companyName: { type: String, trim: true },
+    taxPin: { type: String, trim: true, uppercase: true },
+    address: { type: String, trim: true }
+  },
   preferences: {
     notifications: {
       email: { type: Boolean, default: true },
@@ -69,6 +164,27 @@ const userSchema = new mongoose.Schema({
   timestamps: true
 });
 
+const AUTH_TOKEN_TTL_MS = {
+  passwordReset: 60 * 60 * 1000,
+  emailVerification: 24 * 60 * 60 * 1000
+};
+
+const TWO_FACTOR_SECRET_FIELDS = [
+  'secret', 'pendingSecret', 'recoveryCodes', 'lastUsedStep', 'failedAttempts', 'lockedUntil'
+].map(field => `+twoFactor.${field}`).join(' ');
+
+const TWO_FACTOR_MAX_ATTEMPTS = 5;
+const TWO_FACTOR_LOCK_MS = 15 * 60 * 1000;
+
+const twoFactorError = (message, statusCode, code) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+};
+
+const hashAuthToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -91,76 +207,152 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
 userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.passwordReset;
+  delete userObject.emailVerification;
+  if (userObject.twoFactor) {
+    userObject.twoFactor = {
+      enabled: userObject.twoFactor.enabled,
+      enabledAt: userObject.twoFactor.enabledAt
+    };
+  }
   return userObject;
 };
 
-// Check if user is admin
-userSchema.methods.isAdminUser = function() {
-  return this.isAdmin && ['admin', 'main_admin', 'super_admin'].includes(this.role);
+// Issue a one-time token for 'passwordReset' or 'emailVerification'. Returns the
+// raw token for the email link; the caller saves the user.
+userSchema.methods.createAuthToken = function(purpose) {
+  const token = crypto.randomBytes(32).toString('hex');
+  this[purpose] = {
+    tokenHash: hashAuthToken(token),
+    expiresAt: new Date(Date.now() + AUTH_TOKEN_TTL_MS[purpose])
+  };
+  return token;
 };
 
-// Check role permissions
-userSchema.methods.hasPermission = function(permission) {
-  const rolePermissions = {
-    super_admin: ['all'],
-    main_admin: ['manage_users', 'manage_trucks', 'manage_branches', 'view_analytics', 'manage_bookings'],
-    admin: ['manage_trucks', 'view_analytics', 'manage_bookings'],
-    manager: ['manage_branch', 'manage_staff', 'view_reports'],
-    mechanic: ['update_maintenance', 'view_trucks'],
-    driver: ['update_location', 'view_assigned_trucks'],
-    user: ['book_service', 'view_own_data']
-  };
+userSchema.methods.clearAuthToken = function(purpose) {
+  this[purpose] = { tokenHash: undefined, expiresAt: undefined };
+};
 
-  const userPermissions = rolePermissions[this.role] || [];
-  return userPermissions.includes('all') || userPermissions.includes(permission);
+// Find the active user holding an unexpired token for the given purpose
+userSchema.statics.findByAuthToken = function(purpose, token) {
+  if (!AUTH_TOKEN_TTL_MS[purpose] || typeof token !== 'string') {
+    return Promise.resolve(null);
+  }
+  return this.findOne({
+    [`${purpose}.tokenHash`]: hashAuthToken(token),
+    [`${purpose}.expiresAt`]: { $gt: new Date() },
+    isActive: true
+  });
 };
 
-// Admin emails configuration
-const ADMIN_EMAILS = [
-  'emmanuel.evian@autocare.com',
-  'ibrahim.mohamud@autocare.com',
-  'joel.nganga@autocare.com',
-  'patience.karanja@autocare.com',
-  'joyrose.kinuthia@autocare.com'
-];
+// Load a user with the two-factor fields the methods below need
+userSchema.statics.findWithTwoFactor = function(id) {
+  return this.findById(id).select(TWO_FACTOR_SECRET_FIELDS);
+};
 
-// Static method to check if email is admin
-userSchema.statics.isAdminEmail = function(email) {
-  return ADMIN_EMAILS.includes(email.toLowerCase());
+userSchema.methods.requiresTwoFactor = function() {
+  return this.twoFactor?.enabled || ADMIN_ROLES.includes(this.role);
 };
 
-// Static method to get admin user data
-userSchema.statics.getAdminByEmail = function(email) {
-  const adminData = {
-    'emmanuel.evian@autocare.com': {
-      name: 'Emmanuel Evian',
-      role: 'main_admin'
-    },
-    'ibrahim.mohamud@autocare.com': {
-      name: 'Ibrahim Mohamud',
-      role: 'admin'
-    },
-    'joel.nganga@autocare.com': {
-      name: 'Joel Ng\'ang\'a',
-      role: 'admin'
-    },
-    'patience.karanja@autocare.com': {
-      name: 'Patience Karanja',
-      role: 'admin'
-    },
-    'joyrose.kinuthia@autocare.com': {
-      name: 'Joyrose Kinuthia',
-      role: 'admin'
+// Start enrollment with a fresh secret; it only takes effect once a code is confirmed
+userSchema.methods.startTwoFactorSetup = function() {
+  const secret = generateSecret();
+  this.twoFactor.pendingSecret = encryptSecret(secret);
+  return secret;
+};
+
+// Confirm enrollment with a code from the authenticator app. Returns the plain recovery codes.
+userSchema.methods.confirmTwoFactorSetup = function(code) {
+  if (!this.twoFactor.pendingSecret) {
+    throw twoFactorError('Start two-factor setup first', 400, 'MFA_SETUP_NOT_STARTED');
+  }
+  const step = verifyCode(decryptSecret(this.twoFactor.pendingSecret), code);
+  if (step === null) {
+    throw twoFactorError('Invalid authentication code', 400, 'INVALID_MFA_CODE');
+  }
+
+  this.twoFactor.secret = this.twoFactor.pendingSecret;
+  this.twoFactor.pendingSecret = undefined;
+  this.twoFactor.enabled = true;
+  this.twoFactor.enabledAt = new Date();
+  this.twoFactor.lastUsedStep = step;
+  this.twoFactor.failedAttempts = 0;
+  return this.regenerateRecoveryCodes();
+};
+
+userSchema.methods.regenerateRecoveryCodes = function() {
+  const codes = generateRecoveryCodes();
+  this.twoFactor.recoveryCodes = codes.map(hashRecoveryCode);
+  return codes;
+};
+
+userSchema.methods.disableTwoFactor = function() {
+  this.twoFactor = { enabled: false, failedAttempts: 0 };
+};
+
+// Check an authenticator code or a single-use recovery code and save the outcome.
+// Repeated failures lock two-factor sign-in for a while.
+userSchema.methods.verifyTwoFactor = async function({ code, recoveryCode }) {
+  if (!this.twoFactor?.enabled) {
+    throw twoFactorError('Two-factor authentication is not enabled', 400, 'MFA_NOT_ENABLED');
+  }
+  if (this.twoFactor.lockedUntil && this.twoFactor.lockedUntil > new Date()) {
+    throw twoFactorError('Too many failed attempts. Try again later.', 429, 'MFA_LOCKED');
+  }
+
+  let method = null;
+  if (code) {
+    const step = verifyCode(decryptSecret(this.twoFactor.secret), code, this.twoFactor.lastUsedStep ?? null);
+    if (step !== null) {
+      this.twoFactor.lastUsedStep = step;
+      method = 'totp';
     }
-  };
-  
-  return adminData[email.toLowerCase()];
+  } else if (recoveryCode) {
+    const index = this.twoFactor.recoveryCodes.indexOf(hashRecoveryCode(recoveryCode));
+    if (index !== -1) {
+      this.twoFactor.recoveryCodes.splice(index, 1);
+      method = 'recovery_code';
+    }
+  }
+
+  if (!method) {
+    this.twoFactor.failedAttempts = (this.twoFactor.failedAttempts || 0) + 1;
+    if (this.twoFactor.failedAttempts >= TWO_FACTOR_MAX_ATTEMPTS) {
+      this.twoFactor.failedAttempts = 0;
+      this.twoFactor.lockedUntil = new Date(Date.now() + TWO_FACTOR_LOCK_MS);
+    }
+    await this.save();
+    throw twoFactorError('Invalid authentication code', 401, 'INVALID_MFA_CODE');
+  }
+
+  this.twoFactor.failedAttempts = 0;
+  this.twoFactor.lockedUntil = undefined;
+  await this.save();
+  return { method, recoveryCodesRemaining: this.twoFactor.recoveryCodes.length };
+};
+
+// Check if user is admin
+userSchema.methods.isAdminUser = function() {
+  return this.isAdmin && ADMIN_ROLES.includes(this.role);
+};
+
+// A licence without a recorded expiry is taken as valid
+userSchema.methods.isLicenseExpired = function(at = new Date()) {
+  const expiry = this.driverProfile?.licenseExpiry;
+  return !!expiry && expiry < at;
+};
+
+// Check role permissions against the role matrix stored in the roles collection
+userSchema.methods.hasPermission = function(permission) {
+  const userPermissions = Role.getPermissionsFor(this.role);
+  return userPermissions.includes('all') || userPermissions.includes(permission);
 };
 
 // Indexes for better performance
 userSchema.index({ email: 1 });
 userSchema.index({ isAdmin: 1 });
 userSchema.index({ role: 1 });
+userSchema.index({ 'driverProfile.assignedTruck': 1 });
 userSchema.index({ createdAt: -1 });
 
 const User = mongoose.model('User', userSchema);
@@ -0,0 +1,195 @@
+import mongoose from 'mongoose';
+
+const photoSchema = new mongoose.Schema({
+  name: String,
+  filename: String,
+  type: String,
+  size: Number,
+  url: String,
+  uploadDate: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const vehicleSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  vin: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-HJ-NPR-Z0-9]{17}$/, 'VIN must be 17 characters (letters I, O and Q are not allowed)']
+  },
+  licensePlate: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  make: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  model: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  year: {
+    type: Number,
+    min: 1950,
+    max: new Date().getFullYear() + 1
+  },
+  color: {
+    type: String,
+    trim: true
+  },
+  fuelType: {
+    type: String,
+    enum: ['petrol', 'diesel', 'electric', 'hybrid']
+  },
+  odometer: {
+    reading: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    unit: {
+      type: String,
+      enum: ['km', 'mi'],
+      default: 'km'
+    },
+    updatedAt: {
+      type: Date,
+      default: Date.now
+    },
+    // Reading at registration, used as the maintenance baseline until a service is recorded
+    initialReading: {
+      type: Number,
+      default: 0
+    }
+  },
+  // Last service of each type, used by the maintenance scheduler
+  serviceHistory: [{
+    serviceType: {
+      type: String,
+      required: true
+    },
+    date: {
+      type: Date,
+      default: Date.now
+    },
+    odometer: Number,
+    serviceRequest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ServiceRequest'
+    }
+  }],
+  photos: [photoSchema],
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Readings never go backwards
+vehicleSchema.methods.checkOdometerReading = function(reading) {
+  if (reading < this.odometer.reading) {
+    const error = new Error('Odometer reading cannot be lower than the current reading');
+    error.statusCode = 400;
+    throw error;
+  }
+};
+
+// Record a new odometer reading, saving any other pending changes with it
+vehicleSchema.methods.updateOdometer = function(reading) {
+  this.checkOdometerReading(reading);
+
+  this.odometer.reading = reading;
+  this.odometer.updatedAt = new Date();
+  return this.save();
+};
+
+// Odometer reading in kilometres, whatever unit the owner records in
+vehicleSchema.methods.getOdometerKm = function(reading = this.odometer.reading) {
+  return this.odometer.unit === 'mi' ? reading * 1.60934 : reading;
+};
+
+// Most recent service of a type, falling back to the registration baseline
+vehicleSchema.methods.getLastService = function(serviceType) {
+  const last = this.serviceHistory.find(entry => entry.serviceType === serviceType);
+  if (last) return last;
+
+  return {
+    serviceType,
+    date: this.createdAt,
+    odometer: this.odometer.initialReading || 0
+  };
+};
+
+// Record a completed service, replacing the previous entry for that type
+vehicleSchema.methods.recordService = function(serviceType, { date = new Date(), serviceRequest } = {}) {
+  this.serviceHistory = this.serviceHistory.filter(entry => entry.serviceType !== serviceType);
+  this.serviceHistory.push({
+    serviceType,
+    date,
+    odometer: this.odometer.reading,
+    serviceRequest
+  });
+  return this.save();
+};
+
+// Recalculate the owner's vehicle count from their active vehicles
+vehicleSchema.statics.syncOwnerVehicleCount = async function(ownerId) {
+  const count = await this.countDocuments({ owner: ownerId, isActive: true });
+  await mongoose.model('User').findByIdAndUpdate(ownerId, { vehicleCount: count });
+  return count;
+};
+
+// Record the maintenance baseline and keep User.vehicleCount in step with the registry
+vehicleSchema.pre('save', function(next) {
+  if (this.isNew) {
+    this.odometer.initialReading = this.odometer.reading;
+  }
+  this.$locals.countChanged = this.isNew || this.isModified('isActive');
+  next();
+});
+
+vehicleSchema.post('save', async function(doc) {
+  if (doc.$locals.countChanged) {
+    await doc.constructor.syncOwnerVehicleCount(doc.owner);
+  }
+});
+
+vehicleSchema.post('findOneAndDelete', async function(doc) {
+  if (doc) {
+    await doc.constructor.syncOwnerVehicleCount(doc.owner);
+  }
+});
+
+// Indexes
+vehicleSchema.index({ owner: 1 });
+// Deleted vehicles are only deactivated, so they give up their VIN for the next registration
+vehicleSchema.index(
+  { vin: 1 },
+  { unique: true, partialFilterExpression: { isActive: true, vin: { $type: 'string' } } }
+);
+vehicleSchema.index({ licensePlate: 1, isActive: 1 });
+vehicleSchema.index({ isActive: 1 });
+vehicleSchema.index({ createdAt: -1 });
+
+const Vehicle = mongoose.model('Vehicle', vehicleSchema);
+
+export default Vehicle;
@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+// Provider notifications already handled. Providers retry and may deliver the same event more than
+// once; recording the id first lets the handler skip repeats.
+const webhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  type: String,
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Claim an event for processing; false when it has been seen before
+webhookEventSchema.statics.claim = async function(provider, eventId, type) {
+  try {
+    await this.create({ provider, eventId, type });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+// Forget an event whose processing failed, so the provider's retry is handled
+webhookEventSchema.statics.release = function(provider, eventId) {
+  return this.deleteOne({ provider, eventId });
+};
+
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+// Providers stop retrying long before this
+webhookEventSchema.index({ receivedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+const WebhookEvent = mongoose.model('WebhookEvent', webhookEventSchema);
+
+export default WebhookEvent;
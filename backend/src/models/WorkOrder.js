@@ -0,0 +1,250 @@
+import mongoose from 'mongoose';
+
+export const OPEN_STATUSES = ['open', 'in_progress', 'on_hold'];
+
+// Days until the next routine service when a work order doesn't set one
+const DEFAULT_SERVICE_INTERVAL_DAYS = parseInt(process.env.TRUCK_SERVICE_INTERVAL_DAYS) || 90;
+
+const workOrderSchema = new mongoose.Schema({
+  workOrderNumber: {
+    type: String,
+    unique: true
+  },
+  truck: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Truck',
+    required: true
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    default: null
+  },
+  type: {
+    type: String,
+    enum: ['scheduled', 'repair', 'inspection', 'breakdown'],
+    default: 'scheduled'
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'normal', 'high', 'emergency'],
+    default: 'normal'
+  },
+  status: {
+    type: String,
+    enum: ['open', 'in_progress', 'on_hold', 'completed', 'cancelled'],
+    default: 'open'
+  },
+  assignedMechanic: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  scheduledDate: {
+    type: Date
+  },
+  parts: [{
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    // Catalogue part, reserved from the work order's branch stock
+    part: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Part'
+    },
+    partNumber: {
+      type: String,
+      trim: true
+    },
+    quantity: {
+      type: Number,
+      default: 1,
+      min: 1
+    },
+    unitCost: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+  labour: [{
+    mechanic: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    description: {
+      type: String,
+      trim: true
+    },
+    hours: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    rate: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    date: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  costs: {
+    parts: {
+      type: Number,
+      default: 0
+    },
+    labour: {
+      type: Number,
+      default: 0
+    },
+    total: {
+      type: Number,
+      default: 0
+    },
+    currency: {
+      type: String,
+      default: 'KES'
+    }
+  },
+  mileageAtService: {
+    type: Number,
+    min: 0
+  },
+  nextServiceDate: {
+    type: Date
+  },
+  openedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  startedAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  },
+  timeline: [{
+    status: String,
+    timestamp: {
+      type: Date,
+      default: Date.now
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    notes: String
+  }]
+}, {
+  timestamps: true
+});
+
+// Generate work order number (WOyymm0001) and keep costs in step with parts and labour
+workOrderSchema.pre('validate', async function(next) {
+  try {
+    if (this.isNew && !this.workOrderNumber) {
+      const date = new Date();
+      const year = date.getFullYear().toString().slice(-2);
+      const month = (date.getMonth() + 1).toString().padStart(2, '0');
+
+      const latestOrder = await this.constructor.findOne({
+        workOrderNumber: new RegExp(`^WO${year}${month}`)
+      }).sort({ workOrderNumber: -1 });
+
+      let sequence = 1;
+      if (latestOrder) {
+        sequence = parseInt(latestOrder.workOrderNumber.slice(-4)) + 1;
+      }
+
+      this.workOrderNumber = `WO${year}${month}${sequence.toString().padStart(4, '0')}`;
+    }
+
+    if (this.isNew && this.timeline.length === 0) {
+      this.timeline.push({ status: this.status, updatedBy: this.openedBy });
+    }
+
+    this.costs.parts = this.parts.reduce((sum, part) => sum + part.quantity * part.unitCost, 0);
+    this.costs.labour = this.labour.reduce((sum, entry) => sum + entry.hours * entry.rate, 0);
+    this.costs.total = this.costs.parts + this.costs.labour;
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update status with timeline
+workOrderSchema.methods.updateStatus = function(newStatus, updatedBy, notes = '') {
+  this.status = newStatus;
+
+  if (newStatus === 'in_progress' && !this.startedAt) {
+    this.startedAt = new Date();
+  }
+  if (['completed', 'cancelled'].includes(newStatus)) {
+    this.completedAt = new Date();
+    this.closedBy = updatedBy;
+  }
+
+  this.timeline.push({
+    status: newStatus,
+    updatedBy,
+    notes,
+    timestamp: new Date()
+  });
+  return this.save();
+};
+
+workOrderSchema.methods.isOpen = function() {
+  return OPEN_STATUSES.includes(this.status);
+};
+
+// Whether a truck has other unfinished work orders (keeps it in maintenance)
+workOrderSchema.statics.hasOpenOrders = async function(truckId, excludeId = null) {
+  const count = await this.countDocuments({
+    _id: { $ne: excludeId },
+    truck: truckId,
+    status: { $in: OPEN_STATUSES }
+  });
+  return count > 0;
+};
+
+workOrderSchema.statics.getDefaultNextServiceDate = function(from = new Date()) {
+  return new Date(from.getTime() + DEFAULT_SERVICE_INTERVAL_DAYS * 24 * 60 * 60 * 1000);
+};
+
+// Indexes
+workOrderSchema.index({ truck: 1, status: 1 });
+workOrderSchema.index({ assignedMechanic: 1 });
+workOrderSchema.index({ branch: 1 });
+workOrderSchema.index({ status: 1 });
+workOrderSchema.index({ priority: 1 });
+workOrderSchema.index({ createdAt: -1 });
+
+const WorkOrder = mongoose.model('WorkOrder', workOrderSchema);
+
+export default WorkOrder;
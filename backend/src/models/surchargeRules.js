@@ -0,0 +1,39 @@
+const percent = {
+  type: Number,
+  min: 0,
+  max: 500,
+  default: 0
+};
+
+const hour = (value) => ({
+  type: Number,
+  min: 0,
+  max: 23,
+  default: value
+});
+
+// Surcharge rules as a tariff sets them. Quotes and bookings keep a copy of the rules they were
+// priced under, so a later tariff change doesn't reprice them. Percentages are of the base,
+// distance and time charges, added together when several apply.
+export const surchargeRules = {
+  night: {
+    percent,
+    // Local hours; a window like 20-6 runs past midnight
+    startHour: hour(20),
+    endHour: hour(6)
+  },
+  weekend: {
+    percent
+  },
+  urgent: {
+    percent
+  },
+  heavyCargo: {
+    percent,
+    thresholdKg: {
+      type: Number,
+      min: 0,
+      default: 5000
+    }
+  }
+};
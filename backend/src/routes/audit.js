@@ -0,0 +1,55 @@
+import express from 'express';
+import AuditLog from '../models/AuditLog.js';
+import { requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// @route   GET /api/v1/audit-logs
+// @desc    Get the audit trail of invitations and role changes
+// @access  Private (manage_users)
+router.get('/', requirePermission('manage_users'), async (req, res) => {
+  try {
+    const { action, actor, target, page = 1, limit = 20 } = req.query;
+    const filter = {};
+
+    if (action) filter.action = action;
+    if (actor) filter.actor = actor;
+    if (target) filter.target = target;
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(parseInt(limit) || 20, 100);
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .populate('actor', 'name email role')
+        .populate('target', 'name email role')
+        .populate('changes.branch', 'name code')
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: entries,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize),
+        hasNext: pageNumber * pageSize < total,
+        hasPrev: pageNumber > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving audit log'
+    });
+  }
+});
+
+export default router;
@@ -1,18 +1,113 @@
 import express from 'express';
-import jwt from 'jsonwebtoken';
 import { body, validationResult } from 'express-validator';
 import User from '../models/User.js';
+import Branch from '../models/Branch.js';
+import Invitation from '../models/Invitation.js';
+import AuditLog from '../models/AuditLog.js';
+import Session from '../models/Session.js';
+import { ADMIN_ROLES } from '../models/Role.js';
 import { checkDuplicateEmail, checkEmailAvailability } from '../middleware/duplicateEmailCheck.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { issueAuthTokens, refreshAuthTokens, generateMfaToken, verifyMfaToken } from '../services/authTokens.js';
+import { buildOtpauthUrl, buildQrCode } from '../services/totp.js';
+import { sendVerificationEmail, sendPasswordResetEmail } from '../services/authEmails.js';
 
 const router = express.Router();
 
-// JWT token generation
-const generateToken = (userId) => {
-  return jwt.sign(
-    { userId },
-    process.env.JWT_SECRET || 'your-fallback-secret',
-    { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-  );
+// Branch staff role for each invitable user role
+const BRANCH_STAFF_ROLES = {
+  manager: 'manager',
+  mechanic: 'mechanic',
+  driver: 'driver',
+  admin: 'admin_staff',
+  main_admin: 'admin_staff'
+};
+
+// Opt-in: customers must confirm their email before they can sign in. Admin-tier
+// accounts are exempt since they are provisioned by invitation.
+const requiresEmailVerification = (user) => {
+  return process.env.REQUIRE_EMAIL_VERIFICATION === 'true' &&
+    !user.emailVerified &&
+    !ADMIN_ROLES.includes(user.role);
+};
+
+// Second sign-in step for accounts with two-factor enabled or required by their role
+const mfaChallenge = (user) => ({
+  success: true,
+  message: user.twoFactor?.enabled
+    ? 'Enter the code from your authenticator app'
+    : 'Your role requires two-factor authentication. Set it up to continue.',
+  mfaRequired: true,
+  mfaEnrollmentRequired: !user.twoFactor?.enabled,
+  mfaToken: generateMfaToken(user)
+});
+
+const authUserPayload = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  phone: user.phone,
+  isAdmin: user.isAdmin,
+  role: user.role,
+  emailVerified: user.emailVerified,
+  twoFactorEnabled: !!user.twoFactor?.enabled,
+  vehicleCount: user.vehicleCount,
+  lastService: user.lastService,
+  billing: user.billing,
+  createdAt: user.createdAt
+});
+
+// Resolve the user behind an mfaToken from the first sign-in step
+const findMfaUser = async (mfaToken) => {
+  const { userId } = verifyMfaToken(mfaToken);
+  const user = await User.findWithTwoFactor(userId);
+  if (!user || !user.isActive) {
+    const error = new Error('Invalid token or user not found');
+    error.statusCode = 401;
+    throw error;
+  }
+  return user;
+};
+
+const setupPayload = async (user, secret) => {
+  const otpauthUrl = buildOtpauthUrl(secret, user.email);
+  return {
+    secret,
+    otpauthUrl,
+    qrCode: await buildQrCode(otpauthUrl)
+  };
+};
+
+// Email a fresh verification link; a mail failure must not fail the request
+const deliverVerificationEmail = async (user) => {
+  try {
+    const token = user.createAuthToken('emailVerification');
+    await user.save();
+    await sendVerificationEmail(user, token);
+  } catch (error) {
+    console.error('Send verification email error:', error);
+  }
+};
+
+// Mark the invitation used, attach the new account to the invited branch and audit the grant
+const redeemInvitation = async (req, invitation, user) => {
+  await invitation.accept(user);
+
+  if (invitation.branch) {
+    await Branch.updateOne(
+      { _id: invitation.branch._id },
+      { $push: { staff: { employee: user._id, role: BRANCH_STAFF_ROLES[invitation.role], startDate: new Date() } } }
+    );
+  }
+
+  await AuditLog.record('invitation_accepted', {
+    req,
+    actor: user._id,
+    target: user,
+    toRole: invitation.role,
+    branch: invitation.branch?._id,
+    invitation: invitation._id
+  });
 };
 
 // @route   GET /api/v1/auth/check-email/:email
@@ -20,6 +115,90 @@ const generateToken = (userId) => {
 // @access  Public
 router.get('/check-email/:email', checkEmailAvailability);
 
+// @route   GET /api/v1/auth/invitations/:token
+// @desc    Preview an invitation before registering with it
+// @access  Public
+router.get('/invitations/:token', async (req, res) => {
+  try {
+    const invitation = await Invitation.findByToken(req.params.token);
+
+    res.json({
+      success: true,
+      data: {
+        email: invitation.email,
+        role: invitation.role,
+        branch: invitation.branch,
+        expiresAt: invitation.expiresAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Get invitation error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error retrieving invitation'
+    });
+  }
+});
+
+// @route   POST /api/v1/auth/invitations/:token/accept
+// @desc    Accept an invitation with an existing account, switching it to the invited role
+// @access  Private
+router.post('/invitations/:token/accept', authenticateToken, async (req, res) => {
+  try {
+    const invitation = await Invitation.findByToken(req.params.token);
+    if (invitation.email !== req.user.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'This invitation was issued for a different email address.',
+        code: 'INVITATION_EMAIL_MISMATCH'
+      });
+    }
+
+    const fromRole = req.user.role;
+    req.user.role = invitation.role;
+    req.user.isAdmin = ADMIN_ROLES.includes(invitation.role);
+    if (!req.user.emailVerified) {
+      // The invitation link was delivered to this address
+      req.user.emailVerified = true;
+      req.user.emailVerifiedAt = new Date();
+    }
+    await req.user.save();
+
+    await redeemInvitation(req, invitation, req.user);
+    await AuditLog.record('role_changed', {
+      req,
+      target: req.user,
+      fromRole,
+      toRole: invitation.role,
+      invitation: invitation._id
+    });
+
+    res.json({
+      success: true,
+      message: 'Invitation accepted',
+      user: {
+        id: req.user._id,
+        name: req.user.name,
+        email: req.user.email,
+        phone: req.user.phone,
+        isAdmin: req.user.isAdmin,
+        role: req.user.role,
+        emailVerified: req.user.emailVerified,
+        vehicleCount: req.user.vehicleCount,
+        createdAt: req.user.createdAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error accepting invitation'
+    });
+  }
+});
+
 // @route   POST /api/v1/auth/register
 // @desc    Register a new user with duplicate email protection
 // @access  Public
@@ -38,7 +217,11 @@ router.post('/register', [
   body('phone')
     .optional()
     .isMobilePhone()
-    .withMessage('Please provide a valid phone number')
+    .withMessage('Please provide a valid phone number'),
+  body('invitationToken')
+    .optional()
+    .isString()
+    .withMessage('Invalid invitation token')
 ], 
 async (req, res) => {
   try {
@@ -58,100 +241,23 @@ async (req, res) => {
       });
     }
 
-    const { name, email, password, phone } = req.body;
-
-    // Check if user already exists (for regular users only)
-    const existingUser = await User.findOne({ email });
-    
-    // Check if trying to register with admin email
-    console.log('Checking if admin email:', email, 'Is admin:', User.isAdminEmail(email));
-    if (User.isAdminEmail(email)) {
-      // Admin registration - verify admin password
-      const adminPassword = process.env.ADMIN_PASSWORD || 'autocarpro12k@12k.wwc';
-      console.log('Admin password check:', { 
-        provided: password, 
-        expected: adminPassword, 
-        match: password === adminPassword 
-      });
-      
-      if (password !== adminPassword) {
-        console.log('Admin password mismatch');
-        return res.status(403).json({
-          success: false,
-          message: 'Invalid admin password for admin registration.',
-          code: 'INVALID_ADMIN_PASSWORD'
-        });
-      }
-      
-      // Get admin data
-      const adminData = User.getAdminByEmail(email);
-      console.log('Admin data for email:', email, adminData);
-      
-      if (!adminData) {
-        console.log('No admin data found for email:', email);
-        return res.status(403).json({
-          success: false,
-          message: 'Email not authorized for admin registration.',
-          code: 'UNAUTHORIZED_ADMIN_EMAIL'
-        });
-      }
+    const { name, email, password, phone, invitationToken } = req.body;
 
-      // Check if admin already exists - if so, prevent duplicate registration
-      if (existingUser) {
-        console.log('Admin already exists:', email);
-        return res.status(409).json({
+    // Staff accounts are created by redeeming an invitation issued by a main admin
+    let invitation = null;
+    if (invitationToken) {
+      invitation = await Invitation.findByToken(invitationToken);
+      if (invitation.email !== email) {
+        return res.status(400).json({
           success: false,
-          message: 'This admin email has already been registered. Please try signing in instead.',
-          code: 'EMAIL_ALREADY_EXISTS',
-          action: 'redirect_to_login',
-          userType: 'admin',
-          loginUrl: '/login'
+          message: 'This invitation was issued for a different email address.',
+          code: 'INVITATION_EMAIL_MISMATCH'
         });
       }
-
-      // Create admin user
-      console.log('Creating admin user with data:', {
-        name: adminData.name,
-        email: email,
-        phone: phone || '',
-        isAdmin: true,
-        role: adminData.role
-      });
-      
-      const adminUser = new User({
-        name: adminData.name,
-        email: email,
-        password: password,
-        phone: phone || '',
-        isAdmin: true,
-        role: adminData.role
-      });
-
-      console.log('Saving admin user...');
-      await adminUser.save();
-      console.log('Admin user saved successfully:', adminUser._id);
-
-      // Generate JWT token
-      const token = generateToken(adminUser._id);
-
-      return res.status(201).json({
-        success: true,
-        message: 'Admin registered successfully',
-        token,
-        user: {
-          id: adminUser._id,
-          name: adminUser.name,
-          email: adminUser.email,
-          phone: adminUser.phone,
-          isAdmin: adminUser.isAdmin,
-          role: adminUser.role,
-          vehicleCount: adminUser.vehicleCount,
-          createdAt: adminUser.createdAt
-        }
-      });
     }
 
-    // Check if regular user already exists
+    // Check if user already exists (invited users with an account accept after signing in)
+    const existingUser = await User.findOne({ email });
     if (existingUser) {
       console.log('User already exists:', email);
       return res.status(409).json({
@@ -159,30 +265,63 @@ async (req, res) => {
         message: 'You have already been signed up with this email. Try signing in instead.',
         code: 'EMAIL_ALREADY_EXISTS',
         action: 'redirect_to_login',
-        userType: 'user',
+        userType: existingUser.isAdmin ? 'admin' : 'user',
         loginUrl: '/login'
       });
     }
 
-    // Create new regular user
+    // Create new user with the invited role, or as a regular user. The
+    // invitation link was emailed, so redeeming it proves the address.
+    const role = invitation ? invitation.role : 'user';
     const user = new User({
       name,
       email,
       password,
       phone,
-      isAdmin: false,
-      role: 'user'
+      isAdmin: ADMIN_ROLES.includes(role),
+      role,
+      emailVerified: !!invitation,
+      emailVerifiedAt: invitation ? new Date() : undefined
     });
 
     await user.save();
 
-    // Generate JWT token
-    const token = generateToken(user._id);
+    if (invitation) {
+      await redeemInvitation(req, invitation, user);
+    } else {
+      await deliverVerificationEmail(user);
+    }
+
+    if (requiresEmailVerification(user)) {
+      return res.status(201).json({
+        success: true,
+        message: 'Account created. Check your email to verify your address before signing in.',
+        requiresVerification: true,
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          emailVerified: user.emailVerified
+        }
+      });
+    }
+
+    // Admin invitees enroll in two-factor before their first session
+    if (user.requiresTwoFactor()) {
+      return res.status(201).json({
+        ...mfaChallenge(user),
+        user: authUserPayload(user)
+      });
+    }
+
+    // Start a session with an access token and a refresh token
+    const { token, refreshToken } = await issueAuthTokens(user, req);
 
     res.status(201).json({
       success: true,
-      message: 'User registered successfully',
+      message: invitation ? 'Invitation accepted, account created successfully' : 'User registered successfully',
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
@@ -190,6 +329,7 @@ async (req, res) => {
         phone: user.phone,
         isAdmin: user.isAdmin,
         role: user.role,
+        emailVerified: user.emailVerified,
         vehicleCount: user.vehicleCount,
         createdAt: user.createdAt
       }
@@ -197,6 +337,13 @@ async (req, res) => {
 
   } catch (error) {
     console.error('Registration error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: 'INVALID_INVITATION'
+      });
+    }
     // Handle mongoose duplicate key error (just in case)
     if (error.code === 11000) {
       return res.status(409).json({
@@ -240,59 +387,6 @@ router.post('/login', [
 
     const { email, password } = req.body;
 
-    // Check if this is an admin login
-    if (User.isAdminEmail(email)) {
-      // Verify admin password
-      const adminPassword = process.env.ADMIN_PASSWORD || 'autocarpro12k@12k.wwc';
-      if (password !== adminPassword) {
-        return res.status(401).json({
-          success: false,
-          message: 'Invalid admin credentials'
-        });
-      }
-
-      // Get admin data
-      const adminData = User.getAdminByEmail(email);
-      if (!adminData) {
-        return res.status(401).json({
-          success: false,
-          message: 'Admin not found'
-        });
-      }
-
-      // Check if admin user exists in database, if not create one
-      let adminUser = await User.findOne({ email });
-      if (!adminUser) {
-        adminUser = new User({
-          name: adminData.name,
-          email: email,
-          password: adminPassword,
-          isAdmin: true,
-          role: adminData.role,
-          vehicleCount: 0
-        });
-        await adminUser.save();
-      }
-
-      const token = generateToken(adminUser._id);
-
-      return res.json({
-        success: true,
-        message: 'Admin login successful',
-        token,
-        user: {
-          id: adminUser._id,
-          name: adminUser.name,
-          email: adminUser.email,
-          isAdmin: true,
-          role: adminUser.role,
-          vehicleCount: adminUser.vehicleCount,
-          createdAt: adminUser.createdAt
-        }
-      });
-    }
-
-    // Regular user login
     const user = await User.findOne({ email });
     if (!user) {
       return res.status(401).json({
@@ -320,23 +414,27 @@ router.post('/login', [
       });
     }
 
-    const token = generateToken(user._id);
+    if (requiresEmailVerification(user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your email address before signing in.',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+
+    // The password alone is not enough; the client continues at /login/2fa
+    if (user.requiresTwoFactor()) {
+      return res.json(mfaChallenge(user));
+    }
+
+    const { token, refreshToken } = await issueAuthTokens(user, req);
 
     res.json({
       success: true,
       message: 'Login successful',
       token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        phone: user.phone,
-        isAdmin: user.isAdmin,
-        role: user.role,
-        vehicleCount: user.vehicleCount,
-        lastService: user.lastService,
-        createdAt: user.createdAt
-      }
+      refreshToken,
+      user: authUserPayload(user)
     });
 
   } catch (error) {
@@ -348,52 +446,679 @@ router.post('/login', [
   }
 });
 
-// @route   GET /api/v1/auth/verify
-// @desc    Verify JWT token and get user data
-// @access  Private
-router.get('/verify', async (req, res) => {
+// @route   POST /api/v1/auth/login/2fa
+// @desc    Finish signing in with an authenticator code or a recovery code
+// @access  Public (mfa token)
+router.post('/login/2fa', [
+  body('mfaToken').isString().notEmpty().withMessage('Sign-in token is required'),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString(),
+  body().custom(value => !!(value.code || value.recoveryCode)).withMessage('Enter an authentication code or a recovery code')
+], async (req, res) => {
   try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-    
-    if (!token) {
-      return res.status(401).json({
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
         success: false,
-        message: 'No token provided'
+        errors: errors.array()
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-fallback-secret');
-    const user = await User.findById(decoded.userId);
+    const user = await findMfaUser(req.body.mfaToken);
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Set up two-factor authentication to continue.',
+        code: 'MFA_ENROLLMENT_REQUIRED'
+      });
+    }
 
-    if (!user || !user.isActive) {
-      return res.status(401).json({
+    const { method, recoveryCodesRemaining } = await user.verifyTwoFactor({
+      code: req.body.code,
+      recoveryCode: req.body.recoveryCode
+    });
+
+    const { token, refreshToken } = await issueAuthTokens(user, req);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      token,
+      refreshToken,
+      user: authUserPayload(user),
+      ...(method === 'recovery_code' && { recoveryCodesRemaining })
+    });
+
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error during login',
+      code: error.code
+    });
+  }
+});
+
+// @route   POST /api/v1/auth/login/2fa/setup
+// @desc    Start mandatory two-factor enrollment during sign-in
+// @access  Public (mfa token)
+router.post('/login/2fa/setup', [
+  body('mfaToken').isString().notEmpty().withMessage('Sign-in token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
         success: false,
-        message: 'Invalid token or user not found'
+        errors: errors.array()
+      });
+    }
+
+    const user = await findMfaUser(req.body.mfaToken);
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already set up',
+        code: 'MFA_ALREADY_ENABLED'
       });
     }
 
+    const secret = user.startTwoFactorSetup();
+    await user.save();
+
     res.json({
       success: true,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        phone: user.phone,
-        isAdmin: user.isAdmin,
-        role: user.role,
-        vehicleCount: user.vehicleCount,
-        lastService: user.lastService,
-        createdAt: user.createdAt
+      data: await setupPayload(user, secret)
+    });
+
+  } catch (error) {
+    console.error('Two-factor login setup error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error starting two-factor setup',
+      code: error.code
+    });
+  }
+});
+
+// @route   POST /api/v1/auth/login/2fa/enable
+// @desc    Confirm enrollment during sign-in and start the session
+// @access  Public (mfa token)
+router.post('/login/2fa/enable', [
+  body('mfaToken').isString().notEmpty().withMessage('Sign-in token is required'),
+  body('code').isString().notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await findMfaUser(req.body.mfaToken);
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already set up',
+        code: 'MFA_ALREADY_ENABLED'
+      });
+    }
+
+    const recoveryCodes = user.confirmTwoFactorSetup(req.body.code);
+    await user.save();
+    await AuditLog.record('two_factor_enabled', { req, actor: user._id, target: user });
+
+    const { token, refreshToken } = await issueAuthTokens(user, req);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      token,
+      refreshToken,
+      recoveryCodes,
+      user: authUserPayload(user)
+    });
+
+  } catch (error) {
+    console.error('Two-factor login enable error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error enabling two-factor authentication',
+      code: error.code
+    });
+  }
+});
+
+// @route   POST /api/v1/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    // Same response whether or not the account exists, so emails can't be probed
+    const user = await User.findOne({ email: req.body.email, isActive: true });
+    if (user) {
+      const token = user.createAuthToken('passwordReset');
+      await user.save();
+      try {
+        await sendPasswordResetEmail(user, token);
+      } catch (error) {
+        console.error('Send password reset email error:', error);
       }
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent.'
     });
 
   } catch (error) {
-    console.error('Token verification error:', error);
-    res.status(401).json({
+    console.error('Forgot password error:', error);
+    res.status(500).json({
       success: false,
-      message: 'Invalid token'
+      message: 'Error sending password reset email'
     });
   }
 });
 
-export default router;
\ No newline at end of file
+// @route   POST /api/v1/auth/reset-password
+// @desc    Set a new password with a reset token and sign out every device
+// @access  Public (reset token)
+router.post('/reset-password', [
+  body('token').isString().notEmpty().withMessage('Reset token is required'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findByAuthToken('passwordReset', req.body.token);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'This password reset link is invalid or has expired.',
+        code: 'INVALID_RESET_TOKEN'
+      });
+    }
+
+    user.password = req.body.password;
+    user.clearAuthToken('passwordReset');
+    // Receiving the reset email proves ownership of the address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    await Session.revokeAllForUser(user._id, { reason: 'password_reset' });
+
+    res.json({
+      success: true,
+      message: 'Password updated. Please sign in with your new password.'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resetting password'
+    });
+  }
+});
+
+// @route   POST /api/v1/auth/verify-email
+// @desc    Confirm an email address with a verification token
+// @access  Public (verification token)
+router.post('/verify-email', [
+  body('token').isString().notEmpty().withMessage('Verification token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findByAuthToken('emailVerification', req.body.token);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'This verification link is invalid or has expired.',
+        code: 'INVALID_VERIFICATION_TOKEN'
+      });
+    }
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    user.clearAuthToken('emailVerification');
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Email verified. You can now sign in.'
+    });
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying email'
+    });
+  }
+});
+
+// @route   POST /api/v1/auth/resend-verification
+// @desc    Send a new email verification link
+// @access  Public
+router.post('/resend-verification', [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email, isActive: true, emailVerified: false });
+    if (user) {
+      await deliverVerificationEmail(user);
+    }
+
+    res.json({
+      success: true,
+      message: 'If that account still needs verification, a new link has been sent.'
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error sending verification email'
+    });
+  }
+});
+
+// @route   POST /api/v1/auth/refresh-token
+// @desc    Exchange a refresh token for a new access token and refresh token
+// @access  Public (refresh token)
+router.post('/refresh-token', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { session, token, refreshToken } = await refreshAuthTokens(req.body.refreshToken, req);
+
+    const user = await User.findById(session.user);
+    if (!user || !user.isActive) {
+      await session.revoke('revoked');
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid token or user not found'
+      });
+    }
+
+    // Sessions from before two-factor became mandatory end here, so the next sign-in enrolls
+    if (user.requiresTwoFactor() && !user.twoFactor?.enabled) {
+      await session.revoke('revoked');
+      return res.status(401).json({
+        success: false,
+        message: 'Your role requires two-factor authentication. Please sign in again to set it up.',
+        code: 'MFA_ENROLLMENT_REQUIRED'
+      });
+    }
+
+    res.json({
+      success: true,
+      token,
+      refreshToken
+    });
+
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error refreshing token'
+    });
+  }
+});
+
+// @route   POST /api/v1/auth/logout
+// @desc    End the current session
+// @access  Private
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    await Session.updateOne(
+      { _id: req.sessionId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'logout' }
+    );
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error logging out'
+    });
+  }
+});
+
+// @route   GET /api/v1/auth/sessions
+// @desc    List the signed-in devices for the current user
+// @access  Private
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await Session.findActiveForUser(req.user._id);
+
+    res.json({
+      success: true,
+      data: sessions.map(session => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ipAddress: session.ipAddress,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.toString() === req.sessionId
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving sessions'
+    });
+  }
+});
+
+// @route   DELETE /api/v1/auth/sessions
+// @desc    Sign out every other device
+// @access  Private
+router.delete('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user._id, { except: req.sessionId });
+
+    res.json({
+      success: true,
+      message: 'Signed out of all other devices',
+      data: { revoked: result.modifiedCount }
+    });
+
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error signing out other devices'
+    });
+  }
+});
+
+// @route   DELETE /api/v1/auth/sessions/:id
+// @desc    Sign out one device
+// @access  Private
+router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.user._id, revokedAt: null });
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await session.revoke('revoked');
+
+    res.json({
+      success: true,
+      message: 'Session signed out'
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error signing out session'
+    });
+  }
+});
+
+// @route   GET /api/v1/auth/2fa
+// @desc    Two-factor status for the current user
+// @access  Private
+router.get('/2fa', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findWithTwoFactor(req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        enabled: user.twoFactor.enabled,
+        enabledAt: user.twoFactor.enabledAt,
+        required: ADMIN_ROLES.includes(user.role),
+        recoveryCodesRemaining: user.twoFactor.recoveryCodes?.length || 0
+      }
+    });
+
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving two-factor status'
+    });
+  }
+});
+
+// @route   POST /api/v1/auth/2fa/setup
+// @desc    Start two-factor enrollment; returns the secret and a QR code
+// @access  Private
+router.post('/2fa/setup', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findWithTwoFactor(req.user._id);
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled',
+        code: 'MFA_ALREADY_ENABLED'
+      });
+    }
+
+    const secret = user.startTwoFactorSetup();
+    await user.save();
+
+    res.json({
+      success: true,
+      data: await setupPayload(user, secret)
+    });
+
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error starting two-factor setup'
+    });
+  }
+});
+
+// @route   POST /api/v1/auth/2fa/enable
+// @desc    Confirm enrollment with a code; returns recovery codes once
+// @access  Private
+router.post('/2fa/enable', authenticateToken, [
+  body('code').isString().notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findWithTwoFactor(req.user._id);
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled',
+        code: 'MFA_ALREADY_ENABLED'
+      });
+    }
+
+    const recoveryCodes = user.confirmTwoFactorSetup(req.body.code);
+    await user.save();
+    await AuditLog.record('two_factor_enabled', { req, target: user });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      data: { recoveryCodes }
+    });
+
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error enabling two-factor authentication',
+      code: error.code
+    });
+  }
+});
+
+// @route   POST /api/v1/auth/2fa/disable
+// @desc    Turn off two-factor with the password and a current code (not allowed for admin roles)
+// @access  Private
+router.post('/2fa/disable', authenticateToken, [
+  body('password').notEmpty().withMessage('Password is required'),
+  body().custom(value => !!(value.code || value.recoveryCode)).withMessage('Enter an authentication code or a recovery code')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    if (ADMIN_ROLES.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for your role',
+        code: 'MFA_REQUIRED_FOR_ROLE'
+      });
+    }
+
+    const user = await User.findWithTwoFactor(req.user._id);
+    if (!(await user.comparePassword(req.body.password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Incorrect password'
+      });
+    }
+
+    await user.verifyTwoFactor({ code: req.body.code, recoveryCode: req.body.recoveryCode });
+    user.disableTwoFactor();
+    await user.save();
+    await AuditLog.record('two_factor_disabled', { req, target: user });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error disabling two-factor authentication',
+      code: error.code
+    });
+  }
+});
+
+// @route   POST /api/v1/auth/2fa/recovery-codes
+// @desc    Replace the recovery codes after confirming a current code
+// @access  Private
+router.post('/2fa/recovery-codes', authenticateToken, [
+  body('code').isString().notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findWithTwoFactor(req.user._id);
+    await user.verifyTwoFactor({ code: req.body.code });
+    const recoveryCodes = user.regenerateRecoveryCodes();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated. The old ones no longer work.',
+      data: { recoveryCodes }
+    });
+
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error generating recovery codes',
+      code: error.code
+    });
+  }
+});
+
+// @route   GET /api/v1/auth/verify
+// @desc    Verify access token and get user data
+// @access  Private
+router.get('/verify', authenticateToken, (req, res) => {
+  res.json({
+    success: true,
+    user: authUserPayload(req.user)
+  });
+});
+
+export default router;
@@ -1,11 +1,39 @@
 import express from 'express';
-import { body, validationResult } from 'express-validator';
-import Booking from '../models/Booking.js';
+import { body, param, query, validationResult } from 'express-validator';
+import Booking, {
+  BOOKING_STATUSES,
+  BOOKING_SERVICE_TYPES,
+  BOOKING_PRIORITIES,
+  DEFAULT_DURATION_HOURS
+} from '../models/Booking.js';
+import Quote from '../models/Quote.js';
 import Truck from '../models/Truck.js';
-import { requireAdmin } from '../middleware/auth.js';
+import User from '../models/User.js';
+import { requirePermission } from '../middleware/auth.js';
+import { publish } from '../services/eventBus.js';
+import {
+  getCalendar,
+  getCancellationFee,
+  rescheduleBooking,
+  cancelBooking
+} from '../services/bookingSchedule.js';
+import {
+  createQuote,
+  getBookableQuote,
+  getBookingFieldsFromQuote,
+  lockQuote,
+  releaseQuote
+} from '../services/pricing.js';
 
 const router = express.Router();
 
+const coordinateValidators = (point, label) => [
+  body(`${point}.coordinates.latitude`).optional().isFloat({ min: -90, max: 90 })
+    .withMessage(`Valid ${label} latitude required`).toFloat(),
+  body(`${point}.coordinates.longitude`).optional().isFloat({ min: -180, max: 180 })
+    .withMessage(`Valid ${label} longitude required`).toFloat()
+];
+
 // @route   GET /api/v1/bookings
 // @desc    Get bookings
 // @access  Private
@@ -14,8 +42,8 @@ router.get('/', async (req, res) => {
     const { status, serviceType, startDate, endDate } = req.query;
     let filter = {};
     
-    // Non-admin users can only see their own bookings
-    if (!req.user.isAdminUser()) {
+    // Users without manage_bookings can only see their own bookings
+    if (!req.user.hasPermission('manage_bookings')) {
       filter.customer = req.user._id;
     }
 
@@ -51,6 +79,166 @@ router.get('/', async (req, res) => {
   }
 });
 
+// @route   POST /api/v1/bookings/quote
+// @desc    Price a booking from the tariffs; the quote is valid for QUOTE_VALIDITY_MINUTES
+// @access  Private
+router.post('/quote', [
+  body('serviceType').isIn(BOOKING_SERVICE_TYPES).withMessage('Invalid service type'),
+  body('priority').optional().isIn(BOOKING_PRIORITIES).withMessage('Invalid priority'),
+  body('branch').optional().isMongoId().withMessage('Invalid branch'),
+  body('schedule.startDate').isISO8601().withMessage('Valid start date required'),
+  body('schedule.estimatedDuration').optional().isFloat({ min: 0.5, max: 72 })
+    .withMessage('Estimated duration must be between 0.5 and 72 hours').toFloat(),
+  body('route.origin.address').optional().trim(),
+  body('route.destination.address').optional().trim(),
+  ...coordinateValidators('route.origin', 'origin'),
+  ...coordinateValidators('route.destination', 'destination'),
+  body('route.waypoints').optional().isArray({ max: 20 }).withMessage('At most 20 waypoints'),
+  ...coordinateValidators('route.waypoints.*', 'waypoint'),
+  body('cargo.weight').optional().isFloat({ min: 0 }).withMessage('Cargo weight must be zero or more').toFloat()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const quote = await createQuote(req.user, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Quote created successfully',
+      data: quote
+    });
+
+  } catch (error) {
+    console.error('Create quote error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error creating quote'
+    });
+  }
+});
+
+// @route   GET /api/v1/bookings/quotes/:quoteId
+// @desc    Get one of the current user's quotes
+// @access  Private
+router.get('/quotes/:quoteId', [
+  param('quoteId').isMongoId().withMessage('Invalid quote')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const quote = await Quote.findOne({ _id: req.params.quoteId, customer: req.user._id })
+      .populate('branch', 'name code');
+    if (!quote) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quote not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: quote
+    });
+
+  } catch (error) {
+    console.error('Get quote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving quote'
+    });
+  }
+});
+
+// @route   GET /api/v1/bookings/calendar
+// @desc    Bookings between from and to, by truck, branch or driver, with the bookings each clashes with
+// @access  Private (manage_bookings; others see the bookings they drive)
+router.get('/calendar', [
+  query('from').isISO8601().withMessage('from must be a date'),
+  query('to').isISO8601().withMessage('to must be a date'),
+  query('truck').optional().isMongoId().withMessage('Invalid truck'),
+  query('branch').optional().isMongoId().withMessage('Invalid branch'),
+  query('driver').optional().isMongoId().withMessage('Invalid driver')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { from, to, truck, branch, driver } = req.query;
+    const events = await getCalendar({
+      from: new Date(from),
+      to: new Date(to),
+      truck,
+      branch,
+      driver: req.user.hasPermission('manage_bookings') ? driver : req.user._id
+    });
+
+    res.json({
+      success: true,
+      data: events,
+      count: events.length
+    });
+
+  } catch (error) {
+    console.error('Get booking calendar error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error retrieving booking calendar'
+    });
+  }
+});
+
+// @route   GET /api/v1/bookings/available-trucks
+// @desc    Get available trucks for booking; without an endDate the slot runs estimatedDuration hours
+// @access  Private
+router.get('/available-trucks', async (req, res) => {
+  try {
+    const { startDate, endDate, estimatedDuration, serviceType } = req.query;
+
+    if (!startDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start date is required'
+      });
+    }
+
+    const start = new Date(startDate);
+    const hours = parseFloat(estimatedDuration) || DEFAULT_DURATION_HOURS;
+    const end = endDate ? new Date(endDate) : new Date(start.getTime() + hours * 60 * 60 * 1000);
+
+    const availableTrucks = await Booking.findAvailableTrucks(start, end, serviceType);
+
+    res.json({
+      success: true,
+      data: availableTrucks,
+      count: availableTrucks.length
+    });
+
+  } catch (error) {
+    console.error('Get available trucks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving available trucks'
+    });
+  }
+});
+
 // @route   GET /api/v1/bookings/:id
 // @desc    Get single booking
 // @access  Private
@@ -71,7 +259,7 @@ router.get('/:id', async (req, res) => {
     }
 
     // Check access permissions
-    if (!req.user.isAdminUser() && booking.customer._id.toString() !== req.user._id.toString()) {
+    if (!req.user.hasPermission('manage_bookings') && booking.customer._id.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -93,14 +281,11 @@ router.get('/:id', async (req, res) => {
 });
 
 // @route   POST /api/v1/bookings
-// @desc    Create new booking
+// @desc    Create new booking from a quote; the service, schedule, route and price come from the quote
 // @access  Private
 router.post('/', [
-  body('serviceType').isIn(['delivery', 'pickup', 'transport', 'maintenance', 'emergency'])
-    .withMessage('Invalid service type'),
-  body('schedule.startDate').isISO8601().withMessage('Valid start date required'),
-  body('route.origin.address').optional().trim(),
-  body('route.destination.address').optional().trim()
+  body('quote').isMongoId().withMessage('A valid quote is required'),
+  body('truck').optional().isMongoId().withMessage('Invalid truck')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -111,24 +296,17 @@ router.post('/', [
       });
     }
 
+    const now = new Date();
+    const quote = await getBookableQuote(req.body.quote, req.user._id, now);
+    const quoted = getBookingFieldsFromQuote(quote);
+
     // Check for conflicting bookings if truck is specified
     if (req.body.truck) {
-      const startDate = new Date(req.body.schedule.startDate);
-      const endDate = new Date(req.body.schedule.endDate || 
-        new Date(startDate.getTime() + (req.body.schedule.estimatedDuration || 4) * 60 * 60 * 1000));
-
-      const conflictingBooking = await Booking.findOne({
-        truck: req.body.truck,
-        status: { $in: ['confirmed', 'assigned', 'in_progress'] },
-        $or: [
-          {
-            'schedule.startDate': { $lte: endDate },
-            'schedule.endDate': { $gte: startDate }
-          }
-        ]
-      });
+      const { startDate, endDate } = quoted.schedule;
+
+      const conflicts = await Booking.findConflicts({ start: startDate, end: endDate, truck: req.body.truck });
 
-      if (conflictingBooking) {
+      if (conflicts.length > 0) {
         return res.status(400).json({
           success: false,
           message: 'Truck is not available for the selected time slot'
@@ -136,18 +314,24 @@ router.post('/', [
       }
     }
 
+    // Whatever the client sent for the priced fields is replaced by the quote
     const booking = new Booking({
       ...req.body,
+      ...quoted,
+      cargo: { ...req.body.cargo, weight: quote.cargoWeight ?? undefined },
       customer: req.user._id
     });
 
-    // Calculate total amount
-    booking.calculateTotal();
-    await booking.save();
+    await lockQuote(quote, booking._id, now);
+    try {
+      await booking.save();
+    } catch (error) {
+      await releaseQuote(quote, booking._id);
+      throw error;
+    }
 
-    // Emit real-time notification to admins
-    const io = req.app.get('socketio');
-    io.to('admin-room').emit('booking-created', {
+    // Notify admins in real time
+    await publish('booking.created', {
       bookingId: booking._id,
       bookingNumber: booking.bookingNumber,
       customer: req.user.name,
@@ -163,19 +347,21 @@ router.post('/', [
 
   } catch (error) {
     console.error('Create booking error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Error creating booking'
+      message: error.statusCode ? error.message : 'Error creating booking'
     });
   }
 });
 
 // @route   PUT /api/v1/bookings/:id/status
 // @desc    Update booking status
-// @access  Admin only
-router.put('/:id/status', requireAdmin, [
-  body('status').isIn(['pending', 'confirmed', 'assigned', 'in_progress', 'completed', 'cancelled'])
-    .withMessage('Invalid status'),
+// @access  Private (manage_bookings)
+router.put('/:id/status', requirePermission('manage_bookings'), [
+  body('status').isIn(BOOKING_STATUSES)
+    .withMessage('Invalid status')
+    .not().equals('cancelled')
+    .withMessage('Cancel bookings with POST /bookings/:id/cancel'),
   body('notes').optional().trim()
 ], async (req, res) => {
   try {
@@ -202,15 +388,17 @@ router.put('/:id/status', requireAdmin, [
       let truckStatus = 'available';
       if (['assigned', 'in_progress'].includes(req.body.status)) {
         truckStatus = 'dispatched';
+      } else if (req.body.status === 'at-location') {
+        truckStatus = 'at-location';
       }
       
       await Truck.findByIdAndUpdate(booking.truck, { status: truckStatus });
     }
 
-    // Emit real-time update
-    const io = req.app.get('socketio');
-    io.to(`user-${booking.customer}`).emit('booking-status-updated', {
+    // Notify the customer in real time
+    await publish('booking.status-changed', {
       bookingId: booking._id,
+      customerId: booking.customer,
       status: req.body.status,
       timestamp: new Date()
     });
@@ -232,8 +420,8 @@ router.put('/:id/status', requireAdmin, [
 
 // @route   PUT /api/v1/bookings/:id/assign
 // @desc    Assign truck and driver to booking
-// @access  Admin only
-router.put('/:id/assign', requireAdmin, [
+// @access  Private (manage_bookings)
+router.put('/:id/assign', requirePermission('manage_bookings'), [
   body('truck').notEmpty().withMessage('Truck ID is required'),
   body('driver').optional().isMongoId().withMessage('Valid driver ID required')
 ], async (req, res) => {
@@ -263,35 +451,38 @@ router.put('/:id/assign', requireAdmin, [
       });
     }
 
+    // The driver defaults to the truck's own driver account
+    const driverId = req.body.driver || truck.driver.user;
+    if (req.body.driver) {
+      const driver = await User.findOne({ _id: req.body.driver, role: 'driver', isActive: true });
+      if (!driver) {
+        return res.status(400).json({
+          success: false,
+          message: 'Driver not found'
+        });
+      }
+    }
+
     // Update booking
     booking.truck = req.body.truck;
-    if (req.body.driver) booking.driver = req.body.driver;
+    if (driverId) booking.driver = driverId;
     
     await booking.updateStatus('assigned', req.user._id, 'Truck and driver assigned');
 
     // Update truck status
     await truck.assignToRequest(booking._id);
 
-    // Emit real-time updates
-    const io = req.app.get('socketio');
-    
-    // Notify customer
-    io.to(`user-${booking.customer}`).emit('booking-assigned', {
+    // Notify the customer, and the driver if one was assigned
+    await publish('booking.assigned', {
       bookingId: booking._id,
+      bookingNumber: booking.bookingNumber,
+      customerId: booking.customer,
+      driverId: driverId || null,
       truck: truck.truckId,
       driver: truck.driver.name,
       timestamp: new Date()
     });
 
-    // Notify driver if assigned
-    if (req.body.driver) {
-      io.to(`user-${req.body.driver}`).emit('booking-assigned-to-driver', {
-        bookingId: booking._id,
-        bookingNumber: booking.bookingNumber,
-        timestamp: new Date()
-      });
-    }
-
     res.json({
       success: true,
       message: 'Booking assigned successfully',
@@ -307,36 +498,144 @@ router.put('/:id/assign', requireAdmin, [
   }
 });
 
-// @route   GET /api/v1/bookings/available-trucks
-// @desc    Get available trucks for booking
-// @access  Private
-router.get('/available-trucks', async (req, res) => {
+const findOwnBooking = async (req) => {
+  const booking = await Booking.findById(req.params.id);
+  if (!booking) return null;
+  if (!req.user.hasPermission('manage_bookings') && !booking.customer.equals(req.user._id)) return null;
+  return booking;
+};
+
+// @route   GET /api/v1/bookings/:id/cancellation
+// @desc    What cancelling the booking now would cost, and until when it is free
+// @access  Private (the customer or manage_bookings)
+router.get('/:id/cancellation', [
+  param('id').isMongoId().withMessage('Invalid booking')
+], async (req, res) => {
   try {
-    const { startDate, endDate, serviceType } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
 
-    if (!startDate) {
+    const booking = await findOwnBooking(req);
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        canCancel: booking.canBeCancelled(),
+        canReschedule: booking.canBeRescheduled(),
+        ...getCancellationFee(booking)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get cancellation fee error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving cancellation fee'
+    });
+  }
+});
+
+// @route   POST /api/v1/bookings/:id/reschedule
+// @desc    Move a booking to a new start (staff: optionally to another truck); its length and rates stay, surcharges follow the new start
+// @access  Private (the customer or manage_bookings)
+router.post('/:id/reschedule', [
+  param('id').isMongoId().withMessage('Invalid booking'),
+  body('startDate').isISO8601().withMessage('Valid start date required'),
+  body('truck').optional().isMongoId().withMessage('Invalid truck'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason too long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: 'Start date is required'
+        errors: errors.array()
       });
     }
 
-    const start = new Date(startDate);
-    const end = endDate ? new Date(endDate) : new Date(start.getTime() + 4 * 60 * 60 * 1000); // Default 4 hours
+    const booking = await findOwnBooking(req);
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
 
-    const availableTrucks = await Booking.findAvailableTrucks(start, end, serviceType);
+    await rescheduleBooking(booking, {
+      startDate: new Date(req.body.startDate),
+      truck: req.body.truck,
+      reason: req.body.reason
+    }, req.user);
 
     res.json({
       success: true,
-      data: availableTrucks,
-      count: availableTrucks.length
+      message: 'Booking rescheduled successfully',
+      data: booking
     });
 
   } catch (error) {
-    console.error('Get available trucks error:', error);
-    res.status(500).json({
+    console.error('Reschedule booking error:', error);
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Error retrieving available trucks'
+      message: error.statusCode ? error.message : 'Error rescheduling booking'
+    });
+  }
+});
+
+// @route   POST /api/v1/bookings/:id/cancel
+// @desc    Cancel a booking; a late or on-site cancellation is charged a fee (manage_bookings may waive it)
+// @access  Private (the customer or manage_bookings)
+router.post('/:id/cancel', [
+  param('id').isMongoId().withMessage('Invalid booking'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason too long'),
+  body('waiveFee').optional().isBoolean().withMessage('waiveFee must be true or false').toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const booking = await findOwnBooking(req);
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const result = await cancelBooking(booking, {
+      reason: req.body.reason,
+      waiveFee: req.body.waiveFee
+    }, req.user);
+
+    res.json({
+      success: true,
+      message: result.fee > 0
+        ? `Booking cancelled with a ${booking.pricing.currency} ${result.fee} cancellation fee`
+        : 'Booking cancelled successfully',
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Cancel booking error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error cancelling booking'
     });
   }
 });
@@ -1,10 +1,13 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
-import Branch from '../models/Branch.js';
-import { requireAdmin } from '../middleware/auth.js';
+import Branch, { DISPATCH_MODES } from '../models/Branch.js';
+import { requirePermission, requireBranchPermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
+// Fields only staff with manage_branches may change
+const BRANCH_ADMIN_FIELDS = ['code', 'manager', 'staff', 'assignedTrucks', 'isActive'];
+
 // @route   GET /api/v1/branches
 // @desc    Get all branches
 // @access  Private
@@ -71,8 +74,8 @@ router.get('/:id', async (req, res) => {
 
 // @route   POST /api/v1/branches
 // @desc    Create new branch
-// @access  Admin only
-router.post('/', requireAdmin, [
+// @access  Private (manage_branches)
+router.post('/', requirePermission('manage_branches'), [
   body('name').trim().notEmpty().withMessage('Branch name is required'),
   body('code').trim().notEmpty().withMessage('Branch code is required'),
   body('location.address').trim().notEmpty().withMessage('Address is required'),
@@ -124,12 +127,19 @@ router.post('/', requireAdmin, [
 
 // @route   PUT /api/v1/branches/:id
 // @desc    Update branch
-// @access  Admin only
-router.put('/:id', requireAdmin, async (req, res) => {
+// @access  Private (manage_branches, or manage_branch for own branch)
+router.put('/:id', requireBranchPermission(), async (req, res) => {
   try {
+    const updateData = { ...req.body };
+
+    // Branch managers can edit their branch's details but not who runs it
+    if (req.branchScope) {
+      BRANCH_ADMIN_FIELDS.forEach(field => delete updateData[field]);
+    }
+
     const branch = await Branch.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      updateData,
       { new: true, runValidators: true }
     ).populate('manager', 'name email phone')
      .populate('staff.employee', 'name email phone');
@@ -156,10 +166,63 @@ router.put('/:id', requireAdmin, async (req, res) => {
   }
 });
 
+// @route   PUT /api/v1/branches/:id/dispatch-settings
+// @desc    Switch the branch between manual, suggest and auto dispatch
+// @access  Private (manage_branches, or manage_branch for own branch)
+router.put('/:id/dispatch-settings', requireBranchPermission(), [
+  body('mode').optional().isIn(DISPATCH_MODES).withMessage(`Mode must be one of: ${DISPATCH_MODES.join(', ')}`),
+  body('offerTimeoutSeconds').optional().isInt({ min: 15, max: 1800 }).withMessage('Offer timeout must be 15-1800 seconds'),
+  body('maxDistanceKm').optional().isFloat({ min: 1 }).withMessage('Max distance must be at least 1 km'),
+  body('maxOffers').optional().isInt({ min: 1 }).withMessage('Max offers must be at least 1')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const update = {};
+    ['mode', 'offerTimeoutSeconds', 'maxDistanceKm', 'maxOffers'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        update[`dispatchSettings.${field}`] = req.body[field];
+      }
+    });
+
+    const branch = await Branch.findByIdAndUpdate(
+      req.params.id,
+      { $set: update },
+      { new: true, runValidators: true }
+    ).select('name code dispatchSettings');
+
+    if (!branch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Branch not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Dispatch mode set to ${branch.dispatchSettings.mode}`,
+      data: branch
+    });
+
+  } catch (error) {
+    console.error('Update dispatch settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating dispatch settings'
+    });
+  }
+});
+
 // @route   POST /api/v1/branches/:id/staff
 // @desc    Add staff to branch
-// @access  Admin only
-router.post('/:id/staff', requireAdmin, [
+// @access  Private (manage_branches, or manage_staff for own branch)
+router.post('/:id/staff', requireBranchPermission('manage_staff'), [
   body('employee').notEmpty().withMessage('Employee ID is required'),
   body('role').isIn(['manager', 'supervisor', 'mechanic', 'driver', 'admin_staff'])
     .withMessage('Invalid role')
@@ -181,6 +244,14 @@ router.post('/:id/staff', requireAdmin, [
       });
     }
 
+    // Only staff with manage_branches can appoint branch managers
+    if (req.branchScope && req.body.role === 'manager') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Branch managers cannot appoint managers.'
+      });
+    }
+
     // Check if employee is already assigned
     const existingStaff = branch.staff.find(
       s => s.employee.toString() === req.body.employee && s.isActive
@@ -221,8 +292,8 @@ router.post('/:id/staff', requireAdmin, [
 
 // @route   PUT /api/v1/branches/:id/staff/:staffId
 // @desc    Update staff member
-// @access  Admin only
-router.put('/:id/staff/:staffId', requireAdmin, async (req, res) => {
+// @access  Private (manage_branches, or manage_staff for own branch)
+router.put('/:id/staff/:staffId', requireBranchPermission('manage_staff'), async (req, res) => {
   try {
     const branch = await Branch.findById(req.params.id);
     if (!branch) {
@@ -240,6 +311,13 @@ router.put('/:id/staff/:staffId', requireAdmin, async (req, res) => {
       });
     }
 
+    if (req.branchScope && (staffMember.role === 'manager' || req.body.role === 'manager')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Branch managers cannot change manager appointments.'
+      });
+    }
+
     // Update staff member
     Object.assign(staffMember, req.body);
     await branch.save();
@@ -306,8 +384,8 @@ router.get('/nearby/:lat/:lng', async (req, res) => {
 
 // @route   GET /api/v1/branches/:id/analytics
 // @desc    Get branch analytics
-// @access  Admin only
-router.get('/:id/analytics', requireAdmin, async (req, res) => {
+// @access  Private (view_analytics, or view_reports for own branch)
+router.get('/:id/analytics', requireBranchPermission('view_reports', { globalPermission: 'view_analytics' }), async (req, res) => {
   try {
     const branch = await Branch.findById(req.params.id)
       .populate('assignedTrucks', 'status')
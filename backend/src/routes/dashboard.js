@@ -4,6 +4,8 @@ import Truck from '../models/Truck.js';
 import Branch from '../models/Branch.js';
 import Booking from '../models/Booking.js';
 import Message from '../models/Message.js';
+import WorkOrder, { OPEN_STATUSES } from '../models/WorkOrder.js';
+import Inventory from '../models/Inventory.js';
 import { requireAdmin } from '../middleware/auth.js';
 
 const router = express.Router();
@@ -160,7 +162,7 @@ router.get('/fleet-map', requireAdmin, async (req, res) => {
     // Get all trucks with current locations
     const trucks = await Truck.find({ isActive: true })
       .populate('assignedRequest', 'customer route status')
-      .select('truckId driver vehicle currentLocation status assignedRequest lastSeen');
+      .select('truckId driver vehicle currentLocation status assignedRequest lastSeen signalLost');
 
     // Get all pickup requests with locations
     const pickupRequests = await Booking.find({
@@ -184,6 +186,7 @@ router.get('/fleet-map', requireAdmin, async (req, res) => {
         location: truck.currentLocation,
         status: truck.status,
         lastSeen: truck.lastSeen,
+        signalLostAt: truck.signalLost?.at || null,
         assignedRequest: truck.assignedRequest
       })),
       pickupRequests: pickupRequests.map(request => ({
@@ -271,6 +274,45 @@ router.get('/notifications', requireAdmin, async (req, res) => {
       });
     });
 
+    // Urgent work orders still in the workshop
+    const urgentWorkOrders = await WorkOrder.find({
+      status: { $in: OPEN_STATUSES },
+      priority: { $in: ['high', 'emergency'] }
+    })
+      .populate('truck', 'truckId')
+      .sort({ createdAt: -1 })
+      .limit(5);
+
+    urgentWorkOrders.forEach(workOrder => {
+      notifications.push({
+        id: `work-order-${workOrder._id}`,
+        type: 'maintenance',
+        title: workOrder.priority === 'emergency' ? 'Emergency Work Order' : 'Urgent Work Order',
+        message: `${workOrder.workOrderNumber} on truck ${workOrder.truck?.truckId}: ${workOrder.title}`,
+        timestamp: workOrder.createdAt,
+        priority: 'high',
+        isRead: false
+      });
+    });
+
+    // Parts at or below their reorder level
+    const lowStock = await Inventory.findLowStock()
+      .populate('part', 'name partNumber')
+      .populate('branch', 'name')
+      .limit(5);
+
+    lowStock.forEach(item => {
+      notifications.push({
+        id: `inventory-${item._id}`,
+        type: 'inventory',
+        title: item.quantityAvailable <= 0 ? 'Out of Stock' : 'Low Stock',
+        message: `${item.part?.name} at ${item.branch?.name}: ${item.quantityAvailable} available (reorder level ${item.reorderLevel})`,
+        timestamp: item.updatedAt,
+        priority: item.quantityAvailable <= 0 ? 'high' : 'medium',
+        isRead: false
+      });
+    });
+
     // Pending bookings
     const pendingBookings = await Booking.find({
       status: 'pending'
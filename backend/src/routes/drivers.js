@@ -0,0 +1,498 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import User from '../models/User.js';
+import DriverShift, { SHIFT_STATUSES } from '../models/DriverShift.js';
+import { requirePermission } from '../middleware/auth.js';
+import { assignTruck, syncTruckDriverDetails, clockIn, clockOut } from '../services/drivers.js';
+
+const router = express.Router();
+
+const UPCOMING_SHIFT_DAYS = 7;
+const PROFILE_FIELDS = ['licenseNumber', 'licenseClass', 'licenseExpiry', 'certifications'];
+const TRUCK_FIELDS = 'truckId vehicle.licensePlate status';
+
+const findDriver = (id) => User.findOne({ _id: id, role: 'driver' });
+
+// The shift under way and the ones coming up in the next few days
+const getUpcomingShifts = (driverId) => {
+  const now = new Date();
+  return DriverShift.find({
+    driver: driverId,
+    $or: [
+      { status: 'active' },
+      {
+        status: 'scheduled',
+        end: { $gt: now },
+        start: { $lt: new Date(now.getTime() + UPCOMING_SHIFT_DAYS * 24 * 60 * 60 * 1000) }
+      }
+    ]
+  })
+    .populate('truck', TRUCK_FIELDS)
+    .sort({ start: 1 });
+};
+
+// Refuse a shift that would overlap another open shift of the same driver
+const checkOverlap = async (driverId, start, end, excludeId = null) => {
+  const [overlapping] = await DriverShift.findOverlapping(driverId, start, end, excludeId);
+  if (overlapping) {
+    const error = new Error(`Overlaps a shift from ${overlapping.start.toISOString()} to ${overlapping.end.toISOString()}`);
+    error.statusCode = 409;
+    throw error;
+  }
+};
+
+const sendError = (res, error, fallback) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: Object.values(error.errors).map(err => err.message).join(', ')
+    });
+  }
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : fallback
+  });
+};
+
+const shiftValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('start').isISO8601().withMessage('start must be an ISO 8601 date'),
+    field('end').isISO8601().withMessage('end must be an ISO 8601 date'),
+    body('truck').optional({ nullable: true }).isMongoId().withMessage('Invalid truck'),
+    body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes are limited to 500 characters')
+  ];
+};
+
+// @route   GET /api/v1/drivers/me
+// @desc    The current driver's profile, truck and upcoming shifts
+// @access  Private (Drivers)
+router.get('/me', requirePermission('update_location', 'view_assigned_trucks'), async (req, res) => {
+  try {
+    const driver = await User.findById(req.user._id)
+      .populate('driverProfile.assignedTruck', TRUCK_FIELDS);
+
+    res.json({
+      success: true,
+      data: {
+        driver,
+        shifts: await getUpcomingShifts(req.user._id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get driver profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving driver profile'
+    });
+  }
+});
+
+// @route   POST /api/v1/drivers/me/clock-in
+// @desc    Start working: the assigned truck becomes available for jobs
+// @access  Private (Drivers)
+router.post('/me/clock-in', requirePermission('update_location'), async (req, res) => {
+  try {
+    const { truck, shift } = await clockIn(req.user);
+
+    res.json({
+      success: true,
+      message: `Clocked in on ${truck.truckId}`,
+      data: {
+        driverProfile: req.user.driverProfile,
+        truck: { _id: truck._id, truckId: truck.truckId, status: truck.status },
+        shift
+      }
+    });
+
+  } catch (error) {
+    console.error('Clock in error:', error);
+    sendError(res, error, 'Error clocking in');
+  }
+});
+
+// @route   POST /api/v1/drivers/me/clock-out
+// @desc    Stop working: the assigned truck goes offline
+// @access  Private (Drivers)
+router.post('/me/clock-out', requirePermission('update_location'), async (req, res) => {
+  try {
+    const { truck, shift } = await clockOut(req.user);
+
+    res.json({
+      success: true,
+      message: 'Clocked out',
+      data: {
+        driverProfile: req.user.driverProfile,
+        truck: truck ? { _id: truck._id, truckId: truck.truckId, status: truck.status } : null,
+        shift
+      }
+    });
+
+  } catch (error) {
+    console.error('Clock out error:', error);
+    sendError(res, error, 'Error clocking out');
+  }
+});
+
+// @route   GET /api/v1/drivers/shifts
+// @desc    The roster (filters: driver, truck, status, from, to)
+// @access  Private (manage_trucks)
+router.get('/shifts', requirePermission('manage_trucks'), [
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+  query('status').optional().isIn(SHIFT_STATUSES).withMessage('Invalid shift status')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { driver, truck, status, from, to } = req.query;
+    const filter = {};
+
+    if (driver) filter.driver = driver;
+    if (truck) filter.truck = truck;
+    if (status) filter.status = status;
+    // Shifts overlapping the period
+    if (from) filter.end = { $gt: new Date(from) };
+    if (to) filter.start = { $lt: new Date(to) };
+
+    const shifts = await DriverShift.find(filter)
+      .populate('driver', 'name phone')
+      .populate('truck', TRUCK_FIELDS)
+      .sort({ start: 1 })
+      .limit(1000);
+
+    res.json({
+      success: true,
+      data: shifts,
+      count: shifts.length
+    });
+
+  } catch (error) {
+    console.error('Get shifts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving shifts'
+    });
+  }
+});
+
+// @route   POST /api/v1/drivers/shifts
+// @desc    Roster a driver for a shift
+// @access  Private (manage_trucks)
+router.post('/shifts', requirePermission('manage_trucks'), [
+  body('driver').isMongoId().withMessage('Valid driver ID required'),
+  ...shiftValidators(false)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const driver = await findDriver(req.body.driver);
+    if (!driver) {
+      return res.status(404).json({
+        success: false,
+        message: 'Driver not found'
+      });
+    }
+
+    const start = new Date(req.body.start);
+    const end = new Date(req.body.end);
+    await checkOverlap(driver._id, start, end);
+
+    const shift = new DriverShift({
+      driver: driver._id,
+      truck: req.body.truck || driver.driverProfile?.assignedTruck || null,
+      start,
+      end,
+      notes: req.body.notes,
+      createdBy: req.user._id
+    });
+    await shift.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Shift created successfully',
+      data: shift
+    });
+
+  } catch (error) {
+    console.error('Create shift error:', error);
+    sendError(res, error, 'Error creating shift');
+  }
+});
+
+// @route   PUT /api/v1/drivers/shifts/:shiftId
+// @desc    Move or edit a shift that hasn't started
+// @access  Private (manage_trucks)
+router.put('/shifts/:shiftId', requirePermission('manage_trucks'), [
+  param('shiftId').isMongoId().withMessage('Invalid shift'),
+  ...shiftValidators(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const shift = await DriverShift.findById(req.params.shiftId);
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift not found'
+      });
+    }
+    if (shift.status !== 'scheduled') {
+      return res.status(409).json({
+        success: false,
+        message: `Only scheduled shifts can be changed; this one is ${shift.status}`
+      });
+    }
+
+    if (req.body.start) shift.start = new Date(req.body.start);
+    if (req.body.end) shift.end = new Date(req.body.end);
+    if (req.body.truck !== undefined) shift.truck = req.body.truck;
+    if (req.body.notes !== undefined) shift.notes = req.body.notes;
+
+    await checkOverlap(shift.driver, shift.start, shift.end, shift._id);
+    await shift.save();
+
+    res.json({
+      success: true,
+      message: 'Shift updated successfully',
+      data: shift
+    });
+
+  } catch (error) {
+    console.error('Update shift error:', error);
+    sendError(res, error, 'Error updating shift');
+  }
+});
+
+// @route   DELETE /api/v1/drivers/shifts/:shiftId
+// @desc    Cancel a shift that hasn't started
+// @access  Private (manage_trucks)
+router.delete('/shifts/:shiftId', requirePermission('manage_trucks'), [
+  param('shiftId').isMongoId().withMessage('Invalid shift')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const shift = await DriverShift.findOneAndUpdate(
+      { _id: req.params.shiftId, status: 'scheduled' },
+      { status: 'cancelled' },
+      { new: true }
+    );
+    if (!shift) {
+      return res.status(409).json({
+        success: false,
+        message: 'Only scheduled shifts can be cancelled'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Shift cancelled',
+      data: shift
+    });
+
+  } catch (error) {
+    console.error('Cancel shift error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling shift'
+    });
+  }
+});
+
+// @route   GET /api/v1/drivers
+// @desc    Driver accounts with their profile and truck (filters: onDuty, licenseExpiresBefore)
+// @access  Private (manage_trucks)
+router.get('/', requirePermission('manage_trucks'), [
+  query('licenseExpiresBefore').optional().isISO8601().withMessage('licenseExpiresBefore must be an ISO 8601 date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { onDuty, licenseExpiresBefore } = req.query;
+    const filter = { role: 'driver' };
+
+    if (onDuty !== undefined) filter['driverProfile.onDuty'] = onDuty === 'true';
+    if (licenseExpiresBefore) filter['driverProfile.licenseExpiry'] = { $lt: new Date(licenseExpiresBefore) };
+
+    const drivers = await User.find(filter)
+      .select('name email phone isActive driverProfile')
+      .populate('driverProfile.assignedTruck', TRUCK_FIELDS)
+      .sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: drivers,
+      count: drivers.length
+    });
+
+  } catch (error) {
+    console.error('Get drivers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving drivers'
+    });
+  }
+});
+
+// @route   GET /api/v1/drivers/:id
+// @desc    One driver with their upcoming shifts
+// @access  Private (manage_trucks)
+router.get('/:id', requirePermission('manage_trucks'), [
+  param('id').isMongoId().withMessage('Invalid driver')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const driver = await findDriver(req.params.id)
+      .select('name email phone isActive driverProfile')
+      .populate('driverProfile.assignedTruck', TRUCK_FIELDS);
+    if (!driver) {
+      return res.status(404).json({
+        success: false,
+        message: 'Driver not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        driver,
+        shifts: await getUpcomingShifts(driver._id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get driver error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving driver'
+    });
+  }
+});
+
+// @route   PUT /api/v1/drivers/:id/profile
+// @desc    Update a driver's licence and certifications
+// @access  Private (manage_trucks)
+router.put('/:id/profile', requirePermission('manage_trucks'), [
+  param('id').isMongoId().withMessage('Invalid driver'),
+  body('licenseNumber').optional().trim(),
+  body('licenseClass').optional().trim(),
+  body('licenseExpiry').optional({ nullable: true }).isISO8601().withMessage('licenseExpiry must be an ISO 8601 date'),
+  body('certifications').optional().isArray({ max: 50 }).withMessage('certifications must be a list'),
+  body('certifications.*.name').trim().notEmpty().withMessage('Certification name is required'),
+  body('certifications.*.issuedBy').optional().trim(),
+  body('certifications.*.expiresAt').optional({ nullable: true }).isISO8601().withMessage('Certification expiry must be an ISO 8601 date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const driver = await findDriver(req.params.id);
+    if (!driver) {
+      return res.status(404).json({
+        success: false,
+        message: 'Driver not found'
+      });
+    }
+
+    if (!driver.driverProfile) driver.driverProfile = {};
+    PROFILE_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .forEach(field => { driver.driverProfile[field] = req.body[field]; });
+    await driver.save();
+    await syncTruckDriverDetails(driver);
+
+    res.json({
+      success: true,
+      message: 'Driver profile updated successfully',
+      data: driver
+    });
+
+  } catch (error) {
+    console.error('Update driver profile error:', error);
+    sendError(res, error, 'Error updating driver profile');
+  }
+});
+
+// @route   PUT /api/v1/drivers/:id/truck
+// @desc    Assign a truck to a driver, or unassign with truck: null
+// @access  Private (manage_trucks)
+router.put('/:id/truck', requirePermission('manage_trucks'), [
+  param('id').isMongoId().withMessage('Invalid driver'),
+  body('truck').optional({ nullable: true }).isMongoId().withMessage('Invalid truck')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const driver = await findDriver(req.params.id);
+    if (!driver) {
+      return res.status(404).json({
+        success: false,
+        message: 'Driver not found'
+      });
+    }
+
+    const truck = await assignTruck(driver, req.body.truck || null);
+
+    res.json({
+      success: true,
+      message: truck ? `${driver.name} now drives ${truck.truckId}` : `${driver.name} no longer has a truck`,
+      data: driver
+    });
+
+  } catch (error) {
+    console.error('Assign driver truck error:', error);
+    sendError(res, error, 'Error assigning truck');
+  }
+});
+
+export default router;
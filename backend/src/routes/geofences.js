@@ -0,0 +1,248 @@
+import express from 'express';
+import { body, param, validationResult } from 'express-validator';
+import Geofence, { GEOFENCE_TYPES, GEOFENCE_KINDS } from '../models/Geofence.js';
+import GeofenceEvent, { GEOFENCE_EVENT_TYPES } from '../models/GeofenceEvent.js';
+import Branch from '../models/Branch.js';
+import { requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = ['name', 'kind', 'branch', 'type', 'center', 'radiusMeters', 'polygon', 'dwellSeconds', 'isActive'];
+
+const geofenceValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').trim().notEmpty().withMessage('Name is required'),
+    field('type').isIn(GEOFENCE_TYPES).withMessage('Type must be circle or polygon'),
+    body('kind').optional().isIn(GEOFENCE_KINDS).withMessage('Invalid geofence kind'),
+    body('branch').optional({ nullable: true }).isMongoId().withMessage('Invalid branch'),
+    body('center.latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Valid center latitude required'),
+    body('center.longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Valid center longitude required'),
+    body('radiusMeters').optional().isFloat({ min: 10, max: 50000 }).withMessage('radiusMeters must be between 10 and 50000'),
+    body('polygon').optional().isArray({ min: 3, max: 200 }).withMessage('polygon needs 3 to 200 points'),
+    body('polygon.*.latitude').isFloat({ min: -90, max: 90 }).withMessage('Valid polygon latitude required'),
+    body('polygon.*.longitude').isFloat({ min: -180, max: 180 }).withMessage('Valid polygon longitude required'),
+    body('dwellSeconds').optional().isInt({ min: 30 }).withMessage('dwellSeconds must be at least 30'),
+    body('isActive').optional().isBoolean()
+  ];
+};
+
+const pickEditable = (source) => Object.fromEntries(
+  EDITABLE_FIELDS.filter(key => source[key] !== undefined).map(key => [key, source[key]])
+);
+
+// A branch fence defaults to a circle around the branch's coordinates (data is a plain object or the document)
+const applyBranchDefaults = async (data) => {
+  if (!data.branch) return;
+
+  const branch = await Branch.findById(data.branch);
+  if (!branch) {
+    const error = new Error('Branch not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  data.kind = 'branch';
+  if (data.type === 'circle' && !data.center && branch.location?.coordinates?.latitude !== undefined) {
+    data.center = {
+      latitude: branch.location.coordinates.latitude,
+      longitude: branch.location.coordinates.longitude
+    };
+  }
+};
+
+// @route   GET /api/v1/geofences
+// @desc    List geofences
+// @access  Private (manage_trucks)
+router.get('/', requirePermission('manage_trucks'), async (req, res) => {
+  try {
+    const { kind, branch, isActive } = req.query;
+    const filter = {};
+
+    if (kind) filter.kind = kind;
+    if (branch) filter.branch = branch;
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+
+    const geofences = await Geofence.find(filter)
+      .populate('branch', 'name code')
+      .sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: geofences,
+      count: geofences.length
+    });
+
+  } catch (error) {
+    console.error('Get geofences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving geofences'
+    });
+  }
+});
+
+// @route   GET /api/v1/geofences/events
+// @desc    Recent enter/exit/dwell events (filters: truck, key, type, from, to)
+// @access  Private (manage_trucks)
+router.get('/events', requirePermission('manage_trucks'), async (req, res) => {
+  try {
+    const { truck, key, type, from, to, limit = 50 } = req.query;
+    const filter = {};
+
+    if (truck) filter.truck = truck;
+    if (key) filter.key = key;
+    if (type && GEOFENCE_EVENT_TYPES.includes(type)) filter.type = type;
+    if (from || to) {
+      filter.occurredAt = {};
+      if (from) filter.occurredAt.$gte = new Date(from);
+      if (to) filter.occurredAt.$lte = new Date(to);
+    }
+
+    const events = await GeofenceEvent.find(filter)
+      .populate('truck', 'truckId vehicle.licensePlate driver.name')
+      .sort({ occurredAt: -1 })
+      .limit(Math.min(parseInt(limit) || 50, 500));
+
+    res.json({
+      success: true,
+      data: events,
+      count: events.length
+    });
+
+  } catch (error) {
+    console.error('Get geofence events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving geofence events'
+    });
+  }
+});
+
+// @route   POST /api/v1/geofences
+// @desc    Create a circle or polygon geofence
+// @access  Private (manage_trucks)
+router.post('/', requirePermission('manage_trucks'), geofenceValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const data = pickEditable(req.body);
+    await applyBranchDefaults(data);
+
+    const geofence = new Geofence({ ...data, createdBy: req.user._id });
+    await geofence.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Geofence created successfully',
+      data: geofence
+    });
+
+  } catch (error) {
+    console.error('Create geofence error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error creating geofence'
+    });
+  }
+});
+
+// @route   PUT /api/v1/geofences/:id
+// @desc    Update a geofence
+// @access  Private (manage_trucks)
+router.put('/:id', requirePermission('manage_trucks'), [
+  param('id').isMongoId().withMessage('Invalid geofence'),
+  ...geofenceValidators(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const geofence = await Geofence.findById(req.params.id);
+    if (!geofence) {
+      return res.status(404).json({
+        success: false,
+        message: 'Geofence not found'
+      });
+    }
+
+    geofence.set(pickEditable(req.body));
+    await applyBranchDefaults(geofence);
+    await geofence.save();
+
+    res.json({
+      success: true,
+      message: 'Geofence updated successfully',
+      data: geofence
+    });
+
+  } catch (error) {
+    console.error('Update geofence error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error updating geofence'
+    });
+  }
+});
+
+// @route   DELETE /api/v1/geofences/:id
+// @desc    Delete a geofence
+// @access  Private (manage_trucks)
+router.delete('/:id', requirePermission('manage_trucks'), [
+  param('id').isMongoId().withMessage('Invalid geofence')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const geofence = await Geofence.findByIdAndDelete(req.params.id);
+    if (!geofence) {
+      return res.status(404).json({
+        success: false,
+        message: 'Geofence not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Geofence deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete geofence error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting geofence'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,369 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import Part from '../models/Part.js';
+import Inventory from '../models/Inventory.js';
+import StockMovement from '../models/StockMovement.js';
+import Branch from '../models/Branch.js';
+import { SERVICE_TYPES } from '../models/ServiceRequest.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { notifyLowStock } from '../services/inventoryAlerts.js';
+
+const router = express.Router();
+
+const CATEGORIES = ['engine', 'brakes', 'transmission', 'tires', 'electrical', 'ac', 'fluids', 'filters', 'body', 'other'];
+const UNITS = ['piece', 'set', 'litre', 'kg', 'metre'];
+
+// Stock levels are visible to admins and workshop staff
+const requireStockAccess = (req, res, next) => {
+  if (!req.user.isAdminUser() && !req.user.hasPermission('update_maintenance')) {
+    return res.status(403).json({
+      success: false,
+      message: 'Maintenance access required.'
+    });
+  }
+  next();
+};
+
+const partValidation = (optional = false) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('partNumber').trim().notEmpty().withMessage('Part number is required'),
+    field('name').trim().notEmpty().withMessage('Part name is required'),
+    body('category').optional().isIn(CATEGORIES).withMessage('Invalid category'),
+    body('unit').optional().isIn(UNITS).withMessage('Invalid unit'),
+    body('unitCost').optional().isFloat({ min: 0 }).withMessage('Unit cost must be positive'),
+    body('serviceTypes').optional().isArray().withMessage('Service types must be a list'),
+    body('serviceTypes.*').optional().isIn(Object.values(SERVICE_TYPES)).withMessage('Invalid service type')
+  ];
+};
+
+// @route   GET /api/v1/inventory/parts
+// @desc    Get the parts catalogue
+// @access  Private
+router.get('/parts', async (req, res) => {
+  try {
+    const { serviceType, category, search, includeInactive } = req.query;
+    const filter = {};
+
+    if (!(includeInactive === 'true' && req.user.isAdminUser())) filter.isActive = true;
+    if (serviceType) filter.serviceTypes = serviceType;
+    if (category) filter.category = category;
+    if (search) {
+      filter.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { partNumber: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const parts = await Part.find(filter).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: parts,
+      count: parts.length
+    });
+
+  } catch (error) {
+    console.error('Get parts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving parts'
+    });
+  }
+});
+
+// @route   POST /api/v1/inventory/parts
+// @desc    Add a part to the catalogue
+// @access  Admin only
+router.post('/parts', requireAdmin, partValidation(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const existingPart = await Part.findOne({ partNumber: req.body.partNumber.toUpperCase() });
+    if (existingPart) {
+      return res.status(400).json({
+        success: false,
+        message: 'Part number already exists'
+      });
+    }
+
+    const part = new Part(req.body);
+    await part.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Part created successfully',
+      data: part
+    });
+
+  } catch (error) {
+    console.error('Create part error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating part'
+    });
+  }
+});
+
+// @route   PUT /api/v1/inventory/parts/:id
+// @desc    Update a catalogue part
+// @access  Admin only
+router.put('/parts/:id', requireAdmin, partValidation(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const part = await Part.findByIdAndUpdate(
+      req.params.id,
+      req.body,
+      { new: true, runValidators: true }
+    );
+
+    if (!part) {
+      return res.status(404).json({
+        success: false,
+        message: 'Part not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Part updated successfully',
+      data: part
+    });
+
+  } catch (error) {
+    console.error('Update part error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating part'
+    });
+  }
+});
+
+// @route   GET /api/v1/inventory
+// @desc    Get stock levels per branch
+// @access  Private (Admin or mechanic)
+router.get('/', requireStockAccess, async (req, res) => {
+  try {
+    const { branch, part, lowStock } = req.query;
+    const filter = {};
+
+    if (branch) filter.branch = branch;
+    if (part) filter.part = part;
+
+    const query = lowStock === 'true' ? Inventory.findLowStock(filter) : Inventory.find(filter);
+    const inventory = await query
+      .populate('part', 'partNumber name category unit unitCost currency')
+      .populate('branch', 'name code')
+      .sort({ updatedAt: -1 });
+
+    res.json({
+      success: true,
+      data: inventory,
+      count: inventory.length
+    });
+
+  } catch (error) {
+    console.error('Get inventory error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving inventory'
+    });
+  }
+});
+
+// @route   POST /api/v1/inventory
+// @desc    Start stocking a part at a branch
+// @access  Admin only
+router.post('/', requireAdmin, [
+  body('part').isMongoId().withMessage('Valid part ID is required'),
+  body('branch').isMongoId().withMessage('Valid branch ID is required'),
+  body('quantityOnHand').optional().isInt({ min: 0 }).withMessage('Quantity must be positive'),
+  body('reorderLevel').optional().isInt({ min: 0 }).withMessage('Reorder level must be positive'),
+  body('binLocation').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const [part, branch] = await Promise.all([
+      Part.findById(req.body.part),
+      Branch.findById(req.body.branch)
+    ]);
+    if (!part || !branch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Part or branch not found'
+      });
+    }
+
+    const existing = await Inventory.findOne({ part: part._id, branch: branch._id });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'This part is already stocked at this branch'
+      });
+    }
+
+    const inventory = new Inventory({
+      part: part._id,
+      branch: branch._id,
+      reorderLevel: req.body.reorderLevel,
+      binLocation: req.body.binLocation
+    });
+    await inventory.save();
+
+    const quantity = parseInt(req.body.quantityOnHand) || 0;
+    const stocked = quantity > 0
+      ? await inventory.adjust(quantity, { reason: 'Opening stock', userId: req.user._id })
+      : inventory;
+
+    res.status(201).json({
+      success: true,
+      message: 'Stock record created successfully',
+      data: stocked
+    });
+
+  } catch (error) {
+    console.error('Create inventory error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating stock record'
+    });
+  }
+});
+
+// @route   PUT /api/v1/inventory/:id
+// @desc    Update reorder level or bin location
+// @access  Admin only
+router.put('/:id', requireAdmin, [
+  body('reorderLevel').optional().isInt({ min: 0 }).withMessage('Reorder level must be positive'),
+  body('binLocation').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const updates = {};
+    ['reorderLevel', 'binLocation'].forEach(field => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+
+    const inventory = await Inventory.findByIdAndUpdate(req.params.id, updates, { new: true, runValidators: true });
+    if (!inventory) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stock record not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Stock record updated successfully',
+      data: inventory
+    });
+
+  } catch (error) {
+    console.error('Update inventory error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating stock record'
+    });
+  }
+});
+
+// @route   POST /api/v1/inventory/:id/adjust
+// @desc    Restock (positive quantity) or write off (negative quantity)
+// @access  Admin only
+router.post('/:id/adjust', requireAdmin, [
+  body('quantity').isInt().custom(value => parseInt(value) !== 0).withMessage('Quantity must be a non-zero whole number'),
+  body('reason').optional().trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const inventory = await Inventory.findById(req.params.id);
+    if (!inventory) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stock record not found'
+      });
+    }
+
+    const updated = await inventory.adjust(parseInt(req.body.quantity), {
+      reason: req.body.reason,
+      userId: req.user._id
+    });
+    await notifyLowStock([updated]);
+
+    res.json({
+      success: true,
+      message: 'Stock adjusted successfully',
+      data: updated
+    });
+
+  } catch (error) {
+    console.error('Adjust inventory error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error adjusting stock'
+    });
+  }
+});
+
+// @route   GET /api/v1/inventory/:id/movements
+// @desc    Get the stock movement history for a stock record
+// @access  Private (Admin or mechanic)
+router.get('/:id/movements', requireStockAccess, async (req, res) => {
+  try {
+    const { limit = 50 } = req.query;
+
+    const movements = await StockMovement.find({ inventory: req.params.id })
+      .populate('performedBy', 'name')
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(limit) || 50, 200));
+
+    res.json({
+      success: true,
+      data: movements,
+      count: movements.length
+    });
+
+  } catch (error) {
+    console.error('Get stock movements error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving stock movements'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,186 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import Invitation, { INVITABLE_ROLES } from '../models/Invitation.js';
+import AuditLog from '../models/AuditLog.js';
+import Branch from '../models/Branch.js';
+import { ADMIN_ROLES } from '../models/Role.js';
+import { requirePermission } from '../middleware/auth.js';
+import { frontendUrl, sendInvitationEmail } from '../services/authEmails.js';
+
+const router = express.Router();
+
+router.use(requirePermission('manage_users'));
+
+// Admin-tier roles can only be handed out by main and super admins
+const canInviteRole = (user, role) => {
+  return !ADMIN_ROLES.includes(role) || ['main_admin', 'super_admin'].includes(user.role);
+};
+
+const buildInviteUrl = (token) => frontendUrl(`/register?invite=${encodeURIComponent(token)}`);
+
+// @route   GET /api/v1/invitations
+// @desc    List invitations
+// @access  Private (manage_users)
+router.get('/', async (req, res) => {
+  try {
+    const { status, email, limit = 50 } = req.query;
+    const filter = {};
+    const now = new Date();
+
+    if (email) filter.email = email.toLowerCase();
+    if (status === 'accepted') filter.acceptedAt = { $ne: null };
+    if (status === 'revoked') filter.revokedAt = { $ne: null };
+    if (status === 'pending') Object.assign(filter, { acceptedAt: null, revokedAt: null, expiresAt: { $gt: now } });
+    if (status === 'expired') Object.assign(filter, { acceptedAt: null, revokedAt: null, expiresAt: { $lte: now } });
+
+    const invitations = await Invitation.find(filter)
+      .populate('invitedBy', 'name email')
+      .populate('acceptedBy', 'name email')
+      .populate('branch', 'name code')
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(limit) || 50, 200));
+
+    res.json({
+      success: true,
+      data: invitations,
+      count: invitations.length
+    });
+
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving invitations'
+    });
+  }
+});
+
+// @route   POST /api/v1/invitations
+// @desc    Invite someone to join with a staff role
+// @access  Private (manage_users; admin roles need a main admin)
+router.post('/', [
+  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
+  body('role').isIn(INVITABLE_ROLES).withMessage('Invalid role'),
+  body('branch').optional({ nullable: true }).isMongoId().withMessage('Invalid branch ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { email, role, branch } = req.body;
+
+    if (!canInviteRole(req.user, role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Main admin access required to invite admins.'
+      });
+    }
+
+    if (branch && !(await Branch.exists({ _id: branch, isActive: true }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Branch not found'
+      });
+    }
+
+    const { invitation, token } = await Invitation.issue({
+      email,
+      role,
+      branch: branch || null,
+      invitedBy: req.user._id
+    });
+
+    await AuditLog.record('invitation_created', {
+      req,
+      targetEmail: invitation.email,
+      toRole: role,
+      branch: invitation.branch,
+      invitation: invitation._id
+    });
+
+    // The link is also returned so it can be shared by hand if mail delivery fails
+    const inviteUrl = buildInviteUrl(token);
+    let emailSent = true;
+    try {
+      await sendInvitationEmail(invitation, inviteUrl, req.user);
+    } catch (error) {
+      console.error('Send invitation email error:', error);
+      emailSent = false;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: emailSent ? 'Invitation created and emailed' : 'Invitation created, but the email could not be sent',
+      data: {
+        invitation,
+        token,
+        inviteUrl,
+        emailSent
+      }
+    });
+
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating invitation'
+    });
+  }
+});
+
+// @route   DELETE /api/v1/invitations/:id
+// @desc    Revoke a pending invitation
+// @access  Private (manage_users; admin roles need a main admin)
+router.delete('/:id', async (req, res) => {
+  try {
+    const invitation = await Invitation.findById(req.params.id);
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    if (!canInviteRole(req.user, invitation.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Main admin access required to revoke admin invitations.'
+      });
+    }
+
+    if (invitation.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot revoke an invitation that is ${invitation.status}`
+      });
+    }
+
+    await invitation.revoke(req.user._id);
+    await AuditLog.record('invitation_revoked', {
+      req,
+      targetEmail: invitation.email,
+      toRole: invitation.role,
+      invitation: invitation._id
+    });
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked successfully',
+      data: invitation
+    });
+
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking invitation'
+    });
+  }
+});
+
+export default router;
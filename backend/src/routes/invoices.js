@@ -0,0 +1,249 @@
+import express from 'express';
+import { param, query, validationResult } from 'express-validator';
+import Invoice, { INVOICE_TYPES } from '../models/Invoice.js';
+import { requirePermission } from '../middleware/auth.js';
+import { issueInvoice, buildStatement } from '../services/invoicing.js';
+import { renderInvoicePdf, renderStatementPdf } from '../services/invoicePdf.js';
+
+const router = express.Router();
+
+const canSeeAccount = (user, customerId) => {
+  return user.hasPermission('manage_bookings') || customerId.toString() === user._id.toString();
+};
+
+const sendPdf = (res, buffer, filename) => {
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${filename.replace(/[^\w.-]/g, '_')}"`
+  });
+  res.send(buffer);
+};
+
+// @route   GET /api/v1/invoices
+// @desc    List invoices and credit notes (own; manage_bookings: all, filters customer, branch)
+// @access  Private
+router.get('/', [
+  query('type').optional().isIn(INVOICE_TYPES).withMessage('Invalid type'),
+  query('booking').optional().isMongoId().withMessage('Invalid booking'),
+  query('from').optional().isISO8601().withMessage('from must be a date'),
+  query('to').optional().isISO8601().withMessage('to must be a date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { type, booking, customer, branch, from, to, page = 1, limit = 20 } = req.query;
+    const filter = { number: { $type: 'string' } };
+
+    if (req.user.hasPermission('manage_bookings')) {
+      if (customer) filter.customer = customer;
+      if (branch) filter.branch = branch;
+    } else {
+      filter.customer = req.user._id;
+    }
+    if (type) filter.type = type;
+    if (booking) filter.booking = booking;
+    if (from || to) {
+      filter.issuedAt = {};
+      if (from) filter.issuedAt.$gte = new Date(from);
+      if (to) filter.issuedAt.$lte = new Date(to);
+    }
+
+    const pageSize = Math.min(parseInt(limit) || 20, 100);
+    const [invoices, total] = await Promise.all([
+      Invoice.find(filter)
+        .select('-seller -lines')
+        .populate('customer', 'name email')
+        .populate('booking', 'bookingNumber')
+        .populate('branch', 'name code')
+        .sort({ issuedAt: -1 })
+        .skip((Math.max(parseInt(page) || 1, 1) - 1) * pageSize)
+        .limit(pageSize),
+      Invoice.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: invoices,
+      pagination: {
+        page: parseInt(page) || 1,
+        limit: pageSize,
+        total
+      }
+    });
+
+  } catch (error) {
+    console.error('Get invoices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving invoices'
+    });
+  }
+});
+
+// @route   GET /api/v1/invoices/statements/:customerId
+// @desc    Monthly statement of a corporate account (?month=YYYY-MM, currency; format=pdf to download)
+// @access  Private (the account holder or manage_bookings)
+router.get('/statements/:customerId', [
+  param('customerId').isMongoId().withMessage('Invalid customer'),
+  query('month').matches(/^\d{4}-(0[1-9]|1[0-2])$/).withMessage('month must be given as YYYY-MM'),
+  query('currency').optional().isLength({ min: 3, max: 3 }).withMessage('Currency must be a 3-letter code'),
+  query('format').optional().isIn(['json', 'pdf']).withMessage('format must be json or pdf')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    if (!canSeeAccount(req.user, req.params.customerId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only see your own statements'
+      });
+    }
+
+    const statement = await buildStatement(
+      req.params.customerId,
+      req.query.month,
+      (req.query.currency || 'KES').toUpperCase()
+    );
+
+    if (req.query.format === 'pdf') {
+      const name = statement.customer.companyName || statement.customer.name;
+      return sendPdf(res, await renderStatementPdf(statement), `statement-${name}-${statement.month}.pdf`);
+    }
+
+    res.json({
+      success: true,
+      data: statement
+    });
+
+  } catch (error) {
+    console.error('Get statement error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error building statement'
+    });
+  }
+});
+
+// @route   POST /api/v1/invoices/bookings/:bookingId
+// @desc    Invoice a completed booking now (e.g. one completed before invoicing was switched on)
+// @access  Private (manage_bookings)
+router.post('/bookings/:bookingId', requirePermission('manage_bookings'), [
+  param('bookingId').isMongoId().withMessage('Invalid booking')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const invoice = await issueInvoice(req.params.bookingId);
+
+    res.status(201).json({
+      success: true,
+      message: `Invoice ${invoice.number} issued`,
+      data: invoice
+    });
+
+  } catch (error) {
+    console.error('Issue invoice error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error issuing invoice'
+    });
+  }
+});
+
+const findInvoice = async (req) => {
+  const invoice = await Invoice.findOne({ _id: req.params.id, number: { $type: 'string' } })
+    .populate('booking', 'bookingNumber serviceType')
+    .populate('invoice', 'number');
+  return invoice && canSeeAccount(req.user, invoice.customer) ? invoice : null;
+};
+
+// @route   GET /api/v1/invoices/:id
+// @desc    Get an invoice or credit note
+// @access  Private (the customer or manage_bookings)
+router.get('/:id', [
+  param('id').isMongoId().withMessage('Invalid invoice')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const invoice = await findInvoice(req);
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: invoice
+    });
+
+  } catch (error) {
+    console.error('Get invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving invoice'
+    });
+  }
+});
+
+// @route   GET /api/v1/invoices/:id/pdf
+// @desc    Download an invoice or credit note as PDF
+// @access  Private (the customer or manage_bookings)
+router.get('/:id/pdf', [
+  param('id').isMongoId().withMessage('Invalid invoice')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const invoice = await findInvoice(req);
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    sendPdf(res, await renderInvoicePdf(invoice), `${invoice.number}.pdf`);
+
+  } catch (error) {
+    console.error('Download invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating invoice PDF'
+    });
+  }
+});
+
+export default router;
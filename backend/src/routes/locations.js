@@ -2,6 +2,7 @@ import express from 'express';
 import { body, validationResult } from 'express-validator';
 import Location from '../models/Location.js';
 import { requireAdmin } from '../middleware/auth.js';
+import { publish } from '../services/eventBus.js';
 
 const router = express.Router();
 
@@ -67,11 +68,10 @@ router.post('/', [
       .populate('user', 'name email phone role');
 
     // Broadcast location update to admins
-    const io = req.app.get('socketio');
-    io.to('admin-room').emit('location-shared', {
+    await publish('location.shared', {
       userId: req.user._id,
       userName: req.user.name,
-      location: populatedLocation,
+      location: populatedLocation.toObject(),
       timestamp: new Date()
     });
 
@@ -0,0 +1,226 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import MaintenanceInterval from '../models/MaintenanceInterval.js';
+import MaintenanceReminder from '../models/MaintenanceReminder.js';
+import { SERVICE_TYPES } from '../models/ServiceRequest.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { runMaintenanceCheck } from '../services/maintenanceScheduler.js';
+
+const router = express.Router();
+
+// Load a reminder the current user owns (admins may act on any)
+const loadReminder = async (req, res) => {
+  const reminder = await MaintenanceReminder.findById(req.params.id);
+  if (!reminder) {
+    res.status(404).json({
+      success: false,
+      message: 'Reminder not found'
+    });
+    return null;
+  }
+
+  if (!req.user.isAdminUser() && reminder.owner.toString() !== req.user._id.toString()) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+    return null;
+  }
+
+  return reminder;
+};
+
+// @route   GET /api/v1/maintenance/reminders
+// @desc    Get maintenance reminders (open ones by default)
+// @access  Private
+router.get('/reminders', async (req, res) => {
+  try {
+    const { status = 'due,overdue', vehicle, owner } = req.query;
+    const filter = {};
+
+    if (status !== 'all') {
+      filter.status = { $in: status.split(',') };
+    }
+    if (vehicle) filter.vehicle = vehicle;
+
+    if (!req.user.isAdminUser()) {
+      filter.owner = req.user._id;
+    } else if (owner) {
+      filter.owner = owner;
+    }
+
+    const reminders = await MaintenanceReminder.find(filter)
+      .populate('vehicle', 'make model year licensePlate odometer')
+      .populate('owner', 'name email phone')
+      .sort({ notifiedAt: -1 });
+
+    res.json({
+      success: true,
+      data: reminders.map(reminder => ({
+        ...reminder.toObject(),
+        ...reminder.toNotification()
+      })),
+      count: reminders.length
+    });
+
+  } catch (error) {
+    console.error('Get maintenance reminders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving maintenance reminders'
+    });
+  }
+});
+
+// @route   PUT /api/v1/maintenance/reminders/:id/read
+// @desc    Mark a reminder as read
+// @access  Private (owner or admin)
+router.put('/reminders/:id/read', async (req, res) => {
+  try {
+    const reminder = await loadReminder(req, res);
+    if (!reminder) return;
+
+    reminder.read = true;
+    await reminder.save();
+
+    res.json({
+      success: true,
+      data: reminder
+    });
+
+  } catch (error) {
+    console.error('Mark reminder read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating reminder'
+    });
+  }
+});
+
+// @route   PUT /api/v1/maintenance/reminders/:id/dismiss
+// @desc    Dismiss a reminder for the current service cycle
+// @access  Private (owner or admin)
+router.put('/reminders/:id/dismiss', async (req, res) => {
+  try {
+    const reminder = await loadReminder(req, res);
+    if (!reminder) return;
+
+    reminder.status = 'dismissed';
+    reminder.read = true;
+    reminder.resolvedAt = new Date();
+    await reminder.save();
+
+    res.json({
+      success: true,
+      message: 'Reminder dismissed',
+      data: reminder
+    });
+
+  } catch (error) {
+    console.error('Dismiss reminder error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error dismissing reminder'
+    });
+  }
+});
+
+// @route   GET /api/v1/maintenance/intervals
+// @desc    Get the preventive maintenance schedule
+// @access  Private
+router.get('/intervals', async (req, res) => {
+  try {
+    const intervals = await MaintenanceInterval.getActiveIntervals({
+      includeInactive: req.user.isAdminUser()
+    });
+
+    res.json({
+      success: true,
+      data: intervals
+    });
+
+  } catch (error) {
+    console.error('Get maintenance intervals error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving maintenance intervals'
+    });
+  }
+});
+
+// @route   PUT /api/v1/maintenance/intervals/:serviceType
+// @desc    Configure the interval for a service type
+// @access  Private (Admin only)
+router.put('/intervals/:serviceType', requireAdmin, [
+  body('distanceKm').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Distance must be a positive number of km'),
+  body('months').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Months must be a positive number'),
+  body('dueSoonKm').optional().isInt({ min: 0 }).withMessage('Due-soon distance must be positive'),
+  body('dueSoonDays').optional().isInt({ min: 0 }).withMessage('Due-soon days must be positive'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { serviceType } = req.params;
+    if (!Object.values(SERVICE_TYPES).includes(serviceType)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid service type'
+      });
+    }
+
+    const updates = { updatedBy: req.user._id };
+    ['distanceKm', 'months', 'dueSoonKm', 'dueSoonDays', 'isActive'].forEach(field => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+
+    const interval = await MaintenanceInterval.findOneAndUpdate(
+      { serviceType },
+      { $set: updates, $setOnInsert: { serviceType } },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    res.json({
+      success: true,
+      message: 'Maintenance interval updated successfully',
+      data: interval
+    });
+
+  } catch (error) {
+    console.error('Update maintenance interval error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating maintenance interval'
+    });
+  }
+});
+
+// @route   POST /api/v1/maintenance/run
+// @desc    Run the maintenance check immediately
+// @access  Private (Admin only)
+router.post('/run', requireAdmin, async (req, res) => {
+  try {
+    const summary = await runMaintenanceCheck();
+
+    res.json({
+      success: true,
+      message: 'Maintenance check completed',
+      data: summary
+    });
+
+  } catch (error) {
+    console.error('Run maintenance check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error running maintenance check'
+    });
+  }
+});
+
+export default router;
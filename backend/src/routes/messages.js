@@ -2,6 +2,7 @@ import express from 'express';
 import { body, validationResult } from 'express-validator';
 import Message from '../models/Message.js';
 import { requireAdmin } from '../middleware/auth.js';
+import { publish } from '../services/eventBus.js';
 
 const router = express.Router();
 
@@ -88,8 +89,7 @@ router.post('/', [
       autoReply = await Message.sendAutoReply(req.user._id);
     }
 
-    // Emit real-time notification
-    const io = req.app.get('socketio');
+    // Real-time notification
     const eventData = {
       messageId: message._id,
       text: message.text,
@@ -98,16 +98,16 @@ router.post('/', [
       senderId: req.user._id,
       timestamp: message.createdAt,
       conversationId,
-      message: populatedMessage
+      message: populatedMessage.toObject()
     };
 
     if (isAdmin && recipientId) {
       // Admin sending to specific user
-      io.to(`user-${recipientId}`).emit('message-received', eventData);
+      await publish('message.sent', { recipientId, message: eventData });
       console.log(`📨 Admin message sent to user ${recipientId}`);
     } else if (!isAdmin) {
       // User sending to all admins
-      io.to('admin-room').emit('message-received', eventData);
+      await publish('message.sent', { message: eventData });
       console.log(`📨 User message sent to admin room from ${req.user.name}`);
     }
 
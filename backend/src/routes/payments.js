@@ -1,29 +1,494 @@
-// backend/routes/payments.js
 import express from 'express';
-import Stripe from 'stripe';
-import dotenv from 'dotenv';
-
-dotenv.config();
+import { body, header, param, validationResult } from 'express-validator';
+import Payment, { PAYMENT_PROVIDERS, PAYMENT_STATUSES, PAID_STATUSES } from '../models/Payment.js';
+import Booking from '../models/Booking.js';
+import ServiceRequest from '../models/ServiceRequest.js';
+import { requirePermission } from '../middleware/auth.js';
+import {
+  getAvailableProviders,
+  createPayment,
+  confirmCardPayment,
+  refreshPayment,
+  refundPayment,
+  reconcilePayments,
+  handleWebhook
+} from '../services/payments.js';
+import { getSeller } from '../services/invoicing.js';
+import { renderReceiptPdf } from '../services/invoicePdf.js';
 
 const router = express.Router();
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 
-// Create Payment Intent
-router.post('/create-payment-intent', async (req, res) => {
+const idempotencyKeyValidator = header('Idempotency-Key').optional().isLength({ min: 8, max: 255 })
+  .withMessage('Idempotency-Key must be 8 to 255 characters');
+
+const sendError = (res, error, fallback) => {
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : fallback
+  });
+};
+
+const canSeePayment = (user, payment) => {
+  return user.hasPermission('manage_bookings') || payment.customer.toString() === user._id.toString();
+};
+
+const paymentResponse = ({ payment, clientSecret, customerMessage }) => ({
+  paymentId: payment._id,
+  provider: payment.provider,
+  clientSecret,
+  customerMessage,
+  amount: payment.amount,
+  currency: payment.currency,
+  status: payment.status
+});
+
+// @route   GET /api/v1/payments/config
+// @desc    Payment providers customers can use, and the Stripe publishable key for the card form
+// @access  Private
+router.get('/config', (req, res) => {
+  const providers = getAvailableProviders()
+    .filter(provider => provider !== 'stripe' || process.env.STRIPE_PUBLISHABLE_KEY);
+
+  if (providers.length === 0) {
+    return res.status(503).json({
+      success: false,
+      message: 'Payments are not configured'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      providers,
+      publishableKey: providers.includes('stripe') ? process.env.STRIPE_PUBLISHABLE_KEY : undefined
+    }
+  });
+});
+
+// @route   GET /api/v1/payments/payables
+// @desc    The current user's bookings and service requests with money still owed
+// @access  Private
+router.get('/payables', async (req, res) => {
   try {
-    const { amount } = req.body;
+    const [bookings, requests] = await Promise.all([
+      Booking.find({
+        customer: req.user._id,
+        $or: [
+          { status: { $ne: 'cancelled' }, 'pricing.totalAmount': { $gt: 0 } },
+          { status: 'cancelled', 'cancellation.fee': { $gt: 0 } }
+        ],
+        'payment.status': { $ne: 'paid' }
+      }).select('bookingNumber serviceType status schedule.startDate pricing.totalAmount pricing.currency cancellation.fee payment'),
+      ServiceRequest.find({
+        customer: req.user._id,
+        status: { $nin: ['rejected', 'cancelled'] },
+        'charges.amount': { $gt: 0 },
+        'payment.status': { $ne: 'paid' }
+      }).select('requestNumber serviceType charges payment')
+    ]);
 
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount, // amount in cents
-      currency: 'usd',
+    const payables = [
+      ...bookings.map(booking => ({
+        type: 'booking',
+        id: booking._id,
+        reference: booking.bookingNumber,
+        description: booking.status === 'cancelled' ? 'Cancellation fee' : `${booking.serviceType} booking`,
+        total: booking.getChargeableAmount(),
+        amountPaid: booking.payment?.amountPaid || 0,
+        currency: booking.pricing.currency
+      })),
+      ...requests.map(request => ({
+        type: 'serviceRequest',
+        id: request._id,
+        reference: request.requestNumber,
+        description: request.serviceType,
+        total: request.charges.amount,
+        amountPaid: request.payment?.amountPaid || 0,
+        currency: request.charges.currency
+      }))
+    ].map(payable => ({ ...payable, amountDue: Math.round((payable.total - payable.amountPaid) * 100) / 100 }));
+
+    res.json({
+      success: true,
+      data: payables,
+      count: payables.length
     });
 
-    res.send({
-      clientSecret: paymentIntent.client_secret,
+  } catch (error) {
+    console.error('Get payables error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving amounts owed'
     });
+  }
+});
+
+const payableValidators = [
+  body('booking').optional().isMongoId().withMessage('Invalid booking'),
+  body('serviceRequest').optional().isMongoId().withMessage('Invalid service request'),
+  body().custom(value => !value.booking !== !value.serviceRequest)
+    .withMessage('Pay for either a booking or a service request'),
+  idempotencyKeyValidator
+];
+
+// @route   POST /api/v1/payments
+// @desc    Start a payment for a booking or service request with a provider (stripe: card, mpesa:
+//          STK push to phoneNumber); the amount is what is still owed
+// @access  Private
+router.post('/', [
+  ...payableValidators,
+  body('provider').optional().isIn(PAYMENT_PROVIDERS).withMessage('Invalid payment provider'),
+  body('phoneNumber').optional().isString().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const result = await createPayment(
+      req.user,
+      { booking: req.body.booking, serviceRequest: req.body.serviceRequest },
+      { provider: req.body.provider, phoneNumber: req.body.phoneNumber },
+      req.get('Idempotency-Key')
+    );
+
+    res.status(201).json({
+      success: true,
+      message: result.customerMessage || 'Payment created successfully',
+      data: paymentResponse(result)
+    });
+
+  } catch (error) {
+    console.error('Create payment error:', error);
+    sendError(res, error, 'Error creating payment');
+  }
+});
+
+// @route   POST /api/v1/payments/create-payment-intent
+// @desc    Start a card payment for a booking or service request; the amount is what is still owed
+// @access  Private
+router.post('/create-payment-intent', payableValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const result = await createPayment(
+      req.user,
+      { booking: req.body.booking, serviceRequest: req.body.serviceRequest },
+      { provider: 'stripe' },
+      req.get('Idempotency-Key')
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment created successfully',
+      data: paymentResponse(result)
+    });
+
+  } catch (error) {
+    console.error('Create payment intent error:', error);
+    sendError(res, error, 'Error creating payment');
+  }
+});
+
+// @route   POST /api/v1/payments/confirm-payment
+// @desc    Update a payment from Stripe after the card form completes
+// @access  Private
+router.post('/confirm-payment', [
+  body('paymentIntentId').isString().notEmpty().withMessage('paymentIntentId is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const payment = await confirmCardPayment(req.user, req.body.paymentIntentId);
+
+    res.json({
+      success: true,
+      data: payment
+    });
+
+  } catch (error) {
+    console.error('Confirm payment error:', error);
+    sendError(res, error, 'Error confirming payment');
+  }
+});
+
+// @route   POST /api/v1/payments/reconcile
+// @desc    Check stalled payments with their providers and correct booking and service request
+//          payment summaries now, instead of waiting for the reconciler
+// @access  Private (manage_bookings)
+router.post('/reconcile', requirePermission('manage_bookings'), async (req, res) => {
+  try {
+    const summary = await reconcilePayments();
+
+    res.json({
+      success: true,
+      message: 'Payments reconciled',
+      data: summary
+    });
+
+  } catch (error) {
+    console.error('Reconcile payments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error reconciling payments'
+    });
+  }
+});
+
+// @route   GET /api/v1/payments
+// @desc    List payments (own; manage_bookings: all, filters customer, provider, status, booking, serviceRequest)
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const { provider, status, booking, serviceRequest, customer, limit = 50 } = req.query;
+    const filter = {};
+
+    if (req.user.hasPermission('manage_bookings')) {
+      if (customer) filter.customer = customer;
+    } else {
+      filter.customer = req.user._id;
+    }
+    if (provider && PAYMENT_PROVIDERS.includes(provider)) filter.provider = provider;
+    if (status && PAYMENT_STATUSES.includes(status)) filter.status = status;
+    if (booking) filter.booking = booking;
+    if (serviceRequest) filter.serviceRequest = serviceRequest;
+
+    const payments = await Payment.find(filter)
+      .populate('customer', 'name email')
+      .populate('booking', 'bookingNumber')
+      .populate('serviceRequest', 'requestNumber')
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(limit) || 50, 200));
+
+    res.json({
+      success: true,
+      data: payments,
+      count: payments.length
+    });
+
+  } catch (error) {
+    console.error('Get payments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving payments'
+    });
+  }
+});
+
+// @route   GET /api/v1/payments/:id
+// @desc    Get a payment with its refunds
+// @access  Private (owner or manage_bookings)
+router.get('/:id', [
+  param('id').isMongoId().withMessage('Invalid payment')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const payment = await Payment.findById(req.params.id)
+      .populate('booking', 'bookingNumber pricing.totalAmount')
+      .populate('serviceRequest', 'requestNumber charges')
+      .populate('refunds.requestedBy', 'name');
+
+    if (!payment || !canSeePayment(req.user, payment)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: payment
+    });
+
+  } catch (error) {
+    console.error('Get payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving payment'
+    });
+  }
+});
+
+// @route   GET /api/v1/payments/:id/receipt
+// @desc    Download a receipt for a payment as PDF
+// @access  Private (owner or manage_bookings)
+router.get('/:id/receipt', [
+  param('id').isMongoId().withMessage('Invalid payment')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const payment = await Payment.findById(req.params.id)
+      .populate('customer', 'name email')
+      .populate({ path: 'booking', select: 'bookingNumber branch', populate: { path: 'branch' } })
+      .populate('serviceRequest', 'requestNumber');
+
+    if (!payment || !canSeePayment(req.user, { customer: payment.customer._id })) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+    if (!PAID_STATUSES.includes(payment.status)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Receipts are only issued for payments that went through'
+      });
+    }
+
+    const receipt = await renderReceiptPdf(payment, getSeller(payment.booking?.branch));
+    const filename = `receipt-${payment.receiptNumber || payment._id}.pdf`.replace(/[^\w.-]/g, '_');
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${filename}"`
+    });
+    res.send(receipt);
+
+  } catch (error) {
+    console.error('Download receipt error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating receipt'
+    });
+  }
+});
+
+// @route   POST /api/v1/payments/:id/refresh
+// @desc    Ask the provider for the payment's status (e.g. an M-Pesa prompt with no callback yet)
+// @access  Private (owner or manage_bookings)
+router.post('/:id/refresh', [
+  param('id').isMongoId().withMessage('Invalid payment')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const payment = await Payment.findById(req.params.id);
+    if (!payment || !canSeePayment(req.user, payment)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await refreshPayment(payment)
+    });
+
+  } catch (error) {
+    console.error('Refresh payment error:', error);
+    sendError(res, error, 'Error checking payment');
+  }
+});
+
+// @route   POST /api/v1/payments/:id/refund
+// @desc    Refund part (amount) or all of a payment
+// @access  Private (manage_bookings)
+router.post('/:id/refund', requirePermission('manage_bookings'), [
+  param('id').isMongoId().withMessage('Invalid payment'),
+  body('amount').optional().isFloat({ gt: 0 }).withMessage('Refund amount must be more than zero').toFloat(),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason is limited to 500 characters'),
+  idempotencyKeyValidator
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const payment = await Payment.findById(req.params.id);
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    const refunded = await refundPayment(
+      payment,
+      { amount: req.body.amount, reason: req.body.reason },
+      req.user,
+      req.get('Idempotency-Key')
+    );
+
+    res.json({
+      success: true,
+      message: 'Refund requested successfully',
+      data: refunded
+    });
+
+  } catch (error) {
+    console.error('Refund payment error:', error);
+    sendError(res, error, 'Error refunding payment');
+  }
+});
+
+// Provider webhooks. Mounted ahead of the JSON body parser and authentication: each route parses
+// its own body, and Stripe's signature is checked against the raw one.
+export const webhookRouter = express.Router();
+
+// @route   POST /api/v1/payments/webhooks/stripe
+// @desc    Stripe payment and refund events
+// @access  Public (signed by Stripe)
+webhookRouter.post('/stripe', express.raw({ type: 'application/json' }), async (req, res) => {
+  try {
+    const handled = await handleWebhook('stripe', req);
+    res.json({ received: true, handled });
+  } catch (error) {
+    console.error('Stripe webhook error:', error);
+    sendError(res, error, 'Error processing webhook');
+  }
+});
+
+// @route   POST /api/v1/payments/webhooks/mpesa/:token
+// @desc    M-Pesa STK push results
+// @access  Public (secret token in the callback URL)
+webhookRouter.post('/mpesa/:token', express.json(), async (req, res) => {
+  try {
+    await handleWebhook('mpesa', req);
+    // The acknowledgement Daraja expects
+    res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
   } catch (error) {
-    console.error(error);
-    res.status(500).send({ error: error.message });
+    console.error('M-Pesa callback error:', error);
+    sendError(res, error, 'Error processing callback');
   }
 });
 
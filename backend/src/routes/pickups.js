@@ -1,32 +1,22 @@
 import express from 'express';
-import { body, validationResult } from 'express-validator';
-import mongoose from 'mongoose';
-import { requireAdmin } from '../middleware/auth.js';
+import { body, param, validationResult } from 'express-validator';
+import PickupRequest, { PICKUP_STATUSES } from '../models/PickupRequest.js';
+import Truck from '../models/Truck.js';
+import { requirePermission } from '../middleware/auth.js';
+import {
+  rankTrucks,
+  resolveBranch,
+  dispatchNewRequest,
+  offerToNextTruck,
+  suggestTrucks,
+  respondToOffer,
+  assignManually,
+  cancelDispatch
+} from '../services/dispatchEngine.js';
+import { publish } from '../services/eventBus.js';
 
 const router = express.Router();
 
-// Simple pickup request schema (you can enhance this or create a proper model)
-const PickupRequest = mongoose.model('PickupRequest', new mongoose.Schema({
-  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  userName: { type: String, required: true },
-  userPhone: String,
-  pickupLocation: {
-    latitude: { type: Number, required: true },
-    longitude: { type: Number, required: true },
-    address: String
-  },
-  status: {
-    type: String,
-    enum: ['pending', 'dispatched', 'en-route', 'at-location', 'completed', 'cancelled'],
-    default: 'pending'
-  },
-  assignedTruck: { type: mongoose.Schema.Types.ObjectId, ref: 'Truck' },
-  requestTime: { type: Date, default: Date.now },
-  dispatchTime: Date,
-  completionTime: Date,
-  notes: String
-}, { timestamps: true }));
-
 // @route   GET /api/v1/pickups
 // @desc    Get pickup requests
 // @access  Private
@@ -47,6 +37,8 @@ router.get('/', async (req, res) => {
     const pickupRequests = await PickupRequest.find(filter)
       .populate('userId', 'name email phone')
       .populate('assignedTruck', 'truckId driver vehicle currentLocation status')
+      .populate('dispatch.suggestions.truck', 'truckId driver.name vehicle.licensePlate status')
+      .populate('dispatch.offers.truck', 'truckId driver.name vehicle.licensePlate')
       .sort({ createdAt: -1 });
 
     res.json({
@@ -64,13 +56,54 @@ router.get('/', async (req, res) => {
   }
 });
 
+// @route   GET /api/v1/pickups/offers
+// @desc    Open dispatch offers for the trucks the current user drives
+// @access  Private (drivers)
+router.get('/offers', async (req, res) => {
+  try {
+    const trucks = await Truck.findDrivenBy(req.user).select('_id');
+    const truckIds = trucks.map(truck => truck._id);
+
+    const pickupRequests = await PickupRequest.find({
+      status: 'pending',
+      'dispatch.offers': { $elemMatch: { truck: { $in: truckIds }, outcome: 'pending' } }
+    }).select('userName userPhone pickupLocation notes requestTime dispatch.offers');
+
+    res.json({
+      success: true,
+      data: pickupRequests.map(request => {
+        const offer = request.getPendingOffer();
+        return {
+          requestId: request._id,
+          offerId: offer._id,
+          truck: offer.truck,
+          customerName: request.userName,
+          customerPhone: request.userPhone,
+          pickupLocation: request.pickupLocation,
+          notes: request.notes,
+          distanceKm: offer.distanceKm,
+          expiresAt: offer.expiresAt
+        };
+      })
+    });
+
+  } catch (error) {
+    console.error('Get dispatch offers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving dispatch offers'
+    });
+  }
+});
+
 // @route   POST /api/v1/pickups
 // @desc    Create pickup request
 // @access  Private
 router.post('/', [
   body('pickupLocation.latitude').isFloat({ min: -90, max: 90 }).withMessage('Valid latitude required'),
   body('pickupLocation.longitude').isFloat({ min: -180, max: 180 }).withMessage('Valid longitude required'),
-  body('pickupLocation.address').optional().trim().isLength({ max: 200 }).withMessage('Address too long')
+  body('pickupLocation.address').optional().trim().isLength({ max: 200 }).withMessage('Address too long'),
+  body('requiredCapacityTons').optional().isFloat({ min: 0 }).withMessage('Capacity must be a positive number')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -94,25 +127,34 @@ router.post('/', [
       });
     }
 
-    const pickupRequest = new PickupRequest({
+    const branch = await resolveBranch(req.body.pickupLocation);
+    let pickupRequest = new PickupRequest({
       userId: req.user._id,
       userName: req.user.name,
       userPhone: req.user.phone,
       pickupLocation: req.body.pickupLocation,
+      branch: branch?._id || null,
+      requiredCapacityTons: req.body.requiredCapacityTons,
       notes: req.body.notes
     });
 
     await pickupRequest.save();
 
-    // Emit real-time notification to admins
-    const io = req.app.get('socketio');
-    io.to('admin-room').emit('pickup-request-received', {
+    // Notify admins in real time
+    await publish('pickup.created', {
       requestId: pickupRequest._id,
       userName: req.user.name,
       location: pickupRequest.pickupLocation,
       timestamp: pickupRequest.requestTime
     });
 
+    // Suggest or offer a truck according to the branch's dispatch mode
+    try {
+      pickupRequest = await dispatchNewRequest(pickupRequest);
+    } catch (error) {
+      console.error('Auto-dispatch error:', error);
+    }
+
     res.status(201).json({
       success: true,
       message: 'Pickup request created successfully',
@@ -130,9 +172,9 @@ router.post('/', [
 
 // @route   PUT /api/v1/pickups/:id/status
 // @desc    Update pickup request status
-// @access  Admin
-router.put('/:id/status', requireAdmin, [
-  body('status').isIn(['pending', 'dispatched', 'en-route', 'at-location', 'completed', 'cancelled'])
+// @access  Private (manage_bookings)
+router.put('/:id/status', requirePermission('manage_bookings'), [
+  body('status').isIn(PICKUP_STATUSES)
     .withMessage('Invalid status')
 ], async (req, res) => {
   try {
@@ -166,10 +208,15 @@ router.put('/:id/status', requireAdmin, [
       });
     }
 
-    // Emit real-time update to user
-    const io = req.app.get('socketio');
-    io.to(`user-${pickupRequest.userId._id}`).emit('pickup-status-updated', {
+    // Free the truck and withdraw any open offer
+    if (pickupRequest.status === 'cancelled') {
+      await cancelDispatch(pickupRequest);
+    }
+
+    // Notify the customer in real time
+    await publish('pickup.status-changed', {
       requestId: pickupRequest._id,
+      userId: pickupRequest.userId._id,
       status: pickupRequest.status,
       timestamp: new Date()
     });
@@ -191,9 +238,9 @@ router.put('/:id/status', requireAdmin, [
 
 // @route   PUT /api/v1/pickups/:id/assign-truck
 // @desc    Assign truck to pickup request
-// @access  Admin
-router.put('/:id/assign-truck', requireAdmin, [
-  body('truckId').notEmpty().withMessage('Truck ID is required')
+// @access  Private (manage_bookings)
+router.put('/:id/assign-truck', requirePermission('manage_bookings'), [
+  body('truckId').isMongoId().withMessage('Truck ID is required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -204,17 +251,92 @@ router.put('/:id/assign-truck', requireAdmin, [
       });
     }
 
-    const pickupRequest = await PickupRequest.findByIdAndUpdate(
-      req.params.id,
-      { 
-        assignedTruck: req.body.truckId,
-        status: 'dispatched',
-        dispatchTime: new Date()
+    const pickupRequest = await PickupRequest.findById(req.params.id);
+    if (!pickupRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pickup request not found'
+      });
+    }
+
+    if (pickupRequest.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Pickup request is already ${pickupRequest.status}`
+      });
+    }
+
+    await assignManually(pickupRequest, req.body.truckId, req.user);
+
+    const populated = await PickupRequest.findById(req.params.id)
+      .populate('userId', 'name email phone')
+      .populate('assignedTruck', 'truckId driver vehicle');
+
+    res.json({
+      success: true,
+      message: 'Truck assigned successfully',
+      data: populated
+    });
+
+  } catch (error) {
+    console.error('Assign truck error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error assigning truck'
+    });
+  }
+});
+
+// @route   GET /api/v1/pickups/:id/dispatch-candidates
+// @desc    Rank trucks for a pickup request with the reasons behind each score
+// @access  Private (manage_bookings)
+router.get('/:id/dispatch-candidates', requirePermission('manage_bookings'), async (req, res) => {
+  try {
+    const pickupRequest = await PickupRequest.findById(req.params.id);
+    if (!pickupRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pickup request not found'
+      });
+    }
+
+    const { candidates, excluded } = await rankTrucks(pickupRequest);
+    const summarize = ({ truck, score, distanceKm, reasons }) => ({
+      truck: {
+        _id: truck._id,
+        truckId: truck.truckId,
+        driver: { name: truck.driver.name, phone: truck.driver.phone },
+        vehicle: { licensePlate: truck.vehicle.licensePlate, capacity: truck.vehicle.capacity },
+        status: truck.status
       },
-      { new: true }
-    ).populate('userId', 'name email phone')
-     .populate('assignedTruck', 'truckId driver vehicle');
+      score,
+      distanceKm,
+      reasons
+    });
+
+    res.json({
+      success: true,
+      data: {
+        candidates: candidates.map(summarize),
+        excluded: excluded.map(summarize)
+      }
+    });
 
+  } catch (error) {
+    console.error('Get dispatch candidates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error ranking trucks'
+    });
+  }
+});
+
+// @route   POST /api/v1/pickups/:id/auto-dispatch
+// @desc    Offer the request to the best truck now, whatever the branch's mode
+// @access  Private (manage_bookings)
+router.post('/:id/auto-dispatch', requirePermission('manage_bookings'), async (req, res) => {
+  try {
+    const pickupRequest = await PickupRequest.findById(req.params.id);
     if (!pickupRequest) {
       return res.status(404).json({
         success: false,
@@ -222,28 +344,112 @@ router.put('/:id/assign-truck', requireAdmin, [
       });
     }
 
-    // Emit real-time updates
-    const io = req.app.get('socketio');
-    
-    // Notify user
-    io.to(`user-${pickupRequest.userId._id}`).emit('truck-dispatch-update', {
-      requestId: pickupRequest._id,
-      truck: pickupRequest.assignedTruck,
-      status: 'dispatched',
-      timestamp: pickupRequest.dispatchTime
+    if (pickupRequest.status !== 'pending' || pickupRequest.getPendingOffer()) {
+      return res.status(400).json({
+        success: false,
+        message: pickupRequest.status !== 'pending'
+          ? `Pickup request is already ${pickupRequest.status}`
+          : 'A driver is already considering this request'
+      });
+    }
+
+    const updated = await offerToNextTruck(pickupRequest);
+
+    res.json({
+      success: true,
+      message: updated.dispatch.status === 'offered'
+        ? 'Request offered to the best available truck'
+        : 'No suitable truck is available',
+      data: updated
+    });
+
+  } catch (error) {
+    console.error('Auto-dispatch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error dispatching request'
     });
+  }
+});
+
+// @route   POST /api/v1/pickups/:id/suggest
+// @desc    Refresh the suggested trucks for a request
+// @access  Private (manage_bookings)
+router.post('/:id/suggest', requirePermission('manage_bookings'), async (req, res) => {
+  try {
+    const pickupRequest = await PickupRequest.findById(req.params.id);
+    if (!pickupRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pickup request not found'
+      });
+    }
+
+    const updated = await suggestTrucks(pickupRequest);
+    await updated.populate('dispatch.suggestions.truck', 'truckId driver vehicle status');
 
     res.json({
       success: true,
-      message: 'Truck assigned successfully',
-      data: pickupRequest
+      data: updated.dispatch.suggestions
     });
 
   } catch (error) {
-    console.error('Assign truck error:', error);
+    console.error('Suggest trucks error:', error);
     res.status(500).json({
       success: false,
-      message: 'Error assigning truck'
+      message: 'Error suggesting trucks'
+    });
+  }
+});
+
+// @route   POST /api/v1/pickups/:id/offers/:offerId/respond
+// @desc    Accept or decline a dispatch offer
+// @access  Private (update_location as the driver of the offered truck, or manage_bookings)
+router.post('/:id/offers/:offerId/respond', requirePermission('update_location', 'manage_bookings'), [
+  param('offerId').isMongoId().withMessage('Invalid offer'),
+  body('accept').isBoolean().withMessage('accept must be true or false'),
+  body('reason').optional().trim().isLength({ max: 200 }).withMessage('Reason too long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const pickupRequest = await PickupRequest.findById(req.params.id);
+    const offer = pickupRequest?.dispatch.offers.id(req.params.offerId);
+    if (!offer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Offer not found'
+      });
+    }
+
+    const truck = await Truck.findById(offer.truck);
+    if (!req.user.hasPermission('manage_bookings') && !truck?.isDrivenBy(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the driver of the offered truck can respond'
+      });
+    }
+
+    const accept = req.body.accept === true || req.body.accept === 'true';
+    const updated = await respondToOffer(pickupRequest, offer._id, { accept, reason: req.body.reason });
+
+    res.json({
+      success: true,
+      message: accept ? 'Pickup accepted' : 'Offer declined',
+      data: updated
+    });
+
+  } catch (error) {
+    console.error('Respond to offer error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error responding to offer'
     });
   }
 });
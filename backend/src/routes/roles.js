@@ -0,0 +1,134 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import Role, { ROLES, PERMISSIONS, DEFAULT_ROLE_PERMISSIONS } from '../models/Role.js';
+import { requireSuperAdmin } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(requireSuperAdmin);
+
+// The super admin role always keeps full access so the matrix can't lock everyone out
+const validateRole = (req, res, next) => {
+  if (!ROLES.includes(req.params.role)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Role not found'
+    });
+  }
+  if (req.params.role === 'super_admin') {
+    return res.status(400).json({
+      success: false,
+      message: 'The super admin role cannot be changed'
+    });
+  }
+  next();
+};
+
+// @route   GET /api/v1/roles
+// @desc    Get the role permission matrix
+// @access  Super admin only
+router.get('/', async (req, res) => {
+  try {
+    const matrix = await Role.loadPermissions({ force: true });
+    const stored = await Role.find().populate('updatedBy', 'name email');
+    const storedByName = Object.fromEntries(stored.map(role => [role.name, role]));
+
+    const roles = ROLES.map(name => ({
+      name,
+      permissions: matrix[name] || [],
+      description: storedByName[name]?.description,
+      updatedBy: storedByName[name]?.updatedBy,
+      updatedAt: storedByName[name]?.updatedAt
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        roles,
+        permissions: PERMISSIONS
+      }
+    });
+
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving roles'
+    });
+  }
+});
+
+// @route   PUT /api/v1/roles/:role
+// @desc    Replace a role's permissions
+// @access  Super admin only
+router.put('/:role', validateRole, [
+  body('permissions').isArray().withMessage('Permissions must be a list'),
+  body('permissions.*').isIn(PERMISSIONS).withMessage('Invalid permission'),
+  body('description').optional().trim().isLength({ max: 200 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const update = {
+      permissions: [...new Set(req.body.permissions)],
+      updatedBy: req.user._id
+    };
+    if (req.body.description !== undefined) update.description = req.body.description;
+
+    const role = await Role.findOneAndUpdate(
+      { name: req.params.role },
+      update,
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.json({
+      success: true,
+      message: 'Role permissions updated successfully',
+      data: role
+    });
+
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating role'
+    });
+  }
+});
+
+// @route   POST /api/v1/roles/:role/reset
+// @desc    Restore a role's default permissions
+// @access  Super admin only
+router.post('/:role/reset', validateRole, async (req, res) => {
+  try {
+    const role = await Role.findOneAndUpdate(
+      { name: req.params.role },
+      {
+        permissions: DEFAULT_ROLE_PERMISSIONS[req.params.role] || [],
+        updatedBy: req.user._id
+      },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    res.json({
+      success: true,
+      message: 'Role permissions reset to defaults',
+      data: role
+    });
+
+  } catch (error) {
+    console.error('Reset role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resetting role'
+    });
+  }
+});
+
+export default router;
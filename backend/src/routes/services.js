@@ -1,21 +1,177 @@
 import express from 'express';
+import { body, validationResult } from 'express-validator';
+import ServiceRequest, { SERVICE_TYPES } from '../models/ServiceRequest.js';
+import User from '../models/User.js';
+import Vehicle from '../models/Vehicle.js';
+import Part from '../models/Part.js';
+import Inventory from '../models/Inventory.js';
+import PickupRequest from '../models/PickupRequest.js';
+import Truck from '../models/Truck.js';
 import { requireAdmin } from '../middleware/auth.js';
+import { resolveReminders } from '../services/maintenanceScheduler.js';
+import { notifyLowStock } from '../services/inventoryAlerts.js';
+import { resolveBranch, dispatchNewRequest } from '../services/dispatchEngine.js';
+import { computeEta } from '../services/eta.js';
+import { publish } from '../services/eventBus.js';
 
 const router = express.Router();
 
+const STATUSES = ['pending', 'approved', 'rejected', 'in_progress', 'completed', 'cancelled'];
+const PRIORITIES = ['low', 'normal', 'high', 'emergency'];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Check whether the current user may view a request
+const canAccessRequest = (user, request) => {
+  if (user.isAdminUser()) return true;
+
+  const customerId = request.customer._id || request.customer;
+  if (customerId.toString() === user._id.toString()) return true;
+
+  const mechanicId = request.assignedMechanic && (request.assignedMechanic._id || request.assignedMechanic);
+  return !!mechanicId && mechanicId.toString() === user._id.toString();
+};
+
+// Build the vehicle snapshot stored on a request, resolving registered vehicles
+const resolveVehicle = async (user, vehicleInput = {}) => {
+  if (!vehicleInput.vehicleId) return vehicleInput;
+
+  const vehicle = await Vehicle.findById(vehicleInput.vehicleId);
+  if (!vehicle || !vehicle.isActive) return null;
+  if (!user.isAdminUser() && vehicle.owner.toString() !== user._id.toString()) return null;
+
+  return {
+    vehicleId: vehicle._id,
+    description: vehicleInput.description ||
+      `${vehicle.make} ${vehicle.model}${vehicle.year ? ` ${vehicle.year}` : ''}, License Plate: ${vehicle.licensePlate}`,
+    make: vehicle.make,
+    model: vehicle.model,
+    year: vehicle.year,
+    licensePlate: vehicle.licensePlate
+  };
+};
+
+// Approved Vehicle Pickup requests become a PickupRequest so a truck can be dispatched and tracked
+const raisePickupRequest = async (request) => {
+  if (!request.trackingEnabled || request.pickupRequest || request.pickupLocation?.latitude === undefined) {
+    return null;
+  }
+
+  const customer = await User.findById(request.customer);
+  const branch = await resolveBranch(request.pickupLocation);
+  let pickupRequest = new PickupRequest({
+    userId: request.customer,
+    userName: customer?.name || 'Customer',
+    userPhone: request.contactNumber,
+    pickupLocation: request.pickupLocation,
+    branch: branch?._id || null,
+    serviceRequest: request._id,
+    notes: `${request.requestNumber}: ${request.vehicle.description}`
+  });
+  await pickupRequest.save();
+
+  request.pickupRequest = pickupRequest._id;
+  await request.save();
+
+  await publish('pickup.created', {
+    requestId: pickupRequest._id,
+    userName: pickupRequest.userName,
+    location: pickupRequest.pickupLocation,
+    timestamp: pickupRequest.requestTime
+  });
+
+  try {
+    pickupRequest = await dispatchNewRequest(pickupRequest);
+  } catch (error) {
+    console.error('Auto-dispatch error:', error);
+  }
+  return pickupRequest;
+};
+
 // @route   GET /api/v1/services
-// @desc    Get service requests
+// @desc    Get service requests with filtering and pagination
 // @access  Private
 router.get('/', async (req, res) => {
   try {
-    // Placeholder for service requests
-    // This would integrate with your existing service request system
+    const {
+      status,
+      serviceType,
+      priority,
+      branch,
+      mechanic,
+      search,
+      startDate,
+      endDate,
+      page = 1,
+      limit = 20
+    } = req.query;
+    const filter = {};
+
+    // Customers see their own requests, mechanics see the jobs assigned to them
+    if (!req.user.isAdminUser()) {
+      if (req.user.role === 'mechanic') {
+        filter.assignedMechanic = req.user._id;
+      } else {
+        filter.customer = req.user._id;
+      }
+    } else if (mechanic) {
+      filter.assignedMechanic = mechanic;
+    }
+
+    // ?status=a,b and ?status=a&status=b both filter on several statuses
+    if (status) filter.status = { $in: [status].flat().flatMap(value => String(value).split(',')) };
+    if (serviceType) filter.serviceType = serviceType;
+    if (priority) filter.priority = priority;
+    if (branch) filter.branch = branch;
+
+    if (search) {
+      const pattern = escapeRegex(String(search));
+      filter.$or = [
+        { requestNumber: { $regex: pattern, $options: 'i' } },
+        { 'vehicle.description': { $regex: pattern, $options: 'i' } },
+        { 'vehicle.licensePlate': { $regex: pattern, $options: 'i' } },
+        { description: { $regex: pattern, $options: 'i' } }
+      ];
+    }
+
+    if (startDate || endDate) {
+      filter.createdAt = {};
+      if (startDate) filter.createdAt.$gte = new Date(startDate);
+      if (endDate) filter.createdAt.$lte = new Date(endDate);
+    }
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const [requests, total] = await Promise.all([
+      ServiceRequest.find(filter)
+        .populate('customer', 'name email phone')
+        .populate('assignedMechanic', 'name email phone')
+        .populate('branch', 'name code')
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      ServiceRequest.countDocuments(filter)
+    ]);
+
+    const pages = Math.ceil(total / pageSize);
+
     res.json({
       success: true,
-      data: [],
-      message: 'Service requests endpoint - integrate with existing system'
+      data: requests,
+      count: requests.length,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages,
+        hasNext: pageNumber < pages,
+        hasPrev: pageNumber > 1
+      }
     });
+
   } catch (error) {
+    console.error('Get service requests error:', error);
     res.status(500).json({
       success: false,
       message: 'Error retrieving service requests'
@@ -23,17 +179,175 @@ router.get('/', async (req, res) => {
   }
 });
 
+// @route   GET /api/v1/services/:id
+// @desc    Get single service request
+// @access  Private
+router.get('/:id', async (req, res) => {
+  try {
+    const request = await ServiceRequest.findById(req.params.id)
+      .populate('customer', 'name email phone')
+      .populate('assignedMechanic', 'name email phone')
+      .populate('branch', 'name code location contact')
+      .populate('timeline.updatedBy', 'name role');
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service request not found'
+      });
+    }
+
+    if (!canAccessRequest(req.user, request)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: request
+    });
+
+  } catch (error) {
+    console.error('Get service request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving service request'
+    });
+  }
+});
+
+// @route   GET /api/v1/services/:id/tracking
+// @desc    Live pickup tracking: the assigned truck, its position and the current ETA
+// @access  Private
+router.get('/:id/tracking', async (req, res) => {
+  try {
+    const request = await ServiceRequest.findById(req.params.id);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service request not found'
+      });
+    }
+
+    if (!canAccessRequest(req.user, request)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const pickup = request.pickupRequest && await PickupRequest.findById(request.pickupRequest);
+    const truck = pickup?.assignedTruck && await Truck.findById(pickup.assignedTruck);
+
+    // Estimates are refreshed on every position; compute one now if the truck has not moved since dispatch
+    if (truck && ['dispatched', 'en-route'].includes(pickup.status) && !pickup.eta?.computedAt) {
+      pickup.eta = await computeEta(truck, pickup.pickupLocation);
+      await pickup.save();
+    }
+
+    res.json({
+      success: true,
+      data: {
+        requestId: request._id,
+        requestNumber: request.requestNumber,
+        status: request.status,
+        trackingEnabled: request.trackingEnabled,
+        pickupLocation: request.pickupLocation,
+        estimatedArrival: pickup?.eta?.arrivalAt || request.estimatedArrival,
+        pickup: pickup ? {
+          _id: pickup._id,
+          status: pickup.status,
+          dispatchTime: pickup.dispatchTime,
+          eta: pickup.eta
+        } : null,
+        truck: truck ? {
+          _id: truck._id,
+          truckId: truck.truckId,
+          status: truck.status,
+          driver: { name: truck.driver.name, phone: truck.driver.phone },
+          vehicle: truck.vehicle,
+          currentLocation: truck.currentLocation
+        } : null
+      }
+    });
+
+  } catch (error) {
+    console.error('Get service tracking error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving tracking information'
+    });
+  }
+});
+
 // @route   POST /api/v1/services
 // @desc    Create service request
 // @access  Private
-router.post('/', async (req, res) => {
+router.post('/', [
+  body('serviceType').isIn(Object.values(SERVICE_TYPES)).withMessage('Invalid service type'),
+  body('vehicle.vehicleId').optional({ checkFalsy: true }).isMongoId().withMessage('Valid vehicle ID required'),
+  body('vehicle.description').if(body('vehicle.vehicleId').isEmpty()).trim().notEmpty().withMessage('Vehicle information is required'),
+  body('contactNumber').trim().notEmpty().withMessage('Contact number is required'),
+  body('description').optional().trim().isLength({ max: 1000 }).withMessage('Description too long'),
+  body('priority').optional().isIn(PRIORITIES).withMessage('Invalid priority'),
+  body('preferredDate').optional({ checkFalsy: true }).isISO8601().withMessage('Valid preferred date required'),
+  body('pickupLocation.latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Valid pickup latitude required'),
+  body('pickupLocation.longitude').if(body('pickupLocation.latitude').exists()).isFloat({ min: -180, max: 180 }).withMessage('Valid pickup longitude required'),
+  body('pickupLocation.address').optional().trim().isLength({ max: 300 }).withMessage('Pickup address too long')
+], async (req, res) => {
   try {
-    // Placeholder for creating service requests
-    res.json({
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { serviceType, description, priority, preferredDate, contactNumber, spareParts, pickupLocation } = req.body;
+
+    const vehicle = await resolveVehicle(req.user, req.body.vehicle);
+    if (!vehicle) {
+      return res.status(400).json({
+        success: false,
+        message: 'Vehicle not found'
+      });
+    }
+
+    const request = new ServiceRequest({
+      customer: req.user._id,
+      serviceType,
+      vehicle,
+      description,
+      priority,
+      preferredDate: preferredDate || undefined,
+      contactNumber,
+      spareParts: Array.isArray(spareParts) ? spareParts : [],
+      pickupLocation: serviceType === SERVICE_TYPES.VEHICLE_PICKUP ? pickupLocation : undefined
+    });
+
+    await request.save();
+
+    // Notify admins in real time
+    await publish('service-request.created', {
+      requestId: request._id,
+      requestNumber: request.requestNumber,
+      serviceType: request.serviceType,
+      priority: request.priority,
+      customer: req.user.name,
+      timestamp: request.createdAt
+    });
+
+    res.status(201).json({
       success: true,
-      message: 'Service request creation - integrate with existing system'
+      message: 'Service request created successfully',
+      data: request
     });
+
   } catch (error) {
+    console.error('Create service request error:', error);
     res.status(500).json({
       success: false,
       message: 'Error creating service request'
@@ -41,4 +355,498 @@ router.post('/', async (req, res) => {
   }
 });
 
-export default router;
\ No newline at end of file
+// @route   PUT /api/v1/services/:id
+// @desc    Update service request details
+// @access  Private (owner while pending, or admin)
+router.put('/:id', [
+  body('serviceType').optional().isIn(Object.values(SERVICE_TYPES)).withMessage('Invalid service type'),
+  body('vehicle.description').optional().trim().notEmpty().withMessage('Vehicle information is required'),
+  body('contactNumber').optional().trim().notEmpty().withMessage('Contact number is required'),
+  body('description').optional().trim().isLength({ max: 1000 }).withMessage('Description too long'),
+  body('priority').optional().isIn(PRIORITIES).withMessage('Invalid priority'),
+  body('preferredDate').optional({ checkFalsy: true }).isISO8601().withMessage('Valid preferred date required'),
+  body('charges.amount').optional().isFloat({ min: 0 }).withMessage('Charge must be zero or more').toFloat(),
+  body('charges.currency').optional().isLength({ min: 3, max: 3 }).withMessage('Currency must be a 3-letter code')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const request = await ServiceRequest.findById(req.params.id);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service request not found'
+      });
+    }
+
+    const isAdmin = req.user.isAdminUser();
+    const isOwner = request.customer.toString() === req.user._id.toString();
+
+    if (!isAdmin && !isOwner) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    if (!isAdmin && !request.canBeModifiedByCustomer()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only pending requests can be edited'
+      });
+    }
+
+    // Stock-reserved lines are managed through /:id/parts and survive bulk edits
+    const reservedLines = request.spareParts
+      .filter(line => line.part && line.status === 'confirmed')
+      .map(line => line.toObject());
+
+    const editableFields = ['serviceType', 'vehicle', 'description', 'priority', 'preferredDate', 'contactNumber', 'pickupLocation'];
+    if (isAdmin) editableFields.push('spareParts', 'estimatedCompletion', 'estimatedArrival', 'adminNotes', 'charges');
+
+    editableFields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        request[field] = req.body[field];
+      }
+    });
+
+    if (req.body.vehicle) {
+      const vehicle = await resolveVehicle(req.user, req.body.vehicle);
+      if (!vehicle) {
+        return res.status(400).json({
+          success: false,
+          message: 'Vehicle not found'
+        });
+      }
+      request.vehicle = vehicle;
+    }
+
+    if (req.body.serviceType) {
+      request.trackingEnabled = request.serviceType === SERVICE_TYPES.VEHICLE_PICKUP;
+      if (!req.body.spareParts) {
+        request.spareParts = ServiceRequest.getSuggestedParts(request.serviceType).map(name => ({ name }));
+      }
+    }
+
+    if (reservedLines.length > 0) {
+      request.spareParts = [
+        ...reservedLines,
+        ...request.spareParts.filter(line => !(line.part && line.status === 'confirmed'))
+      ];
+    }
+
+    await request.save();
+
+    res.json({
+      success: true,
+      message: 'Service request updated successfully',
+      data: request
+    });
+
+  } catch (error) {
+    console.error('Update service request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating service request'
+    });
+  }
+});
+
+// @route   PUT /api/v1/services/:id/status
+// @desc    Update service request status
+// @access  Admin or assigned mechanic
+router.put('/:id/status', [
+  body('status').isIn(STATUSES).withMessage('Invalid status'),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const request = await ServiceRequest.findById(req.params.id);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service request not found'
+      });
+    }
+
+    // Assigned mechanics can move their own jobs through the workshop
+    const isAssignedMechanic = request.assignedMechanic &&
+      request.assignedMechanic.toString() === req.user._id.toString() &&
+      ['in_progress', 'completed'].includes(req.body.status);
+
+    if (!req.user.isAdminUser() && !isAssignedMechanic) {
+      return res.status(403).json({
+        success: false,
+        message: 'Admin access required.'
+      });
+    }
+
+    if (!request.canTransitionTo(req.body.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `A request that is ${request.status} can't be moved to ${req.body.status}`
+      });
+    }
+
+    if (req.body.notes) request.adminNotes = req.body.notes;
+
+    const stockSource = { sourceType: 'ServiceRequest', sourceId: request._id, userId: req.user._id };
+    if (req.body.status === 'completed') {
+      request.spareParts.forEach(line => {
+        if (line.part && line.status === 'confirmed') line.status = 'used';
+      });
+    }
+    await request.updateStatus(req.body.status, req.user._id, req.body.notes);
+
+    // Reserved parts are used up on completion and go back on the shelf otherwise
+    if (request.status === 'completed') {
+      await notifyLowStock(await Inventory.consume(stockSource));
+    } else if (['cancelled', 'rejected'].includes(request.status)) {
+      await Inventory.release(stockSource);
+    }
+
+    if (request.status === 'completed') {
+      await User.findByIdAndUpdate(request.customer, { lastService: request.completedAt });
+
+      // Restart the maintenance cycle for the registered vehicle
+      const vehicle = request.vehicle.vehicleId && await Vehicle.findById(request.vehicle.vehicleId);
+      if (vehicle) {
+        await vehicle.recordService(request.serviceType, {
+          date: request.completedAt,
+          serviceRequest: request._id
+        });
+        await resolveReminders(vehicle._id, request.serviceType);
+      }
+    }
+
+    if (request.status === 'approved') {
+      await raisePickupRequest(request);
+    }
+
+    // Notify the customer in real time
+    await publish('service-request.status-changed', {
+      requestId: request._id,
+      customerId: request.customer,
+      requestNumber: request.requestNumber,
+      serviceType: request.serviceType,
+      status: request.status,
+      notes: req.body.notes,
+      timestamp: new Date()
+    });
+
+    res.json({
+      success: true,
+      message: 'Service request status updated successfully',
+      data: request
+    });
+
+  } catch (error) {
+    console.error('Update service request status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating service request status'
+    });
+  }
+});
+
+// @route   POST /api/v1/services/:id/parts
+// @desc    Reserve a catalogue part from the request's branch stock
+// @access  Admin or assigned mechanic
+router.post('/:id/parts', [
+  body('part').isMongoId().withMessage('Valid part ID is required'),
+  body('quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be at least 1')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const request = await ServiceRequest.findById(req.params.id);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service request not found'
+      });
+    }
+
+    const isAssignedMechanic = request.assignedMechanic &&
+      request.assignedMechanic.toString() === req.user._id.toString();
+    if (!req.user.isAdminUser() && !isAssignedMechanic) {
+      return res.status(403).json({
+        success: false,
+        message: 'Admin access required.'
+      });
+    }
+
+    if (['completed', 'cancelled', 'rejected'].includes(request.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Service request is already closed'
+      });
+    }
+
+    if (!request.branch) {
+      return res.status(400).json({
+        success: false,
+        message: 'Assign the request to a branch before reserving parts'
+      });
+    }
+
+    const part = await Part.findById(req.body.part);
+    if (!part || !part.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Part not found'
+      });
+    }
+
+    const quantity = parseInt(req.body.quantity) || 1;
+    request.spareParts.push({ name: part.name, part: part._id, quantity, status: 'confirmed' });
+    const line = request.spareParts[request.spareParts.length - 1];
+
+    const inventory = await Inventory.reserve({
+      part: part._id,
+      branch: request.branch,
+      quantity,
+      sourceType: 'ServiceRequest',
+      sourceId: request._id,
+      lineId: line._id,
+      userId: req.user._id
+    });
+    await request.save();
+    await notifyLowStock([inventory]);
+
+    res.json({
+      success: true,
+      message: 'Part reserved successfully',
+      data: request
+    });
+
+  } catch (error) {
+    console.error('Reserve service request part error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error reserving part'
+    });
+  }
+});
+
+// @route   DELETE /api/v1/services/:id/parts/:lineId
+// @desc    Remove a part line and release any reserved stock
+// @access  Admin or assigned mechanic
+router.delete('/:id/parts/:lineId', async (req, res) => {
+  try {
+    const request = await ServiceRequest.findById(req.params.id);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service request not found'
+      });
+    }
+
+    const isAssignedMechanic = request.assignedMechanic &&
+      request.assignedMechanic.toString() === req.user._id.toString();
+    if (!req.user.isAdminUser() && !isAssignedMechanic) {
+      return res.status(403).json({
+        success: false,
+        message: 'Admin access required.'
+      });
+    }
+
+    const line = request.spareParts.id(req.params.lineId);
+    if (!line) {
+      return res.status(404).json({
+        success: false,
+        message: 'Part not found'
+      });
+    }
+
+    if (line.status === 'used') {
+      return res.status(400).json({
+        success: false,
+        message: 'Parts already used cannot be removed'
+      });
+    }
+
+    await Inventory.release({
+      sourceType: 'ServiceRequest',
+      sourceId: request._id,
+      lineId: line._id,
+      userId: req.user._id
+    });
+    request.spareParts.pull(line._id);
+    await request.save();
+
+    res.json({
+      success: true,
+      message: 'Part removed successfully',
+      data: request
+    });
+
+  } catch (error) {
+    console.error('Remove service request part error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing part'
+    });
+  }
+});
+
+// @route   PUT /api/v1/services/:id/assign
+// @desc    Assign mechanic and branch to a service request
+// @access  Admin only
+router.put('/:id/assign', requireAdmin, [
+  body('mechanic').optional({ nullable: true }).isMongoId().withMessage('Valid mechanic ID required'),
+  body('branch').optional({ nullable: true }).isMongoId().withMessage('Valid branch ID required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const request = await ServiceRequest.findById(req.params.id);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service request not found'
+      });
+    }
+
+    if (req.body.mechanic) {
+      const mechanic = await User.findById(req.body.mechanic);
+      if (!mechanic || !mechanic.isActive || mechanic.role !== 'mechanic') {
+        return res.status(400).json({
+          success: false,
+          message: 'Mechanic not found'
+        });
+      }
+      request.assignedMechanic = mechanic._id;
+    } else if (req.body.mechanic === null) {
+      request.assignedMechanic = null;
+    }
+
+    if (req.body.branch !== undefined) {
+      const branchChanged = String(request.branch || '') !== String(req.body.branch || '');
+      const hasReservedParts = request.spareParts.some(line => line.part && line.status === 'confirmed');
+      if (branchChanged && hasReservedParts) {
+        return res.status(400).json({
+          success: false,
+          message: 'Remove reserved parts before moving the request to another branch'
+        });
+      }
+      request.branch = req.body.branch;
+    }
+
+    request.timeline.push({
+      status: request.status,
+      updatedBy: req.user._id,
+      notes: 'Mechanic and branch assignment updated'
+    });
+    await request.save();
+    await request.populate('assignedMechanic', 'name email phone');
+    await request.populate('branch', 'name code');
+
+    // Notify the mechanic about the new job
+    if (request.assignedMechanic) {
+      await publish('service-request.assigned', {
+        requestId: request._id,
+        mechanicId: request.assignedMechanic._id,
+        requestNumber: request.requestNumber,
+        serviceType: request.serviceType,
+        timestamp: new Date()
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Service request assigned successfully',
+      data: request
+    });
+
+  } catch (error) {
+    console.error('Assign service request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error assigning service request'
+    });
+  }
+});
+
+// @route   DELETE /api/v1/services/:id
+// @desc    Cancel service request
+// @access  Private (owner while pending, or admin)
+router.delete('/:id', async (req, res) => {
+  try {
+    const request = await ServiceRequest.findById(req.params.id);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service request not found'
+      });
+    }
+
+    const isAdmin = req.user.isAdminUser();
+    const isOwner = request.customer.toString() === req.user._id.toString();
+
+    if (!isAdmin && !isOwner) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    if (!isAdmin && !request.canBeModifiedByCustomer()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only pending requests can be cancelled'
+      });
+    }
+
+    // Don't actually delete, keep the record for history
+    await request.updateStatus('cancelled', req.user._id, req.body.reason || '');
+    await Inventory.release({ sourceType: 'ServiceRequest', sourceId: request._id, userId: req.user._id });
+
+    await publish('service-request.cancelled', {
+      requestId: request._id,
+      requestNumber: request.requestNumber,
+      status: request.status,
+      timestamp: new Date()
+    });
+
+    res.json({
+      success: true,
+      message: 'Service request cancelled successfully',
+      data: request
+    });
+
+  } catch (error) {
+    console.error('Cancel service request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling service request'
+    });
+  }
+});
+
+export default router;
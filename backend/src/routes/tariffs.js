@@ -0,0 +1,199 @@
+import express from 'express';
+import { body, param, validationResult } from 'express-validator';
+import Tariff from '../models/Tariff.js';
+import { BOOKING_SERVICE_TYPES, BOOKING_PRIORITIES } from '../models/Booking.js';
+import { requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = [
+  'name', 'serviceType', 'branch', 'priority', 'baseRate', 'distanceRate', 'timeRate',
+  'minimumCharge', 'currency', 'surcharges', 'isActive'
+];
+
+const tariffValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  const rate = (name) => body(name).optional().isFloat({ min: 0 }).withMessage(`${name} must be zero or more`);
+  const percent = (name) => body(name).optional().isFloat({ min: 0, max: 500 }).withMessage(`${name} must be between 0 and 500`);
+  const hour = (name) => body(name).optional().isInt({ min: 0, max: 23 }).withMessage(`${name} must be between 0 and 23`);
+  return [
+    field('serviceType').isIn(BOOKING_SERVICE_TYPES).withMessage('Invalid service type'),
+    body('name').optional().trim().isLength({ max: 100 }).withMessage('Name is limited to 100 characters'),
+    body('branch').optional({ nullable: true }).isMongoId().withMessage('Invalid branch'),
+    body('priority').optional({ nullable: true }).isIn(BOOKING_PRIORITIES).withMessage('Invalid priority'),
+    rate('baseRate'),
+    rate('distanceRate'),
+    rate('timeRate'),
+    rate('minimumCharge'),
+    body('currency').optional().isLength({ min: 3, max: 3 }).withMessage('Currency must be a 3-letter code'),
+    percent('surcharges.night.percent'),
+    hour('surcharges.night.startHour'),
+    hour('surcharges.night.endHour'),
+    percent('surcharges.weekend.percent'),
+    percent('surcharges.urgent.percent'),
+    percent('surcharges.heavyCargo.percent'),
+    rate('surcharges.heavyCargo.thresholdKg'),
+    body('isActive').optional().isBoolean()
+  ];
+};
+
+const pickEditable = (source) => Object.fromEntries(
+  EDITABLE_FIELDS.filter(key => source[key] !== undefined).map(key => [key, source[key]])
+);
+
+const sendError = (res, error, fallback) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: Object.values(error.errors).map(err => err.message).join(', ')
+    });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: 'A tariff for this service type, branch and priority already exists'
+    });
+  }
+  res.status(500).json({
+    success: false,
+    message: fallback
+  });
+};
+
+// @route   GET /api/v1/tariffs
+// @desc    List tariffs (filters: serviceType, branch, isActive)
+// @access  Private (manage_bookings)
+router.get('/', requirePermission('manage_bookings'), async (req, res) => {
+  try {
+    const { serviceType, branch, isActive } = req.query;
+    const filter = {};
+
+    if (serviceType) filter.serviceType = serviceType;
+    if (branch) filter.branch = branch === 'none' ? null : branch;
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+
+    const tariffs = await Tariff.find(filter)
+      .populate('branch', 'name code')
+      .sort({ serviceType: 1, branch: 1, priority: 1 });
+
+    res.json({
+      success: true,
+      data: tariffs,
+      count: tariffs.length
+    });
+
+  } catch (error) {
+    console.error('Get tariffs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving tariffs'
+    });
+  }
+});
+
+// @route   POST /api/v1/tariffs
+// @desc    Create a tariff for a service type, optionally for one branch and/or priority
+// @access  Private (manage_bookings)
+router.post('/', requirePermission('manage_bookings'), tariffValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const tariff = new Tariff({ ...pickEditable(req.body), updatedBy: req.user._id });
+    await tariff.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Tariff created successfully',
+      data: tariff
+    });
+
+  } catch (error) {
+    console.error('Create tariff error:', error);
+    sendError(res, error, 'Error creating tariff');
+  }
+});
+
+// @route   PUT /api/v1/tariffs/:id
+// @desc    Update a tariff; quotes already given keep their price
+// @access  Private (manage_bookings)
+router.put('/:id', requirePermission('manage_bookings'), [
+  param('id').isMongoId().withMessage('Invalid tariff'),
+  ...tariffValidators(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const tariff = await Tariff.findById(req.params.id);
+    if (!tariff) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tariff not found'
+      });
+    }
+
+    // Merge so that changing one surcharge leaves the others as they were
+    tariff.set({ ...pickEditable(req.body), updatedBy: req.user._id }, undefined, { merge: true });
+    await tariff.save();
+
+    res.json({
+      success: true,
+      message: 'Tariff updated successfully',
+      data: tariff
+    });
+
+  } catch (error) {
+    console.error('Update tariff error:', error);
+    sendError(res, error, 'Error updating tariff');
+  }
+});
+
+// @route   DELETE /api/v1/tariffs/:id
+// @desc    Delete a tariff
+// @access  Private (manage_bookings)
+router.delete('/:id', requirePermission('manage_bookings'), [
+  param('id').isMongoId().withMessage('Invalid tariff')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const tariff = await Tariff.findByIdAndDelete(req.params.id);
+    if (!tariff) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tariff not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Tariff deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete tariff error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting tariff'
+    });
+  }
+});
+
+export default router;
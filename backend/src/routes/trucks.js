@@ -1,11 +1,32 @@
 import express from 'express';
-import { body, validationResult } from 'express-validator';
+import { body, query, validationResult } from 'express-validator';
 import Truck from '../models/Truck.js';
-import { requireAdmin } from '../middleware/auth.js';
+import TruckTelemetry, { TELEMETRY_SOURCES } from '../models/TruckTelemetry.js';
+import { ingestTelemetry, publishLocation, summarizeTrack, detectStops, MAX_BATCH_SIZE } from '../services/telemetry.js';
+import { buildGpx, buildKml, EXPORT_FORMATS } from '../services/trackExport.js';
+import { publish } from '../services/eventBus.js';
+import { getActiveJobs, advanceJobs, DRIVER_STATUSES } from '../services/driverJobs.js';
+import { requirePermission } from '../middleware/auth.js';
 import { uploadTruckDocuments, handleUploadError, processUploadedFiles } from '../middleware/upload.js';
 
 const router = express.Router();
 
+const DEFAULT_TRACK_HOURS = 24;
+const MAX_TRACK_POINTS = 20000;
+
+const pointValidators = (prefix) => [
+  body(`${prefix}latitude`).isFloat({ min: -90, max: 90 }).withMessage('Valid latitude required'),
+  body(`${prefix}longitude`).isFloat({ min: -180, max: 180 }).withMessage('Valid longitude required'),
+  body(`${prefix}speed`).optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Speed must be a positive number (km/h)'),
+  body(`${prefix}heading`).optional({ nullable: true }).isFloat({ min: 0, max: 360 }).withMessage('Heading must be between 0 and 360'),
+  body(`${prefix}accuracy`).optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Accuracy must be a positive number (metres)'),
+  body(`${prefix}recordedAt`).optional().isISO8601().withMessage('recordedAt must be an ISO 8601 date'),
+  body(`${prefix}source`).optional().isIn(TELEMETRY_SOURCES).withMessage('Invalid telemetry source')
+];
+
+// Drivers may only report on or read the truck they drive
+const canAccessTruck = (user, truck) => user.hasPermission('manage_trucks') || truck.isDrivenBy(user);
+
 // @route   GET /api/v1/trucks
 // @desc    Get all trucks
 // @access  Private
@@ -36,6 +57,34 @@ router.get('/', async (req, res) => {
   }
 });
 
+// @route   GET /api/v1/trucks/mine
+// @desc    Get the trucks the current user drives, with their open jobs
+// @access  Private (Drivers)
+router.get('/mine', requirePermission('update_location', 'view_assigned_trucks'), async (req, res) => {
+  try {
+    const trucks = await Truck.findDrivenBy(req.user)
+      .select('-documents');
+
+    const data = await Promise.all(trucks.map(async (truck) => ({
+      truck,
+      jobs: await getActiveJobs(truck)
+    })));
+
+    res.json({
+      success: true,
+      data,
+      count: data.length
+    });
+
+  } catch (error) {
+    console.error('Get driven trucks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving your trucks'
+    });
+  }
+});
+
 // @route   GET /api/v1/trucks/:id
 // @desc    Get single truck
 // @access  Private
@@ -67,8 +116,8 @@ router.get('/:id', async (req, res) => {
 
 // @route   POST /api/v1/trucks
 // @desc    Create new truck
-// @access  Admin only
-router.post('/', requireAdmin, uploadTruckDocuments, handleUploadError, [
+// @access  Private (manage_trucks)
+router.post('/', requirePermission('manage_trucks'), uploadTruckDocuments, handleUploadError, [
   body('truckId').trim().notEmpty().withMessage('Truck ID is required'),
   body('driver.name').trim().notEmpty().withMessage('Driver name is required'),
   body('driver.phone').trim().notEmpty().withMessage('Driver phone is required'),
@@ -126,10 +175,9 @@ router.post('/', requireAdmin, uploadTruckDocuments, handleUploadError, [
 
 // @route   PUT /api/v1/trucks/:id/location
 // @desc    Update truck location
-// @access  Private
-router.put('/:id/location', [
-  body('latitude').isFloat({ min: -90, max: 90 }).withMessage('Valid latitude required'),
-  body('longitude').isFloat({ min: -180, max: 180 }).withMessage('Valid longitude required'),
+// @access  Private (Fleet managers, or the truck's driver)
+router.put('/:id/location', requirePermission('manage_trucks', 'update_location'), [
+  ...pointValidators(''),
   body('address').optional().trim()
 ], async (req, res) => {
   try {
@@ -141,7 +189,7 @@ router.put('/:id/location', [
       });
     }
 
-    const { latitude, longitude, address = '' } = req.body;
+    const { address = '' } = req.body;
     const truck = await Truck.findById(req.params.id);
 
     if (!truck) {
@@ -151,15 +199,19 @@ router.put('/:id/location', [
       });
     }
 
-    await truck.updateLocation(latitude, longitude, address);
+    if (!canAccessTruck(req.user, truck)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only update your assigned truck.'
+      });
+    }
 
-    // Emit real-time update via Socket.io
-    const io = req.app.get('socketio');
-    io.emit('truck-location-updated', {
-      truckId: truck._id,
-      location: truck.currentLocation,
-      status: truck.status
-    });
+    const { moved } = await ingestTelemetry(truck, [req.body], { address });
+
+    // Announce the new position
+    if (moved) {
+      await publishLocation(truck);
+    }
 
     res.json({
       success: true,
@@ -179,10 +231,182 @@ router.put('/:id/location', [
   }
 });
 
+// @route   POST /api/v1/trucks/:id/telemetry
+// @desc    Ingest a batch of GPS fixes (e.g. buffered while offline)
+// @access  Private (Fleet managers, or the truck's driver)
+router.post('/:id/telemetry', requirePermission('manage_trucks', 'update_location'), [
+  body('points').isArray({ min: 1, max: MAX_BATCH_SIZE }).withMessage(`points must hold 1 to ${MAX_BATCH_SIZE} fixes`),
+  ...pointValidators('points.*.'),
+  body('source').optional().isIn(TELEMETRY_SOURCES).withMessage('Invalid telemetry source')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const truck = await Truck.findById(req.params.id);
+
+    if (!truck) {
+      return res.status(404).json({
+        success: false,
+        message: 'Truck not found'
+      });
+    }
+
+    if (!canAccessTruck(req.user, truck)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only update your assigned truck.'
+      });
+    }
+
+    const { accepted, moved } = await ingestTelemetry(truck, req.body.points, { source: req.body.source });
+
+    if (moved) {
+      await publishLocation(truck);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `${accepted} telemetry point(s) recorded`,
+      data: {
+        accepted,
+        currentLocation: truck.currentLocation,
+        lastSeen: truck.lastSeen
+      }
+    });
+
+  } catch (error) {
+    console.error('Ingest telemetry error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error recording telemetry'
+    });
+  }
+});
+
+const trackValidators = [
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+  query('limit').optional().isInt({ min: 1, max: MAX_TRACK_POINTS }).withMessage(`limit must be between 1 and ${MAX_TRACK_POINTS}`)
+];
+
+// Look up the truck and its fixes for the requested window; errors carry a statusCode
+const loadTrack = async (req) => {
+  const truck = await Truck.findById(req.params.id);
+
+  if (!truck) {
+    const error = new Error('Truck not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (!req.user.hasPermission('view_trucks') && !canAccessTruck(req.user, truck)) {
+    const error = new Error('Access denied. You can only view your assigned truck.');
+    error.statusCode = 403;
+    throw error;
+  }
+
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - DEFAULT_TRACK_HOURS * 60 * 60 * 1000);
+
+  if (from > to) {
+    const error = new Error('from must be before to');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const limit = parseInt(req.query.limit) || MAX_TRACK_POINTS;
+  const points = await TruckTelemetry.findTrack(truck._id, { from, to, limit });
+
+  return { truck, from, to, limit, points, stops: detectStops(points) };
+};
+
+// @route   GET /api/v1/trucks/:id/track
+// @desc    Get a truck's GPS track over a time window (default: last 24 hours), with stops
+// @access  Private (Fleet managers, mechanics, or the truck's driver)
+router.get('/:id/track', requirePermission('manage_trucks', 'view_trucks', 'update_location'), trackValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { truck, from, to, limit, points, stops } = await loadTrack(req);
+
+    res.json({
+      success: true,
+      data: {
+        truckId: truck._id,
+        from,
+        to,
+        summary: summarizeTrack(points),
+        truncated: points.length === limit,
+        points,
+        stops
+      }
+    });
+
+  } catch (error) {
+    console.error('Get truck track error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error retrieving track'
+    });
+  }
+});
+
+// @route   GET /api/v1/trucks/:id/track/export
+// @desc    Download a truck's track as GPX or KML (format=gpx|kml)
+// @access  Private (Fleet managers, mechanics, or the truck's driver)
+router.get('/:id/track/export', requirePermission('manage_trucks', 'view_trucks', 'update_location'), [
+  ...trackValidators,
+  query('format').optional().isIn(Object.keys(EXPORT_FORMATS)).withMessage('format must be gpx or kml')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const format = req.query.format || 'gpx';
+    const { truck, from, points, stops } = await loadTrack(req);
+
+    const document = format === 'kml'
+      ? buildKml(truck, points, stops)
+      : buildGpx(truck, points, stops);
+    const filename = `${truck.truckId}-${from.toISOString().slice(0, 10)}.${EXPORT_FORMATS[format].extension}`
+      .replace(/[^\w.-]/g, '_');
+
+    res.set({
+      'Content-Type': EXPORT_FORMATS[format].contentType,
+      'Content-Disposition': `attachment; filename="${filename}"`
+    });
+    res.send(document);
+
+  } catch (error) {
+    console.error('Export truck track error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error exporting track'
+    });
+  }
+});
+
 // @route   PUT /api/v1/trucks/:id/status
 // @desc    Update truck status
-// @access  Admin only
-router.put('/:id/status', requireAdmin, [
+// @access  Private (manage_trucks, or the truck's driver for en-route and at-location)
+router.put('/:id/status', requirePermission('manage_trucks', 'update_location'), [
   body('status').isIn(['available', 'dispatched', 'en-route', 'at-location', 'completed', 'maintenance', 'offline'])
     .withMessage('Invalid status')
 ], async (req, res) => {
@@ -195,11 +419,7 @@ router.put('/:id/status', requireAdmin, [
       });
     }
 
-    const truck = await Truck.findByIdAndUpdate(
-      req.params.id,
-      { status: req.body.status },
-      { new: true }
-    );
+    const truck = await Truck.findById(req.params.id);
 
     if (!truck) {
       return res.status(404).json({
@@ -208,9 +428,31 @@ router.put('/:id/status', requireAdmin, [
       });
     }
 
-    // Emit real-time update
-    const io = req.app.get('socketio');
-    io.emit('truck-status-updated', {
+    if (!canAccessTruck(req.user, truck)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only update your assigned truck.'
+      });
+    }
+
+    if (!req.user.hasPermission('manage_trucks') && !DRIVER_STATUSES.includes(req.body.status)) {
+      return res.status(403).json({
+        success: false,
+        message: `Drivers can only set ${DRIVER_STATUSES.join(' or ')}`
+      });
+    }
+
+    truck.status = req.body.status;
+    // A status set by hand replaces the one the watchdog would restore
+    truck.signalLost = undefined;
+    await truck.save();
+
+    // The truck's pickup or booking follows the driver's progress
+    if (DRIVER_STATUSES.includes(truck.status)) {
+      await advanceJobs(truck, truck.status, req.user);
+    }
+
+    await publish('truck.status-changed', {
       truckId: truck._id,
       status: truck.status,
       assignedRequest: truck.assignedRequest
@@ -268,8 +510,8 @@ router.get('/nearest/:lat/:lng', async (req, res) => {
 
 // @route   PUT /api/v1/trucks/:id/assign
 // @desc    Assign truck to pickup request
-// @access  Admin only
-router.put('/:id/assign', requireAdmin, [
+// @access  Private (manage_trucks)
+router.put('/:id/assign', requirePermission('manage_trucks'), [
   body('requestId').notEmpty().withMessage('Request ID is required')
 ], async (req, res) => {
   try {
@@ -298,9 +540,7 @@ router.put('/:id/assign', requireAdmin, [
 
     await truck.assignToRequest(req.body.requestId);
 
-    // Emit real-time update
-    const io = req.app.get('socketio');
-    io.emit('truck-assigned', {
+    await publish('truck.assigned', {
       truckId: truck._id,
       requestId: req.body.requestId,
       status: truck.status
@@ -323,8 +563,8 @@ router.put('/:id/assign', requireAdmin, [
 
 // @route   PUT /api/v1/trucks/:id/complete
 // @desc    Complete truck assignment
-// @access  Admin only
-router.put('/:id/complete', requireAdmin, async (req, res) => {
+// @access  Private (manage_trucks, or the truck's driver)
+router.put('/:id/complete', requirePermission('manage_trucks', 'update_location'), async (req, res) => {
   try {
     const truck = await Truck.findById(req.params.id);
     if (!truck) {
@@ -334,11 +574,17 @@ router.put('/:id/complete', requireAdmin, async (req, res) => {
       });
     }
 
+    if (!canAccessTruck(req.user, truck)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only update your assigned truck.'
+      });
+    }
+
+    await advanceJobs(truck, 'completed', req.user);
     await truck.completeAssignment();
 
-    // Emit real-time update
-    const io = req.app.get('socketio');
-    io.emit('truck-assignment-completed', {
+    await publish('truck.assignment-completed', {
       truckId: truck._id,
       status: truck.status
     });
@@ -360,8 +606,8 @@ router.put('/:id/complete', requireAdmin, async (req, res) => {
 
 // @route   POST /api/v1/trucks/:id/documents
 // @desc    Upload documents for truck
-// @access  Admin only
-router.post('/:id/documents', requireAdmin, uploadTruckDocuments, handleUploadError, async (req, res) => {
+// @access  Private (manage_trucks)
+router.post('/:id/documents', requirePermission('manage_trucks'), uploadTruckDocuments, handleUploadError, async (req, res) => {
   try {
     const truck = await Truck.findById(req.params.id);
     if (!truck) {
@@ -406,8 +652,8 @@ router.post('/:id/documents', requireAdmin, uploadTruckDocuments, handleUploadEr
 
 // @route   DELETE /api/v1/trucks/:id/documents/:docId
 // @desc    Delete truck document
-// @access  Admin only
-router.delete('/:id/documents/:docId', requireAdmin, async (req, res) => {
+// @access  Private (manage_trucks)
+router.delete('/:id/documents/:docId', requirePermission('manage_trucks'), async (req, res) => {
   try {
     const truck = await Truck.findById(req.params.id);
     if (!truck) {
@@ -1,9 +1,12 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
 import User from '../models/User.js';
+import AuditLog from '../models/AuditLog.js';
+import Session from '../models/Session.js';
+import { ROLES, ADMIN_ROLES } from '../models/Role.js';
 import Message from '../models/Message.js';
 import Booking from '../models/Booking.js';
-import { requireAdmin } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -51,6 +54,7 @@ router.get('/profile', async (req, res) => {
         role: user.role,
         vehicleCount: user.vehicleCount,
         lastService: user.lastService,
+        billing: user.billing,
         createdAt: user.createdAt,
         updatedAt: user.updatedAt
       },
@@ -82,7 +86,7 @@ router.get('/profile', async (req, res) => {
         totalMessages: messages.length,
         unreadMessages: messages.filter(m => !m.isRead && m.senderType === 'admin').length,
         totalBookings: bookings.length,
-        activeBookings: bookings.filter(b => ['pending', 'confirmed', 'assigned', 'in_progress'].includes(b.status)).length,
+        activeBookings: bookings.filter(b => ['pending', 'confirmed', 'assigned', 'at-location', 'in_progress'].includes(b.status)).length,
         completedBookings: bookings.filter(b => b.status === 'completed').length
       }
     };
@@ -151,6 +155,7 @@ router.put('/profile', [
         role: user.role,
         vehicleCount: user.vehicleCount,
         lastService: user.lastService,
+        billing: user.billing,
         createdAt: user.createdAt,
         updatedAt: user.updatedAt
       }
@@ -175,8 +180,8 @@ router.put('/profile', [
 
 // @route   GET /api/v1/users
 // @desc    Get all users (Admin only)
-// @access  Admin
-router.get('/', requireAdmin, async (req, res) => {
+// @access  Private (manage_users)
+router.get('/', requirePermission('manage_users'), async (req, res) => {
   try {
     const { page = 1, limit = 10, search = '', role = '' } = req.query;
     
@@ -225,8 +230,8 @@ router.get('/', requireAdmin, async (req, res) => {
 
 // @route   GET /api/v1/users/:id
 // @desc    Get user by ID (Admin only)
-// @access  Admin
-router.get('/:id', requireAdmin, async (req, res) => {
+// @access  Private (manage_users)
+router.get('/:id', requirePermission('manage_users'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id).select('-password');
     
@@ -267,6 +272,7 @@ router.get('/:id', requireAdmin, async (req, res) => {
           role: user.role,
           vehicleCount: user.vehicleCount,
           lastService: user.lastService,
+          billing: user.billing,
           isActive: user.isActive,
           createdAt: user.createdAt,
           updatedAt: user.updatedAt
@@ -297,13 +303,17 @@ router.get('/:id', requireAdmin, async (req, res) => {
 
 // @route   PUT /api/v1/users/:id
 // @desc    Update user by ID (Admin only)
-// @access  Admin
-router.put('/:id', requireAdmin, [
+// @access  Private (manage_users)
+router.put('/:id', requirePermission('manage_users'), [
   body('name').optional().trim().isLength({ min: 2, max: 50 }),
   body('email').optional().isEmail().normalizeEmail(),
   body('phone').optional().isMobilePhone(),
-  body('role').optional().isIn(['user', 'admin', 'main_admin', 'super_admin', 'driver', 'mechanic', 'manager']),
-  body('isActive').optional().isBoolean()
+  body('role').optional().isIn(ROLES),
+  body('isActive').optional().isBoolean(),
+  body('billing.accountType').optional().isIn(['individual', 'corporate']),
+  body('billing.companyName').optional().trim().isLength({ max: 200 }),
+  body('billing.taxPin').optional().trim().isLength({ max: 50 }),
+  body('billing.address').optional().trim().isLength({ max: 500 })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -314,16 +324,54 @@ router.put('/:id', requireAdmin, [
       });
     }
 
+    // vehicleCount is derived from the vehicle registry, isAdmin from the role.
+    // Two-factor state only changes through its own endpoints.
+    const { vehicleCount, isAdmin, password, twoFactor, ...updateData } = req.body;
+
+    const existingUser = await User.findById(req.params.id).select('role');
+    if (!existingUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const fromRole = existingUser.role;
+    const roleChanged = updateData.role && updateData.role !== fromRole;
+
+    // Only super admins can grant the super admin role or edit a super admin
+    if (req.user.role !== 'super_admin' && (updateData.role === 'super_admin' || fromRole === 'super_admin')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Super admin access required.'
+      });
+    }
+
+    // Promoting to or demoting from an admin role needs a main admin
+    if (roleChanged && (ADMIN_ROLES.includes(updateData.role) || ADMIN_ROLES.includes(fromRole)) &&
+        !['main_admin', 'super_admin'].includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Main admin access required to change admin roles.'
+      });
+    }
+
+    if (roleChanged) {
+      updateData.isAdmin = ADMIN_ROLES.includes(updateData.role);
+    }
+
     const user = await User.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      updateData,
       { new: true, runValidators: true }
     ).select('-password');
 
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
+    if (roleChanged) {
+      await AuditLog.record('role_changed', {
+        req,
+        target: user,
+        fromRole,
+        toRole: user.role
       });
     }
 
@@ -352,8 +400,8 @@ router.put('/:id', requireAdmin, [
 
 // @route   DELETE /api/v1/users/:id
 // @desc    Deactivate user (Admin only)
-// @access  Admin
-router.delete('/:id', requireAdmin, async (req, res) => {
+// @access  Private (manage_users)
+router.delete('/:id', requirePermission('manage_users'), async (req, res) => {
   try {
     // Don't actually delete, just deactivate
     const user = await User.findByIdAndUpdate(
@@ -369,6 +417,12 @@ router.delete('/:id', requireAdmin, async (req, res) => {
       });
     }
 
+    await AuditLog.record('user_deactivated', {
+      req,
+      target: user,
+      fromRole: user.role
+    });
+
     res.json({
       success: true,
       message: 'User deactivated successfully',
@@ -384,4 +438,52 @@ router.delete('/:id', requireAdmin, async (req, res) => {
   }
 });
 
+// @route   DELETE /api/v1/users/:id/2fa
+// @desc    Reset a user's two-factor authentication after they lose their device and recovery codes
+// @access  Private (main_admin/super_admin)
+router.delete('/:id/2fa', requirePermission('manage_users'), async (req, res) => {
+  try {
+    if (!['main_admin', 'super_admin'].includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Main admin access required to reset two-factor authentication.'
+      });
+    }
+
+    const user = await User.findWithTwoFactor(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.role === 'super_admin' && req.user.role !== 'super_admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Super admin access required.'
+      });
+    }
+
+    user.disableTwoFactor();
+    await user.save();
+
+    // Whoever holds the old device is signed out; admins re-enroll at their next sign-in
+    await Session.revokeAllForUser(user._id);
+    await AuditLog.record('two_factor_reset', { req, target: user });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication reset'
+    });
+
+  } catch (error) {
+    console.error('Reset two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resetting two-factor authentication'
+    });
+  }
+});
+
 export default router;
\ No newline at end of file
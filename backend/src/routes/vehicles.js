@@ -0,0 +1,395 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import Vehicle from '../models/Vehicle.js';
+import { requireOwnershipOrAdmin } from '../middleware/auth.js';
+import { uploadVehiclePhotos, handleUploadError, processUploadedFiles, deleteFile } from '../middleware/upload.js';
+import { checkVehicleNow } from '../services/maintenanceScheduler.js';
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = ['vin', 'licensePlate', 'make', 'model', 'year', 'color', 'fuelType', 'notes'];
+
+// Load the vehicle and expose its owner to requireOwnershipOrAdmin
+const loadVehicle = async (req, res, next) => {
+  try {
+    const vehicle = await Vehicle.findById(req.params.id);
+    if (!vehicle || !vehicle.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vehicle not found'
+      });
+    }
+
+    req.vehicle = vehicle;
+    req.resourceOwnerId = vehicle.owner;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Reject plates/VINs that are already registered to another active vehicle
+const findDuplicateVehicle = (licensePlate, vin, excludeId = null) => {
+  const conditions = [];
+  if (licensePlate) conditions.push({ licensePlate: licensePlate.toUpperCase() });
+  if (vin) conditions.push({ vin: vin.toUpperCase() });
+  if (conditions.length === 0) return null;
+
+  return Vehicle.findOne({
+    _id: { $ne: excludeId },
+    isActive: true,
+    $or: conditions
+  });
+};
+
+const vehicleValidation = (optional = false) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('licensePlate').trim().notEmpty().withMessage('License plate is required'),
+    field('make').trim().notEmpty().withMessage('Make is required'),
+    field('model').trim().notEmpty().withMessage('Model is required'),
+    body('vin').optional({ checkFalsy: true }).trim().isLength({ min: 17, max: 17 }).withMessage('VIN must be 17 characters'),
+    body('year').optional({ checkFalsy: true }).isInt({ min: 1950, max: new Date().getFullYear() + 1 }).withMessage('Valid year required'),
+    body('odometer.reading').optional().isFloat({ min: 0 }).withMessage('Odometer reading must be positive'),
+    body('odometer.unit').optional().isIn(['km', 'mi']).withMessage('Odometer unit must be km or mi')
+  ];
+};
+
+// @route   GET /api/v1/vehicles
+// @desc    Get vehicles (own vehicles, or all for admins)
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const { owner, search } = req.query;
+    const filter = { isActive: true };
+
+    if (!req.user.isAdminUser()) {
+      filter.owner = req.user._id;
+    } else if (owner) {
+      filter.owner = owner;
+    }
+
+    if (search) {
+      filter.$or = [
+        { licensePlate: { $regex: search, $options: 'i' } },
+        { vin: { $regex: search, $options: 'i' } },
+        { make: { $regex: search, $options: 'i' } },
+        { model: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const vehicles = await Vehicle.find(filter)
+      .populate('owner', 'name email phone')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: vehicles,
+      count: vehicles.length
+    });
+
+  } catch (error) {
+    console.error('Get vehicles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving vehicles'
+    });
+  }
+});
+
+// @route   GET /api/v1/vehicles/:id
+// @desc    Get single vehicle
+// @access  Private (owner or admin)
+router.get('/:id', loadVehicle, requireOwnershipOrAdmin, async (req, res) => {
+  try {
+    await req.vehicle.populate('owner', 'name email phone');
+
+    res.json({
+      success: true,
+      data: req.vehicle
+    });
+
+  } catch (error) {
+    console.error('Get vehicle error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving vehicle'
+    });
+  }
+});
+
+// @route   POST /api/v1/vehicles
+// @desc    Register a vehicle
+// @access  Private (admins may register on behalf of a userId)
+router.post('/', requireOwnershipOrAdmin, vehicleValidation(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const duplicate = await findDuplicateVehicle(req.body.licensePlate, req.body.vin);
+    if (duplicate) {
+      return res.status(400).json({
+        success: false,
+        message: 'A vehicle with this license plate or VIN is already registered'
+      });
+    }
+
+    const vehicleData = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined && req.body[field] !== '') {
+        vehicleData[field] = req.body[field];
+      }
+    });
+
+    const vehicle = new Vehicle({
+      ...vehicleData,
+      owner: req.body.userId || req.user._id,
+      odometer: {
+        reading: req.body.odometer?.reading || 0,
+        unit: req.body.odometer?.unit || 'km'
+      }
+    });
+    await vehicle.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Vehicle registered successfully',
+      data: vehicle
+    });
+
+  } catch (error) {
+    console.error('Create vehicle error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A vehicle with this license plate or VIN is already registered'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(e => e.message).join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error registering vehicle'
+    });
+  }
+});
+
+// @route   PUT /api/v1/vehicles/:id
+// @desc    Update vehicle details
+// @access  Private (owner or admin)
+router.put('/:id', loadVehicle, requireOwnershipOrAdmin, vehicleValidation(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const vehicle = req.vehicle;
+
+    const duplicate = await findDuplicateVehicle(req.body.licensePlate, req.body.vin, vehicle._id);
+    if (duplicate) {
+      return res.status(400).json({
+        success: false,
+        message: 'A vehicle with this license plate or VIN is already registered'
+      });
+    }
+
+    // Refuse a backwards reading before anything else is changed
+    const reading = req.body.odometer?.reading !== undefined ? Number(req.body.odometer.reading) : null;
+    if (reading !== null) {
+      vehicle.checkOdometerReading(reading);
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        vehicle[field] = req.body[field] === '' ? undefined : req.body[field];
+      }
+    });
+
+    if (req.body.odometer?.unit) {
+      vehicle.odometer.unit = req.body.odometer.unit;
+    }
+
+    if (reading !== null) {
+      await vehicle.updateOdometer(reading);
+      await checkVehicleNow(vehicle);
+    } else {
+      await vehicle.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Vehicle updated successfully',
+      data: vehicle
+    });
+
+  } catch (error) {
+    console.error('Update vehicle error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A vehicle with this license plate or VIN is already registered'
+      });
+    }
+
+    if (error.statusCode === 400 || error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.errors
+          ? Object.values(error.errors).map(e => e.message).join(', ')
+          : error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating vehicle'
+    });
+  }
+});
+
+// @route   PUT /api/v1/vehicles/:id/odometer
+// @desc    Record a new odometer reading
+// @access  Private (owner or admin)
+router.put('/:id/odometer', loadVehicle, requireOwnershipOrAdmin, [
+  body('reading').isFloat({ min: 0 }).withMessage('Odometer reading must be positive')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    await req.vehicle.updateOdometer(Number(req.body.reading));
+    const reminders = await checkVehicleNow(req.vehicle);
+
+    res.json({
+      success: true,
+      message: 'Odometer updated successfully',
+      data: {
+        odometer: req.vehicle.odometer,
+        reminders: reminders.map(reminder => reminder.toNotification(req.vehicle))
+      }
+    });
+
+  } catch (error) {
+    console.error('Update odometer error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error updating odometer'
+    });
+  }
+});
+
+// @route   POST /api/v1/vehicles/:id/photos
+// @desc    Upload vehicle photos
+// @access  Private (owner or admin)
+router.post('/:id/photos', loadVehicle, requireOwnershipOrAdmin, uploadVehiclePhotos, handleUploadError, async (req, res) => {
+  try {
+    const uploadedPhotos = processUploadedFiles(req.files)
+      .filter(photo => photo.type.startsWith('image/'));
+
+    if (uploadedPhotos.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No photos uploaded'
+      });
+    }
+
+    req.vehicle.photos.push(...uploadedPhotos);
+    await req.vehicle.save();
+
+    res.json({
+      success: true,
+      message: `${uploadedPhotos.length} photo(s) uploaded successfully`,
+      data: req.vehicle
+    });
+
+  } catch (error) {
+    console.error('Upload vehicle photos error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error uploading photos'
+    });
+  }
+});
+
+// @route   DELETE /api/v1/vehicles/:id/photos/:photoId
+// @desc    Delete a vehicle photo
+// @access  Private (owner or admin)
+router.delete('/:id/photos/:photoId', loadVehicle, requireOwnershipOrAdmin, async (req, res) => {
+  try {
+    const photo = req.vehicle.photos.id(req.params.photoId);
+    if (!photo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Photo not found'
+      });
+    }
+
+    const photoUrl = photo.url;
+    req.vehicle.photos.pull(photo._id);
+    await req.vehicle.save();
+
+    if (photoUrl) {
+      deleteFile(photoUrl.replace('/uploads/', ''));
+    }
+
+    res.json({
+      success: true,
+      message: 'Photo deleted successfully',
+      data: req.vehicle
+    });
+
+  } catch (error) {
+    console.error('Delete vehicle photo error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting photo'
+    });
+  }
+});
+
+// @route   DELETE /api/v1/vehicles/:id
+// @desc    Remove a vehicle from the registry
+// @access  Private (owner or admin)
+router.delete('/:id', loadVehicle, requireOwnershipOrAdmin, async (req, res) => {
+  try {
+    // Don't actually delete, keep service history linked to the vehicle
+    req.vehicle.isActive = false;
+    await req.vehicle.save();
+
+    res.json({
+      success: true,
+      message: 'Vehicle removed successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete vehicle error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing vehicle'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,585 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import WorkOrder, { OPEN_STATUSES } from '../models/WorkOrder.js';
+import Truck from '../models/Truck.js';
+import User from '../models/User.js';
+import Part from '../models/Part.js';
+import Inventory from '../models/Inventory.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { notifyLowStock } from '../services/inventoryAlerts.js';
+import { publish } from '../services/eventBus.js';
+
+const router = express.Router();
+
+const STATUSES = ['open', 'in_progress', 'on_hold', 'completed', 'cancelled'];
+const PRIORITIES = ['low', 'normal', 'high', 'emergency'];
+
+// Workshop routes are for admins and staff with the update_maintenance permission
+const requireMaintenanceAccess = (req, res, next) => {
+  if (!req.user.isAdminUser() && !req.user.hasPermission('update_maintenance')) {
+    return res.status(403).json({
+      success: false,
+      message: 'Maintenance access required.'
+    });
+  }
+  next();
+};
+
+const isAssignedMechanic = (user, workOrder) => {
+  const mechanicId = workOrder.assignedMechanic && (workOrder.assignedMechanic._id || workOrder.assignedMechanic);
+  return !!mechanicId && mechanicId.toString() === user._id.toString();
+};
+
+// Load the work order; mechanics may only act on jobs assigned to them
+const loadWorkOrder = async (req, res, next) => {
+  try {
+    const workOrder = await WorkOrder.findById(req.params.id);
+    if (!workOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Work order not found'
+      });
+    }
+
+    if (!req.user.isAdminUser() && !isAssignedMechanic(req.user, workOrder)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only access your own work orders.'
+      });
+    }
+
+    req.workOrder = workOrder;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const findMechanic = (mechanicId) => User.findOne({ _id: mechanicId, role: 'mechanic', isActive: true });
+
+const publishWorkOrderUpdate = (workOrder, type = 'work-order.updated') => {
+  const mechanic = workOrder.assignedMechanic;
+  return publish(type, {
+    workOrderId: workOrder._id,
+    workOrderNumber: workOrder.workOrderNumber,
+    truckId: workOrder.truck._id || workOrder.truck,
+    status: workOrder.status,
+    priority: workOrder.priority,
+    timestamp: new Date(),
+    mechanicId: mechanic ? mechanic._id || mechanic : null
+  });
+};
+
+const publishTruckStatus = (truck) => {
+  return publish('truck.status-changed', {
+    truckId: truck._id,
+    status: truck.status,
+    assignedRequest: truck.assignedRequest
+  });
+};
+
+router.use(requireMaintenanceAccess);
+
+// @route   GET /api/v1/work-orders
+// @desc    Get work orders with filtering and pagination
+// @access  Private (Admin or mechanic)
+router.get('/', async (req, res) => {
+  try {
+    const { status, truck, mechanic, branch, priority, type, page = 1, limit = 20 } = req.query;
+    const filter = {};
+
+    // Mechanics see the jobs assigned to them
+    if (!req.user.isAdminUser()) {
+      filter.assignedMechanic = req.user._id;
+    } else if (mechanic) {
+      filter.assignedMechanic = mechanic;
+    }
+
+    if (status) filter.status = { $in: status.split(',') };
+    if (truck) filter.truck = truck;
+    if (branch) filter.branch = branch;
+    if (priority) filter.priority = priority;
+    if (type) filter.type = type;
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const [workOrders, total] = await Promise.all([
+      WorkOrder.find(filter)
+        .populate('truck', 'truckId vehicle status')
+        .populate('assignedMechanic', 'name email phone')
+        .populate('branch', 'name code')
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      WorkOrder.countDocuments(filter)
+    ]);
+
+    const pages = Math.ceil(total / pageSize);
+
+    res.json({
+      success: true,
+      data: workOrders,
+      count: workOrders.length,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages,
+        hasNext: pageNumber < pages,
+        hasPrev: pageNumber > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get work orders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving work orders'
+    });
+  }
+});
+
+// @route   GET /api/v1/work-orders/:id
+// @desc    Get single work order
+// @access  Private (Admin or assigned mechanic)
+router.get('/:id', loadWorkOrder, async (req, res) => {
+  try {
+    await req.workOrder.populate([
+      { path: 'truck', select: 'truckId vehicle status maintenance' },
+      { path: 'assignedMechanic', select: 'name email phone' },
+      { path: 'branch', select: 'name code' },
+      { path: 'labour.mechanic', select: 'name' },
+      { path: 'timeline.updatedBy', select: 'name' }
+    ]);
+
+    res.json({
+      success: true,
+      data: req.workOrder
+    });
+
+  } catch (error) {
+    console.error('Get work order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving work order'
+    });
+  }
+});
+
+// @route   POST /api/v1/work-orders
+// @desc    Open a work order against a truck
+// @access  Admin only
+router.post('/', requireAdmin, [
+  body('truck').isMongoId().withMessage('Valid truck ID is required'),
+  body('title').trim().notEmpty().withMessage('Title is required'),
+  body('description').optional().trim().isLength({ max: 2000 }),
+  body('type').optional().isIn(['scheduled', 'repair', 'inspection', 'breakdown']).withMessage('Invalid work order type'),
+  body('priority').optional().isIn(PRIORITIES).withMessage('Invalid priority'),
+  body('assignedMechanic').optional().isMongoId().withMessage('Invalid mechanic ID'),
+  body('branch').optional().isMongoId().withMessage('Invalid branch ID'),
+  body('scheduledDate').optional().isISO8601().withMessage('Valid scheduled date required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const truck = await Truck.findById(req.body.truck);
+    if (!truck) {
+      return res.status(404).json({
+        success: false,
+        message: 'Truck not found'
+      });
+    }
+
+    if (req.body.assignedMechanic && !(await findMechanic(req.body.assignedMechanic))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Assigned user must be an active mechanic'
+      });
+    }
+
+    const workOrder = new WorkOrder({
+      truck: truck._id,
+      title: req.body.title,
+      description: req.body.description,
+      type: req.body.type,
+      priority: req.body.priority,
+      assignedMechanic: req.body.assignedMechanic || null,
+      branch: req.body.branch || null,
+      scheduledDate: req.body.scheduledDate,
+      mileageAtService: truck.maintenance.mileage,
+      openedBy: req.user._id
+    });
+    await workOrder.save();
+
+    // Idle trucks come off the road straight away; busy ones when work starts
+    if (!truck.assignedRequest && truck.status !== 'maintenance') {
+      await truck.startMaintenance();
+      await publishTruckStatus(truck);
+    }
+
+    await publishWorkOrderUpdate(workOrder, 'work-order.created');
+
+    res.status(201).json({
+      success: true,
+      message: 'Work order opened successfully',
+      data: workOrder
+    });
+
+  } catch (error) {
+    console.error('Create work order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error opening work order'
+    });
+  }
+});
+
+// @route   PUT /api/v1/work-orders/:id/assign
+// @desc    Assign a mechanic to a work order
+// @access  Admin only
+router.put('/:id/assign', requireAdmin, loadWorkOrder, [
+  body('mechanicId').isMongoId().withMessage('Valid mechanic ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const workOrder = req.workOrder;
+    if (!workOrder.isOpen()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Work order is already closed'
+      });
+    }
+
+    const mechanic = await findMechanic(req.body.mechanicId);
+    if (!mechanic) {
+      return res.status(400).json({
+        success: false,
+        message: 'Assigned user must be an active mechanic'
+      });
+    }
+
+    workOrder.assignedMechanic = mechanic._id;
+    workOrder.timeline.push({
+      status: workOrder.status,
+      updatedBy: req.user._id,
+      notes: `Assigned to ${mechanic.name}`
+    });
+    await workOrder.save();
+
+    await publishWorkOrderUpdate(workOrder, 'work-order.assigned');
+
+    res.json({
+      success: true,
+      message: 'Mechanic assigned successfully',
+      data: workOrder
+    });
+
+  } catch (error) {
+    console.error('Assign work order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error assigning mechanic'
+    });
+  }
+});
+
+// @route   POST /api/v1/work-orders/:id/parts
+// @desc    Record parts used on a work order (catalogue parts are reserved from branch stock)
+// @access  Private (Admin or assigned mechanic)
+router.post('/:id/parts', loadWorkOrder, [
+  body('part').optional().isMongoId().withMessage('Invalid part ID'),
+  body('name').if(body('part').not().exists()).trim().notEmpty().withMessage('Part name is required'),
+  body('partNumber').optional().trim(),
+  body('quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('unitCost').optional().isFloat({ min: 0 }).withMessage('Unit cost must be positive')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const workOrder = req.workOrder;
+    if (!workOrder.isOpen()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Work order is already closed'
+      });
+    }
+
+    const quantity = parseInt(req.body.quantity) || 1;
+    let part = null;
+
+    if (req.body.part) {
+      part = await Part.findById(req.body.part);
+      if (!part || !part.isActive) {
+        return res.status(404).json({
+          success: false,
+          message: 'Part not found'
+        });
+      }
+      if (!workOrder.branch) {
+        return res.status(400).json({
+          success: false,
+          message: 'Work order has no branch to reserve stock from'
+        });
+      }
+    }
+
+    workOrder.parts.push({
+      name: part ? part.name : req.body.name,
+      part: part ? part._id : undefined,
+      partNumber: part ? part.partNumber : req.body.partNumber,
+      quantity,
+      unitCost: req.body.unitCost !== undefined ? req.body.unitCost : (part ? part.unitCost : 0),
+      addedBy: req.user._id
+    });
+
+    if (part) {
+      const inventory = await Inventory.reserve({
+        part: part._id,
+        branch: workOrder.branch,
+        quantity,
+        sourceType: 'WorkOrder',
+        sourceId: workOrder._id,
+        lineId: workOrder.parts[workOrder.parts.length - 1]._id,
+        userId: req.user._id
+      });
+      await notifyLowStock([inventory]);
+    }
+    await workOrder.save();
+
+    res.json({
+      success: true,
+      message: 'Part recorded successfully',
+      data: workOrder
+    });
+
+  } catch (error) {
+    console.error('Add work order part error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error recording part'
+    });
+  }
+});
+
+// @route   DELETE /api/v1/work-orders/:id/parts/:partId
+// @desc    Remove a part from a work order
+// @access  Private (Admin or assigned mechanic)
+router.delete('/:id/parts/:partId', loadWorkOrder, async (req, res) => {
+  try {
+    const workOrder = req.workOrder;
+    if (!workOrder.isOpen()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Work order is already closed'
+      });
+    }
+
+    if (!workOrder.parts.id(req.params.partId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Part not found'
+      });
+    }
+
+    await Inventory.release({
+      sourceType: 'WorkOrder',
+      sourceId: workOrder._id,
+      lineId: req.params.partId,
+      userId: req.user._id
+    });
+    workOrder.parts.pull(req.params.partId);
+    await workOrder.save();
+
+    res.json({
+      success: true,
+      message: 'Part removed successfully',
+      data: workOrder
+    });
+
+  } catch (error) {
+    console.error('Remove work order part error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing part'
+    });
+  }
+});
+
+// @route   POST /api/v1/work-orders/:id/labour
+// @desc    Record labour on a work order
+// @access  Private (Admin or assigned mechanic)
+router.post('/:id/labour', loadWorkOrder, [
+  body('hours').isFloat({ min: 0.1 }).withMessage('Hours must be greater than zero'),
+  body('rate').optional().isFloat({ min: 0 }).withMessage('Rate must be positive'),
+  body('description').optional().trim(),
+  body('date').optional().isISO8601().withMessage('Valid date required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const workOrder = req.workOrder;
+    if (!workOrder.isOpen()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Work order is already closed'
+      });
+    }
+
+    workOrder.labour.push({
+      mechanic: req.user._id,
+      description: req.body.description,
+      hours: req.body.hours,
+      rate: req.body.rate || 0,
+      date: req.body.date || new Date()
+    });
+    await workOrder.save();
+
+    res.json({
+      success: true,
+      message: 'Labour recorded successfully',
+      data: workOrder
+    });
+
+  } catch (error) {
+    console.error('Add work order labour error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error recording labour'
+    });
+  }
+});
+
+// @route   PUT /api/v1/work-orders/:id/status
+// @desc    Move a work order through the workshop
+// @access  Private (Admin or assigned mechanic; cancelling is admin only)
+router.put('/:id/status', loadWorkOrder, [
+  body('status').isIn(STATUSES).withMessage('Invalid status'),
+  body('notes').optional().trim(),
+  body('mileage').optional().isFloat({ min: 0 }).withMessage('Mileage must be positive'),
+  body('nextServiceDate').optional().isISO8601().withMessage('Valid next service date required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const workOrder = req.workOrder;
+    const { status, notes, mileage, nextServiceDate } = req.body;
+
+    if (!workOrder.isOpen()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Work order is already closed'
+      });
+    }
+
+    if (['open', 'cancelled'].includes(status) && !req.user.isAdminUser()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Admin access required.'
+      });
+    }
+
+    const truck = await Truck.findById(workOrder.truck);
+    if (!truck) {
+      return res.status(404).json({
+        success: false,
+        message: 'Truck not found'
+      });
+    }
+
+    if (status === 'in_progress' && truck.assignedRequest) {
+      return res.status(400).json({
+        success: false,
+        message: 'Truck is still on an active assignment'
+      });
+    }
+
+    if (status === 'completed') {
+      if (mileage !== undefined) workOrder.mileageAtService = mileage;
+      workOrder.nextServiceDate = nextServiceDate
+        ? new Date(nextServiceDate)
+        : WorkOrder.getDefaultNextServiceDate();
+    }
+
+    await workOrder.updateStatus(status, req.user._id, notes);
+
+    // Reserved parts are used up on completion and go back on the shelf on cancellation
+    const stockSource = { sourceType: 'WorkOrder', sourceId: workOrder._id, userId: req.user._id };
+    if (status === 'completed') {
+      await notifyLowStock(await Inventory.consume(stockSource));
+    } else if (status === 'cancelled') {
+      await Inventory.release(stockSource);
+    }
+
+    const previousTruckStatus = truck.status;
+
+    if (status === 'in_progress' && truck.status !== 'maintenance') {
+      await truck.startMaintenance();
+    }
+
+    if (status === 'completed') {
+      await truck.recordService({
+        date: workOrder.completedAt,
+        nextService: workOrder.nextServiceDate,
+        mileage: workOrder.mileageAtService,
+        note: `${workOrder.workOrderNumber}: ${workOrder.title}`
+      });
+    }
+
+    // Release the truck once nothing else is keeping it in the workshop
+    if (!OPEN_STATUSES.includes(status) && !(await WorkOrder.hasOpenOrders(truck._id, workOrder._id))) {
+      await truck.endMaintenance();
+    }
+
+    if (truck.status !== previousTruckStatus) {
+      await publishTruckStatus(truck);
+    }
+    await publishWorkOrderUpdate(workOrder);
+
+    res.json({
+      success: true,
+      message: 'Work order status updated successfully',
+      data: workOrder
+    });
+
+  } catch (error) {
+    console.error('Update work order status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating work order status'
+    });
+  }
+});
+
+export default router;
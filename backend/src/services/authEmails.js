@@ -0,0 +1,49 @@
+import { sendMail } from './mailer.js';
+
+export const frontendUrl = (pathAndQuery) => {
+  const base = process.env.FRONTEND_URL || 'http://localhost:5173';
+  return `${base}${pathAndQuery}`;
+};
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+})[char]);
+
+const layout = (heading, body, action) => `
+  <div style="font-family: Arial, sans-serif; max-width: 560px; margin: 0 auto;">
+    <h2 style="color: #dc2626;">${heading}</h2>
+    <p>${body}</p>
+    <p><a href="${action.url}" style="display: inline-block; padding: 10px 20px; background: #dc2626; color: #fff; text-decoration: none; border-radius: 6px;">${action.label}</a></p>
+    <p style="color: #6b7280; font-size: 12px;">If the button doesn't work, open this link: ${action.url}</p>
+  </div>
+`;
+
+export const sendVerificationEmail = (user, token) => {
+  const url = frontendUrl(`/verify-email?token=${encodeURIComponent(token)}`);
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your AutoCare Pro email',
+    text: `Hi ${user.name},\n\nConfirm your email address by opening this link:\n${url}\n\nThe link expires in 24 hours.`,
+    html: layout('Verify your email', `Hi ${escapeHtml(user.name)}, confirm your email address to finish setting up your account. The link expires in 24 hours.`, { url, label: 'Verify email' })
+  });
+};
+
+export const sendPasswordResetEmail = (user, token) => {
+  const url = frontendUrl(`/reset-password?token=${encodeURIComponent(token)}`);
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your AutoCare Pro password',
+    text: `Hi ${user.name},\n\nReset your password by opening this link:\n${url}\n\nThe link expires in 1 hour. If you didn't ask for this, you can ignore this email.`,
+    html: layout('Reset your password', `Hi ${escapeHtml(user.name)}, use the button below to choose a new password. The link expires in 1 hour. If you didn't ask for this, you can ignore this email.`, { url, label: 'Reset password' })
+  });
+};
+
+export const sendInvitationEmail = (invitation, url, inviter) => {
+  const role = invitation.role.replace('_', ' ');
+  return sendMail({
+    to: invitation.email,
+    subject: 'You have been invited to AutoCare Pro',
+    text: `${inviter.name} invited you to join AutoCare Pro as ${role}.\n\nCreate your account here:\n${url}\n\nThe invitation expires on ${invitation.expiresAt.toDateString()}.`,
+    html: layout('Join AutoCare Pro', `${escapeHtml(inviter.name)} invited you to join AutoCare Pro as <strong>${role}</strong>. The invitation expires on ${invitation.expiresAt.toDateString()}.`, { url, label: 'Accept invitation' })
+  });
+};
@@ -0,0 +1,65 @@
+import jwt from 'jsonwebtoken';
+import Session from '../models/Session.js';
+
+// Tokens must never be signed with a guessable default secret
+export const getJwtSecret = () => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+  return process.env.JWT_SECRET;
+};
+
+// Short-lived access token tied to the session it was issued for
+export const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign(
+    { userId, sessionId },
+    getJwtSecret(),
+    { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
+  );
+};
+
+export const verifyAccessToken = (token) => jwt.verify(token, getJwtSecret());
+
+// Proof that the password step of a sign-in passed; only good for the second step
+export const generateMfaToken = (user) => {
+  return jwt.sign(
+    { type: 'mfa', userId: user._id },
+    getJwtSecret(),
+    { expiresIn: process.env.MFA_TOKEN_EXPIRES_IN || '10m' }
+  );
+};
+
+export const verifyMfaToken = (token) => {
+  try {
+    const payload = jwt.verify(token, getJwtSecret());
+    if (payload.type === 'mfa') {
+      return payload;
+    }
+  } catch (error) {
+    // Fall through to the generic error below
+  }
+  const error = new Error('Your sign-in attempt has expired. Please sign in again.');
+  error.statusCode = 401;
+  error.code = 'MFA_TOKEN_INVALID';
+  throw error;
+};
+
+// Start a session for a sign-in and return the token pair for the response
+export const issueAuthTokens = async (user, req) => {
+  const { session, refreshToken } = await Session.start(user, req);
+  return {
+    token: generateAccessToken(user._id, session._id),
+    refreshToken
+  };
+};
+
+// Exchange a refresh token for a new pair, rotating the refresh token
+export const refreshAuthTokens = async (refreshToken, req) => {
+  const session = await Session.findByRefreshToken(refreshToken);
+  const nextRefreshToken = await session.rotate(req);
+  return {
+    session,
+    token: generateAccessToken(session.user, session._id),
+    refreshToken: nextRefreshToken
+  };
+};
@@ -0,0 +1,264 @@
+import Booking, { SCHEDULED_STATUSES } from '../models/Booking.js';
+import Truck from '../models/Truck.js';
+import { publish } from './eventBus.js';
+import { updatePayableStatus } from './payments.js';
+import { repriceBooking } from './pricing.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_CALENDAR_DAYS = 62;
+// Cancelling at least this long before the start is free
+const DEFAULT_CANCELLATION_NOTICE_HOURS = 24;
+// Share of the price charged for cancelling later than that, and once the truck is on site
+const DEFAULT_LATE_CANCELLATION_FEE_PERCENT = 20;
+const DEFAULT_ON_SITE_CANCELLATION_FEE_PERCENT = 50;
+// Bookings shown as clashing on the calendar; pending ones too, so double bookings are seen
+// before they are confirmed
+const CALENDAR_CLASH_STATUSES = ['pending', ...SCHEDULED_STATUSES];
+
+const scheduleError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const envNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+export const getCancellationPolicy = () => ({
+  noticeHours: envNumber('CANCELLATION_NOTICE_HOURS', DEFAULT_CANCELLATION_NOTICE_HOURS),
+  lateFeePercent: envNumber('LATE_CANCELLATION_FEE_PERCENT', DEFAULT_LATE_CANCELLATION_FEE_PERCENT),
+  onSiteFeePercent: envNumber('ON_SITE_CANCELLATION_FEE_PERCENT', DEFAULT_ON_SITE_CANCELLATION_FEE_PERCENT)
+});
+
+// What cancelling the booking now would cost, and until when it is free
+export const getCancellationFee = (booking, now = new Date()) => {
+  const { noticeHours, lateFeePercent, onSiteFeePercent } = getCancellationPolicy();
+  const freeUntil = new Date(booking.schedule.startDate.getTime() - noticeHours * HOUR_MS);
+
+  let percent = 0;
+  if (booking.status === 'at-location') percent = onSiteFeePercent;
+  else if (now > freeUntil) percent = lateFeePercent;
+
+  return {
+    fee: round((booking.pricing.totalAmount || 0) * percent / 100),
+    percent,
+    currency: booking.pricing.currency,
+    freeUntil
+  };
+};
+
+const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+// Ids of the events sharing a truck or driver with another event at the same time
+const findClashes = (events) => {
+  const clashes = new Map(events.map(event => [event.id, new Set()]));
+  const groups = new Map();
+  events
+    .filter(event => CALENDAR_CLASH_STATUSES.includes(event.status))
+    .forEach(event => {
+      const keys = [
+        event.truck && `truck:${event.truck._id}`,
+        event.driver && `driver:${event.driver._id}`
+      ].filter(Boolean);
+      keys.forEach(key => groups.set(key, [...(groups.get(key) || []), event]));
+    });
+
+  groups.forEach(group => {
+    group.forEach((event, index) => {
+      group.slice(index + 1).filter(other => overlaps(event, other)).forEach(other => {
+        clashes.get(event.id).add(other.id);
+        clashes.get(other.id).add(event.id);
+      });
+    });
+  });
+  return clashes;
+};
+
+// Bookings with any part in [from, to), filtered by truck, branch and driver, each with the
+// bookings it clashes with
+export const getCalendar = async ({ from, to, truck, branch, driver }) => {
+  if (to <= from) {
+    throw scheduleError('The end of the range must be after its start', 400);
+  }
+  if (to - from > MAX_CALENDAR_DAYS * 24 * HOUR_MS) {
+    throw scheduleError(`The calendar covers at most ${MAX_CALENDAR_DAYS} days at a time`, 400);
+  }
+
+  const filter = { ...Booking.overlapFilter(from, to), status: { $ne: 'cancelled' } };
+  if (truck) filter.truck = truck;
+  if (branch) filter.branch = branch;
+  if (driver) filter.driver = driver;
+
+  const bookings = await Booking.find(filter)
+    .populate('customer', 'name')
+    .populate('truck', 'truckId vehicle.licensePlate driver.name')
+    .populate('driver', 'name')
+    .populate('branch', 'name code')
+    .sort({ 'schedule.startDate': 1 });
+
+  const events = bookings.map(booking => ({
+    id: booking._id.toString(),
+    bookingNumber: booking.bookingNumber,
+    status: booking.status,
+    serviceType: booking.serviceType,
+    priority: booking.priority,
+    start: booking.schedule.startDate,
+    end: booking.getScheduledEnd(),
+    customer: booking.customer,
+    truck: booking.truck,
+    driver: booking.driver,
+    branch: booking.branch,
+    canReschedule: booking.canBeRescheduled()
+  }));
+
+  const clashes = findClashes(events);
+  return events.map(event => ({ ...event, conflicts: [...clashes.get(event.id)] }));
+};
+
+// Move a booking to a new start, keeping its length and rates; its surcharges are priced again for
+// the new start under the rules it was quoted with. Staff can also move it to another truck while
+// it is unassigned; the driver then follows the truck.
+export const rescheduleBooking = async (booking, { startDate, truck, reason }, user, now = new Date()) => {
+  if (!booking.canBeRescheduled()) {
+    throw scheduleError(`A booking that is ${booking.status} can't be rescheduled`, 409);
+  }
+  if (startDate <= now) {
+    throw scheduleError('The new start must be in the future', 400);
+  }
+
+  const isStaff = user.hasPermission('manage_bookings');
+  if (!isStaff) {
+    if (truck) {
+      throw scheduleError('Only staff can move a booking to another truck', 403);
+    }
+    // Moving a booking that is about to start would dodge the late cancellation fee
+    const { freeUntil } = getCancellationFee(booking, now);
+    if (now > freeUntil) {
+      throw scheduleError(`Bookings starting within ${getCancellationPolicy().noticeHours} hours can only be moved by staff`, 409);
+    }
+  }
+
+  let truckId = booking.truck;
+  let driverId = booking.driver;
+  if (truck && !booking.truck.equals(truck)) {
+    if (booking.status === 'assigned') {
+      throw scheduleError('This booking is assigned; reassign it to change its truck', 409);
+    }
+    const target = await Truck.findOne({ _id: truck, isActive: true });
+    if (!target) {
+      throw scheduleError('Truck not found', 404);
+    }
+    if (target.status === 'maintenance') {
+      throw scheduleError(`${target.truckId} is in maintenance`, 409);
+    }
+    truckId = target._id;
+    driverId = target.driver.user || undefined;
+  }
+
+  const previousStart = booking.schedule.startDate;
+  const end = new Date(startDate.getTime() + (booking.getScheduledEnd() - previousStart));
+  const conflicts = await Booking.findConflicts({
+    start: startDate,
+    end,
+    truck: truckId,
+    driver: driverId,
+    exclude: booking._id
+  });
+  if (conflicts.length > 0) {
+    throw scheduleError(`That slot clashes with ${conflicts.map(conflict => conflict.bookingNumber).join(', ')}`, 409);
+  }
+
+  const { currency, totalAmount: previousTotal } = booking.pricing;
+  const repriced = await repriceBooking(booking, startDate);
+  const totalAmount = repriced ? repriced.totalAmount : previousTotal;
+  // A move can't pay money back, so it may not bring the price under what was already paid
+  const amountPaid = booking.payment?.amountPaid || 0;
+  if (totalAmount < previousTotal && totalAmount < amountPaid) {
+    throw scheduleError(
+      `At that time the booking costs ${currency} ${totalAmount}, less than the ${currency} ${amountPaid} already paid; refund the difference first`,
+      409
+    );
+  }
+  const priceNote = totalAmount !== previousTotal ? `; price ${currency} ${previousTotal} -> ${totalAmount}` : '';
+
+  booking.schedule.startDate = startDate;
+  booking.schedule.endDate = end;
+  booking.truck = truckId;
+  booking.driver = driverId;
+  if (repriced) {
+    booking.pricing.additionalCharges = repriced.additionalCharges;
+    booking.pricing.totalAmount = repriced.totalAmount;
+  }
+  await booking.updateStatus(
+    booking.status,
+    user._id,
+    `Rescheduled from ${previousStart.toISOString()}${priceNote}${reason ? `: ${reason}` : ''}`
+  );
+  // What was paid may no longer cover the new price
+  if (totalAmount !== previousTotal) {
+    await updatePayableStatus({ booking: booking._id });
+  }
+
+  await publish('booking.rescheduled', {
+    bookingId: booking._id,
+    bookingNumber: booking.bookingNumber,
+    customerId: booking.customer,
+    driverId: booking.driver || null,
+    truckId: booking.truck,
+    startDate,
+    endDate: end,
+    previousStartDate: previousStart,
+    totalAmount,
+    previousTotalAmount: previousTotal,
+    currency,
+    timestamp: now
+  });
+  return booking;
+};
+
+// Cancel a booking, charging the fee that applies unless staff waive it. Returns the booking, the
+// fee and what was paid beyond it (for staff to refund).
+export const cancelBooking = async (booking, { reason, waiveFee = false }, user, now = new Date()) => {
+  if (!booking.canBeCancelled()) {
+    throw scheduleError(`A booking that is ${booking.status} can't be cancelled`, 409);
+  }
+  if (waiveFee && !user.hasPermission('manage_bookings')) {
+    throw scheduleError('Only staff can waive the cancellation fee', 403);
+  }
+
+  const { fee } = getCancellationFee(booking, now);
+  booking.cancellation = {
+    cancelledAt: now,
+    cancelledBy: user._id,
+    reason,
+    fee: waiveFee ? 0 : fee,
+    feeWaived: waiveFee && fee > 0
+  };
+  await booking.updateStatus('cancelled', user._id, reason || 'Booking cancelled');
+
+  // Free the truck if this booking held it
+  await Truck.updateOne(
+    { _id: booking.truck, assignedRequest: booking._id },
+    { assignedRequest: null, status: 'available' }
+  );
+  await updatePayableStatus({ booking: booking._id });
+
+  await publish('booking.status-changed', {
+    bookingId: booking._id,
+    customerId: booking.customer,
+    status: 'cancelled',
+    cancellationFee: booking.cancellation.fee,
+    timestamp: now
+  });
+
+  const amountPaid = (await Booking.findById(booking._id).select('payment')).payment?.amountPaid || 0;
+  return {
+    booking,
+    fee: booking.cancellation.fee,
+    refundDue: Math.max(0, round(amountPaid - booking.cancellation.fee))
+  };
+};
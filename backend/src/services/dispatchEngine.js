@@ -0,0 +1,481 @@
+import Truck from '../models/Truck.js';
+import Branch from '../models/Branch.js';
+import PickupRequest from '../models/PickupRequest.js';
+import { publish } from './eventBus.js';
+import { getTruckDrivers } from './drivers.js';
+import { getOperatingTimezone } from './operatingTimezone.js';
+
+const DEFAULT_CHECK_INTERVAL_MS = 15 * 1000;
+const STALE_LOCATION_MS = 30 * 60 * 1000;
+
+// Used for requests outside every branch's reach
+const DEFAULT_SETTINGS = {
+  mode: process.env.DISPATCH_DEFAULT_MODE || 'manual',
+  offerTimeoutSeconds: 120,
+  maxDistanceKm: 50,
+  maxOffers: 5
+};
+
+// Trucks still wrapping up their last job can be offered, at a lower score
+const STATUS_SCORES = {
+  available: 20,
+  completed: 10
+};
+const DISPATCHABLE_STATUSES = Object.keys(STATUS_SCORES);
+
+const parseTime = (value) => {
+  const [hours, minutes] = value.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const formatMinutes = (minutes) => `${Math.round(minutes)} min`;
+
+// "3.5 tons", "3500kg" and "5" all become tons; null when nothing usable is recorded
+export const getCapacityTons = (truck) => {
+  const capacity = truck.vehicle?.capacity;
+  if (!capacity) return null;
+  const value = parseFloat(capacity);
+  if (Number.isNaN(value)) return null;
+  return /kg/i.test(capacity) ? value / 1000 : value;
+};
+
+// "HH:MM" of a moment in the operating timezone
+const formatClock = (date) => new Intl.DateTimeFormat('en-GB', {
+  timeZone: getOperatingTimezone(),
+  hour: '2-digit',
+  minute: '2-digit',
+  hourCycle: 'h23'
+}).format(date);
+
+// Minutes left in the driver's shift, null when no shift is recorded, or -1 when off shift.
+// A rostered shift takes precedence over the daily shift on the truck.
+export const getShiftMinutesLeft = (truck, now = new Date(), rosterShift = null) => {
+  if (rosterShift) {
+    return rosterShift.start <= now && now < rosterShift.end ? (rosterShift.end - now) / 60000 : -1;
+  }
+
+  const shift = truck.driver?.shift;
+  if (!shift?.start || !shift?.end) return null;
+
+  const start = parseTime(shift.start);
+  const end = parseTime(shift.end);
+  const current = parseTime(formatClock(now));
+
+  if (start <= end) {
+    return current >= start && current < end ? end - current : -1;
+  }
+  // Overnight shift, e.g. 22:00-06:00
+  if (current >= start) return 24 * 60 - current + end;
+  if (current < end) return end - current;
+  return -1;
+};
+
+// Score one truck for a request out of 100. Ineligible trucks come back with eligible: false
+// and the reason they were ruled out. driver is the truck's entry from getTruckDrivers, when its
+// driver has an account.
+export const scoreTruck = (truck, request, settings, now = new Date(), driver = null) => {
+  const reasons = [];
+  const excluded = (reason) => ({ truck, eligible: false, score: 0, reasons: [reason] });
+
+  if (!truck.isActive) return excluded('truck is inactive');
+  if (!DISPATCHABLE_STATUSES.includes(truck.status)) return excluded(`truck is ${truck.status}`);
+  if (driver) {
+    if (!driver.user.isActive) return excluded('driver account is inactive');
+    if (!driver.user.driverProfile?.onDuty) return excluded('driver is not clocked in');
+    if (driver.user.isLicenseExpired(now)) return excluded("driver's licence has expired");
+  }
+  if (!truck.currentLocation?.latitude) return excluded('no location reported');
+
+  const distanceKm = Truck.calculateDistance(
+    request.pickupLocation.latitude,
+    request.pickupLocation.longitude,
+    truck.currentLocation.latitude,
+    truck.currentLocation.longitude
+  );
+  if (distanceKm > settings.maxDistanceKm) {
+    return excluded(`${distanceKm.toFixed(1)} km away, beyond the ${settings.maxDistanceKm} km limit`);
+  }
+
+  const required = request.requiredCapacityTons;
+  const capacity = getCapacityTons(truck);
+  if (required && capacity !== null && capacity < required) {
+    return excluded(`capacity ${capacity} t is below the ${required} t needed`);
+  }
+
+  const rosterShift = driver?.shift || null;
+  const shiftEnd = rosterShift ? formatClock(rosterShift.end) : truck.driver?.shift?.end;
+  const shiftMinutesLeft = getShiftMinutesLeft(truck, now, rosterShift);
+  if (shiftMinutesLeft === -1) {
+    return excluded(rosterShift
+      ? `driver's shift ended at ${shiftEnd}`
+      : `driver is off shift (${truck.driver.shift.start}-${truck.driver.shift.end})`);
+  }
+
+  // Distance: up to 50 points, falling linearly to 0 at the branch's limit
+  const distanceScore = 50 * (1 - distanceKm / settings.maxDistanceKm);
+  reasons.push(`${distanceKm.toFixed(1)} km from pickup`);
+
+  // Status: up to 20 points
+  const statusScore = STATUS_SCORES[truck.status];
+  reasons.push(truck.status === 'available' ? 'available now' : 'finishing previous job');
+
+  // Capacity: up to 15 points, favouring the tightest fit
+  let capacityScore;
+  if (!required) {
+    capacityScore = 15;
+  } else if (capacity === null) {
+    capacityScore = 5;
+    reasons.push('capacity not recorded');
+  } else {
+    capacityScore = 10 + 5 * (required / capacity);
+    reasons.push(`fits ${required} t load (${capacity} t capacity)`);
+  }
+
+  // Shift: up to 15 points, less when the shift is about to end
+  let shiftScore;
+  if (shiftMinutesLeft === null) {
+    shiftScore = 10;
+    reasons.push('no shift on record');
+  } else if (shiftMinutesLeft >= 60) {
+    shiftScore = 15;
+    reasons.push(`on shift until ${shiftEnd}`);
+  } else {
+    shiftScore = 15 * (shiftMinutesLeft / 60);
+    reasons.push(`shift ends in ${formatMinutes(shiftMinutesLeft)}`);
+  }
+
+  // A truck that hasn't reported in a while may not be where we think it is
+  let freshnessPenalty = 0;
+  const silentMs = now - new Date(truck.lastSeen || truck.currentLocation.timestamp);
+  if (silentMs > STALE_LOCATION_MS) {
+    freshnessPenalty = 10;
+    reasons.push(`location last reported ${formatMinutes(silentMs / 60000)} ago`);
+  }
+
+  const score = Math.max(0, distanceScore + statusScore + capacityScore + shiftScore - freshnessPenalty);
+
+  return {
+    truck,
+    eligible: true,
+    score: Math.round(score * 10) / 10,
+    distanceKm: Math.round(distanceKm * 10) / 10,
+    reasons
+  };
+};
+
+export const getDispatchSettings = async (request) => {
+  if (!request.branch) return DEFAULT_SETTINGS;
+  const branch = await Branch.findById(request.branch).select('dispatchSettings');
+  return branch?.dispatchSettings?.mode ? branch.dispatchSettings : DEFAULT_SETTINGS;
+};
+
+// Rank every truck that could take the request, best first
+export const rankTrucks = async (request, { settings, excludeTruckIds = [] } = {}) => {
+  settings = settings || await getDispatchSettings(request);
+
+  const filter = { isActive: true };
+  if (request.branch) {
+    const branch = await Branch.findById(request.branch).select('assignedTrucks');
+    // Branches without a fleet of their own draw on every truck
+    if (branch?.assignedTrucks?.length) {
+      filter._id = { $in: branch.assignedTrucks };
+    }
+  }
+
+  const now = new Date();
+  const trucks = (await Truck.find(filter))
+    .filter(truck => !excludeTruckIds.includes(truck._id.toString()));
+  const drivers = await getTruckDrivers(trucks, now);
+  const results = trucks
+    .map(truck => scoreTruck(truck, request, settings, now, drivers.get(truck._id.toString())));
+
+  return {
+    candidates: results.filter(result => result.eligible).sort((a, b) => b.score - a.score),
+    excluded: results.filter(result => !result.eligible)
+  };
+};
+
+// Pick the branch that will handle a new request
+export const resolveBranch = async (pickupLocation) => {
+  const [nearest] = await Branch.findNearby(pickupLocation.latitude, pickupLocation.longitude);
+  return nearest || null;
+};
+
+const toCandidate = ({ truck, score, distanceKm, reasons }) => ({
+  truck: truck._id,
+  score,
+  distanceKm,
+  reasons
+});
+
+const notifyAdmins = (request, extra = {}) => {
+  return publish('dispatch.updated', {
+    requestId: request._id,
+    status: request.status,
+    dispatchStatus: request.dispatch.status,
+    timestamp: new Date(),
+    ...extra
+  });
+};
+
+const withdrawOffer = (request, offer) => {
+  return publish('dispatch.offer-withdrawn', {
+    truckId: offer.truck,
+    requestId: request._id,
+    offerId: offer._id
+  });
+};
+
+const notifyCustomerOfDispatch = (request, truck) => {
+  return publish('truck.dispatched', {
+    requestId: request._id,
+    userId: request.userId,
+    truck: {
+      _id: truck._id,
+      truckId: truck.truckId,
+      driver: { name: truck.driver.name, phone: truck.driver.phone },
+      vehicle: truck.vehicle
+    },
+    status: 'dispatched',
+    timestamp: request.dispatchTime
+  });
+};
+
+// Hold a truck for a request so no other dispatch can take it
+const reserveTruck = (truckId, requestId) => {
+  return Truck.findOneAndUpdate(
+    { _id: truckId, isActive: true, status: { $in: DISPATCHABLE_STATUSES } },
+    { status: 'dispatched', assignedRequest: requestId },
+    { new: true }
+  );
+};
+
+const releaseTruck = async (truckId, requestId) => {
+  const truck = await Truck.findOne({ _id: truckId, assignedRequest: requestId });
+  if (!truck) return;
+  await Truck.updateOne(
+    { _id: truckId, assignedRequest: requestId },
+    { status: await truck.getIdleStatus(), assignedRequest: null }
+  );
+};
+
+// Store the ranked trucks for admins to choose from (suggest mode)
+export const suggestTrucks = async (request, { settings } = {}) => {
+  const { candidates } = await rankTrucks(request, { settings });
+
+  request.dispatch.suggestions = candidates.slice(0, 3).map(toCandidate);
+  request.dispatch.status = 'suggested';
+  await request.save();
+
+  await notifyAdmins(request, { suggestions: request.dispatch.suggestions });
+  return request;
+};
+
+// Offer the request to the best truck that hasn't been asked yet (auto mode)
+export const offerToNextTruck = async (request, { settings } = {}) => {
+  settings = settings || await getDispatchSettings(request);
+
+  if (request.status !== 'pending') return request;
+
+  const offersMade = request.dispatch.offers.length;
+  if (offersMade < settings.maxOffers) {
+    const { candidates } = await rankTrucks(request, {
+      settings,
+      excludeTruckIds: request.getOfferedTruckIds()
+    });
+
+    for (const candidate of candidates) {
+      const truck = await reserveTruck(candidate.truck._id, request._id);
+      // Someone else took it between ranking and reserving
+      if (!truck) continue;
+
+      const expiresAt = new Date(Date.now() + settings.offerTimeoutSeconds * 1000);
+      request.dispatch.offers.push({ ...toCandidate(candidate), expiresAt });
+      request.dispatch.status = 'offered';
+      await request.save();
+
+      const offer = request.getPendingOffer();
+      await publish('dispatch.offered', {
+        truckId: truck._id,
+        requestId: request._id,
+        offerId: offer._id,
+        pickupLocation: request.pickupLocation,
+        customerName: request.userName,
+        distanceKm: offer.distanceKm,
+        expiresAt
+      });
+      await notifyAdmins(request, { offer });
+      return request;
+    }
+  }
+
+  // Nobody left to ask; hand it back to the dispatch desk
+  request.dispatch.status = 'exhausted';
+  await request.save();
+
+  await publish('dispatch.needs-attention', {
+    requestId: request._id,
+    userName: request.userName,
+    offersMade,
+    timestamp: new Date()
+  });
+  await notifyAdmins(request);
+  return request;
+};
+
+// Run the branch's dispatch mode for a newly created request
+export const dispatchNewRequest = async (request) => {
+  const settings = await getDispatchSettings(request);
+  request.dispatch.mode = settings.mode;
+
+  if (settings.mode === 'auto') {
+    return offerToNextTruck(request, { settings });
+  }
+  if (settings.mode === 'suggest') {
+    return suggestTrucks(request, { settings });
+  }
+
+  await request.save();
+  return request;
+};
+
+const markAssigned = async (request, truck) => {
+  request.status = 'dispatched';
+  request.assignedTruck = truck._id;
+  request.dispatchTime = new Date();
+  request.dispatch.status = 'assigned';
+  await request.save();
+
+  await notifyCustomerOfDispatch(request, truck);
+  await notifyAdmins(request, { truckId: truck._id });
+  return request;
+};
+
+// A driver (or an admin on their behalf) accepts or declines the pending offer
+export const respondToOffer = async (request, offerId, { accept, reason }) => {
+  const offer = request.dispatch.offers.id(offerId);
+
+  const updated = await PickupRequest.closeOffer(
+    request._id,
+    offerId,
+    accept ? 'accepted' : 'declined',
+    { declineReason: reason }
+  );
+  if (!updated) {
+    const error = new Error('This offer has already been answered or has expired');
+    error.statusCode = 409;
+    throw error;
+  }
+
+  if (accept) {
+    const truck = await Truck.findById(offer.truck);
+    return markAssigned(updated, truck);
+  }
+
+  await releaseTruck(offer.truck, request._id);
+  return offerToNextTruck(updated);
+};
+
+// Admin assignment, bypassing offers. Any pending offer is withdrawn.
+export const assignManually = async (request, truckId, user) => {
+  const pendingOffer = request.getPendingOffer();
+  if (pendingOffer) {
+    await PickupRequest.closeOffer(request._id, pendingOffer._id, 'cancelled');
+    if (pendingOffer.truck.toString() !== truckId.toString()) {
+      await releaseTruck(pendingOffer.truck, request._id);
+    }
+    request = await PickupRequest.findById(request._id);
+  }
+
+  let truck = await Truck.findOne({ _id: truckId, assignedRequest: request._id });
+  if (!truck) {
+    truck = await reserveTruck(truckId, request._id);
+  }
+  if (!truck) {
+    const error = new Error('Truck is not available for assignment');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const settings = await getDispatchSettings(request);
+  const now = new Date();
+  const drivers = await getTruckDrivers([truck], now);
+  const scored = scoreTruck(truck, request, settings, now, drivers.get(truck._id.toString()));
+  request.dispatch.offers.push({
+    truck: truck._id,
+    score: scored.score,
+    distanceKm: scored.distanceKm,
+    reasons: ['assigned by an admin', ...scored.reasons],
+    respondedAt: new Date(),
+    outcome: 'accepted',
+    assignedBy: user._id
+  });
+
+  return markAssigned(request, truck);
+};
+
+// Withdraw any open offer when a request is cancelled
+export const cancelDispatch = async (request) => {
+  const pendingOffer = request.getPendingOffer();
+  if (pendingOffer) {
+    await PickupRequest.closeOffer(request._id, pendingOffer._id, 'cancelled');
+    await releaseTruck(pendingOffer.truck, request._id);
+    await withdrawOffer(request, pendingOffer);
+  }
+  if (request.assignedTruck) {
+    await releaseTruck(request.assignedTruck, request._id);
+  }
+
+  await PickupRequest.updateOne({ _id: request._id }, { 'dispatch.status': 'cancelled' });
+};
+
+// Time out offers nobody answered and move on to the next truck
+export const expireStaleOffers = async () => {
+  const summary = { expired: 0, errors: 0 };
+  const requests = await PickupRequest.findWithExpiredOffers();
+
+  for (const request of requests) {
+    try {
+      const offer = request.getPendingOffer();
+      const updated = await PickupRequest.closeOffer(request._id, offer._id, 'timeout');
+      // Answered in the meantime
+      if (!updated) continue;
+
+      summary.expired++;
+      await releaseTruck(offer.truck, request._id);
+      await withdrawOffer(request, offer);
+      await offerToNextTruck(updated);
+    } catch (error) {
+      summary.errors++;
+      console.error(`Dispatch timeout error for request ${request._id}:`, error);
+    }
+  }
+
+  return summary;
+};
+
+// Start the periodic offer timeout check; returns a function that stops it
+export const startDispatchScheduler = (intervalMs = parseInt(process.env.DISPATCH_CHECK_INTERVAL_MS) || DEFAULT_CHECK_INTERVAL_MS) => {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const summary = await expireStaleOffers();
+      if (summary.expired > 0) {
+        console.log(`🚚 Dispatch check: ${summary.expired} offer(s) timed out`);
+      }
+    } catch (error) {
+      console.error('Dispatch scheduler error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  tick();
+
+  return () => clearInterval(timer);
+};
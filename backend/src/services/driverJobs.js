@@ -0,0 +1,106 @@
+import Booking from '../models/Booking.js';
+import PickupRequest from '../models/PickupRequest.js';
+import { publish } from './eventBus.js';
+
+// Job statuses during which a truck is out serving the customer
+const ACTIVE_PICKUP_STATUSES = ['dispatched', 'en-route', 'at-location'];
+const ACTIVE_BOOKING_STATUSES = ['confirmed', 'assigned', 'at-location', 'in_progress'];
+
+// Truck statuses a driver may report from the driver app; completing a job has its own endpoint
+export const DRIVER_STATUSES = ['en-route', 'at-location'];
+
+// For each status the driver reports, the job statuses it moves the truck's jobs on from
+const PICKUP_TRANSITIONS = {
+  'en-route': ['dispatched'],
+  'at-location': ['dispatched', 'en-route'],
+  completed: ACTIVE_PICKUP_STATUSES
+};
+const BOOKING_TRANSITIONS = {
+  'at-location': ['confirmed', 'assigned'],
+  completed: ACTIVE_BOOKING_STATUSES
+};
+
+const pickupJob = (pickup) => ({
+  kind: 'pickup',
+  id: pickup._id,
+  reference: `Pickup for ${pickup.userName}`,
+  status: pickup.status,
+  customer: { name: pickup.userName, phone: pickup.userPhone },
+  location: pickup.pickupLocation,
+  destination: null,
+  scheduledAt: pickup.dispatchTime || pickup.requestTime,
+  eta: pickup.eta,
+  notes: pickup.notes
+});
+
+const bookingJob = (booking) => ({
+  kind: 'booking',
+  id: booking._id,
+  reference: booking.bookingNumber,
+  status: booking.status,
+  customer: { name: booking.customer?.name, phone: booking.customer?.phone },
+  location: booking.route?.origin?.coordinates?.latitude !== undefined
+    ? { ...booking.route.origin.coordinates, address: booking.route.origin.address }
+    : null,
+  destination: booking.route?.destination?.coordinates?.latitude !== undefined
+    ? { ...booking.route.destination.coordinates, address: booking.route.destination.address }
+    : null,
+  scheduledAt: booking.schedule.startDate,
+  eta: null,
+  notes: booking.cargo?.description
+});
+
+// The truck's open pickups and bookings, soonest first; the first one is the current assignment
+export const getActiveJobs = async (truck) => {
+  const [pickups, bookings] = await Promise.all([
+    PickupRequest.find({ assignedTruck: truck._id, status: { $in: ACTIVE_PICKUP_STATUSES } }),
+    Booking.find({ truck: truck._id, status: { $in: ACTIVE_BOOKING_STATUSES } })
+      .populate('customer', 'name phone')
+  ]);
+
+  return [...pickups.map(pickupJob), ...bookings.map(bookingJob)]
+    .sort((a, b) => new Date(a.scheduledAt) - new Date(b.scheduledAt));
+};
+
+// Move the truck's jobs along with a status its driver reported, and tell the customers
+export const advanceJobs = async (truck, status, user) => {
+  const now = new Date();
+
+  if (PICKUP_TRANSITIONS[status]) {
+    const pickups = await PickupRequest.find({
+      assignedTruck: truck._id,
+      status: { $in: PICKUP_TRANSITIONS[status] }
+    }).select('_id');
+
+    for (const { _id } of pickups) {
+      const update = status === 'completed' ? { status, completionTime: now } : { status };
+      const pickup = await PickupRequest.findOneAndUpdate(
+        { _id, status: { $in: PICKUP_TRANSITIONS[status] } },
+        update,
+        { new: true }
+      );
+      if (!pickup) continue;
+
+      await publish('pickup.status-changed', {
+        requestId: pickup._id,
+        userId: pickup.userId,
+        status: pickup.status,
+        timestamp: now
+      });
+    }
+  }
+
+  if (BOOKING_TRANSITIONS[status]) {
+    const bookings = await Booking.find({ truck: truck._id, status: { $in: BOOKING_TRANSITIONS[status] } });
+
+    for (const booking of bookings) {
+      await booking.updateStatus(status, user._id, `Reported by the driver of ${truck.truckId}`);
+      await publish('booking.status-changed', {
+        bookingId: booking._id,
+        customerId: booking.customer,
+        status: booking.status,
+        timestamp: now
+      });
+    }
+  }
+};
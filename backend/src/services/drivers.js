@@ -0,0 +1,187 @@
+import Truck from '../models/Truck.js';
+import User from '../models/User.js';
+import DriverShift from '../models/DriverShift.js';
+import { publish } from './eventBus.js';
+
+// Drivers may clock in this long before their rostered shift starts and still be counted on it
+const CLOCK_IN_EARLY_MINUTES = 30;
+// Truck statuses during which the truck is out on a job
+const ON_JOB_STATUSES = ['dispatched', 'en-route', 'at-location'];
+// Statuses clocking in and out switch between; a truck in maintenance stays there
+const ON_DUTY_STATUSES = ['available', 'completed'];
+
+const driverError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+const publishTruckStatus = (truck) => {
+  return publish('truck.status-changed', {
+    truckId: truck._id,
+    status: truck.status,
+    assignedRequest: truck.assignedRequest
+  });
+};
+
+// Give a driver a truck, or take it away with a null truckId. The driver's profile and the
+// truck's driver details are updated together; the truck's previous driver loses it.
+export const assignTruck = async (driver, truckId) => {
+  if (driver.role !== 'driver') {
+    throw driverError('Only driver accounts can be assigned a truck', 400);
+  }
+
+  const previousTruckId = driver.driverProfile?.assignedTruck || null;
+  const changing = (previousTruckId?.toString() || null) !== (truckId?.toString() || null);
+  if (changing && driver.driverProfile?.onDuty) {
+    throw driverError(`${driver.name} must clock out before changing trucks`, 409);
+  }
+
+  let truck = null;
+  if (truckId) {
+    truck = await Truck.findById(truckId);
+    if (!truck) {
+      throw driverError('Truck not found', 404);
+    }
+
+    if (truck.driver.user && !truck.driver.user.equals(driver._id)) {
+      const previousDriver = await User.findById(truck.driver.user);
+      if (previousDriver?.driverProfile?.onDuty) {
+        throw driverError(`${previousDriver.name} is clocked in on ${truck.truckId}`, 409);
+      }
+      if (previousDriver?.driverProfile) {
+        previousDriver.driverProfile.assignedTruck = null;
+        await previousDriver.save();
+      }
+    }
+
+    truck.driver.user = driver._id;
+    truck.driver.name = driver.name;
+    truck.driver.email = driver.email;
+    if (driver.phone) truck.driver.phone = driver.phone;
+    if (driver.driverProfile?.licenseNumber) truck.driver.licenseNumber = driver.driverProfile.licenseNumber;
+    await truck.save();
+  }
+
+  if (previousTruckId && changing) {
+    await Truck.updateOne({ _id: previousTruckId, 'driver.user': driver._id }, { 'driver.user': null });
+  }
+
+  if (!driver.driverProfile) driver.driverProfile = {};
+  driver.driverProfile.assignedTruck = truck?._id || null;
+  await driver.save();
+
+  return truck;
+};
+
+// Copy profile changes the truck shows (name, phone, licence number) onto the assigned truck
+export const syncTruckDriverDetails = async (driver) => {
+  const truckId = driver.driverProfile?.assignedTruck;
+  if (!truckId) return;
+
+  const update = { 'driver.name': driver.name, 'driver.email': driver.email };
+  if (driver.phone) update['driver.phone'] = driver.phone;
+  if (driver.driverProfile.licenseNumber) update['driver.licenseNumber'] = driver.driverProfile.licenseNumber;
+  await Truck.updateOne({ _id: truckId, 'driver.user': driver._id }, update);
+};
+
+// Start the driver's working time: their truck goes on the road and their rostered shift, if any,
+// becomes active
+export const clockIn = async (driver, at = new Date()) => {
+  const profile = driver.driverProfile;
+  if (profile?.onDuty) {
+    throw driverError('You are already clocked in', 409);
+  }
+  if (!profile?.assignedTruck) {
+    throw driverError('No truck is assigned to you', 400);
+  }
+  if (driver.isLicenseExpired(at)) {
+    throw driverError(`Your driving licence expired on ${formatDate(profile.licenseExpiry)}`, 403);
+  }
+
+  const truck = await Truck.findById(profile.assignedTruck);
+  if (!truck || !truck.isActive) {
+    throw driverError('Your truck is not in service', 400);
+  }
+
+  const shift = await DriverShift.findOneAndUpdate(
+    {
+      driver: driver._id,
+      status: 'scheduled',
+      start: { $lte: new Date(at.getTime() + CLOCK_IN_EARLY_MINUTES * 60 * 1000) },
+      end: { $gt: at }
+    },
+    { status: 'active', clockedInAt: at, truck: truck._id },
+    { new: true, sort: { start: 1 } }
+  );
+
+  profile.onDuty = true;
+  profile.clockedInAt = at;
+  await driver.save();
+
+  if (truck.status === 'offline') {
+    truck.status = 'available';
+    await truck.save();
+    await publishTruckStatus(truck);
+  }
+
+  return { truck, shift };
+};
+
+// End the driver's working time and take their truck off the road. Not allowed mid-job.
+export const clockOut = async (driver, at = new Date()) => {
+  const profile = driver.driverProfile;
+  if (!profile?.onDuty) {
+    throw driverError('You are not clocked in', 409);
+  }
+
+  const truck = profile.assignedTruck ? await Truck.findById(profile.assignedTruck) : null;
+  if (truck && (truck.assignedRequest || ON_JOB_STATUSES.includes(truck.status))) {
+    throw driverError('Complete or hand back your current job before clocking out', 409);
+  }
+
+  const shift = await DriverShift.findOneAndUpdate(
+    { driver: driver._id, status: 'active' },
+    { status: 'completed', clockedOutAt: at },
+    { new: true }
+  );
+
+  profile.onDuty = false;
+  profile.clockedInAt = null;
+  await driver.save();
+
+  if (truck && (ON_DUTY_STATUSES.includes(truck.status) || truck.signalLost?.at)) {
+    truck.status = 'offline';
+    // Nothing to restore once the driver has gone home
+    truck.signalLost = undefined;
+    await truck.save();
+    await publishTruckStatus(truck);
+  }
+
+  return { truck, shift };
+};
+
+// For dispatch: the linked driver of each truck with their current shift, keyed by truck id.
+// Trucks without a linked driver account are left out.
+export const getTruckDrivers = async (trucks, at = new Date()) => {
+  const driverIds = trucks.map(truck => truck.driver?.user).filter(Boolean);
+  if (driverIds.length === 0) return new Map();
+
+  const [drivers, shifts] = await Promise.all([
+    User.find({ _id: { $in: driverIds } }).select('name driverProfile isActive'),
+    DriverShift.findCurrent(driverIds, at)
+  ]);
+  const driversById = new Map(drivers.map(driver => [driver._id.toString(), driver]));
+
+  const result = new Map();
+  for (const truck of trucks) {
+    const driverId = truck.driver?.user?.toString();
+    const driver = driverId && driversById.get(driverId);
+    if (driver) {
+      result.set(truck._id.toString(), { user: driver, shift: shifts.get(driverId) || null });
+    }
+  }
+  return result;
+};
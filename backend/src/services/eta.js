@@ -0,0 +1,195 @@
+import Truck from '../models/Truck.js';
+import TruckTelemetry from '../models/TruckTelemetry.js';
+import PickupRequest from '../models/PickupRequest.js';
+import ServiceRequest from '../models/ServiceRequest.js';
+import { publish } from './eventBus.js';
+
+// A routing provider is an object with `route(from, to)`, where both points are
+// { latitude, longitude }. It resolves to { distanceKm, durationMinutes? }; a
+// duration, when given, is the provider's own estimate for a typical vehicle.
+// Pick one with ETA_ROUTING_PROVIDER.
+
+// Roads are rarely straight; scale the great-circle distance to approximate them
+const DEFAULT_ROAD_FACTOR = 1.3;
+const DEFAULT_SPEED_KMH = 30;
+// Below this the truck is stopped or crawling and its speed says little about the rest of the trip
+const MIN_USEFUL_SPEED_KMH = 5;
+const SPEED_WINDOW_MINUTES = 10;
+const OSRM_TIMEOUT_MS = 5000;
+
+const createHaversineProvider = () => {
+  const roadFactor = parseFloat(process.env.ETA_ROAD_FACTOR) || DEFAULT_ROAD_FACTOR;
+
+  return {
+    route: async (from, to) => ({
+      distanceKm: Truck.calculateDistance(from.latitude, from.longitude, to.latitude, to.longitude) * roadFactor
+    })
+  };
+};
+
+// Any server speaking the OSRM HTTP API (e.g. a local osrm-backend)
+const createOsrmProvider = () => {
+  const baseUrl = (process.env.OSRM_URL || 'http://localhost:5000').replace(/\/$/, '');
+  const profile = process.env.OSRM_PROFILE || 'driving';
+
+  return {
+    route: async (from, to) => {
+      const coordinates = `${from.longitude},${from.latitude};${to.longitude},${to.latitude}`;
+      const response = await fetch(`${baseUrl}/route/v1/${profile}/${coordinates}?overview=false`, {
+        signal: AbortSignal.timeout(OSRM_TIMEOUT_MS)
+      });
+      const data = await response.json();
+
+      if (!response.ok || data.code !== 'Ok' || !data.routes?.length) {
+        throw new Error(`OSRM routing failed: ${data.message || data.code || response.status}`);
+      }
+
+      return {
+        distanceKm: data.routes[0].distance / 1000,
+        durationMinutes: data.routes[0].duration / 60
+      };
+    }
+  };
+};
+
+const providerFactories = {
+  haversine: createHaversineProvider,
+  osrm: createOsrmProvider
+};
+
+let activeProvider = null;
+
+// Add another provider (e.g. a hosted routing API) under an ETA_ROUTING_PROVIDER name
+export const registerRoutingProvider = (name, factory) => {
+  providerFactories[name] = factory;
+  activeProvider = null;
+};
+
+const getProviderName = () => process.env.ETA_ROUTING_PROVIDER || 'haversine';
+
+const getProvider = () => {
+  if (!activeProvider) {
+    const factory = providerFactories[getProviderName()];
+    if (!factory) {
+      throw new Error(`Unknown routing provider: ${getProviderName()}`);
+    }
+    activeProvider = factory();
+  }
+  return activeProvider;
+};
+
+// Route with the configured provider, falling back to a straight line if it is unreachable
+const route = async (from, to) => {
+  const name = getProviderName();
+
+  try {
+    return { ...(await getProvider().route(from, to)), provider: name };
+  } catch (error) {
+    if (name === 'haversine') throw error;
+    console.error('Routing provider error, using straight-line distance:', error.message);
+    return { ...(await createHaversineProvider().route(from, to)), provider: 'haversine' };
+  }
+};
+
+// Distance through a list of points in order, leg by leg with the configured provider
+export const getRouteDistanceKm = async (points) => {
+  let distanceKm = 0;
+  for (let i = 1; i < points.length; i++) {
+    distanceKm += (await route(points[i - 1], points[i])).distanceKm;
+  }
+  return distanceKm;
+};
+
+// Average speed over the last few minutes of telemetry: reported speeds if the device sends them,
+// otherwise distance covered over time elapsed
+export const getRecentSpeedKmh = async (truckId, now = new Date()) => {
+  const points = await TruckTelemetry.findTrack(truckId, {
+    from: new Date(now.getTime() - SPEED_WINDOW_MINUTES * 60 * 1000),
+    to: now
+  });
+  return averageSpeedKmh(points);
+};
+
+export const averageSpeedKmh = (points) => {
+  if (points.length < 2) {
+    const reported = points[0]?.speed;
+    return reported !== undefined && reported !== null ? reported : null;
+  }
+
+  const reported = points.map(point => point.speed).filter(speed => speed !== undefined && speed !== null);
+  if (reported.length >= points.length / 2) {
+    return reported.reduce((sum, speed) => sum + speed, 0) / reported.length;
+  }
+
+  let distanceKm = 0;
+  for (let i = 1; i < points.length; i++) {
+    distanceKm += Truck.calculateDistance(
+      points[i - 1].latitude,
+      points[i - 1].longitude,
+      points[i].latitude,
+      points[i].longitude
+    );
+  }
+  const hours = (new Date(points[points.length - 1].recordedAt) - new Date(points[0].recordedAt)) / 3600000;
+  return hours > 0 ? distanceKm / hours : null;
+};
+
+// Minutes to cover the route: the truck's own recent pace when it is moving,
+// else the provider's estimate, else a typical urban speed
+export const estimateMinutes = (routeResult, recentSpeedKmh) => {
+  if (recentSpeedKmh !== null && recentSpeedKmh >= MIN_USEFUL_SPEED_KMH) {
+    return (routeResult.distanceKm / recentSpeedKmh) * 60;
+  }
+  if (routeResult.durationMinutes !== undefined) {
+    return routeResult.durationMinutes;
+  }
+  const defaultSpeed = parseFloat(process.env.ETA_DEFAULT_SPEED_KMH) || DEFAULT_SPEED_KMH;
+  return (routeResult.distanceKm / defaultSpeed) * 60;
+};
+
+export const computeEta = async (truck, destination, now = new Date()) => {
+  const routeResult = await route(truck.currentLocation, destination);
+  const recentSpeedKmh = await getRecentSpeedKmh(truck._id, now);
+  const durationMinutes = estimateMinutes(routeResult, recentSpeedKmh);
+
+  return {
+    arrivalAt: new Date(now.getTime() + durationMinutes * 60 * 1000),
+    distanceKm: Math.round(routeResult.distanceKm * 100) / 100,
+    durationMinutes: Math.round(durationMinutes),
+    averageSpeedKmh: recentSpeedKmh !== null ? Math.round(recentSpeedKmh) : null,
+    provider: routeResult.provider,
+    computedAt: now
+  };
+};
+
+// Refresh the ETA of one pickup and tell the customer and the admins
+export const refreshPickupEta = async (pickup, truck) => {
+  pickup.eta = await computeEta(truck, pickup.pickupLocation);
+  await PickupRequest.updateOne({ _id: pickup._id }, { eta: pickup.eta });
+
+  if (pickup.serviceRequest) {
+    await ServiceRequest.updateOne({ _id: pickup.serviceRequest }, { estimatedArrival: pickup.eta.arrivalAt });
+  }
+
+  await publish('pickup.eta-updated', {
+    requestId: pickup._id,
+    userId: pickup.userId,
+    serviceRequestId: pickup.serviceRequest,
+    truckId: pickup.assignedTruck,
+    status: pickup.status,
+    eta: pickup.eta
+  });
+  return pickup.eta;
+};
+
+// Called on every new position of a truck
+export const updateEtasForTruck = async (truck) => {
+  const pickups = await PickupRequest.find({
+    assignedTruck: truck._id,
+    status: { $in: ['dispatched', 'en-route'] }
+  });
+
+  for (const pickup of pickups) {
+    await refreshPickupEta(pickup, truck);
+  }
+};
@@ -0,0 +1,75 @@
+import { EventEmitter } from 'events';
+
+// Domain events: routes and services announce what happened here instead of talking to
+// Socket.IO. Subscribers (the socket fan-out in services/realtime.js, and anything else that
+// needs to react) register with subscribe(). Delivery is in-process; getting socket messages to
+// clients connected to other instances is the socket adapter's job (services/socketAdapters.js).
+//
+// Event data should be plain values and objects (ids, strings, numbers, dates), not live documents.
+export const DOMAIN_EVENTS = [
+  'booking.created',
+  'booking.status-changed',
+  'booking.assigned',
+  'booking.rescheduled',
+  'dispatch.updated',
+  'dispatch.offered',
+  'dispatch.offer-withdrawn',
+  'dispatch.needs-attention',
+  'geofence.triggered',
+  'inventory.low-stock',
+  'invoice.issued',
+  'location.shared',
+  'maintenance.reminder-raised',
+  'message.sent',
+  'payment.status-changed',
+  'pickup.created',
+  'pickup.status-changed',
+  'pickup.eta-updated',
+  'service-request.created',
+  'service-request.status-changed',
+  'service-request.assigned',
+  'service-request.cancelled',
+  'truck.dispatched',
+  'truck.location-changed',
+  'truck.status-changed',
+  'truck.assigned',
+  'truck.assignment-completed',
+  'truck.signal-lost',
+  'truck.signal-restored',
+  'work-order.created',
+  'work-order.assigned',
+  'work-order.updated'
+];
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+// Listen to one event type, or '*' for all of them; returns a function that unsubscribes
+export const subscribe = (type, handler) => {
+  if (type !== '*' && !DOMAIN_EVENTS.includes(type)) {
+    throw new Error(`Unknown domain event: ${type}`);
+  }
+  emitter.on(type, handler);
+  return () => emitter.off(type, handler);
+};
+
+// Run every subscriber and wait for them. A failing subscriber is logged, never thrown back at
+// the publisher: the change it announces has already happened.
+export const publish = async (type, data = {}) => {
+  if (!DOMAIN_EVENTS.includes(type)) {
+    throw new Error(`Unknown domain event: ${type}`);
+  }
+
+  const event = { type, data, occurredAt: new Date() };
+  const handlers = [...emitter.listeners(type), ...emitter.listeners('*')];
+
+  await Promise.all(handlers.map(async (handler) => {
+    try {
+      await handler(event);
+    } catch (error) {
+      console.error(`Domain event handler error (${type}):`, error);
+    }
+  }));
+
+  return event;
+};
@@ -0,0 +1,213 @@
+import Truck from '../models/Truck.js';
+import Booking from '../models/Booking.js';
+import PickupRequest from '../models/PickupRequest.js';
+import Geofence, { fenceContains } from '../models/Geofence.js';
+import GeofenceEvent from '../models/GeofenceEvent.js';
+import { publish } from './eventBus.js';
+
+const DEFAULT_JOB_RADIUS_METERS = 150;
+const JOB_DWELL_SECONDS = 300;
+
+const getJobRadius = () => parseInt(process.env.GEOFENCE_PICKUP_RADIUS_METERS) || DEFAULT_JOB_RADIUS_METERS;
+
+const storedFence = (geofence) => ({
+  key: `geofence:${geofence._id}`,
+  name: geofence.name,
+  kind: geofence.kind,
+  type: geofence.type,
+  center: geofence.center,
+  radiusMeters: geofence.radiusMeters,
+  polygon: geofence.polygon,
+  dwellSeconds: geofence.dwellSeconds
+});
+
+const jobFence = (kind, id, name, center, customer) => ({
+  key: `${kind}:${id}`,
+  name,
+  kind,
+  type: 'circle',
+  center,
+  radiusMeters: getJobRadius(),
+  dwellSeconds: JOB_DWELL_SECONDS,
+  customer
+});
+
+// Temporary circles around the pickup points of the truck's current jobs
+export const getJobGeofences = async (truck) => {
+  const [pickups, bookings] = await Promise.all([
+    PickupRequest.find({
+      assignedTruck: truck._id,
+      status: { $in: ['dispatched', 'en-route', 'at-location'] }
+    }).select('userId userName pickupLocation'),
+    Booking.find({
+      truck: truck._id,
+      status: { $in: ['confirmed', 'assigned', 'at-location'] },
+      'route.origin.coordinates.latitude': { $exists: true }
+    }).select('bookingNumber customer route.origin')
+  ]);
+
+  return [
+    ...pickups.map(pickup => jobFence(
+      'pickup',
+      pickup._id,
+      `Pickup for ${pickup.userName}`,
+      pickup.pickupLocation,
+      pickup.userId
+    )),
+    ...bookings.map(booking => jobFence(
+      'booking',
+      booking._id,
+      `Booking ${booking.bookingNumber} pickup`,
+      booking.route.origin.coordinates,
+      booking.customer
+    ))
+  ];
+};
+
+// Compare the fences a truck is in now with the ones it was in on the previous fix
+export const diffGeofences = (previousState, insideFences, now = new Date()) => {
+  const events = [];
+  const state = [];
+
+  for (const fence of insideFences) {
+    const previous = previousState.find(entry => entry.key === fence.key);
+
+    if (!previous) {
+      events.push({ type: 'enter', fence });
+      state.push({ key: fence.key, name: fence.name, kind: fence.kind, customer: fence.customer, enteredAt: now });
+      continue;
+    }
+
+    const entry = {
+      key: previous.key,
+      name: previous.name,
+      kind: previous.kind,
+      customer: previous.customer,
+      enteredAt: previous.enteredAt,
+      dwellNotifiedAt: previous.dwellNotifiedAt
+    };
+    if (!entry.dwellNotifiedAt && now - entry.enteredAt >= fence.dwellSeconds * 1000) {
+      events.push({ type: 'dwell', fence });
+      entry.dwellNotifiedAt = now;
+    }
+    state.push(entry);
+  }
+
+  for (const previous of previousState) {
+    if (!insideFences.some(fence => fence.key === previous.key)) {
+      events.push({ type: 'exit', fence: previous });
+    }
+  }
+
+  return { events, state };
+};
+
+// The truck reached a job's pickup point: move the job (and the truck) to at-location
+const markArrived = async (truck, fence) => {
+  const [kind, id] = fence.key.split(':');
+
+  if (kind === 'pickup') {
+    const pickup = await PickupRequest.findOneAndUpdate(
+      { _id: id, status: { $in: ['dispatched', 'en-route'] } },
+      { status: 'at-location' },
+      { new: true }
+    );
+    if (!pickup) return;
+
+    await publish('pickup.status-changed', {
+      requestId: pickup._id,
+      userId: pickup.userId,
+      status: pickup.status,
+      timestamp: new Date()
+    });
+  } else if (kind === 'booking') {
+    const booking = await Booking.findOne({ _id: id, status: { $in: ['confirmed', 'assigned'] } });
+    if (!booking) return;
+
+    await booking.updateStatus('at-location', null, `${truck.truckId} arrived at the pickup point`);
+    await publish('booking.status-changed', {
+      bookingId: booking._id,
+      customerId: booking.customer,
+      status: booking.status,
+      timestamp: new Date()
+    });
+  } else {
+    return;
+  }
+
+  const updated = await Truck.findOneAndUpdate(
+    { _id: truck._id, status: { $in: ['dispatched', 'en-route'] } },
+    { status: 'at-location' },
+    { new: true }
+  );
+  if (updated) {
+    truck.status = updated.status;
+    await publish('truck.status-changed', {
+      truckId: updated._id,
+      status: updated.status,
+      assignedRequest: updated.assignedRequest
+    });
+  }
+};
+
+const notifyEvent = (truck, event, occurredAt) => {
+  return publish('geofence.triggered', {
+    type: event.type,
+    geofence: {
+      key: event.fence.key,
+      name: event.fence.name,
+      kind: event.fence.kind
+    },
+    truck: {
+      id: truck._id,
+      truckId: truck.truckId,
+      licensePlate: truck.vehicle.licensePlate
+    },
+    location: {
+      latitude: truck.currentLocation.latitude,
+      longitude: truck.currentLocation.longitude
+    },
+    occurredAt,
+    // Job fences also notify the customer being picked up
+    customerId: event.fence.customer || null
+  });
+};
+
+// Work out enter/exit/dwell events for the truck's latest position and act on them
+export const evaluateGeofences = async (truck) => {
+  const point = truck.currentLocation;
+  if (!point || point.latitude === undefined) return [];
+
+  const [stored, jobs] = await Promise.all([
+    Geofence.find({ isActive: true }),
+    getJobGeofences(truck)
+  ]);
+  const inside = [...stored.map(storedFence), ...jobs].filter(fence => fenceContains(fence, point));
+
+  const now = new Date();
+  const { events, state } = diffGeofences(truck.geofenceState || [], inside, now);
+
+  if (events.length === 0) return [];
+
+  truck.geofenceState = state;
+  await Truck.updateOne({ _id: truck._id }, { geofenceState: state });
+
+  await GeofenceEvent.insertMany(events.map(event => ({
+    truck: truck._id,
+    type: event.type,
+    key: event.fence.key,
+    name: event.fence.name,
+    kind: event.fence.kind,
+    location: { latitude: point.latitude, longitude: point.longitude },
+    occurredAt: now
+  })));
+
+  for (const event of events) {
+    if (event.type === 'enter' && (event.fence.kind === 'pickup' || event.fence.kind === 'booking')) {
+      await markArrived(truck, event.fence);
+    }
+    await notifyEvent(truck, event, now);
+  }
+
+  return events;
+};
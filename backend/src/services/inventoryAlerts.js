@@ -0,0 +1,21 @@
+import { publish } from './eventBus.js';
+
+// Tell admins when a stock movement leaves a branch at or below its reorder level
+export const notifyLowStock = async (inventories) => {
+  for (const inventory of inventories.filter(item => item.isLowStock())) {
+    await inventory.populate([
+      { path: 'part', select: 'name partNumber' },
+      { path: 'branch', select: 'name code' }
+    ]);
+
+    await publish('inventory.low-stock', {
+      inventoryId: inventory._id,
+      part: inventory.part.name,
+      partNumber: inventory.part.partNumber,
+      branch: inventory.branch.name,
+      quantityAvailable: inventory.quantityAvailable,
+      reorderLevel: inventory.reorderLevel,
+      timestamp: new Date()
+    });
+  }
+};
@@ -0,0 +1,228 @@
+import PDFDocument from 'pdfkit';
+import { getOperatingTimezone } from './operatingTimezone.js';
+
+const MARGIN = 50;
+const PAGE_WIDTH = 595.28; // A4
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+
+const TITLES = {
+  invoice: 'TAX INVOICE',
+  credit_note: 'CREDIT NOTE'
+};
+
+const LINE_COLUMNS = [
+  { x: MARGIN, width: 245 },
+  { x: 300, width: 55, align: 'right' },
+  { x: 360, width: 85, align: 'right' },
+  { x: 450, width: 95, align: 'right' }
+];
+
+const STATEMENT_COLUMNS = [
+  { x: MARGIN, width: 65 },
+  { x: 118, width: 95 },
+  { x: 216, width: 135 },
+  { x: 354, width: 62, align: 'right' },
+  { x: 419, width: 62, align: 'right' },
+  { x: 484, width: 61, align: 'right' }
+];
+
+const formatNumber = (amount) => Number(amount).toLocaleString('en-US', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+});
+
+const formatMoney = (amount, currency) => `${currency} ${formatNumber(amount)}`;
+
+const formatDate = (date) => new Intl.DateTimeFormat('en-GB', {
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric',
+  timeZone: getOperatingTimezone()
+}).format(date);
+
+// Write a PDF into memory; `draw` lays out the pages
+const renderPdf = (info, draw) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: MARGIN, info });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  draw(doc);
+  doc.end();
+});
+
+// One table row; starts a new page when the row won't fit
+const drawRow = (doc, columns, cells, { bold = false } = {}) => {
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+  const height = Math.max(...columns.map((column, index) => {
+    return doc.heightOfString(String(cells[index] ?? ''), { width: column.width });
+  }));
+
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+  }
+
+  const y = doc.y;
+  columns.forEach((column, index) => {
+    doc.text(String(cells[index] ?? ''), column.x, y, { width: column.width, align: column.align || 'left' });
+  });
+  doc.x = MARGIN;
+  doc.y = y + height + 5;
+};
+
+const drawRule = (doc) => {
+  doc.moveTo(MARGIN, doc.y).lineTo(PAGE_WIDTH - MARGIN, doc.y).strokeColor('#999999').lineWidth(0.5).stroke();
+  doc.y += 5;
+};
+
+const partyLines = (party = {}) => [
+  party.companyName,
+  party.companyName ? `Attn: ${party.name}` : party.name,
+  party.address,
+  party.taxPin && `PIN: ${party.taxPin}`,
+  party.email,
+  party.phone
+].filter(Boolean);
+
+// Seller on the left, title and references on the right, then who it is for
+const drawHeader = (doc, { title, seller, references, billTo, billToLabel = 'Bill to' }) => {
+  const top = doc.y;
+  doc.font('Helvetica-Bold').fontSize(16).text(seller.name, MARGIN, top, { width: 280 });
+  doc.font('Helvetica').fontSize(9);
+  partyLines({ ...seller, name: undefined }).forEach(line => doc.text(line, { width: 280 }));
+  const leftBottom = doc.y;
+
+  doc.font('Helvetica-Bold').fontSize(14).text(title, 340, top, { width: CONTENT_WIDTH - 290, align: 'right' });
+  doc.font('Helvetica').fontSize(9);
+  references.forEach(([label, value]) => {
+    doc.text(`${label}: ${value}`, 340, doc.y, { width: CONTENT_WIDTH - 290, align: 'right' });
+  });
+
+  doc.x = MARGIN;
+  doc.y = Math.max(leftBottom, doc.y) + 20;
+  doc.font('Helvetica-Bold').fontSize(10).text(billToLabel);
+  doc.font('Helvetica').fontSize(9);
+  partyLines(billTo).forEach(line => doc.text(line));
+  doc.moveDown(1.5);
+};
+
+const drawTotals = (doc, rows) => {
+  doc.moveDown(0.5);
+  rows.forEach(([label, value, bold]) => {
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(bold ? 10 : 9);
+    doc.text(label, 330, y, { width: 120, align: 'right' });
+    doc.text(value, 450, y, { width: 95, align: 'right' });
+    doc.x = MARGIN;
+  });
+};
+
+// An invoice or credit note as issued
+export const renderInvoicePdf = (invoice) => {
+  const title = TITLES[invoice.type];
+  const references = [
+    [invoice.type === 'invoice' ? 'Invoice no.' : 'Credit note no.', invoice.number],
+    ['Date', formatDate(invoice.issuedAt)],
+    ...(invoice.booking?.bookingNumber ? [['Booking', invoice.booking.bookingNumber]] : []),
+    ...(invoice.invoice?.number ? [['Credits invoice', invoice.invoice.number]] : [])
+  ];
+
+  return renderPdf({ Title: `${title} ${invoice.number}` }, (doc) => {
+    drawHeader(doc, { title, seller: invoice.seller, references, billTo: invoice.billTo });
+
+    drawRow(doc, LINE_COLUMNS, ['Description', 'Qty', 'Unit price', `Amount (${invoice.currency})`], { bold: true });
+    drawRule(doc);
+    invoice.lines.forEach(line => {
+      drawRow(doc, LINE_COLUMNS, [
+        line.description,
+        line.quantity ?? '',
+        line.unitPrice !== undefined && line.unitPrice !== null ? formatNumber(line.unitPrice) : '',
+        formatNumber(line.amount)
+      ]);
+    });
+    drawRule(doc);
+
+    drawTotals(doc, [
+      ['Subtotal (excl. VAT)', formatMoney(invoice.subtotal, invoice.currency)],
+      [`VAT ${invoice.vatRate}%`, formatMoney(invoice.vatAmount, invoice.currency)],
+      [invoice.type === 'invoice' ? 'Total' : 'Total credited', formatMoney(invoice.total, invoice.currency), true]
+    ]);
+
+    doc.moveDown(2);
+    doc.font('Helvetica').fontSize(8).fillColor('#555555').text(
+      'Prices include VAT.' + (invoice.reason ? ` Reason: ${invoice.reason}` : ''),
+      MARGIN, doc.y, { width: CONTENT_WIDTH }
+    );
+  });
+};
+
+// A receipt for money taken; `payment` has its booking or service request populated
+export const renderReceiptPdf = (payment, seller) => {
+  const reference = payment.booking?.bookingNumber || payment.serviceRequest?.requestNumber;
+  const references = [
+    ['Receipt for', payment.receiptNumber || payment.providerReference],
+    ['Date', formatDate(payment.paidAt || payment.updatedAt)],
+    ...(reference ? [['For', reference]] : [])
+  ];
+  const method = payment.provider === 'mpesa' ? 'M-Pesa' : 'Card';
+
+  return renderPdf({ Title: `Receipt ${payment.receiptNumber || payment._id}` }, (doc) => {
+    drawHeader(doc, {
+      title: 'RECEIPT',
+      seller,
+      references,
+      billTo: { name: payment.customer?.name, email: payment.customer?.email },
+      billToLabel: 'Received from'
+    });
+
+    drawTotals(doc, [
+      ['Paid by', method],
+      ...(payment.phoneNumber ? [['Phone', payment.phoneNumber]] : []),
+      ['Amount received', formatMoney(payment.amount, payment.currency), true],
+      ...(payment.amountRefunded > 0 ? [['Refunded since', formatMoney(payment.amountRefunded, payment.currency)]] : [])
+    ]);
+  });
+};
+
+// A month of a corporate account as built by buildStatement
+export const renderStatementPdf = (statement) => {
+  const { currency } = statement;
+  const lastDay = new Date(statement.period.end.getTime() - 1);
+  const references = [
+    ['Period', `${formatDate(statement.period.start)} - ${formatDate(lastDay)}`],
+    ['Currency', currency]
+  ];
+
+  return renderPdf({ Title: `Statement ${statement.month}` }, (doc) => {
+    drawHeader(doc, {
+      title: 'STATEMENT',
+      seller: statement.seller,
+      references,
+      billTo: statement.customer,
+      billToLabel: 'Account'
+    });
+
+    drawRow(doc, STATEMENT_COLUMNS, ['Date', 'Reference', 'Description', 'Debit', 'Credit', 'Balance'], { bold: true });
+    drawRule(doc);
+    drawRow(doc, STATEMENT_COLUMNS, ['', '', 'Opening balance', '', '', formatNumber(statement.openingBalance)]);
+    statement.entries.forEach(entry => {
+      drawRow(doc, STATEMENT_COLUMNS, [
+        formatDate(entry.date),
+        entry.reference,
+        entry.description,
+        entry.debit ? formatNumber(entry.debit) : '',
+        entry.credit ? formatNumber(entry.credit) : '',
+        formatNumber(entry.balance)
+      ]);
+    });
+    drawRule(doc);
+    drawRow(doc, STATEMENT_COLUMNS, [
+      '', '', 'Totals', formatNumber(statement.totals.debit), formatNumber(statement.totals.credit), ''
+    ], { bold: true });
+
+    drawTotals(doc, [
+      [statement.closingBalance < 0 ? 'In credit' : 'Balance due', formatMoney(Math.abs(statement.closingBalance), currency), true]
+    ]);
+  });
+};
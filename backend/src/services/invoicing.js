@@ -0,0 +1,353 @@
+import Invoice from '../models/Invoice.js';
+import Booking from '../models/Booking.js';
+import Branch from '../models/Branch.js';
+import Payment, { PAID_STATUSES } from '../models/Payment.js';
+import Quote from '../models/Quote.js';
+import User from '../models/User.js';
+import { publish, subscribe } from './eventBus.js';
+import { getOperatingTimezone } from './operatingTimezone.js';
+
+// Kenya's standard VAT rate, in percent
+const DEFAULT_VAT_RATE = 16;
+// Invoices for bookings without a branch are numbered under this code
+const DEFAULT_BRANCH_CODE = 'HQ';
+
+const invoiceError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const sumOf = (lines) => round(lines.reduce((sum, line) => sum + line.amount, 0));
+
+export const getVatRate = () => {
+  const rate = parseFloat(process.env.VAT_RATE);
+  return Number.isFinite(rate) && rate >= 0 ? rate : DEFAULT_VAT_RATE;
+};
+
+// Prices are quoted with VAT included; take the VAT back out of a gross amount
+export const splitVat = (gross, rate) => {
+  const vatAmount = round(gross * rate / (100 + rate));
+  return { subtotal: round(gross - vatAmount), vatAmount, total: round(gross) };
+};
+
+export const getSeller = (branch) => ({
+  name: process.env.INVOICE_COMPANY_NAME || 'AutoCare Pro',
+  taxPin: process.env.INVOICE_TAX_PIN,
+  address: branch
+    ? [branch.name, branch.location?.address, branch.location?.city].filter(Boolean).join(', ')
+    : process.env.INVOICE_COMPANY_ADDRESS,
+  email: branch?.contact?.email,
+  phone: branch?.contact?.phone
+});
+
+const getBillTo = (customer) => ({
+  name: customer.name,
+  companyName: customer.billing?.accountType === 'corporate' ? customer.billing.companyName : undefined,
+  taxPin: customer.billing?.taxPin,
+  address: customer.billing?.address || customer.profile?.address,
+  email: customer.email,
+  phone: customer.phone
+});
+
+// The booking's price line by line: the quote's items when they still add up to the price, else
+// the booking's own rates and charges, else one line for the whole amount
+const getInvoiceLines = async (booking) => {
+  const { pricing, route, schedule } = booking;
+  const total = round(pricing.totalAmount);
+
+  if (pricing.quote) {
+    const quote = await Quote.findById(pricing.quote).select('lineItems');
+    const lines = (quote?.lineItems || []).map(({ description, quantity, unitPrice, amount }) => ({
+      description, quantity, unitPrice, amount
+    }));
+    if (lines.length > 0 && sumOf(lines) === total) return lines;
+  }
+
+  const lines = [];
+  if (pricing.baseRate) {
+    lines.push({ description: 'Base fare', amount: round(pricing.baseRate) });
+  }
+  if (pricing.distanceRate && route?.estimatedDistance) {
+    lines.push({
+      description: `Distance (${route.estimatedDistance} km)`,
+      quantity: route.estimatedDistance,
+      unitPrice: pricing.distanceRate,
+      amount: round(route.estimatedDistance * pricing.distanceRate)
+    });
+  }
+  if (pricing.timeRate && schedule?.estimatedDuration) {
+    lines.push({
+      description: `Time (${schedule.estimatedDuration} h)`,
+      quantity: schedule.estimatedDuration,
+      unitPrice: pricing.timeRate,
+      amount: round(schedule.estimatedDuration * pricing.timeRate)
+    });
+  }
+  const charges = sumOf(lines);
+  if (charges < (pricing.minimumCharge || 0)) {
+    lines.push({ description: 'Minimum charge top-up', amount: round(pricing.minimumCharge - charges) });
+  }
+  (pricing.additionalCharges || []).forEach(charge => {
+    lines.push({ description: charge.description || charge.code, amount: round(charge.amount || 0) });
+  });
+  if (lines.length > 0 && sumOf(lines) === total) return lines;
+
+  return [{ description: `${booking.serviceType} booking ${booking.bookingNumber}`, amount: total }];
+};
+
+const numberDocument = async (document) => {
+  if (document.number) return document;
+  const branch = document.branch && await Branch.findById(document.branch).select('code');
+  return document.assignNumber(branch?.code || process.env.INVOICE_DEFAULT_BRANCH_CODE || DEFAULT_BRANCH_CODE);
+};
+
+// Claim a document by inserting it without a number (the unique indexes stop a second copy),
+// then number it. Numbers are only drawn for documents that exist, so the sequence has no gaps.
+const createOnce = async (fields, existingFilter) => {
+  let document;
+  try {
+    document = await Invoice.create(fields);
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return numberDocument(await Invoice.findOne(existingFilter));
+  }
+
+  await numberDocument(document);
+  await publish('invoice.issued', {
+    invoiceId: document._id,
+    customerId: document.customer,
+    type: document.type,
+    number: document.number,
+    bookingId: document.booking,
+    total: document.total,
+    currency: document.currency,
+    timestamp: new Date()
+  });
+  return document;
+};
+
+// Credit an invoice for a refund. Refunds made before the booking was invoiced are credited when
+// the invoice is issued.
+export const issueCreditNote = async (payment, refund) => {
+  if (!payment.booking || refund.status !== 'succeeded') return null;
+
+  const existing = await Invoice.findOne({ refundReference: refund.providerReference });
+  if (existing) return numberDocument(existing);
+
+  const invoice = await Invoice.findOne({ booking: payment.booking, type: 'invoice', number: { $type: 'string' } });
+  if (!invoice) return null;
+
+  return createOnce({
+    type: 'credit_note',
+    branch: invoice.branch,
+    customer: invoice.customer,
+    booking: invoice.booking,
+    invoice: invoice._id,
+    payment: payment._id,
+    refundReference: refund.providerReference,
+    reason: refund.reason,
+    seller: invoice.seller,
+    billTo: invoice.billTo,
+    currency: payment.currency,
+    lines: [{
+      description: `Refund against invoice ${invoice.number}${refund.reason ? `: ${refund.reason}` : ''}`,
+      amount: refund.amount
+    }],
+    vatRate: invoice.vatRate,
+    ...splitVat(refund.amount, invoice.vatRate)
+  }, { refundReference: refund.providerReference });
+};
+
+const creditRefunds = async (bookingId) => {
+  const payments = await Payment.find({ booking: bookingId, 'refunds.status': 'succeeded' });
+  for (const payment of payments) {
+    for (const refund of payment.refunds) {
+      await issueCreditNote(payment, refund);
+    }
+  }
+};
+
+// Invoice a completed booking for its price, or a cancelled one for its cancellation fee; a booking
+// is only ever invoiced once
+export const issueInvoice = async (bookingId) => {
+  const existing = await Invoice.findOne({ booking: bookingId, type: 'invoice' });
+  if (existing) return numberDocument(existing);
+
+  const booking = await Booking.findById(bookingId);
+  if (!booking) {
+    throw invoiceError('Booking not found', 404);
+  }
+  if (!['completed', 'cancelled'].includes(booking.status)) {
+    throw invoiceError('Only completed or cancelled bookings are invoiced', 409);
+  }
+  const total = booking.getChargeableAmount();
+  if (!total) {
+    throw invoiceError(booking.status === 'cancelled'
+      ? 'This booking was cancelled without a fee'
+      : 'This booking has no price to invoice', 409);
+  }
+
+  const [customer, branch] = await Promise.all([
+    User.findById(booking.customer).select('name email phone billing profile.address'),
+    booking.branch ? Branch.findById(booking.branch) : null
+  ]);
+  const vatRate = getVatRate();
+
+  const invoice = await createOnce({
+    type: 'invoice',
+    branch: booking.branch || null,
+    customer: booking.customer,
+    booking: booking._id,
+    seller: getSeller(branch),
+    billTo: customer ? getBillTo(customer) : {},
+    currency: booking.pricing.currency,
+    lines: booking.status === 'cancelled'
+      ? [{ description: `Cancellation fee, ${booking.serviceType} booking ${booking.bookingNumber}`, amount: round(total) }]
+      : await getInvoiceLines(booking),
+    vatRate,
+    ...splitVat(total, vatRate)
+  }, { booking: booking._id, type: 'invoice' });
+
+  await creditRefunds(booking._id);
+  return invoice;
+};
+
+// Offset of a time zone from UTC at a moment, in milliseconds
+const getZoneOffsetMs = (date, timeZone) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+    hourCycle: 'h23'
+  }).formatToParts(date).map(part => [part.type, parseInt(part.value)]));
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - date.getTime();
+};
+
+const startOfMonth = (year, monthIndex, timeZone) => {
+  const utc = Date.UTC(year, monthIndex, 1);
+  return new Date(utc - getZoneOffsetMs(new Date(utc), timeZone));
+};
+
+// A 'YYYY-MM' month as [start, end) in the billing time zone
+export const getMonthRange = (month) => {
+  const match = /^(\d{4})-(0[1-9]|1[0-2])$/.exec(month || '');
+  if (!match) {
+    throw invoiceError('Month must be given as YYYY-MM', 400);
+  }
+  const year = parseInt(match[1]);
+  const monthIndex = parseInt(match[2]) - 1;
+  const timeZone = getOperatingTimezone();
+  return { start: startOfMonth(year, monthIndex, timeZone), end: startOfMonth(year, monthIndex + 1, timeZone) };
+};
+
+// A corporate customer's account for a month in one currency: invoices and refunds paid out are
+// debits, credit notes and payments received are credits. Balances are what the customer owes.
+export const buildStatement = async (customerId, month, currency = 'KES') => {
+  const customer = await User.findById(customerId).select('name email phone billing profile.address');
+  if (!customer) {
+    throw invoiceError('Customer not found', 404);
+  }
+  if (customer.billing?.accountType !== 'corporate') {
+    throw invoiceError('Statements are only kept for corporate accounts', 400);
+  }
+
+  const { start, end } = getMonthRange(month);
+  const [documents, payments] = await Promise.all([
+    Invoice.find({ customer: customer._id, currency, number: { $type: 'string' }, issuedAt: { $lt: end } })
+      .populate('booking', 'bookingNumber'),
+    Payment.find({ customer: customer._id, currency, booking: { $ne: null }, status: { $in: PAID_STATUSES }, paidAt: { $lt: end } })
+      .populate('booking', 'bookingNumber')
+  ]);
+
+  const entries = [
+    ...documents.map(document => ({
+      date: document.issuedAt,
+      type: document.type,
+      reference: document.number,
+      description: document.type === 'invoice'
+        ? `Invoice for booking ${document.booking?.bookingNumber || ''}`.trim()
+        : `Credit note for booking ${document.booking?.bookingNumber || ''}`.trim(),
+      debit: document.type === 'invoice' ? document.total : 0,
+      credit: document.type === 'credit_note' ? document.total : 0
+    })),
+    ...payments.flatMap(payment => [
+      {
+        date: payment.paidAt,
+        type: 'payment',
+        reference: payment.receiptNumber || payment.providerReference,
+        description: `Payment for booking ${payment.booking?.bookingNumber || ''}`.trim(),
+        debit: 0,
+        credit: payment.amount
+      },
+      ...payment.refunds
+        .filter(refund => refund.status === 'succeeded' && refund.updatedAt < end)
+        .map(refund => ({
+          date: refund.updatedAt,
+          type: 'refund',
+          reference: refund.providerReference,
+          description: `Refund for booking ${payment.booking?.bookingNumber || ''}`.trim(),
+          debit: refund.amount,
+          credit: 0
+        }))
+    ])
+  ].sort((a, b) => a.date - b.date);
+
+  const openingBalance = round(entries
+    .filter(entry => entry.date < start)
+    .reduce((balance, entry) => balance + entry.debit - entry.credit, 0));
+
+  let balance = openingBalance;
+  const periodEntries = entries
+    .filter(entry => entry.date >= start)
+    .map(entry => {
+      balance = round(balance + entry.debit - entry.credit);
+      return { ...entry, balance };
+    });
+
+  return {
+    customer: {
+      _id: customer._id,
+      ...getBillTo(customer)
+    },
+    seller: getSeller(null),
+    month,
+    period: { start, end },
+    currency,
+    openingBalance,
+    entries: periodEntries,
+    totals: {
+      debit: round(periodEntries.reduce((sum, entry) => sum + entry.debit, 0)),
+      credit: round(periodEntries.reduce((sum, entry) => sum + entry.credit, 0))
+    },
+    closingBalance: balance
+  };
+};
+
+// Invoice bookings as they complete and credit refunds as they go through. Returns a function
+// that stops listening.
+export const attachInvoicing = () => {
+  const unsubscribers = [
+    subscribe('booking.status-changed', async ({ data }) => {
+      if (!['completed', 'cancelled'].includes(data.status)) return;
+      try {
+        await issueInvoice(data.bookingId);
+      } catch (error) {
+        // Bookings without a price, or cancelled without a fee, have nothing to invoice
+        if (!error.statusCode) throw error;
+      }
+    }),
+    subscribe('payment.status-changed', async ({ data }) => {
+      if (!data.booking || !data.amountRefunded) return;
+      await creditRefunds(data.booking);
+    })
+  ];
+
+  return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+};
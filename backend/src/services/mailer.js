@@ -0,0 +1,82 @@
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+
+// A transport is an object with `send(message)`, where message is
+// { from, to, subject, text, html }. Pick one with MAIL_TRANSPORT.
+
+const createSmtpTransport = () => {
+  const port = parseInt(process.env.SMTP_PORT) || 587;
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: port === 465,
+    auth: process.env.SMTP_USER ? {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    } : undefined
+  });
+
+  return {
+    send: (message) => transporter.sendMail(message)
+  };
+};
+
+// Writes each message as JSON so local testing can open the links without a mail server
+const createFileTransport = () => {
+  const directory = process.env.MAIL_FILE_DIR || 'mail-outbox';
+
+  return {
+    send: async (message) => {
+      await fs.mkdir(directory, { recursive: true });
+      const slug = message.subject.toLowerCase().replace(/[^a-z0-9]+/g, '-').slice(0, 40);
+      const file = path.join(directory, `${Date.now()}-${slug}.json`);
+      await fs.writeFile(file, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+      console.log(`📧 Mail to ${message.to} written to ${file}`);
+      return { file };
+    }
+  };
+};
+
+const createConsoleTransport = () => ({
+  send: async (message) => {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    return {};
+  }
+});
+
+const transportFactories = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+let activeTransport = null;
+
+// Add another transport (e.g. an API-based provider) under a MAIL_TRANSPORT name
+export const registerMailTransport = (name, factory) => {
+  transportFactories[name] = factory;
+  activeTransport = null;
+};
+
+const getTransport = () => {
+  if (!activeTransport) {
+    const name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+    const factory = transportFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    activeTransport = factory();
+  }
+  return activeTransport;
+};
+
+export const sendMail = ({ to, subject, text, html }) => {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'AutoCare Pro <no-reply@autocare.com>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
@@ -0,0 +1,158 @@
+import Vehicle from '../models/Vehicle.js';
+import MaintenanceInterval from '../models/MaintenanceInterval.js';
+import MaintenanceReminder from '../models/MaintenanceReminder.js';
+import { publish } from './eventBus.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_CHECK_INTERVAL_MS = 6 * 60 * 60 * 1000; // 6 hours
+
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  result.setMonth(result.getMonth() + months);
+  return result;
+};
+
+// Work out where a vehicle stands against a single service interval
+export const evaluateInterval = (vehicle, interval, now = new Date()) => {
+  const lastService = vehicle.getLastService(interval.serviceType);
+  const odometerKm = vehicle.getOdometerKm();
+
+  const dueOdometer = interval.distanceKm
+    ? vehicle.getOdometerKm(lastService.odometer || 0) + interval.distanceKm
+    : null;
+  const dueDate = interval.months ? addMonths(lastService.date, interval.months) : null;
+
+  const kmLeft = dueOdometer !== null ? dueOdometer - odometerKm : Infinity;
+  const daysLeft = dueDate ? (dueDate.getTime() - now.getTime()) / DAY_MS : Infinity;
+
+  let status = null;
+  if (kmLeft <= 0 || daysLeft <= 0) {
+    status = 'overdue';
+  } else if (kmLeft <= interval.dueSoonKm || daysLeft <= interval.dueSoonDays) {
+    status = 'due';
+  }
+
+  return {
+    status,
+    cycleStart: lastService.date,
+    dueOdometer,
+    dueDate,
+    odometerKm
+  };
+};
+
+const notifyOwner = (reminder, vehicle) => {
+  return publish('maintenance.reminder-raised', {
+    ownerId: reminder.owner,
+    reminder: reminder.toNotification(vehicle)
+  });
+};
+
+// Raise or escalate reminders for one vehicle, returning the ones the owner was notified about
+export const checkVehicle = async (vehicle, intervals) => {
+  const raised = [];
+  const now = new Date();
+
+  for (const interval of intervals) {
+    const result = evaluateInterval(vehicle, interval, now);
+    if (!result.status) continue;
+
+    let reminder = await MaintenanceReminder.findOne({
+      vehicle: vehicle._id,
+      serviceType: interval.serviceType,
+      cycleStart: result.cycleStart
+    });
+
+    // Customers only hear about a cycle once per status
+    if (reminder && ['completed', 'dismissed'].includes(reminder.status)) continue;
+    if (reminder && reminder.status === result.status) {
+      reminder.odometerAtCheck = result.odometerKm;
+      await reminder.save();
+      continue;
+    }
+
+    if (!reminder) {
+      reminder = new MaintenanceReminder({
+        vehicle: vehicle._id,
+        owner: vehicle.owner,
+        serviceType: interval.serviceType,
+        cycleStart: result.cycleStart
+      });
+    }
+
+    reminder.set({
+      status: result.status,
+      dueDate: result.dueDate,
+      dueOdometer: result.dueOdometer,
+      odometerAtCheck: result.odometerKm,
+      read: false,
+      notifiedAt: now
+    });
+    await reminder.save();
+
+    await notifyOwner(reminder, vehicle);
+    raised.push(reminder);
+  }
+
+  return raised;
+};
+
+// Check a single vehicle straight away, e.g. after a new odometer reading
+export const checkVehicleNow = async (vehicle) => {
+  const intervals = await MaintenanceInterval.getActiveIntervals();
+  return checkVehicle(vehicle, intervals);
+};
+
+// Close open reminders once the matching service has been carried out
+export const resolveReminders = (vehicleId, serviceType) => {
+  return MaintenanceReminder.updateMany(
+    { vehicle: vehicleId, serviceType, status: { $in: ['due', 'overdue'] } },
+    { status: 'completed', resolvedAt: new Date() }
+  );
+};
+
+// Run the schedule over every active vehicle
+export const runMaintenanceCheck = async () => {
+  const intervals = await MaintenanceInterval.getActiveIntervals();
+  const summary = { vehiclesChecked: 0, remindersRaised: 0, errors: 0 };
+
+  const cursor = Vehicle.find({ isActive: true }).cursor();
+  for (let vehicle = await cursor.next(); vehicle; vehicle = await cursor.next()) {
+    try {
+      const raised = await checkVehicle(vehicle, intervals);
+      summary.vehiclesChecked++;
+      summary.remindersRaised += raised.length;
+    } catch (error) {
+      summary.errors++;
+      console.error(`Maintenance check error for vehicle ${vehicle._id}:`, error);
+    }
+  }
+
+  return summary;
+};
+
+// Start the periodic check; returns a function that stops it
+export const startMaintenanceScheduler = (intervalMs = parseInt(process.env.MAINTENANCE_CHECK_INTERVAL_MS) || DEFAULT_CHECK_INTERVAL_MS) => {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const summary = await runMaintenanceCheck();
+      if (summary.remindersRaised > 0) {
+        console.log(`🔧 Maintenance check: ${summary.remindersRaised} reminder(s) raised across ${summary.vehiclesChecked} vehicle(s)`);
+      }
+    } catch (error) {
+      console.error('Maintenance scheduler error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  tick();
+
+  return () => clearInterval(timer);
+};
@@ -0,0 +1,218 @@
+import crypto from 'crypto';
+
+const DEFAULT_API_URL = 'https://sandbox.safaricom.co.ke';
+const DARAJA_TIMEOUT_MS = 15000;
+// Daraja timestamps are in East Africa Time whatever the server's zone
+const DARAJA_TIMEZONE = 'Africa/Nairobi';
+// What the STK query answers while the customer still has the prompt open
+const STILL_PROCESSING_CODE = '500.001.1001';
+const CANCELLED_BY_CUSTOMER = '1032';
+// Prompts expire within a couple of minutes; a payment still unanswered after this is given up on
+const GIVE_UP_AFTER_MS = 15 * 60 * 1000;
+
+const paymentError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const getBaseUrl = () => (process.env.MPESA_API_URL || DEFAULT_API_URL).replace(/\/$/, '');
+
+// 07XX, 01XX, 2547XX or +2547XX to the 2547XXXXXXXX form Daraja wants; null if it isn't one
+export const normalizePhoneNumber = (phone) => {
+  const match = String(phone || '').replace(/[\s-]/g, '').match(/^(?:\+?254|0)?([17]\d{8})$/);
+  return match ? `254${match[1]}` : null;
+};
+
+const getTimestamp = (date = new Date()) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-GB', {
+    timeZone: DARAJA_TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).map(part => [part.type, part.value]));
+  return `${parts.year}${parts.month}${parts.day}${parts.hour}${parts.minute}${parts.second}`;
+};
+
+// Shortcode, password and timestamp, as every STK request carries them
+const getCredentials = () => {
+  const timestamp = getTimestamp();
+  const password = Buffer.from(`${process.env.MPESA_SHORTCODE}${process.env.MPESA_PASSKEY}${timestamp}`).toString('base64');
+  return { BusinessShortCode: process.env.MPESA_SHORTCODE, Password: password, Timestamp: timestamp };
+};
+
+const darajaFetch = async (path, options) => {
+  let response;
+  try {
+    response = await fetch(`${getBaseUrl()}${path}`, { ...options, signal: AbortSignal.timeout(DARAJA_TIMEOUT_MS) });
+  } catch (error) {
+    throw paymentError(`M-Pesa could not be reached: ${error.message}`, 502);
+  }
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = paymentError(data.errorMessage || `M-Pesa request failed with status ${response.status}`, 502);
+    error.providerCode = data.errorCode;
+    error.httpStatus = response.status;
+    throw error;
+  }
+  return data;
+};
+
+let accessToken = null;
+
+const getAccessToken = async () => {
+  if (accessToken && accessToken.expiresAt > Date.now()) return accessToken.value;
+
+  const credentials = Buffer.from(`${process.env.MPESA_CONSUMER_KEY}:${process.env.MPESA_CONSUMER_SECRET}`).toString('base64');
+  const data = await darajaFetch('/oauth/v1/generate?grant_type=client_credentials', {
+    headers: { Authorization: `Basic ${credentials}` }
+  });
+  // Renew a minute early rather than race the expiry
+  accessToken = {
+    value: data.access_token,
+    expiresAt: Date.now() + ((parseInt(data.expires_in) || 3599) - 60) * 1000
+  };
+  return accessToken.value;
+};
+
+const darajaRequest = async (path, body, retry = true) => {
+  try {
+    return await darajaFetch(path, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${await getAccessToken()}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(body)
+    });
+  } catch (error) {
+    // A token revoked before its expiry: fetch a new one once
+    if (error.httpStatus === 401 && retry) {
+      accessToken = null;
+      return darajaRequest(path, body, false);
+    }
+    throw error;
+  }
+};
+
+// Result codes come as numbers in callbacks and as strings from the status query
+const toPaymentUpdate = (resultCode, resultDesc) => {
+  const code = String(resultCode);
+  if (code === '0') return { status: 'succeeded' };
+  return { status: code === CANCELLED_BY_CUSTOMER ? 'cancelled' : 'failed', failureMessage: resultDesc };
+};
+
+const tokensMatch = (given, expected) => {
+  const a = Buffer.from(String(given || ''));
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// M-Pesa Express (STK push) through Safaricom's Daraja API: the customer approves the payment
+// with their M-Pesa PIN on a prompt sent to their phone, and Daraja reports the outcome to the
+// callback URL. MPESA_API_URL points the client at another server, such as the fake in
+// scripts/fake-daraja.js.
+export const mpesaProvider = {
+  label: 'M-Pesa',
+  currencies: ['KES'],
+  // M-Pesa takes whole shillings
+  wholeUnits: true,
+  isConfigured: () => Boolean(
+    process.env.MPESA_CONSUMER_KEY &&
+    process.env.MPESA_CONSUMER_SECRET &&
+    process.env.MPESA_SHORTCODE &&
+    process.env.MPESA_PASSKEY &&
+    process.env.MPESA_CALLBACK_URL &&
+    process.env.MPESA_CALLBACK_TOKEN
+  ),
+
+  // The phone to prompt: the one given, else the one on the customer's account
+  prepare: (user, { phoneNumber } = {}) => {
+    const phone = normalizePhoneNumber(phoneNumber || user.phone);
+    if (!phone) {
+      throw paymentError('A Safaricom phone number (e.g. 0712345678) is needed for M-Pesa', 400);
+    }
+    return { phoneNumber: phone };
+  },
+
+  start: async (payment, payable) => {
+    const response = await darajaRequest('/mpesa/stkpush/v1/processrequest', {
+      ...getCredentials(),
+      TransactionType: process.env.MPESA_TRANSACTION_TYPE || 'CustomerPayBillOnline',
+      Amount: payment.amount,
+      PartyA: payment.phoneNumber,
+      PartyB: process.env.MPESA_PARTY_B || process.env.MPESA_SHORTCODE,
+      PhoneNumber: payment.phoneNumber,
+      CallBackURL: `${process.env.MPESA_CALLBACK_URL.replace(/\/$/, '')}/${process.env.MPESA_CALLBACK_TOKEN}`,
+      AccountReference: payable.reference.slice(0, 12),
+      TransactionDesc: payable.reference.slice(0, 13)
+    });
+
+    if (response.ResponseCode !== '0') {
+      throw paymentError(response.ResponseDescription || 'M-Pesa did not accept the payment request', 502);
+    }
+    return {
+      providerReference: response.CheckoutRequestID,
+      status: 'processing',
+      customerMessage: response.CustomerMessage
+    };
+  },
+
+  resume: async () => ({}),
+
+  // A prompt on the customer's phone can't be withdrawn; only attempts that are over can be dropped
+  cancel: async (payment) => payment.status === 'failed',
+
+  fetchStatus: async (payment) => {
+    try {
+      const result = await darajaRequest('/mpesa/stkpushquery/v1/query', {
+        ...getCredentials(),
+        CheckoutRequestID: payment.providerReference
+      });
+      return toPaymentUpdate(result.ResultCode, result.ResultDesc);
+    } catch (error) {
+      if (error.providerCode !== STILL_PROCESSING_CODE) throw error;
+      if (Date.now() - payment.createdAt.getTime() > GIVE_UP_AFTER_MS) {
+        return { status: 'failed', failureMessage: 'No answer from M-Pesa' };
+      }
+      return { status: 'processing' };
+    }
+  },
+
+  refund: async () => {
+    throw paymentError('M-Pesa payments are reversed from the M-Pesa business portal, not here', 400);
+  },
+
+  // Daraja doesn't sign callbacks: the secret token in the callback URL says it came from the
+  // URL we gave out. Each checkout gets exactly one callback.
+  parseWebhook: async (req) => {
+    if (!process.env.MPESA_CALLBACK_TOKEN) {
+      throw paymentError('M-Pesa callbacks are not configured', 503);
+    }
+    if (!tokensMatch(req.params.token, process.env.MPESA_CALLBACK_TOKEN)) {
+      throw paymentError('Invalid callback token', 403);
+    }
+
+    const callback = req.body?.Body?.stkCallback;
+    if (!callback?.CheckoutRequestID) {
+      throw paymentError('Not an STK push callback', 400);
+    }
+
+    const items = Object.fromEntries((callback.CallbackMetadata?.Item || []).map(item => [item.Name, item.Value]));
+    return {
+      id: callback.CheckoutRequestID,
+      type: 'stk-callback',
+      reference: callback.CheckoutRequestID,
+      update: {
+        ...toPaymentUpdate(callback.ResultCode, callback.ResultDesc),
+        receiptNumber: items.MpesaReceiptNumber,
+        amount: items.Amount
+      }
+    };
+  }
+};
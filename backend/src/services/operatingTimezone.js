@@ -0,0 +1,8 @@
+// The timezone the business runs in. Tariff night and weekend hours, driver shift times and
+// statement months are all wall-clock times there.
+const DEFAULT_TIMEZONE = 'Africa/Nairobi';
+
+// PRICING_TIMEZONE is the setting's name from before shifts and billing used it too
+export const getOperatingTimezone = () => {
+  return process.env.OPERATING_TIMEZONE || process.env.PRICING_TIMEZONE || DEFAULT_TIMEZONE;
+};
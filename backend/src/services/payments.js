@@ -0,0 +1,451 @@
+import crypto from 'crypto';
+import Payment, { PAID_STATUSES } from '../models/Payment.js';
+import Booking from '../models/Booking.js';
+import ServiceRequest from '../models/ServiceRequest.js';
+import WebhookEvent from '../models/WebhookEvent.js';
+import { publish } from './eventBus.js';
+import { stripeProvider } from './stripePayments.js';
+import { mpesaProvider } from './mpesa.js';
+
+const DEFAULT_RECONCILE_INTERVAL_MS = 60 * 1000;
+// Open payments without word from their provider for this long are checked with it
+const STALE_AFTER_MS = 2 * 60 * 1000;
+const RECHECK_AFTER_MS = 60 * 1000;
+// How far back the first reconciliation run looks for payments to square with their bookings
+const INITIAL_LOOKBACK_MS = 24 * 60 * 60 * 1000;
+
+const paymentError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// A payment provider is an object with:
+//   label                 - name shown to customers
+//   currencies            - currencies it takes (all when missing)
+//   wholeUnits            - true when it can't charge fractions of the unit; amounts are rounded up
+//   isConfigured()        - whether its credentials are set
+//   prepare(user, input)  - optional; checks the customer's input and returns fields for the payment
+//   start(payment, payable) - asks for the money; returns { providerReference, status? } and
+//                             whatever the client needs to finish (clientSecret, customerMessage)
+//   resume(payment)       - what the client needs to finish an attempt that is handed back again
+//   cancel(payment)       - withdraws an attempt a new one replaces; false if it can't be
+//   fetchStatus(payment)  - the provider's view as { status, failureMessage?, receiptNumber?, amount? }
+//   refund(payment, amount, { reason, requestedBy, idempotencyKey }) - returns
+//                             { providerReference, amount, status }
+//   parseWebhook(req)     - checks a notification and returns { id, type, reference, update?, refund? },
+//                           or null for ones that don't matter
+const providers = {
+  stripe: stripeProvider,
+  mpesa: mpesaProvider
+};
+
+const getProvider = (name) => {
+  const provider = providers[name];
+  if (!provider) {
+    throw paymentError(`Unknown payment provider: ${name}`, 400);
+  }
+  return provider;
+};
+
+const getConfiguredProvider = (name) => {
+  const provider = getProvider(name);
+  if (!provider.isConfigured()) {
+    throw paymentError(`${provider.label} payments are not configured`, 503);
+  }
+  return provider;
+};
+
+// Names of the providers customers can pay with on this server
+export const getAvailableProviders = () => {
+  return Object.keys(providers).filter(name => providers[name].isConfigured());
+};
+
+// The booking or service request a customer wants to pay for, with its price. `input` holds a
+// booking or a serviceRequest id.
+export const getPayable = async (user, input) => {
+  if (input.booking) {
+    const booking = await Booking.findById(input.booking);
+    if (!booking) {
+      throw paymentError('Booking not found', 404);
+    }
+    if (!booking.customer.equals(user._id)) {
+      throw paymentError('You can only pay for your own bookings', 403);
+    }
+    // A cancelled booking is only paid for when it carries a cancellation fee
+    if (booking.status === 'cancelled' && !booking.getChargeableAmount()) {
+      throw paymentError('This booking has been cancelled', 400);
+    }
+    return {
+      target: { booking: booking._id },
+      total: booking.getChargeableAmount(),
+      currency: booking.pricing.currency,
+      reference: booking.bookingNumber,
+      description: booking.status === 'cancelled'
+        ? `Cancellation fee for booking ${booking.bookingNumber}`
+        : `Booking ${booking.bookingNumber}`
+    };
+  }
+
+  const request = await ServiceRequest.findById(input.serviceRequest);
+  if (!request) {
+    throw paymentError('Service request not found', 404);
+  }
+  if (!request.customer.equals(user._id)) {
+    throw paymentError('You can only pay for your own service requests', 403);
+  }
+  if (['rejected', 'cancelled'].includes(request.status)) {
+    throw paymentError(`This service request has been ${request.status}`, 400);
+  }
+  if (!request.charges?.amount) {
+    throw paymentError('This service request has not been priced yet', 400);
+  }
+  return {
+    target: { serviceRequest: request._id },
+    total: request.charges.amount,
+    currency: request.charges.currency,
+    reference: request.requestNumber,
+    description: `Service request ${request.requestNumber}`
+  };
+};
+
+export const getAmountDue = async (payable) => {
+  return Math.max(0, round(payable.total - await Payment.getAmountPaid(payable.target)));
+};
+
+const getTarget = (payment) => {
+  return payment.booking ? { booking: payment.booking } : { serviceRequest: payment.serviceRequest };
+};
+
+// Keep the booking's or service request's payment summary in step with its payments (and its
+// price, which a cancellation replaces with the fee); true when it had drifted
+export const updatePayableStatus = async (target) => {
+  const Model = target.booking ? Booking : ServiceRequest;
+  const document = await Model.findById(target.booking || target.serviceRequest);
+  if (!document) return false;
+
+  const total = target.booking ? document.getChargeableAmount() : document.charges?.amount || 0;
+  const amountPaid = await Payment.getAmountPaid(target);
+  let status = 'unpaid';
+  if (amountPaid > 0) status = amountPaid >= total ? 'paid' : 'partially_paid';
+
+  // Writing an unchanged summary would still touch updatedAt
+  const current = document.payment || {};
+  if (current.status === status && current.amountPaid === amountPaid && (status !== 'paid' || current.paidAt)) {
+    return false;
+  }
+
+  await Model.updateOne({ _id: document._id }, {
+    payment: {
+      status,
+      amountPaid,
+      paidAt: status === 'paid' ? current.paidAt || new Date() : undefined
+    }
+  });
+  return true;
+};
+
+const publishPaymentStatus = (payment) => {
+  return publish('payment.status-changed', {
+    paymentId: payment._id,
+    customerId: payment.customer,
+    booking: payment.booking,
+    serviceRequest: payment.serviceRequest,
+    provider: payment.provider,
+    status: payment.status,
+    amount: payment.amount,
+    amountRefunded: payment.amountRefunded,
+    currency: payment.currency,
+    timestamp: new Date()
+  });
+};
+
+// Bring a payment in line with what its provider says. Once money has been taken only refunds
+// move it; the first of a callback and a status check to arrive wins.
+const applyPaymentUpdate = async (payment, { status, failureMessage, receiptNumber, amount }) => {
+  if (!status || status === payment.status || PAID_STATUSES.includes(payment.status)) {
+    // A receipt number that comes after a status check already recorded the payment
+    if (receiptNumber && !payment.receiptNumber && PAID_STATUSES.includes(payment.status)) {
+      await Payment.updateOne({ _id: payment._id }, { receiptNumber });
+    }
+    return payment;
+  }
+
+  const changes = { status };
+  if (status === 'succeeded') {
+    changes.paidAt = new Date();
+    if (receiptNumber) changes.receiptNumber = receiptNumber;
+    // What the provider says it took is what counts towards the booking
+    if (amount !== undefined && Number(amount) !== payment.amount) changes.amount = Number(amount);
+  } else if (failureMessage) {
+    changes.failureMessage = failureMessage;
+  }
+
+  const updated = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: { $nin: [status, ...PAID_STATUSES] } },
+    { $set: changes },
+    { new: true }
+  );
+  if (!updated) return Payment.findById(payment._id);
+
+  await updatePayableStatus(getTarget(updated));
+  await publishPaymentStatus(updated);
+  return updated;
+};
+
+// Record a refund as the provider reports it, whether it was made here or in the provider's dashboard
+const applyRefund = async (payment, refund, details = {}) => {
+  await Payment.updateOne(
+    { _id: payment._id, 'refunds.providerReference': { $ne: refund.providerReference } },
+    {
+      $push: {
+        refunds: {
+          providerReference: refund.providerReference,
+          amount: refund.amount,
+          status: 'pending',
+          ...details
+        }
+      }
+    }
+  );
+
+  const updated = await Payment.findById(payment._id);
+  const record = updated.refunds.find(entry => entry.providerReference === refund.providerReference);
+  const { status: previousStatus, amountRefunded: previousRefunded } = updated;
+  record.status = refund.status || record.status;
+  // The provider's notification may have recorded the refund before the request that made it returned
+  if (details.idempotencyKey && !record.idempotencyKey) {
+    Object.assign(record, details);
+  }
+  updated.applyRefunds();
+  await updated.save();
+
+  if (updated.status !== previousStatus || updated.amountRefunded !== previousRefunded) {
+    await updatePayableStatus(getTarget(updated));
+    await publishPaymentStatus(updated);
+  }
+  return updated;
+};
+
+// Ask the provider where a payment has got to instead of waiting for its notification
+export const refreshPayment = async (payment) => {
+  if (!payment.providerReference || PAID_STATUSES.includes(payment.status)) return payment;
+
+  const update = await getConfiguredProvider(payment.provider).fetchStatus(payment);
+  await Payment.updateOne({ _id: payment._id }, { lastCheckedAt: new Date() });
+  return applyPaymentUpdate(payment, update);
+};
+
+// Drop an attempt that a new one replaces. One the provider can't withdraw is checked with it
+// first: it may have gone through, or still be waiting on the customer.
+const cancelAttempt = async (payment) => {
+  const provider = getProvider(payment.provider);
+  if (payment.providerReference && provider.isConfigured() && !await provider.cancel(payment)) {
+    const current = await refreshPayment(payment);
+    if (current.status !== 'failed' && current.status !== 'cancelled') {
+      throw paymentError('An earlier payment for this is still in progress', 409);
+    }
+  }
+  await Payment.updateOne({ _id: payment._id, status: { $nin: PAID_STATUSES } }, { status: 'cancelled' });
+};
+
+const resumeAttempt = async (payment) => {
+  return { payment, ...await getProvider(payment.provider).resume(payment) };
+};
+
+// Start a payment of the amount still owed with the chosen provider. The same idempotency key
+// returns the same payment; an open attempt for the same amount is handed back rather than
+// duplicated. Resolves to { payment, ...what the client needs to finish it }.
+export const createPayment = async (user, input, { provider: providerName = 'stripe', ...options } = {}, idempotencyKey = crypto.randomUUID()) => {
+  const provider = getConfiguredProvider(providerName);
+
+  const existing = await Payment.findOne({ customer: user._id, idempotencyKey });
+  if (existing) {
+    return resumeAttempt(existing);
+  }
+
+  const payable = await getPayable(user, input);
+  if (provider.currencies && !provider.currencies.includes(payable.currency)) {
+    throw paymentError(`${provider.label} payments are only taken in ${provider.currencies.join(', ')}`, 400);
+  }
+  const details = provider.prepare ? provider.prepare(user, options) : {};
+
+  // Attempts still waiting on their provider may have gone through since
+  const earlier = [];
+  const attempts = await Payment.find({
+    ...payable.target,
+    customer: user._id,
+    status: { $in: ['pending', 'processing', 'failed'] }
+  });
+  for (const attempt of attempts) {
+    earlier.push(attempt.status === 'processing' ? await refreshPayment(attempt) : attempt);
+  }
+
+  let amount = await getAmountDue(payable);
+  if (amount <= 0) {
+    throw paymentError('Nothing is owed on this', 409);
+  }
+  if (provider.wholeUnits) amount = Math.ceil(amount);
+
+  for (const attempt of earlier) {
+    if (PAID_STATUSES.includes(attempt.status) || attempt.status === 'cancelled') continue;
+    if (attempt.status === 'processing') {
+      throw paymentError('An earlier payment for this is still being processed', 409);
+    }
+    if (attempt.status === 'pending' && attempt.provider === providerName &&
+        attempt.amount === amount && attempt.currency === payable.currency) {
+      return resumeAttempt(attempt);
+    }
+    await cancelAttempt(attempt);
+  }
+
+  let payment;
+  try {
+    payment = await Payment.create({
+      customer: user._id,
+      ...payable.target,
+      amount,
+      currency: payable.currency,
+      provider: providerName,
+      idempotencyKey,
+      ...details
+    });
+  } catch (error) {
+    // A concurrent request with the same key got there first
+    if (error.code !== 11000) throw error;
+    return resumeAttempt(await Payment.findOne({ customer: user._id, idempotencyKey }));
+  }
+
+  try {
+    const { providerReference, status, ...client } = await provider.start(payment, payable);
+    payment.providerReference = providerReference;
+    if (status) payment.status = status;
+    await payment.save();
+    return { payment, ...client };
+  } catch (error) {
+    payment.status = 'failed';
+    payment.failureMessage = error.message;
+    await payment.save();
+    throw error;
+  }
+};
+
+// Check a card payment with Stripe straight away after the card form completes
+export const confirmCardPayment = async (user, paymentIntentId) => {
+  const payment = await Payment.findOne({ provider: 'stripe', providerReference: paymentIntentId, customer: user._id });
+  if (!payment) {
+    throw paymentError('Payment not found', 404);
+  }
+  return refreshPayment(payment);
+};
+
+// Refund part or all of a payment; without an amount, whatever is left is refunded. The same
+// idempotency key returns the payment with the refund it already made.
+export const refundPayment = async (payment, { amount, reason } = {}, user, idempotencyKey = crypto.randomUUID()) => {
+  if (payment.refunds.some(refund => refund.idempotencyKey === idempotencyKey)) {
+    return payment;
+  }
+
+  const provider = getConfiguredProvider(payment.provider);
+  const refundable = payment.getRefundableAmount();
+  if (refundable <= 0) {
+    throw paymentError('Nothing is left to refund on this payment', 409);
+  }
+  const refundAmount = amount ?? refundable;
+  if (refundAmount > refundable) {
+    throw paymentError(`At most ${refundable} ${payment.currency} can be refunded`, 400);
+  }
+
+  const refund = await provider.refund(payment, refundAmount, { reason, requestedBy: user._id, idempotencyKey });
+  return applyRefund(payment, refund, { reason, requestedBy: user._id, idempotencyKey });
+};
+
+// Check and apply a provider's notification. Returns false for ones that were ignored or already seen.
+export const handleWebhook = async (providerName, req) => {
+  const event = await getProvider(providerName).parseWebhook(req);
+  if (!event || !await WebhookEvent.claim(providerName, event.id, event.type)) return false;
+
+  try {
+    const payment = await Payment.findOne({ provider: providerName, providerReference: event.reference });
+    if (payment && event.update) await applyPaymentUpdate(payment, event.update);
+    if (payment && event.refund) await applyRefund(payment, event.refund);
+  } catch (error) {
+    await WebhookEvent.release(providerName, event.id);
+    throw error;
+  }
+  return true;
+};
+
+// Check open payments whose provider has gone quiet, then square the payment summary of every
+// booking and service request with payments changed since `since` against those payments
+export const reconcilePayments = async ({ since, now = new Date() } = {}) => {
+  const summary = { checked: 0, updated: 0, corrected: 0, errors: 0 };
+
+  const stale = await Payment.find({
+    status: 'processing',
+    providerReference: { $exists: true },
+    createdAt: { $lt: new Date(now.getTime() - STALE_AFTER_MS) },
+    $or: [
+      { lastCheckedAt: null },
+      { lastCheckedAt: { $lt: new Date(now.getTime() - RECHECK_AFTER_MS) } }
+    ]
+  }).limit(100);
+
+  for (const payment of stale) {
+    try {
+      const refreshed = await refreshPayment(payment);
+      summary.checked++;
+      if (refreshed.status !== payment.status) summary.updated++;
+    } catch (error) {
+      summary.errors++;
+      console.error(`Payment reconciliation error for payment ${payment._id}:`, error);
+    }
+  }
+
+  const targets = await Payment.aggregate([
+    { $match: { updatedAt: { $gte: since || new Date(now.getTime() - INITIAL_LOOKBACK_MS) } } },
+    { $group: { _id: { booking: '$booking', serviceRequest: '$serviceRequest' } } }
+  ]);
+  for (const { _id: target } of targets) {
+    try {
+      const corrected = await updatePayableStatus(target.booking ? { booking: target.booking } : { serviceRequest: target.serviceRequest });
+      if (corrected) summary.corrected++;
+    } catch (error) {
+      summary.errors++;
+      console.error('Payment reconciliation error:', error);
+    }
+  }
+
+  return summary;
+};
+
+// Start periodic reconciliation; returns a function that stops it
+export const startPaymentReconciler = (intervalMs = parseInt(process.env.PAYMENT_RECONCILER_INTERVAL_MS) || DEFAULT_RECONCILE_INTERVAL_MS) => {
+  let running = false;
+  let since = null;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    const startedAt = new Date();
+    try {
+      const summary = await reconcilePayments({ since, now: startedAt });
+      since = startedAt;
+      if (summary.updated > 0 || summary.corrected > 0) {
+        console.log(`💳 Payment reconciler: ${summary.updated} payment(s) updated, ${summary.corrected} payment summaries corrected`);
+      }
+    } catch (error) {
+      console.error('Payment reconciler error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  tick();
+
+  return () => clearInterval(timer);
+};
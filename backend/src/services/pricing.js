@@ -0,0 +1,286 @@
+import Tariff from '../models/Tariff.js';
+import Quote from '../models/Quote.js';
+import { resolveBranch } from './dispatchEngine.js';
+import { getRouteDistanceKm } from './eta.js';
+import { getOperatingTimezone } from './operatingTimezone.js';
+
+const DEFAULT_QUOTE_VALIDITY_MINUTES = 30;
+const DEFAULT_DURATION_HOURS = 4;
+// Line items that make up the rates; every other item is a surcharge
+const RATE_ITEM_CODES = ['base', 'distance', 'time', 'minimum'];
+
+const pricingError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const hasCoordinates = (point) => {
+  return Number.isFinite(point?.coordinates?.latitude) && Number.isFinite(point?.coordinates?.longitude);
+};
+
+const formatHour = (hour) => `${hour.toString().padStart(2, '0')}:00`;
+
+export const getQuoteValidityMinutes = () => {
+  return parseInt(process.env.QUOTE_VALIDITY_MINUTES) || DEFAULT_QUOTE_VALIDITY_MINUTES;
+};
+
+// Hour (0-23) and short weekday of a moment in the operating timezone
+const getLocalTime = (date) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: getOperatingTimezone(),
+    hour: 'numeric',
+    hourCycle: 'h23',
+    weekday: 'short'
+  }).formatToParts(date);
+  const value = (type) => parts.find(part => part.type === type).value;
+  return { hour: parseInt(value('hour')), weekday: value('weekday') };
+};
+
+const isNightHour = (hour, { startHour, endHour }) => {
+  if (startHour <= endHour) return hour >= startHour && hour < endHour;
+  return hour >= startHour || hour < endHour;
+};
+
+// Distance from origin through the waypoints to destination, or null without coordinates for both ends
+export const getBookingDistanceKm = async (route = {}) => {
+  if (!hasCoordinates(route.origin) || !hasCoordinates(route.destination)) return null;
+
+  const waypoints = (route.waypoints || [])
+    .filter(hasCoordinates)
+    .sort((a, b) => (a.order || 0) - (b.order || 0));
+  const points = [route.origin, ...waypoints, route.destination].map(point => point.coordinates);
+  return Math.round((await getRouteDistanceKm(points)) * 10) / 10;
+};
+
+const getSurcharges = (tariff, { startDate, priority, cargoWeight }) => {
+  const { night, weekend, urgent, heavyCargo } = tariff.surcharges;
+  const { hour, weekday } = getLocalTime(startDate);
+
+  return [
+    {
+      code: 'night',
+      description: `Night surcharge, ${formatHour(night.startHour)}-${formatHour(night.endHour)}`,
+      percent: night.percent,
+      applies: isNightHour(hour, night)
+    },
+    {
+      code: 'weekend',
+      description: 'Weekend surcharge',
+      percent: weekend.percent,
+      applies: ['Sat', 'Sun'].includes(weekday)
+    },
+    {
+      code: 'urgent',
+      description: 'Urgent priority surcharge',
+      percent: urgent.percent,
+      applies: priority === 'urgent'
+    },
+    {
+      code: 'heavy-cargo',
+      description: `Heavy cargo surcharge, over ${heavyCargo.thresholdKg} kg`,
+      percent: heavyCargo.percent,
+      applies: cargoWeight > heavyCargo.thresholdKg
+    }
+  ].filter(surcharge => surcharge.applies && surcharge.percent > 0);
+};
+
+// Itemise a booking's price under a tariff. `details` holds startDate, priority, estimatedDuration
+// (hours), distanceKm and cargoWeight (kg).
+export const priceBooking = (tariff, details) => {
+  const lineItems = [{ code: 'base', description: 'Base fare', amount: round(tariff.baseRate) }];
+
+  if (tariff.distanceRate && details.distanceKm) {
+    lineItems.push({
+      code: 'distance',
+      description: `Distance (${details.distanceKm} km)`,
+      quantity: details.distanceKm,
+      unitPrice: tariff.distanceRate,
+      amount: round(details.distanceKm * tariff.distanceRate)
+    });
+  }
+
+  if (tariff.timeRate && details.estimatedDuration) {
+    lineItems.push({
+      code: 'time',
+      description: `Time (${details.estimatedDuration} h)`,
+      quantity: details.estimatedDuration,
+      unitPrice: tariff.timeRate,
+      amount: round(details.estimatedDuration * tariff.timeRate)
+    });
+  }
+
+  const charges = round(lineItems.reduce((sum, item) => sum + item.amount, 0));
+  if (charges < tariff.minimumCharge) {
+    lineItems.push({
+      code: 'minimum',
+      description: 'Minimum charge top-up',
+      amount: round(tariff.minimumCharge - charges)
+    });
+  }
+
+  const subtotal = Math.max(charges, tariff.minimumCharge);
+  getSurcharges(tariff, details).forEach(surcharge => {
+    lineItems.push({
+      code: surcharge.code,
+      description: `${surcharge.description} (${surcharge.percent}%)`,
+      amount: round(subtotal * surcharge.percent / 100)
+    });
+  });
+
+  return {
+    lineItems,
+    totalAmount: round(lineItems.reduce((sum, item) => sum + item.amount, 0))
+  };
+};
+
+// Price a booking request for a customer and keep the result for QUOTE_VALIDITY_MINUTES
+export const createQuote = async (customer, input, now = new Date()) => {
+  const startDate = new Date(input.schedule.startDate);
+  if (startDate < now) {
+    throw pricingError('The start date must be in the future', 400);
+  }
+
+  const route = input.route || {};
+  const priority = input.priority || 'medium';
+  let branch = input.branch || null;
+  if (!branch && hasCoordinates(route.origin)) {
+    branch = (await resolveBranch(route.origin.coordinates))?._id || null;
+  }
+
+  const tariff = await Tariff.findApplicable({ serviceType: input.serviceType, branch, priority });
+  if (!tariff) {
+    throw pricingError(`No tariff is set up for ${input.serviceType} bookings`, 422);
+  }
+
+  const distanceKm = await getBookingDistanceKm(route);
+  if (distanceKm === null && tariff.distanceRate > 0) {
+    throw pricingError('Origin and destination coordinates are needed to price this booking', 400);
+  }
+
+  const details = {
+    startDate,
+    priority,
+    estimatedDuration: input.schedule.estimatedDuration || DEFAULT_DURATION_HOURS,
+    distanceKm,
+    cargoWeight: input.cargo?.weight ?? null
+  };
+  const { lineItems, totalAmount } = priceBooking(tariff, details);
+
+  return Quote.create({
+    customer: customer._id,
+    tariff: tariff._id,
+    serviceType: input.serviceType,
+    branch,
+    route,
+    ...details,
+    rates: {
+      baseRate: tariff.baseRate,
+      distanceRate: tariff.distanceRate,
+      timeRate: tariff.timeRate,
+      minimumCharge: tariff.minimumCharge
+    },
+    surcharges: tariff.toObject().surcharges,
+    lineItems,
+    totalAmount,
+    currency: tariff.currency,
+    expiresAt: new Date(now.getTime() + getQuoteValidityMinutes() * 60 * 1000)
+  });
+};
+
+// The customer's quote, if it can still be booked
+export const getBookableQuote = async (quoteId, customerId, now = new Date()) => {
+  const quote = await Quote.findOne({ _id: quoteId, customer: customerId });
+  if (!quote) {
+    throw pricingError('Quote not found', 404);
+  }
+  if (quote.booking) {
+    throw pricingError('This quote has already been booked', 409);
+  }
+  if (quote.isExpired(now)) {
+    throw pricingError('This quote has expired; request a new one', 410);
+  }
+  return quote;
+};
+
+// Everything a booking takes from its quote: what was priced and the price itself
+export const getBookingFieldsFromQuote = (quote) => {
+  const { rates, surcharges, route } = quote.toObject();
+  const endDate = new Date(quote.startDate.getTime() + quote.estimatedDuration * 60 * 60 * 1000);
+
+  return {
+    serviceType: quote.serviceType,
+    priority: quote.priority,
+    branch: quote.branch || undefined,
+    schedule: {
+      startDate: quote.startDate,
+      endDate,
+      estimatedDuration: quote.estimatedDuration
+    },
+    route: {
+      ...route,
+      ...(quote.distanceKm !== null && { estimatedDistance: quote.distanceKm })
+    },
+    pricing: {
+      ...rates,
+      surcharges,
+      additionalCharges: quote.lineItems
+        .filter(item => !RATE_ITEM_CODES.includes(item.code))
+        .map(({ code, description, amount }) => ({ code, description, amount })),
+      totalAmount: quote.totalAmount,
+      currency: quote.currency,
+      tariff: quote.tariff,
+      quote: quote._id
+    }
+  };
+};
+
+// A booking's price for a new start: the rates and surcharge rules it was quoted with, so moving a
+// booking into a night or weekend slot is charged for it. Bookings quoted before the rules were
+// kept use their tariff's rules. Null when there are no rules to price with; the price stays.
+export const repriceBooking = async (booking, startDate) => {
+  let surcharges = booking.pricing.surcharges?.toObject();
+  if (!surcharges && booking.pricing.tariff) {
+    surcharges = (await Tariff.findById(booking.pricing.tariff))?.toObject().surcharges;
+  }
+  if (!surcharges) return null;
+
+  const { baseRate, distanceRate, timeRate, minimumCharge } = booking.pricing;
+  const { lineItems, totalAmount } = priceBooking(
+    { baseRate, distanceRate, timeRate, minimumCharge, surcharges },
+    {
+      startDate,
+      priority: booking.priority,
+      estimatedDuration: booking.schedule.estimatedDuration || DEFAULT_DURATION_HOURS,
+      distanceKm: booking.route?.estimatedDistance ?? null,
+      cargoWeight: booking.cargo?.weight ?? null
+    }
+  );
+
+  return {
+    additionalCharges: lineItems
+      .filter(item => !RATE_ITEM_CODES.includes(item.code))
+      .map(({ code, description, amount }) => ({ code, description, amount })),
+    totalAmount
+  };
+};
+
+// Tie the quote to a booking so it can't be used again
+export const lockQuote = async (quote, bookingId, now = new Date()) => {
+  const locked = await Quote.findOneAndUpdate(
+    { _id: quote._id, booking: null, expiresAt: { $gt: now } },
+    { booking: bookingId },
+    { new: true }
+  );
+  if (!locked) {
+    throw pricingError('This quote has expired or has already been booked', 409);
+  }
+  return locked;
+};
+
+// Undo lockQuote when the booking could not be saved
+export const releaseQuote = (quote, bookingId) => {
+  return Quote.updateOne({ _id: quote._id, booking: bookingId }, { booking: null });
+};
@@ -0,0 +1,186 @@
+import Truck from '../models/Truck.js';
+import User from '../models/User.js';
+import PickupRequest from '../models/PickupRequest.js';
+import Booking from '../models/Booking.js';
+import { subscribe } from './eventBus.js';
+
+// Socket rooms. Membership comes from the authenticated user, never from the client:
+//   user-<userId>    every user, for their own notifications
+//   admin-room       admin roles
+//   truck-<truckId>  the driver(s) of a truck
+export const userRoom = (userId) => `user-${userId}`;
+export const truckRoom = (truckId) => `truck-${truckId}`;
+
+// Job statuses during which a customer may follow the truck serving them
+const TRACKABLE_PICKUP_STATUSES = ['dispatched', 'en-route', 'at-location'];
+const TRACKABLE_BOOKING_STATUSES = ['assigned', 'at-location', 'in_progress'];
+
+export const getDrivenTrucks = (user) => {
+  return Truck.findDrivenBy(user).select('_id');
+};
+
+export const joinSocketRooms = async (socket) => {
+  const { user } = socket.data;
+  const rooms = [userRoom(user._id)];
+
+  if (user.isAdminUser()) {
+    rooms.push('admin-room');
+  }
+  for (const truck of await getDrivenTrucks(user)) {
+    rooms.push(truckRoom(truck._id));
+  }
+
+  socket.join(rooms);
+  return rooms;
+};
+
+// Customers whose pickup or booking the truck is serving right now
+export const getTruckCustomers = async (truckId) => {
+  const [pickups, bookings] = await Promise.all([
+    PickupRequest.find({ assignedTruck: truckId, status: { $in: TRACKABLE_PICKUP_STATUSES } }).select('userId'),
+    Booking.find({ truck: truckId, status: { $in: TRACKABLE_BOOKING_STATUSES } }).select('customer')
+  ]);
+
+  return [...new Set([
+    ...pickups.map(pickup => pickup.userId.toString()),
+    ...bookings.map(booking => booking.customer.toString())
+  ])];
+};
+
+// Truck position and status go to admins, the truck's driver and the customers it is serving
+const truckAudience = async (truckId) => {
+  const customers = await getTruckCustomers(truckId);
+  return ['admin-room', truckRoom(truckId), ...customers.map(userRoom)];
+};
+
+// The driver's personal room, which works even if they were given the truck after connecting
+const driverRooms = async (truckId) => {
+  const truck = await Truck.findById(truckId).select('driver.user driver.email');
+  if (truck?.driver?.user) return [userRoom(truck.driver.user)];
+  if (!truck?.driver?.email) return [];
+  const driver = await User.findOne({ email: truck.driver.email }).select('_id');
+  return driver ? [userRoom(driver._id)] : [];
+};
+
+const without = (data, ...keys) => Object.fromEntries(
+  Object.entries(data).filter(([key]) => !keys.includes(key))
+);
+
+// Admins and the assigned mechanic follow work orders
+const workOrderRoute = (event) => (data) => [{
+  rooms: ['admin-room', ...(data.mechanicId ? [userRoom(data.mechanicId)] : [])],
+  event,
+  payload: without(data, 'mechanicId')
+}];
+
+// Domain event -> socket messages ({ rooms, event, payload }). Event and payload names are the
+// ones the frontend already listens for.
+const socketRoutes = {
+  'booking.created': (data) => [{ rooms: ['admin-room'], event: 'booking-created', payload: data }],
+  'booking.status-changed': (data) => [
+    { rooms: [userRoom(data.customerId)], event: 'booking-status-updated', payload: without(data, 'customerId') }
+  ],
+  'booking.assigned': (data) => [
+    {
+      rooms: [userRoom(data.customerId)],
+      event: 'booking-assigned',
+      payload: { bookingId: data.bookingId, truck: data.truck, driver: data.driver, timestamp: data.timestamp }
+    },
+    ...(data.driverId ? [{
+      rooms: [userRoom(data.driverId)],
+      event: 'booking-assigned-to-driver',
+      payload: { bookingId: data.bookingId, bookingNumber: data.bookingNumber, timestamp: data.timestamp }
+    }] : [])
+  ],
+  // The customer, admins and the booking's driver all see the new slot
+  'booking.rescheduled': (data) => [{
+    rooms: [userRoom(data.customerId), 'admin-room', ...(data.driverId ? [userRoom(data.driverId)] : [])],
+    event: 'booking-rescheduled',
+    payload: without(data, 'customerId', 'driverId')
+  }],
+  'dispatch.updated': (data) => [{ rooms: ['admin-room'], event: 'dispatch-updated', payload: data }],
+  'dispatch.offered': async (data) => [
+    { rooms: await driverRooms(data.truckId), event: 'dispatch-offer', payload: without(data, 'truckId') }
+  ],
+  'dispatch.offer-withdrawn': async (data) => [
+    { rooms: await driverRooms(data.truckId), event: 'dispatch-offer-withdrawn', payload: without(data, 'truckId') }
+  ],
+  'dispatch.needs-attention': (data) => [{ rooms: ['admin-room'], event: 'dispatch-needs-attention', payload: data }],
+  'geofence.triggered': (data) => [{
+    rooms: ['admin-room', ...(data.customerId ? [userRoom(data.customerId)] : [])],
+    event: 'geofence-event',
+    payload: without(data, 'customerId')
+  }],
+  'inventory.low-stock': (data) => [{ rooms: ['admin-room'], event: 'inventory-low-stock', payload: data }],
+  'invoice.issued': (data) => [
+    { rooms: [userRoom(data.customerId)], event: 'invoice-issued', payload: without(data, 'customerId') }
+  ],
+  'location.shared': (data) => [{ rooms: ['admin-room'], event: 'location-shared', payload: data }],
+  'maintenance.reminder-raised': (data) => [
+    { rooms: [userRoom(data.ownerId)], event: 'maintenance-reminder', payload: data.reminder }
+  ],
+  // Staff messages go to the customer; customer messages go to every admin
+  'message.sent': (data) => [{
+    rooms: [data.recipientId ? userRoom(data.recipientId) : 'admin-room'],
+    event: 'message-received',
+    payload: data.message
+  }],
+  'payment.status-changed': (data) => [
+    { rooms: [userRoom(data.customerId), 'admin-room'], event: 'payment-updated', payload: without(data, 'customerId') }
+  ],
+  'pickup.created': (data) => [{ rooms: ['admin-room'], event: 'pickup-request-received', payload: data }],
+  'pickup.status-changed': (data) => [
+    { rooms: [userRoom(data.userId)], event: 'pickup-status-updated', payload: without(data, 'userId') }
+  ],
+  'pickup.eta-updated': (data) => [
+    { rooms: [userRoom(data.userId), 'admin-room'], event: 'eta-updated', payload: without(data, 'userId') }
+  ],
+  'service-request.created': (data) => [{ rooms: ['admin-room'], event: 'service-request-created', payload: data }],
+  'service-request.status-changed': (data) => [
+    { rooms: [userRoom(data.customerId)], event: 'service-request-updated', payload: without(data, 'customerId') }
+  ],
+  'service-request.assigned': (data) => [
+    { rooms: [userRoom(data.mechanicId)], event: 'service-request-assigned', payload: without(data, 'mechanicId') }
+  ],
+  'service-request.cancelled': (data) => [{ rooms: ['admin-room'], event: 'service-request-updated', payload: data }],
+  'truck.dispatched': (data) => [
+    { rooms: [userRoom(data.userId)], event: 'truck-dispatch-update', payload: without(data, 'userId') }
+  ],
+  'truck.location-changed': async (data) => [
+    { rooms: await truckAudience(data.truckId), event: 'truck-location-updated', payload: data }
+  ],
+  'truck.status-changed': async (data) => [
+    { rooms: await truckAudience(data.truckId), event: 'truck-status-updated', payload: data }
+  ],
+  'truck.assigned': async (data) => [
+    { rooms: await truckAudience(data.truckId), event: 'truck-assigned', payload: data }
+  ],
+  'truck.assignment-completed': async (data) => [
+    { rooms: await truckAudience(data.truckId), event: 'truck-assignment-completed', payload: data }
+  ],
+  'truck.signal-lost': (data) => [{ rooms: ['admin-room'], event: 'truck-signal-lost', payload: data }],
+  'truck.signal-restored': (data) => [{ rooms: ['admin-room'], event: 'truck-signal-restored', payload: data }],
+  'work-order.created': workOrderRoute('work-order-created'),
+  'work-order.assigned': workOrderRoute('work-order-assigned'),
+  'work-order.updated': workOrderRoute('work-order-updated')
+};
+
+// Turn domain events into socket messages on this server. With a cluster adapter configured,
+// io.to(rooms) also reaches clients connected to the other instances.
+export const attachRealtime = (io) => {
+  const unsubscribers = Object.entries(socketRoutes).map(([type, route]) => subscribe(type, async ({ data }) => {
+    for (const { rooms, event, payload } of await route(data)) {
+      if (rooms.length > 0) {
+        io.to(rooms).emit(event, payload);
+      }
+    }
+  }));
+
+  return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+};
+
+// Only fleet managers, or drivers for the truck they drive, may report positions
+export const canPublishLocation = (user, truck) => {
+  return user.hasPermission('manage_trucks') ||
+    (user.hasPermission('update_location') && truck.isDrivenBy(user));
+};
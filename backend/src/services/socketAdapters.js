@@ -0,0 +1,170 @@
+import mongoose from 'mongoose';
+import { ClusterAdapterWithHeartbeat } from 'socket.io-adapter';
+
+// A socket adapter factory returns a Socket.IO adapter constructor, or null for Socket.IO's
+// built-in in-memory adapter. The adapter decides which server instances see an
+// io.to(rooms).emit(); with more than one instance behind a load balancer it must be a cluster
+// adapter, or clients only hear about changes made by the instance they are connected to.
+// Pick one with SOCKET_ADAPTER.
+
+const DEFAULT_COLLECTION = 'socketio_events';
+// Events only need to live long enough for every instance to read them
+const DEFAULT_TTL_SECONDS = 60 * 60;
+const RESTART_DELAY_MS = 5000;
+
+// Cluster adapter that exchanges messages through inserts into a MongoDB collection, read back
+// by every instance with a change stream. Change streams need a replica set (a single-node one
+// is enough).
+class ChangeStreamAdapter extends ClusterAdapterWithHeartbeat {
+  constructor(nsp, feed, opts) {
+    super(nsp, opts);
+    this.feed = feed;
+    feed.attach(this);
+    // Announce this instance so the others count it in serverCount() and expect its responses
+    this.init();
+  }
+
+  async doPublish(message) {
+    const { insertedId } = await this.feed.collection.insertOne({
+      type: 'message',
+      nsp: this.nsp.name,
+      message,
+      createdAt: new Date()
+    });
+    // Used as the offset for connection state recovery
+    return insertedId.toString();
+  }
+
+  async doPublishResponse(requesterUid, response) {
+    await this.feed.collection.insertOne({
+      type: 'response',
+      nsp: this.nsp.name,
+      requesterUid,
+      response,
+      createdAt: new Date()
+    });
+  }
+
+  receive(doc) {
+    if (doc.nsp !== this.nsp.name) return;
+
+    if (doc.type === 'response') {
+      if (doc.requesterUid === this.uid) {
+        this.onResponse(doc.response);
+      }
+    } else {
+      this.onMessage(doc.message, doc._id.toString());
+    }
+  }
+
+  close() {
+    super.close();
+    this.feed.detach(this);
+  }
+}
+
+// One change stream per process, shared by the adapters of every namespace
+const createChangeStreamFeed = (collection, { ttlSeconds, whenReady }) => {
+  const adapters = new Set();
+  let stream = null;
+
+  const start = async () => {
+    try {
+      await collection.createIndex({ createdAt: 1 }, { expireAfterSeconds: ttlSeconds });
+      stream = collection.watch([{ $match: { operationType: 'insert' } }]);
+      stream.on('change', (change) => {
+        for (const adapter of adapters) {
+          adapter.receive(change.fullDocument);
+        }
+      });
+      stream.on('error', (error) => {
+        console.error('Socket adapter change stream error:', error);
+        restart();
+      });
+    } catch (error) {
+      console.error('Socket adapter change stream error:', error);
+      restart();
+    }
+  };
+
+  const restart = () => {
+    if (stream) {
+      stream.removeAllListeners();
+      stream.close().catch(() => {});
+      stream = null;
+    }
+    if (adapters.size > 0) {
+      setTimeout(start, RESTART_DELAY_MS).unref();
+    }
+  };
+
+  return {
+    collection,
+    attach: (adapter) => {
+      adapters.add(adapter);
+      if (adapters.size === 1 && !stream) {
+        whenReady(start);
+      }
+    },
+    detach: (adapter) => {
+      adapters.delete(adapter);
+      if (adapters.size === 0 && stream) {
+        stream.removeAllListeners();
+        stream.close().catch(() => {});
+        stream = null;
+      }
+    }
+  };
+};
+
+// Build an adapter constructor around any collection with insertOne, watch and createIndex:
+// a MongoDB collection in production, or the in-memory one in test/support/localEventCollection.js
+export const createChangeStreamAdapter = (collection, {
+  ttlSeconds = DEFAULT_TTL_SECONDS,
+  whenReady = (start) => start(),
+  ...opts
+} = {}) => {
+  const feed = createChangeStreamFeed(collection, { ttlSeconds, whenReady });
+
+  return class extends ChangeStreamAdapter {
+    constructor(nsp) {
+      super(nsp, feed, opts);
+    }
+  };
+};
+
+const createMongoAdapter = () => {
+  const connection = mongoose.connection;
+  const collection = connection.collection(process.env.SOCKET_ADAPTER_COLLECTION || DEFAULT_COLLECTION);
+
+  return createChangeStreamAdapter(collection, {
+    ttlSeconds: parseInt(process.env.SOCKET_ADAPTER_TTL_SECONDS) || DEFAULT_TTL_SECONDS,
+    // The change stream can only be opened once the database connection is up
+    whenReady: (start) => (connection.readyState === 1 ? start() : connection.once('open', start))
+  });
+};
+
+const adapterFactories = {
+  memory: () => null,
+  mongo: createMongoAdapter
+};
+
+// Add another adapter (e.g. @socket.io/redis-adapter) under a SOCKET_ADAPTER name
+export const registerSocketAdapter = (name, factory) => {
+  adapterFactories[name] = factory;
+};
+
+// Install the configured adapter on a Socket.IO server; returns the adapter name
+export const applySocketAdapter = (io) => {
+  const name = process.env.SOCKET_ADAPTER || 'memory';
+  const factory = adapterFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown socket adapter: ${name}`);
+  }
+
+  const adapter = factory();
+  if (adapter) {
+    io.adapter(adapter);
+  }
+  return name;
+};
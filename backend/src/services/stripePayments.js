@@ -0,0 +1,168 @@
+import Stripe from 'stripe';
+
+// Stripe takes amounts in the currency's smallest unit; these currencies have none below the unit
+const ZERO_DECIMAL_CURRENCIES = ['BIF', 'CLP', 'DJF', 'GNF', 'JPY', 'KMF', 'KRW', 'MGA', 'PYG', 'RWF', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF'];
+
+// Payment status for each PaymentIntent status; requires_payment_method is decided by whether
+// an attempt has failed
+const INTENT_STATUSES = {
+  requires_confirmation: 'pending',
+  requires_action: 'pending',
+  processing: 'processing',
+  requires_capture: 'processing',
+  succeeded: 'succeeded',
+  canceled: 'cancelled'
+};
+
+const REFUND_STATUSES = {
+  pending: 'pending',
+  requires_action: 'pending',
+  succeeded: 'succeeded',
+  failed: 'failed',
+  canceled: 'cancelled'
+};
+
+const INTENT_EVENTS = ['payment_intent.succeeded', 'payment_intent.processing', 'payment_intent.payment_failed', 'payment_intent.canceled'];
+const REFUND_EVENTS = ['refund.created', 'refund.updated', 'refund.failed'];
+
+const paymentError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Card declines go back to the customer as they are; anything else Stripe says is a gateway problem
+const providerError = (error) => {
+  if (!error.type?.startsWith('Stripe')) return error;
+  return paymentError(error.message, error.type === 'StripeCardError' ? 402 : 502);
+};
+
+let stripeClient = null;
+
+// STRIPE_API_HOST, STRIPE_API_PORT and STRIPE_API_PROTOCOL point the client at another server,
+// such as a local stripe-mock
+export const getStripe = () => {
+  if (!process.env.STRIPE_SECRET_KEY) {
+    throw paymentError('Card payments are not configured', 503);
+  }
+  if (!stripeClient) {
+    stripeClient = new Stripe(process.env.STRIPE_SECRET_KEY, {
+      ...(process.env.STRIPE_API_HOST && { host: process.env.STRIPE_API_HOST }),
+      ...(process.env.STRIPE_API_PORT && { port: process.env.STRIPE_API_PORT }),
+      ...(process.env.STRIPE_API_PROTOCOL && { protocol: process.env.STRIPE_API_PROTOCOL })
+    });
+  }
+  return stripeClient;
+};
+
+const callStripe = async (request) => {
+  try {
+    return await request(getStripe());
+  } catch (error) {
+    throw providerError(error);
+  }
+};
+
+export const toMinorUnits = (amount, currency) => {
+  return ZERO_DECIMAL_CURRENCIES.includes(currency.toUpperCase()) ? Math.round(amount) : Math.round(amount * 100);
+};
+
+export const fromMinorUnits = (amount, currency) => {
+  return ZERO_DECIMAL_CURRENCIES.includes(currency.toUpperCase()) ? amount : amount / 100;
+};
+
+const toPaymentUpdate = (intent) => {
+  let status = INTENT_STATUSES[intent.status];
+  if (intent.status === 'requires_payment_method') {
+    status = intent.last_payment_error ? 'failed' : 'pending';
+  }
+  return { status, failureMessage: intent.last_payment_error?.message };
+};
+
+const toRefundUpdate = (refund) => ({
+  providerReference: refund.id,
+  amount: fromMinorUnits(refund.amount, refund.currency),
+  status: REFUND_STATUSES[refund.status]
+});
+
+// Card payments through Stripe PaymentIntents; the customer's browser completes them with the
+// client secret
+export const stripeProvider = {
+  label: 'Card',
+  isConfigured: () => Boolean(process.env.STRIPE_SECRET_KEY),
+
+  start: async (payment, payable) => {
+    const intent = await callStripe(stripe => stripe.paymentIntents.create({
+      amount: toMinorUnits(payment.amount, payment.currency),
+      currency: payment.currency.toLowerCase(),
+      description: payable.description,
+      payment_method_types: ['card'],
+      metadata: {
+        paymentId: payment._id.toString(),
+        ...(payable.target.booking && { bookingId: payable.target.booking.toString() }),
+        ...(payable.target.serviceRequest && { serviceRequestId: payable.target.serviceRequest.toString() })
+      }
+    }, { idempotencyKey: `payment-${payment._id}` }));
+
+    return { providerReference: intent.id, clientSecret: intent.client_secret };
+  },
+
+  resume: async (payment) => {
+    if (!payment.providerReference) return {};
+    const intent = await callStripe(stripe => stripe.paymentIntents.retrieve(payment.providerReference));
+    return { clientSecret: intent.client_secret };
+  },
+
+  // Cancelled intents can't be confirmed with their client secret any more
+  cancel: async (payment) => {
+    try {
+      await getStripe().paymentIntents.cancel(payment.providerReference);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  },
+
+  fetchStatus: async (payment) => {
+    const intent = await callStripe(stripe => stripe.paymentIntents.retrieve(payment.providerReference));
+    return toPaymentUpdate(intent);
+  },
+
+  refund: async (payment, amount, { reason, requestedBy, idempotencyKey }) => {
+    const refund = await callStripe(stripe => stripe.refunds.create({
+      payment_intent: payment.providerReference,
+      amount: toMinorUnits(amount, payment.currency),
+      metadata: {
+        paymentId: payment._id.toString(),
+        requestedBy: requestedBy.toString(),
+        ...(reason && { reason: reason.slice(0, 500) })
+      }
+    }, { idempotencyKey: `refund-${payment._id}-${idempotencyKey}` }));
+
+    return toRefundUpdate(refund);
+  },
+
+  // Checked against the Stripe-Signature header, so the route must hand over the raw body.
+  // Refunds made in the Stripe dashboard come through here too.
+  parseWebhook: async (req) => {
+    if (!process.env.STRIPE_WEBHOOK_SECRET) {
+      throw paymentError('Stripe webhooks are not configured', 503);
+    }
+
+    let event;
+    try {
+      event = Stripe.webhooks.constructEvent(req.body, req.get('Stripe-Signature'), process.env.STRIPE_WEBHOOK_SECRET);
+    } catch (error) {
+      throw paymentError(`Webhook signature verification failed: ${error.message}`, 400);
+    }
+
+    const object = event.data.object;
+    if (INTENT_EVENTS.includes(event.type)) {
+      return { id: event.id, type: event.type, reference: object.id, update: toPaymentUpdate(object) };
+    }
+    if (REFUND_EVENTS.includes(event.type) && object.payment_intent) {
+      return { id: event.id, type: event.type, reference: object.payment_intent, refund: toRefundUpdate(object) };
+    }
+    return null;
+  }
+};
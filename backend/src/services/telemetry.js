@@ -0,0 +1,169 @@
+import Truck from '../models/Truck.js';
+import TruckTelemetry from '../models/TruckTelemetry.js';
+import { publish } from './eventBus.js';
+import { evaluateGeofences } from './geofencing.js';
+import { updateEtasForTruck } from './eta.js';
+import { restoreSignal } from './truckWatchdog.js';
+
+export const MAX_BATCH_SIZE = 500;
+// Device clocks drift; fixes stamped further ahead than this are clamped to now
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const optionalNumber = (value) => (value === undefined || value === null || value === '' ? undefined : Number(value));
+
+export const normalizePoint = (point, source, now = new Date()) => {
+  let recordedAt = point.recordedAt ? new Date(point.recordedAt) : now;
+  if (recordedAt.getTime() - now.getTime() > MAX_CLOCK_SKEW_MS) {
+    recordedAt = now;
+  }
+
+  return {
+    recordedAt,
+    latitude: Number(point.latitude),
+    longitude: Number(point.longitude),
+    speed: optionalNumber(point.speed),
+    heading: optionalNumber(point.heading),
+    accuracy: optionalNumber(point.accuracy),
+    source: point.source || source
+  };
+};
+
+// Store a batch of fixes for a truck and move its current location to the newest one.
+// Late batches (e.g. a driver coming back online) fill in the track without moving the truck backwards.
+export const ingestTelemetry = async (truck, points, { source = 'device', address } = {}) => {
+  const now = new Date();
+  const docs = points
+    .map(point => ({ truck: truck._id, ...normalizePoint(point, source, now) }))
+    .sort((a, b) => a.recordedAt - b.recordedAt);
+
+  if (docs.length === 0) {
+    return { accepted: 0, truck, moved: false };
+  }
+
+  // Unordered, so one bad point doesn't drop the rest; only points that were stored count
+  const inserted = await TruckTelemetry.insertMany(docs, { ordered: false })
+    .catch(error => {
+      if (!error.writeErrors) throw error;
+      console.error(`Telemetry for truck ${truck._id}: ${error.writeErrors.length} point(s) not stored`);
+      return error.insertedDocs;
+    });
+
+  if (inserted.length === 0) {
+    return { accepted: 0, truck, moved: false };
+  }
+
+  const latest = inserted[inserted.length - 1];
+  const currentTimestamp = truck.currentLocation?.timestamp;
+  const moved = !currentTimestamp || latest.recordedAt >= currentTimestamp;
+
+  if (moved) {
+    await truck.updateLocation(latest.latitude, latest.longitude, address ?? '', latest.recordedAt);
+  } else {
+    truck.lastSeen = now;
+    await Truck.updateOne({ _id: truck._id }, { lastSeen: now });
+  }
+
+  // Back from a silence the watchdog noticed
+  await restoreSignal(truck, now);
+
+  return { accepted: inserted.length, truck, moved };
+};
+
+// Announce a truck's new position, then check it against geofences and refresh customer ETAs.
+// Neither follow-up may fail the fix, which is already stored.
+export const publishLocation = async (truck) => {
+  const { latitude, longitude, address, timestamp } = truck.currentLocation;
+  await publish('truck.location-changed', {
+    truckId: truck._id,
+    location: { latitude, longitude, address, timestamp },
+    status: truck.status
+  });
+
+  await evaluateGeofences(truck)
+    .catch(error => console.error('Geofence evaluation error:', error));
+  // After geofencing, so a truck that just arrived no longer gets an ETA
+  await updateEtasForTruck(truck)
+    .catch(error => console.error('ETA update error:', error));
+};
+
+// Distance travelled along a track, in kilometres
+export const trackDistanceKm = (points) => {
+  let total = 0;
+  for (let i = 1; i < points.length; i++) {
+    total += Truck.calculateDistance(
+      points[i - 1].latitude,
+      points[i - 1].longitude,
+      points[i].latitude,
+      points[i].longitude
+    );
+  }
+  return Math.round(total * 100) / 100;
+};
+
+export const summarizeTrack = (points) => {
+  if (points.length === 0) {
+    return { points: 0, distanceKm: 0, startedAt: null, endedAt: null, maxSpeed: null };
+  }
+
+  const speeds = points.map(point => point.speed).filter(speed => speed !== undefined && speed !== null);
+  return {
+    points: points.length,
+    distanceKm: trackDistanceKm(points),
+    startedAt: points[0].recordedAt,
+    endedAt: points[points.length - 1].recordedAt,
+    maxSpeed: speeds.length ? Math.max(...speeds) : null
+  };
+};
+
+// Stationary spells along a track. Short ones are idling (traffic, loading); long ones are stops.
+export const detectStops = (points, {
+  radiusMeters = 50,
+  idleMinutes = 2,
+  stopMinutes = 10
+} = {}) => {
+  const spells = [];
+  let start = 0;
+
+  const closeSpell = (end) => {
+    const first = points[start];
+    const last = points[end];
+    const durationMinutes = (new Date(last.recordedAt) - new Date(first.recordedAt)) / 60000;
+    if (durationMinutes < idleMinutes) return;
+
+    spells.push({
+      type: durationMinutes >= stopMinutes ? 'stop' : 'idle',
+      latitude: first.latitude,
+      longitude: first.longitude,
+      arrivedAt: first.recordedAt,
+      departedAt: last.recordedAt,
+      durationMinutes: Math.round(durationMinutes)
+    });
+  };
+
+  for (let i = 1; i < points.length; i++) {
+    const metres = Truck.calculateDistance(
+      points[start].latitude,
+      points[start].longitude,
+      points[i].latitude,
+      points[i].longitude
+    ) * 1000;
+
+    if (metres > radiusMeters) {
+      closeSpell(i - 1);
+      start = i;
+    }
+  }
+  if (points.length > 1) {
+    closeSpell(points.length - 1);
+  }
+
+  return spells;
+};
+
+// Sync the collection's expiry with TELEMETRY_RETENTION_DAYS at startup
+export const applyTelemetryRetention = async () => {
+  const seconds = await TruckTelemetry.applyRetention();
+  console.log(seconds
+    ? `📍 Telemetry kept for ${Math.round(seconds / 86400)} day(s)`
+    : '📍 Telemetry kept indefinitely');
+};
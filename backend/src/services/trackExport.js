@@ -0,0 +1,79 @@
+// GPX 1.1 and KML 2.2 documents for a truck's recorded track
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const isoTime = (date) => new Date(date).toISOString();
+
+const trackName = (truck) => `${truck.truckId} (${truck.vehicle.licensePlate})`;
+
+const stopLabel = (stop) => `${stop.type === 'stop' ? 'Stop' : 'Idle'} ${stop.durationMinutes} min`;
+
+export const EXPORT_FORMATS = {
+  gpx: { contentType: 'application/gpx+xml', extension: 'gpx' },
+  kml: { contentType: 'application/vnd.google-earth.kml+xml', extension: 'kml' }
+};
+
+export const buildGpx = (truck, points, stops = []) => {
+  const waypoints = stops.map(stop => `  <wpt lat="${stop.latitude}" lon="${stop.longitude}">
+    <time>${isoTime(stop.arrivedAt)}</time>
+    <name>${escapeXml(stopLabel(stop))}</name>
+    <type>${stop.type}</type>
+  </wpt>`);
+
+  const trackPoints = points.map(point => `      <trkpt lat="${point.latitude}" lon="${point.longitude}">
+        <time>${isoTime(point.recordedAt)}</time>
+      </trkpt>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="AutoCare Pro" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata>
+    <name>${escapeXml(trackName(truck))}</name>
+    <time>${isoTime(new Date())}</time>
+  </metadata>
+${waypoints.join('\n')}${waypoints.length ? '\n' : ''}  <trk>
+    <name>${escapeXml(trackName(truck))}</name>
+    <trkseg>
+${trackPoints.join('\n')}
+    </trkseg>
+  </trk>
+</gpx>
+`;
+};
+
+export const buildKml = (truck, points, stops = []) => {
+  const placemarks = stops.map(stop => `    <Placemark>
+      <name>${escapeXml(stopLabel(stop))}</name>
+      <TimeSpan><begin>${isoTime(stop.arrivedAt)}</begin><end>${isoTime(stop.departedAt)}</end></TimeSpan>
+      <styleUrl>#${stop.type}</styleUrl>
+      <Point><coordinates>${stop.longitude},${stop.latitude}</coordinates></Point>
+    </Placemark>`);
+
+  // gx:Track keeps the timestamps so Google Earth can animate the trip
+  const whens = points.map(point => `        <when>${isoTime(point.recordedAt)}</when>`);
+  const coords = points.map(point => `        <gx:coord>${point.longitude} ${point.latitude} 0</gx:coord>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">
+  <Document>
+    <name>${escapeXml(trackName(truck))}</name>
+    <Style id="track"><LineStyle><color>ff2626dc</color><width>4</width></LineStyle></Style>
+    <Style id="stop"><IconStyle><color>ff0000ff</color></IconStyle></Style>
+    <Style id="idle"><IconStyle><color>ff00a5ff</color></IconStyle></Style>
+    <Placemark>
+      <name>${escapeXml(trackName(truck))}</name>
+      <styleUrl>#track</styleUrl>
+      <gx:Track>
+${whens.join('\n')}
+${coords.join('\n')}
+      </gx:Track>
+    </Placemark>
+${placemarks.join('\n')}
+  </Document>
+</kml>
+`;
+};
@@ -0,0 +1,113 @@
+import Truck, { getOfflineAfterMs } from '../models/Truck.js';
+import { publish } from './eventBus.js';
+
+const DEFAULT_CHECK_INTERVAL_MS = 60 * 1000;
+// Trucks already off the road on purpose are left alone
+const IGNORED_STATUSES = ['offline', 'maintenance'];
+
+const publishTruckStatus = (truck) => {
+  return publish('truck.status-changed', {
+    truckId: truck._id,
+    status: truck.status,
+    assignedRequest: truck.assignedRequest
+  });
+};
+
+// Take trucks that stopped reporting offline and tell the admins
+export const checkStaleTrucks = async (now = new Date()) => {
+  const summary = { markedOffline: 0, errors: 0 };
+  const cutoff = new Date(now.getTime() - getOfflineAfterMs());
+
+  const trucks = await Truck.find({
+    isActive: true,
+    status: { $nin: IGNORED_STATUSES },
+    lastSeen: { $lt: cutoff }
+  }).select('truckId status lastSeen');
+
+  for (const truck of trucks) {
+    try {
+      // A fix or a status change since the query wins
+      const updated = await Truck.findOneAndUpdate(
+        { _id: truck._id, status: truck.status, lastSeen: { $lt: cutoff } },
+        { status: 'offline', signalLost: { at: now, previousStatus: truck.status } },
+        { new: true }
+      );
+      if (!updated) continue;
+
+      summary.markedOffline++;
+      await publishTruckStatus(updated);
+      await publish('truck.signal-lost', {
+        truckId: updated._id,
+        truckName: updated.truckId,
+        licensePlate: updated.vehicle.licensePlate,
+        driver: updated.driver.name,
+        previousStatus: truck.status,
+        assignedRequest: updated.assignedRequest,
+        lastSeen: updated.lastSeen,
+        timestamp: now
+      });
+    } catch (error) {
+      summary.errors++;
+      console.error(`Truck watchdog error for truck ${truck._id}:`, error);
+    }
+  }
+
+  return summary;
+};
+
+// Called whenever a truck reports in. A truck the watchdog took offline goes back to the status
+// it had, unless someone has changed it since.
+export const restoreSignal = async (truck, now = new Date()) => {
+  if (!truck.signalLost?.at) return;
+
+  const { at, previousStatus } = truck.signalLost;
+  const restored = await Truck.findOneAndUpdate(
+    { _id: truck._id, 'signalLost.at': at, status: 'offline' },
+    { status: previousStatus, $unset: { signalLost: 1 } },
+    { new: true }
+  );
+  if (!restored) {
+    await Truck.updateOne({ _id: truck._id, 'signalLost.at': at }, { $unset: { signalLost: 1 } });
+    truck.signalLost = undefined;
+    return;
+  }
+
+  truck.status = restored.status;
+  truck.signalLost = undefined;
+
+  await publishTruckStatus(restored);
+  await publish('truck.signal-restored', {
+    truckId: restored._id,
+    truckName: restored.truckId,
+    licensePlate: restored.vehicle.licensePlate,
+    status: restored.status,
+    signalLostAt: at,
+    timestamp: now
+  });
+};
+
+// Start the periodic silence check; returns a function that stops it
+export const startTruckWatchdog = (intervalMs = parseInt(process.env.TRUCK_WATCHDOG_INTERVAL_MS) || DEFAULT_CHECK_INTERVAL_MS) => {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const summary = await checkStaleTrucks();
+      if (summary.markedOffline > 0) {
+        console.log(`📡 Truck watchdog: ${summary.markedOffline} silent truck(s) marked offline`);
+      }
+    } catch (error) {
+      console.error('Truck watchdog error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  tick();
+
+  return () => clearInterval(timer);
+};
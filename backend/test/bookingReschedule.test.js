@@ -0,0 +1,147 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Booking from '../src/models/Booking.js';
+import Tariff from '../src/models/Tariff.js';
+import Quote from '../src/models/Quote.js';
+import Payment from '../src/models/Payment.js';
+import { rescheduleBooking } from '../src/services/bookingSchedule.js';
+import { createQuote, getBookingFieldsFromQuote } from '../src/services/pricing.js';
+import { useMemoryDb } from './support/memoryDb.js';
+
+const { ObjectId } = mongoose.Types;
+
+const db = useMemoryDb(Booking, Tariff, Quote, Payment);
+const customer = { _id: new ObjectId() };
+const staff = { _id: new ObjectId(), hasPermission: () => true };
+const now = new Date('2030-01-01T08:00:00Z');
+// Nairobi is UTC+3: Monday 10:00, Monday 22:00 and Saturday 10:00 local time
+const MONDAY_MORNING = new Date('2030-01-07T07:00:00Z');
+const MONDAY_NIGHT = new Date('2030-01-07T19:00:00Z');
+const SATURDAY_MORNING = new Date('2030-01-05T07:00:00Z');
+let bookingCount = 0;
+
+after(() => db.restore());
+
+// 1000 base and 4 h at 250, with 25% at night and 10% at weekends
+const seedTariff = () => Tariff.create({
+  serviceType: 'delivery',
+  baseRate: 1000,
+  timeRate: 250,
+  currency: 'KES',
+  surcharges: { night: { percent: 25 }, weekend: { percent: 10 } }
+});
+
+// A booking made from a quote, as POST /bookings makes one
+const bookFromQuote = async (startDate) => {
+  const quote = await createQuote(customer, {
+    serviceType: 'delivery',
+    schedule: { startDate, estimatedDuration: 4 }
+  }, now);
+  const booking = new Booking({
+    ...getBookingFieldsFromQuote(quote),
+    bookingNumber: `BK-MOVE-${++bookingCount}`,
+    customer: customer._id,
+    truck: new ObjectId(),
+    status: 'confirmed'
+  });
+  await booking.save();
+  return booking;
+};
+
+const payFor = async (booking, amount) => {
+  await Payment.collection.insertOne({
+    customer: customer._id,
+    booking: booking._id,
+    provider: 'stripe',
+    idempotencyKey: `paid-${booking.bookingNumber}`,
+    amount,
+    amountRefunded: 0,
+    currency: 'KES',
+    status: 'succeeded'
+  });
+  await Booking.updateOne({ _id: booking._id }, { payment: { status: 'paid', amountPaid: amount, paidAt: now } });
+  return Booking.findById(booking._id);
+};
+
+test('moving a booking into a night slot adds the night surcharge it was quoted with', async () => {
+  db.clear();
+  const tariff = await seedTariff();
+  const booking = await payFor(await bookFromQuote(MONDAY_MORNING), 2000);
+  // Raised after the booking was quoted
+  await Tariff.updateOne({ _id: tariff._id }, { baseRate: 1500, 'surcharges.night.percent': 50 });
+
+  await rescheduleBooking(booking, { startDate: MONDAY_NIGHT }, staff, now);
+
+  const stored = await Booking.findById(booking._id);
+  assert.equal(stored.pricing.totalAmount, 2500);
+  assert.deepEqual(
+    stored.pricing.additionalCharges.map(({ code, amount }) => ({ code, amount })),
+    [{ code: 'night', amount: 500 }]
+  );
+  assert.match(stored.timeline.at(-1).notes, /price KES 2000 -> 2500/);
+  assert.equal(stored.payment.status, 'partially_paid');
+});
+
+test('moving an unpaid booking out of the weekend drops the surcharge', async () => {
+  db.clear();
+  await seedTariff();
+  const booking = await bookFromQuote(SATURDAY_MORNING);
+  assert.equal(booking.pricing.totalAmount, 2200);
+
+  await rescheduleBooking(booking, { startDate: MONDAY_MORNING }, staff, now);
+
+  const stored = await Booking.findById(booking._id);
+  assert.equal(stored.pricing.totalAmount, 2000);
+  assert.equal(stored.pricing.additionalCharges.length, 0);
+});
+
+test('a move that would price a paid booking under what was paid is refused', async () => {
+  db.clear();
+  await seedTariff();
+  const booking = await payFor(await bookFromQuote(SATURDAY_MORNING), 2200);
+
+  await assert.rejects(rescheduleBooking(booking, { startDate: MONDAY_MORNING }, staff, now), { statusCode: 409 });
+
+  const stored = await Booking.findById(booking._id);
+  assert.equal(stored.schedule.startDate.getTime(), SATURDAY_MORNING.getTime());
+  assert.equal(stored.pricing.totalAmount, 2200);
+});
+
+// A booking made before bookings kept their surcharge rules
+const seedLegacyBooking = async (tariffId) => {
+  const _id = new ObjectId();
+  await Booking.collection.insertOne({
+    _id,
+    bookingNumber: `BK-MOVE-${++bookingCount}`,
+    customer: customer._id,
+    truck: new ObjectId(),
+    serviceType: 'delivery',
+    status: 'confirmed',
+    schedule: { startDate: MONDAY_MORNING, estimatedDuration: 4 },
+    pricing: { baseRate: 1000, timeRate: 250, totalAmount: 2000, currency: 'KES', tariff: tariffId }
+  });
+  return Booking.findById(_id);
+};
+
+test('a booking quoted before its rules were kept is repriced with its tariff\'s rules', async () => {
+  db.clear();
+  const tariff = await seedTariff();
+  const booking = await seedLegacyBooking(tariff._id);
+
+  await rescheduleBooking(booking, { startDate: MONDAY_NIGHT }, staff, now);
+
+  const stored = await Booking.findById(booking._id);
+  assert.equal(stored.pricing.totalAmount, 2500);
+});
+
+test('a booking with no surcharge rules or tariff to price it moves at its price', async () => {
+  db.clear();
+  const booking = await seedLegacyBooking(new ObjectId());
+
+  await rescheduleBooking(booking, { startDate: MONDAY_NIGHT }, staff, now);
+
+  const stored = await Booking.findById(booking._id);
+  assert.equal(stored.schedule.startDate.getTime(), MONDAY_NIGHT.getTime());
+  assert.equal(stored.pricing.totalAmount, 2000);
+});
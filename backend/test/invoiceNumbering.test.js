@@ -0,0 +1,80 @@
+import { test, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Invoice from '../src/models/Invoice.js';
+import Counter from '../src/models/Counter.js';
+import { useMemoryDb } from './support/memoryDb.js';
+
+const { ObjectId } = mongoose.Types;
+
+const db = useMemoryDb(Invoice, Counter);
+
+beforeEach(() => db.clear());
+after(() => db.restore());
+
+const createInvoice = (fields = {}) => Invoice.create({
+  customer: new ObjectId(),
+  booking: new ObjectId(),
+  currency: 'KES',
+  vatRate: 16,
+  subtotal: 1000,
+  vatAmount: 160,
+  total: 1160,
+  ...fields
+});
+
+test('documents are numbered from their branch sequence', async () => {
+  const first = await (await createInvoice()).assignNumber('NBO');
+  const second = await (await createInvoice()).assignNumber('NBO');
+  const credit = await (await createInvoice({ type: 'credit_note' })).assignNumber('NBO');
+  const elsewhere = await (await createInvoice()).assignNumber('MSA');
+
+  assert.equal(first.number, 'INV-NBO-000001');
+  assert.equal(second.number, 'INV-NBO-000002');
+  assert.equal(credit.number, 'CN-NBO-000001');
+  assert.equal(elsewhere.number, 'INV-MSA-000001');
+});
+
+test('concurrent numbering of one document draws a single number', async () => {
+  const invoice = await createInvoice();
+  const copies = await Promise.all([Invoice.findById(invoice._id), Invoice.findById(invoice._id)]);
+
+  const numbered = await Promise.all(copies.map(copy => copy.assignNumber('NBO')));
+
+  assert.deepEqual(numbered.map(copy => copy.number), ['INV-NBO-000001', 'INV-NBO-000001']);
+  assert.equal((await Counter.findOne({ key: 'invoice:NBO' })).seq, 1);
+  const next = await (await createInvoice()).assignNumber('NBO');
+  assert.equal(next.number, 'INV-NBO-000002');
+});
+
+test('a numbering claim left by a process that died is taken over', async () => {
+  const invoice = await createInvoice({ numberingClaimedAt: new Date(Date.now() - 5 * 60 * 1000) });
+
+  await invoice.assignNumber('NBO');
+
+  const stored = await Invoice.findById(invoice._id);
+  assert.equal(stored.number, 'INV-NBO-000001');
+  assert.equal(stored.numberingClaimedAt, undefined);
+});
+
+test('taking over a claim whose holder died after drawing reuses its number', async () => {
+  const abandoned = await createInvoice({ numberingClaimedAt: new Date(Date.now() - 5 * 60 * 1000) });
+  // The holder drew 1 and died before writing it; meanwhile another invoice is numbered
+  await Counter.draw('invoice:NBO', abandoned._id);
+  const other = await (await createInvoice()).assignNumber('NBO');
+
+  await abandoned.assignNumber('NBO');
+
+  assert.equal(other.number, 'INV-NBO-000002');
+  assert.equal(abandoned.number, 'INV-NBO-000001');
+  const counter = await Counter.findOne({ key: 'invoice:NBO' });
+  assert.equal(counter.seq, 2);
+  assert.equal(counter.pending.length, 0);
+});
+
+test('a caller that waits too long for another to number the document is told to retry', async () => {
+  const invoice = await createInvoice({ numberingClaimedAt: new Date() });
+
+  await assert.rejects(invoice.assignNumber('NBO'), { statusCode: 503 });
+  assert.equal(invoice.number, undefined);
+});
@@ -0,0 +1,215 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as delay } from 'timers/promises';
+import express from 'express';
+import mongoose from 'mongoose';
+import Payment from '../src/models/Payment.js';
+import Booking from '../src/models/Booking.js';
+import WebhookEvent from '../src/models/WebhookEvent.js';
+import { createPayment, refreshPayment, reconcilePayments } from '../src/services/payments.js';
+import { webhookRouter } from '../src/routes/payments.js';
+import { useMemoryDb } from './support/memoryDb.js';
+import { createFakeDaraja } from '../scripts/fake-daraja.js';
+
+const { ObjectId } = mongoose.Types;
+const CALLBACK_TOKEN = 'test-callback-token';
+
+// Phones whose prompts end other than in a payment
+const RESULTS = {
+  254700000001: 1, // insufficient balance
+  254700000032: 1032, // cancelled on the phone
+  254700000099: null // never answered
+};
+const resultFor = (request) => (request.PhoneNumber in RESULTS ? RESULTS[request.PhoneNumber] : 0);
+
+const db = useMemoryDb(Payment, Booking, WebhookEvent);
+// Daraja calling back as soon as the customer answers, and Daraja only answering status queries
+const calling = createFakeDaraja({ resultCode: resultFor, callbackDelayMs: 0 });
+const silent = createFakeDaraja({ resultCode: resultFor, callbackDelayMs: 0, sendCallbacks: false });
+const servers = [];
+const customer = { _id: new ObjectId(), phone: '0712345678' };
+let bookingCount = 0;
+
+const listen = async (app) => {
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  servers.push(server);
+  return `http://127.0.0.1:${server.address().port}`;
+};
+
+const useDaraja = (url) => {
+  process.env.MPESA_API_URL = url;
+};
+
+let callingUrl;
+let silentUrl;
+
+before(async () => {
+  const api = express();
+  api.use('/webhooks', webhookRouter);
+  const apiUrl = await listen(api);
+  callingUrl = await listen(calling.app);
+  silentUrl = await listen(silent.app);
+
+  Object.assign(process.env, {
+    MPESA_CONSUMER_KEY: 'test-key',
+    MPESA_CONSUMER_SECRET: 'test-secret',
+    MPESA_SHORTCODE: '174379',
+    MPESA_PASSKEY: 'test-passkey',
+    MPESA_CALLBACK_URL: `${apiUrl}/webhooks/mpesa`,
+    MPESA_CALLBACK_TOKEN: CALLBACK_TOKEN
+  });
+});
+
+after(async () => {
+  await Promise.all(servers.map(server => new Promise(resolve => server.close(resolve))));
+  db.restore();
+});
+
+const seedBooking = async (totalAmount = 1500) => {
+  const booking = {
+    _id: new ObjectId(),
+    bookingNumber: `BK-MPESA-${++bookingCount}`,
+    customer: customer._id,
+    status: 'confirmed',
+    pricing: { totalAmount, currency: 'KES' },
+    schedule: { startDate: new Date(Date.now() + 48 * 60 * 60 * 1000), estimatedDuration: 4 }
+  };
+  await Booking.collection.insertOne(booking);
+  return booking;
+};
+
+const payWithMpesa = async (booking, phoneNumber) => {
+  const { payment } = await createPayment(
+    customer,
+    { booking: booking._id },
+    { provider: 'mpesa', phoneNumber },
+    `mpesa-${booking.bookingNumber}`
+  );
+  return payment;
+};
+
+// Callbacks arrive on their own; wait for the payment to leave `processing`
+const settled = async (payment) => {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const current = await Payment.findById(payment._id);
+    if (current.status !== 'processing') return current;
+    await delay(20);
+  }
+  throw new Error(`Payment ${payment._id} is still processing`);
+};
+
+test('an STK push prompts the phone for the amount owed in whole shillings', async () => {
+  useDaraja(silentUrl);
+  const booking = await seedBooking(1500.4);
+
+  const payment = await payWithMpesa(booking, '+254 712 345 678');
+
+  assert.equal(payment.status, 'processing');
+  assert.equal(payment.amount, 1501);
+  assert.equal(payment.phoneNumber, '254712345678');
+  const { request } = silent.checkouts.get(payment.providerReference);
+  assert.equal(request.Amount, 1501);
+  assert.equal(request.PhoneNumber, '254712345678');
+  assert.equal(request.AccountReference, booking.bookingNumber.slice(0, 12));
+  assert.equal(request.CallBackURL, `${process.env.MPESA_CALLBACK_URL}/${CALLBACK_TOKEN}`);
+  const expectedPassword = Buffer.from(`174379test-passkey${request.Timestamp}`).toString('base64');
+  assert.equal(request.Password, expectedPassword);
+});
+
+test('a number that is not a Safaricom line is refused before anything is sent', async () => {
+  useDaraja(silentUrl);
+  const booking = await seedBooking();
+  const checkouts = silent.checkouts.size;
+
+  await assert.rejects(payWithMpesa(booking, '12345'), { statusCode: 400 });
+  assert.equal(silent.checkouts.size, checkouts);
+});
+
+test('a successful callback records the payment and its receipt', async () => {
+  useDaraja(callingUrl);
+  const booking = await seedBooking();
+
+  const payment = await settled(await payWithMpesa(booking, '0712345678'));
+
+  assert.equal(payment.status, 'succeeded');
+  assert.match(payment.receiptNumber, /^[0-9A-F]{10}$/);
+  const summary = (await Booking.findById(booking._id)).payment;
+  assert.equal(summary.status, 'paid');
+  assert.equal(summary.amountPaid, 1500);
+});
+
+test('a failed callback records why the payment failed', async () => {
+  useDaraja(callingUrl);
+  const booking = await seedBooking();
+
+  const payment = await settled(await payWithMpesa(booking, '0700000001'));
+
+  assert.equal(payment.status, 'failed');
+  assert.equal(payment.failureMessage, 'The balance is insufficient for the transaction.');
+  assert.equal((await Booking.findById(booking._id)).payment.status, 'unpaid');
+});
+
+test('a prompt cancelled on the phone cancels the payment', async () => {
+  useDaraja(callingUrl);
+  const booking = await seedBooking();
+
+  const payment = await settled(await payWithMpesa(booking, '0700000032'));
+
+  assert.equal(payment.status, 'cancelled');
+});
+
+test('a callback with the wrong token is refused', async () => {
+  const response = await fetch(`${process.env.MPESA_CALLBACK_URL}/wrong-token`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ Body: { stkCallback: { CheckoutRequestID: 'ws_CO_forged', ResultCode: 0 } } })
+  });
+
+  assert.equal(response.status, 403);
+});
+
+test('the status query finds out what happened when no callback comes', async () => {
+  useDaraja(silentUrl);
+  const paid = await payWithMpesa(await seedBooking(), '0712345678');
+  const failed = await payWithMpesa(await seedBooking(), '0700000001');
+
+  assert.equal((await refreshPayment(paid)).status, 'succeeded');
+  const checkedFailed = await refreshPayment(failed);
+  assert.equal(checkedFailed.status, 'failed');
+  assert.equal(checkedFailed.failureMessage, 'The balance is insufficient for the transaction.');
+});
+
+test('the status query leaves an unanswered prompt processing', async () => {
+  useDaraja(silentUrl);
+  const payment = await payWithMpesa(await seedBooking(), '0700000099');
+
+  const checked = await refreshPayment(payment);
+
+  assert.equal(checked.status, 'processing');
+  assert.ok((await Payment.findById(payment._id)).lastCheckedAt);
+});
+
+test('reconciliation checks quiet payments and squares booking summaries', async () => {
+  useDaraja(silentUrl);
+  db.clear();
+  const booking = await seedBooking();
+  const quiet = await payWithMpesa(booking, '0712345678');
+  const unanswered = await payWithMpesa(await seedBooking(), '0700000099');
+  // A booking whose summary missed its payment
+  const drifted = await seedBooking();
+  await refreshPayment(await payWithMpesa(drifted, '0712345678'));
+  await Booking.updateOne({ _id: drifted._id }, { payment: { status: 'unpaid', amountPaid: 0 } });
+
+  const now = new Date(Date.now() + 3 * 60 * 1000);
+  const summary = await reconcilePayments({ now });
+
+  assert.equal(summary.errors, 0);
+  assert.equal(summary.checked, 2);
+  assert.equal(summary.updated, 1);
+  assert.equal((await Payment.findById(quiet._id)).status, 'succeeded');
+  assert.equal((await Payment.findById(unanswered._id)).status, 'processing');
+  assert.equal((await Booking.findById(booking._id)).payment.status, 'paid');
+  assert.equal((await Booking.findById(drifted._id)).payment.status, 'paid');
+  assert.equal(summary.corrected, 1);
+});
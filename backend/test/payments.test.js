@@ -0,0 +1,235 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import mongoose from 'mongoose';
+import Payment from '../src/models/Payment.js';
+import Booking from '../src/models/Booking.js';
+import WebhookEvent from '../src/models/WebhookEvent.js';
+import { createPayment, confirmCardPayment, refundPayment } from '../src/services/payments.js';
+import { webhookRouter } from '../src/routes/payments.js';
+import { useMemoryDb } from './support/memoryDb.js';
+import { createFakeStripe } from './support/fakeStripe.js';
+
+const { ObjectId } = mongoose.Types;
+const WEBHOOK_SECRET = 'whsec_test_secret';
+
+const db = useMemoryDb(Payment, Booking, WebhookEvent);
+const stripe = createFakeStripe({ webhookSecret: WEBHOOK_SECRET });
+const customer = { _id: new ObjectId() };
+const staff = { _id: new ObjectId() };
+let webhookServer;
+let webhookUrl;
+let bookingCount = 0;
+
+before(async () => {
+  const port = await stripe.listen();
+  Object.assign(process.env, {
+    STRIPE_SECRET_KEY: 'sk_test_fake',
+    STRIPE_WEBHOOK_SECRET: WEBHOOK_SECRET,
+    STRIPE_API_HOST: '127.0.0.1',
+    STRIPE_API_PORT: String(port),
+    STRIPE_API_PROTOCOL: 'http'
+  });
+
+  const app = express();
+  app.use('/webhooks', webhookRouter);
+  webhookServer = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => webhookServer.once('listening', resolve));
+  webhookUrl = `http://127.0.0.1:${webhookServer.address().port}/webhooks/stripe`;
+});
+
+after(async () => {
+  await stripe.close();
+  await new Promise(resolve => webhookServer.close(resolve));
+  db.restore();
+});
+
+const seedBooking = async (totalAmount = 1500) => {
+  const booking = {
+    _id: new ObjectId(),
+    bookingNumber: `BK-TEST-${++bookingCount}`,
+    customer: customer._id,
+    status: 'confirmed',
+    pricing: { totalAmount, currency: 'KES' },
+    schedule: { startDate: new Date(Date.now() + 48 * 60 * 60 * 1000), estimatedDuration: 4 }
+  };
+  await Booking.collection.insertOne(booking);
+  return booking;
+};
+
+const paidPayment = async (totalAmount = 1500) => {
+  const booking = await seedBooking(totalAmount);
+  const { payment } = await createPayment(customer, { booking: booking._id }, { provider: 'stripe' }, `pay-${booking.bookingNumber}`);
+  stripe.succeed(payment.providerReference);
+  return { booking, payment: await confirmCardPayment(customer, payment.providerReference) };
+};
+
+const deliver = async ({ payload, signature }) => {
+  const response = await fetch(webhookUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Stripe-Signature': signature },
+    body: payload
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const bookingPayment = async (booking) => (await Booking.findById(booking._id)).payment;
+
+test('creating a payment opens a PaymentIntent for the amount owed in minor units', async () => {
+  const booking = await seedBooking(1500.5);
+
+  const { payment, clientSecret } = await createPayment(customer, { booking: booking._id }, { provider: 'stripe' }, 'create-key');
+
+  const intent = stripe.intents.get(payment.providerReference);
+  assert.equal(payment.status, 'pending');
+  assert.equal(payment.amount, 1500.5);
+  assert.equal(intent.amount, 150050);
+  assert.equal(intent.currency, 'kes');
+  assert.equal(intent.metadata.paymentId, payment._id.toString());
+  assert.equal(intent.metadata.bookingId, booking._id.toString());
+  assert.equal(clientSecret, intent.client_secret);
+});
+
+test('retrying a payment with the same idempotency key returns the same payment and intent', async () => {
+  const booking = await seedBooking();
+  const first = await createPayment(customer, { booking: booking._id }, { provider: 'stripe' }, 'retry-key');
+  const intentCount = stripe.intents.size;
+
+  const second = await createPayment(customer, { booking: booking._id }, { provider: 'stripe' }, 'retry-key');
+
+  assert.equal(second.payment._id.toString(), first.payment._id.toString());
+  assert.equal(second.clientSecret, first.clientSecret);
+  assert.equal(stripe.intents.size, intentCount);
+  assert.equal(await Payment.countDocuments({ booking: booking._id }), 1);
+});
+
+test('an open attempt for the same amount is handed back under a new key', async () => {
+  const booking = await seedBooking();
+  const first = await createPayment(customer, { booking: booking._id }, { provider: 'stripe' }, 'open-key-1');
+
+  const second = await createPayment(customer, { booking: booking._id }, { provider: 'stripe' }, 'open-key-2');
+
+  assert.equal(second.payment._id.toString(), first.payment._id.toString());
+});
+
+test('confirming after the card form completes records the payment on the booking', async () => {
+  const booking = await seedBooking();
+  const { payment } = await createPayment(customer, { booking: booking._id }, { provider: 'stripe' }, 'confirm-key');
+  stripe.succeed(payment.providerReference);
+
+  const confirmed = await confirmCardPayment(customer, payment.providerReference);
+
+  assert.equal(confirmed.status, 'succeeded');
+  assert.ok(confirmed.paidAt);
+  const summary = await bookingPayment(booking);
+  assert.equal(summary.status, 'paid');
+  assert.equal(summary.amountPaid, 1500);
+  await assert.rejects(
+    createPayment(customer, { booking: booking._id }, { provider: 'stripe' }, 'confirm-key-2'),
+    { statusCode: 409 }
+  );
+});
+
+test('a declined card marks the payment failed', async () => {
+  const booking = await seedBooking();
+  const { payment } = await createPayment(customer, { booking: booking._id }, { provider: 'stripe' }, 'decline-key');
+  stripe.fail(payment.providerReference, 'Your card has insufficient funds.');
+
+  const checked = await confirmCardPayment(customer, payment.providerReference);
+
+  assert.equal(checked.status, 'failed');
+  assert.equal(checked.failureMessage, 'Your card has insufficient funds.');
+  assert.equal((await bookingPayment(booking)).status, 'unpaid');
+});
+
+test('a signed payment_intent.succeeded webhook records the payment once', async () => {
+  const booking = await seedBooking();
+  const { payment } = await createPayment(customer, { booking: booking._id }, { provider: 'stripe' }, 'webhook-key');
+  const event = stripe.event('payment_intent.succeeded', stripe.succeed(payment.providerReference));
+
+  const first = await deliver(event);
+  const repeat = await deliver(event);
+
+  assert.equal(first.status, 200);
+  assert.equal(first.body.handled, true);
+  assert.equal(repeat.body.handled, false);
+  assert.equal((await Payment.findById(payment._id)).status, 'succeeded');
+  assert.equal((await bookingPayment(booking)).status, 'paid');
+  assert.equal(await WebhookEvent.countDocuments({ eventId: event.id }), 1);
+});
+
+test('a webhook with a bad signature is rejected', async () => {
+  const booking = await seedBooking();
+  const { payment } = await createPayment(customer, { booking: booking._id }, { provider: 'stripe' }, 'forged-key');
+  const event = stripe.event('payment_intent.succeeded', stripe.succeed(payment.providerReference));
+
+  const response = await deliver({ ...event, signature: 't=1,v1=forged' });
+
+  assert.equal(response.status, 400);
+  assert.equal((await Payment.findById(payment._id)).status, 'pending');
+});
+
+test('refunds are recorded, and retrying one with its idempotency key refunds nothing more', async () => {
+  const { booking, payment } = await paidPayment();
+
+  const partial = await refundPayment(payment, { amount: 500, reason: 'Late arrival' }, staff, 'refund-key-1');
+  const retried = await refundPayment(await Payment.findById(payment._id), { amount: 500 }, staff, 'refund-key-1');
+
+  assert.equal(partial.status, 'partially_refunded');
+  assert.equal(partial.amountRefunded, 500);
+  assert.equal(retried.amountRefunded, 500);
+  assert.equal(retried.refunds.length, 1);
+  assert.equal(stripe.refunds.size, 1);
+  assert.equal((await bookingPayment(booking)).amountPaid, 1000);
+});
+
+test('retrying a full refund returns it instead of a conflict', async () => {
+  const { payment } = await paidPayment();
+
+  const refunded = await refundPayment(payment, {}, staff, 'full-refund-key');
+  const retried = await refundPayment(await Payment.findById(payment._id), {}, staff, 'full-refund-key');
+
+  assert.equal(refunded.status, 'refunded');
+  assert.equal(retried.status, 'refunded');
+  assert.equal(retried.refunds.length, 1);
+  await assert.rejects(
+    refundPayment(await Payment.findById(payment._id), {}, staff, 'another-refund-key'),
+    { statusCode: 409 }
+  );
+});
+
+test('a refund whose webhook lands before the request returns still answers retries', async () => {
+  const { payment } = await paidPayment();
+  stripe.onRefund = (refund) => deliver(stripe.event('refund.created', refund));
+
+  try {
+    await refundPayment(payment, {}, staff, 'early-webhook-key');
+  } finally {
+    stripe.onRefund = null;
+  }
+  const retried = await refundPayment(await Payment.findById(payment._id), {}, staff, 'early-webhook-key');
+
+  assert.equal(retried.status, 'refunded');
+  assert.equal(retried.refunds.length, 1);
+  assert.equal(retried.refunds[0].idempotencyKey, 'early-webhook-key');
+});
+
+test('refunds made in the Stripe dashboard arrive by webhook', async () => {
+  const { payment } = await paidPayment();
+  const refund = {
+    id: 're_dashboard',
+    object: 'refund',
+    amount: 50000,
+    currency: 'kes',
+    payment_intent: payment.providerReference,
+    status: 'succeeded'
+  };
+
+  const response = await deliver(stripe.event('refund.created', refund));
+
+  assert.equal(response.body.handled, true);
+  const stored = await Payment.findById(payment._id);
+  assert.equal(stored.status, 'partially_refunded');
+  assert.equal(stored.amountRefunded, 500);
+  assert.equal(stored.refunds[0].providerReference, 're_dashboard');
+});
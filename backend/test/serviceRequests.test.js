@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ServiceRequest from '../src/models/ServiceRequest.js';
+
+const requestIn = (status) => new ServiceRequest({ status });
+
+test('open requests move forward through the workshop', () => {
+  assert.ok(requestIn('pending').canTransitionTo('approved'));
+  assert.ok(requestIn('approved').canTransitionTo('in_progress'));
+  assert.ok(requestIn('in_progress').canTransitionTo('completed'));
+  assert.ok(requestIn('in_progress').canTransitionTo('cancelled'));
+  assert.equal(requestIn('approved').canTransitionTo('pending'), false);
+});
+
+test('rejected, completed and cancelled requests stay closed', () => {
+  for (const closed of ['rejected', 'completed', 'cancelled']) {
+    for (const status of ['pending', 'approved', 'in_progress', 'completed']) {
+      assert.equal(requestIn(closed).canTransitionTo(status), false, `${closed} -> ${status}`);
+    }
+  }
+});
@@ -0,0 +1,55 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { once } from 'events';
+import { Server } from 'socket.io';
+import { io as connect } from 'socket.io-client';
+import { createChangeStreamAdapter } from '../src/services/socketAdapters.js';
+import { createLocalEventCollection } from './support/localEventCollection.js';
+
+// Two Socket.IO servers sharing one event collection, as two instances behind a load balancer
+// share a database
+const collection = createLocalEventCollection();
+const servers = [];
+const clients = [];
+
+const startServer = async () => {
+  const httpServer = createServer();
+  const io = new Server(httpServer);
+  io.adapter(createChangeStreamAdapter(collection));
+  io.on('connection', (socket) => socket.join('admin-room'));
+  httpServer.listen(0);
+  await once(httpServer, 'listening');
+  servers.push(io);
+  return { io, url: `http://localhost:${httpServer.address().port}` };
+};
+
+const connectClient = async (url) => {
+  const client = connect(url, { transports: ['websocket'], forceNew: true });
+  clients.push(client);
+  await once(client, 'connect');
+  return client;
+};
+
+after(async () => {
+  clients.forEach(client => client.disconnect());
+  await Promise.all(servers.map(io => io.close()));
+});
+
+test('a broadcast on one server reaches clients connected to the other', async () => {
+  const first = await startServer();
+  const second = await startServer();
+  const onFirst = await connectClient(first.url);
+  const onSecond = await connectClient(second.url);
+
+  const received = Promise.all([onFirst, onSecond].map(client => once(client, 'booking-update')));
+  first.io.to('admin-room').emit('booking-update', { bookingNumber: 'BK-1', at: new Date(0) });
+
+  const [[fromFirst], [fromSecond]] = await received;
+  assert.deepEqual(fromFirst, { bookingNumber: 'BK-1', at: '1970-01-01T00:00:00.000Z' });
+  assert.deepEqual(fromSecond, fromFirst);
+
+  // Requests that need answers from every instance go through the same collection
+  const sockets = await second.io.in('admin-room').fetchSockets();
+  assert.deepEqual(sockets.map(socket => socket.id).sort(), [onFirst.id, onSecond.id].sort());
+});
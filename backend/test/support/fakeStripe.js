@@ -0,0 +1,146 @@
+import crypto from 'crypto';
+import express from 'express';
+import Stripe from 'stripe';
+
+// Local stand-in for the parts of the Stripe API the card provider uses: PaymentIntents and
+// refunds, with Idempotency-Key replay like the real API. Point the client at it with
+// STRIPE_API_HOST, STRIPE_API_PORT and STRIPE_API_PROTOCOL. Intents stay unpaid until a test
+// calls succeed() or fail(); event() signs webhook payloads with the given secret, and onRefund
+// runs before a refund is answered.
+
+const newId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+const stripeError = (res, status, message, type = 'invalid_request_error') => {
+  res.status(status).json({ error: { type, message } });
+};
+
+export const createFakeStripe = ({ webhookSecret } = {}) => {
+  const intents = new Map();
+  const refunds = new Map();
+  const replies = new Map();
+  const calls = [];
+
+  const app = express();
+  app.use(express.urlencoded({ extended: true }));
+
+  app.use((req, res, next) => {
+    calls.push({ method: req.method, path: req.path, body: req.body });
+    const key = req.get('Idempotency-Key');
+    if (req.method !== 'POST' || !key) return next();
+
+    // A repeated key gets the first response back without doing anything again
+    const replayKey = `${req.path} ${key}`;
+    if (replies.has(replayKey)) {
+      const { status, body } = replies.get(replayKey);
+      return res.status(status).set('Idempotent-Replayed', 'true').json(body);
+    }
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      replies.set(replayKey, { status: res.statusCode, body });
+      return json(body);
+    };
+    next();
+  });
+
+  app.post('/v1/payment_intents', (req, res) => {
+    const intent = {
+      id: newId('pi'),
+      object: 'payment_intent',
+      amount: Number(req.body.amount),
+      amount_received: 0,
+      currency: req.body.currency,
+      description: req.body.description,
+      metadata: req.body.metadata || {},
+      payment_method_types: req.body.payment_method_types,
+      status: 'requires_payment_method',
+      last_payment_error: null,
+      created: Math.floor(Date.now() / 1000)
+    };
+    intent.client_secret = `${intent.id}_secret_${crypto.randomBytes(8).toString('hex')}`;
+    intents.set(intent.id, intent);
+    res.json(intent);
+  });
+
+  app.get('/v1/payment_intents/:id', (req, res) => {
+    const intent = intents.get(req.params.id);
+    if (!intent) return stripeError(res, 404, `No such payment_intent: '${req.params.id}'`);
+    res.json(intent);
+  });
+
+  app.post('/v1/payment_intents/:id/cancel', (req, res) => {
+    const intent = intents.get(req.params.id);
+    if (!intent) return stripeError(res, 404, `No such payment_intent: '${req.params.id}'`);
+    if (['succeeded', 'canceled'].includes(intent.status)) {
+      return stripeError(res, 400, `You cannot cancel this PaymentIntent because it has a status of ${intent.status}.`);
+    }
+    intent.status = 'canceled';
+    res.json(intent);
+  });
+
+  app.post('/v1/refunds', async (req, res) => {
+    const intent = intents.get(req.body.payment_intent);
+    if (!intent) return stripeError(res, 404, `No such payment_intent: '${req.body.payment_intent}'`);
+    if (intent.status !== 'succeeded') {
+      return stripeError(res, 400, 'This PaymentIntent has not been charged');
+    }
+    const refunded = [...refunds.values()]
+      .filter(refund => refund.payment_intent === intent.id && refund.status !== 'failed')
+      .reduce((sum, refund) => sum + refund.amount, 0);
+    const amount = req.body.amount ? Number(req.body.amount) : intent.amount_received - refunded;
+    if (amount > intent.amount_received - refunded) {
+      return stripeError(res, 400, `Refund amount is greater than unrefunded amount on charge`);
+    }
+
+    const refund = {
+      id: newId('re'),
+      object: 'refund',
+      amount,
+      currency: intent.currency,
+      payment_intent: intent.id,
+      metadata: req.body.metadata || {},
+      status: 'succeeded',
+      created: Math.floor(Date.now() / 1000)
+    };
+    refunds.set(refund.id, refund);
+    // Lets a test deliver the refund's webhook before the API call returns
+    await fake.onRefund?.(refund);
+    res.json(refund);
+  });
+
+  app.use((req, res) => stripeError(res, 404, `Unrecognized request URL (${req.method}: ${req.path})`));
+
+  let server = null;
+
+  const fake = {
+    intents,
+    refunds,
+    calls,
+
+    listen: () => new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', () => resolve(server.address().port));
+    }),
+    close: () => new Promise(resolve => (server ? server.close(resolve) : resolve())),
+
+    // The customer completes the card form
+    succeed: (intentId) => {
+      const intent = intents.get(intentId);
+      Object.assign(intent, { status: 'succeeded', amount_received: intent.amount, last_payment_error: null });
+      return intent;
+    },
+    fail: (intentId, message = 'Your card was declined.') => {
+      const intent = intents.get(intentId);
+      Object.assign(intent, { status: 'requires_payment_method', last_payment_error: { message } });
+      return intent;
+    },
+
+    // A webhook delivery as Stripe would send it: the raw payload and its signature header
+    event: (type, object, id = newId('evt')) => {
+      const payload = JSON.stringify({ id, object: 'event', type, data: { object } });
+      const signature = Stripe.webhooks.generateTestHeaderString({ payload, secret: webhookSecret });
+      return { id, payload, signature };
+    },
+
+    onRefund: null
+  };
+  return fake;
+};
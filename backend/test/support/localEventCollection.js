@@ -0,0 +1,31 @@
+import { EventEmitter } from 'events';
+import mongoose from 'mongoose';
+
+// In-memory stand-in for a MongoDB collection and its change stream. Servers created in one
+// process and given the same stand-in behave like instances sharing a database, which is
+// enough to exercise the cluster adapter without a replica set.
+export const createLocalEventCollection = () => {
+  const changes = new EventEmitter();
+  changes.setMaxListeners(0);
+
+  return {
+    createIndex: async () => {},
+    insertOne: async (doc) => {
+      const insertedId = new mongoose.Types.ObjectId();
+      // Round-trip through BSON, as a real insert would
+      const { BSON } = mongoose.mongo;
+      const fullDocument = BSON.deserialize(BSON.serialize({ ...doc, _id: insertedId }));
+      setImmediate(() => changes.emit('change', { operationType: 'insert', fullDocument }));
+      return { acknowledged: true, insertedId };
+    },
+    watch: () => {
+      const stream = new EventEmitter();
+      const forward = (change) => stream.emit('change', change);
+      changes.on('change', forward);
+      stream.close = async () => {
+        changes.off('change', forward);
+      };
+      return stream;
+    }
+  };
+};
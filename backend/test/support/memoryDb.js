@@ -0,0 +1,203 @@
+import mongoose from 'mongoose';
+import { Query, aggregate, find, update as applyUpdate } from 'mingo';
+
+// In-memory stand-in for the MongoDB collections behind Mongoose models. The driver calls
+// Mongoose makes on a model's collection are answered from plain arrays, so models keep their
+// casting, validation, hooks and statics while tests run without a database. Unique indexes
+// declared on the schemas are enforced, with the same E11000 error MongoDB raises.
+
+const { ObjectId } = mongoose.Types;
+
+// ObjectIds are kept as hex strings so they compare by value; Mongoose casts them back on load
+const normalize = (value) => {
+  if (value?._bsontype === 'ObjectId') return value.toHexString();
+  if (value === null || typeof value !== 'object' || value instanceof Date || Buffer.isBuffer(value)) return value;
+  // Subdocuments and Mongoose arrays, as the driver would serialize them
+  if (typeof value.toBSON === 'function') return normalize(value.toBSON());
+  if (Array.isArray(value)) return Array.from(value, normalize);
+  return Object.fromEntries(Object.entries(value)
+    .filter(([, entry]) => entry !== undefined)
+    .map(([key, entry]) => [key, normalize(entry)]));
+};
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+
+const duplicateKeyError = (collectionName, fields) => {
+  const error = new Error(`E11000 duplicate key error collection: ${collectionName} index: ${fields.join('_')}`);
+  error.name = 'MongoServerError';
+  error.code = 11000;
+  return error;
+};
+
+const isOperatorObject = (value) => {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date) &&
+    Object.keys(value).some(key => key.startsWith('$'));
+};
+
+const cursorOf = (docs) => ({
+  toArray: async () => docs,
+  close: async () => {},
+  [Symbol.asyncIterator]: async function* () {
+    yield* docs;
+  }
+});
+
+const createCollection = (name, uniqueIndexes) => {
+  let docs = [];
+
+  const matching = (filter = {}, { sort, skip, limit } = {}) => {
+    let cursor = find(docs, normalize(filter));
+    if (sort) cursor = cursor.sort(sort instanceof Map ? Object.fromEntries(sort) : sort);
+    if (skip) cursor = cursor.skip(skip);
+    if (limit) cursor = cursor.limit(limit);
+    // find() hands back copies; the stored document is the one with the same _id
+    return cursor.all().map(match => docs.find(doc => doc._id === match._id));
+  };
+
+  const checkUnique = (candidate) => {
+    for (const { fields, partialFilterExpression } of uniqueIndexes) {
+      if (partialFilterExpression && !new Query(normalize(partialFilterExpression)).test(candidate)) continue;
+      const key = JSON.stringify(fields.map(field => getPath(candidate, field) ?? null));
+      const clash = docs.some(doc => doc._id !== candidate._id &&
+        (!partialFilterExpression || new Query(normalize(partialFilterExpression)).test(doc)) &&
+        JSON.stringify(fields.map(field => getPath(doc, field) ?? null)) === key);
+      if (clash) throw duplicateKeyError(name, fields);
+    }
+  };
+
+  const insert = (doc) => {
+    const stored = normalize({ _id: new ObjectId(), ...doc });
+    checkUnique(stored);
+    docs.push(stored);
+    return stored;
+  };
+
+  // Apply an update to a copy, so a failed unique check leaves the stored document alone
+  const modify = (doc, update, { isInsert = false } = {}) => {
+    const { $setOnInsert, ...operators } = normalize(update);
+    const next = structuredClone(doc);
+    if (Object.keys(operators).length > 0 && !Object.keys(operators).every(key => key.startsWith('$'))) {
+      // A replacement document
+      Object.keys(next).filter(key => key !== '_id').forEach(key => delete next[key]);
+      Object.assign(next, operators);
+    } else if (Object.keys(operators).length > 0) {
+      applyUpdate(next, operators);
+    }
+    if (isInsert && $setOnInsert) applyUpdate(next, { $set: $setOnInsert });
+
+    const changed = JSON.stringify(next) !== JSON.stringify(doc);
+    if (changed) {
+      checkUnique(next);
+      Object.keys(doc).forEach(key => delete doc[key]);
+      Object.assign(doc, next);
+    }
+    return changed;
+  };
+
+  // The document an upsert starts from: the equality conditions of its filter
+  const upsert = (filter, update) => {
+    const base = Object.fromEntries(Object.entries(normalize(filter))
+      .filter(([key, value]) => !key.startsWith('$') && !key.includes('.') && !isOperatorObject(value)));
+    const doc = { _id: new ObjectId().toHexString(), ...base };
+    modify(doc, update, { isInsert: true });
+    checkUnique(doc);
+    docs.push(doc);
+    return doc;
+  };
+
+  const updateMatching = (filter, update, options, many) => {
+    const targets = matching(filter).slice(0, many ? undefined : 1);
+    if (targets.length === 0 && options?.upsert) {
+      const doc = upsert(filter, update);
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: doc._id };
+    }
+    const modifiedCount = targets.filter(doc => modify(doc, update)).length;
+    return { acknowledged: true, matchedCount: targets.length, modifiedCount, upsertedCount: 0, upsertedId: null };
+  };
+
+  const remove = (targets) => {
+    docs = docs.filter(doc => !targets.includes(doc));
+    return { acknowledged: true, deletedCount: targets.length };
+  };
+
+  return {
+    get docs() {
+      return docs;
+    },
+    clear: () => {
+      docs = [];
+    },
+    insertOne: async (doc) => ({ acknowledged: true, insertedId: new ObjectId(insert(doc)._id) }),
+    insertMany: async (batch) => {
+      const insertedIds = {};
+      batch.forEach((doc, index) => {
+        insertedIds[index] = new ObjectId(insert(doc)._id);
+      });
+      return { acknowledged: true, insertedCount: batch.length, insertedIds };
+    },
+    find: (filter, options) => cursorOf(matching(filter, options).map(doc => structuredClone(doc))),
+    findOne: async (filter, options) => {
+      const [doc] = matching(filter, { ...options, limit: 1 });
+      return doc ? structuredClone(doc) : null;
+    },
+    countDocuments: async (filter) => matching(filter).length,
+    distinct: async (field, filter) => [...new Set(matching(filter).map(doc => getPath(doc, field)))],
+    updateOne: async (filter, update, options) => updateMatching(filter, update, options, false),
+    updateMany: async (filter, update, options) => updateMatching(filter, update, options, true),
+    findOneAndUpdate: async (filter, update, options = {}) => {
+      const returnNew = options.returnDocument === 'after' || options.returnOriginal === false;
+      const [doc] = matching(filter, { sort: options.sort, limit: 1 });
+      let value = null;
+      if (doc) {
+        const before = structuredClone(doc);
+        modify(doc, update);
+        value = structuredClone(returnNew ? doc : before);
+      } else if (options.upsert) {
+        const created = upsert(filter, update);
+        value = returnNew ? structuredClone(created) : null;
+      }
+      return options.includeResultMetadata === false ? value : { ok: 1, value, lastErrorObject: { n: value ? 1 : 0 } };
+    },
+    findOneAndDelete: async (filter, options = {}) => {
+      const [doc] = matching(filter, { sort: options.sort, limit: 1 });
+      if (doc) remove([doc]);
+      const value = doc ? structuredClone(doc) : null;
+      return options.includeResultMetadata === false ? value : { ok: 1, value };
+    },
+    deleteOne: async (filter) => remove(matching(filter).slice(0, 1)),
+    deleteMany: async (filter) => remove(matching(filter)),
+    aggregate: (pipeline) => cursorOf(aggregate(docs.map(doc => structuredClone(doc)), normalize(pipeline)))
+  };
+};
+
+const DRIVER_METHODS = [
+  'insertOne', 'insertMany', 'find', 'findOne', 'countDocuments', 'distinct', 'updateOne', 'updateMany',
+  'findOneAndUpdate', 'findOneAndDelete', 'deleteOne', 'deleteMany', 'aggregate'
+];
+
+// Back the given models with in-memory collections. Returns the collections by model name,
+// each with its stored documents (`docs`) and `clear()`, plus `clear()` for all of them and
+// `restore()` to hand the models back to the real driver.
+export const useMemoryDb = (...models) => {
+  const collections = {};
+  const restores = [];
+
+  for (const Model of models) {
+    const uniqueIndexes = Model.schema.indexes()
+      .filter(([, options]) => options?.unique)
+      .map(([fields, options]) => ({ fields: Object.keys(fields), partialFilterExpression: options.partialFilterExpression }));
+    const collection = createCollection(Model.collection.collectionName, uniqueIndexes);
+    collections[Model.modelName] = collection;
+
+    for (const method of DRIVER_METHODS) {
+      Model.collection[method] = collection[method];
+    }
+    restores.push(() => DRIVER_METHODS.forEach(method => delete Model.collection[method]));
+  }
+
+  return {
+    ...collections,
+    clear: () => Object.values(collections).forEach(collection => collection.clear()),
+    restore: () => restores.forEach(restore => restore())
+  };
+};
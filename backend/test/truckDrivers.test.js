@@ -0,0 +1,99 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Truck from '../src/models/Truck.js';
+import User from '../src/models/User.js';
+import PickupRequest from '../src/models/PickupRequest.js';
+import { cancelDispatch } from '../src/services/dispatchEngine.js';
+import { useMemoryDb } from './support/memoryDb.js';
+
+const { ObjectId } = mongoose.Types;
+const EMAIL = 'driver@example.com';
+
+const db = useMemoryDb(Truck, User, PickupRequest);
+let truckCount = 0;
+
+after(() => db.restore());
+
+const account = (fields) => ({ _id: new ObjectId(), email: EMAIL, role: 'driver', emailVerified: true, ...fields });
+
+// A truck, by default one whose driver is on record by email only
+const seedTruck = async (driver = { name: 'Otieno', email: EMAIL }) => {
+  const truck = {
+    _id: new ObjectId(),
+    truckId: `TRK-${++truckCount}`,
+    driver: { phone: '0712345678', ...driver },
+    vehicle: { licensePlate: `KDA ${truckCount}` },
+    currentLocation: { latitude: -1.2864, longitude: 36.8172 },
+    isActive: true
+  };
+  await Truck.collection.insertOne(truck);
+  return Truck.findById(truck._id);
+};
+
+test('a verified driver account stands in for the driver on record', async () => {
+  db.clear();
+  const truck = await seedTruck();
+  const driver = account();
+
+  assert.ok(truck.isDrivenBy(driver));
+  assert.equal((await Truck.findDrivenBy(driver)).length, 1);
+});
+
+test('other accounts with the same email are not taken for the driver', async () => {
+  db.clear();
+  const truck = await seedTruck();
+
+  for (const user of [account({ role: 'user' }), account({ emailVerified: false })]) {
+    assert.equal(truck.isDrivenBy(user), false);
+    assert.equal((await Truck.findDrivenBy(user)).length, 0);
+  }
+});
+
+test('a linked account is matched by id, not by email', async () => {
+  db.clear();
+  const linked = account();
+  const truck = await seedTruck({ name: 'Otieno', email: EMAIL, user: linked._id });
+
+  assert.ok(truck.isDrivenBy(linked));
+  assert.equal(truck.isDrivenBy(account()), false);
+});
+
+const seedDriver = async (onDuty) => {
+  const _id = new ObjectId();
+  const driver = { _id, name: 'Otieno', email: `${_id}@example.com`, role: 'driver', driverProfile: { onDuty } };
+  await User.collection.insertOne(driver);
+  return driver;
+};
+
+test('a truck leaves maintenance available only while its driver is clocked in', async () => {
+  db.clear();
+  const onDuty = await seedDriver(true);
+  const offDuty = await seedDriver(false);
+  const trucks = await Promise.all([
+    seedTruck({ name: 'Otieno', user: onDuty._id }),
+    seedTruck({ name: 'Otieno', user: offDuty._id }),
+    seedTruck()
+  ]);
+
+  for (const truck of trucks) {
+    truck.status = 'maintenance';
+    await truck.endMaintenance();
+  }
+
+  assert.deepEqual(trucks.map(truck => truck.status), ['available', 'offline', 'available']);
+});
+
+test('a truck released from a pickup goes offline when its driver has clocked out', async () => {
+  db.clear();
+  const driver = await seedDriver(false);
+  const truck = await seedTruck({ name: 'Otieno', user: driver._id });
+  const request = { _id: new ObjectId(), assignedTruck: truck._id, getPendingOffer: () => null };
+  await Truck.updateOne({ _id: truck._id }, { status: 'dispatched', assignedRequest: request._id });
+
+  await cancelDispatch(request);
+
+  const released = await Truck.findById(truck._id);
+  assert.equal(released.status, 'offline');
+  assert.equal(released.assignedRequest, null);
+});
@@ -0,0 +1,55 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Vehicle from '../src/models/Vehicle.js';
+import User from '../src/models/User.js';
+import { useMemoryDb } from './support/memoryDb.js';
+
+const { ObjectId } = mongoose.Types;
+const VIN = '1HGCM82633A004352';
+
+const db = useMemoryDb(Vehicle, User);
+const owner = new ObjectId();
+
+after(() => db.restore());
+
+const register = (fields = {}) => Vehicle.create({
+  owner,
+  licensePlate: `KDA ${Math.floor(Math.random() * 900) + 100}A`,
+  make: 'Honda',
+  model: 'Accord',
+  ...fields
+});
+
+test('an active vehicle keeps its VIN to itself', async () => {
+  db.clear();
+  await register({ vin: VIN });
+
+  await assert.rejects(register({ vin: VIN }), { code: 11000 });
+  await register();
+  await register();
+});
+
+test('a deleted vehicle gives up its VIN', async () => {
+  db.clear();
+  const deleted = await register({ vin: VIN });
+  deleted.isActive = false;
+  await deleted.save();
+
+  const registered = await register({ vin: VIN });
+
+  assert.equal(registered.vin, VIN);
+});
+
+test('a backwards odometer reading is refused before anything is saved', async () => {
+  db.clear();
+  const vehicle = await register({ odometer: { reading: 5000 } });
+
+  assert.throws(() => vehicle.checkOdometerReading(4000), { statusCode: 400 });
+  vehicle.color = 'Blue';
+  await vehicle.updateOdometer(6000);
+
+  const stored = await Vehicle.findById(vehicle._id);
+  assert.equal(stored.odometer.reading, 6000);
+  assert.equal(stored.color, 'Blue');
+});
@@ -0,0 +1,54 @@
+// Service worker for the driver app (/driver). Keeps the app shell available offline; API calls
+// are never cached, since the app queues what it can't send itself.
+const CACHE_NAME = 'autocare-driver-v1';
+const APP_SHELL = ['/driver', '/driver.webmanifest', '/driver-icon.svg'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(APP_SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  // Pages: the latest from the network, the cached shell when offline
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request)
+        .then(response => {
+          const copy = response.clone();
+          caches.open(CACHE_NAME).then(cache => cache.put('/driver', copy));
+          return response;
+        })
+        .catch(() => caches.match('/driver'))
+    );
+    return;
+  }
+
+  // Build output has hashed names, so a cached copy never goes stale
+  if (url.pathname.startsWith('/assets/') || APP_SHELL.includes(url.pathname)) {
+    event.respondWith(
+      caches.match(request).then(cached => cached || fetch(request).then(response => {
+        if (response.ok) {
+          const copy = response.clone();
+          caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+        }
+        return response;
+      }))
+    );
+  }
+});
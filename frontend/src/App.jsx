@@ -8,6 +8,9 @@ import { SocketProvider } from '@/contexts/SocketContext';
 import LandingPage from '@/pages/LandingPage';
 import LoginPage from '@/pages/LoginPage';
 import RegisterPage from '@/pages/RegisterPage';
+import ForgotPasswordPage from '@/pages/ForgotPasswordPage';
+import ResetPasswordPage from '@/pages/ResetPasswordPage';
+import VerifyEmailPage from '@/pages/VerifyEmailPage';
 import UserDashboard from '@/pages/UserDashboard';
 import AdminDashboard from '@/pages/AdminDashboard';
 import ServiceRequest from '@/pages/ServiceRequest.jsx';
@@ -17,6 +20,10 @@ import { MessageProvider } from '@/contexts/MessageContext';
 import MyVehiclesPage from '@/pages/MyVehiclesPage';
 import ServiceHistoryPage from '@/pages/ServiceHistoryPage';
 import SettingsPage from '@/pages/SettingsPage';
+import DriverApp from '@/pages/DriverApp';
+import DriverAssignment from '@/components/driver/DriverAssignment';
+import DriverJobs from '@/components/driver/DriverJobs';
+import DriverSync from '@/components/driver/DriverSync';
 import ErrorBoundary from '@/components/ErrorBoundary';
 import IntroAnimation from '@/components/IntroAnimation';
 
@@ -60,6 +67,9 @@ function App() {
                 <Route path="/" element={<LandingPage />} />
                 <Route path="/login" element={<LoginPage />} />
                 <Route path="/register" element={<RegisterPage />} />
+                <Route path="/forgot-password" element={<ForgotPasswordPage />} />
+                <Route path="/reset-password" element={<ResetPasswordPage />} />
+                <Route path="/verify-email" element={<VerifyEmailPage />} />
                 <Route 
                   path="/dashboard" 
                   element={
@@ -116,6 +126,18 @@ function App() {
                     </ProtectedRoute>
                   }
                 />
+                <Route
+                  path="/driver"
+                  element={
+                    <ProtectedRoute roles={['driver']}>
+                      <DriverApp />
+                    </ProtectedRoute>
+                  }
+                >
+                  <Route index element={<DriverAssignment />} />
+                  <Route path="jobs" element={<DriverJobs />} />
+                  <Route path="sync" element={<DriverSync />} />
+                </Route>
               </Routes>
               
                   <Toaster />
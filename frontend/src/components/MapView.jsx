@@ -1,10 +1,15 @@
 import React, { useRef, useEffect, useState, useCallback } from 'react';
-import { MapPin, Truck, Navigation, Home, Building, User, RefreshCw, ZoomIn, ZoomOut } from 'lucide-react';
+import { MapPin, Truck, Navigation, Home, Building, User, RefreshCw, ZoomIn, ZoomOut, History } from 'lucide-react';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
 import { apiService } from '../services/api';
 import { useAuth } from '../contexts/AuthContext';
+import TripReplay from './TripReplay';
+import { getTrackBounds } from '@/lib/trackReplay';
+
+const MIN_ZOOM = 0.5;
+const MAX_ZOOM = 50;
 
 const MapView = ({ showControls = true, height = 400 }) => {
   const { user } = useAuth();
@@ -19,6 +24,9 @@ const MapView = ({ showControls = true, height = 400 }) => {
   const [userLocation, setUserLocation] = useState(null);
   const [loading, setLoading] = useState(false);
   const [lastUpdate, setLastUpdate] = useState(new Date());
+  const [replayOpen, setReplayOpen] = useState(false);
+  // { points, stops, position } while a trip is loaded
+  const [replay, setReplay] = useState(null);
 
   // Load real map data from backend
   const loadMapData = useCallback(async () => {
@@ -75,6 +83,89 @@ const MapView = ({ showControls = true, height = 400 }) => {
     return { x, y };
   };
 
+  // Centre and zoom so a replayed trip fills the canvas
+  const fitTrack = (points) => {
+    const canvas = canvasRef.current;
+    if (!canvas || points.length === 0) return;
+
+    const { minLat, maxLat, minLng, maxLng } = getTrackBounds(points);
+    const lngSpan = Math.max(maxLng - minLng, 0.001);
+    const latSpan = Math.max((maxLat - minLat) * Math.PI / 180, 0.001 * Math.PI / 180);
+    const fit = Math.min(canvas.width / (lngSpan * 1000), canvas.height / (latSpan * 1000)) * 0.8;
+
+    setMapCenter({ lat: (minLat + maxLat) / 2, lng: (minLng + maxLng) / 2 });
+    setZoom(Math.min(Math.max(fit, MIN_ZOOM), MAX_ZOOM));
+  };
+
+  const replayPoints = replay?.points;
+  useEffect(() => {
+    if (replayPoints) {
+      fitTrack(replayPoints);
+    }
+  }, [replayPoints]);
+
+  const drawReplay = (ctx, width, height) => {
+    const { points, stops, position } = replay;
+    const toCanvas = (point) => latLngToCanvas(point.latitude, point.longitude, width, height);
+
+    // Whole trip, faint
+    ctx.strokeStyle = 'rgba(248, 113, 113, 0.35)';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    points.forEach((point, index) => {
+      const pos = toCanvas(point);
+      if (index === 0) ctx.moveTo(pos.x, pos.y); else ctx.lineTo(pos.x, pos.y);
+    });
+    ctx.stroke();
+
+    // Breadcrumbs covered so far
+    ctx.strokeStyle = '#ef4444';
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    points.slice(0, position.index + 1).forEach((point, index) => {
+      const pos = toCanvas(point);
+      if (index === 0) ctx.moveTo(pos.x, pos.y); else ctx.lineTo(pos.x, pos.y);
+    });
+    const current = toCanvas(position);
+    ctx.lineTo(current.x, current.y);
+    ctx.stroke();
+
+    ctx.fillStyle = '#fca5a5';
+    points.slice(0, position.index + 1).forEach((point) => {
+      const pos = toCanvas(point);
+      ctx.beginPath();
+      ctx.arc(pos.x, pos.y, 2, 0, 2 * Math.PI);
+      ctx.fill();
+    });
+
+    // Stop and idle markers
+    stops.forEach((stop) => {
+      const pos = toCanvas(stop);
+      ctx.fillStyle = stop.type === 'stop' ? '#dc2626' : '#f59e0b';
+      ctx.beginPath();
+      ctx.arc(pos.x, pos.y, 9, 0, 2 * Math.PI);
+      ctx.fill();
+
+      ctx.fillStyle = 'white';
+      ctx.font = 'bold 11px Arial';
+      ctx.textAlign = 'center';
+      ctx.fillText(stop.type === 'stop' ? 'S' : 'I', pos.x, pos.y + 4);
+
+      ctx.font = '10px Arial';
+      ctx.textAlign = 'left';
+      ctx.fillText(`${new Date(stop.arrivedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} · ${stop.durationMinutes} min`, pos.x + 12, pos.y + 4);
+    });
+
+    // Truck at the scrubbed time
+    ctx.fillStyle = '#3b82f6';
+    ctx.fillRect(current.x - 8, current.y - 8, 16, 16);
+    ctx.fillStyle = 'white';
+    ctx.font = 'bold 12px Arial';
+    ctx.textAlign = 'center';
+    ctx.fillText('T', current.x, current.y + 4);
+    ctx.textAlign = 'left';
+  };
+
   const drawMap = () => {
     const canvas = canvasRef.current;
     if (!canvas) return;
@@ -150,6 +241,11 @@ const MapView = ({ showControls = true, height = 400 }) => {
       }
     });
 
+    if (replay) {
+      drawReplay(ctx, width, height);
+      return;
+    }
+
     // Draw pickup requests
     pickupRequests.forEach((request, index) => {
       if (request.pickupLocation) {
@@ -179,7 +275,7 @@ const MapView = ({ showControls = true, height = 400 }) => {
     // Draw trucks
     trucks.forEach((truck, index) => {
       if (truck.location) {
-        const pos = latLngToCanvas(truck.location.lat, truck.location.lng, width, height);
+        const pos = latLngToCanvas(truck.location.latitude, truck.location.longitude, width, height);
         
         // Draw truck
         ctx.fillStyle = getTruckColor(truck.status);
@@ -197,7 +293,7 @@ const MapView = ({ showControls = true, height = 400 }) => {
         ctx.textAlign = 'left';
         ctx.fillText(truck.driver, pos.x + 12, pos.y - 10);
         ctx.fillText(truck.licensePlate, pos.x + 12, pos.y + 5);
-        ctx.fillText(truck.status, pos.x + 12, pos.y + 18);
+        ctx.fillText(truck.signalLostAt ? 'no signal' : truck.status, pos.x + 12, pos.y + 18);
       }
     });
 
@@ -237,14 +333,15 @@ const MapView = ({ showControls = true, height = 400 }) => {
       dispatched: '#3b82f6',
       'en-route': '#eab308',
       'at-location': '#8b5cf6',
-      completed: '#6b7280'
+      completed: '#6b7280',
+      offline: '#374151'
     };
     return colors[status] || '#6b7280';
   };
 
   useEffect(() => {
     drawMap();
-  }, [mapData, userLocation, mapCenter, zoom]);
+  }, [mapData, userLocation, mapCenter, zoom, replay]);
 
   const handleCanvasClick = (event) => {
     const canvas = canvasRef.current;
@@ -261,13 +358,24 @@ const MapView = ({ showControls = true, height = 400 }) => {
       <CardHeader>
         <div className="flex items-center justify-between">
           <CardTitle className="text-white flex items-center gap-2">
-            <Navigation className="w-5 h-5" />
-            Live Map View
+            {replayOpen ? <History className="w-5 h-5" /> : <Navigation className="w-5 h-5" />}
+            {replayOpen ? 'Trip Replay' : 'Live Map View'}
           </CardTitle>
           {showControls && (
             <div className="flex gap-2">
+              {(replayOpen || mapData.trucks.length > 0) && (
+                <Button
+                  onClick={() => setReplayOpen(!replayOpen)}
+                  variant="outline"
+                  size="sm"
+                  className="border-red-900/50 text-red-300 hover:bg-red-900/20"
+                >
+                  <History className="w-4 h-4 mr-1" />
+                  {replayOpen ? 'Live' : 'Replay'}
+                </Button>
+              )}
               <Button
-                onClick={() => setZoom(Math.min(zoom + 0.2, 3))}
+                onClick={() => setZoom(Math.min(zoom * 1.25, MAX_ZOOM))}
                 variant="outline"
                 size="sm"
                 className="border-red-900/50 text-red-300 hover:bg-red-900/20"
@@ -275,7 +383,7 @@ const MapView = ({ showControls = true, height = 400 }) => {
                 Zoom In
               </Button>
               <Button
-                onClick={() => setZoom(Math.max(zoom - 0.2, 0.5))}
+                onClick={() => setZoom(Math.max(zoom / 1.25, MIN_ZOOM))}
                 variant="outline"
                 size="sm"
                 className="border-red-900/50 text-red-300 hover:bg-red-900/20"
@@ -299,6 +407,8 @@ const MapView = ({ showControls = true, height = 400 }) => {
       </CardHeader>
       <CardContent>
         <div className="space-y-4">
+          {replayOpen && <TripReplay trucks={mapData.trucks} onReplayChange={setReplay} />}
+
           <canvas
             ref={canvasRef}
             width={600}
@@ -309,36 +419,61 @@ const MapView = ({ showControls = true, height = 400 }) => {
           />
           
           {/* Legend */}
-          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
-            <div className="flex items-center gap-2">
-              <div className="w-4 h-4 bg-green-500 rounded-full"></div>
-              <span className="text-gray-300">Available Truck</span>
-            </div>
-            <div className="flex items-center gap-2">
-              <div className="w-4 h-4 bg-blue-500 rounded-full"></div>
-              <span className="text-gray-300">Dispatched Truck</span>
-            </div>
-            <div className="flex items-center gap-2">
-              <div className="w-4 h-4 bg-yellow-500 rounded-full"></div>
-              <span className="text-gray-300">En Route</span>
+          {replay ? (
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+              <div className="flex items-center gap-2">
+                <div className="w-4 h-4 bg-blue-500"></div>
+                <span className="text-gray-300">Truck at scrubbed time</span>
+              </div>
+              <div className="flex items-center gap-2">
+                <div className="w-4 h-1 bg-red-500"></div>
+                <span className="text-gray-300">Route covered</span>
+              </div>
+              <div className="flex items-center gap-2">
+                <div className="w-4 h-4 bg-red-600 rounded-full"></div>
+                <span className="text-gray-300">Stop (10+ min)</span>
+              </div>
+              <div className="flex items-center gap-2">
+                <div className="w-4 h-4 bg-amber-500 rounded-full"></div>
+                <span className="text-gray-300">Idle (2-10 min)</span>
+              </div>
             </div>
-            <div className="flex items-center gap-2">
-              <div className="w-4 h-4 bg-purple-500 rounded-full"></div>
-              <span className="text-gray-300">At Location</span>
+          ) : (
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+              <div className="flex items-center gap-2">
+                <div className="w-4 h-4 bg-green-500 rounded-full"></div>
+                <span className="text-gray-300">Available Truck</span>
+              </div>
+              <div className="flex items-center gap-2">
+                <div className="w-4 h-4 bg-blue-500 rounded-full"></div>
+                <span className="text-gray-300">Dispatched Truck</span>
+              </div>
+              <div className="flex items-center gap-2">
+                <div className="w-4 h-4 bg-yellow-500 rounded-full"></div>
+                <span className="text-gray-300">En Route</span>
+              </div>
+              <div className="flex items-center gap-2">
+                <div className="w-4 h-4 bg-purple-500 rounded-full"></div>
+                <span className="text-gray-300">At Location</span>
+              </div>
+              <div className="flex items-center gap-2">
+                <div className="w-4 h-4 bg-gray-700 rounded-full"></div>
+                <span className="text-gray-300">Offline / No Signal</span>
+              </div>
+              <div className="flex items-center gap-2">
+                <div className="w-4 h-4 bg-orange-500 rounded-full"></div>
+                <span className="text-gray-300">Pending Pickup</span>
+              </div>
+              <div className="flex items-center gap-2">
+                <div className="w-4 h-4 bg-green-500 rounded-full"></div>
+                <span className="text-gray-300">Your Location</span>
+              </div>
+              <div className="flex items-center gap-2">
+                <div className="w-4 h-4 bg-red-500 rounded-full"></div>
+                <span className="text-gray-300">Service Center</span>
+              </div>
             </div>
-            <div className="flex items-center gap-2">
-              <div className="w-4 h-4 bg-orange-500 rounded-full"></div>
-              <span className="text-gray-300">Pending Pickup</span>
-            </div>
-            <div className="flex items-center gap-2">
-              <div className="w-4 h-4 bg-green-500 rounded-full"></div>
-              <span className="text-gray-300">Your Location</span>
-            </div>
-            <div className="flex items-center gap-2">
-              <div className="w-4 h-4 bg-red-500 rounded-full"></div>
-              <span className="text-gray-300">Service Center</span>
-            </div>
-          </div>
+          )}
 
           {/* Quick Stats */}
           <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { loadStripe } from '@stripe/stripe-js';
 import {
   Elements,
@@ -12,24 +12,136 @@ import { Label } from './ui/label';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
 import { Alert, AlertDescription } from './ui/alert';
-import { Loader2, CreditCard, DollarSign } from 'lucide-react';
+import { Loader2, CreditCard, Smartphone } from 'lucide-react';
+import { apiService } from '@/services/api';
+import { useAuth } from '@/contexts/AuthContext';
 
 // Initialize Stripe
-let stripePromise;
+let stripePromise = null;
 
-const PaymentFormContent = ({ onPaymentSuccess, onPaymentError }) => {
+const PROVIDER_LABELS = {
+  stripe: 'Card',
+  mpesa: 'M-Pesa'
+};
+
+// How often an M-Pesa payment is checked while the customer answers the prompt on their phone,
+// and after how many checks we stop waiting
+const MPESA_POLL_INTERVAL_MS = 4000;
+const MPESA_MAX_POLLS = 30;
+// After this many checks, ask M-Pesa directly rather than wait for its callback
+const MPESA_REFRESH_AFTER_POLLS = 15;
+const FINAL_STATUSES = ['succeeded', 'failed', 'cancelled'];
+
+const formatAmount = (amount, currency) => `${currency} ${Number(amount).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const PaymentFormContent = ({ providers, onPaymentSuccess, onPaymentError }) => {
   const stripe = useStripe();
   const elements = useElements();
-  const [amount, setAmount] = useState('');
-  const [currency, setCurrency] = useState('usd');
-  const [description, setDescription] = useState('');
+  const { user } = useAuth();
+  const [payables, setPayables] = useState([]);
+  const [selectedId, setSelectedId] = useState('');
+  const [loadingPayables, setLoadingPayables] = useState(true);
   const [isProcessing, setIsProcessing] = useState(false);
   const [error, setError] = useState('');
-  const [clientSecret, setClientSecret] = useState('');
+  const [intent, setIntent] = useState(null);
+  const [provider, setProvider] = useState(providers[0]);
+  const [phoneNumber, setPhoneNumber] = useState(user?.phone || '');
+  // The M-Pesa payment waiting on the customer's phone
+  const [awaiting, setAwaiting] = useState(null);
+  // One key per attempt, so a retried request doesn't start a second payment
+  const idempotencyKey = useRef(null);
+
+  const selected = payables.find(payable => payable.id === selectedId);
+  // M-Pesa only takes shillings
+  const availableProviders = providers.filter(name => name !== 'mpesa' || !selected || selected.currency === 'KES');
+
+  const loadPayables = useCallback(async () => {
+    setLoadingPayables(true);
+    try {
+      const response = await apiService.getPayables();
+      setPayables(response.data);
+    } catch (err) {
+      setError(err.message || 'Failed to load what is owed');
+    } finally {
+      setLoadingPayables(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadPayables();
+  }, [loadPayables]);
+
+  const resetAttempt = () => {
+    setIntent(null);
+    setError('');
+    idempotencyKey.current = crypto.randomUUID();
+  };
+
+  const handleSelect = (id) => {
+    setSelectedId(id);
+    const payable = payables.find(entry => entry.id === id);
+    if (provider === 'mpesa' && payable?.currency !== 'KES') {
+      setProvider(providers.find(name => name !== 'mpesa') || provider);
+    }
+    resetAttempt();
+  };
+
+  const handleProviderChange = (value) => {
+    setProvider(value);
+    resetAttempt();
+  };
+
+  const finishPayment = useCallback((payment) => {
+    setAwaiting(null);
+    setIsProcessing(false);
+
+    if (payment.status === 'succeeded') {
+      onPaymentSuccess && onPaymentSuccess(payment);
+      setSelectedId('');
+      setIntent(null);
+      loadPayables();
+    } else {
+      const message = payment.failureMessage || 'The payment did not go through';
+      setError(message);
+      idempotencyKey.current = crypto.randomUUID();
+      onPaymentError && onPaymentError(new Error(message));
+    }
+  }, [onPaymentSuccess, onPaymentError, loadPayables]);
+
+  // Follow an M-Pesa payment until the customer has answered the prompt
+  useEffect(() => {
+    if (!awaiting) return;
+    let polls = 0;
+
+    const timer = setInterval(async () => {
+      polls++;
+      try {
+        const response = polls >= MPESA_REFRESH_AFTER_POLLS
+          ? await apiService.refreshPayment(awaiting.paymentId)
+          : await apiService.getPayment(awaiting.paymentId);
+        if (FINAL_STATUSES.includes(response.data.status)) {
+          clearInterval(timer);
+          finishPayment(response.data);
+          return;
+        }
+      } catch (err) {
+        console.error('Payment status check error:', err);
+      }
+
+      if (polls >= MPESA_MAX_POLLS) {
+        clearInterval(timer);
+        setAwaiting(null);
+        setIsProcessing(false);
+        setError("We haven't heard back from M-Pesa yet. We'll let you know as soon as we do.");
+      }
+    }, MPESA_POLL_INTERVAL_MS);
+
+    return () => clearInterval(timer);
+  }, [awaiting, finishPayment]);
 
   const handleCreatePaymentIntent = async () => {
-    if (!amount || amount <= 0) {
-      setError('Please enter a valid amount');
+    if (!selected) {
+      setError('Choose what you are paying for');
       return;
     }
 
@@ -37,43 +149,32 @@ const PaymentFormContent = ({ onPaymentSuccess, onPaymentError }) => {
     setError('');
 
     try {
-      const token = localStorage.getItem('token');
-      const response = await fetch('/api/v1/payments/create-payment-intent', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
-        },
-        body: JSON.stringify({
-          amount: parseFloat(amount),
-          currency,
-          description: description || 'AutoCare Pro Service Payment'
-        })
-      });
-
-      const data = await response.json();
-
-      if (data.success) {
-        setClientSecret(data.data.clientSecret);
-      } else {
-        setError(data.message || 'Failed to create payment intent');
+      const response = await apiService.createPayment(
+        { [selected.type]: selected.id },
+        { provider, phoneNumber: provider === 'mpesa' ? phoneNumber || undefined : undefined },
+        idempotencyKey.current
+      );
+      if (provider === 'mpesa') {
+        // Stay busy until the customer answers the prompt on their phone
+        setAwaiting(response.data);
+        return;
       }
+      setIntent(response.data);
     } catch (err) {
-      setError('Network error. Please try again.');
-    } finally {
-      setIsProcessing(false);
+      setError(err.message || 'Failed to create payment');
     }
+    setIsProcessing(false);
   };
 
   const handleSubmit = async (event) => {
     event.preventDefault();
 
-    if (!stripe || !elements) {
+    if (!intent) {
+      await handleCreatePaymentIntent();
       return;
     }
 
-    if (!clientSecret) {
-      await handleCreatePaymentIntent();
+    if (!stripe || !elements) {
       return;
     }
 
@@ -82,7 +183,7 @@ const PaymentFormContent = ({ onPaymentSuccess, onPaymentError }) => {
 
     const cardElement = elements.getElement(CardElement);
 
-    const { error, paymentIntent } = await stripe.confirmCardPayment(clientSecret, {
+    const { error, paymentIntent } = await stripe.confirmCardPayment(intent.clientSecret, {
       payment_method: {
         card: cardElement,
         billing_details: {
@@ -93,33 +194,24 @@ const PaymentFormContent = ({ onPaymentSuccess, onPaymentError }) => {
 
     if (error) {
       setError(error.message);
+      onPaymentError && onPaymentError(error);
       setIsProcessing(false);
-    } else {
-      // Payment succeeded
-      try {
-        const token = localStorage.getItem('token');
-        await fetch('/api/v1/payments/confirm-payment', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${token}`
-          },
-          body: JSON.stringify({
-            paymentIntentId: paymentIntent.id
-          })
-        });
-
-        onPaymentSuccess && onPaymentSuccess(paymentIntent);
-        
-        // Reset form
-        setAmount('');
-        setDescription('');
-        setClientSecret('');
-      } catch (err) {
-        console.error('Payment confirmation error:', err);
-      }
-      setIsProcessing(false);
+      return;
     }
+
+    // Payment succeeded; the webhook records it too, this just doesn't wait for it
+    try {
+      const response = await apiService.confirmPayment(paymentIntent.id);
+      onPaymentSuccess && onPaymentSuccess(response.data);
+    } catch (err) {
+      console.error('Payment confirmation error:', err);
+    }
+
+    // Reset form
+    setSelectedId('');
+    setIntent(null);
+    setIsProcessing(false);
+    loadPayables();
   };
 
   const cardStyle = {
@@ -145,7 +237,7 @@ const PaymentFormContent = ({ onPaymentSuccess, onPaymentError }) => {
           Payment
         </CardTitle>
         <CardDescription>
-          Enter payment details for AutoCare Pro services
+          Pay for your bookings and services
         </CardDescription>
       </CardHeader>
       <CardContent>
@@ -157,49 +249,89 @@ const PaymentFormContent = ({ onPaymentSuccess, onPaymentError }) => {
           )}
 
           <div className="space-y-2">
-            <Label htmlFor="amount">Amount</Label>
-            <div className="relative">
-              <DollarSign className="absolute left-3 top-3 h-4 w-4 text-gray-400" />
+            <Label htmlFor="payable">Paying for</Label>
+            {loadingPayables ? (
+              <div className="flex items-center text-sm text-gray-400">
+                <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                Loading...
+              </div>
+            ) : payables.length === 0 ? (
+              <p className="text-sm text-gray-400">Nothing is owed right now.</p>
+            ) : (
+              <Select value={selectedId} onValueChange={handleSelect} disabled={isProcessing}>
+                <SelectTrigger id="payable">
+                  <SelectValue placeholder="Select a booking or service" />
+                </SelectTrigger>
+                <SelectContent>
+                  {payables.map(payable => (
+                    <SelectItem key={payable.id} value={payable.id}>
+                      {payable.reference} - {payable.description}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            )}
+          </div>
+
+          {availableProviders.length > 1 && (
+            <div className="space-y-2">
+              <Label htmlFor="provider">Pay with</Label>
+              <Select value={provider} onValueChange={handleProviderChange} disabled={isProcessing || Boolean(intent)}>
+                <SelectTrigger id="provider">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {availableProviders.map(name => (
+                    <SelectItem key={name} value={name}>{PROVIDER_LABELS[name]}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          )}
+
+          {provider === 'mpesa' && (
+            <div className="space-y-2">
+              <Label htmlFor="mpesa-phone">M-Pesa phone number</Label>
               <Input
-                id="amount"
-                type="number"
-                placeholder="0.00"
-                value={amount}
-                onChange={(e) => setAmount(e.target.value)}
-                className="pl-10"
-                step="0.01"
-                min="0.01"
+                id="mpesa-phone"
+                type="tel"
+                value={phoneNumber}
+                onChange={(e) => setPhoneNumber(e.target.value)}
+                placeholder="0712 345 678"
                 disabled={isProcessing}
               />
             </div>
-          </div>
+          )}
 
-          <div className="space-y-2">
-            <Label htmlFor="currency">Currency</Label>
-            <Select value={currency} onValueChange={setCurrency} disabled={isProcessing}>
-              <SelectTrigger>
-                <SelectValue placeholder="Select currency" />
-              </SelectTrigger>
-              <SelectContent>
-                <SelectItem value="usd">USD - US Dollar</SelectItem>
-                <SelectItem value="eur">EUR - Euro</SelectItem>
-                <SelectItem value="gbp">GBP - British Pound</SelectItem>
-              </SelectContent>
-            </Select>
-          </div>
+          {awaiting && (
+            <Alert>
+              <Smartphone className="h-4 w-4" />
+              <AlertDescription>
+                Check your phone and enter your M-Pesa PIN to pay {formatAmount(awaiting.amount, awaiting.currency)}.
+              </AlertDescription>
+            </Alert>
+          )}
 
-          <div className="space-y-2">
-            <Label htmlFor="description">Description (Optional)</Label>
-            <Input
-              id="description"
-              placeholder="Service description"
-              value={description}
-              onChange={(e) => setDescription(e.target.value)}
-              disabled={isProcessing}
-            />
-          </div>
+          {selected && (
+            <div className="space-y-1 text-sm">
+              <div className="flex justify-between">
+                <span className="text-gray-500">Total</span>
+                <span>{formatAmount(selected.total, selected.currency)}</span>
+              </div>
+              {selected.amountPaid > 0 && (
+                <div className="flex justify-between">
+                  <span className="text-gray-500">Already paid</span>
+                  <span>{formatAmount(selected.amountPaid, selected.currency)}</span>
+                </div>
+              )}
+              <div className="flex justify-between font-medium">
+                <span>Amount due</span>
+                <span>{formatAmount(selected.amountDue, selected.currency)}</span>
+              </div>
+            </div>
+          )}
 
-          {clientSecret && (
+          {intent && (
             <div className="space-y-2">
               <Label>Card Details</Label>
               <div className="p-3 border rounded-md">
@@ -211,15 +343,19 @@ const PaymentFormContent = ({ onPaymentSuccess, onPaymentError }) => {
           <Button
             type="submit"
             className="w-full"
-            disabled={!stripe || isProcessing}
+            disabled={(provider === 'stripe' && !stripe) || !selected || isProcessing}
           >
             {isProcessing ? (
               <>
                 <Loader2 className="mr-2 h-4 w-4 animate-spin" />
-                {clientSecret ? 'Processing Payment...' : 'Creating Payment...'}
+                {awaiting ? 'Waiting for M-Pesa...' : intent ? 'Processing Payment...' : 'Creating Payment...'}
               </>
+            ) : intent ? (
+              `Pay ${formatAmount(intent.amount, intent.currency)}`
+            ) : provider === 'mpesa' ? (
+              'Send M-Pesa Prompt'
             ) : (
-              clientSecret ? `Pay $${amount}` : 'Create Payment'
+              'Continue to Payment'
             )}
           </Button>
         </form>
@@ -229,36 +365,26 @@ const PaymentFormContent = ({ onPaymentSuccess, onPaymentError }) => {
 };
 
 const PaymentForm = ({ onPaymentSuccess, onPaymentError }) => {
-  const [stripePublishableKey, setStripePublishableKey] = useState('');
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  const [providers, setProviders] = useState([]);
 
   useEffect(() => {
-    const fetchStripeConfig = async () => {
+    const fetchPaymentConfig = async () => {
       try {
-        const token = localStorage.getItem('token');
-        const response = await fetch('/api/v1/payments/config', {
-          headers: {
-            'Authorization': `Bearer ${token}`
-          }
-        });
-
-        const data = await response.json();
-
-        if (data.success) {
-          setStripePublishableKey(data.data.publishableKey);
-          stripePromise = loadStripe(data.data.publishableKey);
-        } else {
-          setError('Failed to load payment configuration');
+        const response = await apiService.getPaymentConfig();
+        if (response.data.publishableKey && !stripePromise) {
+          stripePromise = loadStripe(response.data.publishableKey);
         }
+        setProviders(response.data.providers);
       } catch (err) {
-        setError('Failed to initialize payment system');
+        setError(err.status === 503 ? 'Online payments are not available yet' : 'Failed to initialize payment system');
       } finally {
         setLoading(false);
       }
     };
 
-    fetchStripeConfig();
+    fetchPaymentConfig();
   }, []);
 
   if (loading) {
@@ -280,7 +406,8 @@ const PaymentForm = ({ onPaymentSuccess, onPaymentError }) => {
 
   return (
     <Elements stripe={stripePromise}>
-      <PaymentFormContent 
+      <PaymentFormContent
+        providers={providers}
         onPaymentSuccess={onPaymentSuccess}
         onPaymentError={onPaymentError}
       />
@@ -288,4 +415,4 @@ const PaymentForm = ({ onPaymentSuccess, onPaymentError }) => {
   );
 };
 
-export default PaymentForm;
\ No newline at end of file
+export default PaymentForm;
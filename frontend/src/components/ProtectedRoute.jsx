@@ -3,7 +3,8 @@ import React from 'react';
 import { Navigate } from 'react-router-dom';
 import { useAuth } from '@/contexts/AuthContext';
 
-const ProtectedRoute = ({ children, adminOnly = false }) => {
+// roles limits the route to users with one of the given roles
+const ProtectedRoute = ({ children, adminOnly = false, roles }) => {
   const { user, loading } = useAuth();
 
   if (loading) {
@@ -22,6 +23,10 @@ const ProtectedRoute = ({ children, adminOnly = false }) => {
     return <Navigate to="/dashboard" replace />;
   }
 
+  if (roles && !roles.includes(user.role)) {
+    return <Navigate to={user.isAdmin ? '/admin' : '/dashboard'} replace />;
+  }
+
   return children;
 };
 
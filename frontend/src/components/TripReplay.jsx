@@ -0,0 +1,213 @@
+import React, { useState, useEffect } from 'react';
+import { Play, Pause, SkipBack, Download, History } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { useToast } from '@/components/ui/use-toast';
+import { formatDateTime } from '@/lib/utils';
+import { positionAt, toDateTimeInput } from '@/lib/trackReplay';
+import { saveBlob } from '@/lib/utils';
+import { apiService } from '@/services/api';
+
+// Trip time played back per real second
+const PLAYBACK_SPEEDS = [10, 60, 300, 900];
+const TICK_MS = 100;
+
+const inputClassName = "bg-black/50 border-red-900/50 text-white";
+
+// Controls for replaying one truck's recorded trail; the map draws whatever is reported via onReplayChange
+const TripReplay = ({ trucks, onReplayChange }) => {
+  const { toast } = useToast();
+  const [truckId, setTruckId] = useState('');
+  const [from, setFrom] = useState(() => toDateTimeInput(new Date(Date.now() - 24 * 60 * 60 * 1000)));
+  const [to, setTo] = useState(() => toDateTimeInput(new Date()));
+  const [track, setTrack] = useState(null);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(60);
+  const [loading, setLoading] = useState(false);
+
+  const points = track?.points || [];
+  const startTime = points.length ? new Date(points[0].recordedAt).getTime() : 0;
+  const endTime = points.length ? new Date(points[points.length - 1].recordedAt).getTime() : 0;
+
+  const windowFilters = () => ({
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString()
+  });
+
+  const loadTrack = async () => {
+    setLoading(true);
+    setPlaying(false);
+
+    try {
+      const response = await apiService.getTruckTrack(truckId, windowFilters());
+      setTrack(response.data);
+      setCurrentTime(response.data.points.length ? new Date(response.data.points[0].recordedAt).getTime() : 0);
+      if (response.data.points.length === 0) {
+        toast({ title: "No positions recorded", description: "Try a different time window." });
+      } else if (response.data.truncated) {
+        toast({ title: "Track shortened", description: "Only the first part of this window was loaded. Narrow it to see the rest." });
+      }
+    } catch (error) {
+      toast({ title: "Couldn't load track", description: error.message, variant: "destructive" });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const exportTrack = async (format) => {
+    try {
+      saveBlob(await apiService.downloadTruckTrack(truckId, format, windowFilters()));
+    } catch (error) {
+      toast({ title: "Couldn't export track", description: error.message, variant: "destructive" });
+    }
+  };
+
+  useEffect(() => {
+    if (!playing) return;
+
+    const timer = setInterval(() => {
+      setCurrentTime(time => {
+        const next = time + speed * TICK_MS;
+        if (next >= endTime) {
+          setPlaying(false);
+          return endTime;
+        }
+        return next;
+      });
+    }, TICK_MS);
+
+    return () => clearInterval(timer);
+  }, [playing, speed, endTime]);
+
+  useEffect(() => {
+    onReplayChange(points.length ? {
+      points,
+      stops: track.stops,
+      position: positionAt(points, currentTime)
+    } : null);
+  }, [track, currentTime]);
+
+  // Clear the replay layer when the controls close
+  useEffect(() => () => onReplayChange(null), []);
+
+  const togglePlay = () => {
+    if (!playing && currentTime >= endTime) {
+      setCurrentTime(startTime);
+    }
+    setPlaying(!playing);
+  };
+
+  const position = points.length ? positionAt(points, currentTime) : null;
+
+  return (
+    <div className="space-y-4 p-4 bg-black/30 rounded-lg border border-red-900/20">
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-3 items-end">
+        <div className="space-y-1">
+          <Label className="text-gray-300">Truck</Label>
+          <Select value={truckId} onValueChange={setTruckId}>
+            <SelectTrigger className={inputClassName}>
+              <SelectValue placeholder="Select truck" />
+            </SelectTrigger>
+            <SelectContent>
+              {trucks.map(truck => (
+                <SelectItem key={truck.id} value={truck.id}>
+                  {truck.truckId} - {truck.licensePlate}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div className="space-y-1">
+          <Label htmlFor="replay-from" className="text-gray-300">From</Label>
+          <Input id="replay-from" type="datetime-local" value={from} onChange={(e) => setFrom(e.target.value)} className={inputClassName} />
+        </div>
+        <div className="space-y-1">
+          <Label htmlFor="replay-to" className="text-gray-300">To</Label>
+          <Input id="replay-to" type="datetime-local" value={to} onChange={(e) => setTo(e.target.value)} className={inputClassName} />
+        </div>
+        <Button
+          onClick={loadTrack}
+          disabled={!truckId || loading}
+          className="bg-gradient-to-r from-red-600 to-red-700 text-white"
+        >
+          <History className="w-4 h-4 mr-2" />
+          {loading ? 'Loading...' : 'Load trip'}
+        </Button>
+      </div>
+
+      {points.length > 0 && (
+        <>
+          <div className="space-y-2">
+            <input
+              type="range"
+              min={startTime}
+              max={endTime}
+              step={1000}
+              value={currentTime}
+              onChange={(e) => setCurrentTime(Number(e.target.value))}
+              className="w-full accent-red-600"
+              aria-label="Trip time"
+            />
+            <div className="flex justify-between text-xs text-gray-400">
+              <span>{formatDateTime(startTime)}</span>
+              <span className="text-white font-semibold">
+                {new Date(currentTime).toLocaleString()}
+                {position?.speed !== undefined && position?.speed !== null && ` · ${Math.round(position.speed)} km/h`}
+              </span>
+              <span>{formatDateTime(endTime)}</span>
+            </div>
+          </div>
+
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <div className="flex items-center gap-2">
+              <Button
+                size="sm"
+                variant="outline"
+                onClick={() => { setPlaying(false); setCurrentTime(startTime); }}
+                className="border-red-900/50 text-red-300 hover:bg-red-900/20"
+                aria-label="Back to start"
+              >
+                <SkipBack className="w-4 h-4" />
+              </Button>
+              <Button size="sm" onClick={togglePlay} className="bg-red-600 hover:bg-red-700 text-white" aria-label={playing ? 'Pause' : 'Play'}>
+                {playing ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+              </Button>
+              {PLAYBACK_SPEEDS.map(option => (
+                <Button
+                  key={option}
+                  size="sm"
+                  variant={speed === option ? 'default' : 'outline'}
+                  onClick={() => setSpeed(option)}
+                  className={speed === option
+                    ? 'bg-red-600 hover:bg-red-700 text-white'
+                    : 'border-red-900/50 text-red-300 hover:bg-red-900/20'}
+                >
+                  {option}x
+                </Button>
+              ))}
+            </div>
+
+            <div className="flex items-center gap-3 text-sm text-gray-300">
+              <span>{track.summary.distanceKm} km</span>
+              <span>{track.stops.filter(stop => stop.type === 'stop').length} stop(s)</span>
+              <span>{track.stops.filter(stop => stop.type === 'idle').length} idle</span>
+              <Button size="sm" variant="outline" onClick={() => exportTrack('gpx')} className="border-red-900/50 text-red-300 hover:bg-red-900/20">
+                <Download className="w-4 h-4 mr-1" />
+                GPX
+              </Button>
+              <Button size="sm" variant="outline" onClick={() => exportTrack('kml')} className="border-red-900/50 text-red-300 hover:bg-red-900/20">
+                <Download className="w-4 h-4 mr-1" />
+                KML
+              </Button>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TripReplay;
@@ -0,0 +1,380 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { CalendarDays, ChevronLeft, ChevronRight, AlertTriangle, X } from 'lucide-react';
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { useToast } from '@/components/ui/use-toast';
+import { formatCurrency, formatDateTime } from '@/lib/utils';
+import { toDateTimeInput } from '@/lib/trackReplay';
+import { apiService } from '@/services/api';
+import { useSocket } from '@/contexts/SocketContext';
+
+const inputClassName = "bg-black/50 border-red-900/50 text-white placeholder:text-gray-400";
+
+const STATUS_COLORS = {
+  pending: 'bg-gray-600',
+  confirmed: 'bg-blue-700',
+  assigned: 'bg-amber-600',
+  'at-location': 'bg-purple-700',
+  in_progress: 'bg-orange-600',
+  completed: 'bg-green-700'
+};
+
+// Monday 00:00 local time of the week holding `date`
+const startOfWeek = (date) => {
+  const monday = new Date(date);
+  monday.setHours(0, 0, 0, 0);
+  monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+  return monday;
+};
+
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+const isSameDay = (a, b) => a.toDateString() === b.toDateString();
+
+const formatTime = (date) => date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+// A week of bookings with one row per truck. Drag a booking to another day or truck to move it;
+// its time of day and length stay the same.
+const BookingCalendar = () => {
+  const { toast } = useToast();
+  const { socket } = useSocket();
+  const [weekStart, setWeekStart] = useState(() => startOfWeek(new Date()));
+  const [events, setEvents] = useState([]);
+  const [trucks, setTrucks] = useState([]);
+  const [branches, setBranches] = useState([]);
+  const [drivers, setDrivers] = useState([]);
+  const [branchFilter, setBranchFilter] = useState('all');
+  const [driverFilter, setDriverFilter] = useState('all');
+  const [dropTarget, setDropTarget] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [newStart, setNewStart] = useState('');
+  const [cancellation, setCancellation] = useState(null);
+  const [cancelForm, setCancelForm] = useState({ reason: '', waiveFee: false });
+  const [saving, setSaving] = useState(false);
+
+  const days = useMemo(() => Array.from({ length: 7 }, (_, index) => addDays(weekStart, index)), [weekStart]);
+
+  useEffect(() => {
+    // Staff without manage_trucks can't list drivers; the calendar works without the filter
+    Promise.all([apiService.getTrucks(), apiService.getBranches(), apiService.getDrivers().catch(() => ({ data: [] }))])
+      .then(([truckResponse, branchResponse, driverResponse]) => {
+        setTrucks(truckResponse.data || []);
+        setBranches(branchResponse.data || []);
+        setDrivers(driverResponse.data || []);
+      })
+      .catch(error => toast({ title: "Couldn't load the fleet", description: error.message, variant: "destructive" }));
+  }, []);
+
+  const loadEvents = useCallback(async () => {
+    try {
+      const filters = {};
+      if (branchFilter !== 'all') filters.branch = branchFilter;
+      if (driverFilter !== 'all') filters.driver = driverFilter;
+      const response = await apiService.getBookingCalendar(
+        weekStart.toISOString(),
+        addDays(weekStart, 7).toISOString(),
+        filters
+      );
+      setEvents(response.data.map(event => ({ ...event, start: new Date(event.start), end: new Date(event.end) })));
+    } catch (error) {
+      toast({ title: "Couldn't load bookings", description: error.message, variant: "destructive" });
+    }
+  }, [weekStart, branchFilter, driverFilter]);
+
+  useEffect(() => {
+    loadEvents();
+  }, [loadEvents]);
+
+  useEffect(() => {
+    if (!socket) return;
+    socket.on('booking-created', loadEvents);
+    socket.on('booking-rescheduled', loadEvents);
+    return () => {
+      socket.off('booking-created', loadEvents);
+      socket.off('booking-rescheduled', loadEvents);
+    };
+  }, [socket, loadEvents]);
+
+  // Every truck while unfiltered; otherwise the trucks with bookings that match
+  const rows = useMemo(() => {
+    const booked = new Map(events.filter(event => event.truck).map(event => [event.truck._id, event.truck]));
+    if (branchFilter !== 'all' || driverFilter !== 'all') return [...booked.values()];
+    const listed = new Set(trucks.map(truck => truck._id));
+    return [...trucks, ...[...booked.values()].filter(truck => !listed.has(truck._id))];
+  }, [trucks, events, branchFilter, driverFilter]);
+
+  const eventsById = useMemo(() => new Map(events.map(event => [event.id, event])), [events]);
+
+  const selectEvent = async (event) => {
+    setSelected(event);
+    setNewStart(toDateTimeInput(event.start));
+    setCancelForm({ reason: '', waiveFee: false });
+    setCancellation(null);
+    try {
+      const response = await apiService.getCancellationFee(event.id);
+      setCancellation(response.data);
+    } catch (error) {
+      toast({ title: "Couldn't load the cancellation fee", description: error.message, variant: "destructive" });
+    }
+  };
+
+  const reschedule = async (event, startDate, truckId) => {
+    setSaving(true);
+    try {
+      const response = await apiService.rescheduleBooking(event.id, {
+        startDate: startDate.toISOString(),
+        truck: truckId && truckId !== event.truck?._id ? truckId : undefined
+      });
+      const { pricing } = response.data;
+      toast({
+        title: "Booking rescheduled",
+        description: `${event.bookingNumber} now starts ${formatDateTime(startDate)} at ${formatCurrency(pricing.totalAmount, pricing.currency)}`
+      });
+      setSelected(null);
+      loadEvents();
+    } catch (error) {
+      toast({ title: "Couldn't reschedule booking", description: error.message, variant: "destructive" });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDrop = (e, truckId, day) => {
+    e.preventDefault();
+    setDropTarget(null);
+    const event = eventsById.get(e.dataTransfer.getData('text/plain'));
+    if (!event) return;
+
+    const startDate = new Date(day);
+    startDate.setHours(event.start.getHours(), event.start.getMinutes(), 0, 0);
+    if (startDate.getTime() === event.start.getTime() && truckId === event.truck?._id) return;
+    reschedule(event, startDate, truckId);
+  };
+
+  const handleCancel = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const response = await apiService.cancelBooking(selected.id, {
+        reason: cancelForm.reason || undefined,
+        waiveFee: cancelForm.waiveFee
+      });
+      const { refundDue } = response.data;
+      toast({
+        title: "Booking cancelled",
+        description: refundDue > 0 ? `${response.message}. ${refundDue} paid beyond the fee is due back to the customer.` : response.message
+      });
+      setSelected(null);
+      loadEvents();
+    } catch (error) {
+      toast({ title: "Couldn't cancel booking", description: error.message, variant: "destructive" });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card className="glass-effect border-red-900/30">
+      <CardHeader>
+        <div className="flex flex-wrap items-start justify-between gap-3">
+          <div>
+            <CardTitle className="text-white flex items-center gap-2">
+              <CalendarDays className="w-5 h-5" />
+              Booking Calendar
+            </CardTitle>
+            <CardDescription className="text-gray-400">
+              Drag a booking to another day or truck to reschedule it. Clashing bookings are outlined in yellow.
+            </CardDescription>
+          </div>
+          <div className="flex flex-wrap items-center gap-2">
+            <Select value={branchFilter} onValueChange={setBranchFilter}>
+              <SelectTrigger className="w-40 bg-black/50 border-red-900/50 text-white">
+                <SelectValue placeholder="All branches" />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="all">All branches</SelectItem>
+                {branches.map(branch => (
+                  <SelectItem key={branch._id} value={branch._id}>{branch.name}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Select value={driverFilter} onValueChange={setDriverFilter}>
+              <SelectTrigger className="w-40 bg-black/50 border-red-900/50 text-white">
+                <SelectValue placeholder="All drivers" />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="all">All drivers</SelectItem>
+                {drivers.map(driver => (
+                  <SelectItem key={driver._id} value={driver._id}>{driver.name}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Button size="sm" variant="ghost" onClick={() => setWeekStart(prev => addDays(prev, -7))} className="text-gray-400 hover:text-white" aria-label="Previous week">
+              <ChevronLeft className="w-4 h-4" />
+            </Button>
+            <Button size="sm" variant="outline" onClick={() => setWeekStart(startOfWeek(new Date()))} className="border-red-500 text-red-500">
+              This week
+            </Button>
+            <Button size="sm" variant="ghost" onClick={() => setWeekStart(prev => addDays(prev, 7))} className="text-gray-400 hover:text-white" aria-label="Next week">
+              <ChevronRight className="w-4 h-4" />
+            </Button>
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="overflow-x-auto">
+          <table className="w-full min-w-[900px] table-fixed border-collapse text-sm">
+            <thead>
+              <tr>
+                <th className="w-36 p-2 text-left text-gray-400 font-medium">Truck</th>
+                {days.map(day => (
+                  <th key={day.toISOString()} className={`p-2 text-left font-medium ${isSameDay(day, new Date()) ? 'text-red-400' : 'text-gray-400'}`}>
+                    {day.toLocaleDateString([], { weekday: 'short', day: 'numeric', month: 'short' })}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.length === 0 ? (
+                <tr>
+                  <td colSpan={8} className="text-center text-gray-400 py-6">No bookings this week</td>
+                </tr>
+              ) : rows.map(truck => (
+                <tr key={truck._id} className="border-t border-red-900/20 align-top">
+                  <td className="p-2">
+                    <p className="text-white font-medium">{truck.truckId}</p>
+                    <p className="text-xs text-gray-400">{truck.vehicle?.licensePlate}</p>
+                  </td>
+                  {days.map(day => {
+                    const cellKey = `${truck._id}:${day.toISOString()}`;
+                    const cellEvents = events.filter(event => event.truck?._id === truck._id && isSameDay(event.start, day));
+                    return (
+                      <td
+                        key={cellKey}
+                        onDragOver={(e) => { e.preventDefault(); setDropTarget(cellKey); }}
+                        onDragLeave={() => setDropTarget(prev => (prev === cellKey ? null : prev))}
+                        onDrop={(e) => handleDrop(e, truck._id, day)}
+                        className={`p-1 h-20 space-y-1 ${dropTarget === cellKey ? 'bg-red-900/30' : ''}`}
+                      >
+                        {cellEvents.map(event => (
+                          <div
+                            key={event.id}
+                            draggable={event.canReschedule && !saving}
+                            onDragStart={(e) => e.dataTransfer.setData('text/plain', event.id)}
+                            onClick={() => selectEvent(event)}
+                            title={event.conflicts.length > 0
+                              ? `Clashes with ${event.conflicts.map(id => eventsById.get(id)?.bookingNumber).join(', ')}`
+                              : `${event.customer?.name || ''} · ${event.serviceType}`}
+                            className={`${STATUS_COLORS[event.status] || 'bg-gray-700'} rounded px-2 py-1 text-xs text-white ${event.canReschedule ? 'cursor-grab' : 'cursor-pointer opacity-75'} ${event.conflicts.length > 0 ? 'ring-2 ring-yellow-400' : ''} ${selected?.id === event.id ? 'outline outline-2 outline-white' : ''}`}
+                          >
+                            <p className="font-medium flex items-center gap-1">
+                              {event.conflicts.length > 0 && <AlertTriangle className="w-3 h-3 text-yellow-300" />}
+                              {event.bookingNumber}
+                            </p>
+                            <p>{formatTime(event.start)}-{formatTime(event.end)}</p>
+                          </div>
+                        ))}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {selected && (
+          <div className="p-4 bg-black/30 rounded-lg border border-red-900/20 space-y-4">
+            <div className="flex items-start justify-between gap-3">
+              <div>
+                <p className="text-white font-medium">
+                  {selected.bookingNumber}
+                  <span className="text-gray-400 font-normal"> · {selected.customer?.name} · {selected.serviceType}</span>
+                </p>
+                <p className="text-xs text-gray-400">
+                  {formatDateTime(selected.start)} - {formatDateTime(selected.end)}
+                  {selected.driver && ` · ${selected.driver.name}`}
+                  {selected.branch && ` · ${selected.branch.name}`}
+                </p>
+              </div>
+              <div className="flex items-center gap-2">
+                <Badge className={`${STATUS_COLORS[selected.status] || 'bg-gray-700'} text-white capitalize`}>
+                  {selected.status.replace('_', ' ')}
+                </Badge>
+                <Button size="sm" variant="ghost" onClick={() => setSelected(null)} className="text-gray-400 hover:text-white" aria-label="Close">
+                  <X className="w-4 h-4" />
+                </Button>
+              </div>
+            </div>
+
+            {selected.canReschedule && (
+              <div className="flex items-end gap-3">
+                <div className="space-y-1">
+                  <Label htmlFor="booking-start" className="text-gray-300">New start</Label>
+                  <Input
+                    id="booking-start"
+                    type="datetime-local"
+                    value={newStart}
+                    onChange={(e) => setNewStart(e.target.value)}
+                    className={inputClassName}
+                  />
+                </div>
+                <Button
+                  disabled={saving || !newStart}
+                  onClick={() => reschedule(selected, new Date(newStart))}
+                  className="bg-gradient-to-r from-red-600 to-red-700 text-white"
+                >
+                  Reschedule
+                </Button>
+              </div>
+            )}
+
+            {cancellation?.canCancel && (
+              <form onSubmit={handleCancel} className="space-y-3">
+                <p className="text-sm text-gray-300">
+                  {cancellation.fee > 0
+                    ? `Cancelling now costs ${cancellation.currency} ${cancellation.fee} (${cancellation.percent}% of the price).`
+                    : `Free to cancel until ${formatDateTime(cancellation.freeUntil)}.`}
+                </p>
+                <div className="flex items-end gap-3">
+                  <div className="flex-1 space-y-1">
+                    <Label htmlFor="cancel-reason" className="text-gray-300">Reason</Label>
+                    <Input
+                      id="cancel-reason"
+                      value={cancelForm.reason}
+                      onChange={(e) => setCancelForm(prev => ({ ...prev, reason: e.target.value }))}
+                      className={inputClassName}
+                    />
+                  </div>
+                  {cancellation.fee > 0 && (
+                    <Button
+                      type="button"
+                      variant="outline"
+                      onClick={() => setCancelForm(prev => ({ ...prev, waiveFee: !prev.waiveFee }))}
+                      className={cancelForm.waiveFee ? 'bg-yellow-600 text-white border-yellow-600' : 'border-red-500 text-red-500'}
+                    >
+                      Waive fee
+                    </Button>
+                  )}
+                  <Button type="submit" disabled={saving} className="bg-gradient-to-r from-red-600 to-red-700 text-white">
+                    {saving ? 'Cancelling...' : 'Cancel booking'}
+                  </Button>
+                </div>
+              </form>
+            )}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default BookingCalendar;
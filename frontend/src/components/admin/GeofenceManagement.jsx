@@ -0,0 +1,289 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Hexagon, Circle, Plus, Trash2, LogIn, LogOut, Timer } from 'lucide-react';
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { useToast } from '@/components/ui/use-toast';
+import { getTimeAgo } from '@/lib/utils';
+import { apiService } from '@/services/api';
+import { useSocket } from '@/contexts/SocketContext';
+
+const inputClassName = "bg-black/50 border-red-900/50 text-white placeholder:text-gray-400";
+
+const EMPTY_FORM = {
+  name: '',
+  type: 'circle',
+  branch: 'none',
+  latitude: '',
+  longitude: '',
+  radiusMeters: '200',
+  polygon: '',
+  dwellSeconds: '300'
+};
+
+const EVENT_ICONS = {
+  enter: <LogIn className="w-4 h-4 text-green-400" />,
+  exit: <LogOut className="w-4 h-4 text-gray-400" />,
+  dwell: <Timer className="w-4 h-4 text-amber-400" />
+};
+
+// "lat, lng" per line
+const parsePolygon = (text) => text
+  .split('\n')
+  .map(line => line.split(',').map(value => parseFloat(value.trim())))
+  .filter(([latitude, longitude]) => !isNaN(latitude) && !isNaN(longitude))
+  .map(([latitude, longitude]) => ({ latitude, longitude }));
+
+const GeofenceManagement = () => {
+  const { toast } = useToast();
+  const { socket } = useSocket();
+  const [geofences, setGeofences] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [branches, setBranches] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [showForm, setShowForm] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const loadGeofences = useCallback(async () => {
+    try {
+      const [geofenceResponse, eventResponse] = await Promise.all([
+        apiService.getGeofences(),
+        apiService.getGeofenceEvents({ limit: 20 })
+      ]);
+      setGeofences(geofenceResponse.data);
+      setEvents(eventResponse.data);
+    } catch (error) {
+      toast({ title: "Couldn't load geofences", description: error.message, variant: "destructive" });
+    }
+  }, []);
+
+  useEffect(() => {
+    loadGeofences();
+    apiService.getBranches()
+      .then(response => setBranches(response.data?.branches || response.data || []))
+      .catch(() => setBranches([]));
+  }, [loadGeofences]);
+
+  useEffect(() => {
+    if (!socket) return;
+    socket.on('geofence-event', loadGeofences);
+    return () => socket.off('geofence-event', loadGeofences);
+  }, [socket, loadGeofences]);
+
+  const updateForm = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    const payload = {
+      name: form.name,
+      type: form.type,
+      dwellSeconds: parseInt(form.dwellSeconds)
+    };
+    if (form.branch !== 'none') {
+      payload.branch = form.branch;
+    }
+    if (form.type === 'circle') {
+      payload.radiusMeters = parseFloat(form.radiusMeters);
+      // Branch fences fall back to the branch's own coordinates
+      if (form.latitude && form.longitude) {
+        payload.center = { latitude: parseFloat(form.latitude), longitude: parseFloat(form.longitude) };
+      }
+    } else {
+      payload.polygon = parsePolygon(form.polygon);
+    }
+
+    try {
+      await apiService.createGeofence(payload);
+      toast({ title: "Geofence created", description: form.name });
+      setForm(EMPTY_FORM);
+      setShowForm(false);
+      loadGeofences();
+    } catch (error) {
+      toast({ title: "Couldn't create geofence", description: error.message, variant: "destructive" });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleActive = async (geofence) => {
+    try {
+      await apiService.updateGeofence(geofence._id, { isActive: !geofence.isActive });
+      loadGeofences();
+    } catch (error) {
+      toast({ title: "Couldn't update geofence", description: error.message, variant: "destructive" });
+    }
+  };
+
+  const deleteGeofence = async (geofence) => {
+    try {
+      await apiService.deleteGeofence(geofence._id);
+      toast({ title: "Geofence deleted", description: geofence.name });
+      loadGeofences();
+    } catch (error) {
+      toast({ title: "Couldn't delete geofence", description: error.message, variant: "destructive" });
+    }
+  };
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+      <Card className="glass-effect border-red-900/30">
+        <CardHeader>
+          <div className="flex items-center justify-between">
+            <div>
+              <CardTitle className="text-white flex items-center gap-2">
+                <Hexagon className="w-5 h-5" />
+                Geofences
+              </CardTitle>
+              <CardDescription className="text-gray-400">
+                Pickup points get a fence automatically while a truck is on its way.
+              </CardDescription>
+            </div>
+            <Button
+              size="sm"
+              onClick={() => setShowForm(!showForm)}
+              className="bg-gradient-to-r from-red-600 to-red-700 text-white"
+            >
+              <Plus className="w-4 h-4 mr-1" />
+              New
+            </Button>
+          </div>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {showForm && (
+            <form onSubmit={handleSubmit} className="space-y-3 p-4 bg-black/30 rounded-lg border border-red-900/20">
+              <div className="grid grid-cols-2 gap-3">
+                <div className="space-y-1 col-span-2">
+                  <Label htmlFor="geofence-name" className="text-gray-300">Name</Label>
+                  <Input id="geofence-name" value={form.name} onChange={(e) => updateForm('name', e.target.value)} required className={inputClassName} />
+                </div>
+                <div className="space-y-1">
+                  <Label className="text-gray-300">Shape</Label>
+                  <Select value={form.type} onValueChange={(value) => updateForm('type', value)}>
+                    <SelectTrigger className={inputClassName}>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="circle">Circle</SelectItem>
+                      <SelectItem value="polygon">Polygon</SelectItem>
+                    </SelectContent>
+                  </Select>
+                </div>
+                <div className="space-y-1">
+                  <Label className="text-gray-300">Branch</Label>
+                  <Select value={form.branch} onValueChange={(value) => updateForm('branch', value)}>
+                    <SelectTrigger className={inputClassName}>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="none">None (custom area)</SelectItem>
+                      {branches.map(branch => (
+                        <SelectItem key={branch._id} value={branch._id}>{branch.name}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+                {form.type === 'circle' ? (
+                  <>
+                    <div className="space-y-1">
+                      <Label htmlFor="geofence-lat" className="text-gray-300">Center latitude</Label>
+                      <Input id="geofence-lat" value={form.latitude} onChange={(e) => updateForm('latitude', e.target.value)} placeholder={form.branch !== 'none' ? 'Branch location' : '-1.2921'} required={form.branch === 'none'} className={inputClassName} />
+                    </div>
+                    <div className="space-y-1">
+                      <Label htmlFor="geofence-lng" className="text-gray-300">Center longitude</Label>
+                      <Input id="geofence-lng" value={form.longitude} onChange={(e) => updateForm('longitude', e.target.value)} placeholder={form.branch !== 'none' ? 'Branch location' : '36.8219'} required={form.branch === 'none'} className={inputClassName} />
+                    </div>
+                    <div className="space-y-1">
+                      <Label htmlFor="geofence-radius" className="text-gray-300">Radius (m)</Label>
+                      <Input id="geofence-radius" type="number" min="10" value={form.radiusMeters} onChange={(e) => updateForm('radiusMeters', e.target.value)} required className={inputClassName} />
+                    </div>
+                  </>
+                ) : (
+                  <div className="space-y-1 col-span-2">
+                    <Label htmlFor="geofence-polygon" className="text-gray-300">Corners (one "latitude, longitude" per line)</Label>
+                    <Textarea id="geofence-polygon" rows={4} value={form.polygon} onChange={(e) => updateForm('polygon', e.target.value)} required className={inputClassName} />
+                  </div>
+                )}
+                <div className="space-y-1">
+                  <Label htmlFor="geofence-dwell" className="text-gray-300">Dwell alert after (s)</Label>
+                  <Input id="geofence-dwell" type="number" min="30" value={form.dwellSeconds} onChange={(e) => updateForm('dwellSeconds', e.target.value)} required className={inputClassName} />
+                </div>
+              </div>
+              <div className="flex justify-end gap-2">
+                <Button type="button" variant="ghost" onClick={() => setShowForm(false)} className="text-gray-400 hover:text-white">
+                  Cancel
+                </Button>
+                <Button type="submit" disabled={saving} className="bg-gradient-to-r from-red-600 to-red-700 text-white">
+                  {saving ? 'Saving...' : 'Create geofence'}
+                </Button>
+              </div>
+            </form>
+          )}
+
+          {geofences.length === 0 ? (
+            <p className="text-center text-gray-400 py-6">No geofences yet</p>
+          ) : (
+            geofences.map(geofence => (
+              <div key={geofence._id} className="flex items-center justify-between gap-3 p-3 bg-black/30 rounded-lg border border-red-900/20">
+                <div className="flex items-center gap-3">
+                  {geofence.type === 'circle'
+                    ? <Circle className="w-4 h-4 text-red-400" />
+                    : <Hexagon className="w-4 h-4 text-red-400" />}
+                  <div>
+                    <p className="text-white font-medium">{geofence.name}</p>
+                    <p className="text-xs text-gray-400">
+                      {geofence.type === 'circle' ? `${geofence.radiusMeters} m radius` : `${geofence.polygon.length} corners`}
+                      {geofence.branch && ` · ${geofence.branch.name}`}
+                      {` · dwell ${Math.round(geofence.dwellSeconds / 60)} min`}
+                    </p>
+                  </div>
+                </div>
+                <div className="flex items-center gap-2">
+                  <Badge
+                    onClick={() => toggleActive(geofence)}
+                    className={`cursor-pointer ${geofence.isActive ? 'bg-green-600 text-white' : 'bg-gray-600 text-white'}`}
+                  >
+                    {geofence.isActive ? 'Active' : 'Paused'}
+                  </Badge>
+                  <Button size="sm" variant="ghost" onClick={() => deleteGeofence(geofence)} className="text-gray-400 hover:text-red-400" aria-label="Delete geofence">
+                    <Trash2 className="w-4 h-4" />
+                  </Button>
+                </div>
+              </div>
+            ))
+          )}
+        </CardContent>
+      </Card>
+
+      <Card className="glass-effect border-red-900/30">
+        <CardHeader>
+          <CardTitle className="text-white">Recent Geofence Events</CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-2 max-h-[28rem] overflow-y-auto">
+          {events.length === 0 ? (
+            <p className="text-center text-gray-400 py-6">No arrivals or departures yet</p>
+          ) : (
+            events.map(event => (
+              <div key={event._id} className="flex items-center gap-3 p-2 bg-black/30 rounded">
+                {EVENT_ICONS[event.type]}
+                <div className="flex-1">
+                  <p className="text-sm text-white">
+                    {event.truck?.vehicle?.licensePlate || 'Truck'} {event.type === 'enter' ? 'entered' : event.type === 'exit' ? 'left' : 'dwelling in'} {event.name}
+                  </p>
+                  <p className="text-xs text-gray-400">{event.kind} · {getTimeAgo(event.occurredAt)}</p>
+                </div>
+              </div>
+            ))
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default GeofenceManagement;
@@ -0,0 +1,369 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogFooter } from '@/components/ui/dialog';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { useToast } from '@/components/ui/use-toast';
+import { useService } from '@/contexts/ServiceContext';
+import { Package, Plus, RefreshCw, AlertTriangle, ArrowUpDown } from 'lucide-react';
+import { apiService } from '@/services/api';
+
+const CATEGORIES = ['engine', 'brakes', 'transmission', 'tires', 'electrical', 'ac', 'fluids', 'filters', 'body', 'other'];
+
+const emptyPart = { partNumber: '', name: '', category: 'other', unitCost: 0, serviceTypes: [] };
+const emptyStock = { part: '', branch: '', quantityOnHand: 0, reorderLevel: 5, binLocation: '' };
+
+const InventoryManagement = () => {
+  const { toast } = useToast();
+  const { serviceTypes } = useService();
+
+  const [inventory, setInventory] = useState([]);
+  const [parts, setParts] = useState([]);
+  const [branches, setBranches] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [branchFilter, setBranchFilter] = useState('all');
+  const [lowStockOnly, setLowStockOnly] = useState(false);
+
+  const [partDialogOpen, setPartDialogOpen] = useState(false);
+  const [partForm, setPartForm] = useState(emptyPart);
+  const [stockDialogOpen, setStockDialogOpen] = useState(false);
+  const [stockForm, setStockForm] = useState(emptyStock);
+  const [adjusting, setAdjusting] = useState(null);
+  const [adjustForm, setAdjustForm] = useState({ quantity: '', reason: '' });
+
+  const showError = (title, error) => {
+    toast({ title, description: error.message, variant: "destructive" });
+  };
+
+  const loadInventory = useCallback(async () => {
+    try {
+      setLoading(true);
+      const filters = {};
+      if (branchFilter !== 'all') filters.branch = branchFilter;
+      if (lowStockOnly) filters.lowStock = 'true';
+
+      const response = await apiService.getInventory(filters);
+      if (response.success) {
+        setInventory(response.data || []);
+      }
+    } catch (error) {
+      showError("Failed to load inventory", error);
+    } finally {
+      setLoading(false);
+    }
+  }, [branchFilter, lowStockOnly]);
+
+  const loadCatalogue = async () => {
+    try {
+      const [partsResponse, branchesResponse] = await Promise.all([
+        apiService.getParts(),
+        apiService.getBranches()
+      ]);
+      if (partsResponse.success) setParts(partsResponse.data || []);
+      if (branchesResponse.success) setBranches(branchesResponse.data || []);
+    } catch (error) {
+      showError("Failed to load parts catalogue", error);
+    }
+  };
+
+  useEffect(() => {
+    loadCatalogue();
+  }, []);
+
+  useEffect(() => {
+    loadInventory();
+  }, [loadInventory]);
+
+  const toggleServiceType = (serviceType) => {
+    setPartForm(prev => ({
+      ...prev,
+      serviceTypes: prev.serviceTypes.includes(serviceType)
+        ? prev.serviceTypes.filter(type => type !== serviceType)
+        : [...prev.serviceTypes, serviceType]
+    }));
+  };
+
+  const handleCreatePart = async () => {
+    try {
+      await apiService.createPart({ ...partForm, unitCost: Number(partForm.unitCost) || 0 });
+      toast({ title: "Part Added", description: `${partForm.name} has been added to the catalogue.` });
+      setPartDialogOpen(false);
+      setPartForm(emptyPart);
+      loadCatalogue();
+    } catch (error) {
+      showError("Failed to add part", error);
+    }
+  };
+
+  const handleCreateStock = async () => {
+    try {
+      await apiService.createStockRecord({
+        ...stockForm,
+        quantityOnHand: Number(stockForm.quantityOnHand) || 0,
+        reorderLevel: Number(stockForm.reorderLevel) || 0
+      });
+      toast({ title: "Stock Added", description: "The part is now stocked at this branch." });
+      setStockDialogOpen(false);
+      setStockForm(emptyStock);
+      loadInventory();
+    } catch (error) {
+      showError("Failed to add stock", error);
+    }
+  };
+
+  const handleAdjust = async () => {
+    try {
+      await apiService.adjustStock(adjusting._id, parseInt(adjustForm.quantity), adjustForm.reason);
+      toast({ title: "Stock Adjusted", description: `${adjusting.part?.name} stock has been updated.` });
+      setAdjusting(null);
+      setAdjustForm({ quantity: '', reason: '' });
+      loadInventory();
+    } catch (error) {
+      showError("Failed to adjust stock", error);
+    }
+  };
+
+  const getStockBadge = (item) => {
+    if (item.quantityAvailable <= 0) return <Badge className="bg-red-600 text-white">Out of stock</Badge>;
+    if (item.quantityAvailable <= item.reorderLevel) return <Badge className="bg-yellow-600 text-white">Low stock</Badge>;
+    return <Badge className="bg-green-600 text-white">In stock</Badge>;
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap justify-between items-center gap-4">
+        <h2 className="text-2xl font-bold text-white">Parts Inventory</h2>
+        <div className="flex flex-wrap gap-2">
+          <Select value={branchFilter} onValueChange={setBranchFilter}>
+            <SelectTrigger className="w-48 bg-black/50 border-red-900/50 text-white">
+              <SelectValue placeholder="All branches" />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="all">All branches</SelectItem>
+              {branches.map(branch => (
+                <SelectItem key={branch._id} value={branch._id}>{branch.name}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Button
+            variant="outline"
+            onClick={() => setLowStockOnly(prev => !prev)}
+            className={lowStockOnly ? 'bg-yellow-600 text-white border-yellow-600' : 'border-red-500 text-red-500'}
+          >
+            <AlertTriangle className="w-4 h-4 mr-2" />
+            Low stock
+          </Button>
+          <Button variant="outline" onClick={loadInventory} disabled={loading} className="border-red-500 text-red-500">
+            <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+          </Button>
+          <Button onClick={() => setPartDialogOpen(true)} className="bg-red-600 hover:bg-red-700">
+            <Plus className="w-4 h-4 mr-2" />
+            New Part
+          </Button>
+          <Button onClick={() => setStockDialogOpen(true)} className="bg-red-600 hover:bg-red-700">
+            <Package className="w-4 h-4 mr-2" />
+            Stock Part
+          </Button>
+        </div>
+      </div>
+
+      <Card className="glass-effect border-red-900/30">
+        <CardHeader>
+          <CardTitle className="text-white">Stock Levels</CardTitle>
+        </CardHeader>
+        <CardContent>
+          {inventory.length === 0 ? (
+            <p className="text-gray-400 text-center py-8">
+              {loading ? 'Loading inventory...' : 'No stock records found.'}
+            </p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm text-left text-gray-300">
+                <thead className="text-xs uppercase text-gray-400 border-b border-red-900/30">
+                  <tr>
+                    <th className="py-2 pr-4">Part</th>
+                    <th className="py-2 pr-4">Branch</th>
+                    <th className="py-2 pr-4 text-right">On hand</th>
+                    <th className="py-2 pr-4 text-right">Reserved</th>
+                    <th className="py-2 pr-4 text-right">Available</th>
+                    <th className="py-2 pr-4 text-right">Reorder at</th>
+                    <th className="py-2 pr-4">Status</th>
+                    <th className="py-2"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {inventory.map(item => (
+                    <tr key={item._id} className="border-b border-red-900/20">
+                      <td className="py-3 pr-4">
+                        <p className="text-white font-medium">{item.part?.name}</p>
+                        <p className="text-xs text-gray-500">
+                          {item.part?.partNumber}{item.binLocation ? ` · Bin ${item.binLocation}` : ''}
+                        </p>
+                      </td>
+                      <td className="py-3 pr-4">{item.branch?.name}</td>
+                      <td className="py-3 pr-4 text-right">{item.quantityOnHand}</td>
+                      <td className="py-3 pr-4 text-right">{item.quantityReserved}</td>
+                      <td className="py-3 pr-4 text-right text-white font-semibold">{item.quantityAvailable}</td>
+                      <td className="py-3 pr-4 text-right">{item.reorderLevel}</td>
+                      <td className="py-3 pr-4">{getStockBadge(item)}</td>
+                      <td className="py-3 text-right">
+                        <Button size="sm" variant="outline" onClick={() => setAdjusting(item)} className="border-red-500 text-red-500">
+                          <ArrowUpDown className="w-4 h-4 mr-1" />
+                          Adjust
+                        </Button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* New Part Dialog */}
+      <Dialog open={partDialogOpen} onOpenChange={setPartDialogOpen}>
+        <DialogContent className="bg-gray-900 border-red-900/50 text-white">
+          <DialogHeader>
+            <DialogTitle>New Catalogue Part</DialogTitle>
+          </DialogHeader>
+          <div className="grid gap-4 py-4">
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <Label htmlFor="partNumber">Part Number *</Label>
+                <Input id="partNumber" value={partForm.partNumber} onChange={(e) => setPartForm({ ...partForm, partNumber: e.target.value })} className="bg-black/50 border-red-900/50 text-white" />
+              </div>
+              <div>
+                <Label htmlFor="partName">Name *</Label>
+                <Input id="partName" value={partForm.name} onChange={(e) => setPartForm({ ...partForm, name: e.target.value })} className="bg-black/50 border-red-900/50 text-white" />
+              </div>
+            </div>
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <Label>Category</Label>
+                <Select value={partForm.category} onValueChange={(value) => setPartForm({ ...partForm, category: value })}>
+                  <SelectTrigger className="bg-black/50 border-red-900/50 text-white">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {CATEGORIES.map(category => (
+                      <SelectItem key={category} value={category}>{category}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div>
+                <Label htmlFor="unitCost">Unit Cost (KES)</Label>
+                <Input id="unitCost" type="number" min="0" value={partForm.unitCost} onChange={(e) => setPartForm({ ...partForm, unitCost: e.target.value })} className="bg-black/50 border-red-900/50 text-white" />
+              </div>
+            </div>
+            <div>
+              <Label>Used for</Label>
+              <div className="flex flex-wrap gap-2 mt-2">
+                {Object.values(serviceTypes).map(serviceType => (
+                  <Badge
+                    key={serviceType}
+                    onClick={() => toggleServiceType(serviceType)}
+                    className={`cursor-pointer ${partForm.serviceTypes.includes(serviceType) ? 'bg-red-600 text-white' : 'bg-gray-700 text-gray-300'}`}
+                  >
+                    {serviceType}
+                  </Badge>
+                ))}
+              </div>
+            </div>
+          </div>
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setPartDialogOpen(false)}>Cancel</Button>
+            <Button onClick={handleCreatePart} disabled={!partForm.partNumber || !partForm.name} className="bg-red-600 hover:bg-red-700">Add Part</Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
+      {/* Stock Part Dialog */}
+      <Dialog open={stockDialogOpen} onOpenChange={setStockDialogOpen}>
+        <DialogContent className="bg-gray-900 border-red-900/50 text-white">
+          <DialogHeader>
+            <DialogTitle>Stock a Part at a Branch</DialogTitle>
+          </DialogHeader>
+          <div className="grid gap-4 py-4">
+            <div>
+              <Label>Part *</Label>
+              <Select value={stockForm.part} onValueChange={(value) => setStockForm({ ...stockForm, part: value })}>
+                <SelectTrigger className="bg-black/50 border-red-900/50 text-white">
+                  <SelectValue placeholder="Select a part" />
+                </SelectTrigger>
+                <SelectContent>
+                  {parts.map(part => (
+                    <SelectItem key={part._id} value={part._id}>{part.name} ({part.partNumber})</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div>
+              <Label>Branch *</Label>
+              <Select value={stockForm.branch} onValueChange={(value) => setStockForm({ ...stockForm, branch: value })}>
+                <SelectTrigger className="bg-black/50 border-red-900/50 text-white">
+                  <SelectValue placeholder="Select a branch" />
+                </SelectTrigger>
+                <SelectContent>
+                  {branches.map(branch => (
+                    <SelectItem key={branch._id} value={branch._id}>{branch.name}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="grid grid-cols-3 gap-4">
+              <div>
+                <Label htmlFor="openingStock">Opening Stock</Label>
+                <Input id="openingStock" type="number" min="0" value={stockForm.quantityOnHand} onChange={(e) => setStockForm({ ...stockForm, quantityOnHand: e.target.value })} className="bg-black/50 border-red-900/50 text-white" />
+              </div>
+              <div>
+                <Label htmlFor="reorderLevel">Reorder Level</Label>
+                <Input id="reorderLevel" type="number" min="0" value={stockForm.reorderLevel} onChange={(e) => setStockForm({ ...stockForm, reorderLevel: e.target.value })} className="bg-black/50 border-red-900/50 text-white" />
+              </div>
+              <div>
+                <Label htmlFor="binLocation">Bin</Label>
+                <Input id="binLocation" value={stockForm.binLocation} onChange={(e) => setStockForm({ ...stockForm, binLocation: e.target.value })} className="bg-black/50 border-red-900/50 text-white" />
+              </div>
+            </div>
+          </div>
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setStockDialogOpen(false)}>Cancel</Button>
+            <Button onClick={handleCreateStock} disabled={!stockForm.part || !stockForm.branch} className="bg-red-600 hover:bg-red-700">Add Stock</Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
+      {/* Adjust Stock Dialog */}
+      <Dialog open={!!adjusting} onOpenChange={(open) => !open && setAdjusting(null)}>
+        <DialogContent className="bg-gray-900 border-red-900/50 text-white">
+          <DialogHeader>
+            <DialogTitle>Adjust {adjusting?.part?.name} at {adjusting?.branch?.name}</DialogTitle>
+          </DialogHeader>
+          <div className="grid gap-4 py-4">
+            <p className="text-sm text-gray-400">
+              Use a positive number to restock and a negative number to write off damaged or missing stock.
+            </p>
+            <div>
+              <Label htmlFor="adjustQuantity">Quantity *</Label>
+              <Input id="adjustQuantity" type="number" value={adjustForm.quantity} onChange={(e) => setAdjustForm({ ...adjustForm, quantity: e.target.value })} className="bg-black/50 border-red-900/50 text-white" />
+            </div>
+            <div>
+              <Label htmlFor="adjustReason">Reason</Label>
+              <Input id="adjustReason" value={adjustForm.reason} onChange={(e) => setAdjustForm({ ...adjustForm, reason: e.target.value })} placeholder="e.g. Supplier delivery #123" className="bg-black/50 border-red-900/50 text-white" />
+            </div>
+          </div>
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setAdjusting(null)}>Cancel</Button>
+            <Button onClick={handleAdjust} disabled={!parseInt(adjustForm.quantity)} className="bg-red-600 hover:bg-red-700">Save</Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+};
+
+export default InventoryManagement;
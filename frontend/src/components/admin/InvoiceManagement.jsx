@@ -0,0 +1,116 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { FileText, FileDown } from 'lucide-react';
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { useToast } from '@/components/ui/use-toast';
+import { formatDateTime, saveBlob } from '@/lib/utils';
+import { apiService } from '@/services/api';
+import { useSocket } from '@/contexts/SocketContext';
+
+const TYPE_LABELS = {
+  invoice: 'Invoice',
+  credit_note: 'Credit note'
+};
+
+const formatAmount = (amount, currency) => `${currency} ${Number(amount).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const InvoiceManagement = () => {
+  const { toast } = useToast();
+  const { socket } = useSocket();
+  const [invoices, setInvoices] = useState([]);
+  const [typeFilter, setTypeFilter] = useState('all');
+
+  const loadInvoices = useCallback(async () => {
+    try {
+      const filters = { limit: 50 };
+      if (typeFilter !== 'all') filters.type = typeFilter;
+      const response = await apiService.getInvoices(filters);
+      setInvoices(response.data);
+    } catch (error) {
+      toast({ title: "Couldn't load invoices", description: error.message, variant: "destructive" });
+    }
+  }, [typeFilter]);
+
+  useEffect(() => {
+    loadInvoices();
+  }, [loadInvoices]);
+
+  // Invoices are issued as bookings complete and credit notes as refunds land
+  useEffect(() => {
+    if (!socket) return;
+    socket.on('payment-updated', loadInvoices);
+    return () => socket.off('payment-updated', loadInvoices);
+  }, [socket, loadInvoices]);
+
+  const handleDownload = async (invoice) => {
+    try {
+      saveBlob(await apiService.downloadInvoice(invoice._id));
+    } catch (error) {
+      toast({ title: "Couldn't download invoice", description: error.message, variant: "destructive" });
+    }
+  };
+
+  return (
+    <Card className="glass-effect border-red-900/30">
+      <CardHeader>
+        <div className="flex items-start justify-between gap-3">
+          <div>
+            <CardTitle className="text-white flex items-center gap-2">
+              <FileText className="w-5 h-5" />
+              Invoices & Credit Notes
+            </CardTitle>
+            <CardDescription className="text-gray-400">
+              Issued when a booking completes; a credit note is issued for every refund.
+            </CardDescription>
+          </div>
+          <Select value={typeFilter} onValueChange={setTypeFilter}>
+            <SelectTrigger className="w-40 bg-black/50 border-red-900/50 text-white">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="all">All documents</SelectItem>
+              <SelectItem value="invoice">Invoices</SelectItem>
+              <SelectItem value="credit_note">Credit notes</SelectItem>
+            </SelectContent>
+          </Select>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        {invoices.length === 0 ? (
+          <p className="text-center text-gray-400 py-6">No invoices yet</p>
+        ) : (
+          invoices.map(invoice => (
+            <div key={invoice._id} className="p-3 bg-black/30 rounded-lg border border-red-900/20 flex items-center justify-between gap-3">
+              <div>
+                <p className="text-white font-medium">
+                  {invoice.number}
+                  <span className="text-gray-400 font-normal">
+                    {' · '}{formatAmount(invoice.total, invoice.currency)}
+                  </span>
+                </p>
+                <p className="text-xs text-gray-400">
+                  {invoice.booking?.bookingNumber}
+                  {' · '}{invoice.billTo?.companyName || invoice.customer?.name}
+                  {invoice.branch && ` · ${invoice.branch.name}`}
+                  {' · '}{formatDateTime(invoice.issuedAt)}
+                </p>
+              </div>
+              <div className="flex items-center gap-2">
+                <Badge className={`${invoice.type === 'invoice' ? 'bg-green-700' : 'bg-blue-700'} text-white`}>
+                  {TYPE_LABELS[invoice.type]}
+                </Badge>
+                <Button size="sm" variant="ghost" onClick={() => handleDownload(invoice)} className="text-gray-400 hover:text-white" aria-label="Download PDF">
+                  <FileDown className="w-4 h-4" />
+                </Button>
+              </div>
+            </div>
+          ))
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default InvoiceManagement;
@@ -0,0 +1,215 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { CreditCard, Undo2, RefreshCw, FileDown } from 'lucide-react';
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { useToast } from '@/components/ui/use-toast';
+import { getTimeAgo, saveBlob } from '@/lib/utils';
+import { apiService } from '@/services/api';
+import { useSocket } from '@/contexts/SocketContext';
+
+const inputClassName = "bg-black/50 border-red-900/50 text-white placeholder:text-gray-400";
+
+const STATUS_COLORS = {
+  pending: 'bg-gray-600',
+  processing: 'bg-amber-600',
+  succeeded: 'bg-green-600',
+  failed: 'bg-red-700',
+  cancelled: 'bg-gray-700',
+  partially_refunded: 'bg-blue-600',
+  refunded: 'bg-blue-800'
+};
+
+const REFUNDABLE_STATUSES = ['succeeded', 'partially_refunded'];
+const PAID_STATUSES = ['succeeded', 'partially_refunded', 'refunded'];
+// M-Pesa payments are reversed from the M-Pesa business portal
+const REFUNDABLE_PROVIDERS = ['stripe'];
+
+const PROVIDER_LABELS = {
+  stripe: 'Card',
+  mpesa: 'M-Pesa'
+};
+
+const formatAmount = (amount, currency) => `${currency} ${Number(amount).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const PaymentManagement = () => {
+  const { toast } = useToast();
+  const { socket } = useSocket();
+  const [payments, setPayments] = useState([]);
+  const [refunding, setRefunding] = useState(null);
+  const [refundForm, setRefundForm] = useState({ amount: '', reason: '' });
+  const [saving, setSaving] = useState(false);
+  const [reconciling, setReconciling] = useState(false);
+  // One key per refund form, so a retried submit doesn't refund twice
+  const idempotencyKey = useRef(null);
+
+  const loadPayments = useCallback(async () => {
+    try {
+      const response = await apiService.getPayments({ limit: 50 });
+      setPayments(response.data);
+    } catch (error) {
+      toast({ title: "Couldn't load payments", description: error.message, variant: "destructive" });
+    }
+  }, []);
+
+  useEffect(() => {
+    loadPayments();
+  }, [loadPayments]);
+
+  useEffect(() => {
+    if (!socket) return;
+    socket.on('payment-updated', loadPayments);
+    return () => socket.off('payment-updated', loadPayments);
+  }, [socket, loadPayments]);
+
+  const handleReconcile = async () => {
+    setReconciling(true);
+    try {
+      const response = await apiService.reconcilePayments();
+      const { updated, corrected } = response.data;
+      toast({ title: "Payments reconciled", description: `${updated} payment(s) updated, ${corrected} summaries corrected` });
+      loadPayments();
+    } catch (error) {
+      toast({ title: "Couldn't reconcile payments", description: error.message, variant: "destructive" });
+    } finally {
+      setReconciling(false);
+    }
+  };
+
+  const handleReceipt = async (payment) => {
+    try {
+      saveBlob(await apiService.downloadReceipt(payment._id));
+    } catch (error) {
+      toast({ title: "Couldn't download receipt", description: error.message, variant: "destructive" });
+    }
+  };
+
+  const openRefund = (payment) => {
+    setRefunding(payment);
+    setRefundForm({ amount: '', reason: '' });
+    idempotencyKey.current = crypto.randomUUID();
+  };
+
+  const handleRefund = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    try {
+      await apiService.refundPayment(refunding._id, {
+        amount: refundForm.amount ? parseFloat(refundForm.amount) : undefined,
+        reason: refundForm.reason || undefined
+      }, idempotencyKey.current);
+      toast({ title: "Refund requested", description: refunding.booking?.bookingNumber || refunding.serviceRequest?.requestNumber });
+      setRefunding(null);
+      loadPayments();
+    } catch (error) {
+      toast({ title: "Couldn't refund payment", description: error.message, variant: "destructive" });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card className="glass-effect border-red-900/30">
+      <CardHeader>
+        <div className="flex items-start justify-between gap-3">
+          <div>
+            <CardTitle className="text-white flex items-center gap-2">
+              <CreditCard className="w-5 h-5" />
+              Recent Payments
+            </CardTitle>
+            <CardDescription className="text-gray-400">
+              Card and M-Pesa payments for bookings and service requests. Card refunds go back to the customer's card.
+            </CardDescription>
+          </div>
+          <Button size="sm" variant="ghost" onClick={handleReconcile} disabled={reconciling} className="text-gray-400 hover:text-white" aria-label="Reconcile payments">
+            <RefreshCw className={`w-4 h-4 ${reconciling ? 'animate-spin' : ''}`} />
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        {payments.length === 0 ? (
+          <p className="text-center text-gray-400 py-6">No payments yet</p>
+        ) : (
+          payments.map(payment => (
+            <div key={payment._id} className="p-3 bg-black/30 rounded-lg border border-red-900/20 space-y-3">
+              <div className="flex items-center justify-between gap-3">
+                <div>
+                  <p className="text-white font-medium">
+                    {formatAmount(payment.amount, payment.currency)}
+                    <span className="text-gray-400 font-normal">
+                      {' · '}{payment.booking?.bookingNumber || payment.serviceRequest?.requestNumber}
+                    </span>
+                  </p>
+                  <p className="text-xs text-gray-400">
+                    {PROVIDER_LABELS[payment.provider]}
+                    {payment.receiptNumber && ` ${payment.receiptNumber}`}
+                    {' · '}{payment.customer?.name} · {getTimeAgo(payment.createdAt)}
+                    {payment.amountRefunded > 0 && ` · ${formatAmount(payment.amountRefunded, payment.currency)} refunded`}
+                  </p>
+                </div>
+                <div className="flex items-center gap-2">
+                  <Badge className={`${STATUS_COLORS[payment.status]} text-white capitalize`}>
+                    {payment.status.replace('_', ' ')}
+                  </Badge>
+                  {PAID_STATUSES.includes(payment.status) && (
+                    <Button size="sm" variant="ghost" onClick={() => handleReceipt(payment)} className="text-gray-400 hover:text-white" aria-label="Download receipt">
+                      <FileDown className="w-4 h-4" />
+                    </Button>
+                  )}
+                  {REFUNDABLE_STATUSES.includes(payment.status) && REFUNDABLE_PROVIDERS.includes(payment.provider) && (
+                    <Button size="sm" variant="ghost" onClick={() => openRefund(payment)} className="text-gray-400 hover:text-red-400" aria-label="Refund payment">
+                      <Undo2 className="w-4 h-4" />
+                    </Button>
+                  )}
+                </div>
+              </div>
+
+              {refunding?._id === payment._id && (
+                <form onSubmit={handleRefund} className="space-y-3">
+                  <div className="grid grid-cols-2 gap-3">
+                    <div className="space-y-1">
+                      <Label htmlFor="refund-amount" className="text-gray-300">Amount</Label>
+                      <Input
+                        id="refund-amount"
+                        type="number"
+                        step="0.01"
+                        min="0.01"
+                        max={payment.amount - payment.amountRefunded}
+                        value={refundForm.amount}
+                        onChange={(e) => setRefundForm(prev => ({ ...prev, amount: e.target.value }))}
+                        placeholder={`All (${payment.amount - payment.amountRefunded})`}
+                        className={inputClassName}
+                      />
+                    </div>
+                    <div className="space-y-1">
+                      <Label htmlFor="refund-reason" className="text-gray-300">Reason</Label>
+                      <Input
+                        id="refund-reason"
+                        value={refundForm.reason}
+                        onChange={(e) => setRefundForm(prev => ({ ...prev, reason: e.target.value }))}
+                        className={inputClassName}
+                      />
+                    </div>
+                  </div>
+                  <div className="flex justify-end gap-2">
+                    <Button type="button" variant="ghost" onClick={() => setRefunding(null)} className="text-gray-400 hover:text-white">
+                      Cancel
+                    </Button>
+                    <Button type="submit" disabled={saving} className="bg-gradient-to-r from-red-600 to-red-700 text-white">
+                      {saving ? 'Refunding...' : 'Refund'}
+                    </Button>
+                  </div>
+                </form>
+              )}
+            </div>
+          ))
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default PaymentManagement;
@@ -57,11 +57,11 @@ const RequestCard = ({ request, onStatusUpdate }) => {
                   </Badge>
                 )}
               </div>
-              <p className="text-gray-400 text-sm mb-2">Request ID: {request.id}</p>
+              <p className="text-gray-400 text-sm mb-2">Request ID: {request.requestNumber || request.id}</p>
               <div className="flex flex-wrap items-center gap-4 text-sm text-gray-400 mb-3">
                 <div className="flex items-center gap-1">
                   <Users className="w-4 h-4" />
-                  User ID: {request.userId}
+                  {request.customerName || `User ID: ${request.userId}`}
                 </div>
                 <div className="flex items-center gap-1">
                   <Calendar className="w-4 h-4" />
@@ -69,6 +69,10 @@ const RequestCard = ({ request, onStatusUpdate }) => {
                 </div>
               </div>
               
+              {request.vehicleInfo && (
+                <p className="text-gray-300 text-sm mb-3">Vehicle: {request.vehicleInfo}</p>
+              )}
+
               {request.description && (
                 <div className="p-3 bg-black/30 rounded-lg mb-3">
                   <p className="text-gray-300 text-sm">{request.description}</p>
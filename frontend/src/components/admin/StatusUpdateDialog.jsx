@@ -28,14 +28,22 @@ const StatusUpdateDialog = ({ dialogState, setDialogState, updateRequestStatus }
     setAdminNotes('');
   };
 
-  const confirmStatusUpdate = () => {
+  const confirmStatusUpdate = async () => {
     if (request && actionType) {
-      updateRequestStatus(request.id, actionType, adminNotes);
-      toast({
-        title: "Request Updated",
-        description: `Request ${request.id} has been ${actionType}`,
-      });
-      handleClose();
+      try {
+        await updateRequestStatus(request.id, actionType, adminNotes);
+        toast({
+          title: "Request Updated",
+          description: `Request ${request.requestNumber || request.id} has been ${actionType}`,
+        });
+        handleClose();
+      } catch (error) {
+        toast({
+          title: "Update Failed",
+          description: error.message || "Could not update the request. Please try again.",
+          variant: "destructive",
+        });
+      }
     }
   };
 
@@ -65,7 +73,7 @@ const StatusUpdateDialog = ({ dialogState, setDialogState, updateRequestStatus }
             {titleMap[actionType] || 'Update Status'}
           </DialogTitle>
           <DialogDescription className="text-gray-300">
-            {request && `Request ID: ${request.id} - ${request.serviceType}`}
+            {request && `Request ID: ${request.requestNumber || request.id} - ${request.serviceType}`}
           </DialogDescription>
         </DialogHeader>
 
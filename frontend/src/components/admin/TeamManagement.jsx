@@ -0,0 +1,253 @@
+import React, { useState, useEffect } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { useToast } from '@/components/ui/use-toast';
+import { UserPlus, Copy, X, History } from 'lucide-react';
+import { apiService } from '@/services/api';
+
+const INVITABLE_ROLES = [
+  { value: 'admin', label: 'Admin' },
+  { value: 'main_admin', label: 'Main Admin' },
+  { value: 'manager', label: 'Branch Manager' },
+  { value: 'mechanic', label: 'Mechanic' },
+  { value: 'driver', label: 'Driver' }
+];
+
+const STATUS_COLORS = {
+  pending: 'bg-yellow-600',
+  accepted: 'bg-green-600',
+  revoked: 'bg-gray-600',
+  expired: 'bg-gray-600'
+};
+
+const ACTION_LABELS = {
+  invitation_created: 'Invited',
+  invitation_revoked: 'Revoked invitation',
+  invitation_accepted: 'Accepted invitation',
+  role_changed: 'Role changed',
+  user_deactivated: 'Deactivated'
+};
+
+const emptyInvite = { email: '', role: 'admin', branch: 'none' };
+
+const TeamManagement = () => {
+  const { toast } = useToast();
+  const [invitations, setInvitations] = useState([]);
+  const [auditLog, setAuditLog] = useState([]);
+  const [branches, setBranches] = useState([]);
+  const [inviteForm, setInviteForm] = useState(emptyInvite);
+  const [inviteUrl, setInviteUrl] = useState('');
+  const [sending, setSending] = useState(false);
+
+  const loadTeam = async () => {
+    try {
+      const [invitationsResponse, auditResponse] = await Promise.all([
+        apiService.getInvitations(),
+        apiService.getAuditLogs({ limit: 20 })
+      ]);
+      if (invitationsResponse.success) setInvitations(invitationsResponse.data || []);
+      if (auditResponse.success) setAuditLog(auditResponse.data || []);
+    } catch (error) {
+      toast({ title: "Failed to load team", description: error.message, variant: "destructive" });
+    }
+  };
+
+  useEffect(() => {
+    loadTeam();
+    apiService.getBranches()
+      .then(response => response.success && setBranches(response.data || []))
+      .catch(() => {});
+  }, []);
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    setSending(true);
+    try {
+      const response = await apiService.createInvitation({
+        email: inviteForm.email,
+        role: inviteForm.role,
+        branch: inviteForm.branch !== 'none' ? inviteForm.branch : undefined
+      });
+      setInviteUrl(response.data.inviteUrl);
+      setInviteForm(emptyInvite);
+      toast({
+        title: "Invitation created",
+        description: response.data.emailSent
+          ? "The invitee has been emailed a link. You can also share it below."
+          : "The email couldn't be sent. Share the link with the invitee.",
+      });
+      loadTeam();
+    } catch (error) {
+      toast({ title: "Failed to create invitation", description: error.message, variant: "destructive" });
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const handleRevoke = async (invitation) => {
+    try {
+      await apiService.revokeInvitation(invitation._id);
+      toast({ title: "Invitation revoked", description: `${invitation.email} can no longer use the link.` });
+      loadTeam();
+    } catch (error) {
+      toast({ title: "Failed to revoke invitation", description: error.message, variant: "destructive" });
+    }
+  };
+
+  const copyInviteUrl = async () => {
+    await navigator.clipboard.writeText(inviteUrl);
+    toast({ title: "Link copied" });
+  };
+
+  const describeEntry = (entry) => {
+    const who = entry.target?.name || entry.targetEmail;
+    const { fromRole, toRole } = entry.changes || {};
+    if (entry.action === 'role_changed') return `${who}: ${fromRole} → ${toRole}`;
+    return toRole ? `${who} (${toRole})` : who;
+  };
+
+  return (
+    <div className="space-y-6">
+      <h2 className="text-2xl font-bold text-white">Team</h2>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <Card className="glass-effect border-red-900/30">
+          <CardHeader>
+            <CardTitle className="text-white flex items-center">
+              <UserPlus className="w-5 h-5 mr-2" />
+              Invite Staff
+            </CardTitle>
+          </CardHeader>
+          <CardContent>
+            <form onSubmit={handleInvite} className="space-y-4">
+              <div>
+                <Label htmlFor="inviteEmail" className="text-white">Email *</Label>
+                <Input
+                  id="inviteEmail"
+                  type="email"
+                  value={inviteForm.email}
+                  onChange={(e) => setInviteForm({ ...inviteForm, email: e.target.value })}
+                  required
+                  className="bg-black/50 border-red-900/50 text-white"
+                />
+              </div>
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <Label className="text-white">Role</Label>
+                  <Select value={inviteForm.role} onValueChange={(value) => setInviteForm({ ...inviteForm, role: value })}>
+                    <SelectTrigger className="bg-black/50 border-red-900/50 text-white">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {INVITABLE_ROLES.map(role => (
+                        <SelectItem key={role.value} value={role.value}>{role.label}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+                <div>
+                  <Label className="text-white">Branch</Label>
+                  <Select value={inviteForm.branch} onValueChange={(value) => setInviteForm({ ...inviteForm, branch: value })}>
+                    <SelectTrigger className="bg-black/50 border-red-900/50 text-white">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="none">No branch</SelectItem>
+                      {branches.map(branch => (
+                        <SelectItem key={branch._id} value={branch._id}>{branch.name}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              </div>
+              <Button type="submit" disabled={sending} className="w-full bg-red-600 hover:bg-red-700">
+                {sending ? 'Creating...' : 'Create Invitation'}
+              </Button>
+            </form>
+
+            {inviteUrl && (
+              <div className="mt-4 p-3 bg-black/40 rounded-lg border border-red-900/30">
+                <p className="text-xs text-gray-400 mb-2">Invitation link</p>
+                <div className="flex gap-2">
+                  <Input readOnly value={inviteUrl} className="bg-black/50 border-red-900/50 text-white text-xs" />
+                  <Button type="button" variant="outline" onClick={copyInviteUrl} className="border-red-500 text-red-500">
+                    <Copy className="w-4 h-4" />
+                  </Button>
+                </div>
+              </div>
+            )}
+          </CardContent>
+        </Card>
+
+        <Card className="glass-effect border-red-900/30">
+          <CardHeader>
+            <CardTitle className="text-white">Invitations</CardTitle>
+          </CardHeader>
+          <CardContent>
+            {invitations.length === 0 ? (
+              <p className="text-gray-400 text-center py-8">No invitations yet.</p>
+            ) : (
+              <div className="space-y-3 max-h-96 overflow-y-auto">
+                {invitations.map(invitation => (
+                  <div key={invitation._id} className="flex justify-between items-center p-3 bg-black/30 rounded-lg">
+                    <div>
+                      <p className="text-white text-sm font-medium">{invitation.email}</p>
+                      <p className="text-xs text-gray-400">
+                        {invitation.role.replace('_', ' ')}
+                        {invitation.branch ? ` · ${invitation.branch.name}` : ''}
+                        {' · by '}{invitation.invitedBy?.name}
+                      </p>
+                    </div>
+                    <div className="flex items-center gap-2">
+                      <Badge className={`${STATUS_COLORS[invitation.status]} text-white`}>{invitation.status}</Badge>
+                      {invitation.status === 'pending' && (
+                        <button onClick={() => handleRevoke(invitation)} className="text-gray-400 hover:text-white" title="Revoke">
+                          <X className="w-4 h-4" />
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+
+      <Card className="glass-effect border-red-900/30">
+        <CardHeader>
+          <CardTitle className="text-white flex items-center">
+            <History className="w-5 h-5 mr-2" />
+            Audit Log
+          </CardTitle>
+        </CardHeader>
+        <CardContent>
+          {auditLog.length === 0 ? (
+            <p className="text-gray-400 text-center py-8">No activity recorded yet.</p>
+          ) : (
+            <div className="space-y-2">
+              {auditLog.map(entry => (
+                <div key={entry._id} className="flex justify-between text-sm border-b border-red-900/20 pb-2">
+                  <p className="text-gray-300">
+                    <span className="text-white font-medium">{ACTION_LABELS[entry.action] || entry.action}</span>
+                    {' '}{describeEntry(entry)}
+                    {entry.actor ? <span className="text-gray-500"> by {entry.actor.name}</span> : null}
+                  </p>
+                  <p className="text-xs text-gray-500 whitespace-nowrap ml-4">
+                    {new Date(entry.createdAt).toLocaleString()}
+                  </p>
+                </div>
+              ))}
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default TeamManagement;
@@ -1,89 +1,71 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { motion } from 'framer-motion';
-import { Truck, MapPin, Navigation, Clock, User, Send, Map } from 'lucide-react';
+import { Truck, MapPin, Navigation, Clock, User, Map, Zap, ListOrdered, Settings2, RefreshCw } from 'lucide-react';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
 import { useToast } from '@/components/ui/use-toast';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
-import { formatDateTime, getTimeAgo } from '@/lib/utils';
+import { getTimeAgo } from '@/lib/utils';
+import { apiService } from '@/services/api';
+import { useSocket } from '@/contexts/SocketContext';
 import MapView from '@/components/MapView';
 
+const DISPATCH_MODES = [
+  { value: 'manual', label: 'Manual', description: 'Admins pick every truck' },
+  { value: 'suggest', label: 'Suggest', description: 'Best trucks are ranked for admins' },
+  { value: 'auto', label: 'Auto', description: 'Best truck is offered to its driver' }
+];
+
+const DISPATCH_STATUS_LABELS = {
+  waiting: 'Awaiting dispatch',
+  suggested: 'Suggestions ready',
+  offered: 'Offered to driver',
+  assigned: 'Assigned',
+  exhausted: 'Needs attention',
+  cancelled: 'Cancelled'
+};
+
 const TruckDispatch = () => {
   const [trucks, setTrucks] = useState([]);
   const [pickupRequests, setPickupRequests] = useState([]);
+  const [branches, setBranches] = useState([]);
+  const [selectedBranch, setSelectedBranch] = useState('');
+  // Ranked trucks per request, loaded on demand
+  const [candidates, setCandidates] = useState({});
   const [showMap, setShowMap] = useState(true);
   const { toast } = useToast();
+  const { socket } = useSocket();
 
-  // Load data from localStorage
-  useEffect(() => {
-    const savedTrucks = localStorage.getItem('autocare_trucks');
-    const savedRequests = localStorage.getItem('autocare_pickup_requests');
-    
-    if (savedTrucks) {
-      setTrucks(JSON.parse(savedTrucks));
-    } else {
-      // Initialize with some sample trucks
-      const initialTrucks = [
-        {
-          id: 'truck-001',
-          driver: 'John Smith',
-          phone: '+1234567890',
-          licensePlate: 'TRK-001',
-          status: 'available',
-          location: { lat: -1.2921, lng: 36.8219, address: 'Nairobi CBD' },
-          assignedRequest: null,
-          lastUpdate: new Date().toISOString()
-        },
-        {
-          id: 'truck-002',
-          driver: 'Jane Doe',
-          phone: '+1234567891',
-          licensePlate: 'TRK-002',
-          status: 'available',
-          location: { lat: -1.3032, lng: 36.8335, address: 'Westlands' },
-          assignedRequest: null,
-          lastUpdate: new Date().toISOString()
-        }
-      ];
-      setTrucks(initialTrucks);
-      localStorage.setItem('autocare_trucks', JSON.stringify(initialTrucks));
-    }
-
-    if (savedRequests) {
-      setPickupRequests(JSON.parse(savedRequests));
-    } else {
-      // Initialize with sample pickup requests
-      const initialRequests = [
-        {
-          id: 'pickup-001',
-          userId: 1,
-          userName: 'Customer A',
-          userPhone: '+1234567892',
-          serviceType: 'Vehicle Pickup',
-          vehicleInfo: 'Toyota Camry 2020 - KDA 123A',
-          pickupLocation: {
-            lat: -1.2881, 
-            lng: 36.8320,
-            address: 'Karen Shopping Centre, Nairobi'
-          },
-          destination: {
-            lat: -1.2921,
-            lng: 36.8219,
-            address: 'AutoCare Service Center, CBD'
-          },
-          status: 'pending',
-          priority: 'normal',
-          requestTime: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(), // 2 hours ago
-          assignedTruck: null,
-          estimatedTime: null
-        }
-      ];
-      setPickupRequests(initialRequests);
-      localStorage.setItem('autocare_pickup_requests', JSON.stringify(initialRequests));
+  const loadData = useCallback(async () => {
+    try {
+      const [truckResponse, pickupResponse, branchResponse] = await Promise.all([
+        apiService.getTrucks(),
+        apiService.getPickups(),
+        apiService.getBranches()
+      ]);
+      setTrucks(truckResponse.data || []);
+      setPickupRequests(pickupResponse.data || []);
+      const branchList = branchResponse.data?.branches || branchResponse.data || [];
+      setBranches(branchList);
+      setSelectedBranch(prev => prev || branchList[0]?._id || '');
+    } catch (error) {
+      toast({ title: "Couldn't load dispatch data", description: error.message, variant: "destructive" });
     }
   }, []);
 
+  useEffect(() => {
+    loadData();
+  }, [loadData]);
+
+  // Offers, timeouts and assignments happen server-side; refresh when they do
+  useEffect(() => {
+    if (!socket) return;
+    const events = ['dispatch-updated', 'pickup-request-received', 'truck-status-updated'];
+    events.forEach(event => socket.on(event, loadData));
+    return () => events.forEach(event => socket.off(event, loadData));
+  }, [socket, loadData]);
+
   const getStatusColor = (status) => {
     const colors = {
       available: 'bg-green-100 text-green-800 border-green-200',
@@ -91,104 +73,73 @@ const TruckDispatch = () => {
       'en-route': 'bg-yellow-100 text-yellow-800 border-yellow-200',
       'at-location': 'bg-purple-100 text-purple-800 border-purple-200',
       completed: 'bg-gray-100 text-gray-800 border-gray-200',
-      pending: 'bg-orange-100 text-orange-800 border-orange-200'
+      pending: 'bg-orange-100 text-orange-800 border-orange-200',
+      exhausted: 'bg-red-100 text-red-800 border-red-200'
     };
     return colors[status] || colors.pending;
   };
 
-  const assignTruckToRequest = (requestId, truckId) => {
-    const updatedRequests = pickupRequests.map(request => {
-      if (request.id === requestId) {
-        return {
-          ...request,
-          status: 'dispatched',
-          assignedTruck: truckId,
-          dispatchTime: new Date().toISOString(),
-          estimatedTime: '45 minutes'
-        };
-      }
-      return request;
-    });
-
-    const updatedTrucks = trucks.map(truck => {
-      if (truck.id === truckId) {
-        return {
-          ...truck,
-          status: 'dispatched',
-          assignedRequest: requestId,
-          lastUpdate: new Date().toISOString()
-        };
-      }
-      return truck;
-    });
-
-    setPickupRequests(updatedRequests);
-    setTrucks(updatedTrucks);
-    localStorage.setItem('autocare_pickup_requests', JSON.stringify(updatedRequests));
-    localStorage.setItem('autocare_trucks', JSON.stringify(updatedTrucks));
-
-    const request = pickupRequests.find(r => r.id === requestId);
-    const truck = trucks.find(t => t.id === truckId);
-    
-    toast({
-      title: "Truck Dispatched!",
-      description: `${truck.driver} (${truck.licensePlate}) has been dispatched to ${request.userName}`,
-    });
+  const branch = branches.find(b => b._id === selectedBranch);
+
+  const updateDispatchMode = async (mode) => {
+    try {
+      const response = await apiService.updateBranchDispatchSettings(selectedBranch, { mode });
+      setBranches(prev => prev.map(b => b._id === selectedBranch ? { ...b, dispatchSettings: response.data.dispatchSettings } : b));
+      toast({ title: "Dispatch mode updated", description: `${branch?.name}: ${response.message}` });
+    } catch (error) {
+      toast({ title: "Couldn't update dispatch mode", description: error.message, variant: "destructive" });
+    }
+  };
+
+  const assignTruckToRequest = async (requestId, truckId) => {
+    try {
+      const response = await apiService.assignPickup(requestId, truckId);
+      const truck = response.data.assignedTruck;
+      toast({
+        title: "Truck Dispatched!",
+        description: `${truck.driver.name} (${truck.vehicle.licensePlate}) has been dispatched to ${response.data.userName}`,
+      });
+      loadData();
+    } catch (error) {
+      toast({ title: "Couldn't assign truck", description: error.message, variant: "destructive" });
+    }
   };
 
-  const updateTruckStatus = (truckId, newStatus) => {
-    const updatedTrucks = trucks.map(truck => {
-      if (truck.id === truckId) {
-        return {
-          ...truck,
-          status: newStatus,
-          lastUpdate: new Date().toISOString()
-        };
-      }
-      return truck;
-    });
-
-    setTrucks(updatedTrucks);
-    localStorage.setItem('autocare_trucks', JSON.stringify(updatedTrucks));
-
-    toast({
-      title: "Status Updated",
-      description: `Truck status updated to ${newStatus}`,
-    });
+  const autoDispatch = async (requestId) => {
+    try {
+      const response = await apiService.autoDispatchPickup(requestId);
+      toast({ title: "Auto-dispatch", description: response.message });
+      loadData();
+    } catch (error) {
+      toast({ title: "Couldn't auto-dispatch", description: error.message, variant: "destructive" });
+    }
   };
 
-  const simulateGPSUpdate = (truckId) => {
-    const updatedTrucks = trucks.map(truck => {
-      if (truck.id === truckId) {
-        // Simulate GPS movement
-        const randomLat = truck.location.lat + (Math.random() - 0.5) * 0.01;
-        const randomLng = truck.location.lng + (Math.random() - 0.5) * 0.01;
-        
-        return {
-          ...truck,
-          location: {
-            ...truck.location,
-            lat: randomLat,
-            lng: randomLng
-          },
-          lastUpdate: new Date().toISOString()
-        };
-      }
-      return truck;
-    });
-
-    setTrucks(updatedTrucks);
-    localStorage.setItem('autocare_trucks', JSON.stringify(updatedTrucks));
-
-    toast({
-      title: "GPS Updated",
-      description: "Truck location has been updated",
-    });
+  const loadCandidates = async (requestId) => {
+    try {
+      const response = await apiService.getDispatchCandidates(requestId);
+      setCandidates(prev => ({ ...prev, [requestId]: response.data }));
+    } catch (error) {
+      toast({ title: "Couldn't rank trucks", description: error.message, variant: "destructive" });
+    }
+  };
+
+  const updateTruckStatus = async (truckId, newStatus) => {
+    try {
+      await apiService.updateTruckStatus(truckId, newStatus);
+      setTrucks(prev => prev.map(truck => truck._id === truckId ? { ...truck, status: newStatus } : truck));
+      toast({
+        title: "Status Updated",
+        description: `Truck status updated to ${newStatus}`,
+      });
+    } catch (error) {
+      toast({ title: "Couldn't update status", description: error.message, variant: "destructive" });
+    }
   };
 
   const availableTrucks = trucks.filter(truck => truck.status === 'available');
   const pendingRequests = pickupRequests.filter(request => request.status === 'pending');
-  const activeDispatches = pickupRequests.filter(request => 
+  const activeDispatches = pickupRequests.filter(request =>
     request.status === 'dispatched' || request.status === 'en-route' || request.status === 'at-location'
   );
 
@@ -253,6 +204,49 @@ const TruckDispatch = () => {
         </Card>
       </div>
 
+      {/* Dispatch Mode */}
+      {branches.length > 0 && (
+        <Card className="glass-effect border-red-900/30">
+          <CardContent className="p-4">
+            <div className="flex flex-col md:flex-row md:items-center gap-4">
+              <div className="flex items-center gap-2 text-white font-semibold">
+                <Settings2 className="w-5 h-5" />
+                Dispatch Mode
+              </div>
+              <Select value={selectedBranch} onValueChange={setSelectedBranch}>
+                <SelectTrigger className="md:w-56 bg-black/50 border-red-900/50 text-white">
+                  <SelectValue placeholder="Select branch" />
+                </SelectTrigger>
+                <SelectContent>
+                  {branches.map(b => (
+                    <SelectItem key={b._id} value={b._id}>{b.name}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <div className="flex gap-2">
+                {DISPATCH_MODES.map(mode => (
+                  <Button
+                    key={mode.value}
+                    size="sm"
+                    variant={branch?.dispatchSettings?.mode === mode.value ? 'default' : 'outline'}
+                    onClick={() => updateDispatchMode(mode.value)}
+                    title={mode.description}
+                    className={branch?.dispatchSettings?.mode === mode.value
+                      ? 'bg-red-600 hover:bg-red-700 text-white'
+                      : 'border-red-900/50 text-red-300 hover:bg-red-900/20'}
+                  >
+                    {mode.label}
+                  </Button>
+                ))}
+              </div>
+              <p className="text-sm text-gray-400">
+                {DISPATCH_MODES.find(mode => mode.value === (branch?.dispatchSettings?.mode || 'manual'))?.description}
+              </p>
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
         {/* Pending Pickup Requests */}
         <motion.div
@@ -267,58 +261,135 @@ const TruckDispatch = () => {
                 Pending Pickup Requests
               </CardTitle>
             </CardHeader>
-            <CardContent className="space-y-4 max-h-96 overflow-y-auto">
+            <CardContent className="space-y-4 max-h-[32rem] overflow-y-auto">
               {pendingRequests.length === 0 ? (
                 <div className="text-center text-gray-400 py-8">
                   <Clock className="w-12 h-12 mx-auto mb-2 opacity-50" />
                   <p>No pending pickup requests</p>
                 </div>
               ) : (
-                pendingRequests.map((request) => (
-                  <div key={request.id} className="bg-black/30 p-4 rounded-lg border border-red-900/20">
-                    <div className="flex justify-between items-start mb-3">
-                      <div>
-                        <h4 className="font-semibold text-white">{request.userName}</h4>
-                        <p className="text-sm text-gray-400">{request.vehicleInfo}</p>
-                      </div>
-                      <Badge className={getStatusColor(request.status)}>
-                        {request.status}
-                      </Badge>
-                    </div>
-                    
-                    <div className="space-y-2 mb-3">
-                      <div className="flex items-center gap-2 text-sm text-gray-300">
-                        <MapPin className="w-4 h-4 text-green-400" />
-                        <span>Pickup: {request.pickupLocation.address}</span>
-                      </div>
-                      <div className="flex items-center gap-2 text-sm text-gray-300">
-                        <Navigation className="w-4 h-4 text-blue-400" />
-                        <span>Destination: {request.destination.address}</span>
+                pendingRequests.map((request) => {
+                  const pendingOffer = request.dispatch?.offers?.find(offer => offer.outcome === 'pending');
+                  const ranked = candidates[request._id];
+                  return (
+                    <div key={request._id} className="bg-black/30 p-4 rounded-lg border border-red-900/20">
+                      <div className="flex justify-between items-start mb-3">
+                        <div>
+                          <h4 className="font-semibold text-white">{request.userName}</h4>
+                          <p className="text-sm text-gray-400">{request.userPhone}</p>
+                        </div>
+                        <Badge className={getStatusColor(request.dispatch?.status === 'exhausted' ? 'exhausted' : request.status)}>
+                          {DISPATCH_STATUS_LABELS[request.dispatch?.status] || request.status}
+                        </Badge>
                       </div>
-                      <div className="flex items-center gap-2 text-sm text-gray-300">
-                        <Clock className="w-4 h-4 text-orange-400" />
-                        <span>Requested: {getTimeAgo(request.requestTime)}</span>
+
+                      <div className="space-y-2 mb-3">
+                        <div className="flex items-center gap-2 text-sm text-gray-300">
+                          <MapPin className="w-4 h-4 text-green-400" />
+                          <span>Pickup: {request.pickupLocation.address || `${request.pickupLocation.latitude}, ${request.pickupLocation.longitude}`}</span>
+                        </div>
+                        <div className="flex items-center gap-2 text-sm text-gray-300">
+                          <Clock className="w-4 h-4 text-orange-400" />
+                          <span>Requested: {getTimeAgo(request.requestTime)}</span>
+                        </div>
+                        {pendingOffer && (
+                          <div className="flex items-center gap-2 text-sm text-blue-300">
+                            <Truck className="w-4 h-4" />
+                            <span>
+                              Offered to {pendingOffer.truck?.driver?.name} ({pendingOffer.truck?.vehicle?.licensePlate}), expires {getTimeAgo(pendingOffer.expiresAt)}
+                            </span>
+                          </div>
+                        )}
                       </div>
-                    </div>
 
-                    {availableTrucks.length > 0 && (
-                      <div className="flex gap-2">
-                        <Select onValueChange={(truckId) => assignTruckToRequest(request.id, truckId)}>
-                          <SelectTrigger className="bg-black/50 border-red-900/50 text-white">
-                            <SelectValue placeholder="Assign Truck" />
-                          </SelectTrigger>
-                          <SelectContent>
-                            {availableTrucks.map((truck) => (
-                              <SelectItem key={truck.id} value={truck.id}>
-                                {truck.driver} - {truck.licensePlate}
-                              </SelectItem>
-                            ))}
-                          </SelectContent>
-                        </Select>
+                      {/* Suggestions from suggest mode */}
+                      {request.dispatch?.suggestions?.length > 0 && !ranked && (
+                        <div className="space-y-2 mb-3">
+                          <p className="text-xs text-gray-400 uppercase tracking-wide">Suggested trucks</p>
+                          {request.dispatch.suggestions.map(suggestion => (
+                            <div key={suggestion.truck?._id} className="flex items-center justify-between gap-2 p-2 bg-black/30 rounded">
+                              <div>
+                                <p className="text-sm text-white">
+                                  {suggestion.truck?.driver?.name} - {suggestion.truck?.vehicle?.licensePlate}
+                                  <span className="text-gray-400"> · score {suggestion.score}</span>
+                                </p>
+                                <p className="text-xs text-gray-400">{suggestion.reasons.join(' · ')}</p>
+                              </div>
+                              <Button size="sm" onClick={() => assignTruckToRequest(request._id, suggestion.truck._id)} className="bg-red-600 hover:bg-red-700 text-white">
+                                Assign
+                              </Button>
+                            </div>
+                          ))}
+                        </div>
+                      )}
+
+                      {/* Full ranking with the reasons behind each score */}
+                      {ranked && (
+                        <div className="space-y-2 mb-3">
+                          <p className="text-xs text-gray-400 uppercase tracking-wide">Ranked trucks</p>
+                          {ranked.candidates.length === 0 && (
+                            <p className="text-sm text-gray-400">No eligible trucks right now.</p>
+                          )}
+                          {ranked.candidates.map(candidate => (
+                            <div key={candidate.truck._id} className="flex items-center justify-between gap-2 p-2 bg-black/30 rounded">
+                              <div>
+                                <p className="text-sm text-white">
+                                  {candidate.truck.driver.name} - {candidate.truck.vehicle.licensePlate}
+                                  <span className="text-gray-400"> · score {candidate.score}</span>
+                                </p>
+                                <p className="text-xs text-gray-400">{candidate.reasons.join(' · ')}</p>
+                              </div>
+                              <Button size="sm" onClick={() => assignTruckToRequest(request._id, candidate.truck._id)} className="bg-red-600 hover:bg-red-700 text-white">
+                                Assign
+                              </Button>
+                            </div>
+                          ))}
+                          {ranked.excluded.map(result => (
+                            <p key={result.truck._id} className="text-xs text-gray-500">
+                              {result.truck.vehicle.licensePlate}: {result.reasons[0]}
+                            </p>
+                          ))}
+                        </div>
+                      )}
+
+                      <div className="flex flex-wrap gap-2">
+                        {availableTrucks.length > 0 && (
+                          <Select onValueChange={(truckId) => assignTruckToRequest(request._id, truckId)}>
+                            <SelectTrigger className="flex-1 min-w-[10rem] bg-black/50 border-red-900/50 text-white">
+                              <SelectValue placeholder="Assign Truck" />
+                            </SelectTrigger>
+                            <SelectContent>
+                              {availableTrucks.map((truck) => (
+                                <SelectItem key={truck._id} value={truck._id}>
+                                  {truck.driver.name} - {truck.vehicle.licensePlate}
+                                </SelectItem>
+                              ))}
+                            </SelectContent>
+                          </Select>
+                        )}
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={() => loadCandidates(request._id)}
+                          className="border-red-900/50 text-red-300 hover:bg-red-900/20"
+                        >
+                          {ranked ? <RefreshCw className="w-4 h-4 mr-1" /> : <ListOrdered className="w-4 h-4 mr-1" />}
+                          Rank
+                        </Button>
+                        {!pendingOffer && (
+                          <Button
+                            size="sm"
+                            onClick={() => autoDispatch(request._id)}
+                            className="bg-gradient-to-r from-red-600 to-red-700 text-white"
+                          >
+                            <Zap className="w-4 h-4 mr-1" />
+                            Auto-dispatch
+                          </Button>
+                        )}
                       </div>
-                    )}
-                  </div>
-                ))
+                    </div>
+                  );
+                })
               )}
             </CardContent>
           </Card>
@@ -337,59 +408,47 @@ const TruckDispatch = () => {
                 Truck Fleet Status
               </CardTitle>
             </CardHeader>
-            <CardContent className="space-y-4 max-h-96 overflow-y-auto">
+            <CardContent className="space-y-4 max-h-[32rem] overflow-y-auto">
               {trucks.map((truck) => (
-                <div key={truck.id} className="bg-black/30 p-4 rounded-lg border border-red-900/20">
+                <div key={truck._id} className="bg-black/30 p-4 rounded-lg border border-red-900/20">
                   <div className="flex justify-between items-start mb-3">
                     <div>
-                      <h4 className="font-semibold text-white">{truck.driver}</h4>
-                      <p className="text-sm text-gray-400">{truck.licensePlate}</p>
+                      <h4 className="font-semibold text-white">{truck.driver.name}</h4>
+                      <p className="text-sm text-gray-400">{truck.vehicle.licensePlate}</p>
                     </div>
                     <Badge className={getStatusColor(truck.status)}>
                       {truck.status}
                     </Badge>
                   </div>
-                  
+
                   <div className="space-y-2 mb-3">
                     <div className="flex items-center gap-2 text-sm text-gray-300">
                       <MapPin className="w-4 h-4 text-red-400" />
-                      <span>{truck.location.address}</span>
+                      <span>{truck.currentLocation?.address || 'Location not named'}</span>
                     </div>
                     <div className="flex items-center gap-2 text-sm text-gray-300">
                       <User className="w-4 h-4 text-blue-400" />
-                      <span>{truck.phone}</span>
+                      <span>{truck.driver.phone}</span>
                     </div>
                     <div className="flex items-center gap-2 text-sm text-gray-300">
                       <Clock className="w-4 h-4 text-orange-400" />
-                      <span>Updated: {getTimeAgo(truck.lastUpdate)}</span>
+                      <span>Updated: {getTimeAgo(truck.lastSeen)}</span>
                     </div>
                   </div>
 
-                  <div className="flex gap-2">
-                    {truck.status !== 'available' && (
-                      <Select onValueChange={(status) => updateTruckStatus(truck.id, status)}>
-                        <SelectTrigger className="bg-black/50 border-red-900/50 text-white">
-                          <SelectValue placeholder="Update Status" />
-                        </SelectTrigger>
-                        <SelectContent>
-                          <SelectItem value="en-route">En Route</SelectItem>
-                          <SelectItem value="at-location">At Location</SelectItem>
-                          <SelectItem value="completed">Completed</SelectItem>
-                          <SelectItem value="available">Mark Available</SelectItem>
-                        </SelectContent>
-                      </Select>
-                    )}
-                    
-                    <Button
-                      onClick={() => simulateGPSUpdate(truck.id)}
-                      variant="outline"
-                      size="sm"
-                      className="border-red-900/50 text-red-300 hover:bg-red-900/20"
-                    >
-                      <Navigation className="w-4 h-4 mr-1" />
-                      GPS Update
-                    </Button>
-                  </div>
+                  {truck.status !== 'available' && (
+                    <Select onValueChange={(status) => updateTruckStatus(truck._id, status)}>
+                      <SelectTrigger className="bg-black/50 border-red-900/50 text-white">
+                        <SelectValue placeholder="Update Status" />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value="en-route">En Route</SelectItem>
+                        <SelectItem value="at-location">At Location</SelectItem>
+                        <SelectItem value="completed">Completed</SelectItem>
+                        <SelectItem value="available">Mark Available</SelectItem>
+                      </SelectContent>
+                    </Select>
+                  )}
                 </div>
               ))}
             </CardContent>
@@ -413,28 +472,29 @@ const TruckDispatch = () => {
             </CardHeader>
             <CardContent className="space-y-4">
               {activeDispatches.map((dispatch) => {
-                const assignedTruck = trucks.find(t => t.id === dispatch.assignedTruck);
+                const assignedTruck = dispatch.assignedTruck;
+                const acceptedOffer = dispatch.dispatch?.offers?.find(offer => offer.outcome === 'accepted');
                 return (
-                  <div key={dispatch.id} className="bg-black/30 p-4 rounded-lg border border-red-900/20">
+                  <div key={dispatch._id} className="bg-black/30 p-4 rounded-lg border border-red-900/20">
                     <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
                       <div>
                         <h4 className="font-semibold text-white mb-2">Customer</h4>
                         <p className="text-sm text-gray-300">{dispatch.userName}</p>
-                        <p className="text-sm text-gray-400">{dispatch.vehicleInfo}</p>
+                        <p className="text-sm text-gray-400">{dispatch.pickupLocation.address}</p>
                       </div>
-                      
+
                       <div>
                         <h4 className="font-semibold text-white mb-2">Assigned Truck</h4>
-                        <p className="text-sm text-gray-300">{assignedTruck?.driver}</p>
-                        <p className="text-sm text-gray-400">{assignedTruck?.licensePlate}</p>
+                        <p className="text-sm text-gray-300">{assignedTruck?.driver?.name}</p>
+                        <p className="text-sm text-gray-400">{assignedTruck?.vehicle?.licensePlate}</p>
                         <Badge className={getStatusColor(assignedTruck?.status)}>
                           {assignedTruck?.status}
                         </Badge>
                       </div>
-                      
+
                       <div>
-                        <h4 className="font-semibold text-white mb-2">Progress</h4>
-                        <p className="text-sm text-gray-300">ETA: {dispatch.estimatedTime}</p>
+                        <h4 className="font-semibold text-white mb-2">Why this truck</h4>
+                        <p className="text-sm text-gray-300">{acceptedOffer?.reasons?.join(' · ') || 'Assigned by hand'}</p>
                         <p className="text-sm text-gray-400">
                           Dispatched: {getTimeAgo(dispatch.dispatchTime)}
                         </p>
@@ -469,15 +529,11 @@ const TruckDispatch = () => {
               {showMap ? 'Hide Map' : 'Show Map'}
             </Button>
           </div>
-          <MapView 
-            trucks={trucks} 
-            pickupRequests={pickupRequests}
-            showControls={true}
-          />
+          <MapView showControls={true} />
         </motion.div>
       )}
     </div>
   );
 };
 
-export default TruckDispatch;
\ No newline at end of file
+export default TruckDispatch;
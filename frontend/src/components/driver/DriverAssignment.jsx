@@ -0,0 +1,220 @@
+import React, { useState } from 'react';
+import { useOutletContext } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { Phone, MapPin, Flag, Clock, CheckCircle, Navigation, Crosshair, Timer } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card';
+import NavigationButtons from '@/components/driver/NavigationButtons';
+
+// The driver's steps through a job, in order
+const STEPS = [
+  { type: 'status', status: 'en-route', label: 'En route', icon: Navigation },
+  { type: 'status', status: 'at-location', label: 'At location', icon: MapPin },
+  { type: 'complete', status: 'completed', label: 'Completed', icon: CheckCircle }
+];
+
+const formatTime = (value) => new Date(value).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+const DutyCard = ({ duty }) => {
+  const [submitting, setSubmitting] = useState(false);
+  const [nextShift] = duty.shifts;
+
+  const handleClick = async () => {
+    setSubmitting(true);
+    try {
+      await (duty.onDuty ? duty.clockOut() : duty.clockIn());
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  let detail = 'No shift rostered in the next few days';
+  if (duty.onDuty) {
+    detail = `Since ${formatTime(duty.clockedInAt)}${nextShift ? ` · shift ends ${formatTime(nextShift.end)}` : ''}`;
+  } else if (nextShift) {
+    detail = `Next shift ${new Date(nextShift.start).toLocaleDateString()} ${formatTime(nextShift.start)}-${formatTime(nextShift.end)}`;
+  }
+
+  return (
+    <Card className="glass-effect border-red-900/30">
+      <CardContent className="py-4 flex items-center justify-between gap-4">
+        <div className="min-w-0">
+          <p className="text-white font-medium flex items-center">
+            <Timer className="w-4 h-4 mr-2 text-red-500" />
+            {duty.onDuty ? 'On duty' : 'Off duty'}
+          </p>
+          <p className="text-xs text-gray-400 truncate">{detail}</p>
+        </div>
+        <Button
+          onClick={handleClick}
+          disabled={submitting}
+          className={duty.onDuty
+            ? 'border border-red-500 bg-transparent text-red-500 hover:bg-red-500 hover:text-white'
+            : 'bg-gradient-to-r from-red-600 to-red-700 hover:from-red-700 hover:to-red-800'}
+        >
+          {submitting ? 'Sending...' : duty.onDuty ? 'Clock out' : 'Clock in'}
+        </Button>
+      </CardContent>
+    </Card>
+  );
+};
+
+// How far along the steps a job already is
+const stepIndex = (job) => {
+  if (job.status === 'en-route') return 0;
+  if (['at-location', 'in_progress'].includes(job.status)) return 1;
+  return -1;
+};
+
+const DriverAssignment = () => {
+  const { truck, jobs, loading, reportProgress, duty, tracking } = useOutletContext();
+  const [submitting, setSubmitting] = useState(null);
+
+  if (loading && !truck) {
+    return (
+      <div className="flex items-center justify-center py-24">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-red-500"></div>
+      </div>
+    );
+  }
+
+  if (!truck) {
+    return (
+      <Card className="glass-effect border-red-900/30">
+        <CardContent className="py-12 text-center text-gray-400">
+          No truck is assigned to you. Ask the dispatch desk to add you as a truck's driver.
+        </CardContent>
+      </Card>
+    );
+  }
+
+  const job = jobs[0];
+
+  const handleStep = async (step) => {
+    setSubmitting(step.status);
+    try {
+      await reportProgress(step.type, step.status);
+    } finally {
+      setSubmitting(null);
+    }
+  };
+
+  return (
+    <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className="space-y-4">
+      {duty.hasProfile && <DutyCard duty={duty} />}
+
+      {job ? (
+        <Card className="glass-effect border-red-900/30">
+          <CardHeader>
+            <div className="flex items-center justify-between gap-2">
+              <CardTitle className="text-white">{job.reference}</CardTitle>
+              <Badge className="bg-red-600 capitalize">{job.status.replace(/[-_]/g, ' ')}</Badge>
+            </div>
+            {job.scheduledAt && (
+              <CardDescription className="text-gray-300 flex items-center">
+                <Clock className="w-4 h-4 mr-1" />
+                {new Date(job.scheduledAt).toLocaleString()}
+              </CardDescription>
+            )}
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div className="flex items-center justify-between p-3 bg-black/30 rounded-lg">
+              <div>
+                <p className="text-white font-medium">{job.customer.name || 'Customer'}</p>
+                {job.customer.phone && <p className="text-sm text-gray-400">{job.customer.phone}</p>}
+              </div>
+              {job.customer.phone && (
+                <Button asChild size="icon" className="bg-gradient-to-r from-red-600 to-red-700 hover:from-red-700 hover:to-red-800">
+                  <a href={`tel:${job.customer.phone}`} aria-label="Call customer">
+                    <Phone className="w-4 h-4" />
+                  </a>
+                </Button>
+              )}
+            </div>
+
+            {job.location && (
+              <div className="space-y-2">
+                <p className="text-sm text-gray-300 flex items-start">
+                  <MapPin className="w-4 h-4 mr-2 mt-0.5 text-red-500 shrink-0" />
+                  {job.location.address || `${job.location.latitude}, ${job.location.longitude}`}
+                </p>
+                <NavigationButtons location={job.location} />
+              </div>
+            )}
+
+            {job.destination && (
+              <div className="space-y-2">
+                <p className="text-sm text-gray-300 flex items-start">
+                  <Flag className="w-4 h-4 mr-2 mt-0.5 text-red-500 shrink-0" />
+                  {job.destination.address || `${job.destination.latitude}, ${job.destination.longitude}`}
+                </p>
+                <NavigationButtons location={job.destination} />
+              </div>
+            )}
+
+            {job.eta?.arrivalAt && (
+              <p className="text-sm text-gray-400">
+                ETA {new Date(job.eta.arrivalAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                {job.eta.distanceKm !== undefined && ` · ${job.eta.distanceKm} km`}
+              </p>
+            )}
+
+            {job.notes && <p className="text-sm text-gray-400">{job.notes}</p>}
+
+            <div className="grid grid-cols-3 gap-2 pt-2">
+              {STEPS.map((step, index) => {
+                const Icon = step.icon;
+                const done = index <= stepIndex(job);
+                return (
+                  <Button
+                    key={step.status}
+                    onClick={() => handleStep(step)}
+                    disabled={done || submitting !== null}
+                    className={`h-16 flex-col ${done
+                      ? 'bg-green-700 disabled:opacity-100'
+                      : 'bg-gradient-to-r from-red-600 to-red-700 hover:from-red-700 hover:to-red-800'}`}
+                  >
+                    <Icon className="w-5 h-5 mb-1" />
+                    {submitting === step.status ? 'Sending...' : step.label}
+                  </Button>
+                );
+              })}
+            </div>
+          </CardContent>
+        </Card>
+      ) : (
+        <Card className="glass-effect border-red-900/30">
+          <CardContent className="py-12 text-center text-gray-400">
+            No open jobs for {truck.truckId}. New assignments show up here automatically.
+          </CardContent>
+        </Card>
+      )}
+
+      <Card className="glass-effect border-red-900/30">
+        <CardContent className="py-4 flex items-center justify-between gap-4">
+          <div className="min-w-0">
+            <p className="text-white font-medium flex items-center">
+              <Crosshair className="w-4 h-4 mr-2 text-red-500" />
+              Location reporting
+            </p>
+            <p className="text-xs text-gray-400 truncate">
+              {tracking.error || (tracking.lastFix
+                ? `Last fix ${new Date(tracking.lastFix.recordedAt).toLocaleTimeString()}${tracking.lastFix.accuracy ? ` (±${Math.round(tracking.lastFix.accuracy)} m)` : ''}`
+                : !duty.onDuty ? 'Paused while you are off duty' : tracking.enabled ? 'Waiting for a GPS signal…' : 'Paused')}
+            </p>
+          </div>
+          <Button
+            variant="outline"
+            onClick={() => tracking.setEnabled(!tracking.enabled)}
+            className="border-red-500 text-red-500 hover:bg-red-500 hover:text-white"
+          >
+            {tracking.enabled ? 'Pause' : 'Resume'}
+          </Button>
+        </CardContent>
+      </Card>
+    </motion.div>
+  );
+};
+
+export default DriverAssignment;
@@ -0,0 +1,56 @@
+import React from 'react';
+import { useOutletContext } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { MapPin, Clock } from 'lucide-react';
+import { Badge } from '@/components/ui/badge';
+import { Card, CardContent } from '@/components/ui/card';
+import NavigationButtons from '@/components/driver/NavigationButtons';
+
+const DriverJobs = () => {
+  const { truck, jobs } = useOutletContext();
+
+  return (
+    <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className="space-y-4">
+      <h2 className="text-2xl font-bold text-white">Open jobs</h2>
+
+      {jobs.length === 0 ? (
+        <Card className="glass-effect border-red-900/30">
+          <CardContent className="py-12 text-center text-gray-400">
+            {truck ? `Nothing else is lined up for ${truck.truckId}.` : 'No truck is assigned to you.'}
+          </CardContent>
+        </Card>
+      ) : (
+        jobs.map((job, index) => (
+          <Card key={job.id} className={`glass-effect ${index === 0 ? 'border-red-500' : 'border-red-900/30'}`}>
+            <CardContent className="py-4 space-y-3">
+              <div className="flex items-center justify-between gap-2">
+                <div className="min-w-0">
+                  <p className="text-white font-medium truncate">{job.reference}</p>
+                  <p className="text-sm text-gray-400 truncate">{job.customer.name}</p>
+                </div>
+                <Badge variant="outline" className="capitalize shrink-0">
+                  {job.kind} · {job.status.replace(/[-_]/g, ' ')}
+                </Badge>
+              </div>
+              {job.scheduledAt && (
+                <p className="text-sm text-gray-300 flex items-center">
+                  <Clock className="w-4 h-4 mr-2 text-red-500" />
+                  {new Date(job.scheduledAt).toLocaleString()}
+                </p>
+              )}
+              {job.location?.address && (
+                <p className="text-sm text-gray-300 flex items-start">
+                  <MapPin className="w-4 h-4 mr-2 mt-0.5 text-red-500 shrink-0" />
+                  {job.location.address}
+                </p>
+              )}
+              <NavigationButtons location={job.location} />
+            </CardContent>
+          </Card>
+        ))
+      )}
+    </motion.div>
+  );
+};
+
+export default DriverJobs;
@@ -0,0 +1,95 @@
+import React, { useState } from 'react';
+import { useOutletContext } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { RefreshCw, Trash2, MapPin, Flag, CheckCircle } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card';
+import { discardQueued } from '@/lib/offlineQueue';
+
+const describeEntry = (entry) => {
+  switch (entry.type) {
+    case 'status':
+      return { icon: Flag, label: `Status: ${entry.payload.status.replace('-', ' ')}` };
+    case 'complete':
+      return { icon: CheckCircle, label: 'Job completed' };
+    default:
+      return { icon: MapPin, label: 'Location' };
+  }
+};
+
+const DriverSync = () => {
+  const { queue, isOnline, replayQueue } = useOutletContext();
+  const [syncing, setSyncing] = useState(false);
+
+  const handleSync = async () => {
+    setSyncing(true);
+    try {
+      await replayQueue();
+    } finally {
+      setSyncing(false);
+    }
+  };
+
+  const locationCount = queue.filter(entry => entry.type === 'location').length;
+  const actions = queue.filter(entry => entry.type !== 'location');
+
+  return (
+    <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className="space-y-4">
+      <Card className="glass-effect border-red-900/30">
+        <CardHeader>
+          <CardTitle className="text-white">Waiting to send</CardTitle>
+          <CardDescription className="text-gray-300">
+            {queue.length === 0
+              ? 'Everything has reached the dispatch desk.'
+              : isOnline
+                ? 'Sending as soon as the server answers.'
+                : "You're offline. These will be sent when the connection returns."}
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-3">
+          {locationCount > 0 && (
+            <div className="flex items-center p-3 bg-black/30 rounded-lg text-gray-300">
+              <MapPin className="w-4 h-4 mr-2 text-red-500" />
+              {locationCount} location {locationCount === 1 ? 'fix' : 'fixes'}
+            </div>
+          )}
+
+          {actions.map(entry => {
+            const { icon: Icon, label } = describeEntry(entry);
+            return (
+              <div key={entry.id} className="flex items-center justify-between p-3 bg-black/30 rounded-lg">
+                <div>
+                  <p className="text-white flex items-center capitalize">
+                    <Icon className="w-4 h-4 mr-2 text-red-500" />
+                    {label}
+                  </p>
+                  <p className="text-xs text-gray-400">Saved {new Date(entry.queuedAt).toLocaleString()}</p>
+                </div>
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  onClick={() => discardQueued(entry.id)}
+                  className="text-gray-400 hover:text-red-500"
+                  aria-label="Discard"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </Button>
+              </div>
+            );
+          })}
+
+          <Button
+            onClick={handleSync}
+            disabled={queue.length === 0 || !isOnline || syncing}
+            className="w-full bg-gradient-to-r from-red-600 to-red-700 hover:from-red-700 hover:to-red-800"
+          >
+            <RefreshCw className={`w-4 h-4 mr-2 ${syncing ? 'animate-spin' : ''}`} />
+            {syncing ? 'Sending...' : 'Send now'}
+          </Button>
+        </CardContent>
+      </Card>
+    </motion.div>
+  );
+};
+
+export default DriverSync;
@@ -0,0 +1,37 @@
+import React from 'react';
+import { Navigation } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+
+// Hand the route over to the phone's navigation app
+const NavigationButtons = ({ location }) => {
+  if (!location || location.latitude === undefined || location.longitude === undefined) {
+    return null;
+  }
+
+  const { latitude, longitude } = location;
+  const links = [
+    {
+      label: 'Google Maps',
+      href: `https://www.google.com/maps/dir/?api=1&destination=${latitude},${longitude}&travelmode=driving`
+    },
+    {
+      label: 'Waze',
+      href: `https://waze.com/ul?ll=${latitude},${longitude}&navigate=yes`
+    }
+  ];
+
+  return (
+    <div className="grid grid-cols-2 gap-2">
+      {links.map(({ label, href }) => (
+        <Button key={label} asChild variant="outline" className="border-red-500 text-red-500 hover:bg-red-500 hover:text-white">
+          <a href={href} target="_blank" rel="noopener noreferrer">
+            <Navigation className="w-4 h-4 mr-2" />
+            {label}
+          </a>
+        </Button>
+      ))}
+    </div>
+  );
+};
+
+export default NavigationButtons;
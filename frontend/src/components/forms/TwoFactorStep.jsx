@@ -0,0 +1,143 @@
+import React, { useState, useEffect } from 'react';
+import { ShieldCheck } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { useAuth } from '@/contexts/AuthContext';
+import { useToast } from '@/components/ui/use-toast';
+import RecoveryCodes from '@/components/user/RecoveryCodes';
+
+const inputClassName = "bg-black/50 border-red-900/50 text-white placeholder:text-gray-400";
+const buttonClassName = "w-full bg-gradient-to-r from-red-600 to-red-700 hover:from-red-700 hover:to-red-800 text-white red-glow";
+
+// Second step of the sign-in form: enter a code, or enroll first when the role requires it
+const TwoFactorStep = ({ onSignedIn }) => {
+  const { mfaChallenge, verifyMfa, startMfaEnrollment, confirmMfaEnrollment, cancelMfa } = useAuth();
+  const { toast } = useToast();
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [setup, setSetup] = useState(null);
+  const [enrollment, setEnrollment] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const enrolling = mfaChallenge.enrollmentRequired;
+
+  useEffect(() => {
+    if (!enrolling) return;
+    startMfaEnrollment()
+      .then(setSetup)
+      .catch(error => {
+        toast({ title: "Couldn't start two-factor setup", description: error.message, variant: "destructive" });
+      });
+  }, [enrolling]);
+
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      const { user, recoveryCodesRemaining } = await verifyMfa(useRecoveryCode ? { recoveryCode: code } : { code });
+      if (recoveryCodesRemaining !== undefined) {
+        toast({
+          title: "Recovery code used",
+          description: `${recoveryCodesRemaining} recovery code(s) left. Generate new ones in Settings.`,
+        });
+      }
+      onSignedIn(user);
+    } catch (error) {
+      setCode('');
+      toast({ title: "Verification failed", description: error.message, variant: "destructive" });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleEnroll = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      setEnrollment(await confirmMfaEnrollment(code));
+    } catch (error) {
+      setCode('');
+      toast({ title: "Verification failed", description: error.message, variant: "destructive" });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleContinue = async () => {
+    const user = await enrollment.finish();
+    onSignedIn(user);
+  };
+
+  if (enrollment) {
+    return (
+      <div className="space-y-4">
+        <RecoveryCodes codes={enrollment.recoveryCodes} />
+        <Button type="button" onClick={handleContinue} className={buttonClassName}>
+          I've saved my codes, continue
+        </Button>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={enrolling ? handleEnroll : handleVerify} className="space-y-4">
+      <div className="flex items-start gap-3 p-3 bg-red-900/20 rounded-lg border border-red-900/30">
+        <ShieldCheck className="w-5 h-5 text-red-500 mt-0.5 flex-shrink-0" />
+        <p className="text-sm text-gray-300">
+          {enrolling
+            ? 'Your role requires two-factor authentication. Scan the QR code with an authenticator app, then enter the 6-digit code it shows.'
+            : `Enter the 6-digit code from your authenticator app for ${mfaChallenge.email}.`}
+        </p>
+      </div>
+
+      {enrolling && setup && (
+        <div className="flex flex-col items-center gap-2">
+          <img src={setup.qrCode} alt="Two-factor QR code" className="w-44 h-44 rounded-lg bg-white p-2" />
+          <p className="text-xs text-gray-400">Or enter this key by hand:</p>
+          <code className="text-xs text-white break-all text-center">{setup.secret}</code>
+        </div>
+      )}
+
+      <div className="space-y-2">
+        <Label htmlFor="mfa-code" className="text-white">
+          {useRecoveryCode ? 'Recovery code' : 'Authentication code'}
+        </Label>
+        <Input
+          id="mfa-code"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          placeholder={useRecoveryCode ? 'xxxx-xxxx' : '123456'}
+          inputMode={useRecoveryCode ? 'text' : 'numeric'}
+          autoComplete="one-time-code"
+          autoFocus
+          required
+          className={inputClassName}
+        />
+      </div>
+
+      <Button type="submit" disabled={loading || (enrolling && !setup)} className={buttonClassName}>
+        {loading ? "Verifying..." : enrolling ? "Enable & Sign In" : "Verify"}
+      </Button>
+
+      <div className="flex justify-between text-sm">
+        {!enrolling ? (
+          <button
+            type="button"
+            onClick={() => { setUseRecoveryCode(!useRecoveryCode); setCode(''); }}
+            className="text-red-500 hover:text-red-400"
+          >
+            {useRecoveryCode ? 'Use authenticator code' : 'Use a recovery code'}
+          </button>
+        ) : <span />}
+        <button type="button" onClick={cancelMfa} className="text-gray-400 hover:text-white">
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default TwoFactorStep;
@@ -0,0 +1,116 @@
+import React, { useState, useEffect } from 'react';
+import { Monitor, Smartphone, LogOut } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card';
+import { useToast } from '@/components/ui/use-toast';
+import { apiService } from '@/services/api';
+
+// Rough device label from the user agent string
+const describeDevice = (userAgent = '') => {
+  const browser = ['Edg', 'Chrome', 'Firefox', 'Safari'].find(name => userAgent.includes(name)) || 'Browser';
+  const os = ['Android', 'iPhone', 'iPad', 'Windows', 'Mac OS', 'Linux'].find(name => userAgent.includes(name)) || 'Unknown device';
+  return {
+    label: `${browser === 'Edg' ? 'Edge' : browser} on ${os}`,
+    isMobile: /Android|iPhone|iPad|Mobile/.test(userAgent)
+  };
+};
+
+const ActiveSessions = () => {
+  const { toast } = useToast();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const loadSessions = async () => {
+    try {
+      const response = await apiService.getSessions();
+      if (response.success) {
+        setSessions(response.data);
+      }
+    } catch (error) {
+      toast({ title: "Couldn't load sessions", description: error.message, variant: "destructive" });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadSessions();
+  }, []);
+
+  const handleRevoke = async (sessionId) => {
+    try {
+      await apiService.revokeSession(sessionId);
+      setSessions(prev => prev.filter(session => session.id !== sessionId));
+      toast({ title: "Device signed out" });
+    } catch (error) {
+      toast({ title: "Couldn't sign out device", description: error.message, variant: "destructive" });
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    try {
+      const response = await apiService.revokeOtherSessions();
+      setSessions(prev => prev.filter(session => session.current));
+      toast({
+        title: "Signed out other devices",
+        description: `${response.data.revoked} other session(s) ended.`,
+      });
+    } catch (error) {
+      toast({ title: "Couldn't sign out other devices", description: error.message, variant: "destructive" });
+    }
+  };
+
+  const otherSessions = sessions.filter(session => !session.current);
+
+  return (
+    <Card className="glass-effect border-red-900/30 mt-6">
+      <CardHeader>
+        <CardTitle className="text-white">Active Sessions</CardTitle>
+        <CardDescription className="text-gray-300">Devices currently signed in to your account.</CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {loading ? (
+          <p className="text-gray-400 text-sm">Loading sessions...</p>
+        ) : (
+          sessions.map(session => {
+            const device = describeDevice(session.userAgent);
+            const DeviceIcon = device.isMobile ? Smartphone : Monitor;
+            return (
+              <div key={session.id} className="flex items-center justify-between p-3 bg-black/30 rounded-lg">
+                <div className="flex items-center gap-3">
+                  <DeviceIcon className="w-5 h-5 text-gray-400" />
+                  <div>
+                    <p className="text-white text-sm font-medium flex items-center gap-2">
+                      {device.label}
+                      {session.current && <Badge className="bg-green-600 text-white">This device</Badge>}
+                    </p>
+                    <p className="text-xs text-gray-400">
+                      {session.ipAddress} · Last active {new Date(session.lastUsedAt).toLocaleString()}
+                    </p>
+                  </div>
+                </div>
+                {!session.current && (
+                  <Button variant="ghost" size="sm" onClick={() => handleRevoke(session.id)} className="text-gray-400 hover:text-white">
+                    <LogOut className="w-4 h-4" />
+                  </Button>
+                )}
+              </div>
+            );
+          })
+        )}
+
+        {otherSessions.length > 0 && (
+          <div className="flex justify-end">
+            <Button type="button" variant="outline" onClick={handleRevokeOthers} className="border-red-500 text-red-500 hover:bg-red-500 hover:text-white">
+              <LogOut className="w-4 h-4 mr-2" />
+              Sign out other devices
+            </Button>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ActiveSessions;
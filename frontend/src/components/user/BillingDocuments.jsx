@@ -0,0 +1,153 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { FileText, FileDown, Receipt } from 'lucide-react';
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { useToast } from '@/components/ui/use-toast';
+import { useAuth } from '@/contexts/AuthContext';
+import { useSocket } from '@/contexts/SocketContext';
+import { saveBlob } from '@/lib/utils';
+import { apiService } from '@/services/api';
+
+const inputClassName = "bg-black/50 border-red-900/50 text-white placeholder:text-gray-400";
+
+const PAID_STATUSES = ['succeeded', 'partially_refunded', 'refunded'];
+
+const formatAmount = (amount, currency) => `${currency} ${Number(amount).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+// Statements are usually wanted for the month just closed
+const previousMonth = () => {
+  const date = new Date();
+  date.setDate(1);
+  date.setMonth(date.getMonth() - 1);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+};
+
+const BillingDocuments = () => {
+  const { toast } = useToast();
+  const { user } = useAuth();
+  const { socket } = useSocket();
+  const [invoices, setInvoices] = useState([]);
+  const [payments, setPayments] = useState([]);
+  const [month, setMonth] = useState(previousMonth);
+
+  const isCorporate = user?.billing?.accountType === 'corporate';
+
+  const loadDocuments = useCallback(async () => {
+    try {
+      const [invoiceResponse, paymentResponse] = await Promise.all([
+        apiService.getInvoices({ limit: 50 }),
+        apiService.getPayments({ limit: 50 })
+      ]);
+      setInvoices(invoiceResponse.data);
+      setPayments(paymentResponse.data.filter(payment => PAID_STATUSES.includes(payment.status)));
+    } catch (error) {
+      toast({ title: "Couldn't load invoices", description: error.message, variant: "destructive" });
+    }
+  }, []);
+
+  useEffect(() => {
+    loadDocuments();
+  }, [loadDocuments]);
+
+  useEffect(() => {
+    if (!socket) return;
+    socket.on('invoice-issued', loadDocuments);
+    socket.on('payment-updated', loadDocuments);
+    return () => {
+      socket.off('invoice-issued', loadDocuments);
+      socket.off('payment-updated', loadDocuments);
+    };
+  }, [socket, loadDocuments]);
+
+  const download = async (request, failureTitle) => {
+    try {
+      saveBlob(await request());
+    } catch (error) {
+      toast({ title: failureTitle, description: error.message, variant: "destructive" });
+    }
+  };
+
+  return (
+    <Card className="glass-effect border-red-900/30 mb-8">
+      <CardHeader>
+        <CardTitle className="text-white flex items-center gap-2">
+          <FileText className="w-5 h-5" />
+          Invoices & Receipts
+        </CardTitle>
+        <CardDescription className="text-gray-300">
+          Tax invoices for completed bookings, credit notes for refunds and receipts for your payments.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {isCorporate && (
+          <div className="flex items-end gap-3 p-3 bg-black/30 rounded-lg">
+            <div className="space-y-1">
+              <Label htmlFor="statement-month" className="text-gray-300">Monthly statement</Label>
+              <Input
+                id="statement-month"
+                type="month"
+                value={month}
+                onChange={(e) => setMonth(e.target.value)}
+                className={inputClassName}
+              />
+            </div>
+            <Button
+              disabled={!month}
+              onClick={() => download(() => apiService.downloadStatement(user.id || user._id, month), "Couldn't download statement")}
+              className="bg-gradient-to-r from-red-600 to-red-700 text-white"
+            >
+              <FileDown className="w-4 h-4 mr-2" />
+              Statement
+            </Button>
+          </div>
+        )}
+
+        {invoices.length === 0 && payments.length === 0 ? (
+          <p className="text-center text-gray-400 py-4">No invoices or receipts yet</p>
+        ) : (
+          <div className="space-y-2">
+            {invoices.map(invoice => (
+              <div key={invoice._id} className="p-3 bg-black/30 rounded-lg flex items-center justify-between gap-3">
+                <div>
+                  <p className="text-white text-sm font-medium">
+                    {invoice.type === 'credit_note' ? 'Credit note' : 'Invoice'} {invoice.number}
+                  </p>
+                  <p className="text-xs text-gray-400">
+                    {formatAmount(invoice.total, invoice.currency)}
+                    {invoice.booking?.bookingNumber && ` · ${invoice.booking.bookingNumber}`}
+                    {' · '}{new Date(invoice.issuedAt).toLocaleDateString()}
+                  </p>
+                </div>
+                <Button size="sm" variant="ghost" onClick={() => download(() => apiService.downloadInvoice(invoice._id), "Couldn't download invoice")} className="text-gray-400 hover:text-white" aria-label="Download PDF">
+                  <FileDown className="w-4 h-4" />
+                </Button>
+              </div>
+            ))}
+            {payments.map(payment => (
+              <div key={payment._id} className="p-3 bg-black/30 rounded-lg flex items-center justify-between gap-3">
+                <div>
+                  <p className="text-white text-sm font-medium flex items-center gap-1">
+                    <Receipt className="w-4 h-4" />
+                    Receipt {payment.receiptNumber || ''}
+                  </p>
+                  <p className="text-xs text-gray-400">
+                    {formatAmount(payment.amount, payment.currency)}
+                    {' · '}{payment.booking?.bookingNumber || payment.serviceRequest?.requestNumber}
+                    {' · '}{new Date(payment.paidAt || payment.createdAt).toLocaleDateString()}
+                  </p>
+                </div>
+                <Button size="sm" variant="ghost" onClick={() => download(() => apiService.downloadReceipt(payment._id), "Couldn't download receipt")} className="text-gray-400 hover:text-white" aria-label="Download receipt">
+                  <FileDown className="w-4 h-4" />
+                </Button>
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default BillingDocuments;
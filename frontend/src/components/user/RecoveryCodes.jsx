@@ -0,0 +1,51 @@
+import React from 'react';
+import { Copy, Download } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { useToast } from '@/components/ui/use-toast';
+
+// One-time display of freshly generated recovery codes
+const RecoveryCodes = ({ codes }) => {
+  const { toast } = useToast();
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(codes.join('\n'));
+      toast({ title: "Recovery codes copied" });
+    } catch (error) {
+      toast({ title: "Couldn't copy codes", description: "Select and copy them by hand.", variant: "destructive" });
+    }
+  };
+
+  const handleDownload = () => {
+    const blob = new Blob([`AutoCare Pro recovery codes\n\n${codes.join('\n')}\n`], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'autocare-recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-yellow-400">
+        Save these recovery codes somewhere safe. Each one signs you in once if you lose your authenticator. They won't be shown again.
+      </p>
+      <div className="grid grid-cols-2 gap-2 p-4 bg-black/40 rounded-lg font-mono text-sm text-white">
+        {codes.map(code => <span key={code}>{code}</span>)}
+      </div>
+      <div className="flex gap-2">
+        <Button type="button" variant="outline" size="sm" onClick={handleCopy} className="border-red-900/50 text-gray-300">
+          <Copy className="w-4 h-4 mr-2" />
+          Copy
+        </Button>
+        <Button type="button" variant="outline" size="sm" onClick={handleDownload} className="border-red-900/50 text-gray-300">
+          <Download className="w-4 h-4 mr-2" />
+          Download
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default RecoveryCodes;
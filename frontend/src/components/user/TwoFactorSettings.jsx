@@ -0,0 +1,184 @@
+import React, { useState, useEffect } from 'react';
+import { ShieldCheck, ShieldOff, KeyRound } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card';
+import { useToast } from '@/components/ui/use-toast';
+import { apiService } from '@/services/api';
+import RecoveryCodes from '@/components/user/RecoveryCodes';
+
+const inputClassName = "bg-black/50 border-red-900/50 text-white placeholder:text-gray-400";
+
+const TwoFactorSettings = () => {
+  const { toast } = useToast();
+  const [status, setStatus] = useState(null);
+  // null, 'setup', 'disable' or 'regenerate'
+  const [mode, setMode] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const loadStatus = async () => {
+    try {
+      const response = await apiService.getTwoFactorStatus();
+      setStatus(response.data);
+    } catch (error) {
+      toast({ title: "Couldn't load two-factor status", description: error.message, variant: "destructive" });
+    }
+  };
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  const resetForm = () => {
+    setMode(null);
+    setSetup(null);
+    setCode('');
+    setPassword('');
+  };
+
+  const handleStartSetup = async () => {
+    try {
+      const response = await apiService.startTwoFactorSetup();
+      setSetup(response.data);
+      setRecoveryCodes(null);
+      setMode('setup');
+    } catch (error) {
+      toast({ title: "Couldn't start setup", description: error.message, variant: "destructive" });
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    try {
+      if (mode === 'setup') {
+        const response = await apiService.enableTwoFactor(code);
+        setRecoveryCodes(response.data.recoveryCodes);
+        toast({ title: "Two-factor authentication enabled" });
+      } else if (mode === 'regenerate') {
+        const response = await apiService.regenerateRecoveryCodes(code);
+        setRecoveryCodes(response.data.recoveryCodes);
+        toast({ title: "New recovery codes generated" });
+      } else if (mode === 'disable') {
+        await apiService.disableTwoFactor({ password, code });
+        setRecoveryCodes(null);
+        toast({ title: "Two-factor authentication disabled" });
+      }
+      resetForm();
+      loadStatus();
+    } catch (error) {
+      setCode('');
+      toast({ title: "Couldn't update two-factor", description: error.message, variant: "destructive" });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!status) {
+    return null;
+  }
+
+  return (
+    <Card className="glass-effect border-red-900/30 mt-6">
+      <CardHeader>
+        <CardTitle className="text-white flex items-center gap-2">
+          Two-Factor Authentication
+          {status.enabled
+            ? <Badge className="bg-green-600 text-white">On</Badge>
+            : <Badge className="bg-gray-600 text-white">Off</Badge>}
+        </CardTitle>
+        <CardDescription className="text-gray-300">
+          {status.required
+            ? 'Required for your role. Sign-in asks for a code from your authenticator app.'
+            : 'Ask for a code from your authenticator app when you sign in.'}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {recoveryCodes && <RecoveryCodes codes={recoveryCodes} />}
+
+        {mode ? (
+          <form onSubmit={handleSubmit} className="space-y-4">
+            {mode === 'setup' && setup && (
+              <div className="flex flex-col items-center gap-2">
+                <img src={setup.qrCode} alt="Two-factor QR code" className="w-44 h-44 rounded-lg bg-white p-2" />
+                <p className="text-xs text-gray-400">Scan with your authenticator app, or enter this key:</p>
+                <code className="text-xs text-white break-all text-center">{setup.secret}</code>
+              </div>
+            )}
+
+            {mode === 'disable' && (
+              <div className="space-y-2">
+                <Label htmlFor="two-factor-password" className="text-white">Password</Label>
+                <Input
+                  id="two-factor-password"
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  required
+                  className={inputClassName}
+                />
+              </div>
+            )}
+
+            <div className="space-y-2">
+              <Label htmlFor="two-factor-code" className="text-white">Authentication code</Label>
+              <Input
+                id="two-factor-code"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                placeholder="123456"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                required
+                className={inputClassName}
+              />
+            </div>
+
+            <div className="flex justify-end gap-2">
+              <Button type="button" variant="ghost" onClick={resetForm} className="text-gray-400 hover:text-white">
+                Cancel
+              </Button>
+              <Button type="submit" disabled={saving} className="bg-gradient-to-r from-red-600 to-red-700 text-white">
+                {saving ? 'Saving...' : mode === 'setup' ? 'Enable' : mode === 'disable' ? 'Disable' : 'Generate codes'}
+              </Button>
+            </div>
+          </form>
+        ) : status.enabled ? (
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <p className="text-sm text-gray-400">
+              {status.recoveryCodesRemaining} recovery code(s) left
+            </p>
+            <div className="flex gap-2">
+              <Button type="button" variant="outline" onClick={() => setMode('regenerate')} className="border-red-900/50 text-gray-300">
+                <KeyRound className="w-4 h-4 mr-2" />
+                New recovery codes
+              </Button>
+              {!status.required && (
+                <Button type="button" variant="outline" onClick={() => setMode('disable')} className="border-red-500 text-red-500 hover:bg-red-500 hover:text-white">
+                  <ShieldOff className="w-4 h-4 mr-2" />
+                  Disable
+                </Button>
+              )}
+            </div>
+          </div>
+        ) : (
+          <div className="flex justify-end">
+            <Button type="button" onClick={handleStartSetup} className="bg-gradient-to-r from-red-600 to-red-700 text-white">
+              <ShieldCheck className="w-4 h-4 mr-2" />
+              Set up two-factor
+            </Button>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default TwoFactorSettings;
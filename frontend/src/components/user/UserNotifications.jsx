@@ -1,17 +1,22 @@
 import React from 'react';
 import { motion } from 'framer-motion';
 import { useNavigate } from 'react-router-dom';
-import { Bell, Wrench, Clock } from 'lucide-react';
+import { Bell, Wrench, Clock, X } from 'lucide-react';
+import { Button } from '@/components/ui/button';
 import { Card, CardContent } from '@/components/ui/card';
 import { useService } from '@/contexts/ServiceContext';
+import { useToast } from '@/components/ui/use-toast';
 
 const UserNotifications = ({ notifications }) => {
-  const { markNotificationAsRead } = useService();
+  const { markNotificationAsRead, dismissReminder } = useService();
+  const { toast } = useToast();
   const navigate = useNavigate();
 
   const handleNotificationClick = (notification) => {
     markNotificationAsRead(notification.id);
-    if (notification.requestId) {
+    if (notification.type === 'service_reminder') {
+      navigate('/request-service');
+    } else if (notification.requestId) {
       const request = notifications.find(n => n.requestId === notification.requestId);
       if (request && request.trackingEnabled && request.status === 'approved') {
         navigate(`/tracking/${notification.requestId}`);
@@ -19,6 +24,15 @@ const UserNotifications = ({ notifications }) => {
     }
   };
 
+  const handleDismiss = async (e, notification) => {
+    e.stopPropagation();
+    try {
+      await dismissReminder(notification.id);
+    } catch (error) {
+      toast({ title: "Dismiss Failed", description: error.message, variant: "destructive" });
+    }
+  };
+
   return (
     <motion.div
       initial={{ opacity: 0, y: 20 }}
@@ -50,7 +64,7 @@ const UserNotifications = ({ notifications }) => {
                 <div className="flex items-start justify-between">
                   <div className="flex items-start gap-3">
                     <div className={`p-2 rounded-lg ${
-                      notification.type === 'service_reminder' ? 'bg-yellow-600' :
+                      notification.type === 'service_reminder' ? (notification.status === 'overdue' ? 'bg-red-600' : 'bg-yellow-600') :
                       notification.type === 'status_update' ? 'bg-blue-600' :
                       'bg-green-600'
                     }`}>
@@ -66,9 +80,22 @@ const UserNotifications = ({ notifications }) => {
                       </p>
                     </div>
                   </div>
-                  {!notification.read && (
-                    <div className="w-2 h-2 bg-red-500 rounded-full notification-badge"></div>
-                  )}
+                  <div className="flex items-center gap-2">
+                    {!notification.read && (
+                      <div className="w-2 h-2 bg-red-500 rounded-full notification-badge"></div>
+                    )}
+                    {notification.type === 'service_reminder' && (
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={(e) => handleDismiss(e, notification)}
+                        className="text-gray-400 hover:text-white"
+                        title="Dismiss reminder"
+                      >
+                        <X className="w-4 h-4" />
+                      </Button>
+                    )}
+                  </div>
                 </div>
               </CardContent>
             </Card>
@@ -59,7 +59,7 @@ const UserRequests = ({ userRequests }) => {
                     </div>
                     <div>
                       <h3 className="text-lg font-semibold text-white">{request.serviceType}</h3>
-                      <p className="text-gray-400">Request ID: {request.id}</p>
+                      <p className="text-gray-400">Request ID: {request.requestNumber || request.id}</p>
                       <div className="flex items-center gap-4 mt-2 text-sm text-gray-400">
                         <div className="flex items-center gap-1">
                           <Calendar className="w-4 h-4" />
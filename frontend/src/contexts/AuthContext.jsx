@@ -1,5 +1,4 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
-import { ADMIN_CONFIG } from '@/lib/constants';
 import { apiService } from '@/services/api';
 
 const AuthContext = createContext();
@@ -12,16 +11,75 @@ export const useAuth = () => {
   return context;
 };
 
-  const ADMIN_USERS = ADMIN_CONFIG.EMAILS;
+const clearStoredAuth = () => {
+  localStorage.removeItem('autocare_token');
+  localStorage.removeItem('autocare_refresh_token');
+  localStorage.removeItem('autocare_user');
+};
+
+const storeTokens = ({ token, refreshToken }) => {
+  apiService.setAuthToken(token);
+  apiService.setRefreshToken(refreshToken);
+  localStorage.setItem('autocare_token', token);
+  if (refreshToken) {
+    localStorage.setItem('autocare_refresh_token', refreshToken);
+  }
+};
 
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
+  // Set between the password step and the two-factor step of a sign-in
+  const [mfaChallenge, setMfaChallenge] = useState(null);
+
+  // Keep storage in step with token rotation done inside apiService
+  useEffect(() => {
+    apiService.onTokensRefreshed = (tokens) => {
+      storeTokens(tokens);
+      setUser(prev => prev ? { ...prev, token: tokens.token } : prev);
+    };
+    apiService.onSessionExpired = () => {
+      console.warn('🔒 Session ended, signing out');
+      clearStoredAuth();
+      setUser(null);
+    };
+    apiService.getStoredTokens = () => ({
+      token: localStorage.getItem('autocare_token'),
+      refreshToken: localStorage.getItem('autocare_refresh_token')
+    });
+
+    // Other tabs share the session: follow their token rotations and sign-outs
+    const handleStorage = (event) => {
+      if (event.key !== null && event.key !== 'autocare_token' && event.key !== 'autocare_refresh_token') {
+        return;
+      }
+      const token = localStorage.getItem('autocare_token');
+      const refreshToken = localStorage.getItem('autocare_refresh_token');
+      if (!token) {
+        apiService.setAuthToken(null);
+        apiService.setRefreshToken(null);
+        setUser(null);
+        return;
+      }
+      apiService.setAuthToken(token);
+      apiService.setRefreshToken(refreshToken);
+      setUser(prev => prev ? { ...prev, token } : prev);
+    };
+    window.addEventListener('storage', handleStorage);
+
+    return () => {
+      apiService.onTokensRefreshed = null;
+      apiService.onSessionExpired = null;
+      apiService.getStoredTokens = null;
+      window.removeEventListener('storage', handleStorage);
+    };
+  }, []);
 
   useEffect(() => {
     const initializeAuth = async () => {
       const savedToken = localStorage.getItem('autocare_token');
       const savedUser = localStorage.getItem('autocare_user');
+      apiService.setRefreshToken(localStorage.getItem('autocare_refresh_token'));
       
       console.log('🔄 Initializing auth...', { hasToken: !!savedToken, hasUser: !!savedUser });
       
@@ -84,12 +142,18 @@ export const AuthProvider = ({ children }) => {
             }
           } else {
             console.warn('❌ Token verification failed');
-            localStorage.removeItem('autocare_token');
-            localStorage.removeItem('autocare_user');
+            clearStoredAuth();
             setUser(null);
           }
         } catch (error) {
           console.error('🚨 Auth initialization error:', error);
+
+          if (error.sessionExpired) {
+            clearStoredAuth();
+            setUser(null);
+            setLoading(false);
+            return;
+          }
           
           // Fallback to saved user data if backend is unavailable
           try {
@@ -100,14 +164,12 @@ export const AuthProvider = ({ children }) => {
               apiService.setAuthToken(savedToken);
             } else {
               console.warn('❌ Invalid saved data, clearing storage');
-              localStorage.removeItem('autocare_token');
-              localStorage.removeItem('autocare_user');
+              clearStoredAuth();
               setUser(null);
             }
           } catch (parseError) {
             console.error('🚨 Failed to parse saved user data:', parseError);
-            localStorage.removeItem('autocare_token');
-            localStorage.removeItem('autocare_user');
+            clearStoredAuth();
             setUser(null);
           }
         }
@@ -123,6 +185,51 @@ export const AuthProvider = ({ children }) => {
     initializeAuth();
   }, []);
 
+  // Store the session from a completed sign-in and load the full profile
+  const completeSignIn = async (response) => {
+    storeTokens(response);
+    setMfaChallenge(null);
+
+    try {
+      const profileResponse = await apiService.getProfile();
+
+      if (profileResponse.success) {
+        console.log('📊 Login: Profile loaded successfully:', {
+          user: profileResponse.data.user.email,
+          messages: profileResponse.data.messages?.length || 0,
+          bookings: profileResponse.data.bookings?.length || 0
+        });
+
+        const userData = {
+          ...profileResponse.data.user,
+          token: response.token,
+          messages: profileResponse.data.messages || [],
+          bookings: profileResponse.data.bookings || [],
+          statistics: profileResponse.data.statistics || {}
+        };
+
+        setUser(userData);
+        localStorage.setItem('autocare_user', JSON.stringify(userData));
+        console.log('💾 Login: Complete user data saved');
+
+        return userData;
+      }
+    } catch (profileError) {
+      console.warn('⚠️ Could not load profile data after login:', profileError);
+    }
+
+    // Fallback to basic user data
+    const userData = {
+      ...response.user,
+      token: response.token
+    };
+
+    setUser(userData);
+    localStorage.setItem('autocare_user', JSON.stringify(userData));
+
+    return userData;
+  };
+
   const login = async (email, password) => {
     try {
       setLoading(true);
@@ -131,50 +238,17 @@ export const AuthProvider = ({ children }) => {
       const response = await apiService.login(email, password);
       
       if (response.success) {
-        // Set auth token for future requests
-        apiService.setAuthToken(response.token);
-        
-        // Get complete profile data after login
-        try {
-          const profileResponse = await apiService.getProfile();
-          
-          if (profileResponse.success) {
-            console.log('📊 Login: Profile loaded successfully:', {
-              user: profileResponse.data.user.email,
-              messages: profileResponse.data.messages?.length || 0,
-              bookings: profileResponse.data.bookings?.length || 0
-            });
-            
-            const userData = {
-              ...profileResponse.data.user,
-              token: response.token,
-              messages: profileResponse.data.messages || [],
-              bookings: profileResponse.data.bookings || [],
-              statistics: profileResponse.data.statistics || {}
-            };
-            
-            setUser(userData);
-            localStorage.setItem('autocare_token', response.token);
-            localStorage.setItem('autocare_user', JSON.stringify(userData));
-            console.log('💾 Login: Complete user data saved');
-            
-            return userData;
-          }
-        } catch (profileError) {
-          console.warn('⚠️ Could not load profile data after login:', profileError);
+        // Password accepted; the caller shows the two-factor step next
+        if (response.mfaRequired) {
+          setMfaChallenge({
+            mfaToken: response.mfaToken,
+            enrollmentRequired: response.mfaEnrollmentRequired,
+            email
+          });
+          return { mfaRequired: true, mfaEnrollmentRequired: response.mfaEnrollmentRequired };
         }
-        
-        // Fallback to basic user data
-        const userData = {
-          ...response.user,
-          token: response.token
-        };
-        
-        setUser(userData);
-        localStorage.setItem('autocare_token', response.token);
-        localStorage.setItem('autocare_user', JSON.stringify(userData));
-        
-        return userData;
+
+        return await completeSignIn(response);
       } else {
         throw new Error(response.message || 'Login failed');
       }
@@ -186,6 +260,50 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Finish a two-factor sign-in with an authenticator code or a recovery code
+  const verifyMfa = async ({ code, recoveryCode }) => {
+    if (!mfaChallenge) {
+      throw new Error('Please sign in again.');
+    }
+    try {
+      const response = await apiService.verifyLoginMfa(mfaChallenge.mfaToken, { code, recoveryCode });
+      const userData = await completeSignIn(response);
+      return { user: userData, recoveryCodesRemaining: response.recoveryCodesRemaining };
+    } catch (error) {
+      if (error.code === 'MFA_TOKEN_INVALID') {
+        setMfaChallenge(null);
+      }
+      throw error;
+    }
+  };
+
+  // Mandatory enrollment during sign-in: fetch the secret and QR code to scan
+  const startMfaEnrollment = async () => {
+    if (!mfaChallenge) {
+      throw new Error('Please sign in again.');
+    }
+    const response = await apiService.startLoginMfaSetup(mfaChallenge.mfaToken);
+    return response.data;
+  };
+
+  const confirmMfaEnrollment = async (code) => {
+    if (!mfaChallenge) {
+      throw new Error('Please sign in again.');
+    }
+    try {
+      const response = await apiService.enableLoginMfa(mfaChallenge.mfaToken, code);
+      // The session starts once the recovery codes have been shown
+      return { recoveryCodes: response.recoveryCodes, finish: () => completeSignIn(response) };
+    } catch (error) {
+      if (error.code === 'MFA_TOKEN_INVALID') {
+        setMfaChallenge(null);
+      }
+      throw error;
+    }
+  };
+
+  const cancelMfa = () => setMfaChallenge(null);
+
   const register = async (userData) => {
     try {
       setLoading(true);
@@ -194,17 +312,31 @@ export const AuthProvider = ({ children }) => {
       const response = await apiService.register(userData);
       
       if (response.success) {
+        // No session until the email is confirmed; the caller sends the user to sign in
+        if (response.requiresVerification) {
+          return { ...response.user, requiresVerification: true };
+        }
+
+        // Admin invitees enroll in two-factor on the sign-in page before getting a session
+        if (response.mfaRequired) {
+          setMfaChallenge({
+            mfaToken: response.mfaToken,
+            enrollmentRequired: response.mfaEnrollmentRequired,
+            email: response.user.email
+          });
+          return { ...response.user, mfaRequired: true };
+        }
+
         const newUserData = {
           ...response.user,
           token: response.token
         };
         
-        // Set auth token for future requests
-        apiService.setAuthToken(response.token);
+        // Set auth tokens for future requests
+        storeTokens(response);
         
         // Save to state and localStorage
         setUser(newUserData);
-        localStorage.setItem('autocare_token', response.token);
         localStorage.setItem('autocare_user', JSON.stringify(newUserData));
         
         return newUserData;
@@ -244,10 +376,14 @@ export const AuthProvider = ({ children }) => {
   };
 
   const logout = () => {
+    // End the server-side session too; signing out locally never waits on it
+    if (apiService.authToken) {
+      apiService.logout().catch(error => console.warn('Logout request failed:', error.message));
+    }
     setUser(null);
-    localStorage.removeItem('autocare_user');
-    localStorage.removeItem('autocare_token');
+    clearStoredAuth();
     apiService.setAuthToken(null);
+    apiService.setRefreshToken(null);
   };
 
   const updateUser = async (updatedData) => {
@@ -281,6 +417,11 @@ export const AuthProvider = ({ children }) => {
     register,
     logout,
     loading,
+    mfaChallenge,
+    verifyMfa,
+    startMfaEnrollment,
+    confirmMfaEnrollment,
+    cancelMfa,
     updateUser,
     checkEmailAvailability
   };
@@ -1,5 +1,6 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
 import { useAuth } from './AuthContext';
+import { apiService } from '@/services/api';
 
 const ServiceContext = createContext();
 
@@ -32,200 +33,191 @@ const SPARE_PARTS = {
   AC_REPAIR: ['AC Refrigerant', 'AC Filter', 'AC Compressor']
 };
 
-const initialVehicles = [
-  { id: 1, userId: 1, make: 'Toyota', model: 'Camry', year: '2020', licensePlate: 'KDA 123A' },
-  { id: 2, userId: 1, make: 'Ford', model: 'Ranger', year: '2018', licensePlate: 'KDB 456B' },
-];
+// Map an API service request onto the shape the dashboard components use
+const normalizeRequest = (request) => ({
+  ...request,
+  id: request._id,
+  userId: request.customer?._id || request.customer,
+  customerName: request.customer?.name,
+  vehicleInfo: request.vehicle?.description,
+  suggestedParts: (request.spareParts || []).map(part => part.name)
+});
+
+// Maintenance reminders are shown in the customer's notification list
+const normalizeReminder = (reminder) => ({
+  ...reminder,
+  id: reminder.reminderId,
+  type: 'service_reminder',
+  read: !!reminder.read
+});
+
+const normalizeVehicle = (vehicle) => ({
+  ...vehicle,
+  id: vehicle._id,
+  userId: vehicle.owner?._id || vehicle.owner
+});
 
 export const ServiceProvider = ({ children }) => {
   const { user } = useAuth();
   const [requests, setRequests] = useState([]);
+  const [requestsLoading, setRequestsLoading] = useState(true);
   const [notifications, setNotifications] = useState([]);
   const [vehicles, setVehicles] = useState([]);
 
+  const fetchRequests = useCallback(async () => {
+    setRequestsLoading(true);
+    try {
+      const response = await apiService.getServices({ limit: 100 });
+      if (response.success) {
+        setRequests(response.data.map(normalizeRequest));
+      }
+    } catch (error) {
+      console.error('Failed to load service requests:', error);
+    } finally {
+      setRequestsLoading(false);
+    }
+  }, []);
+
+  const fetchVehicles = useCallback(async () => {
+    try {
+      const response = await apiService.getVehicles();
+      if (response.success) {
+        setVehicles(response.data.map(normalizeVehicle));
+      }
+    } catch (error) {
+      console.error('Failed to load vehicles:', error);
+    }
+  }, []);
+
+  const fetchReminders = useCallback(async () => {
+    try {
+      const response = await apiService.getMaintenanceReminders();
+      if (response.success) {
+        setNotifications(response.data.map(normalizeReminder));
+      }
+    } catch (error) {
+      console.error('Failed to load maintenance reminders:', error);
+    }
+  }, []);
+
   useEffect(() => {
     if (user) {
-      const savedRequests = localStorage.getItem(`autocare_requests_${user.id}`);
-      setRequests(savedRequests ? JSON.parse(savedRequests) : []);
-      
-      const savedNotifications = localStorage.getItem(`autocare_notifications_${user.id}`);
-      setNotifications(savedNotifications ? JSON.parse(savedNotifications) : []);
-
-      const savedVehicles = localStorage.getItem(`autocare_vehicles`);
-      setVehicles(savedVehicles ? JSON.parse(savedVehicles) : initialVehicles);
-      
-      generateServiceReminders();
+      fetchRequests();
+      fetchVehicles();
+      fetchReminders();
+    } else {
+      setRequests([]);
+      setRequestsLoading(false);
+      setVehicles([]);
+      setNotifications([]);
     }
   }, [user]);
 
-  const generateServiceReminders = () => {
-    if (!user || !user.lastService) return;
-    
-    const lastServiceDate = new Date(user.lastService);
-    const daysSinceService = Math.floor((Date.now() - lastServiceDate.getTime()) / (1000 * 60 * 60 * 24));
-    
-    if (daysSinceService >= 90) {
-      const reminder = {
-        id: `reminder_${Date.now()}`,
-        type: 'service_reminder',
-        title: '3000km Service Due',
-        message: 'Your vehicle is due for routine maintenance. Book your service today!',
-        timestamp: new Date().toISOString(),
-        read: false
-      };
-      
-      setNotifications(prev => {
-        const exists = prev.some(n => n.type === 'service_reminder');
-        if (!exists) {
-          const updated = [reminder, ...prev];
-          localStorage.setItem(`autocare_notifications_${user.id}`, JSON.stringify(updated));
-          return updated;
-        }
-        return prev;
-      });
-    }
-  };
+  // Called by the socket layer when the scheduler raises or escalates a reminder
+  const receiveReminder = useCallback((reminder) => {
+    const notification = normalizeReminder(reminder);
+    setNotifications(prev => [notification, ...prev.filter(n => n.id !== notification.id)]);
+  }, []);
+
+  const createServiceRequest = async (requestData) => {
+    const response = await apiService.createService({
+      serviceType: requestData.serviceType,
+      vehicle: {
+        vehicleId: requestData.vehicleId || undefined,
+        description: requestData.vehicleInfo
+      },
+      description: requestData.description,
+      priority: requestData.priority,
+      preferredDate: requestData.preferredDate,
+      contactNumber: requestData.contactNumber,
+      pickupLocation: requestData.pickupLocation
+    });
 
-  const createServiceRequest = (requestData) => {
-    const newRequest = {
-      id: `REQ_${Date.now()}`,
-      userId: user.id,
-      ...requestData,
-      status: 'pending',
-      createdAt: new Date().toISOString(),
-      estimatedCompletion: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
-      suggestedParts: SPARE_PARTS[requestData.serviceType] || [],
-      trackingEnabled: requestData.serviceType === 'Vehicle Pickup'
-    };
-    
-    const updatedRequests = [newRequest, ...requests];
-    setRequests(updatedRequests);
-    localStorage.setItem(`autocare_requests_${user.id}`, JSON.stringify(updatedRequests));
-    
-    if (user.isAdmin) {
-      const notification = {
-        id: `notif_${Date.now()}`,
-        type: 'new_request',
-        title: 'New Service Request',
-        message: `${newRequest.serviceType} requested by ${user.name}`,
-        timestamp: new Date().toISOString(),
-        read: false,
-        requestId: newRequest.id
-      };
-      
-      const updatedNotifications = [notification, ...notifications];
-      setNotifications(updatedNotifications);
-      localStorage.setItem(`autocare_notifications_${user.id}`, JSON.stringify(updatedNotifications));
-    }
-    
+    const newRequest = normalizeRequest(response.data);
+    setRequests(prev => [newRequest, ...prev]);
     return newRequest;
   };
 
-  const updateRequestStatus = (requestId, status, adminNotes = '') => {
-    const allRequests = getAllRequests();
-    const updatedRequests = allRequests.map(req => 
-      req.id === requestId 
-        ? { 
-            ...req, 
-            status, 
-            adminNotes,
-            updatedAt: new Date().toISOString(),
-            ...(status === 'approved' && req.trackingEnabled && {
-              truckLocation: { lat: -1.2921, lng: 36.8219 }, // Nairobi coordinates
-              estimatedArrival: new Date(Date.now() + 2 * 60 * 60 * 1000).toISOString()
-            })
-          }
+  const updateRequestStatus = async (requestId, status, adminNotes = '') => {
+    const response = await apiService.updateServiceStatus(requestId, status, adminNotes);
+    const updatedRequest = normalizeRequest(response.data);
+
+    setRequests(prev => prev.map(req =>
+      req.id === requestId
+        ? { ...updatedRequest, customer: req.customer, userId: req.userId, customerName: req.customerName }
         : req
-    );
-    
-    // This is tricky with localStorage for multiple users. We'll just update the current user's view.
-    // A real backend would handle this better.
-    const userRequests = updatedRequests.filter(r => r.userId === user.id);
-    setRequests(userRequests);
-    localStorage.setItem(`autocare_requests_${user.id}`, JSON.stringify(userRequests));
-
-    // A bit of a hack to update other users' data in localStorage
-    const otherUsersRequests = updatedRequests.filter(r => r.userId !== user.id);
-    const userIds = [...new Set(otherUsersRequests.map(r => r.userId))];
-    userIds.forEach(uid => {
-        const specificUserRequests = otherUsersRequests.filter(r => r.userId === uid);
-        localStorage.setItem(`autocare_requests_${uid}`, JSON.stringify(specificUserRequests));
-    });
-    
-    const request = updatedRequests.find(req => req.id === requestId);
-    if (request) {
-      const notification = {
-        id: `notif_${Date.now()}`,
-        type: 'status_update',
-        title: `Request ${status.charAt(0).toUpperCase() + status.slice(1)}`,
-        message: `Your ${request.serviceType} request has been ${status}`,
-        timestamp: new Date().toISOString(),
-        read: false,
-        requestId
-      };
-      
-      const updatedNotifications = [notification, ...notifications];
-      setNotifications(updatedNotifications);
-      localStorage.setItem(`autocare_notifications_${request.userId}`, JSON.stringify(updatedNotifications));
-    }
+    ));
+    return updatedRequest;
   };
 
-  const markNotificationAsRead = (notificationId) => {
-    const updatedNotifications = notifications.map(notif =>
-      notif.id === notificationId ? { ...notif, read: true } : notif
-    );
-    setNotifications(updatedNotifications);
-    localStorage.setItem(`autocare_notifications_${user.id}`, JSON.stringify(updatedNotifications));
+  const cancelServiceRequest = async (requestId, reason = '') => {
+    const response = await apiService.cancelService(requestId, reason);
+    const cancelledRequest = normalizeRequest(response.data);
+
+    setRequests(prev => prev.map(req =>
+      req.id === requestId
+        ? { ...cancelledRequest, customer: req.customer, userId: req.userId, customerName: req.customerName }
+        : req
+    ));
+    return cancelledRequest;
   };
 
-  const getAllRequests = () => {
-    const allRequests = [];
-    for (let i = 0; i < localStorage.length; i++) {
-      const key = localStorage.key(i);
-      if (key && key.startsWith('autocare_requests_')) {
-        const userRequests = JSON.parse(localStorage.getItem(key) || '[]');
-        allRequests.push(...userRequests);
-      }
+  const markNotificationAsRead = async (notificationId) => {
+    setNotifications(prev => prev.map(notif =>
+      notif.id === notificationId ? { ...notif, read: true } : notif
+    ));
+
+    try {
+      await apiService.markMaintenanceReminderRead(notificationId);
+    } catch (error) {
+      console.error('Failed to mark reminder as read:', error);
     }
-    return allRequests.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
   };
 
-  const addVehicle = (vehicleData) => {
-    const newVehicle = {
-      id: `VEH_${Date.now()}`,
-      userId: user.id,
-      ...vehicleData
-    };
-    const updatedVehicles = [...vehicles, newVehicle];
-    setVehicles(updatedVehicles);
-    localStorage.setItem('autocare_vehicles', JSON.stringify(updatedVehicles));
+  const dismissReminder = async (reminderId) => {
+    await apiService.dismissMaintenanceReminder(reminderId);
+    setNotifications(prev => prev.filter(notif => notif.id !== reminderId));
+  };
+
+  const addVehicle = async (vehicleData) => {
+    const response = await apiService.createVehicle(vehicleData);
+    const newVehicle = normalizeVehicle(response.data);
+    setVehicles(prev => [newVehicle, ...prev]);
+    return newVehicle;
   };
 
-  const updateVehicle = (vehicleData) => {
-    const updatedVehicles = vehicles.map(v => v.id === vehicleData.id ? vehicleData : v);
-    setVehicles(updatedVehicles);
-    localStorage.setItem('autocare_vehicles', JSON.stringify(updatedVehicles));
+  const updateVehicle = async (vehicleData) => {
+    const { id, _id, owner, userId, photos, createdAt, updatedAt, ...changes } = vehicleData;
+    const response = await apiService.updateVehicle(id, changes);
+    const updatedVehicle = normalizeVehicle(response.data);
+    setVehicles(prev => prev.map(v => v.id === id ? updatedVehicle : v));
+    return updatedVehicle;
   };
 
-  const deleteVehicle = (vehicleId) => {
-    const updatedVehicles = vehicles.filter(v => v.id !== vehicleId);
-    setVehicles(updatedVehicles);
-    localStorage.setItem('autocare_vehicles', JSON.stringify(updatedVehicles));
+  const deleteVehicle = async (vehicleId) => {
+    await apiService.deleteVehicle(vehicleId);
+    setVehicles(prev => prev.filter(v => v.id !== vehicleId));
   };
 
   const value = {
-    requests: user?.isAdmin ? getAllRequests() : requests,
+    requests,
+    requestsLoading,
     notifications,
     vehicles,
     serviceTypes: SERVICE_TYPES,
     spareParts: SPARE_PARTS,
     createServiceRequest,
     updateRequestStatus,
+    cancelServiceRequest,
+    refreshRequests: fetchRequests,
     markNotificationAsRead,
-    generateServiceReminders,
+    dismissReminder,
+    receiveReminder,
+    refreshReminders: fetchReminders,
     addVehicle,
     updateVehicle,
-    deleteVehicle
+    deleteVehicle,
+    refreshVehicles: fetchVehicles
   };
 
   return (
@@ -1,5 +1,12 @@
 import React, { createContext, useContext, useEffect, useState } from 'react';
 import { io } from 'socket.io-client';
+import { useService } from './ServiceContext';
+import { useAuth } from './AuthContext';
+import { apiService } from '@/services/api';
+
+// The API URL carries the /api/v1 prefix, which Socket.IO would read as a namespace
+const SOCKET_URL = import.meta.env.VITE_SOCKET_URL ||
+  new URL(import.meta.env.VITE_API_URL || 'http://localhost:3001').origin;
 
 const SocketContext = createContext();
 
@@ -15,30 +22,34 @@ export const SocketProvider = ({ children }) => {
   const [socket, setSocket] = useState(null);
   const [isConnected, setIsConnected] = useState(false);
   const [notifications, setNotifications] = useState([]);
+  const { receiveReminder } = useService();
+  const { user } = useAuth();
+  const userId = user?._id || user?.id;
 
   useEffect(() => {
-    const token = localStorage.getItem('token');
-    const user = JSON.parse(localStorage.getItem('user') || '{}');
-    
-    if (!token) return;
+    if (!userId) return;
 
-    // Initialize socket connection
-    const newSocket = io(import.meta.env.VITE_API_URL || 'http://localhost:3001', {
-      auth: {
-        token
-      }
+    // The server puts the socket in its rooms based on the token, so nothing is joined here.
+    // The token is read on every (re)connect to pick up refreshed access tokens.
+    const newSocket = io(SOCKET_URL, {
+      auth: (callback) => callback({ token: apiService.authToken || localStorage.getItem('autocare_token') })
     });
 
     newSocket.on('connect', () => {
       console.log('Socket connected:', newSocket.id);
       setIsConnected(true);
-      
-      // Join appropriate rooms based on user role
-      const adminRoles = ['admin', 'main_admin', 'super_admin'];
-      if (adminRoles.includes(user.role)) {
-        newSocket.emit('join-admin-room');
-      } else {
-        newSocket.emit('join-user-room', user._id);
+    });
+
+    // A rejected handshake is not retried automatically; renew an expired token and try again
+    newSocket.on('connect_error', async (error) => {
+      console.error('Socket connection error:', error.message);
+      if (error.message === 'Token expired.') {
+        try {
+          await apiService.refreshSession();
+          newSocket.connect();
+        } catch (refreshError) {
+          console.error('Socket token refresh failed:', refreshError);
+        }
       }
     });
 
@@ -125,6 +136,137 @@ export const SocketProvider = ({ children }) => {
       });
     });
 
+    newSocket.on('service-request-created', (data) => {
+      console.log('Service request created:', data);
+      addNotification({
+        id: Date.now(),
+        type: 'service',
+        title: 'New Service Request',
+        message: `${data.serviceType} requested by ${data.customer}`,
+        data
+      });
+    });
+
+    newSocket.on('service-request-updated', (data) => {
+      console.log('Service request updated:', data);
+      addNotification({
+        id: Date.now(),
+        type: 'service',
+        title: 'Service Request Updated',
+        message: `Request ${data.requestNumber} is now ${data.status}`,
+        data
+      });
+    });
+
+    newSocket.on('maintenance-reminder', (data) => {
+      console.log('Maintenance reminder:', data);
+      receiveReminder(data);
+      addNotification({
+        id: Date.now(),
+        type: 'service_reminder',
+        title: data.title,
+        message: data.message,
+        data
+      });
+    });
+
+    newSocket.on('inventory-low-stock', (data) => {
+      console.log('Inventory low stock:', data);
+      addNotification({
+        id: Date.now(),
+        type: 'inventory',
+        title: 'Low Stock',
+        message: `${data.part} at ${data.branch}: ${data.quantityAvailable} left`,
+        data
+      });
+    });
+
+    newSocket.on('dispatch-needs-attention', (data) => {
+      console.log('Dispatch needs attention:', data);
+      addNotification({
+        id: Date.now(),
+        type: 'dispatch',
+        title: 'Dispatch Needs Attention',
+        message: `No truck accepted ${data.userName}'s pickup after ${data.offersMade} offer(s)`,
+        data
+      });
+    });
+
+    newSocket.on('dispatch-offer', (data) => {
+      console.log('Dispatch offer:', data);
+      addNotification({
+        id: Date.now(),
+        type: 'dispatch',
+        title: 'New Pickup Offer',
+        message: `Pickup for ${data.customerName}, ${data.distanceKm} km away`,
+        data
+      });
+    });
+
+    newSocket.on('geofence-event', (data) => {
+      console.log('Geofence event:', data);
+      const verbs = { enter: 'arrived at', exit: 'left', dwell: 'is waiting at' };
+      addNotification({
+        id: Date.now(),
+        type: 'geofence',
+        title: data.type === 'enter' && ['pickup', 'booking'].includes(data.geofence.kind) ? 'Truck Arrived' : 'Geofence Alert',
+        message: `${data.truck.licensePlate} ${verbs[data.type]} ${data.geofence.name}`,
+        data
+      });
+    });
+
+    newSocket.on('truck-signal-lost', (data) => {
+      console.log('Truck signal lost:', data);
+      addNotification({
+        id: Date.now(),
+        type: 'truck',
+        title: 'Truck Offline',
+        message: `${data.truckName} (${data.licensePlate}) stopped reporting its location`,
+        data
+      });
+    });
+
+    newSocket.on('truck-signal-restored', (data) => {
+      console.log('Truck signal restored:', data);
+      addNotification({
+        id: Date.now(),
+        type: 'truck',
+        title: 'Truck Back Online',
+        message: `${data.truckName} (${data.licensePlate}) is reporting again`,
+        data
+      });
+    });
+
+    newSocket.on('payment-updated', (data) => {
+      console.log('Payment updated:', data);
+      const titles = {
+        succeeded: 'Payment Received',
+        failed: 'Payment Failed',
+        cancelled: 'Payment Cancelled',
+        partially_refunded: 'Payment Partly Refunded',
+        refunded: 'Payment Refunded'
+      };
+      if (!titles[data.status]) return;
+      addNotification({
+        id: Date.now(),
+        type: 'payment',
+        title: titles[data.status],
+        message: `${data.currency} ${data.status.includes('refunded') ? data.amountRefunded : data.amount}`,
+        data
+      });
+    });
+
+    newSocket.on('invoice-issued', (data) => {
+      console.log('Invoice issued:', data);
+      addNotification({
+        id: Date.now(),
+        type: 'payment',
+        title: data.type === 'credit_note' ? 'Credit Note Issued' : 'Invoice Issued',
+        message: `${data.number} · ${data.currency} ${data.total}`,
+        data
+      });
+    });
+
     newSocket.on('truck-location-updated', (data) => {
       console.log('Truck location updated:', data);
       // Don't create notifications for frequent location updates
@@ -135,8 +277,10 @@ export const SocketProvider = ({ children }) => {
 
     return () => {
       newSocket.close();
+      setSocket(null);
+      setIsConnected(false);
     };
-  }, []);
+  }, [userId]);
 
   const addNotification = (notification) => {
     setNotifications(prev => [notification, ...prev.slice(0, 99)]); // Keep last 100
@@ -155,27 +299,10 @@ export const SocketProvider = ({ children }) => {
     setNotifications([]);
   };
 
-  const sendMessage = (data) => {
-    if (socket && isConnected) {
-      socket.emit('new-message', data);
-    }
-  };
-
-  const updateTruckLocation = (data) => {
-    if (socket && isConnected) {
-      socket.emit('truck-location-update', data);
-    }
-  };
-
-  const sendPickupRequest = (data) => {
-    if (socket && isConnected) {
-      socket.emit('new-pickup-request', data);
-    }
-  };
-
-  const dispatchTruck = (data) => {
+  // Drivers and fleet managers only; the server acknowledges with { success, message }
+  const updateTruckLocation = (data, onAck) => {
     if (socket && isConnected) {
-      socket.emit('truck-dispatched', data);
+      socket.emit('truck-location-update', data, onAck);
     }
   };
 
@@ -186,10 +313,7 @@ export const SocketProvider = ({ children }) => {
     addNotification,
     removeNotification,
     clearAllNotifications,
-    sendMessage,
-    updateTruckLocation,
-    sendPickupRequest,
-    dispatchTruck
+    updateTruckLocation
   };
 
   return (
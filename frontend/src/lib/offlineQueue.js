@@ -0,0 +1,114 @@
+// Driver actions that could not reach the server, kept in localStorage and replayed in order
+// once it is reachable again
+import { storage } from '@/lib/utils';
+import { apiService } from '@/services/api';
+
+const STORAGE_KEY = 'autocare_driver_queue';
+// The server's limit for one telemetry batch
+const MAX_BATCH_SIZE = 500;
+// During a long outage the oldest fixes are dropped rather than filling storage
+const MAX_QUEUED_LOCATIONS = 5000;
+
+const listeners = new Set();
+let replaying = null;
+
+export const getQueue = () => storage.get(STORAGE_KEY, []);
+
+const saveQueue = (queue) => {
+  storage.set(STORAGE_KEY, queue);
+  listeners.forEach(listener => listener(queue));
+};
+
+// Called with the queue whenever it changes; returns a function that unsubscribes
+export const subscribeToQueue = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// type is 'location' (payload: one fix), 'status' (payload: { status }) or 'complete'
+export const enqueue = (type, truckId, payload = {}) => {
+  let queue = [...getQueue(), {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    type,
+    truckId,
+    payload,
+    queuedAt: new Date().toISOString()
+  }];
+
+  const locations = queue.filter(entry => entry.type === 'location');
+  if (locations.length > MAX_QUEUED_LOCATIONS) {
+    const dropped = new Set(locations.slice(0, locations.length - MAX_QUEUED_LOCATIONS).map(entry => entry.id));
+    queue = queue.filter(entry => !dropped.has(entry.id));
+  }
+
+  saveQueue(queue);
+};
+
+export const discardQueued = (id) => {
+  saveQueue(getQueue().filter(entry => entry.id !== id));
+};
+
+// No response, a server error or an expired session: try again later. Any other answer is final.
+export const isRetryable = (error) => {
+  return error.status === undefined || error.status >= 500 || error.status === 401;
+};
+
+const send = (entry, batch) => {
+  switch (entry.type) {
+    case 'location':
+      return apiService.recordTruckTelemetry(entry.truckId, batch.map(item => item.payload), 'driver-app');
+    case 'status':
+      return apiService.updateTruckStatus(entry.truckId, entry.payload.status);
+    case 'complete':
+      return apiService.completeTruckAssignment(entry.truckId);
+    default:
+      return Promise.reject(new Error(`Unknown queued action: ${entry.type}`));
+  }
+};
+
+// Consecutive fixes for the same truck go up as one telemetry batch
+const nextBatch = (queue) => {
+  const [first] = queue;
+  if (first.type !== 'location') return [first];
+
+  const batch = [];
+  for (const entry of queue) {
+    if (entry.type !== 'location' || entry.truckId !== first.truckId || batch.length === MAX_BATCH_SIZE) break;
+    batch.push(entry);
+  }
+  return batch;
+};
+
+const replay = async () => {
+  const result = { sent: 0, failed: [] };
+
+  for (let queue = getQueue(); queue.length > 0; queue = getQueue()) {
+    const batch = nextBatch(queue);
+
+    try {
+      await send(batch[0], batch);
+      result.sent += batch.length;
+    } catch (error) {
+      if (isRetryable(error)) break;
+      // The server refused it (e.g. the job was reassigned); replaying it again won't help
+      result.failed.push({ entry: batch[0], count: batch.length, message: error.message });
+    }
+
+    // Re-read, since the app may have queued more while the request was in flight
+    const done = new Set(batch.map(entry => entry.id));
+    saveQueue(getQueue().filter(entry => !done.has(entry.id)));
+  }
+
+  return result;
+};
+
+// Replay everything queued, oldest first. Concurrent callers share one run.
+// Resolves to { sent, failed: [{ entry, count, message }] }.
+export const flushQueue = () => {
+  if (!replaying) {
+    replaying = replay().finally(() => {
+      replaying = null;
+    });
+  }
+  return replaying;
+};
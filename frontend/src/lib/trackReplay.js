@@ -0,0 +1,55 @@
+// Helpers for replaying a recorded truck track
+
+const timeOf = (point) => new Date(point.recordedAt).getTime();
+
+// Interpolated position at a moment in the trip, clamped to the track's ends
+export const positionAt = (points, time) => {
+  if (points.length === 0) return null;
+  if (time <= timeOf(points[0])) return { ...points[0], index: 0 };
+
+  const lastIndex = points.length - 1;
+  if (time >= timeOf(points[lastIndex])) return { ...points[lastIndex], index: lastIndex };
+
+  // Binary search for the segment that contains the time
+  let low = 0;
+  let high = lastIndex;
+  while (high - low > 1) {
+    const mid = Math.floor((low + high) / 2);
+    if (timeOf(points[mid]) <= time) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+
+  const from = points[low];
+  const to = points[high];
+  const span = timeOf(to) - timeOf(from);
+  const ratio = span > 0 ? (time - timeOf(from)) / span : 0;
+
+  return {
+    latitude: from.latitude + (to.latitude - from.latitude) * ratio,
+    longitude: from.longitude + (to.longitude - from.longitude) * ratio,
+    speed: from.speed,
+    heading: from.heading,
+    recordedAt: new Date(time).toISOString(),
+    index: low
+  };
+};
+
+export const getTrackBounds = (points) => {
+  const latitudes = points.map(point => point.latitude);
+  const longitudes = points.map(point => point.longitude);
+  return {
+    minLat: Math.min(...latitudes),
+    maxLat: Math.max(...latitudes),
+    minLng: Math.min(...longitudes),
+    maxLng: Math.max(...longitudes)
+  };
+};
+
+// Value for a datetime-local input in the browser's time zone
+export const toDateTimeInput = (date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+};
@@ -258,3 +258,15 @@ export const apiRequest = async (url, options = {}) => {
     return { data: null, error: handleError(error, 'API Request') };
   }
 };
+
+// Hand a downloaded file ({ blob, filename }, as apiService.download resolves) to the browser
+export const saveBlob = ({ blob, filename }) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
@@ -10,23 +10,33 @@ import StatusUpdateDialog from '@/components/admin/StatusUpdateDialog';
 import AdminMessages from '@/components/admin/AdminMessages';
 import AdminUserConversations from '@/components/admin/AdminUserConversations';
 import TruckDispatch from '@/components/admin/TruckDispatch';
+import GeofenceManagement from '@/components/admin/GeofenceManagement';
 import AddTruckForm from '@/components/admin/AddTruckForm';
-import PaymentForm from '@/components/PaymentForm';
+import InventoryManagement from '@/components/admin/InventoryManagement';
+import TeamManagement from '@/components/admin/TeamManagement';
+import PaymentManagement from '@/components/admin/PaymentManagement';
+import InvoiceManagement from '@/components/admin/InvoiceManagement';
+import BookingCalendar from '@/components/admin/BookingCalendar';
 import GoogleMap from '@/components/GoogleMap';
 import { useSocket } from '@/contexts/SocketContext';
-import { Wrench, MessageSquare, Truck, CreditCard, MapPin, Plus } from 'lucide-react';
+import { useAuth } from '@/contexts/AuthContext';
+import { Wrench, MessageSquare, Truck, CreditCard, MapPin, Plus, Package, Users, CalendarDays } from 'lucide-react';
 
 const sidebarTabs = [
   { value: 'requests', label: 'Service Requests', icon: <Wrench className="w-5 h-5 mr-2" /> },
   { value: 'trucks', label: 'Fleet Management', icon: <Truck className="w-5 h-5 mr-2" /> },
+  { value: 'calendar', label: 'Booking Calendar', icon: <CalendarDays className="w-5 h-5 mr-2" /> },
+  { value: 'inventory', label: 'Inventory', icon: <Package className="w-5 h-5 mr-2" /> },
   { value: 'messages', label: 'Messages', icon: <MessageSquare className="w-5 h-5 mr-2" /> },
   { value: 'payments', label: 'Payments', icon: <CreditCard className="w-5 h-5 mr-2" /> },
   { value: 'locations', label: 'Locations', icon: <MapPin className="w-5 h-5 mr-2" /> },
+  { value: 'team', label: 'Team', icon: <Users className="w-5 h-5 mr-2" />, roles: ['main_admin', 'super_admin'] },
 ];
 
 const AdminDashboard = () => {
   const { requests, updateRequestStatus } = useService();
   const { notifications, removeNotification } = useSocket();
+  const { user } = useAuth();
   const [dialogState, setDialogState] = useState({
     isOpen: false,
     request: null,
@@ -43,10 +53,6 @@ const AdminDashboard = () => {
     setTrucks(prev => [newTruck, ...prev]);
   };
 
-  const handlePaymentSuccess = (paymentIntent) => {
-    console.log('Payment successful:', paymentIntent);
-  };
-
   const pendingRequests = requests.filter(req => req.status === 'pending');
   const approvedRequests = requests.filter(req => req.status === 'approved');
   const completedRequests = requests.filter(req => req.status === 'completed');
@@ -66,7 +72,7 @@ const AdminDashboard = () => {
           <span className="text-2xl font-bold text-white">Admin Panel</span>
         </div>
         <nav className="flex flex-col gap-2">
-          {sidebarTabs.map(tab => (
+          {sidebarTabs.filter(tab => !tab.roles || tab.roles.includes(user?.role)).map(tab => (
             <button
               key={tab.value}
               className={`flex items-center px-4 py-3 rounded-lg text-left transition-colors font-medium text-white hover:bg-red-700/80 ${activeTab === tab.value ? 'bg-red-600' : 'bg-red-800'}`}
@@ -128,8 +134,13 @@ const AdminDashboard = () => {
                 <AddTruckForm onTruckAdded={handleTruckAdded} />
               </div>
               <TruckDispatch />
+              <GeofenceManagement />
             </div>
           )}
+          {/* Booking Calendar Tab */}
+          {activeTab === 'calendar' && <BookingCalendar />}
+          {/* Inventory Tab */}
+          {activeTab === 'inventory' && <InventoryManagement />}
           {/* Messages Tab */}
           {activeTab === 'messages' && (
             <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 h-[80vh]">
@@ -146,7 +157,7 @@ const AdminDashboard = () => {
             <div className="space-y-6">
               <h2 className="text-2xl font-bold text-white mb-6">Payment Management</h2>
               <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-                <PaymentForm onPaymentSuccess={handlePaymentSuccess} />
+                <PaymentManagement />
                 <div className="space-y-4">
                   <h3 className="text-lg font-semibold text-white">Recent Payment Notifications</h3>
                   <div className="space-y-2 max-h-96 overflow-y-auto">
@@ -172,8 +183,11 @@ const AdminDashboard = () => {
                   </div>
                 </div>
               </div>
+              <InvoiceManagement />
             </div>
           )}
+          {/* Team Tab */}
+          {activeTab === 'team' && <TeamManagement />}
           {/* Locations Tab */}
           {activeTab === 'locations' && (
             <div className="space-y-6">
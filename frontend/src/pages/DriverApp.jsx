@@ -0,0 +1,393 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { NavLink, Outlet, useNavigate } from 'react-router-dom';
+import { Helmet } from 'react-helmet';
+import { Truck, ListChecks, RefreshCw, LogOut, Wifi, WifiOff, Crosshair } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { useAuth } from '@/contexts/AuthContext';
+import { useSocket } from '@/contexts/SocketContext';
+import { useToast } from '@/components/ui/use-toast';
+import { storage } from '@/lib/utils';
+import { enqueue, flushQueue, getQueue, isRetryable, subscribeToQueue } from '@/lib/offlineQueue';
+import { apiService } from '@/services/api';
+
+// Last assignment seen, so the app still has something to show when it starts offline
+const TRUCKS_STORAGE_KEY = 'autocare_driver_trucks';
+const PROFILE_STORAGE_KEY = 'autocare_driver_profile';
+const TRACKING_STORAGE_KEY = 'autocare_driver_tracking';
+const REPORT_INTERVAL_MS = 15000;
+const RETRY_INTERVAL_MS = 30000;
+
+// Where a status report leaves the truck's jobs, mirroring the server, for offline updates
+const JOB_STATUS_AFTER = {
+  'en-route': { pickup: ['dispatched'], booking: [] },
+  'at-location': { pickup: ['dispatched', 'en-route'], booking: ['confirmed', 'assigned'] }
+};
+
+const toFix = (position) => {
+  const { latitude, longitude, speed, heading, accuracy } = position.coords;
+  return {
+    latitude,
+    longitude,
+    // The browser reports m/s; the API stores km/h
+    speed: Number.isFinite(speed) ? Math.round(speed * 3.6 * 10) / 10 : null,
+    heading: Number.isFinite(heading) ? heading : null,
+    accuracy: Number.isFinite(accuracy) ? accuracy : null,
+    recordedAt: new Date(position.timestamp).toISOString(),
+    source: 'driver-app'
+  };
+};
+
+const DriverApp = () => {
+  const { user, logout } = useAuth();
+  const { socket } = useSocket();
+  const { toast } = useToast();
+  const navigate = useNavigate();
+  const [trucks, setTrucks] = useState(() => storage.get(TRUCKS_STORAGE_KEY, []));
+  const [profile, setProfile] = useState(() => storage.get(PROFILE_STORAGE_KEY, null));
+  const [selectedTruckId, setSelectedTruckId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+  const [queue, setQueue] = useState(getQueue);
+  const [trackingEnabled, setTrackingEnabled] = useState(() => storage.get(TRACKING_STORAGE_KEY, true));
+  const [lastFix, setLastFix] = useState(null);
+  const [gpsError, setGpsError] = useState(null);
+  const lastReportRef = useRef(0);
+
+  const current = trucks.find(item => item.truck._id === selectedTruckId) || trucks[0] || null;
+  const truck = current?.truck || null;
+  const jobs = current?.jobs || [];
+  const truckId = truck?._id;
+  // Drivers with a profile only report their position while clocked in
+  const driverProfile = profile?.driver?.driverProfile;
+  const onDuty = !driverProfile || driverProfile.onDuty;
+
+  const loadTrucks = useCallback(async () => {
+    try {
+      const [trucksResponse, profileResponse] = await Promise.all([
+        apiService.getMyTrucks(),
+        apiService.getMyDriverProfile()
+      ]);
+      setTrucks(trucksResponse.data);
+      storage.set(TRUCKS_STORAGE_KEY, trucksResponse.data);
+      setProfile(profileResponse.data);
+      storage.set(PROFILE_STORAGE_KEY, profileResponse.data);
+    } catch (error) {
+      console.error('Error loading driver trucks:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const replayQueue = useCallback(async () => {
+    if (getQueue().length === 0) return;
+
+    const { sent, failed } = await flushQueue();
+    failed.forEach(({ entry, message }) => {
+      toast({
+        title: entry.type === 'location' ? 'Location upload rejected' : 'Status update rejected',
+        description: message,
+        variant: "destructive"
+      });
+    });
+    if (sent > 0 || failed.length > 0) {
+      loadTrucks();
+    }
+  }, [loadTrucks, toast]);
+
+  useEffect(() => {
+    loadTrucks();
+    replayQueue();
+  }, [loadTrucks, replayQueue]);
+
+  useEffect(() => subscribeToQueue(setQueue), []);
+
+  // Installable app shell and offline start-up for the /driver pages
+  useEffect(() => {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.register('/driver-sw.js', { scope: '/driver' })
+      .catch(error => console.error('Service worker registration failed:', error));
+  }, []);
+
+  // Replay the queue as soon as the connection is back, and keep retrying while anything is left
+  useEffect(() => {
+    const handleOnline = () => {
+      setIsOnline(true);
+      replayQueue();
+    };
+    const handleOffline = () => setIsOnline(false);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    const interval = setInterval(replayQueue, RETRY_INTERVAL_MS);
+
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+      clearInterval(interval);
+    };
+  }, [replayQueue]);
+
+  // New offers, assignments and status changes made by the dispatch desk
+  useEffect(() => {
+    if (!socket) return;
+
+    const events = [
+      'connect',
+      'dispatch-offer',
+      'dispatch-offer-withdrawn',
+      'booking-assigned-to-driver',
+      'truck-assigned',
+      'truck-status-updated',
+      'truck-assignment-completed'
+    ];
+    const handleChange = () => {
+      loadTrucks();
+      replayQueue();
+    };
+    events.forEach(event => socket.on(event, handleChange));
+
+    return () => events.forEach(event => socket.off(event, handleChange));
+  }, [socket, loadTrucks, replayQueue]);
+
+  const sendFix = useCallback(async (fix) => {
+    // Anything already queued goes first, so the track stays in order
+    if (!navigator.onLine || getQueue().length > 0) {
+      enqueue('location', truckId, fix);
+      return;
+    }
+
+    try {
+      await apiService.updateTruckLocation(truckId, fix);
+    } catch (error) {
+      if (isRetryable(error)) {
+        enqueue('location', truckId, fix);
+      } else {
+        console.error('Location update rejected:', error);
+      }
+    }
+  }, [truckId]);
+
+  // GPS reporting while the app is open; the screen is kept on so the browser doesn't suspend it
+  useEffect(() => {
+    storage.set(TRACKING_STORAGE_KEY, trackingEnabled);
+    if (!trackingEnabled || !truckId || !onDuty) return;
+
+    if (!navigator.geolocation) {
+      setGpsError("This device can't report its location");
+      return;
+    }
+
+    const watchId = navigator.geolocation.watchPosition(
+      (position) => {
+        const fix = toFix(position);
+        setLastFix(fix);
+        setGpsError(null);
+
+        if (Date.now() - lastReportRef.current >= REPORT_INTERVAL_MS) {
+          lastReportRef.current = Date.now();
+          sendFix(fix);
+        }
+      },
+      (error) => {
+        setGpsError(error.code === error.PERMISSION_DENIED
+          ? 'Location access denied. Please enable location permissions.'
+          : 'Waiting for a GPS signal…');
+      },
+      { enableHighAccuracy: true, maximumAge: 5000, timeout: 30000 }
+    );
+
+    let wakeLock = null;
+    const requestWakeLock = () => {
+      if (document.visibilityState !== 'visible' || !navigator.wakeLock) return;
+      navigator.wakeLock.request('screen')
+        .then(lock => { wakeLock = lock; })
+        .catch(() => {});
+    };
+    requestWakeLock();
+    document.addEventListener('visibilitychange', requestWakeLock);
+
+    return () => {
+      navigator.geolocation.clearWatch(watchId);
+      document.removeEventListener('visibilitychange', requestWakeLock);
+      wakeLock?.release().catch(() => {});
+    };
+  }, [trackingEnabled, truckId, onDuty, sendFix]);
+
+  // Clocking in puts the truck on the road for dispatch; it needs a connection
+  const changeDuty = useCallback(async (clockIn) => {
+    try {
+      const response = clockIn ? await apiService.clockIn() : await apiService.clockOut();
+      toast({
+        title: clockIn ? "Clocked in" : "Clocked out",
+        description: response.message
+      });
+      await loadTrucks();
+    } catch (error) {
+      toast({
+        title: clockIn ? "Couldn't clock in" : "Couldn't clock out",
+        description: error.status ? error.message : "You need a connection to do this.",
+        variant: "destructive"
+      });
+    }
+  }, [loadTrucks, toast]);
+
+  // Show the change straight away, whether or not it reached the server yet
+  const applyLocally = useCallback((type, status) => {
+    setTrucks(prev => {
+      const next = prev.map(item => {
+        if (item.truck._id !== truckId) return item;
+        if (type === 'complete') {
+          return { truck: { ...item.truck, status: 'available', assignedRequest: null }, jobs: [] };
+        }
+        return {
+          truck: { ...item.truck, status },
+          jobs: item.jobs.map(job => (
+            JOB_STATUS_AFTER[status]?.[job.kind]?.includes(job.status) ? { ...job, status } : job
+          ))
+        };
+      });
+      storage.set(TRUCKS_STORAGE_KEY, next);
+      return next;
+    });
+  }, [truckId]);
+
+  // type is 'status' (en-route, at-location) or 'complete'
+  const reportProgress = useCallback(async (type, status) => {
+    const payload = type === 'status' ? { status } : {};
+    const queueIt = () => {
+      enqueue(type, truckId, payload);
+      applyLocally(type, status);
+      toast({
+        title: "Saved offline",
+        description: "The update will be sent when you're back online."
+      });
+    };
+
+    if (!navigator.onLine || getQueue().length > 0) {
+      queueIt();
+      replayQueue();
+      return;
+    }
+
+    try {
+      if (type === 'status') {
+        await apiService.updateTruckStatus(truckId, status);
+      } else {
+        await apiService.completeTruckAssignment(truckId);
+      }
+      applyLocally(type, status);
+      toast({
+        title: type === 'complete' ? "Job completed" : "Status updated",
+        description: type === 'complete' ? "The truck is available again." : `You are now ${status.replace('-', ' ')}.`
+      });
+      loadTrucks();
+    } catch (error) {
+      if (isRetryable(error)) {
+        queueIt();
+      } else {
+        toast({ title: "Update failed", description: error.message, variant: "destructive" });
+      }
+    }
+  }, [truckId, applyLocally, replayQueue, loadTrucks, toast]);
+
+  const handleLogout = () => {
+    logout();
+    navigate('/');
+  };
+
+  const navItems = [
+    { to: '/driver', label: 'Assignment', icon: Truck, end: true },
+    { to: '/driver/jobs', label: 'Jobs', icon: ListChecks },
+    { to: '/driver/sync', label: queue.length > 0 ? `Sync (${queue.length})` : 'Sync', icon: RefreshCw }
+  ];
+
+  return (
+    <div className="min-h-screen pb-24">
+      <Helmet>
+        <title>Driver - AutoCare Pro</title>
+        <link rel="manifest" href="/driver.webmanifest" />
+        <meta name="theme-color" content="#b91c1c" />
+        <meta name="apple-mobile-web-app-capable" content="yes" />
+      </Helmet>
+
+      <header className="glass-effect sticky top-0 z-10 px-4 py-3">
+        <div className="max-w-xl mx-auto flex items-center justify-between gap-3">
+          <div className="min-w-0">
+            <h1 className="text-xl font-bold gradient-text truncate">
+              {truck ? truck.truckId : 'Driver'}
+            </h1>
+            <p className="text-xs text-gray-400 truncate">{user.name}</p>
+          </div>
+          <div className="flex items-center gap-2">
+            <Badge className={isOnline ? 'bg-green-600' : 'bg-yellow-600'}>
+              {isOnline ? <Wifi className="w-3 h-3 mr-1" /> : <WifiOff className="w-3 h-3 mr-1" />}
+              {isOnline ? 'Online' : 'Offline'}
+            </Badge>
+            <Badge className={trackingEnabled && onDuty && !gpsError ? 'bg-green-600' : 'bg-gray-600'}>
+              <Crosshair className="w-3 h-3 mr-1" />
+              {trackingEnabled && onDuty ? (gpsError ? 'No GPS' : 'GPS') : 'GPS off'}
+            </Badge>
+            <Button variant="ghost" size="icon" onClick={handleLogout} className="text-gray-400 hover:text-white">
+              <LogOut className="w-4 h-4" />
+            </Button>
+          </div>
+        </div>
+        {trucks.length > 1 && (
+          <div className="max-w-xl mx-auto mt-2 flex gap-2 overflow-x-auto">
+            {trucks.map(item => (
+              <Button
+                key={item.truck._id}
+                size="sm"
+                variant={item.truck._id === truckId ? 'default' : 'outline'}
+                onClick={() => setSelectedTruckId(item.truck._id)}
+              >
+                {item.truck.truckId}
+              </Button>
+            ))}
+          </div>
+        )}
+      </header>
+
+      <main className="max-w-xl mx-auto p-4">
+        <Outlet context={{
+          truck,
+          jobs,
+          loading,
+          isOnline,
+          queue,
+          reload: loadTrucks,
+          replayQueue,
+          reportProgress,
+          duty: {
+            hasProfile: !!driverProfile,
+            onDuty,
+            clockedInAt: driverProfile?.clockedInAt,
+            shifts: profile?.shifts || [],
+            clockIn: () => changeDuty(true),
+            clockOut: () => changeDuty(false)
+          },
+          tracking: { enabled: trackingEnabled, setEnabled: setTrackingEnabled, lastFix, error: gpsError }
+        }} />
+      </main>
+
+      <nav className="glass-effect fixed bottom-0 inset-x-0 z-10">
+        <div className="max-w-xl mx-auto grid grid-cols-3">
+          {navItems.map(({ to, label, icon: Icon, end }) => (
+            <NavLink
+              key={to}
+              to={to}
+              end={end}
+              className={({ isActive }) => `flex flex-col items-center gap-1 py-3 text-xs ${isActive ? 'text-red-500' : 'text-gray-400'}`}
+            >
+              <Icon className="w-5 h-5" />
+              {label}
+            </NavLink>
+          ))}
+        </div>
+      </nav>
+    </div>
+  );
+};
+
+export default DriverApp;
@@ -0,0 +1,105 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { Link } from 'react-router-dom';
+import { Helmet } from 'react-helmet';
+import { KeyRound, MailCheck } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { useToast } from '@/components/ui/use-toast';
+import { apiService } from '@/services/api';
+
+const ForgotPasswordPage = () => {
+  const [email, setEmail] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [sent, setSent] = useState(false);
+  const { toast } = useToast();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      await apiService.forgotPassword(email);
+      setSent(true);
+    } catch (error) {
+      toast({
+        title: "Couldn't send reset link",
+        description: error.message || "Please try again later.",
+        variant: "destructive",
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center p-4">
+      <Helmet>
+        <title>Forgot Password - AutoCare Pro</title>
+        <meta name="description" content="Reset the password for your AutoCare Pro account." />
+      </Helmet>
+
+      <motion.div
+        initial={{ opacity: 0, y: 50 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.8 }}
+        className="w-full max-w-md"
+      >
+        <Card className="glass-effect border-red-900/30 red-glow">
+          <CardHeader className="text-center">
+            <div className="flex justify-center mb-4">
+              <div className="p-3 bg-gradient-to-r from-red-600 to-red-700 rounded-full">
+                {sent ? <MailCheck className="w-8 h-8 text-white" /> : <KeyRound className="w-8 h-8 text-white" />}
+              </div>
+            </div>
+            <CardTitle className="text-2xl font-bold gradient-text">
+              {sent ? 'Check Your Email' : 'Forgot Password'}
+            </CardTitle>
+            <CardDescription className="text-gray-300">
+              {sent
+                ? `If an account exists for ${email}, we've sent a link to reset your password. It expires in 1 hour.`
+                : "Enter your email and we'll send you a link to reset your password."}
+            </CardDescription>
+          </CardHeader>
+
+          <CardContent>
+            {!sent && (
+              <form onSubmit={handleSubmit} className="space-y-4">
+                <div className="space-y-2">
+                  <Label htmlFor="email" className="text-white">Email</Label>
+                  <Input
+                    id="email"
+                    type="email"
+                    placeholder="Enter your email"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    required
+                    className="bg-black/50 border-red-900/50 text-white placeholder:text-gray-400"
+                  />
+                </div>
+
+                <Button
+                  type="submit"
+                  disabled={loading}
+                  className="w-full bg-gradient-to-r from-red-600 to-red-700 hover:from-red-700 hover:to-red-800 text-white red-glow"
+                >
+                  {loading ? "Sending..." : "Send Reset Link"}
+                </Button>
+              </form>
+            )}
+
+            <div className="mt-6 text-center">
+              <Link to="/login" className="text-red-500 hover:text-red-400 font-medium">
+                Back to sign in
+              </Link>
+            </div>
+          </CardContent>
+        </Card>
+      </motion.div>
+    </div>
+  );
+};
+
+export default ForgotPasswordPage;
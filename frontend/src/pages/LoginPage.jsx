@@ -9,34 +9,69 @@ import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { useAuth } from '@/contexts/AuthContext';
+import { ToastAction } from '@/components/ui/toast';
 import { useToast } from '@/components/ui/use-toast';
+import { apiService } from '@/services/api';
+import TwoFactorStep from '@/components/forms/TwoFactorStep';
 
 const LoginPage = () => {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [showPassword, setShowPassword] = useState(false);
   const [loading, setLoading] = useState(false);
-  const { login } = useAuth();
+  const { login, mfaChallenge } = useAuth();
   const { toast } = useToast();
   const navigate = useNavigate();
 
+  const handleSignedIn = (user) => {
+    toast({
+      title: "Welcome back!",
+      description: `Successfully logged in as ${user.name}`,
+    });
+
+    if (user.isAdmin) {
+      navigate('/admin');
+    } else if (user.role === 'driver') {
+      navigate('/driver');
+    } else {
+      navigate('/dashboard');
+    }
+  };
+
+  const handleResendVerification = async () => {
+    try {
+      const response = await apiService.resendVerification(email);
+      toast({ title: "Verification email sent", description: response.message });
+    } catch (error) {
+      toast({ title: "Couldn't resend email", description: error.message, variant: "destructive" });
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
 
     try {
       const user = await login(email, password);
-      toast({
-        title: "Welcome back!",
-        description: `Successfully logged in as ${user.name}`,
-      });
-      
-      if (user.isAdmin) {
-        navigate('/admin');
-      } else {
-        navigate('/dashboard');
+      // Otherwise the two-factor step takes over the form
+      if (!user.mfaRequired) {
+        handleSignedIn(user);
       }
     } catch (error) {
+      if (error.code === 'EMAIL_NOT_VERIFIED') {
+        toast({
+          title: "Verify your email",
+          description: "Open the link we emailed you before signing in.",
+          variant: "destructive",
+          action: (
+            <ToastAction altText="Resend verification email" onClick={handleResendVerification}>
+              Resend
+            </ToastAction>
+          ),
+        });
+        return;
+      }
+
       toast({
         title: "Login failed",
         description: "Please check your credentials and try again.",
@@ -74,55 +109,64 @@ const LoginPage = () => {
             </motion.div>
             <CardTitle className="text-2xl font-bold gradient-text">Welcome Back</CardTitle>
             <CardDescription className="text-gray-300">
-              Sign in to your AutoCare Pro account
+              {mfaChallenge ? 'Two-factor authentication' : 'Sign in to your AutoCare Pro account'}
             </CardDescription>
           </CardHeader>
           
           <CardContent>
-            <form onSubmit={handleSubmit} className="space-y-4">
-              <div className="space-y-2">
-                <Label htmlFor="email" className="text-white">Email</Label>
-                <Input
-                  id="email"
-                  type="email"
-                  placeholder="Enter your email"
-                  value={email}
-                  onChange={(e) => setEmail(e.target.value)}
-                  required
-                  className="bg-black/50 border-red-900/50 text-white placeholder:text-gray-400"
-                />
-              </div>
-              
-              <div className="space-y-2">
-                <Label htmlFor="password" className="text-white">Password</Label>
-                <div className="relative">
+            {mfaChallenge ? (
+              <TwoFactorStep onSignedIn={handleSignedIn} />
+            ) : (
+              <form onSubmit={handleSubmit} className="space-y-4">
+                <div className="space-y-2">
+                  <Label htmlFor="email" className="text-white">Email</Label>
                   <Input
-                    id="password"
-                    type={showPassword ? "text" : "password"}
-                    placeholder="Enter your password"
-                    value={password}
-                    onChange={(e) => setPassword(e.target.value)}
+                    id="email"
+                    type="email"
+                    placeholder="Enter your email"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
                     required
-                    className="bg-black/50 border-red-900/50 text-white placeholder:text-gray-400 pr-10"
+                    className="bg-black/50 border-red-900/50 text-white placeholder:text-gray-400"
                   />
-                  <button
-                    type="button"
-                    onClick={() => setShowPassword(!showPassword)}
-                    className="absolute right-3 top-1/2 transform -translate-y-1/2 text-gray-400 hover:text-white"
-                  >
-                    {showPassword ? <EyeOff className="w-4 h-4" /> : <Eye className="w-4 h-4" />}
-                  </button>
                 </div>
-              </div>
               
-              <Button
-                type="submit"
-                disabled={loading}
-                className="w-full bg-gradient-to-r from-red-600 to-red-700 hover:from-red-700 hover:to-red-800 text-white red-glow"
-              >
-                {loading ? "Signing in..." : "Sign In"}
-              </Button>
-            </form>
+                <div className="space-y-2">
+                  <div className="flex items-center justify-between">
+                    <Label htmlFor="password" className="text-white">Password</Label>
+                    <Link to="/forgot-password" className="text-sm text-red-500 hover:text-red-400">
+                      Forgot password?
+                    </Link>
+                  </div>
+                  <div className="relative">
+                    <Input
+                      id="password"
+                      type={showPassword ? "text" : "password"}
+                      placeholder="Enter your password"
+                      value={password}
+                      onChange={(e) => setPassword(e.target.value)}
+                      required
+                      className="bg-black/50 border-red-900/50 text-white placeholder:text-gray-400 pr-10"
+                    />
+                    <button
+                      type="button"
+                      onClick={() => setShowPassword(!showPassword)}
+                      className="absolute right-3 top-1/2 transform -translate-y-1/2 text-gray-400 hover:text-white"
+                    >
+                      {showPassword ? <EyeOff className="w-4 h-4" /> : <Eye className="w-4 h-4" />}
+                    </button>
+                  </div>
+                </div>
+              
+                <Button
+                  type="submit"
+                  disabled={loading}
+                  className="w-full bg-gradient-to-r from-red-600 to-red-700 hover:from-red-700 hover:to-red-800 text-white red-glow"
+                >
+                  {loading ? "Signing in..." : "Sign In"}
+                </Button>
+              </form>
+            )}
             
             <div className="mt-6 text-center">
               <p className="text-gray-300">
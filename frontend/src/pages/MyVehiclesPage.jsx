@@ -2,7 +2,7 @@ import React, { useState } from 'react';
 import { motion } from 'framer-motion';
 import { Helmet } from 'react-helmet';
 import { useNavigate } from 'react-router-dom';
-import { ArrowLeft, Car, Plus, Trash2, Edit } from 'lucide-react';
+import { ArrowLeft, Car, Plus, Trash2, Edit, Gauge } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card';
 import { useAuth } from '@/contexts/AuthContext';
@@ -26,7 +26,7 @@ const MyVehiclesPage = () => {
   const userVehicles = vehicles.filter(v => v.userId === user.id);
 
   const handleAddNew = () => {
-    setCurrentVehicle({ make: '', model: '', year: '', licensePlate: '' });
+    setCurrentVehicle({ make: '', model: '', year: '', licensePlate: '', vin: '', odometer: { reading: 0, unit: 'km' } });
     setIsDialogOpen(true);
   };
 
@@ -40,23 +40,38 @@ const MyVehiclesPage = () => {
     setIsDeleteConfirmOpen(true);
   };
 
-  const confirmDelete = () => {
-    deleteVehicle(vehicleToDelete.id);
-    toast({ title: "Vehicle Deleted", description: `${vehicleToDelete.make} ${vehicleToDelete.model} has been removed.` });
+  const confirmDelete = async () => {
+    try {
+      await deleteVehicle(vehicleToDelete.id);
+      toast({ title: "Vehicle Deleted", description: `${vehicleToDelete.make} ${vehicleToDelete.model} has been removed.` });
+    } catch (error) {
+      toast({ title: "Delete Failed", description: error.message, variant: "destructive" });
+    }
     setIsDeleteConfirmOpen(false);
     setVehicleToDelete(null);
   };
 
-  const handleSave = () => {
-    if (currentVehicle.id) {
-      updateVehicle(currentVehicle);
-      toast({ title: "Vehicle Updated", description: "Your vehicle details have been updated." });
-    } else {
-      addVehicle(currentVehicle);
-      toast({ title: "Vehicle Added", description: "Your new vehicle has been added." });
+  const handleSave = async () => {
+    try {
+      if (currentVehicle.id) {
+        await updateVehicle(currentVehicle);
+        toast({ title: "Vehicle Updated", description: "Your vehicle details have been updated." });
+      } else {
+        await addVehicle(currentVehicle);
+        toast({ title: "Vehicle Added", description: "Your new vehicle has been added." });
+      }
+      setIsDialogOpen(false);
+      setCurrentVehicle(null);
+    } catch (error) {
+      toast({ title: "Save Failed", description: error.message, variant: "destructive" });
     }
-    setIsDialogOpen(false);
-    setCurrentVehicle(null);
+  };
+
+  const setOdometerReading = (reading) => {
+    setCurrentVehicle({
+      ...currentVehicle,
+      odometer: { ...currentVehicle.odometer, reading: reading === '' ? '' : Number(reading) }
+    });
   };
 
   return (
@@ -134,6 +149,13 @@ const MyVehiclesPage = () => {
                     <p className="text-lg font-semibold text-white bg-black/30 px-4 py-2 rounded-md text-center">
                       {vehicle.licensePlate}
                     </p>
+                    <div className="mt-4 space-y-1 text-sm text-gray-400">
+                      {vehicle.vin && <p>VIN: {vehicle.vin}</p>}
+                      <p className="flex items-center gap-2">
+                        <Gauge className="w-4 h-4" />
+                        {(vehicle.odometer?.reading || 0).toLocaleString()} {vehicle.odometer?.unit || 'km'}
+                      </p>
+                    </div>
                   </CardContent>
                   <div className="p-6 pt-0 flex gap-2">
                     <Button variant="outline" size="sm" onClick={() => handleEdit(vehicle)} className="flex-1 border-blue-500 text-blue-500 hover:bg-blue-500 hover:text-white">
@@ -176,6 +198,14 @@ const MyVehiclesPage = () => {
               <Label htmlFor="licensePlate" className="text-right text-white">License Plate</Label>
               <Input id="licensePlate" value={currentVehicle?.licensePlate} onChange={(e) => setCurrentVehicle({...currentVehicle, licensePlate: e.target.value})} className="col-span-3 bg-black/50 border-red-900/50 text-white" />
             </div>
+            <div className="grid grid-cols-4 items-center gap-4">
+              <Label htmlFor="vin" className="text-right text-white">VIN</Label>
+              <Input id="vin" maxLength={17} value={currentVehicle?.vin || ''} onChange={(e) => setCurrentVehicle({...currentVehicle, vin: e.target.value})} className="col-span-3 bg-black/50 border-red-900/50 text-white" />
+            </div>
+            <div className="grid grid-cols-4 items-center gap-4">
+              <Label htmlFor="odometer" className="text-right text-white">Odometer (km)</Label>
+              <Input id="odometer" type="number" min="0" value={currentVehicle?.odometer?.reading ?? ''} onChange={(e) => setOdometerReading(e.target.value)} className="col-span-3 bg-black/50 border-red-900/50 text-white" />
+            </div>
           </div>
           <DialogFooter>
             <Button variant="outline" onClick={() => setIsDialogOpen(false)}>Cancel</Button>
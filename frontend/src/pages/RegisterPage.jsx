@@ -1,14 +1,15 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
 import { Helmet } from 'react-helmet';
-import { Car, Eye, EyeOff } from 'lucide-react';
+import { Car, Eye, EyeOff, UserPlus } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { useAuth } from '@/contexts/AuthContext';
 import { useToast } from '@/components/ui/use-toast';
+import { apiService } from '@/services/api';
 
 const RegisterPage = () => {
   const [formData, setFormData] = useState({
@@ -20,9 +21,32 @@ const RegisterPage = () => {
   });
   const [showPassword, setShowPassword] = useState(false);
   const [loading, setLoading] = useState(false);
+  const [invitation, setInvitation] = useState(null);
+  const [searchParams] = useSearchParams();
   const { register } = useAuth();
   const { toast } = useToast();
   const navigate = useNavigate();
+  const invitationToken = searchParams.get('invite');
+
+  // Staff invitation links prefill and lock the invited email
+  useEffect(() => {
+    if (!invitationToken) return;
+
+    apiService.getInvitation(invitationToken)
+      .then(response => {
+        if (response.success) {
+          setInvitation(response.data);
+          setFormData(prev => ({ ...prev, email: response.data.email }));
+        }
+      })
+      .catch(error => {
+        toast({
+          title: "Invitation unavailable",
+          description: error.message || "This invitation link can no longer be used.",
+          variant: "destructive",
+        });
+      });
+  }, [invitationToken]);
 
   const handleChange = (e) => {
     setFormData(prev => ({
@@ -46,7 +70,26 @@ const RegisterPage = () => {
     setLoading(true);
 
     try {
-      const user = await register(formData);
+      const user = await register(invitation ? { ...formData, invitationToken } : formData);
+
+      if (user.mfaRequired) {
+        toast({
+          title: "Account created!",
+          description: "Your role requires two-factor authentication. Set it up to continue.",
+        });
+        navigate('/login');
+        return;
+      }
+
+      if (user.requiresVerification) {
+        toast({
+          title: "Check your email",
+          description: `We sent a verification link to ${user.email}. Verify your address, then sign in.`,
+        });
+        navigate('/login');
+        return;
+      }
+
       toast({
         title: "Account created!",
         description: `Welcome to AutoCare Pro, ${user.name}!`,
@@ -112,6 +155,15 @@ const RegisterPage = () => {
             <CardDescription className="text-gray-300">
               Create your account for premium car management
             </CardDescription>
+            {invitation && (
+              <div className="mt-4 p-3 bg-red-900/20 rounded-lg border border-red-900/30 flex items-center gap-2 text-left">
+                <UserPlus className="w-5 h-5 text-red-400 shrink-0" />
+                <p className="text-sm text-gray-300">
+                  You've been invited to join as <span className="text-white font-medium">{invitation.role.replace('_', ' ')}</span>
+                  {invitation.branch ? <> at <span className="text-white font-medium">{invitation.branch.name}</span></> : null}.
+                </p>
+              </div>
+            )}
           </CardHeader>
           
           <CardContent>
@@ -139,6 +191,7 @@ const RegisterPage = () => {
                   placeholder="Enter your email"
                   value={formData.email}
                   onChange={handleChange}
+                  readOnly={!!invitation}
                   required
                   className="bg-black/50 border-red-900/50 text-white placeholder:text-gray-400"
                 />
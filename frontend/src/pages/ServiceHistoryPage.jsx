@@ -8,6 +8,7 @@ import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/com
 import { Badge } from '@/components/ui/badge';
 import { useAuth } from '@/contexts/AuthContext';
 import { useService } from '@/contexts/ServiceContext';
+import BillingDocuments from '@/components/user/BillingDocuments';
 
 const ServiceHistoryPage = () => {
   const navigate = useNavigate();
@@ -47,6 +48,8 @@ const ServiceHistoryPage = () => {
           </div>
         </motion.div>
 
+        <BillingDocuments />
+
         {completedRequests.length === 0 ? (
           <motion.div
             initial={{ opacity: 0, scale: 0.9 }}
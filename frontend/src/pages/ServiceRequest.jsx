@@ -16,18 +16,25 @@ import { useToast } from '@/components/ui/use-toast';
 
 const ServiceRequest = () => {
   const navigate = useNavigate();
-  const { createServiceRequest, serviceTypes, spareParts } = useService();
+  const { createServiceRequest, serviceTypes, spareParts, vehicles } = useService();
   const { toast } = useToast();
   
   const [formData, setFormData] = useState({
     serviceType: '',
+    vehicleId: '',
     vehicleInfo: '',
     description: '',
-    urgency: 'normal',
+    priority: 'normal',
     preferredDate: '',
     contactNumber: ''
   });
   const [loading, setLoading] = useState(false);
+  // Where the truck should collect the vehicle (Vehicle Pickup only)
+  const [pickupCoords, setPickupCoords] = useState(null);
+  const [pickupAddress, setPickupAddress] = useState('');
+  const [locating, setLocating] = useState(false);
+
+  const isPickup = formData.serviceType === 'Vehicle Pickup';
 
   const handleChange = (e) => {
     setFormData(prev => ({
@@ -43,21 +50,63 @@ const ServiceRequest = () => {
     }));
   };
 
+  const handleVehicleSelect = (vehicleId) => {
+    const vehicle = vehicles.find(v => v.id === vehicleId);
+    setFormData(prev => ({
+      ...prev,
+      vehicleId,
+      vehicleInfo: vehicle ? `${vehicle.make} ${vehicle.model}${vehicle.year ? ` ${vehicle.year}` : ''}, License Plate: ${vehicle.licensePlate}` : prev.vehicleInfo
+    }));
+  };
+
+  const capturePickupLocation = () => {
+    if (!navigator.geolocation) {
+      toast({
+        title: "Location not supported",
+        description: "Your browser doesn't support location sharing",
+        variant: "destructive"
+      });
+      return;
+    }
+
+    setLocating(true);
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        setPickupCoords({ latitude: position.coords.latitude, longitude: position.coords.longitude });
+        setLocating(false);
+      },
+      (error) => {
+        setLocating(false);
+        toast({
+          title: "Location Error",
+          description: error.code === error.PERMISSION_DENIED
+            ? "Location access denied. Please enable location permissions."
+            : "Couldn't get your location. Please try again.",
+          variant: "destructive"
+        });
+      },
+      { enableHighAccuracy: true, timeout: 10000, maximumAge: 60000 }
+    );
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
 
     try {
-      const request = createServiceRequest(formData);
+      const request = await createServiceRequest({
+        ...formData,
+        pickupLocation: isPickup && pickupCoords ? { ...pickupCoords, address: pickupAddress } : undefined
+      });
       toast({
         title: "Request Submitted!",
-        description: `Your ${formData.serviceType} request has been submitted successfully. Request ID: ${request.id}`,
+        description: `Your ${formData.serviceType} request has been submitted successfully. Request ID: ${request.requestNumber}`,
       });
       navigate('/dashboard');
     } catch (error) {
       toast({
         title: "Submission Failed",
-        description: "Please try again later.",
+        description: error.message || "Please try again later.",
         variant: "destructive",
       });
     } finally {
@@ -155,17 +204,62 @@ const ServiceRequest = () => {
                   {/* Vehicle Information */}
                   <div className="space-y-2">
                     <Label htmlFor="vehicleInfo" className="text-white">Vehicle Information *</Label>
+                    {vehicles.length > 0 && (
+                      <Select value={formData.vehicleId} onValueChange={handleVehicleSelect}>
+                        <SelectTrigger className="bg-black/50 border-red-900/50 text-white">
+                          <SelectValue placeholder="Choose one of your vehicles" />
+                        </SelectTrigger>
+                        <SelectContent>
+                          {vehicles.map((vehicle) => (
+                            <SelectItem key={vehicle.id} value={vehicle.id}>
+                              {vehicle.make} {vehicle.model} ({vehicle.licensePlate})
+                            </SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                    )}
                     <Input
                       id="vehicleInfo"
                       name="vehicleInfo"
                       placeholder="e.g., Toyota Camry 2020, License Plate: ABC-123"
                       value={formData.vehicleInfo}
-                      onChange={handleChange}
+                      onChange={(e) => setFormData(prev => ({ ...prev, vehicleId: '', vehicleInfo: e.target.value }))}
                       required
                       className="bg-black/50 border-red-900/50 text-white placeholder:text-gray-400"
                     />
                   </div>
 
+                  {/* Pickup Location */}
+                  {isPickup && (
+                    <div className="space-y-2">
+                      <Label htmlFor="pickupAddress" className="text-white">Pickup Location *</Label>
+                      <div className="flex gap-2">
+                        <Button
+                          type="button"
+                          variant="outline"
+                          onClick={capturePickupLocation}
+                          disabled={locating}
+                          className="border-red-500 text-red-500 hover:bg-red-500 hover:text-white"
+                        >
+                          <MapPin className="w-4 h-4 mr-2" />
+                          {locating ? 'Locating...' : pickupCoords ? 'Update Location' : 'Use My Location'}
+                        </Button>
+                        {pickupCoords && (
+                          <span className="self-center text-sm text-gray-300">
+                            {pickupCoords.latitude.toFixed(4)}, {pickupCoords.longitude.toFixed(4)}
+                          </span>
+                        )}
+                      </div>
+                      <Input
+                        id="pickupAddress"
+                        placeholder="Street, building or landmark for the driver"
+                        value={pickupAddress}
+                        onChange={(e) => setPickupAddress(e.target.value)}
+                        className="bg-black/50 border-red-900/50 text-white placeholder:text-gray-400"
+                      />
+                    </div>
+                  )}
+
                   {/* Description */}
                   <div className="space-y-2">
                     <Label htmlFor="description" className="text-white">Description</Label>
@@ -182,10 +276,10 @@ const ServiceRequest = () => {
 
                   {/* Urgency */}
                   <div className="space-y-2">
-                    <Label htmlFor="urgency" className="text-white">Urgency Level</Label>
+                    <Label htmlFor="priority" className="text-white">Urgency Level</Label>
                     <Select
-                      value={formData.urgency}
-                      onValueChange={(value) => handleSelectChange('urgency', value)}
+                      value={formData.priority}
+                      onValueChange={(value) => handleSelectChange('priority', value)}
                     >
                       <SelectTrigger className="bg-black/50 border-red-900/50 text-white">
                         <SelectValue placeholder="Select urgency" />
@@ -231,7 +325,7 @@ const ServiceRequest = () => {
                   {/* Submit Button */}
                   <Button
                     type="submit"
-                    disabled={loading || !formData.serviceType || !formData.vehicleInfo || !formData.contactNumber}
+                    disabled={loading || !formData.serviceType || !formData.vehicleInfo || !formData.contactNumber || (isPickup && !pickupCoords)}
                     className="w-full bg-gradient-to-r from-red-600 to-red-700 hover:from-red-700 hover:to-red-800 text-white red-glow"
                   >
                     {loading ? "Submitting Request..." : "Submit Service Request"}
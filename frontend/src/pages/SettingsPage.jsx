@@ -9,6 +9,8 @@ import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
 import { useAuth } from '@/contexts/AuthContext';
 import { useToast } from '@/components/ui/use-toast';
+import ActiveSessions from '@/components/user/ActiveSessions';
+import TwoFactorSettings from '@/components/user/TwoFactorSettings';
 
 const SettingsPage = () => {
   const navigate = useNavigate();
@@ -137,6 +139,9 @@ const SettingsPage = () => {
               </Button>
             </div>
           </form>
+
+          <TwoFactorSettings />
+          <ActiveSessions />
         </motion.div>
       </div>
     </div>
@@ -1,5 +1,4 @@
-
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { motion } from 'framer-motion';
 import { useParams, useNavigate } from 'react-router-dom';
 import { Helmet } from 'react-helmet';
@@ -8,36 +7,120 @@ import { Button } from '@/components/ui/button';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
 import { useService } from '@/contexts/ServiceContext';
+import { useSocket } from '@/contexts/SocketContext';
 import { useToast } from '@/components/ui/use-toast';
+import { getTimeAgo } from '@/lib/utils';
+import { apiService } from '@/services/api';
+
+// Without a socket the page falls back to polling the tracking endpoint
+const POLL_INTERVAL_MS = 30000;
+
+const PICKUP_STATUS_LABELS = {
+  pending: 'Approved - Finding a Truck',
+  dispatched: 'Truck Dispatched',
+  'en-route': 'Truck En Route',
+  'at-location': 'Truck Has Arrived',
+  completed: 'Pickup Completed',
+  cancelled: 'Pickup Cancelled'
+};
+
+// Place the truck and the pickup point inside the map box, keeping a margin around both
+const projectPoints = (points) => {
+  const latitudes = points.map(point => point.latitude);
+  const longitudes = points.map(point => point.longitude);
+  const minLat = Math.min(...latitudes);
+  const maxLat = Math.max(...latitudes);
+  const minLng = Math.min(...longitudes);
+  const maxLng = Math.max(...longitudes);
+  const latSpan = maxLat - minLat || 0.01;
+  const lngSpan = maxLng - minLng || 0.01;
+
+  return points.map(point => ({
+    left: 10 + ((point.longitude - minLng) / lngSpan) * 80,
+    top: 90 - ((point.latitude - minLat) / latSpan) * 80
+  }));
+};
 
 const TrackingPage = () => {
   const { requestId } = useParams();
   const navigate = useNavigate();
-  const { requests } = useService();
+  const { requests, requestsLoading } = useService();
+  const { socket, isConnected } = useSocket();
   const { toast } = useToast();
-  const [truckLocation, setTruckLocation] = useState({ lat: -1.2921, lng: 36.8219 }); // Nairobi
-  const [estimatedArrival, setEstimatedArrival] = useState(null);
+  const [tracking, setTracking] = useState(null);
+  const pickupId = tracking?.pickup?._id;
 
   const request = requests.find(req => req.id === requestId);
 
+  const loadTracking = useCallback(async () => {
+    try {
+      const response = await apiService.getServiceTracking(requestId);
+      setTracking(response.data);
+    } catch (error) {
+      console.error('Error loading tracking:', error);
+    }
+  }, [requestId]);
+
   useEffect(() => {
+    if (requestsLoading) return;
+
     if (!request || !request.trackingEnabled || request.status !== 'approved') {
       navigate('/dashboard');
       return;
     }
 
-    setEstimatedArrival(request.estimatedArrival);
+    loadTracking();
+  }, [request, requestsLoading, navigate, loadTracking]);
 
-    // Simulate truck movement
-    const interval = setInterval(() => {
-      setTruckLocation(prev => ({
-        lat: prev.lat + (Math.random() - 0.5) * 0.001,
-        lng: prev.lng + (Math.random() - 0.5) * 0.001
-      }));
-    }, 5000);
+  // Follow the assigned truck and its ETA live
+  useEffect(() => {
+    if (!socket) return;
 
+    const handleLocation = (data) => {
+      setTracking(prev => {
+        if (!prev?.truck || String(data.truckId) !== String(prev.truck._id)) return prev;
+        const location = data.location || { latitude: data.latitude, longitude: data.longitude };
+        return {
+          ...prev,
+          truck: { ...prev.truck, currentLocation: { ...prev.truck.currentLocation, ...location } }
+        };
+      });
+    };
+
+    const handleEta = (data) => {
+      if (String(data.serviceRequestId) !== String(requestId)) return;
+      setTracking(prev => prev && {
+        ...prev,
+        estimatedArrival: data.eta.arrivalAt,
+        pickup: { ...prev.pickup, status: data.status, eta: data.eta }
+      });
+    };
+
+    // A new truck or a status change reshapes the whole view
+    const handlePickupChange = (data) => {
+      if (!pickupId || String(data.requestId) === String(pickupId)) {
+        loadTracking();
+      }
+    };
+
+    socket.on('truck-location-updated', handleLocation);
+    socket.on('eta-updated', handleEta);
+    socket.on('pickup-status-updated', handlePickupChange);
+    socket.on('truck-dispatch-update', handlePickupChange);
+
+    return () => {
+      socket.off('truck-location-updated', handleLocation);
+      socket.off('eta-updated', handleEta);
+      socket.off('pickup-status-updated', handlePickupChange);
+      socket.off('truck-dispatch-update', handlePickupChange);
+    };
+  }, [socket, requestId, pickupId, loadTracking]);
+
+  useEffect(() => {
+    if (isConnected) return;
+    const interval = setInterval(loadTracking, POLL_INTERVAL_MS);
     return () => clearInterval(interval);
-  }, [request, navigate]);
+  }, [isConnected, loadTracking]);
 
   if (!request) {
     return (
@@ -53,11 +136,22 @@ const TrackingPage = () => {
     );
   }
 
+  const truck = tracking?.truck;
+  const pickup = tracking?.pickup;
+  const eta = pickup?.eta;
+  const estimatedArrival = tracking?.estimatedArrival || request.estimatedArrival;
+  const truckLocation = truck?.currentLocation?.latitude !== undefined ? truck.currentLocation : null;
+  const pickupLocation = tracking?.pickupLocation?.latitude !== undefined ? tracking.pickupLocation : null;
+  const [truckPosition, pickupPosition] = truckLocation && pickupLocation
+    ? projectPoints([truckLocation, pickupLocation])
+    : [null, null];
+  const pickupStatus = pickup?.status || 'pending';
+  const stepReached = (statuses) => statuses.includes(pickupStatus);
+
   const handleCallDriver = () => {
-    toast({
-      title: "🚧 Feature Coming Soon!",
-      description: "Driver calling isn't implemented yet—but don't worry! You can request it in your next prompt! 🚀"
-    });
+    if (truck?.driver?.phone) {
+      window.location.href = `tel:${truck.driver.phone}`;
+    }
   };
 
   const handleGetDirections = () => {
@@ -128,45 +222,52 @@ const TrackingPage = () => {
                     </div>
                   </div>
                   
-                  {/* Truck Icon */}
-                  <motion.div
-                    animate={{
-                      x: [0, 20, -10, 15, 0],
-                      y: [0, -15, 10, -5, 0]
-                    }}
-                    transition={{
-                      duration: 10,
-                      repeat: Infinity,
-                      ease: "easeInOut"
-                    }}
-                    className="absolute z-10 p-3 bg-red-600 rounded-full shadow-lg truck-animation"
-                  >
-                    <Truck className="w-6 h-6 text-white" />
-                  </motion.div>
-                  
-                  {/* Location Markers */}
-                  <div className="absolute top-4 left-4 p-2 bg-green-600 rounded-full">
-                    <MapPin className="w-4 h-4 text-white" />
-                  </div>
-                  <div className="absolute bottom-4 right-4 p-2 bg-blue-600 rounded-full">
-                    <MapPin className="w-4 h-4 text-white" />
-                  </div>
-                  
-                  {/* Route Line */}
-                  <svg className="absolute inset-0 w-full h-full">
-                    <path
-                      d="M 50 50 Q 200 100 350 300"
-                      stroke="#ef4444"
-                      strokeWidth="3"
-                      fill="none"
-                      strokeDasharray="10,5"
-                      className="opacity-60"
-                    />
-                  </svg>
-                  
-                  <div className="text-center text-white z-20">
-                    <h3 className="text-xl font-bold mb-2">Nairobi Service Area</h3>
-                    <p className="text-gray-300">Truck Location: {truckLocation.lat.toFixed(4)}, {truckLocation.lng.toFixed(4)}</p>
+                  {truckPosition && pickupPosition && (
+                    <>
+                      {/* Route Line */}
+                      <svg className="absolute inset-0 w-full h-full">
+                        <line
+                          x1={`${truckPosition.left}%`}
+                          y1={`${truckPosition.top}%`}
+                          x2={`${pickupPosition.left}%`}
+                          y2={`${pickupPosition.top}%`}
+                          stroke="#ef4444"
+                          strokeWidth="3"
+                          strokeDasharray="10,5"
+                          className="opacity-60"
+                        />
+                      </svg>
+
+                      {/* Pickup Marker */}
+                      <div
+                        className="absolute z-10 p-2 bg-green-600 rounded-full -translate-x-1/2 -translate-y-1/2"
+                        style={{ left: `${pickupPosition.left}%`, top: `${pickupPosition.top}%` }}
+                      >
+                        <MapPin className="w-4 h-4 text-white" />
+                      </div>
+
+                      {/* Truck Icon */}
+                      <motion.div
+                        animate={{ left: `${truckPosition.left}%`, top: `${truckPosition.top}%` }}
+                        transition={{ duration: 1, ease: "easeInOut" }}
+                        className="absolute z-10 p-3 bg-red-600 rounded-full shadow-lg -translate-x-1/2 -translate-y-1/2"
+                      >
+                        <Truck className="w-6 h-6 text-white" />
+                      </motion.div>
+                    </>
+                  )}
+
+                  <div className="absolute bottom-4 left-4 right-4 text-center text-white z-20">
+                    {truckLocation ? (
+                      <p className="text-gray-300 text-sm">
+                        Truck Location: {truckLocation.latitude.toFixed(4)}, {truckLocation.longitude.toFixed(4)}
+                        {truckLocation.timestamp && ` · updated ${getTimeAgo(truckLocation.timestamp)}`}
+                      </p>
+                    ) : (
+                      <p className="text-gray-300">
+                        {truck ? 'Waiting for the truck\'s first GPS position...' : 'Waiting for a truck to be assigned...'}
+                      </p>
+                    )}
                   </div>
                 </div>
                 
@@ -177,10 +278,13 @@ const TrackingPage = () => {
                       <MapPin className="w-3 h-3 mr-1" />
                       Pickup Location
                     </Badge>
-                    <Badge className="bg-blue-600 text-white">
-                      <MapPin className="w-3 h-3 mr-1" />
-                      Service Center
+                    <Badge className="bg-red-600 text-white">
+                      <Truck className="w-3 h-3 mr-1" />
+                      Pickup Truck
                     </Badge>
+                    {!isConnected && (
+                      <Badge className="bg-gray-600 text-white">Refreshing every 30s</Badge>
+                    )}
                   </div>
                   <Button
                     onClick={handleGetDirections}
@@ -216,12 +320,12 @@ const TrackingPage = () => {
                   </div>
                   <div>
                     <p className="text-gray-400 text-sm">Request ID</p>
-                    <p className="text-white font-medium">{request.id}</p>
+                    <p className="text-white font-medium">{request.requestNumber || request.id}</p>
                   </div>
                   <div>
                     <p className="text-gray-400 text-sm">Status</p>
                     <Badge className="status-approved text-white">
-                      Approved - Truck Dispatched
+                      {PICKUP_STATUS_LABELS[pickupStatus]}
                     </Badge>
                   </div>
                 </div>
@@ -244,10 +348,21 @@ const TrackingPage = () => {
                   <p className="text-gray-400 text-sm">
                     {estimatedArrival ? new Date(estimatedArrival).toLocaleDateString() : 'Calculating...'}
                   </p>
-                  <div className="mt-4 p-3 bg-green-900/20 rounded-lg border border-green-500/30">
-                    <p className="text-green-400 text-sm font-medium">On Time</p>
-                    <p className="text-gray-300 text-xs">Truck is following schedule</p>
-                  </div>
+                  {eta?.computedAt && stepReached(['dispatched', 'en-route']) && (
+                    <div className="mt-4 p-3 bg-green-900/20 rounded-lg border border-green-500/30">
+                      <p className="text-green-400 text-sm font-medium">
+                        About {eta.durationMinutes} min · {eta.distanceKm} km away
+                      </p>
+                      <p className="text-gray-300 text-xs">
+                        {eta.averageSpeedKmh ? `Averaging ${eta.averageSpeedKmh} km/h · ` : ''}updated {getTimeAgo(eta.computedAt)}
+                      </p>
+                    </div>
+                  )}
+                  {pickupStatus === 'at-location' && (
+                    <div className="mt-4 p-3 bg-green-900/20 rounded-lg border border-green-500/30">
+                      <p className="text-green-400 text-sm font-medium">The truck is at your pickup point</p>
+                    </div>
+                  )}
                 </div>
               </CardContent>
             </Card>
@@ -264,13 +379,14 @@ const TrackingPage = () => {
                       <Truck className="w-5 h-5 text-white" />
                     </div>
                     <div>
-                      <p className="text-white font-medium">Driver: John Mwangi</p>
-                      <p className="text-gray-400 text-sm">License: KCA 123X</p>
+                      <p className="text-white font-medium">Driver: {truck?.driver?.name || 'Not assigned yet'}</p>
+                      <p className="text-gray-400 text-sm">License: {truck?.vehicle?.licensePlate || '—'}</p>
                     </div>
                   </div>
                   
                   <Button
                     onClick={handleCallDriver}
+                    disabled={!truck?.driver?.phone}
                     className="w-full bg-gradient-to-r from-red-600 to-red-700 hover:from-red-700 hover:to-red-800 text-white"
                   >
                     <Phone className="w-4 h-4 mr-2" />
@@ -302,28 +418,30 @@ const TrackingPage = () => {
                   </div>
                   
                   <div className="flex items-start gap-3">
-                    <div className="w-2 h-2 bg-green-500 rounded-full mt-2"></div>
+                    <div className={`w-2 h-2 rounded-full mt-2 ${pickup?.dispatchTime ? 'bg-green-500' : 'bg-gray-500'}`}></div>
                     <div>
-                      <p className="text-white text-sm font-medium">Truck Dispatched</p>
+                      <p className={`text-sm font-medium ${pickup?.dispatchTime ? 'text-white' : 'text-gray-500'}`}>Truck Dispatched</p>
                       <p className="text-gray-400 text-xs">
-                        {new Date(Date.now() - 30 * 60 * 1000).toLocaleString()}
+                        {pickup?.dispatchTime ? new Date(pickup.dispatchTime).toLocaleString() : 'Pending...'}
                       </p>
                     </div>
                   </div>
                   
                   <div className="flex items-start gap-3">
-                    <div className="w-2 h-2 bg-yellow-500 rounded-full mt-2 animate-pulse"></div>
+                    <div className={`w-2 h-2 rounded-full mt-2 ${stepReached(['dispatched', 'en-route']) ? 'bg-yellow-500 animate-pulse' : stepReached(['at-location', 'completed']) ? 'bg-green-500' : 'bg-gray-500'}`}></div>
                     <div>
-                      <p className="text-white text-sm font-medium">En Route</p>
-                      <p className="text-gray-400 text-xs">Currently tracking...</p>
+                      <p className={`text-sm font-medium ${stepReached(['pending', 'cancelled']) ? 'text-gray-500' : 'text-white'}`}>En Route</p>
+                      <p className="text-gray-400 text-xs">
+                        {stepReached(['dispatched', 'en-route']) ? 'Currently tracking...' : stepReached(['at-location', 'completed']) ? 'Done' : 'Pending...'}
+                      </p>
                     </div>
                   </div>
                   
                   <div className="flex items-start gap-3">
-                    <div className="w-2 h-2 bg-gray-500 rounded-full mt-2"></div>
+                    <div className={`w-2 h-2 rounded-full mt-2 ${stepReached(['at-location', 'completed']) ? 'bg-green-500' : 'bg-gray-500'}`}></div>
                     <div>
-                      <p className="text-gray-500 text-sm font-medium">Arrival</p>
-                      <p className="text-gray-500 text-xs">Pending...</p>
+                      <p className={`text-sm font-medium ${stepReached(['at-location', 'completed']) ? 'text-white' : 'text-gray-500'}`}>Arrival</p>
+                      <p className="text-gray-500 text-xs">{stepReached(['at-location', 'completed']) ? 'Truck has arrived' : 'Pending...'}</p>
                     </div>
                   </div>
                 </div>
@@ -24,12 +24,12 @@ const UserDashboard = () => {
   const userRequests = requests.filter(req => req.userId === user.id);
   const unreadNotifications = notifications.filter(n => !n.read);
 
-  const handlePaymentSuccess = (paymentIntent) => {
+  const handlePaymentSuccess = (payment) => {
     addNotification({
       id: Date.now(),
       type: 'success',
       title: 'Payment Successful',
-      message: `Payment of $${paymentIntent.amount / 100} completed successfully`
+      message: `Payment of ${payment.currency} ${payment.amount} completed successfully`
     });
   };
 
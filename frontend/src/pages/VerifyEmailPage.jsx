@@ -0,0 +1,87 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { motion } from 'framer-motion';
+import { Link, useSearchParams } from 'react-router-dom';
+import { Helmet } from 'react-helmet';
+import { MailCheck, MailX, Loader2 } from 'lucide-react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { useAuth } from '@/contexts/AuthContext';
+import { apiService } from '@/services/api';
+
+const VerifyEmailPage = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { user } = useAuth();
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'This verification link is missing its token.');
+  // Tokens are single use, so don't send it twice in StrictMode
+  const requested = useRef(false);
+
+  useEffect(() => {
+    if (!token || requested.current) return;
+    requested.current = true;
+
+    apiService.verifyEmail(token)
+      .then(response => {
+        setStatus('verified');
+        setMessage(response.message);
+      })
+      .catch(error => {
+        setStatus('error');
+        setMessage(error.message || 'This verification link is invalid or has expired.');
+      });
+  }, [token]);
+
+  const Icon = status === 'verified' ? MailCheck : status === 'error' ? MailX : Loader2;
+
+  return (
+    <div className="min-h-screen flex items-center justify-center p-4">
+      <Helmet>
+        <title>Verify Email - AutoCare Pro</title>
+        <meta name="description" content="Confirm the email address for your AutoCare Pro account." />
+      </Helmet>
+
+      <motion.div
+        initial={{ opacity: 0, y: 50 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.8 }}
+        className="w-full max-w-md"
+      >
+        <Card className="glass-effect border-red-900/30 red-glow">
+          <CardHeader className="text-center">
+            <div className="flex justify-center mb-4">
+              <div className="p-3 bg-gradient-to-r from-red-600 to-red-700 rounded-full">
+                <Icon className={`w-8 h-8 text-white ${status === 'verifying' ? 'animate-spin' : ''}`} />
+              </div>
+            </div>
+            <CardTitle className="text-2xl font-bold gradient-text">
+              {status === 'verified' ? 'Email Verified' : status === 'error' ? 'Verification Failed' : 'Verifying Email'}
+            </CardTitle>
+            <CardDescription className="text-gray-300">
+              {status === 'verifying' ? 'Confirming your email address...' : message}
+            </CardDescription>
+          </CardHeader>
+
+          <CardContent>
+            {status !== 'verifying' && (
+              <div className="text-center">
+                <Link
+                  to={user ? (user.isAdmin ? '/admin' : '/dashboard') : '/login'}
+                  className="text-red-500 hover:text-red-400 font-medium"
+                >
+                  {user ? 'Go to dashboard' : 'Continue to sign in'}
+                </Link>
+                {status === 'error' && !user && (
+                  <p className="text-sm text-gray-400 mt-3">
+                    Sign in with your email to request a new verification link.
+                  </p>
+                )}
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      </motion.div>
+    </div>
+  );
+};
+
+export default VerifyEmailPage;
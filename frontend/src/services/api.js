@@ -1,23 +1,40 @@
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001/api/v1';
 
+// Requests whose 401 means bad credentials rather than an expired access token
+const NO_REFRESH_ENDPOINTS = [
+  '/auth/login', '/auth/register', '/auth/refresh-token',
+  '/auth/login/2fa', '/auth/login/2fa/setup', '/auth/login/2fa/enable',
+];
+
 class ApiService {
   constructor() {
     this.baseURL = API_BASE_URL;
     this.authToken = null;
+    this.sessionRefreshToken = null;
+    this.refreshPromise = null;
+    // Set by AuthContext to persist rotated tokens, to sign out when the session ends and to
+    // read the tokens another tab may have stored since
+    this.onTokensRefreshed = null;
+    this.onSessionExpired = null;
+    this.getStoredTokens = null;
   }
 
   setAuthToken(token) {
     this.authToken = token;
   }
 
-  async request(endpoint, options = {}) {
+  setRefreshToken(refreshToken) {
+    this.sessionRefreshToken = refreshToken;
+  }
+
+  async request(endpoint, options = {}, canRefresh = true) {
     const url = `${this.baseURL}${endpoint}`;
     const config = {
+      ...options,
       headers: {
         'Content-Type': 'application/json',
         ...options.headers,
       },
-      ...options,
     };
 
     if (this.authToken) {
@@ -28,8 +45,17 @@ class ApiService {
       const response = await fetch(url, config);
       const data = await response.json();
 
+      // Renew an expired access token once, then replay the request
+      if (response.status === 401 && canRefresh && this.sessionRefreshToken && !NO_REFRESH_ENDPOINTS.includes(endpoint)) {
+        await this.refreshSession();
+        return this.request(endpoint, options, false);
+      }
+
       if (!response.ok) {
-        throw new Error(data.message || `HTTP error! status: ${response.status}`);
+        const error = new Error(data.message || `HTTP error! status: ${response.status}`);
+        error.status = response.status;
+        error.code = data.code;
+        throw error;
       }
 
       return data;
@@ -39,6 +65,28 @@ class ApiService {
     }
   }
 
+  // Fetch a file (e.g. an export) rather than JSON; resolves to { blob, filename }
+  async download(endpoint, canRefresh = true) {
+    const headers = this.authToken ? { Authorization: `Bearer ${this.authToken}` } : {};
+    const response = await fetch(`${this.baseURL}${endpoint}`, { headers });
+
+    if (response.status === 401 && canRefresh && this.sessionRefreshToken) {
+      await this.refreshSession();
+      return this.download(endpoint, false);
+    }
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      const error = new Error(data.message || `HTTP error! status: ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const filename = disposition.match(/filename="([^"]+)"/)?.[1] || 'download';
+    return { blob: await response.blob(), filename };
+  }
+
   // Authentication endpoints
   async login(email, password) {
     return this.request('/auth/login', {
@@ -54,6 +102,16 @@ class ApiService {
     });
   }
 
+  async getInvitation(token) {
+    return this.request(`/auth/invitations/${encodeURIComponent(token)}`);
+  }
+
+  async acceptInvitation(token) {
+    return this.request(`/auth/invitations/${encodeURIComponent(token)}/accept`, {
+      method: 'POST',
+    });
+  }
+
   async checkEmailAvailability(email) {
     return this.request(`/auth/check-email/${encodeURIComponent(email)}`);
   }
@@ -62,9 +120,155 @@ class ApiService {
     return this.request('/auth/verify');
   }
 
-  async refreshToken() {
-    return this.request('/auth/refresh', {
+  // Second sign-in step, authorised by the mfaToken from login
+  async verifyLoginMfa(mfaToken, { code, recoveryCode }) {
+    return this.request('/auth/login/2fa', {
+      method: 'POST',
+      body: JSON.stringify({ mfaToken, code, recoveryCode }),
+    });
+  }
+
+  async startLoginMfaSetup(mfaToken) {
+    return this.request('/auth/login/2fa/setup', {
+      method: 'POST',
+      body: JSON.stringify({ mfaToken }),
+    });
+  }
+
+  async enableLoginMfa(mfaToken, code) {
+    return this.request('/auth/login/2fa/enable', {
+      method: 'POST',
+      body: JSON.stringify({ mfaToken, code }),
+    });
+  }
+
+  async getTwoFactorStatus() {
+    return this.request('/auth/2fa');
+  }
+
+  async startTwoFactorSetup() {
+    return this.request('/auth/2fa/setup', {
+      method: 'POST',
+    });
+  }
+
+  async enableTwoFactor(code) {
+    return this.request('/auth/2fa/enable', {
+      method: 'POST',
+      body: JSON.stringify({ code }),
+    });
+  }
+
+  async disableTwoFactor({ password, code, recoveryCode }) {
+    return this.request('/auth/2fa/disable', {
+      method: 'POST',
+      body: JSON.stringify({ password, code, recoveryCode }),
+    });
+  }
+
+  async regenerateRecoveryCodes(code) {
+    return this.request('/auth/2fa/recovery-codes', {
+      method: 'POST',
+      body: JSON.stringify({ code }),
+    });
+  }
+
+  async forgotPassword(email) {
+    return this.request('/auth/forgot-password', {
       method: 'POST',
+      body: JSON.stringify({ email }),
+    });
+  }
+
+  async resetPassword(token, password) {
+    return this.request('/auth/reset-password', {
+      method: 'POST',
+      body: JSON.stringify({ token, password }),
+    });
+  }
+
+  async verifyEmail(token) {
+    return this.request('/auth/verify-email', {
+      method: 'POST',
+      body: JSON.stringify({ token }),
+    });
+  }
+
+  async resendVerification(email) {
+    return this.request('/auth/resend-verification', {
+      method: 'POST',
+      body: JSON.stringify({ email }),
+    });
+  }
+
+  // Adopt tokens another tab stored after rotating the refresh token we hold
+  adoptStoredTokens(presentedRefreshToken) {
+    const stored = this.getStoredTokens?.();
+    if (!stored?.refreshToken || stored.refreshToken === presentedRefreshToken) {
+      return null;
+    }
+    this.setAuthToken(stored.token);
+    this.setRefreshToken(stored.refreshToken);
+    return stored;
+  }
+
+  // Concurrent callers share one refresh so the rotated token is only spent once
+  async refreshSession() {
+    if (!this.refreshPromise) {
+      const adopted = this.adoptStoredTokens(this.sessionRefreshToken);
+      if (adopted) {
+        return adopted;
+      }
+
+      const presentedRefreshToken = this.sessionRefreshToken;
+      this.refreshPromise = this.request('/auth/refresh-token', {
+        method: 'POST',
+        body: JSON.stringify({ refreshToken: presentedRefreshToken }),
+      })
+        .then(data => {
+          this.setAuthToken(data.token);
+          this.setRefreshToken(data.refreshToken);
+          this.onTokensRefreshed?.(data);
+          return data;
+        })
+        .catch(error => {
+          // Another tab refreshing at the same moment won the rotation
+          const adopted = this.adoptStoredTokens(presentedRefreshToken);
+          if (adopted) {
+            return adopted;
+          }
+          this.setAuthToken(null);
+          this.setRefreshToken(null);
+          this.onSessionExpired?.();
+          error.sessionExpired = true;
+          throw error;
+        })
+        .finally(() => {
+          this.refreshPromise = null;
+        });
+    }
+    return this.refreshPromise;
+  }
+
+  async logout() {
+    return this.request('/auth/logout', {
+      method: 'POST',
+    });
+  }
+
+  async getSessions() {
+    return this.request('/auth/sessions');
+  }
+
+  async revokeSession(sessionId) {
+    return this.request(`/auth/sessions/${sessionId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async revokeOtherSessions() {
+    return this.request('/auth/sessions', {
+      method: 'DELETE',
     });
   }
 
@@ -84,6 +288,48 @@ class ApiService {
     return this.request('/users');
   }
 
+  // Invitation and audit endpoints
+  async getInvitations(filters = {}) {
+    const params = new URLSearchParams(filters).toString();
+    return this.request(`/invitations${params ? `?${params}` : ''}`);
+  }
+
+  async createInvitation(invitationData) {
+    return this.request('/invitations', {
+      method: 'POST',
+      body: JSON.stringify(invitationData),
+    });
+  }
+
+  async revokeInvitation(invitationId) {
+    return this.request(`/invitations/${invitationId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async getAuditLogs(filters = {}) {
+    const params = new URLSearchParams(filters).toString();
+    return this.request(`/audit-logs${params ? `?${params}` : ''}`);
+  }
+
+  // Role endpoints (super admin)
+  async getRoles() {
+    return this.request('/roles');
+  }
+
+  async updateRolePermissions(role, permissions, description) {
+    return this.request(`/roles/${role}`, {
+      method: 'PUT',
+      body: JSON.stringify({ permissions, description }),
+    });
+  }
+
+  async resetRolePermissions(role) {
+    return this.request(`/roles/${role}/reset`, {
+      method: 'POST',
+    });
+  }
+
   // Truck endpoints
   async getTrucks() {
     return this.request('/trucks');
@@ -109,6 +355,24 @@ class ApiService {
     });
   }
 
+  // Trucks the signed-in driver drives, each with its open jobs
+  async getMyTrucks() {
+    return this.request('/trucks/mine');
+  }
+
+  async updateTruckStatus(truckId, status) {
+    return this.request(`/trucks/${truckId}/status`, {
+      method: 'PUT',
+      body: JSON.stringify({ status }),
+    });
+  }
+
+  async completeTruckAssignment(truckId) {
+    return this.request(`/trucks/${truckId}/complete`, {
+      method: 'PUT',
+    });
+  }
+
   async updateTruckLocation(truckId, location) {
     return this.request(`/trucks/${truckId}/location`, {
       method: 'PUT',
@@ -116,6 +380,116 @@ class ApiService {
     });
   }
 
+  async recordTruckTelemetry(truckId, points, source) {
+    return this.request(`/trucks/${truckId}/telemetry`, {
+      method: 'POST',
+      body: JSON.stringify({ points, source }),
+    });
+  }
+
+  async getTruckTrack(truckId, filters = {}) {
+    const params = new URLSearchParams(filters).toString();
+    return this.request(`/trucks/${truckId}/track${params ? `?${params}` : ''}`);
+  }
+
+  async downloadTruckTrack(truckId, format, filters = {}) {
+    const params = new URLSearchParams({ ...filters, format }).toString();
+    return this.download(`/trucks/${truckId}/track/export?${params}`);
+  }
+
+  // Geofence endpoints
+  async getGeofences(filters = {}) {
+    const params = new URLSearchParams(filters).toString();
+    return this.request(`/geofences${params ? `?${params}` : ''}`);
+  }
+
+  async createGeofence(geofenceData) {
+    return this.request('/geofences', {
+      method: 'POST',
+      body: JSON.stringify(geofenceData),
+    });
+  }
+
+  async updateGeofence(geofenceId, geofenceData) {
+    return this.request(`/geofences/${geofenceId}`, {
+      method: 'PUT',
+      body: JSON.stringify(geofenceData),
+    });
+  }
+
+  async deleteGeofence(geofenceId) {
+    return this.request(`/geofences/${geofenceId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async getGeofenceEvents(filters = {}) {
+    const params = new URLSearchParams(filters).toString();
+    return this.request(`/geofences/events${params ? `?${params}` : ''}`);
+  }
+
+  // Driver endpoints
+  async getDrivers(filters = {}) {
+    const params = new URLSearchParams(filters).toString();
+    return this.request(`/drivers${params ? `?${params}` : ''}`);
+  }
+
+  async updateDriverProfile(driverId, profileData) {
+    return this.request(`/drivers/${driverId}/profile`, {
+      method: 'PUT',
+      body: JSON.stringify(profileData),
+    });
+  }
+
+  async assignDriverTruck(driverId, truckId) {
+    return this.request(`/drivers/${driverId}/truck`, {
+      method: 'PUT',
+      body: JSON.stringify({ truck: truckId }),
+    });
+  }
+
+  async getDriverShifts(filters = {}) {
+    const params = new URLSearchParams(filters).toString();
+    return this.request(`/drivers/shifts${params ? `?${params}` : ''}`);
+  }
+
+  async createDriverShift(shiftData) {
+    return this.request('/drivers/shifts', {
+      method: 'POST',
+      body: JSON.stringify(shiftData),
+    });
+  }
+
+  async updateDriverShift(shiftId, shiftData) {
+    return this.request(`/drivers/shifts/${shiftId}`, {
+      method: 'PUT',
+      body: JSON.stringify(shiftData),
+    });
+  }
+
+  async cancelDriverShift(shiftId) {
+    return this.request(`/drivers/shifts/${shiftId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  // The signed-in driver's profile and upcoming shifts
+  async getMyDriverProfile() {
+    return this.request('/drivers/me');
+  }
+
+  async clockIn() {
+    return this.request('/drivers/me/clock-in', {
+      method: 'POST',
+    });
+  }
+
+  async clockOut() {
+    return this.request('/drivers/me/clock-out', {
+      method: 'POST',
+    });
+  }
+
   async uploadTruckDocuments(truckId, formData) {
     return this.request(`/trucks/${truckId}/documents`, {
       method: 'POST',
@@ -126,6 +500,195 @@ class ApiService {
     });
   }
 
+  // Vehicle endpoints
+  async getVehicles() {
+    return this.request('/vehicles');
+  }
+
+  async getVehicle(vehicleId) {
+    return this.request(`/vehicles/${vehicleId}`);
+  }
+
+  async createVehicle(vehicleData) {
+    return this.request('/vehicles', {
+      method: 'POST',
+      body: JSON.stringify(vehicleData),
+    });
+  }
+
+  async updateVehicle(vehicleId, vehicleData) {
+    return this.request(`/vehicles/${vehicleId}`, {
+      method: 'PUT',
+      body: JSON.stringify(vehicleData),
+    });
+  }
+
+  async updateVehicleOdometer(vehicleId, reading) {
+    return this.request(`/vehicles/${vehicleId}/odometer`, {
+      method: 'PUT',
+      body: JSON.stringify({ reading }),
+    });
+  }
+
+  async deleteVehicle(vehicleId) {
+    return this.request(`/vehicles/${vehicleId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async uploadVehiclePhotos(vehicleId, formData) {
+    return this.request(`/vehicles/${vehicleId}/photos`, {
+      method: 'POST',
+      headers: {
+        // Don't set Content-Type for FormData, let browser set it
+      },
+      body: formData,
+    });
+  }
+
+  // Maintenance endpoints
+  async getMaintenanceReminders(filters = {}) {
+    const params = new URLSearchParams(filters).toString();
+    return this.request(`/maintenance/reminders${params ? `?${params}` : ''}`);
+  }
+
+  async markMaintenanceReminderRead(reminderId) {
+    return this.request(`/maintenance/reminders/${reminderId}/read`, {
+      method: 'PUT',
+    });
+  }
+
+  async dismissMaintenanceReminder(reminderId) {
+    return this.request(`/maintenance/reminders/${reminderId}/dismiss`, {
+      method: 'PUT',
+    });
+  }
+
+  async getMaintenanceIntervals() {
+    return this.request('/maintenance/intervals');
+  }
+
+  async updateMaintenanceInterval(serviceType, intervalData) {
+    return this.request(`/maintenance/intervals/${encodeURIComponent(serviceType)}`, {
+      method: 'PUT',
+      body: JSON.stringify(intervalData),
+    });
+  }
+
+  // Work order endpoints
+  async getWorkOrders(filters = {}) {
+    const params = new URLSearchParams(filters).toString();
+    return this.request(`/work-orders${params ? `?${params}` : ''}`);
+  }
+
+  async getWorkOrder(workOrderId) {
+    return this.request(`/work-orders/${workOrderId}`);
+  }
+
+  async createWorkOrder(workOrderData) {
+    return this.request('/work-orders', {
+      method: 'POST',
+      body: JSON.stringify(workOrderData),
+    });
+  }
+
+  async assignWorkOrder(workOrderId, mechanicId) {
+    return this.request(`/work-orders/${workOrderId}/assign`, {
+      method: 'PUT',
+      body: JSON.stringify({ mechanicId }),
+    });
+  }
+
+  async addWorkOrderPart(workOrderId, partData) {
+    return this.request(`/work-orders/${workOrderId}/parts`, {
+      method: 'POST',
+      body: JSON.stringify(partData),
+    });
+  }
+
+  async removeWorkOrderPart(workOrderId, partId) {
+    return this.request(`/work-orders/${workOrderId}/parts/${partId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async addWorkOrderLabour(workOrderId, labourData) {
+    return this.request(`/work-orders/${workOrderId}/labour`, {
+      method: 'POST',
+      body: JSON.stringify(labourData),
+    });
+  }
+
+  async updateWorkOrderStatus(workOrderId, status, details = {}) {
+    return this.request(`/work-orders/${workOrderId}/status`, {
+      method: 'PUT',
+      body: JSON.stringify({ status, ...details }),
+    });
+  }
+
+  // Inventory endpoints
+  async getParts(filters = {}) {
+    const params = new URLSearchParams(filters).toString();
+    return this.request(`/inventory/parts${params ? `?${params}` : ''}`);
+  }
+
+  async createPart(partData) {
+    return this.request('/inventory/parts', {
+      method: 'POST',
+      body: JSON.stringify(partData),
+    });
+  }
+
+  async updatePart(partId, partData) {
+    return this.request(`/inventory/parts/${partId}`, {
+      method: 'PUT',
+      body: JSON.stringify(partData),
+    });
+  }
+
+  async getInventory(filters = {}) {
+    const params = new URLSearchParams(filters).toString();
+    return this.request(`/inventory${params ? `?${params}` : ''}`);
+  }
+
+  async createStockRecord(stockData) {
+    return this.request('/inventory', {
+      method: 'POST',
+      body: JSON.stringify(stockData),
+    });
+  }
+
+  async updateStockRecord(inventoryId, stockData) {
+    return this.request(`/inventory/${inventoryId}`, {
+      method: 'PUT',
+      body: JSON.stringify(stockData),
+    });
+  }
+
+  async adjustStock(inventoryId, quantity, reason = '') {
+    return this.request(`/inventory/${inventoryId}/adjust`, {
+      method: 'POST',
+      body: JSON.stringify({ quantity, reason }),
+    });
+  }
+
+  async getStockMovements(inventoryId) {
+    return this.request(`/inventory/${inventoryId}/movements`);
+  }
+
+  async reserveServicePart(serviceId, partId, quantity = 1) {
+    return this.request(`/services/${serviceId}/parts`, {
+      method: 'POST',
+      body: JSON.stringify({ part: partId, quantity }),
+    });
+  }
+
+  async removeServicePart(serviceId, lineId) {
+    return this.request(`/services/${serviceId}/parts/${lineId}`, {
+      method: 'DELETE',
+    });
+  }
+
   // Message endpoints
   async getMessages() {
     return this.request('/messages');
@@ -183,6 +746,17 @@ class ApiService {
     return this.request('/bookings');
   }
 
+  async getBookingQuote(quoteData) {
+    return this.request('/bookings/quote', {
+      method: 'POST',
+      body: JSON.stringify(quoteData),
+    });
+  }
+
+  async getQuote(quoteId) {
+    return this.request(`/bookings/quotes/${quoteId}`);
+  }
+
   async createBooking(bookingData) {
     return this.request('/bookings', {
       method: 'POST',
@@ -204,6 +778,29 @@ class ApiService {
     });
   }
 
+  async getBookingCalendar(from, to, filters = {}) {
+    const params = new URLSearchParams({ from, to, ...filters }).toString();
+    return this.request(`/bookings/calendar?${params}`);
+  }
+
+  async rescheduleBooking(bookingId, { startDate, truck, reason } = {}) {
+    return this.request(`/bookings/${bookingId}/reschedule`, {
+      method: 'POST',
+      body: JSON.stringify({ startDate, truck, reason }),
+    });
+  }
+
+  async getCancellationFee(bookingId) {
+    return this.request(`/bookings/${bookingId}/cancellation`);
+  }
+
+  async cancelBooking(bookingId, { reason, waiveFee } = {}) {
+    return this.request(`/bookings/${bookingId}/cancel`, {
+      method: 'POST',
+      body: JSON.stringify({ reason, waiveFee }),
+    });
+  }
+
   async getAvailableTrucks(startDate, endDate, serviceType) {
     const params = new URLSearchParams({
       startDate,
@@ -220,6 +817,129 @@ class ApiService {
     });
   }
 
+  // Payment endpoints
+  async getPaymentConfig() {
+    return this.request('/payments/config');
+  }
+
+  async getPayables() {
+    return this.request('/payments/payables');
+  }
+
+  // `target` is { booking } or { serviceRequest }; reuse the key when retrying the same payment
+  async createPaymentIntent(target, idempotencyKey) {
+    return this.request('/payments/create-payment-intent', {
+      method: 'POST',
+      headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {},
+      body: JSON.stringify(target),
+    });
+  }
+
+  // `options` is { provider, phoneNumber }; provider 'mpesa' sends an STK push to the phone
+  async createPayment(target, options = {}, idempotencyKey) {
+    return this.request('/payments', {
+      method: 'POST',
+      headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {},
+      body: JSON.stringify({ ...target, ...options }),
+    });
+  }
+
+  async confirmPayment(paymentIntentId) {
+    return this.request('/payments/confirm-payment', {
+      method: 'POST',
+      body: JSON.stringify({ paymentIntentId }),
+    });
+  }
+
+  async getPayments(filters = {}) {
+    const params = new URLSearchParams(filters).toString();
+    return this.request(`/payments${params ? `?${params}` : ''}`);
+  }
+
+  async getPayment(paymentId) {
+    return this.request(`/payments/${paymentId}`);
+  }
+
+  async refreshPayment(paymentId) {
+    return this.request(`/payments/${paymentId}/refresh`, {
+      method: 'POST',
+    });
+  }
+
+  async reconcilePayments() {
+    return this.request('/payments/reconcile', {
+      method: 'POST',
+    });
+  }
+
+  async refundPayment(paymentId, { amount, reason } = {}, idempotencyKey) {
+    return this.request(`/payments/${paymentId}/refund`, {
+      method: 'POST',
+      headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {},
+      body: JSON.stringify({ amount, reason }),
+    });
+  }
+
+  async downloadReceipt(paymentId) {
+    return this.download(`/payments/${paymentId}/receipt`);
+  }
+
+  // Invoice endpoints
+  async getInvoices(filters = {}) {
+    const params = new URLSearchParams(filters).toString();
+    return this.request(`/invoices${params ? `?${params}` : ''}`);
+  }
+
+  async getInvoice(invoiceId) {
+    return this.request(`/invoices/${invoiceId}`);
+  }
+
+  async downloadInvoice(invoiceId) {
+    return this.download(`/invoices/${invoiceId}/pdf`);
+  }
+
+  async issueInvoice(bookingId) {
+    return this.request(`/invoices/bookings/${bookingId}`, {
+      method: 'POST',
+    });
+  }
+
+  async getStatement(customerId, month, currency = 'KES') {
+    const params = new URLSearchParams({ month, currency }).toString();
+    return this.request(`/invoices/statements/${customerId}?${params}`);
+  }
+
+  async downloadStatement(customerId, month, currency = 'KES') {
+    const params = new URLSearchParams({ month, currency, format: 'pdf' }).toString();
+    return this.download(`/invoices/statements/${customerId}?${params}`);
+  }
+
+  // Tariff endpoints
+  async getTariffs(filters = {}) {
+    const params = new URLSearchParams(filters).toString();
+    return this.request(`/tariffs${params ? `?${params}` : ''}`);
+  }
+
+  async createTariff(tariffData) {
+    return this.request('/tariffs', {
+      method: 'POST',
+      body: JSON.stringify(tariffData),
+    });
+  }
+
+  async updateTariff(tariffId, tariffData) {
+    return this.request(`/tariffs/${tariffId}`, {
+      method: 'PUT',
+      body: JSON.stringify(tariffData),
+    });
+  }
+
+  async deleteTariff(tariffId) {
+    return this.request(`/tariffs/${tariffId}`, {
+      method: 'DELETE',
+    });
+  }
+
   // Dashboard endpoints
   async getDashboardOverview(period = 30) {
     return this.request(`/dashboard/overview?period=${period}`);
@@ -270,15 +990,60 @@ class ApiService {
   }
 
   async assignPickup(pickupId, truckId) {
-    return this.request(`/pickups/${pickupId}/assign`, {
+    return this.request(`/pickups/${pickupId}/assign-truck`, {
       method: 'PUT',
       body: JSON.stringify({ truckId }),
     });
   }
 
-  // Service endpoints
-  async getServices() {
-    return this.request('/services');
+  // Dispatch engine endpoints
+  async getDispatchCandidates(pickupId) {
+    return this.request(`/pickups/${pickupId}/dispatch-candidates`);
+  }
+
+  async suggestPickupTrucks(pickupId) {
+    return this.request(`/pickups/${pickupId}/suggest`, {
+      method: 'POST',
+    });
+  }
+
+  async autoDispatchPickup(pickupId) {
+    return this.request(`/pickups/${pickupId}/auto-dispatch`, {
+      method: 'POST',
+    });
+  }
+
+  async getDispatchOffers() {
+    return this.request('/pickups/offers');
+  }
+
+  async respondToDispatchOffer(pickupId, offerId, accept, reason) {
+    return this.request(`/pickups/${pickupId}/offers/${offerId}/respond`, {
+      method: 'POST',
+      body: JSON.stringify({ accept, reason }),
+    });
+  }
+
+  async updateBranchDispatchSettings(branchId, settings) {
+    return this.request(`/branches/${branchId}/dispatch-settings`, {
+      method: 'PUT',
+      body: JSON.stringify(settings),
+    });
+  }
+
+  // Service request endpoints
+  async getServices(filters = {}) {
+    const params = new URLSearchParams(filters);
+    const query = params.toString();
+    return this.request(`/services${query ? `?${query}` : ''}`);
+  }
+
+  async getService(serviceId) {
+    return this.request(`/services/${serviceId}`);
+  }
+
+  async getServiceTracking(serviceId) {
+    return this.request(`/services/${serviceId}/tracking`);
   }
 
   async createService(serviceData) {
@@ -288,6 +1053,34 @@ class ApiService {
     });
   }
 
+  async updateService(serviceId, serviceData) {
+    return this.request(`/services/${serviceId}`, {
+      method: 'PUT',
+      body: JSON.stringify(serviceData),
+    });
+  }
+
+  async updateServiceStatus(serviceId, status, notes = '') {
+    return this.request(`/services/${serviceId}/status`, {
+      method: 'PUT',
+      body: JSON.stringify({ status, notes }),
+    });
+  }
+
+  async assignService(serviceId, mechanicId, branchId) {
+    return this.request(`/services/${serviceId}/assign`, {
+      method: 'PUT',
+      body: JSON.stringify({ mechanic: mechanicId, branch: branchId }),
+    });
+  }
+
+  async cancelService(serviceId, reason = '') {
+    return this.request(`/services/${serviceId}`, {
+      method: 'DELETE',
+      body: JSON.stringify({ reason }),
+    });
+  }
+
   // File upload helper
   async uploadFile(endpoint, file, additionalData = {}) {
     const formData = new FormData();